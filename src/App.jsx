@@ -9,6 +9,7 @@
  * - Suppression route /admin/ingestion (dette technique)
  * - L'ingestion se fait désormais via /admin → onglet "Connaissances"
  * - Ajout route /admin/indexation pour monitoring queue ingestion
+ * - Bandeau d'impersonation global + route /admin/impersonation-audit
  * ============================================================================
  */
 
@@ -20,6 +21,7 @@ import {
   PublicRoute,
   AdminRoute
 } from './components/OnboardingGuard';
+import ImpersonationBanner from './components/admin/ImpersonationBanner';
 
 // Pages
 import Login from './pages/Login';
@@ -40,6 +42,11 @@ import Invitations from './pages/admin/Invitations';
 import UsersPage from './pages/admin/Users';
 import Projects from './pages/admin/Projects';
 import Ingestion from './pages/admin/Ingestion';
+import QAMemory from './pages/admin/QAMemory';
+import SearchLab from './pages/admin/SearchLab';
+import Evaluation from './pages/admin/Evaluation';
+import Billing from './pages/admin/Billing';
+import ImpersonationAudit from './pages/admin/ImpersonationAudit';
 
 function App() {
   return (
@@ -50,6 +57,7 @@ function App() {
       }}
     >
       <AuthProvider>
+        <ImpersonationBanner />
         <Routes>
           {/* ============================================ */}
           {/* ROUTES MARKETING */}
@@ -233,6 +241,56 @@ function App() {
             }
           />
 
+          {/* Admin - Mémoire collective Q/A (super_admin) */}
+          <Route
+            path="/admin/qa-memory"
+            element={
+              <AdminRoute>
+                <QAMemory />
+              </AdminRoute>
+            }
+          />
+
+          {/* Admin - Search lab (retrieval seul, super_admin / org_admin) */}
+          <Route
+            path="/admin/search-lab"
+            element={
+              <AdminRoute>
+                <SearchLab />
+              </AdminRoute>
+            }
+          />
+
+          {/* Admin - Évaluation RAG hors ligne (golden sets, super_admin) */}
+          <Route
+            path="/admin/evaluation"
+            element={
+              <AdminRoute>
+                <Evaluation />
+              </AdminRoute>
+            }
+          />
+
+          {/* Admin - Facturation et grand livre des crédits (super_admin / org_admin) */}
+          <Route
+            path="/admin/billing"
+            element={
+              <AdminRoute>
+                <Billing />
+              </AdminRoute>
+            }
+          />
+
+          {/* Admin - Journal des impersonations (super_admin / org_admin) */}
+          <Route
+            path="/admin/impersonation-audit"
+            element={
+              <AdminRoute>
+                <ImpersonationAudit />
+              </AdminRoute>
+            }
+          />
+
           {/* ============================================ */}
           {/* REDIRECTIONS */}
           {/* ============================================ */}
@@ -1,7 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Mic, Square, Loader2, CheckCircle2, AlertCircle, FileText } from 'lucide-react';
 // Correction de l'import : utilisation du chemin relatif pour éviter les problèmes d'alias
-import { uploadMeetingAudio } from '../lib/supabaseClient';
+import { uploadMeetingAudio, assertWritable } from '../lib/supabaseClient';
 
 export default function AudioRecorder({ onRecordingComplete }) {
     const [isRecording, setIsRecording] = useState(false);
@@ -58,6 +58,9 @@ export default function AudioRecorder({ onRecordingComplete }) {
         setIsProcessing(true);
 
         try {
+            // Mode lecture seule (impersonation) : ni upload ni appel N8N
+            assertWritable();
+
             // 1. Détection intelligente du format
             const mimeType = mediaRecorderRef.current?.mimeType || 'audio/webm';
             let extension = 'webm';
@@ -0,0 +1,338 @@
+/**
+ * ChunkInspector - Découpage d'un document ingéré
+ * ============================================================================
+ * Sections L0 et leurs chunks L1 (parent_chunk_id résolu par
+ * rag.resolve_chunk_hierarchy), concepts rattachés et tableaux extraits.
+ * Les admins peuvent exclure un chunk de la recherche, corriger son contenu
+ * ou le ré-embedder (Edge Function edit-chunk).
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { documentsService } from '../services/documents.service';
+import {
+  X,
+  Layers,
+  ChevronDown,
+  ChevronRight,
+  Loader2,
+  AlertCircle,
+  Edit3,
+  RefreshCw,
+  EyeOff,
+  Eye,
+  Table2,
+  Tag,
+  Save,
+} from 'lucide-react';
+
+/**
+ * Un chunk (L0 ou L1) avec ses actions
+ */
+function ChunkCard({ chunk, canEdit, onAction, isProcessing }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(chunk.content);
+  const isExcluded = !!chunk.excluded_at;
+  const localId = chunk.metadata?.chunk_local_id;
+
+  const handleSave = async () => {
+    const ok = await onAction(chunk.id, 'update', draft);
+    if (ok) setIsEditing(false);
+  };
+
+  return (
+    <div className={`p-3 rounded-lg border ${isExcluded ? 'border-slate-200 bg-slate-50 opacity-70' : 'border-slate-200 bg-white'}`}>
+      <div className="flex items-center gap-2 mb-2 text-xs">
+        <span className={`px-1.5 py-0.5 rounded font-mono ${chunk.hierarchy_level === 0 ? 'bg-indigo-100 text-indigo-700' : 'bg-slate-100 text-slate-600'}`}>
+          L{chunk.hierarchy_level ?? 1}
+        </span>
+        <span className="font-mono text-slate-400">#{chunk.id}</span>
+        {localId && <span className="font-mono text-slate-400">{localId}</span>}
+        {isExcluded && <span className="px-1.5 py-0.5 rounded bg-red-100 text-red-700">Exclu</span>}
+        {chunk.superseded_at && <span className="px-1.5 py-0.5 rounded bg-amber-100 text-amber-700">Remplacé</span>}
+        {chunk.metadata?.edited_at && <span className="px-1.5 py-0.5 rounded bg-blue-100 text-blue-700">Modifié</span>}
+
+        {canEdit && !isEditing && (
+          <div className="ml-auto flex items-center gap-1">
+            <button
+              onClick={() => { setDraft(chunk.content); setIsEditing(true); }}
+              disabled={isProcessing}
+              className="p-1.5 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 rounded transition-colors disabled:opacity-50"
+              title="Modifier le contenu"
+            >
+              <Edit3 className="w-3.5 h-3.5" />
+            </button>
+            <button
+              onClick={() => onAction(chunk.id, 'reembed')}
+              disabled={isProcessing}
+              className="p-1.5 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 rounded transition-colors disabled:opacity-50"
+              title="Recalculer l'embedding"
+            >
+              <RefreshCw className={`w-3.5 h-3.5 ${isProcessing ? 'animate-spin' : ''}`} />
+            </button>
+            <button
+              onClick={() => onAction(chunk.id, isExcluded ? 'include' : 'exclude')}
+              disabled={isProcessing}
+              className="p-1.5 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded transition-colors disabled:opacity-50"
+              title={isExcluded ? 'Réintégrer dans la recherche' : 'Exclure de la recherche'}
+            >
+              {isExcluded ? <Eye className="w-3.5 h-3.5" /> : <EyeOff className="w-3.5 h-3.5" />}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {isEditing ? (
+        <div>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={8}
+            className="w-full p-3 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 resize-y"
+          />
+          <div className="flex items-center justify-between mt-2">
+            <p className="text-xs text-slate-500">L'embedding sera recalculé à l'enregistrement.</p>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setIsEditing(false)}
+                disabled={isProcessing}
+                className="px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-100 rounded-lg transition-colors"
+              >
+                Annuler
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={isProcessing || draft.trim() === chunk.content}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+              >
+                {isProcessing ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Save className="w-3.5 h-3.5" />}
+                Enregistrer
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-slate-700 whitespace-pre-wrap">{chunk.content}</p>
+      )}
+
+      {chunk.concepts?.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1.5 mt-2">
+          <Tag className="w-3.5 h-3.5 text-slate-400" />
+          {chunk.concepts.map(concept => (
+            <span
+              key={concept.id}
+              className={`text-xs px-2 py-0.5 rounded-full ${concept.source === 'category' ? 'bg-indigo-50 text-indigo-700' : 'bg-slate-100 text-slate-600'}`}
+              title={`${concept.source} · pertinence ${concept.relevance_score}`}
+            >
+              {concept.label || concept.slug}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Section L0 repliable avec ses chunks L1
+ */
+function SectionBlock({ section, canEdit, onAction, processingId }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const title = section.metadata?.section_title || section.content.split('\n')[0];
+
+  return (
+    <div className="border border-slate-200 rounded-xl overflow-hidden">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="w-full flex items-center gap-2 px-4 py-3 bg-slate-50 hover:bg-slate-100 text-left transition-colors"
+      >
+        {isOpen ? <ChevronDown className="w-4 h-4 text-slate-500" /> : <ChevronRight className="w-4 h-4 text-slate-500" />}
+        <span className="font-medium text-slate-800 truncate flex-1">{title}</span>
+        <span className="text-xs text-slate-500 flex-shrink-0">
+          {section.children.length} chunk{section.children.length > 1 ? 's' : ''}
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="p-3 space-y-2">
+          <ChunkCard chunk={section} canEdit={canEdit} onAction={onAction} isProcessing={processingId === section.id} />
+          <div className="pl-4 border-l-2 border-indigo-100 space-y-2">
+            {section.children.map(child => (
+              <ChunkCard key={child.id} chunk={child} canEdit={canEdit} onAction={onAction} isProcessing={processingId === child.id} />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Modal d'inspection du découpage d'un fichier
+ * @param {Object} props
+ * @param {string} props.fileId - sources.files.id
+ * @param {string} [props.title] - Titre du document
+ * @param {boolean} props.canEdit - Actions d'édition disponibles (admins)
+ * @param {Function} props.onClose - Fermeture
+ */
+export default function ChunkInspector({ fileId, title, canEdit, onClose }) {
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [processingId, setProcessingId] = useState(null);
+
+  const loadChunks = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    const { data: result, error: loadError } = await documentsService.getFileChunks(fileId);
+    if (loadError) {
+      setError('Impossible de charger le découpage du document');
+    } else {
+      setData(result);
+    }
+    setIsLoading(false);
+  }, [fileId]);
+
+  useEffect(() => {
+    loadChunks();
+  }, [loadChunks]);
+
+  // Remplace le chunk modifié dans l'arbre sections / orphelins
+  const patchChunk = (updated) => {
+    const patch = (chunk) => (chunk.id === updated.id ? { ...chunk, ...updated } : chunk);
+    setData(prev => ({
+      ...prev,
+      sections: prev.sections.map(section => ({ ...patch(section), children: section.children.map(patch) })),
+      orphans: prev.orphans.map(patch),
+    }));
+  };
+
+  const handleAction = async (chunkId, action, content) => {
+    setProcessingId(chunkId);
+    setError(null);
+    const { data: updated, error: actionError } = await documentsService.editChunk(chunkId, action, content);
+    setProcessingId(null);
+
+    if (actionError) {
+      setError(actionError.message || 'Erreur lors de la modification du chunk');
+      return false;
+    }
+    patchChunk(updated);
+    return true;
+  };
+
+  const excludedCount = data
+    ? [...data.sections, ...data.sections.flatMap(s => s.children), ...data.orphans].filter(c => c.excluded_at).length
+    : 0;
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose} />
+
+      <div className="relative bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between bg-slate-50">
+          <div className="flex items-center gap-3 min-w-0">
+            <div className="p-2 rounded-lg bg-indigo-100">
+              <Layers className="w-5 h-5 text-indigo-600" />
+            </div>
+            <div className="min-w-0">
+              <h2 className="font-semibold text-slate-800 truncate">{title || 'Document'}</h2>
+              <p className="text-sm text-slate-500">
+                {data
+                  ? `${data.sections.length} section${data.sections.length > 1 ? 's' : ''} · ${data.total} chunk${data.total > 1 ? 's' : ''}${excludedCount ? ` · ${excludedCount} exclu${excludedCount > 1 ? 's' : ''}` : ''} · ${data.tables.length} tableau${data.tables.length > 1 ? 'x' : ''}`
+                  : 'Découpage du document'}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-slate-400 hover:text-slate-600 hover:bg-slate-100 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2 text-sm text-red-700">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          {!isLoading && data?.warnings?.length > 0 && (
+            <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg flex items-center gap-2 text-sm text-amber-700">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {data.warnings.join(' · ')} : chargement partiel du découpage
+            </div>
+          )}
+
+          {isLoading && (
+            <div className="flex justify-center py-12">
+              <Loader2 className="w-6 h-6 text-indigo-600 animate-spin" />
+            </div>
+          )}
+
+          {!isLoading && data && data.total === 0 && data.tables.length === 0 && (
+            <p className="text-center text-slate-500 py-12">Aucun chunk pour ce document (ingestion en cours ou échouée).</p>
+          )}
+
+          {!isLoading && data && (
+            <>
+              {data.sections.map(section => (
+                <SectionBlock
+                  key={section.id}
+                  section={section}
+                  canEdit={canEdit}
+                  onAction={handleAction}
+                  processingId={processingId}
+                />
+              ))}
+
+              {data.orphans.length > 0 && (
+                <div className="space-y-2">
+                  <h3 className="text-sm font-medium text-slate-600 pt-2">
+                    Chunks sans section ({data.orphans.length})
+                  </h3>
+                  {data.orphans.map(chunk => (
+                    <ChunkCard
+                      key={chunk.id}
+                      chunk={chunk}
+                      canEdit={canEdit}
+                      onAction={handleAction}
+                      isProcessing={processingId === chunk.id}
+                    />
+                  ))}
+                </div>
+              )}
+
+              {data.tables.length > 0 && (
+                <div className="space-y-2">
+                  <h3 className="flex items-center gap-2 text-sm font-medium text-slate-600 pt-2">
+                    <Table2 className="w-4 h-4" />
+                    Tableaux ({data.tables.length})
+                  </h3>
+                  {data.tables.map(table => (
+                    <details key={table.id} className="border border-slate-200 rounded-lg">
+                      <summary className="px-4 py-2 cursor-pointer text-sm text-slate-700">
+                        {table.section_title || `Tableau ${table.table_index + 1}`}
+                        <span className="ml-2 text-xs text-slate-500">
+                          {table.row_count} × {table.column_count}
+                        </span>
+                      </summary>
+                      <pre className="px-4 pb-3 text-xs text-slate-600 overflow-x-auto whitespace-pre">
+                        {table.content_markdown}
+                      </pre>
+                    </details>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,334 @@
+/**
+ * DocumentViewer - Visionneuse du fichier source
+ * ============================================================================
+ * Affiche le fichier d'origine (bucket premium-sources, URL signée) dans la
+ * prévisualisation de la page Validation :
+ * - PDF : visionneuse du navigateur, navigation par page (#page=N, sans
+ *   rechargement) ; la page référencée est celle de la barre d'outils
+ * - Images : affichage direct
+ * - DOCX : rendu HTML (docx-preview), une page par section
+ * - Tableurs (XLSX, XLS, ODS, CSV) : une page par feuille (SheetJS)
+ * La position courante est remontée via onPositionChange pour que le motif
+ * de rejet puisse y faire référence.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { documentsService } from '../services/documents.service';
+import {
+  ChevronLeft,
+  ChevronRight,
+  Loader2,
+  AlertCircle,
+  ExternalLink,
+  FileQuestion,
+} from 'lucide-react';
+
+const MAX_SHEET_ROWS = 500;
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'];
+const SHEET_EXTENSIONS = ['xlsx', 'xls', 'ods', 'csv'];
+
+/**
+ * Type de visionneuse à partir du type MIME et de l'extension
+ */
+function getViewerKind(mimeType, filename) {
+  const extension = (filename || '').split('.').pop().toLowerCase();
+  const mime = mimeType || '';
+
+  if (mime === 'application/pdf' || extension === 'pdf') return 'pdf';
+  if (mime.startsWith('image/') || IMAGE_EXTENSIONS.includes(extension)) return 'image';
+  if (mime.includes('wordprocessingml') || extension === 'docx') return 'docx';
+  if (mime.includes('spreadsheet') || mime.includes('excel') || mime === 'text/csv' || SHEET_EXTENSIONS.includes(extension)) {
+    return 'sheet';
+  }
+  return 'unsupported';
+}
+
+/**
+ * Libellé de la position courante (repris dans le motif de rejet).
+ * PDF : le défilement dans la visionneuse du navigateur ne remonte pas, seule
+ * la page choisie dans la barre d'outils est connue.
+ */
+function getPositionLabel(kind, page, sheets) {
+  if (kind === 'sheet') return `Feuille « ${sheets[page - 1]?.name || page} »`;
+  if (kind === 'pdf') return `Page ${page} (barre d'outils)`;
+  return `Page ${page}`;
+}
+
+/**
+ * Barre de navigation entre pages / feuilles
+ */
+function PageNavigation({ kind, page, pageCount, sheetNames, onChange }) {
+  if (kind === 'sheet') {
+    return (
+      <div className="flex items-center gap-1 overflow-x-auto">
+        {sheetNames.map((name, index) => (
+          <button
+            key={name}
+            onClick={() => onChange(index + 1)}
+            className={`px-2.5 py-1 text-xs rounded-md whitespace-nowrap transition-colors ${
+              page === index + 1
+                ? 'bg-indigo-600 text-white'
+                : 'text-slate-600 hover:bg-slate-200'
+            }`}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2 text-sm text-slate-600">
+      <button
+        onClick={() => onChange(page - 1)}
+        disabled={page <= 1}
+        className="p-1 rounded hover:bg-slate-200 disabled:opacity-40 transition-colors"
+        title="Page précédente"
+      >
+        <ChevronLeft className="w-4 h-4" />
+      </button>
+      <span>Page</span>
+      <input
+        type="number"
+        min={1}
+        max={pageCount || undefined}
+        value={page}
+        onChange={(e) => {
+          const value = parseInt(e.target.value, 10);
+          if (value >= 1 && (!pageCount || value <= pageCount)) onChange(value);
+        }}
+        className="w-14 px-2 py-0.5 border border-slate-300 rounded text-center text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      />
+      {pageCount && <span>/ {pageCount}</span>}
+      <button
+        onClick={() => onChange(page + 1)}
+        disabled={!!pageCount && page >= pageCount}
+        className="p-1 rounded hover:bg-slate-200 disabled:opacity-40 transition-colors"
+        title="Page suivante"
+      >
+        <ChevronRight className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Feuille de calcul (lignes brutes, tronquées à MAX_SHEET_ROWS)
+ */
+function SheetTable({ rows }) {
+  if (rows.length === 0) {
+    return <p className="p-6 text-sm text-slate-500 text-center">Feuille vide</p>;
+  }
+
+  const columnCount = Math.max(...rows.map(row => row.length));
+
+  return (
+    <div className="overflow-auto h-full">
+      <table className="text-xs text-slate-700 border-collapse">
+        <tbody>
+          {rows.slice(0, MAX_SHEET_ROWS).map((row, rowIndex) => (
+            <tr key={rowIndex} className={rowIndex === 0 ? 'bg-slate-100 font-medium' : ''}>
+              <td className="px-2 py-1 border border-slate-200 text-slate-400 text-right">{rowIndex + 1}</td>
+              {Array.from({ length: columnCount }, (_, colIndex) => (
+                <td key={colIndex} className="px-2 py-1 border border-slate-200 whitespace-nowrap">
+                  {row[colIndex] ?? ''}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length > MAX_SHEET_ROWS && (
+        <p className="p-2 text-xs text-slate-500">
+          {rows.length - MAX_SHEET_ROWS} ligne(s) supplémentaire(s) non affichée(s)
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default function DocumentViewer({ fileId, onPositionChange }) {
+  const [source, setSource] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [page, setPage] = useState(1);
+  const [pageCount, setPageCount] = useState(null);
+  const [sheets, setSheets] = useState([]);
+  const docxContainerRef = useRef(null);
+
+  const kind = source ? getViewerKind(source.mimeType, source.filename) : null;
+  const sheetNames = sheets.map(sheet => sheet.name);
+
+  // URL signée puis contenu selon le type de fichier
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setIsLoading(true);
+      setError(null);
+      setPage(1);
+      setPageCount(null);
+      setSheets([]);
+
+      const { data, error: urlError } = await documentsService.getSourceFileSignedUrl(fileId);
+      if (cancelled) return;
+      if (urlError) {
+        setError(urlError.message || 'Fichier source inaccessible');
+        setIsLoading(false);
+        return;
+      }
+      setSource(data);
+
+      const fileKind = getViewerKind(data.mimeType, data.filename);
+      if (fileKind !== 'docx' && fileKind !== 'sheet') {
+        setPageCount(fileKind === 'image' ? 1 : null);
+        setIsLoading(false);
+        return;
+      }
+
+      try {
+        const response = await fetch(data.url);
+        if (!response.ok) throw new Error(`Téléchargement impossible (${response.status})`);
+        const buffer = await response.arrayBuffer();
+        if (cancelled) return;
+
+        if (fileKind === 'sheet') {
+          const XLSX = await import('xlsx');
+          const workbook = XLSX.read(buffer, { type: 'array' });
+          const parsed = workbook.SheetNames.map(name => ({
+            name,
+            rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '', raw: false }),
+          }));
+          if (cancelled) return;
+          setSheets(parsed);
+          setPageCount(parsed.length);
+        } else {
+          const { renderAsync } = await import('docx-preview');
+          if (cancelled || !docxContainerRef.current) return;
+          docxContainerRef.current.innerHTML = '';
+          await renderAsync(buffer, docxContainerRef.current, null, {
+            inWrapper: true,
+            breakPages: true,
+            ignoreLastRenderedPageBreak: false,
+          });
+          if (cancelled) return;
+          setPageCount(docxContainerRef.current.querySelectorAll('section.docx').length || 1);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [fileId]);
+
+  // Position courante remontée au parent (référence du motif de rejet)
+  useEffect(() => {
+    if (!kind || kind === 'unsupported') {
+      onPositionChange?.(null);
+      return;
+    }
+    onPositionChange?.({ page, label: getPositionLabel(kind, page, sheets) });
+  }, [kind, page, sheets, onPositionChange]);
+
+  // Plus de position à référencer une fois la visionneuse fermée
+  useEffect(() => () => onPositionChange?.(null), [onPositionChange]);
+
+  // DOCX : défilement jusqu'à la section de la page courante
+  useEffect(() => {
+    if (kind !== 'docx' || !docxContainerRef.current) return;
+    const section = docxContainerRef.current.querySelectorAll('section.docx')[page - 1];
+    section?.scrollIntoView({ block: 'start' });
+  }, [kind, page, pageCount]);
+
+  const hasNavigation = kind === 'pdf' || kind === 'docx' || (kind === 'sheet' && sheets.length > 0);
+
+  return (
+    <div className="flex flex-col h-[60vh] border border-slate-200 rounded-lg overflow-hidden bg-slate-100">
+      {/* Barre d'outils */}
+      <div className="flex items-center justify-between gap-3 px-3 py-2 bg-slate-50 border-b border-slate-200">
+        <span className="text-xs text-slate-500 truncate" title={source?.filename}>
+          {source?.filename || 'Fichier source'}
+        </span>
+        <div className="flex items-center gap-3 min-w-0">
+          {hasNavigation && (
+            <PageNavigation
+              kind={kind}
+              page={page}
+              pageCount={pageCount}
+              sheetNames={sheetNames}
+              onChange={setPage}
+            />
+          )}
+          {source?.url && (
+            <a
+              href={source.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="p-1 text-slate-400 hover:text-indigo-600 rounded transition-colors"
+              title="Ouvrir dans un nouvel onglet"
+            >
+              <ExternalLink className="w-4 h-4" />
+            </a>
+          )}
+        </div>
+      </div>
+
+      {/* Contenu */}
+      <div className="relative flex-1 min-h-0">
+        {isLoading && (
+          <div className="absolute inset-0 z-10 flex items-center justify-center bg-slate-100">
+            <Loader2 className="w-6 h-6 text-indigo-600 animate-spin" />
+          </div>
+        )}
+
+        {error && (
+          <div className="absolute inset-0 z-10 flex flex-col items-center justify-center gap-2 bg-slate-100 text-sm text-red-600">
+            <AlertCircle className="w-6 h-6" />
+            {error}
+          </div>
+        )}
+
+        {/* Seul le fragment change : la visionneuse saute à la page sans recharger */}
+        {kind === 'pdf' && (
+          <iframe
+            src={`${source.url}#page=${page}`}
+            title={source.filename}
+            className="w-full h-full bg-white"
+          />
+        )}
+
+        {kind === 'image' && (
+          <div className="h-full overflow-auto flex items-start justify-center p-4">
+            <img src={source.url} alt={source.filename} className="max-w-full shadow" />
+          </div>
+        )}
+
+        {kind === 'sheet' && sheets[page - 1] && (
+          <div className="h-full bg-white">
+            <SheetTable rows={sheets[page - 1].rows} />
+          </div>
+        )}
+
+        {/* Conteneur monté en permanence : docx-preview y écrit directement */}
+        <div
+          ref={docxContainerRef}
+          className={kind === 'docx' ? 'h-full overflow-auto' : 'hidden'}
+        />
+
+        {kind === 'unsupported' && (
+          <div className="h-full flex flex-col items-center justify-center gap-2 text-sm text-slate-500">
+            <FileQuestion className="w-8 h-8 text-slate-400" />
+            Aperçu non disponible pour ce type de fichier
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -8,6 +8,7 @@ import {
   Loader2,
   Receipt
 } from 'lucide-react';
+import { assertWritable } from '../lib/supabaseClient';
 
 /**
  * InvoiceUploader - Composant d'upload dédié aux documents commerciaux
@@ -142,6 +143,9 @@ const InvoiceUploader = ({
     setProcessingInfo(null);
 
     try {
+      // Mode lecture seule (impersonation) : ni upload ni appel N8N
+      assertWritable();
+
       // ============================================
       // ÉTAPE 1: Récupérer l'utilisateur connecté
       // ============================================
@@ -14,6 +14,7 @@ import {
   Info
 } from 'lucide-react';
 import { storageService, STORAGE_BUCKETS } from '../services/storage.service';
+import { assertWritable } from '../lib/supabaseClient';
 
 /**
  * SmartUploader - Composant d'upload intelligent avec tagging multi-verticales
@@ -179,6 +180,9 @@ const SmartUploader = ({
     setUploadProgress(0);
 
     try {
+      // Mode lecture seule (impersonation) : ni upload ni appel N8N
+      assertWritable();
+
       // v2.2.0: Upload via storageService avec contexte structuré
       setUploadProgress(30);
       
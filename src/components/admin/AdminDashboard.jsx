@@ -51,6 +51,7 @@ import {
   ArrowRight,
   RefreshCw,
   Database,
+  Lightbulb,
 } from 'lucide-react';
 
 // ============================================================================
@@ -585,6 +586,16 @@ export default function AdminDashboard({
               description="Voir tous les membres"
               onClick={() => handleNavigate('/admin/users?tab=all')}
             />
+
+            {/* Action : Mémoire collective (super_admin uniquement) */}
+            {isSuperAdmin && (
+              <QuickAction
+                icon={Lightbulb}
+                label="Mémoire collective"
+                description="Gérer les Q/A validées par les votes"
+                onClick={() => handleNavigate('/admin/qa-memory')}
+              />
+            )}
           </div>
         </Section>
       </div>
@@ -0,0 +1,115 @@
+/**
+ * ImpersonationBanner.jsx - Baikal Console
+ * ============================================================================
+ * Bandeau affiché sur toutes les pages pendant une impersonation :
+ * utilisateur emprunté, mode lecture seule, temps restant avant l'arrêt
+ * automatique et bouton d'arrêt.
+ *
+ * Journalise aussi chaque page visitée dans la session
+ * (core.impersonation_sessions.pages) : il doit donc être rendu à
+ * l'intérieur du Router.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { UserCheck, Lock, Clock, X } from 'lucide-react';
+
+/**
+ * Temps restant au format mm:ss (ou h:mm:ss)
+ * @param {number} ms
+ */
+const formatRemaining = (ms) => {
+    const total = Math.max(Math.floor(ms / 1000), 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+    const seconds = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+export default function ImpersonationBanner() {
+    const location = useLocation();
+    const {
+        profile,
+        isImpersonating,
+        impersonationSession,
+        isReadOnly,
+        stopImpersonating,
+        logImpersonationPage,
+    } = useAuth();
+    const [now, setNow] = useState(() => Date.now());
+    const [stopping, setStopping] = useState(false);
+
+    const sessionId = impersonationSession?.id;
+    const path = `${location.pathname}${location.search}`;
+
+    // Journal des pages visitées
+    useEffect(() => {
+        if (isImpersonating && sessionId) {
+            logImpersonationPage(path);
+        }
+    }, [isImpersonating, sessionId, path, logImpersonationPage]);
+
+    // Compte à rebours
+    useEffect(() => {
+        if (!isImpersonating) return undefined;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [isImpersonating]);
+
+    if (!isImpersonating) {
+        return null;
+    }
+
+    const remaining = impersonationSession?.expiresAt
+        ? new Date(impersonationSession.expiresAt).getTime() - now
+        : null;
+
+    const handleStop = async () => {
+        setStopping(true);
+        await stopImpersonating();
+        setStopping(false);
+    };
+
+    return (
+        <div className="fixed bottom-0 inset-x-0 z-[60] bg-amber-500 text-black shadow-lg">
+            <div className="max-w-7xl mx-auto px-4 py-2 flex items-center gap-4 text-sm font-mono">
+                <UserCheck className="w-4 h-4 flex-shrink-0" />
+                <span className="font-bold truncate">
+                    IMPERSONATION : {profile?.full_name || profile?.email}
+                </span>
+
+                {isReadOnly && (
+                    <span className="flex items-center gap-1 px-2 py-0.5 bg-black/15 rounded text-xs font-bold">
+                        <Lock className="w-3 h-3" />
+                        LECTURE_SEULE
+                    </span>
+                )}
+
+                {impersonationSession?.reason && (
+                    <span className="hidden md:block truncate text-black/70 font-sans" title={impersonationSession.reason}>
+                        {impersonationSession.reason}
+                    </span>
+                )}
+
+                <div className="ml-auto flex items-center gap-3 flex-shrink-0">
+                    {remaining !== null && (
+                        <span className="flex items-center gap-1" title="Arrêt automatique">
+                            <Clock className="w-4 h-4" />
+                            {formatRemaining(remaining)}
+                        </span>
+                    )}
+                    <button
+                        onClick={handleStop}
+                        disabled={stopping}
+                        className="flex items-center gap-1 px-3 py-1 bg-black text-amber-400 rounded hover:bg-black/80 transition-colors disabled:opacity-50"
+                    >
+                        <X className="w-4 h-4" />
+                        ARRÊTER
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
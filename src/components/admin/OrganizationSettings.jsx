@@ -16,6 +16,8 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { formatDateLong } from '@shared/utils';
+import { useEntitlements } from '../../hooks/useEntitlements';
+import { PLAN_QUOTAS } from '../../services/organization.service';
 import {
     Building2,
     Edit3,
@@ -29,7 +31,8 @@ import {
     Info,
     Zap,
     Calendar,
-    Crown
+    Crown,
+    Gauge
 } from 'lucide-react';
 
 // ============================================================================
@@ -105,6 +108,47 @@ function StatCard({ label, value, icon: Icon, description, color = 'indigo' }) {
     );
 }
 
+/**
+ * Barre utilisation / limite d'un quota du plan
+ * @param {Object} props
+ * @param {string} props.label - Libellé du quota
+ * @param {number} props.used - Consommation courante
+ * @param {number|null} props.limit - Limite (null = illimité)
+ * @param {string} [props.unit] - Unité
+ * @param {boolean} [props.monthly] - Quota remis à zéro chaque mois
+ */
+function UsageBar({ label, used, limit, unit, monthly }) {
+    const suffix = unit ? ` ${unit}` : '';
+    const ratio = limit ? Math.min(used / limit, 1) : 0;
+    const barColor = limit === null
+        ? 'bg-baikal-cyan'
+        : ratio >= 1
+            ? 'bg-red-500'
+            : ratio >= 0.8
+                ? 'bg-amber-500'
+                : 'bg-green-500';
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-1">
+                <span className="text-sm text-white font-sans">
+                    {label}
+                    {monthly && <span className="text-xs text-baikal-text"> / mois</span>}
+                </span>
+                <span className="text-xs font-mono text-baikal-text">
+                    {used.toLocaleString('fr-FR')}{suffix} / {limit === null ? 'ILLIMITÉ' : `${limit.toLocaleString('fr-FR')}${suffix}`}
+                </span>
+            </div>
+            <div className="h-2 bg-baikal-bg rounded-full overflow-hidden border border-baikal-border">
+                <div
+                    className={`h-full ${barColor} transition-all`}
+                    style={{ width: limit === null ? '100%' : `${ratio * 100}%`, opacity: limit === null ? 0.3 : 1 }}
+                />
+            </div>
+        </div>
+    );
+}
+
 // ============================================================================
 // COMPOSANT PRINCIPAL
 // ============================================================================
@@ -124,6 +168,7 @@ export default function OrganizationSettings({
     onUpdateName
 }) {
     const navigate = useNavigate();
+    const { entitlements } = useEntitlements(organization?.id, { enabled: Boolean(organization?.id) });
     
     // États locaux
     const [isEditingName, setIsEditingName] = useState(false);
@@ -341,8 +386,57 @@ export default function OrganizationSettings({
                         color="indigo"
                     />
                 </div>
+
+                {/* Solde épuisé : consommations bloquées par les Edge Functions */}
+                {(organization.credits_balance ?? 0) <= 0 && (
+                    <div className="mt-4 flex items-start gap-3 p-4 bg-red-900/20 border border-red-500/50 rounded-md text-red-300">
+                        <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                        <p className="text-sm font-sans">
+                            Crédits épuisés : les questions à l'assistant, les ingestions et les
+                            transcriptions sont bloquées jusqu'à la prochaine recharge.
+                        </p>
+                    </div>
+                )}
             </div>
 
+            {/* Droits du plan : utilisation / limite */}
+            {entitlements && (
+                <div className="bg-baikal-surface rounded-md p-6 border border-baikal-border">
+                    <h3 className="text-lg font-mono font-medium text-white mb-4 flex items-center gap-2">
+                        <Gauge className="w-5 h-5 text-baikal-text" />
+                        UTILISATION_DU_PLAN
+                        <span className="text-xs text-baikal-text font-normal">({entitlements.planLabel})</span>
+                    </h3>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-4">
+                        {PLAN_QUOTAS.map(quota => (
+                            <UsageBar
+                                key={quota.key}
+                                label={quota.label}
+                                used={Number(entitlements.usage[quota.key] || 0)}
+                                limit={entitlements.limits[quota.key] ?? null}
+                                unit={quota.unit}
+                                monthly={quota.monthly}
+                            />
+                        ))}
+                    </div>
+
+                    <div className="mt-4 pt-4 border-t border-baikal-border flex flex-wrap gap-x-6 gap-y-2 text-sm font-sans">
+                        <span className="text-baikal-text">
+                            Couches : <span className="text-white font-mono">{(entitlements.limits.allowed_layers || []).join(', ').toUpperCase() || '—'}</span>
+                        </span>
+                        <span className="text-baikal-text">
+                            Légifrance : <span className={`font-mono ${entitlements.limits.legifrance ? 'text-green-400' : 'text-baikal-text'}`}>
+                                {entitlements.limits.legifrance ? 'INCLUS' : 'NON_INCLUS'}
+                            </span>
+                        </span>
+                        {Object.keys(entitlements.override).length > 0 && (
+                            <span className="text-amber-400 font-mono text-xs self-center">LIMITES_PERSONNALISÉES</span>
+                        )}
+                    </div>
+                </div>
+            )}
+
             {/* Actions de facturation */}
             {canEdit && (
                 <div className="bg-baikal-surface rounded-md p-6 border border-baikal-border">
@@ -5,21 +5,29 @@
  * 
  * MODIFICATIONS:
  * - profiles → core.profiles (schéma)
+ * - Motif obligatoire, mode lecture seule et durée avant chaque
+ *   impersonation (journal core.impersonation_sessions)
  * ============================================================================
  */
 
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { supabase } from '../../lib/supabaseClient';
+import {
+    IMPERSONATION_TIMEOUTS,
+    DEFAULT_IMPERSONATION_TIMEOUT,
+} from '../../services/impersonation.service';
 import {
     User,
     Loader2,
     AlertCircle,
     ChevronDown,
+    ChevronLeft,
     Shield,
     Users,
     X,
-    Search
+    Search,
+    Lock,
 } from 'lucide-react';
 
 export default function ProfileSwitcher() {
@@ -38,6 +46,11 @@ export default function ProfileSwitcher() {
     const [allUsers, setAllUsers] = useState([]);
     const [loadingUsers, setLoadingUsers] = useState(true);
     const [searchTerm, setSearchTerm] = useState('');
+    // Utilisateur sélectionné, en attente du motif
+    const [pendingUser, setPendingUser] = useState(null);
+    const [reason, setReason] = useState('');
+    const [readOnly, setReadOnly] = useState(true);
+    const [timeoutMinutes, setTimeoutMinutes] = useState(DEFAULT_IMPERSONATION_TIMEOUT);
 
     // Charger tous les utilisateurs depuis la base
     useEffect(() => {
@@ -79,7 +92,7 @@ export default function ProfileSwitcher() {
         u.full_name?.toLowerCase().includes(searchTerm.toLowerCase())
     );
 
-    const handleSwitch = async (targetUser) => {
+    const handleSelect = (targetUser) => {
         // Vérifier si c'est déjà le profil actuel (en tenant compte de l'impersonation)
         const currentProfileId = isImpersonating ? profile?.id : realProfile?.id;
         if (targetUser.id === currentProfileId) {
@@ -87,14 +100,24 @@ export default function ProfileSwitcher() {
             return;
         }
 
+        setError(null);
+        setPendingUser(targetUser);
+    };
+
+    const handleSwitch = async (e) => {
+        e.preventDefault();
+        if (!pendingUser || !reason.trim()) return;
+
         setSwitching(true);
         setError(null);
 
         try {
-            const result = await impersonateUser(targetUser.id);
+            const result = await impersonateUser(pendingUser.id, { reason, readOnly, timeoutMinutes });
             
             if (result.success) {
                 setIsOpen(false);
+                setPendingUser(null);
+                setReason('');
                 // Ne pas recharger la page, juste fermer le menu
                 // L'état sera mis à jour via le contexte
             } else {
@@ -110,7 +133,7 @@ export default function ProfileSwitcher() {
     const handleStopImpersonating = async () => {
         setSwitching(true);
         try {
-            stopImpersonating();
+            await stopImpersonating();
             setIsOpen(false);
             // Ne pas recharger, l'état sera mis à jour via le contexte
         } catch (err) {
@@ -184,7 +207,7 @@ export default function ProfileSwitcher() {
                         </div>
 
                         {/* Recherche */}
-                        {!isImpersonating && (
+                        {!isImpersonating && !pendingUser && (
                             <div className="px-3 py-2 border-b border-slate-200">
                                 <div className="relative">
                                     <Search className="absolute left-2 top-1/2 transform -translate-y-1/2 w-4 h-4 text-slate-400" />
@@ -220,71 +243,141 @@ export default function ProfileSwitcher() {
                             </div>
                         )}
 
-                        <div className="max-h-96 overflow-y-auto">
-                            {loadingUsers ? (
-                                <div className="px-3 py-4 text-center">
-                                    <Loader2 className="w-4 h-4 animate-spin text-slate-400 mx-auto" />
-                                    <p className="text-xs text-slate-500 mt-2">Chargement des utilisateurs...</p>
+                        {pendingUser ? (
+                            <form onSubmit={handleSwitch} className="px-3 py-2 space-y-3">
+                                <div className="flex items-center gap-2">
+                                    <button
+                                        type="button"
+                                        onClick={() => setPendingUser(null)}
+                                        className="p-1 text-slate-500 hover:bg-slate-100 rounded transition-colors"
+                                        title="Retour à la liste"
+                                    >
+                                        <ChevronLeft className="w-4 h-4" />
+                                    </button>
+                                    <div className="min-w-0">
+                                        <p className="text-sm font-medium text-slate-700 truncate">{pendingUser.label}</p>
+                                        <p className="text-xs text-slate-500 truncate">{pendingUser.email}</p>
+                                    </div>
                                 </div>
-                            ) : filteredUsers.length === 0 ? (
-                                <div className="px-3 py-4 text-center">
-                                    <p className="text-xs text-slate-500 mb-2">
-                                        {searchTerm ? 'Aucun utilisateur trouvé' : 'Aucun utilisateur dans la base'}
+
+                                <div>
+                                    <label className="block text-xs font-medium text-slate-600 mb-1">
+                                        Motif *
+                                    </label>
+                                    <textarea
+                                        value={reason}
+                                        onChange={(e) => setReason(e.target.value)}
+                                        placeholder="Ticket support, demande de l'utilisateur..."
+                                        rows={2}
+                                        required
+                                        autoFocus
+                                        className="w-full px-2 py-1.5 text-sm border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent resize-none"
+                                    />
+                                    <p className="text-xs text-slate-400 mt-1">
+                                        Visible par les administrateurs de l'organisation.
                                     </p>
-                                    {searchTerm && (
-                                        <button
-                                            onClick={() => setSearchTerm('')}
-                                            className="text-xs text-indigo-600 hover:underline"
-                                        >
-                                            Effacer la recherche
-                                        </button>
-                                    )}
                                 </div>
-                            ) : (
-                                <>
-                                    <div className="px-3 py-1.5 bg-slate-50 border-b border-slate-200">
-                                        <p className="text-xs text-slate-500">
-                                            {filteredUsers.length} {filteredUsers.length > 1 ? 'utilisateurs' : 'utilisateur'}
-                                            {searchTerm && ` (filtrés)`}
-                                        </p>
+
+                                <label className="flex items-center gap-2 text-sm text-slate-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={readOnly}
+                                        onChange={(e) => setReadOnly(e.target.checked)}
+                                        className="rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+                                    />
+                                    <Lock className="w-3 h-3 text-slate-500" />
+                                    Lecture seule
+                                </label>
+
+                                <div className="flex items-center justify-between gap-2">
+                                    <label className="text-xs font-medium text-slate-600">Arrêt automatique</label>
+                                    <select
+                                        value={timeoutMinutes}
+                                        onChange={(e) => setTimeoutMinutes(Number(e.target.value))}
+                                        className="px-2 py-1 text-sm border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                                    >
+                                        {IMPERSONATION_TIMEOUTS.map(minutes => (
+                                            <option key={minutes} value={minutes}>{minutes} min</option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                <button
+                                    type="submit"
+                                    disabled={switching || !reason.trim()}
+                                    className="w-full flex items-center justify-center gap-2 px-3 py-2 bg-amber-500 hover:bg-amber-600 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+                                >
+                                    {switching && <Loader2 className="w-4 h-4 animate-spin" />}
+                                    Emprunter l'identité
+                                </button>
+                            </form>
+                        ) : (
+                            <div className="max-h-96 overflow-y-auto">
+                                {loadingUsers ? (
+                                    <div className="px-3 py-4 text-center">
+                                        <Loader2 className="w-4 h-4 animate-spin text-slate-400 mx-auto" />
+                                        <p className="text-xs text-slate-500 mt-2">Chargement des utilisateurs...</p>
                                     </div>
-                                    {filteredUsers.map((targetUser) => {
-                                        const Icon = targetUser.icon;
-                                        // Vérifier si c'est le profil actuel (en tenant compte de l'impersonation)
-                                        const currentProfileId = isImpersonating ? profile?.id : realProfile?.id;
-                                        const isCurrent = targetUser.id === currentProfileId;
-                                        
-                                        return (
+                                ) : filteredUsers.length === 0 ? (
+                                    <div className="px-3 py-4 text-center">
+                                        <p className="text-xs text-slate-500 mb-2">
+                                            {searchTerm ? 'Aucun utilisateur trouvé' : 'Aucun utilisateur dans la base'}
+                                        </p>
+                                        {searchTerm && (
                                             <button
-                                                key={targetUser.id}
-                                                onClick={() => handleSwitch(targetUser)}
-                                                disabled={switching || isCurrent}
-                                                className={`w-full px-3 py-2 text-left text-sm flex items-center gap-2 transition-colors ${
-                                                    isCurrent
-                                                        ? 'bg-indigo-50 text-indigo-700 cursor-not-allowed'
-                                                        : 'hover:bg-slate-50 text-slate-700'
-                                                } disabled:opacity-50`}
+                                                onClick={() => setSearchTerm('')}
+                                                className="text-xs text-indigo-600 hover:underline"
                                             >
-                                                <Icon className="w-4 h-4" />
-                                                <div className="flex-1 min-w-0">
-                                                    <p className="font-medium truncate">{targetUser.label}</p>
-                                                    <p className="text-xs text-slate-500 truncate">{targetUser.email}</p>
-                                                    {targetUser.app_role && (
-                                                        <p className="text-xs text-slate-400 mt-0.5">
-                                                            {targetUser.app_role === 'super_admin' ? 'Super Admin' :
-                                                             targetUser.app_role === 'org_admin' ? 'Org Admin' : 'Utilisateur'}
-                                                        </p>
-                                                    )}
-                                                </div>
-                                                {isCurrent && (
-                                                    <span className="text-xs text-indigo-600 font-medium flex-shrink-0">Actuel</span>
-                                                )}
+                                                Effacer la recherche
                                             </button>
-                                        );
-                                    })}
-                                </>
-                            )}
-                        </div>
+                                        )}
+                                    </div>
+                                ) : (
+                                    <>
+                                        <div className="px-3 py-1.5 bg-slate-50 border-b border-slate-200">
+                                            <p className="text-xs text-slate-500">
+                                                {filteredUsers.length} {filteredUsers.length > 1 ? 'utilisateurs' : 'utilisateur'}
+                                                {searchTerm && ` (filtrés)`}
+                                            </p>
+                                        </div>
+                                        {filteredUsers.map((targetUser) => {
+                                            const Icon = targetUser.icon;
+                                            // Vérifier si c'est le profil actuel (en tenant compte de l'impersonation)
+                                            const currentProfileId = isImpersonating ? profile?.id : realProfile?.id;
+                                            const isCurrent = targetUser.id === currentProfileId;
+                                        
+                                            return (
+                                                <button
+                                                    key={targetUser.id}
+                                                    onClick={() => handleSelect(targetUser)}
+                                                    disabled={switching || isCurrent}
+                                                    className={`w-full px-3 py-2 text-left text-sm flex items-center gap-2 transition-colors ${
+                                                        isCurrent
+                                                            ? 'bg-indigo-50 text-indigo-700 cursor-not-allowed'
+                                                            : 'hover:bg-slate-50 text-slate-700'
+                                                    } disabled:opacity-50`}
+                                                >
+                                                    <Icon className="w-4 h-4" />
+                                                    <div className="flex-1 min-w-0">
+                                                        <p className="font-medium truncate">{targetUser.label}</p>
+                                                        <p className="text-xs text-slate-500 truncate">{targetUser.email}</p>
+                                                        {targetUser.app_role && (
+                                                            <p className="text-xs text-slate-400 mt-0.5">
+                                                                {targetUser.app_role === 'super_admin' ? 'Super Admin' :
+                                                                 targetUser.app_role === 'org_admin' ? 'Org Admin' : 'Utilisateur'}
+                                                            </p>
+                                                        )}
+                                                    </div>
+                                                    {isCurrent && (
+                                                        <span className="text-xs text-indigo-600 font-medium flex-shrink-0">Actuel</span>
+                                                    )}
+                                                </button>
+                                            );
+                                        })}
+                                    </>
+                                )}
+                            </div>
+                        )}
 
                         {isImpersonating && (
                             <div className="px-3 py-2 border-t border-slate-200">
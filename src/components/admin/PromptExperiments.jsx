@@ -0,0 +1,509 @@
+/**
+ * PromptExperiments - Expériences A/B de prompts
+ * ============================================================================
+ * Création d'une expérience (agent, app, organisation, prompts A/B, part du
+ * trafic pour B), démarrage / arrêt et résultats par variante : conversations,
+ * réponses et votes des utilisateurs.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { FlaskConical, Play, Square, Trash2, Plus, Loader2, AlertCircle, ChevronDown, ChevronRight, ThumbsUp, ThumbsDown } from 'lucide-react';
+import { cn } from '../../utils/cn';
+import { formatDateTime } from '@shared/utils';
+import { useAuth } from '../../contexts/AuthContext';
+import { useToast } from '../../hooks/useToast';
+import { Button } from '../ui/Button';
+import promptsService from '../../services/prompts.service';
+import {
+  promptExperimentsService,
+  EXPERIMENT_AGENT_TYPES,
+  EXPERIMENT_STATUSES,
+} from '../../services/promptExperiments.service';
+import { AGENT_TYPES } from '../../config/prompts';
+
+const INPUT_CLASS = 'w-full px-3 py-2 bg-baikal-bg border border-baikal-border rounded-md text-white text-sm focus:outline-none focus:border-baikal-cyan transition-colors font-mono';
+
+const STATUS_STYLES = {
+  [EXPERIMENT_STATUSES.DRAFT]: { label: 'BROUILLON', className: 'bg-baikal-border text-baikal-text' },
+  [EXPERIMENT_STATUSES.RUNNING]: { label: 'EN_COURS', className: 'bg-green-900/30 text-green-400' },
+  [EXPERIMENT_STATUSES.STOPPED]: { label: 'ARRÊTÉE', className: 'bg-amber-900/30 text-amber-400' },
+};
+
+const EMPTY_FORM = {
+  name: '',
+  agent_type: EXPERIMENT_AGENT_TYPES[0],
+  app_id: '',
+  org_id: '',
+  variant_a_prompt_id: '',
+  variant_b_prompt_id: '',
+  traffic_split: 50,
+};
+
+/**
+ * Prompts éligibles comme variante : même agent, app de l'expérience ou global
+ */
+function eligiblePrompts(prompts, agentType, appId) {
+  return prompts.filter(p => p.agent_type === agentType && (!p.app_id || p.app_id === appId));
+}
+
+// ============================================================================
+// FORMULAIRE DE CRÉATION
+// ============================================================================
+
+function ExperimentForm({ prompts, apps, onCreated, onCancel }) {
+  const { user } = useAuth();
+  const [values, setValues] = useState(EMPTY_FORM);
+  const [organizations, setOrganizations] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!values.app_id) {
+      setOrganizations([]);
+      return;
+    }
+    promptsService.getOrganizations(values.app_id).then(({ data }) => setOrganizations(data || []));
+  }, [values.app_id]);
+
+  const setField = (field, value) => {
+    setValues((prev) => {
+      const next = { ...prev, [field]: value };
+      // Les variantes dépendent de l'agent et de l'app
+      if (field === 'agent_type' || field === 'app_id') {
+        next.variant_a_prompt_id = '';
+        next.variant_b_prompt_id = '';
+      }
+      if (field === 'app_id') next.org_id = '';
+      return next;
+    });
+  };
+
+  const options = eligiblePrompts(prompts, values.agent_type, values.app_id);
+  const split = Number(values.traffic_split);
+  const isValid = values.name.trim()
+    && values.app_id
+    && values.variant_a_prompt_id
+    && values.variant_b_prompt_id
+    && values.variant_a_prompt_id !== values.variant_b_prompt_id
+    && split >= 0 && split <= 100;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!isValid) return;
+    setSaving(true);
+    const { data, error: createError } = await promptExperimentsService.createExperiment(values, user?.id);
+    setSaving(false);
+
+    if (createError) {
+      setError(createError.message || "Création de l'expérience impossible");
+      return;
+    }
+    onCreated(data);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 space-y-4 bg-baikal-bg border border-baikal-border rounded-md">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-xs font-mono text-baikal-text mb-1">NOM</label>
+          <input
+            type="text"
+            value={values.name}
+            onChange={(e) => setField('name', e.target.value)}
+            placeholder="Ex : Ton plus concis"
+            className={INPUT_CLASS}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-mono text-baikal-text mb-1">AGENT</label>
+          <select value={values.agent_type} onChange={(e) => setField('agent_type', e.target.value)} className={INPUT_CLASS}>
+            {EXPERIMENT_AGENT_TYPES.map((type) => (
+              <option key={type} value={type}>{AGENT_TYPES[type]?.label || type}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-mono text-baikal-text mb-1">PART_DU_TRAFIC_B (%)</label>
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={values.traffic_split}
+            onChange={(e) => setField('traffic_split', e.target.value)}
+            className={INPUT_CLASS}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-mono text-baikal-text mb-1">APP</label>
+          <select value={values.app_id} onChange={(e) => setField('app_id', e.target.value)} className={INPUT_CLASS}>
+            <option value="">Sélectionner...</option>
+            {apps.map((app) => (
+              <option key={app.id} value={app.id}>{app.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-mono text-baikal-text mb-1">ORGANISATION</label>
+          <select
+            value={values.org_id}
+            onChange={(e) => setField('org_id', e.target.value)}
+            disabled={!values.app_id}
+            className={INPUT_CLASS}
+          >
+            <option value="">Toutes les organisations</option>
+            {organizations.map((org) => (
+              <option key={org.id} value={org.id}>{org.name}</option>
+            ))}
+          </select>
+        </div>
+        <div />
+        <div>
+          <label className="block text-xs font-mono text-baikal-text mb-1">VARIANTE_A</label>
+          <select
+            value={values.variant_a_prompt_id}
+            onChange={(e) => setField('variant_a_prompt_id', e.target.value)}
+            disabled={!values.app_id}
+            className={INPUT_CLASS}
+          >
+            <option value="">Sélectionner...</option>
+            {options.map((prompt) => (
+              <option key={prompt.id} value={prompt.id}>{prompt.name}{prompt.is_active ? '' : ' (inactif)'}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-mono text-baikal-text mb-1">VARIANTE_B</label>
+          <select
+            value={values.variant_b_prompt_id}
+            onChange={(e) => setField('variant_b_prompt_id', e.target.value)}
+            disabled={!values.app_id}
+            className={INPUT_CLASS}
+          >
+            <option value="">Sélectionner...</option>
+            {options.filter(prompt => prompt.id !== values.variant_a_prompt_id).map((prompt) => (
+              <option key={prompt.id} value={prompt.id}>{prompt.name}{prompt.is_active ? '' : ' (inactif)'}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <p className="flex items-center gap-2 text-sm font-mono text-red-400">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </p>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="secondary" onClick={onCancel}>
+          Annuler
+        </Button>
+        <Button type="submit" variant="primary" disabled={!isValid} loading={saving}>
+          Créer
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+// ============================================================================
+// RÉSULTATS PAR VARIANTE
+// ============================================================================
+
+function VariantStats({ label, promptName, stats, share }) {
+  const approval = stats?.approvalRate;
+
+  return (
+    <div className="flex-1 p-3 bg-baikal-bg border border-baikal-border rounded-md">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-xs font-mono font-bold text-white">VARIANTE_{label} • {share}%</span>
+        <span className="text-xs font-mono text-baikal-text truncate ml-2">{promptName}</span>
+      </div>
+      <div className="grid grid-cols-4 gap-2 text-center">
+        <div>
+          <p className="text-lg font-mono text-white">{stats?.conversationCount ?? 0}</p>
+          <p className="text-xs font-mono text-baikal-text">CONVERSATIONS</p>
+        </div>
+        <div>
+          <p className="text-lg font-mono text-white">{stats?.messageCount ?? 0}</p>
+          <p className="text-xs font-mono text-baikal-text">RÉPONSES</p>
+        </div>
+        <div>
+          <p className="flex items-center justify-center gap-1 text-lg font-mono text-green-400">
+            <ThumbsUp className="w-4 h-4" />{stats?.upVotes ?? 0}
+          </p>
+          <p className="flex items-center justify-center gap-1 text-sm font-mono text-red-400">
+            <ThumbsDown className="w-3 h-3" />{stats?.downVotes ?? 0}
+          </p>
+        </div>
+        <div>
+          <p className="text-lg font-mono text-baikal-cyan">
+            {approval === null || approval === undefined ? '—' : `${Math.round(approval * 100)}%`}
+          </p>
+          <p className="text-xs font-mono text-baikal-text">APPROBATION</p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// LIGNE D'EXPÉRIENCE
+// ============================================================================
+
+function ExperimentRow({ experiment, promptNames, appNames, onChanged, onDeleted }) {
+  const { error: showError } = useToast();
+  const [expanded, setExpanded] = useState(false);
+  const [stats, setStats] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadStats = useCallback(async () => {
+    const { data, error } = await promptExperimentsService.getExperimentStats(experiment.id);
+    if (!error) setStats(data);
+  }, [experiment.id]);
+
+  useEffect(() => {
+    if (expanded) loadStats();
+  }, [expanded, loadStats]);
+
+  const status = STATUS_STYLES[experiment.status] || STATUS_STYLES[EXPERIMENT_STATUSES.DRAFT];
+  const isRunning = experiment.status === EXPERIMENT_STATUSES.RUNNING;
+  const agent = AGENT_TYPES[experiment.agent_type];
+
+  const runAction = async (action) => {
+    setBusy(true);
+    const { data, error } = await action(experiment.id);
+    setBusy(false);
+    if (error) {
+      showError(error.message || 'Action impossible');
+      return;
+    }
+    onChanged(data);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Supprimer l'expérience « ${experiment.name} » et ses votes ?`)) return;
+    setBusy(true);
+    const { error } = await promptExperimentsService.deleteExperiment(experiment.id);
+    setBusy(false);
+    if (error) {
+      showError(error.message || 'Suppression impossible');
+      return;
+    }
+    onDeleted(experiment.id);
+  };
+
+  return (
+    <div className="border-b border-baikal-border last:border-b-0">
+      <div className="flex items-center gap-3 py-3 px-4 hover:bg-baikal-bg">
+        <button
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+          className="p-1 text-baikal-text hover:text-white"
+          title="Résultats par variante"
+        >
+          {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        </button>
+
+        <div className="flex-1 min-w-0">
+          <p className="text-white font-medium font-sans truncate">
+            {agent?.icon} {experiment.name}
+          </p>
+          <p className="text-xs text-baikal-text font-mono truncate">
+            {appNames[experiment.app_id] || experiment.app_id}
+            {experiment.org_id ? ' • ORGANISATION' : ''}
+            {' • '}A : {promptNames[experiment.variant_a_prompt_id] || '—'}
+            {' / '}B : {promptNames[experiment.variant_b_prompt_id] || '—'}
+          </p>
+        </div>
+
+        <span className="text-xs font-mono text-baikal-text whitespace-nowrap">
+          A {100 - experiment.traffic_split}% / B {experiment.traffic_split}%
+        </span>
+
+        <span className={cn('px-2 py-1 text-xs font-mono rounded whitespace-nowrap', status.className)}>
+          {status.label}
+        </span>
+
+        <div className="flex items-center gap-1 w-24 justify-end">
+          {busy ? (
+            <Loader2 className="w-4 h-4 text-baikal-cyan animate-spin" />
+          ) : (
+            <>
+              {isRunning ? (
+                <button
+                  type="button"
+                  onClick={() => runAction(promptExperimentsService.stopExperiment)}
+                  className="p-2 text-baikal-text hover:text-amber-400 hover:bg-baikal-bg rounded transition-colors"
+                  title="Arrêter"
+                >
+                  <Square className="w-4 h-4" />
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => runAction(promptExperimentsService.startExperiment)}
+                  className="p-2 text-baikal-text hover:text-green-400 hover:bg-baikal-bg rounded transition-colors"
+                  title="Démarrer"
+                >
+                  <Play className="w-4 h-4" />
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={handleDelete}
+                disabled={isRunning}
+                className="p-2 text-baikal-text hover:text-red-400 hover:bg-baikal-bg rounded transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                title={isRunning ? "Arrêter l'expérience avant de la supprimer" : 'Supprimer'}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="px-4 pb-4 space-y-2">
+          {stats === null ? (
+            <div className="flex justify-center py-4">
+              <Loader2 className="w-5 h-5 text-baikal-cyan animate-spin" />
+            </div>
+          ) : (
+            <div className="flex flex-col md:flex-row gap-3">
+              <VariantStats
+                label="A"
+                promptName={promptNames[experiment.variant_a_prompt_id]}
+                stats={stats.A}
+                share={100 - experiment.traffic_split}
+              />
+              <VariantStats
+                label="B"
+                promptName={promptNames[experiment.variant_b_prompt_id]}
+                stats={stats.B}
+                share={experiment.traffic_split}
+              />
+            </div>
+          )}
+          <p className="text-xs font-mono text-baikal-text">
+            {experiment.started_at ? `DÉMARRÉE ${formatDateTime(experiment.started_at)}` : 'JAMAIS_DÉMARRÉE'}
+            {experiment.ended_at ? ` • ARRÊTÉE ${formatDateTime(experiment.ended_at)}` : ''}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================================================================
+// SECTION EXPÉRIENCES
+// ============================================================================
+
+/**
+ * Section des expériences A/B (page Prompts)
+ * @param {Object} props
+ * @param {Array} props.prompts - Prompts chargés par la page (variantes possibles)
+ */
+function PromptExperiments({ prompts }) {
+  const [experiments, setExperiments] = useState([]);
+  const [apps, setApps] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  const loadData = useCallback(async () => {
+    setLoading(true);
+    const [experimentsResult, appsResult] = await Promise.all([
+      promptExperimentsService.getExperiments(),
+      promptsService.getApps(),
+    ]);
+    setError(experimentsResult.error ? experimentsResult.error.message : null);
+    setExperiments(experimentsResult.data);
+    setApps(appsResult.data || []);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const promptNames = Object.fromEntries(prompts.map(p => [p.id, p.name]));
+  const appNames = Object.fromEntries(apps.map(app => [app.id, app.name]));
+
+  const handleCreated = (experiment) => {
+    setExperiments((prev) => [experiment, ...prev]);
+    setShowForm(false);
+  };
+
+  const handleChanged = (experiment) => {
+    setExperiments((prev) => prev.map(e => (e.id === experiment.id ? experiment : e)));
+  };
+
+  const handleDeleted = (experimentId) => {
+    setExperiments((prev) => prev.filter(e => e.id !== experimentId));
+  };
+
+  return (
+    <div className="mb-8">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-3">
+          <FlaskConical className="w-6 h-6 text-baikal-cyan" />
+          <h2 className="text-lg font-mono font-semibold text-white">EXPÉRIENCES_A/B</h2>
+          <span className="text-sm text-baikal-text font-mono">({experiments.length})</span>
+        </div>
+        {!showForm && (
+          <Button variant="secondary" leftIcon={<Plus className="w-4 h-4" />} onClick={() => setShowForm(true)}>
+            Nouvelle expérience
+          </Button>
+        )}
+      </div>
+
+      <p className="mb-3 text-sm text-baikal-text font-sans">
+        Deux prompts d'un même agent se partagent les nouvelles conversations. Chaque conversation
+        garde sa variante ; les votes des utilisateurs sont comptés par variante.
+      </p>
+
+      {showForm && (
+        <div className="mb-3">
+          <ExperimentForm
+            prompts={prompts}
+            apps={apps}
+            onCreated={handleCreated}
+            onCancel={() => setShowForm(false)}
+          />
+        </div>
+      )}
+
+      {error && (
+        <p className="mb-3 flex items-center gap-2 text-sm font-mono text-red-400">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </p>
+      )}
+
+      <div className="bg-baikal-surface rounded-md border border-baikal-border overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="w-6 h-6 text-baikal-cyan animate-spin" />
+          </div>
+        ) : experiments.length === 0 ? (
+          <div className="py-8 text-center text-sm font-mono text-baikal-text">AUCUNE_EXPÉRIENCE</div>
+        ) : (
+          experiments.map((experiment) => (
+            <ExperimentRow
+              key={experiment.id}
+              experiment={experiment}
+              promptNames={promptNames}
+              appNames={appNames}
+              onChanged={handleChanged}
+              onDeleted={handleDeleted}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PromptExperiments;
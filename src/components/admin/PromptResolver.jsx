@@ -0,0 +1,213 @@
+/**
+ * PromptResolver - Configuration résolue d'un agent
+ * ============================================================================
+ * Pour un type d'agent, une app et une organisation : prompt retenu par les
+ * Edge Functions, paramètres effectifs (complétés par DEFAULT_PARAMETERS)
+ * avec l'origine de chaque valeur, et prompts écartés.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Crosshair, Edit, AlertCircle, FlaskConical } from 'lucide-react';
+import { cn } from '../../utils/cn';
+import promptsService from '../../services/prompts.service';
+import {
+  promptExperimentsService,
+  EXPERIMENT_AGENT_TYPES,
+  EXPERIMENT_STATUSES,
+} from '../../services/promptExperiments.service';
+import {
+  AGENT_TYPES_SORTED,
+  PARAMETER_LIMITS,
+  RESOLUTION_SOURCES,
+  resolvePrompt,
+  mergeResolvedParameters,
+} from '../../config/prompts';
+
+const INPUT_CLASS = 'w-full px-3 py-2 bg-baikal-bg border border-baikal-border rounded-md text-white text-sm focus:outline-none focus:border-baikal-cyan transition-colors font-mono';
+
+function formatValue(value) {
+  if (value === undefined || value === null) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function SourceBadge({ source }) {
+  return (
+    <span className={cn('text-xs font-mono', source.textColor)}>{source.label}</span>
+  );
+}
+
+/**
+ * Aperçu de la configuration résolue
+ * @param {Object} props
+ * @param {Array} props.prompts - Prompts chargés par la page
+ * @param {Function} props.onEdit - Ouvre un prompt en édition
+ */
+function PromptResolver({ prompts, onEdit }) {
+  const [agentType, setAgentType] = useState(AGENT_TYPES_SORTED[0]?.id || '');
+  const [appId, setAppId] = useState('');
+  const [orgId, setOrgId] = useState('');
+  const [apps, setApps] = useState([]);
+  const [organizations, setOrganizations] = useState([]);
+  const [experiment, setExperiment] = useState(null);
+
+  useEffect(() => {
+    promptsService.getApps().then(({ data }) => {
+      setApps(data || []);
+      setAppId(prev => prev || data?.[0]?.id || '');
+    });
+  }, []);
+
+  useEffect(() => {
+    setOrgId('');
+    if (!appId) {
+      setOrganizations([]);
+      return;
+    }
+    promptsService.getOrganizations(appId).then(({ data }) => setOrganizations(data || []));
+  }, [appId]);
+
+  // Une expérience A/B en cours remplace le prompt pour une partie des conversations
+  useEffect(() => {
+    setExperiment(null);
+    if (!appId || !EXPERIMENT_AGENT_TYPES.includes(agentType)) return;
+
+    let cancelled = false;
+    promptExperimentsService.getExperiments({ agentType, appId }).then(({ data }) => {
+      if (cancelled) return;
+      const running = data
+        .filter(e => e.status === EXPERIMENT_STATUSES.RUNNING && (!e.org_id || e.org_id === orgId))
+        .sort((a, b) => Number(!!b.org_id) - Number(!!a.org_id));
+      setExperiment(running[0] || null);
+    });
+    return () => { cancelled = true; };
+  }, [agentType, appId, orgId]);
+
+  const { winner, candidates } = resolvePrompt(prompts, { agentType, appId, orgId: orgId || null });
+  const parameters = mergeResolvedParameters(winner);
+  const promptNames = Object.fromEntries(prompts.map(p => [p.id, p.name]));
+
+  return (
+    <div className="mb-8">
+      <div className="flex items-center gap-3 mb-3">
+        <Crosshair className="w-6 h-6 text-baikal-cyan" />
+        <h2 className="text-lg font-mono font-semibold text-white">CONFIGURATION_RÉSOLUE</h2>
+      </div>
+
+      <div className="bg-baikal-surface rounded-md border border-baikal-border p-4 space-y-4">
+        {/* Périmètre */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-xs font-mono text-baikal-text mb-1">AGENT</label>
+            <select value={agentType} onChange={(e) => setAgentType(e.target.value)} className={INPUT_CLASS}>
+              {AGENT_TYPES_SORTED.map((agent) => (
+                <option key={agent.id} value={agent.id}>{agent.icon} {agent.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-mono text-baikal-text mb-1">APP</label>
+            <select value={appId} onChange={(e) => setAppId(e.target.value)} className={INPUT_CLASS}>
+              {apps.map((app) => (
+                <option key={app.id} value={app.id}>{app.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-mono text-baikal-text mb-1">ORGANISATION</label>
+            <select value={orgId} onChange={(e) => setOrgId(e.target.value)} className={INPUT_CLASS}>
+              <option value="">Aucune (niveau app)</option>
+              {organizations.map((org) => (
+                <option key={org.id} value={org.id}>{org.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Prompt retenu */}
+        {winner ? (
+          <div className="flex items-center gap-3 p-3 bg-baikal-bg border border-baikal-cyan/50 rounded-md">
+            <div className="flex-1 min-w-0">
+              <p className="text-xs font-mono text-baikal-cyan mb-0.5">PROMPT_RETENU</p>
+              <p className="text-white font-medium font-sans truncate">{winner.name}</p>
+              <p className="text-xs font-mono text-baikal-text">
+                NIVEAU <SourceBadge source={winner.org_id ? RESOLUTION_SOURCES.organization : RESOLUTION_SOURCES.app} />
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => onEdit(winner)}
+              className="p-2 text-baikal-text hover:text-baikal-cyan hover:bg-baikal-surface rounded transition-colors"
+              title="Modifier"
+            >
+              <Edit className="w-4 h-4" />
+            </button>
+          </div>
+        ) : (
+          <p className="flex items-center gap-2 p-3 bg-amber-900/20 border border-amber-500/50 rounded-md text-sm font-mono text-amber-300">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            AUCUN_PROMPT_ACTIF — l'agent utilise sa configuration de secours intégrée
+          </p>
+        )}
+
+        {experiment && (
+          <p className="flex items-center gap-2 p-3 bg-baikal-cyan/10 border border-baikal-cyan/50 rounded-md text-sm font-sans text-baikal-text">
+            <FlaskConical className="w-4 h-4 text-baikal-cyan flex-shrink-0" />
+            Expérience « {experiment.name} » en cours : {experiment.traffic_split}% des conversations utilisent
+            « {promptNames[experiment.variant_b_prompt_id] || 'variante B'} », les autres
+            « {promptNames[experiment.variant_a_prompt_id] || 'variante A'} ».
+          </p>
+        )}
+
+        {/* Paramètres effectifs */}
+        <div className="border border-baikal-border rounded-md overflow-hidden">
+          <table className="w-full text-sm">
+            <thead className="bg-baikal-bg">
+              <tr className="text-left text-xs font-mono text-baikal-text">
+                <th className="px-3 py-2">PARAMÈTRE</th>
+                <th className="px-3 py-2">VALEUR</th>
+                <th className="px-3 py-2 w-32">ORIGINE</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-baikal-border">
+              {parameters.map(({ key, value, source }) => (
+                <tr key={key}>
+                  <td className="px-3 py-1.5">
+                    <span className="text-white font-sans">{PARAMETER_LIMITS[key]?.label || key}</span>
+                    <span className="ml-2 text-xs font-mono text-baikal-text">{key}</span>
+                  </td>
+                  <td className="px-3 py-1.5 font-mono text-white break-all">{formatValue(value)}</td>
+                  <td className="px-3 py-1.5"><SourceBadge source={source} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Prompts écartés */}
+        {candidates.some(c => c.reason) && (
+          <div>
+            <p className="text-xs font-mono text-baikal-text mb-2">PROMPTS_ÉCARTÉS</p>
+            <ul className="space-y-1">
+              {candidates.filter(c => c.reason).map(({ prompt, reason }) => (
+                <li key={prompt.id} className="flex items-center justify-between gap-3 text-sm">
+                  <button
+                    type="button"
+                    onClick={() => onEdit(prompt)}
+                    className="text-baikal-text hover:text-white font-sans truncate text-left"
+                  >
+                    {prompt.name}
+                  </button>
+                  <span className="text-xs font-mono text-baikal-text whitespace-nowrap">{reason}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PromptResolver;
@@ -0,0 +1,265 @@
+/**
+ * PromptRevisions - Historique des versions d'un prompt
+ * ============================================================================
+ * Liste des révisions (auteur, date), diff côte à côte de deux révisions
+ * (prompt système, prompt Gemini, paramètres JSON) et restauration.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { RotateCcw, Loader2, AlertCircle, GitCompare } from 'lucide-react';
+import { cn } from '../../utils/cn';
+import { formatDateTime, diffLinesSideBySide, stableStringify } from '@shared/utils';
+import promptsService from '../../services/prompts.service';
+
+/**
+ * Lignes de contexte conservées autour des changements
+ */
+const CONTEXT_LINES = 2;
+
+const CELL_STYLES = {
+  equal: 'text-baikal-text',
+  removed: 'bg-red-900/30 text-red-300',
+  added: 'bg-green-900/30 text-green-300',
+};
+
+/**
+ * Ne conserve que les lignes modifiées et leur contexte
+ */
+function collapseUnchanged(rows) {
+  const changed = rows.map(row => row.left?.type !== 'equal' || row.right?.type !== 'equal');
+  const visible = rows.map((_, index) => {
+    for (let k = Math.max(0, index - CONTEXT_LINES); k <= Math.min(rows.length - 1, index + CONTEXT_LINES); k++) {
+      if (changed[k]) return true;
+    }
+    return false;
+  });
+
+  const result = [];
+  rows.forEach((row, index) => {
+    if (visible[index]) {
+      result.push(row);
+    } else if (!result[result.length - 1]?.skipped) {
+      result.push({ skipped: true });
+    }
+  });
+  return result;
+}
+
+/**
+ * Diff côte à côte d'un champ
+ */
+function DiffBlock({ title, oldText, newText, changesOnly }) {
+  const rows = diffLinesSideBySide(oldText, newText);
+  const hasChanges = rows.some(row => row.left?.type !== 'equal' || row.right?.type !== 'equal');
+  const displayed = changesOnly ? collapseUnchanged(rows) : rows;
+
+  return (
+    <div className="border border-baikal-border rounded-md overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-2 bg-baikal-bg border-b border-baikal-border">
+        <span className="text-xs font-mono text-white uppercase">{title}</span>
+        <span className={cn('text-xs font-mono', hasChanges ? 'text-amber-400' : 'text-baikal-text')}>
+          {hasChanges ? 'MODIFIÉ' : 'IDENTIQUE'}
+        </span>
+      </div>
+      {hasChanges && (
+        <div className="max-h-96 overflow-auto">
+          <table className="w-full table-fixed text-xs font-mono">
+            <tbody>
+              {displayed.map((row, index) => (
+                row.skipped ? (
+                  <tr key={index}>
+                    <td colSpan={2} className="px-3 py-1 text-center text-baikal-text bg-baikal-bg">⋯</td>
+                  </tr>
+                ) : (
+                  <tr key={index} className="align-top">
+                    <td className={cn('w-1/2 px-3 py-0.5 whitespace-pre-wrap break-words border-r border-baikal-border', row.left ? CELL_STYLES[row.left.type] : 'bg-baikal-bg')}>
+                      {row.left?.text}
+                    </td>
+                    <td className={cn('w-1/2 px-3 py-0.5 whitespace-pre-wrap break-words', row.right ? CELL_STYLES[row.right.type] : 'bg-baikal-bg')}>
+                      {row.right?.text}
+                    </td>
+                  </tr>
+                )
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function revisionAuthor(revision) {
+  return revision.author?.full_name || revision.author?.email || 'Système';
+}
+
+/**
+ * Historique des versions
+ * @param {Object} props
+ * @param {string} props.promptId - UUID du prompt
+ * @param {Function} props.onRestored - Appelée avec le prompt restauré et la révision d'origine
+ */
+function PromptRevisions({ promptId, onRestored }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [leftId, setLeftId] = useState(null);
+  const [rightId, setRightId] = useState(null);
+  const [changesOnly, setChangesOnly] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const loadRevisions = useCallback(async () => {
+    setLoading(true);
+    const { data, error: loadError } = await promptsService.getPromptRevisions(promptId);
+    setError(loadError ? loadError.message : null);
+    setRevisions(data);
+    // Par défaut : révision précédente ↔ révision actuelle
+    setRightId(data[0]?.id || null);
+    setLeftId(data[1]?.id || data[0]?.id || null);
+    setLoading(false);
+  }, [promptId]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restaurer la version ${revision.revision_number} ? Les modifications non enregistrées du formulaire seront perdues.`)) {
+      return;
+    }
+    setRestoringId(revision.id);
+    const { data, error: restoreError } = await promptsService.restorePromptRevision(revision.id);
+    setRestoringId(null);
+
+    if (restoreError) {
+      setError(restoreError.message || 'Restauration impossible');
+      return;
+    }
+    await loadRevisions();
+    onRestored(data, revision);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="w-6 h-6 text-baikal-cyan animate-spin" />
+      </div>
+    );
+  }
+
+  const left = revisions.find(r => r.id === leftId);
+  const right = revisions.find(r => r.id === rightId);
+  const currentId = revisions[0]?.id;
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <p className="flex items-center gap-2 text-sm font-mono text-red-400">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </p>
+      )}
+
+      {revisions.length === 0 ? (
+        <p className="py-6 text-center text-sm font-mono text-baikal-text">AUCUNE_VERSION</p>
+      ) : (
+        <>
+          {/* Liste des révisions */}
+          <div className="max-h-64 overflow-y-auto border border-baikal-border rounded-md divide-y divide-baikal-border">
+            {revisions.map((revision) => (
+              <div key={revision.id} className="flex items-center gap-3 px-3 py-2 bg-baikal-bg">
+                <span className="w-10 text-sm font-mono font-bold text-white">v{revision.revision_number}</span>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-white font-sans truncate">
+                    {revisionAuthor(revision)}
+                    <span className="text-baikal-text"> • {formatDateTime(revision.created_at)}</span>
+                  </p>
+                  <div className="flex items-center gap-2 mt-0.5">
+                    {revision.id === currentId && (
+                      <span className="text-xs font-mono text-green-400">ACTUELLE</span>
+                    )}
+                    {revision.restored_from_revision && (
+                      <span className="text-xs font-mono text-amber-400">RESTAURÉE_DE v{revision.restored_from_revision}</span>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center gap-1 text-xs font-mono">
+                  <button
+                    type="button"
+                    onClick={() => setLeftId(revision.id)}
+                    className={cn('px-2 py-1 rounded border transition-colors', revision.id === leftId ? 'border-red-400 text-red-300' : 'border-baikal-border text-baikal-text hover:text-white')}
+                    title="Afficher à gauche"
+                  >
+                    A
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setRightId(revision.id)}
+                    className={cn('px-2 py-1 rounded border transition-colors', revision.id === rightId ? 'border-green-400 text-green-300' : 'border-baikal-border text-baikal-text hover:text-white')}
+                    title="Afficher à droite"
+                  >
+                    B
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRestore(revision)}
+                    disabled={revision.id === currentId || restoringId !== null}
+                    className="ml-1 p-1.5 text-baikal-text hover:text-baikal-cyan rounded transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                    title="Restaurer cette version"
+                  >
+                    {restoringId === revision.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCcw className="w-4 h-4" />}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* Diff */}
+          {left && right && (
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <p className="flex items-center gap-2 text-xs font-mono text-baikal-text">
+                  <GitCompare className="w-4 h-4 text-baikal-cyan" />
+                  <span className="text-red-300">v{left.revision_number}</span>
+                  →
+                  <span className="text-green-300">v{right.revision_number}</span>
+                </p>
+                <label className="flex items-center gap-2 text-xs font-mono text-baikal-text cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={changesOnly}
+                    onChange={(e) => setChangesOnly(e.target.checked)}
+                    className="accent-baikal-cyan"
+                  />
+                  CHANGEMENTS_SEULEMENT
+                </label>
+              </div>
+
+              {(left.name !== right.name || (left.description || '') !== (right.description || '')) && (
+                <DiffBlock
+                  title="Nom et description"
+                  oldText={`${left.name}\n${left.description || ''}`}
+                  newText={`${right.name}\n${right.description || ''}`}
+                  changesOnly={false}
+                />
+              )}
+              <DiffBlock title="Prompt système" oldText={left.system_prompt} newText={right.system_prompt} changesOnly={changesOnly} />
+              {(left.gemini_system_prompt || right.gemini_system_prompt) && (
+                <DiffBlock title="Prompt Gemini" oldText={left.gemini_system_prompt} newText={right.gemini_system_prompt} changesOnly={changesOnly} />
+              )}
+              <DiffBlock
+                title="Paramètres (JSON)"
+                oldText={stableStringify(left.parameters)}
+                newText={stableStringify(right.parameters)}
+                changesOnly={changesOnly}
+              />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PromptRevisions;
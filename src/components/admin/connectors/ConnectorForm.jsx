@@ -0,0 +1,309 @@
+// ============================================================================
+// Composant ConnectorForm - Création / modification d'un connecteur
+// ============================================================================
+
+import React, { useState } from 'react';
+import {
+    CONNECTOR_TYPES,
+    CONNECTOR_AUTH_TYPES,
+    CONNECTOR_SCHEDULES,
+} from '../../../config/ingestion.config';
+import { CREDENTIALS_REF_PATTERN, getSecretName } from '../../../services/connectors.service';
+import { Loader2, KeyRound, Save } from 'lucide-react';
+
+const INPUT_CLASS = 'w-full px-4 py-2.5 bg-baikal-surface border border-baikal-border rounded-md focus:outline-none focus:ring-2 focus:ring-baikal-cyan focus:border-transparent text-white font-sans';
+const LABEL_CLASS = 'block text-xs font-mono text-baikal-text mb-1.5 uppercase';
+
+const LAYER_LABELS = {
+    app: 'Verticale métier',
+    org: 'Organisation',
+    project: 'Projet',
+};
+
+/**
+ * Champ de configuration décrit par CONNECTOR_TYPES[type].fields
+ */
+function ConfigField({ field, value, onChange }) {
+    if (field.type === 'checkbox') {
+        return (
+            <label className="flex items-center gap-2 text-sm text-white font-sans cursor-pointer md:col-span-2">
+                <input
+                    type="checkbox"
+                    checked={Boolean(value)}
+                    onChange={(e) => onChange(e.target.checked)}
+                    className="accent-baikal-cyan"
+                />
+                {field.label}
+            </label>
+        );
+    }
+
+    return (
+        <div>
+            <label className={LABEL_CLASS}>
+                {field.label} {field.required && '*'}
+            </label>
+            {field.type === 'select' ? (
+                <select value={value || field.options[0].value} onChange={(e) => onChange(e.target.value)} className={INPUT_CLASS}>
+                    {field.options.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            ) : (
+                <input
+                    type={field.type === 'number' ? 'number' : 'text'}
+                    value={value ?? ''}
+                    onChange={(e) => onChange(e.target.value)}
+                    placeholder={field.placeholder}
+                    className={`${INPUT_CLASS} font-mono text-sm`}
+                />
+            )}
+        </div>
+    );
+}
+
+/**
+ * Formulaire de connecteur
+ * @param {Object} props
+ * @param {Object|null} props.connector - Connecteur existant (null = création)
+ * @param {Object} props.target - Cible { layer, orgId, projectIds } (création) ou du connecteur
+ * @param {Array} props.categories - Catégories disponibles pour la cible
+ * @param {boolean} props.saving - Enregistrement en cours
+ * @param {Function} props.onSubmit - Reçoit les champs du connecteur
+ * @param {Function} props.onCancel - Annulation
+ */
+export default function ConnectorForm({ connector = null, target, categories = [], saving, onSubmit, onCancel }) {
+    const [values, setValues] = useState(() => ({
+        name: connector?.name || '',
+        connector_type: connector?.connector_type || 'rest_json',
+        credentials_ref: connector?.credentials_ref || '',
+        schedule: connector?.schedule || 'manual',
+        category: connector?.metadata?.category || '',
+        enabled: connector?.enabled ?? true,
+    }));
+    const [config, setConfig] = useState(() => ({ auth_type: 'none', ...(connector?.config || {}) }));
+    const [formError, setFormError] = useState(null);
+
+    const typeConfig = CONNECTOR_TYPES[values.connector_type];
+    const visibleFields = typeConfig.fields.filter(field => !field.visibleWhen || field.visibleWhen(config));
+
+    const setValue = (key, value) => setValues(prev => ({ ...prev, [key]: value }));
+    const setConfigValue = (key, value) => setConfig(prev => ({ ...prev, [key]: value }));
+
+    const handleTypeChange = (type) => {
+        setValue('connector_type', type);
+        // La configuration dépend de l'adaptateur : on ne garde que l'authentification
+        setConfig(prev => ({ auth_type: prev.auth_type, auth_header: prev.auth_header }));
+    };
+
+    const handleSubmit = () => {
+        if (!values.name.trim()) {
+            setFormError('Le nom est obligatoire');
+            return;
+        }
+        const missing = visibleFields.find(field => field.required && !String(config[field.key] ?? '').trim());
+        if (missing) {
+            setFormError(`Champ obligatoire : ${missing.label}`);
+            return;
+        }
+        const typeError = typeConfig.validate(config);
+        if (typeError) {
+            setFormError(typeError);
+            return;
+        }
+        if (config.auth_type === 'header' && !config.auth_header?.trim()) {
+            setFormError('Indiquez le nom du header d\'authentification');
+            return;
+        }
+        if (config.auth_type !== 'none' && !values.credentials_ref.trim()) {
+            setFormError('Indiquez le nom du secret Vault contenant les identifiants');
+            return;
+        }
+        if (config.auth_type !== 'none' && !CREDENTIALS_REF_PATTERN.test(values.credentials_ref.trim())) {
+            setFormError('Nom du secret : minuscules, chiffres et « _ » uniquement (64 caractères max.)');
+            return;
+        }
+
+        // Ne conserver que les champs visibles de l'adaptateur (+ authentification)
+        const cleanConfig = { auth_type: config.auth_type };
+        if (config.auth_type === 'header') cleanConfig.auth_header = config.auth_header;
+        visibleFields.forEach(field => {
+            const value = config[field.key];
+            if (value === undefined || value === '') return;
+            cleanConfig[field.key] = field.type === 'number' ? Number(value) : value;
+        });
+
+        setFormError(null);
+        onSubmit({
+            name: values.name,
+            connector_type: values.connector_type,
+            config: cleanConfig,
+            credentials_ref: config.auth_type === 'none' ? null : values.credentials_ref,
+            schedule: values.schedule,
+            metadata: { ...(connector?.metadata || {}), category: values.category || null },
+            enabled: values.enabled,
+        });
+    };
+
+    return (
+        <div className="space-y-6 p-4 bg-baikal-surface/50 border border-baikal-border rounded-md">
+            <div className="flex items-center justify-between">
+                <h3 className="text-sm font-mono font-semibold text-white">
+                    {connector ? 'MODIFIER_LE_CONNECTEUR' : 'NOUVEAU_CONNECTEUR'}
+                </h3>
+                <span className="text-xs font-mono text-baikal-text">
+                    Cible : {LAYER_LABELS[target.layer] || target.layer}
+                    {target.layer === 'project' && ` (${target.projectIds.length} projet${target.projectIds.length > 1 ? 's' : ''})`}
+                </span>
+            </div>
+
+            {/* Type d'adaptateur (fixé après création) */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {Object.entries(CONNECTOR_TYPES).map(([type, typeDef]) => (
+                    <button
+                        key={type}
+                        onClick={() => handleTypeChange(type)}
+                        disabled={Boolean(connector)}
+                        className={`flex items-center gap-3 p-3 rounded-md border text-left transition-colors ${
+                            values.connector_type === type
+                                ? 'border-baikal-cyan bg-baikal-cyan/10'
+                                : 'border-baikal-border hover:border-baikal-cyan/50 disabled:opacity-50 disabled:hover:border-baikal-border'
+                        }`}
+                    >
+                        <typeDef.icon className="w-5 h-5 text-baikal-cyan" />
+                        <div>
+                            <p className="text-sm font-mono text-white">{typeDef.label}</p>
+                            <p className="text-xs text-baikal-text font-sans">{typeDef.description}</p>
+                        </div>
+                    </button>
+                ))}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="md:col-span-2">
+                    <label className={LABEL_CLASS}>Nom *</label>
+                    <input
+                        type="text"
+                        value={values.name}
+                        onChange={(e) => setValue('name', e.target.value)}
+                        placeholder="Base documentaire fournisseur"
+                        className={INPUT_CLASS}
+                    />
+                </div>
+
+                {visibleFields.map(field => (
+                    <ConfigField
+                        key={field.key}
+                        field={field}
+                        value={config[field.key]}
+                        onChange={(value) => setConfigValue(field.key, value)}
+                    />
+                ))}
+            </div>
+
+            {/* Authentification */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pt-4 border-t border-baikal-border">
+                <div>
+                    <label className={LABEL_CLASS}>Authentification</label>
+                    <select
+                        value={config.auth_type}
+                        onChange={(e) => setConfigValue('auth_type', e.target.value)}
+                        className={INPUT_CLASS}
+                    >
+                        {CONNECTOR_AUTH_TYPES.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </div>
+                {config.auth_type === 'header' && (
+                    <div>
+                        <label className={LABEL_CLASS}>Nom du header *</label>
+                        <input
+                            type="text"
+                            value={config.auth_header || ''}
+                            onChange={(e) => setConfigValue('auth_header', e.target.value)}
+                            placeholder="X-API-Key"
+                            className={`${INPUT_CLASS} font-mono text-sm`}
+                        />
+                    </div>
+                )}
+                {config.auth_type !== 'none' && (
+                    <div className="md:col-span-2">
+                        <label className={LABEL_CLASS}>Secret Vault *</label>
+                        <div className="relative">
+                            <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-baikal-text" />
+                            <input
+                                type="text"
+                                value={values.credentials_ref}
+                                onChange={(e) => setValue('credentials_ref', e.target.value)}
+                                placeholder="fournisseur_token"
+                                className={`${INPUT_CLASS} pl-10 font-mono text-sm`}
+                            />
+                        </div>
+                        <p className="text-xs text-baikal-text mt-1 font-sans">
+                            Secret Supabase Vault contenant le token ou « utilisateur:mot_de_passe », nommé{' '}
+                            <span className="font-mono text-white break-all">
+                                {getSecretName(target.layer, target.orgId, values.credentials_ref.trim())}
+                            </span>
+                            . Les identifiants ne sont jamais stockés dans la console.
+                        </p>
+                    </div>
+                )}
+            </div>
+
+            {/* Ingestion */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pt-4 border-t border-baikal-border">
+                <div>
+                    <label className={LABEL_CLASS}>Planification</label>
+                    <select
+                        value={values.schedule}
+                        onChange={(e) => setValue('schedule', e.target.value)}
+                        className={INPUT_CLASS}
+                    >
+                        {CONNECTOR_SCHEDULES.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className={LABEL_CLASS}>Catégorie</label>
+                    <select
+                        value={values.category}
+                        onChange={(e) => setValue('category', e.target.value)}
+                        className={INPUT_CLASS}
+                    >
+                        <option value="">Sélectionner une catégorie</option>
+                        {categories.map(cat => (
+                            <option key={cat.id} value={cat.id}>{cat.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-white font-sans cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={values.enabled}
+                        onChange={(e) => setValue('enabled', e.target.checked)}
+                        className="accent-baikal-cyan"
+                    />
+                    Connecteur actif
+                </label>
+            </div>
+
+            {formError && <p className="text-sm text-red-400 font-mono">{formError}</p>}
+
+            <div className="flex items-center justify-end gap-4 pt-4 border-t border-baikal-border">
+                <button onClick={onCancel} className="px-4 py-2 text-baikal-text hover:text-white transition-colors font-sans">
+                    Annuler
+                </button>
+                <button
+                    onClick={handleSubmit}
+                    disabled={saving}
+                    className="flex items-center gap-2 px-6 py-2.5 bg-baikal-cyan text-black rounded-md hover:opacity-80 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed font-mono"
+                >
+                    {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                    ENREGISTRER
+                </button>
+            </div>
+        </div>
+    );
+}
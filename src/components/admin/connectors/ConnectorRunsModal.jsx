@@ -0,0 +1,258 @@
+// ============================================================================
+// Composant ConnectorRunsModal - Historique des exécutions d'un connecteur
+// ============================================================================
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { connectorsService } from '../../../services/connectors.service';
+import { CONNECTOR_RUN_STATUSES } from '../../../config/ingestion.config';
+import {
+    X,
+    History,
+    Loader2,
+    RefreshCw,
+    AlertTriangle,
+    ChevronDown,
+    ChevronUp,
+} from 'lucide-react';
+
+// Rafraîchissement tant qu'une exécution est en cours
+const POLL_INTERVAL_MS = 3000;
+
+/**
+ * Badge de statut d'une exécution
+ */
+export function RunStatusBadge({ status }) {
+    const config = CONNECTOR_RUN_STATUSES[status] || CONNECTOR_RUN_STATUSES.pending;
+    const Icon = config.icon;
+
+    return (
+        <span className={`inline-flex items-center gap-1.5 text-xs font-mono ${config.color}`}>
+            <Icon className={`w-3.5 h-3.5 ${config.animate ? 'animate-spin' : ''}`} />
+            {config.label.toUpperCase()}
+        </span>
+    );
+}
+
+function formatDuration(seconds) {
+    if (seconds == null) return null;
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function formatDate(value) {
+    if (!value) return '-';
+    return new Date(value).toLocaleDateString('fr-FR', {
+        day: '2-digit',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+}
+
+/**
+ * Ligne d'exécution (dépliable : compteurs et erreurs par élément)
+ */
+function RunRow({ run, expanded, onToggleExpand }) {
+    const errorDetails = Array.isArray(run.error_details) ? run.error_details : [];
+    const counters = [
+        { label: 'Trouvés', value: run.items_found, color: 'text-white' },
+        { label: 'Créés', value: run.items_created, color: 'text-green-400' },
+        { label: 'Mis à jour', value: run.items_updated, color: 'text-baikal-cyan' },
+        { label: 'Inchangés', value: run.items_unchanged, color: 'text-baikal-text' },
+        { label: 'Échecs', value: run.items_failed, color: 'text-red-400' },
+    ];
+
+    return (
+        <div className="border-b border-baikal-border last:border-b-0">
+            <button
+                onClick={() => onToggleExpand(run.id)}
+                className="w-full flex items-center gap-4 px-4 py-3 text-left hover:bg-baikal-surface transition-colors"
+            >
+                <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-3">
+                        <RunStatusBadge status={run.status} />
+                        <span className="text-xs font-mono text-baikal-text">
+                            {run.trigger === 'schedule' ? 'PLANIFIÉE' : 'MANUELLE'}
+                        </span>
+                    </div>
+                    <p className="text-xs text-baikal-text mt-1 font-sans">
+                        {formatDate(run.started_at || run.created_at)}
+                        {run.duration_seconds != null && ` • Durée : ${formatDuration(run.duration_seconds)}`}
+                    </p>
+                </div>
+                <div className="flex items-center gap-4 text-xs font-mono text-baikal-text">
+                    <span>
+                        <span className="text-white">{(run.items_created || 0) + (run.items_updated || 0)}</span> ingérés
+                    </span>
+                    {run.items_failed > 0 && (
+                        <span className="text-red-400">{run.items_failed} échec{run.items_failed > 1 ? 's' : ''}</span>
+                    )}
+                    {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                </div>
+            </button>
+
+            {expanded && (
+                <div className="px-4 pb-4 space-y-3">
+                    <div className="grid grid-cols-5 gap-2">
+                        {counters.map(counter => (
+                            <div key={counter.label} className="p-2 bg-baikal-surface border border-baikal-border rounded-md text-center">
+                                <p className={`text-lg font-mono font-bold ${counter.color}`}>{counter.value || 0}</p>
+                                <p className="text-xs text-baikal-text font-sans">{counter.label}</p>
+                            </div>
+                        ))}
+                    </div>
+
+                    {run.error_message && (
+                        <div className="p-3 bg-red-900/20 border border-red-500/50 rounded-md flex items-start gap-2">
+                            <AlertTriangle className="w-4 h-4 text-red-400 flex-shrink-0 mt-0.5" />
+                            <p className="text-xs text-red-300 font-mono">{run.error_message}</p>
+                        </div>
+                    )}
+
+                    {errorDetails.length > 0 && (
+                        <div className="space-y-1">
+                            <p className="text-xs font-mono text-baikal-text uppercase">Erreurs par élément</p>
+                            <ul className="max-h-48 overflow-y-auto space-y-1">
+                                {errorDetails.map((detail, index) => (
+                                    <li key={`${detail.external_id}-${index}`} className="text-xs font-mono">
+                                        <span className="text-white">{detail.title || detail.external_id}</span>
+                                        <span className="text-red-400"> — {detail.error}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    <p className="text-xs text-baikal-text font-mono">ID: {run.id}</p>
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Modal d'historique des exécutions
+ * @param {Object} props
+ * @param {Object} props.connector - Connecteur (id, name)
+ * @param {Function} props.onClose - Fermeture
+ */
+export default function ConnectorRunsModal({ connector, onClose }) {
+    const [runs, setRuns] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [expandedRuns, setExpandedRuns] = useState(new Set());
+
+    const loadRuns = useCallback(async () => {
+        const { data, error: loadError } = await connectorsService.getConnectorRuns(connector.id);
+        setError(loadError ? loadError.message : null);
+        setRuns(data);
+        setLoading(false);
+    }, [connector.id]);
+
+    useEffect(() => {
+        loadRuns();
+    }, [loadRuns]);
+
+    const hasActiveRun = runs.some(run => run.status === 'running' || run.status === 'pending');
+
+    useEffect(() => {
+        if (!hasActiveRun) return undefined;
+        const timer = setInterval(loadRuns, POLL_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [hasActiveRun, loadRuns]);
+
+    const toggleExpand = (runId) => {
+        setExpandedRuns(prev => {
+            const next = new Set(prev);
+            if (next.has(runId)) next.delete(runId);
+            else next.add(runId);
+            return next;
+        });
+    };
+
+    const durations = runs.filter(run => run.duration_seconds != null).map(run => run.duration_seconds);
+    const stats = {
+        total: runs.length,
+        completed: runs.filter(run => run.status === 'completed').length,
+        failed: runs.filter(run => run.status === 'failed').length,
+        avgDuration: durations.length > 0
+            ? Math.round(durations.reduce((acc, d) => acc + d, 0) / durations.length)
+            : null,
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+            <div className="fixed inset-0 bg-black/70" onClick={onClose} />
+
+            <div className="flex min-h-full items-center justify-center p-4">
+                <div
+                    className="relative w-full max-w-3xl bg-black border border-baikal-border rounded-md"
+                    onClick={e => e.stopPropagation()}
+                >
+                    {/* Header */}
+                    <div className="flex items-center justify-between px-6 py-4 border-b border-baikal-border">
+                        <div className="flex items-center gap-3">
+                            <History className="w-5 h-5 text-baikal-cyan" />
+                            <div>
+                                <h2 className="text-lg font-mono font-semibold text-white">HISTORIQUE_EXÉCUTIONS</h2>
+                                <p className="text-sm text-baikal-text font-sans">{connector.name}</p>
+                            </div>
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <button
+                                onClick={loadRuns}
+                                className="p-2 text-baikal-text hover:text-white transition-colors"
+                                title="Rafraîchir"
+                            >
+                                <RefreshCw className={`w-4 h-4 ${hasActiveRun ? 'animate-spin' : ''}`} />
+                            </button>
+                            <button onClick={onClose} className="p-2 text-baikal-text hover:text-white transition-colors">
+                                <X className="w-5 h-5" />
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Stats */}
+                    <div className="grid grid-cols-4 gap-4 px-6 py-4 border-b border-baikal-border">
+                        {[
+                            { label: 'Exécutions', value: stats.total, color: 'text-white' },
+                            { label: 'Réussies', value: stats.completed, color: 'text-green-400' },
+                            { label: 'Échecs', value: stats.failed, color: 'text-red-400' },
+                            { label: 'Durée moy.', value: formatDuration(stats.avgDuration) || '-', color: 'text-white' },
+                        ].map(stat => (
+                            <div key={stat.label} className="text-center">
+                                <p className={`text-2xl font-mono font-bold ${stat.color}`}>{stat.value}</p>
+                                <p className="text-xs text-baikal-text font-sans">{stat.label}</p>
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* Contenu */}
+                    <div className="max-h-[60vh] overflow-y-auto">
+                        {loading ? (
+                            <div className="flex items-center justify-center py-16">
+                                <Loader2 className="w-6 h-6 text-baikal-cyan animate-spin" />
+                            </div>
+                        ) : error ? (
+                            <p className="p-6 flex items-center gap-2 text-sm font-mono text-red-400">
+                                <AlertTriangle className="w-4 h-4" />
+                                {error}
+                            </p>
+                        ) : runs.length === 0 ? (
+                            <p className="py-16 text-center text-sm font-mono text-baikal-text">AUCUNE_EXÉCUTION</p>
+                        ) : (
+                            runs.map(run => (
+                                <RunRow
+                                    key={run.id}
+                                    run={run}
+                                    expanded={expandedRuns.has(run.id)}
+                                    onToggleExpand={toggleExpand}
+                                />
+                            ))
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,264 @@
+// ============================================================================
+// Composant ConnectorsPanel - Source d'ingestion "Connecteur API"
+// Liste des connecteurs, création / modification, exécution et historique
+// ============================================================================
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { connectorsService } from '../../../services/connectors.service';
+import { CONNECTOR_TYPES, CONNECTOR_SCHEDULES } from '../../../config/ingestion.config';
+import ConnectorForm from './ConnectorForm';
+import ConnectorRunsModal, { RunStatusBadge } from './ConnectorRunsModal';
+import {
+    Plus,
+    Play,
+    History,
+    Pencil,
+    Trash2,
+    Power,
+    Loader2,
+    CalendarClock,
+    AlertCircle,
+} from 'lucide-react';
+
+/**
+ * Ligne de connecteur
+ */
+function ConnectorRow({ connector, running, onRun, onHistory, onEdit, onToggle, onDelete }) {
+    const typeConfig = CONNECTOR_TYPES[connector.connector_type];
+    const Icon = typeConfig?.icon || Plus;
+    const schedule = CONNECTOR_SCHEDULES.find(s => s.value === connector.schedule);
+
+    return (
+        <div className={`flex items-center gap-4 p-4 bg-baikal-surface border border-baikal-border rounded-md ${connector.enabled ? '' : 'opacity-60'}`}>
+            <div className="p-2 rounded-md bg-baikal-cyan/20">
+                <Icon className="w-5 h-5 text-baikal-cyan" />
+            </div>
+
+            <div className="flex-1 min-w-0">
+                <p className="text-white font-medium font-sans truncate">{connector.name}</p>
+                <div className="flex flex-wrap items-center gap-3 mt-1 text-xs font-mono text-baikal-text">
+                    <span>{typeConfig?.label || connector.connector_type}</span>
+                    <span className="flex items-center gap-1">
+                        <CalendarClock className="w-3.5 h-3.5" />
+                        {schedule?.label || connector.schedule}
+                    </span>
+                    <span className="uppercase">{connector.layer}</span>
+                    {connector.last_run_status ? (
+                        <span className="flex items-center gap-2">
+                            <RunStatusBadge status={connector.last_run_status} />
+                            {connector.last_run_at && new Date(connector.last_run_at).toLocaleString('fr-FR')}
+                        </span>
+                    ) : (
+                        <span>JAMAIS_EXÉCUTÉ</span>
+                    )}
+                </div>
+            </div>
+
+            <div className="flex items-center gap-1">
+                <button
+                    onClick={() => onRun(connector)}
+                    disabled={running || !connector.enabled}
+                    className="flex items-center gap-2 px-3 py-1.5 border border-baikal-cyan text-baikal-cyan rounded-md hover:bg-baikal-cyan/10 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-mono text-xs"
+                    title="Exécuter maintenant"
+                >
+                    {running ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Play className="w-3.5 h-3.5" />}
+                    EXÉCUTER
+                </button>
+                <button onClick={() => onHistory(connector)} className="p-2 text-baikal-text hover:text-white transition-colors" title="Historique">
+                    <History className="w-4 h-4" />
+                </button>
+                <button onClick={() => onEdit(connector)} className="p-2 text-baikal-text hover:text-white transition-colors" title="Modifier">
+                    <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                    onClick={() => onToggle(connector)}
+                    className={`p-2 transition-colors ${connector.enabled ? 'text-green-400 hover:text-white' : 'text-baikal-text hover:text-white'}`}
+                    title={connector.enabled ? 'Désactiver' : 'Activer'}
+                >
+                    <Power className="w-4 h-4" />
+                </button>
+                <button onClick={() => onDelete(connector)} className="p-2 text-baikal-text hover:text-red-400 transition-colors" title="Supprimer">
+                    <Trash2 className="w-4 h-4" />
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Interface des connecteurs API
+ * @param {Object} props
+ * @param {Object} props.target - Cible des nouveaux connecteurs { layer, appId, orgId, projectIds }
+ * @param {string|null} props.filterOrgId - Restreindre la liste à une organisation (org_admin)
+ * @param {string} props.userId - Utilisateur courant (créateur)
+ * @param {Array} props.categories - Catégories disponibles pour la cible
+ * @param {Function} props.validateTarget - Valide la sélection commune (app, org, projets)
+ * @param {Function} props.onResult - Message de résultat ({ success, message } ou null)
+ */
+export default function ConnectorsPanel({ target, filterOrgId = null, userId, categories, validateTarget, onResult }) {
+    const [connectors, setConnectors] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    // null = liste, 'new' = création, objet = modification
+    const [editing, setEditing] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [runningId, setRunningId] = useState(null);
+    const [historyConnector, setHistoryConnector] = useState(null);
+
+    const loadConnectors = useCallback(async () => {
+        setLoading(true);
+        const { data, error: loadError } = await connectorsService.getConnectors({ orgId: filterOrgId });
+        setError(loadError ? loadError.message : null);
+        setConnectors(data);
+        setLoading(false);
+    }, [filterOrgId]);
+
+    useEffect(() => {
+        loadConnectors();
+    }, [loadConnectors]);
+
+    const replaceConnector = (updated) => {
+        setConnectors(prev => prev.map(c => (c.id === updated.id ? updated : c)));
+    };
+
+    const handleNew = () => {
+        if (!validateTarget()) return;
+        onResult(null);
+        setEditing('new');
+    };
+
+    const handleSave = async (values) => {
+        setSaving(true);
+
+        const { data, error: saveError } = editing === 'new'
+            ? await connectorsService.createConnector({
+                ...values,
+                layer: target.layer,
+                app_id: target.appId,
+                org_id: target.orgId,
+                project_ids: target.layer === 'project' ? target.projectIds : [],
+            }, userId)
+            : await connectorsService.updateConnector(editing.id, values);
+
+        setSaving(false);
+        if (saveError) {
+            onResult({ success: false, message: saveError.message || 'Erreur lors de l\'enregistrement' });
+            return;
+        }
+
+        if (editing === 'new') setConnectors(prev => [data, ...prev]);
+        else replaceConnector(data);
+        setEditing(null);
+        onResult({ success: true, message: `Connecteur « ${data.name} » enregistré` });
+    };
+
+    const handleRun = async (connector) => {
+        setRunningId(connector.id);
+        onResult(null);
+
+        const { error: runError } = await connectorsService.runConnector(connector.id);
+        setRunningId(null);
+
+        if (runError) {
+            onResult({ success: false, message: runError.message || 'Exécution impossible' });
+            return;
+        }
+        // Suivi de l'exécution dans l'historique (rafraîchi tant qu'elle est en cours)
+        setHistoryConnector(connector);
+    };
+
+    const handleToggle = async (connector) => {
+        const { data, error: updateError } = await connectorsService.updateConnector(connector.id, {
+            enabled: !connector.enabled,
+        });
+        if (updateError) {
+            onResult({ success: false, message: updateError.message });
+            return;
+        }
+        replaceConnector(data);
+    };
+
+    const handleDelete = async (connector) => {
+        if (!window.confirm(`Supprimer le connecteur « ${connector.name} » et son historique ? Les documents déjà importés sont conservés.`)) {
+            return;
+        }
+        const { error: deleteError } = await connectorsService.deleteConnector(connector.id);
+        if (deleteError) {
+            onResult({ success: false, message: deleteError.message });
+            return;
+        }
+        setConnectors(prev => prev.filter(c => c.id !== connector.id));
+    };
+
+    const handleCloseHistory = () => {
+        setHistoryConnector(null);
+        // Statut de la dernière exécution à jour
+        loadConnectors();
+    };
+
+    if (editing) {
+        return (
+            <ConnectorForm
+                connector={editing === 'new' ? null : editing}
+                target={editing === 'new'
+                    ? target
+                    : { layer: editing.layer, orgId: editing.org_id, projectIds: editing.project_ids || [] }}
+                categories={categories}
+                saving={saving}
+                onSubmit={handleSave}
+                onCancel={() => setEditing(null)}
+            />
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-center justify-between">
+                <p className="text-xs text-baikal-text font-sans">
+                    Les nouveaux connecteurs ingèrent dans la cible sélectionnée ci-dessus.
+                </p>
+                <button
+                    onClick={handleNew}
+                    className="flex items-center gap-2 px-4 py-2 border border-baikal-cyan text-baikal-cyan rounded-md hover:bg-baikal-cyan/10 transition-colors font-mono text-sm"
+                >
+                    <Plus className="w-4 h-4" />
+                    NOUVEAU_CONNECTEUR
+                </button>
+            </div>
+
+            {error && (
+                <p className="flex items-center gap-2 text-sm font-mono text-red-400">
+                    <AlertCircle className="w-4 h-4" />
+                    {error}
+                </p>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center py-12">
+                    <Loader2 className="w-6 h-6 text-baikal-cyan animate-spin" />
+                </div>
+            ) : connectors.length === 0 ? (
+                <p className="py-12 text-center text-sm font-mono text-baikal-text">AUCUN_CONNECTEUR</p>
+            ) : (
+                <div className="space-y-2">
+                    {connectors.map(connector => (
+                        <ConnectorRow
+                            key={connector.id}
+                            connector={connector}
+                            running={runningId === connector.id}
+                            onRun={handleRun}
+                            onHistory={setHistoryConnector}
+                            onEdit={setEditing}
+                            onToggle={handleToggle}
+                            onDelete={handleDelete}
+                        />
+                    ))}
+                </div>
+            )}
+
+            {historyConnector && (
+                <ConnectorRunsModal connector={historyConnector} onClose={handleCloseHistory} />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,7 @@
+// ============================================================================
+// Composants Connecteurs API - Index des exports
+// ============================================================================
+
+export { default as ConnectorsPanel } from './ConnectorsPanel';
+export { default as ConnectorForm } from './ConnectorForm';
+export { default as ConnectorRunsModal } from './ConnectorRunsModal';
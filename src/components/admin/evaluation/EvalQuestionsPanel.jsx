@@ -0,0 +1,269 @@
+// ============================================================================
+// Composant EvalQuestionsPanel - Questions d'un golden set
+// Triplets question / sources attendues / réponse attendue
+// ============================================================================
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { evaluationService } from '../../../services/evaluation.service';
+import {
+    Plus,
+    Pencil,
+    Trash2,
+    Save,
+    X,
+    Loader2,
+    AlertCircle,
+    FileText,
+} from 'lucide-react';
+
+const INPUT_CLASS = 'w-full px-3 py-2 bg-baikal-bg border border-baikal-border rounded-md text-white text-sm focus:outline-none focus:border-baikal-cyan transition-colors font-sans';
+const LABEL_CLASS = 'block text-xs font-mono text-baikal-text mb-1 uppercase';
+
+const EMPTY_QUESTION = { question: '', expected_sources: '', expected_answer: '' };
+
+/**
+ * Formulaire de question (sources attendues : une par ligne)
+ */
+function QuestionForm({ initial, saving, onSubmit, onCancel }) {
+    const [values, setValues] = useState(() => (initial
+        ? {
+            question: initial.question,
+            expected_sources: (initial.expected_sources || []).join('\n'),
+            expected_answer: initial.expected_answer || '',
+        }
+        : EMPTY_QUESTION));
+
+    const update = (field) => (e) => setValues(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!values.question.trim()) return;
+        onSubmit({
+            question: values.question,
+            expected_sources: values.expected_sources.split('\n'),
+            expected_answer: values.expected_answer,
+        });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="p-4 bg-baikal-surface border border-baikal-cyan/50 rounded-md space-y-3">
+            <div>
+                <label className={LABEL_CLASS}>Question *</label>
+                <textarea
+                    value={values.question}
+                    onChange={update('question')}
+                    rows={2}
+                    className={`${INPUT_CLASS} resize-none`}
+                    placeholder="Question posée à l'assistant..."
+                    autoFocus
+                />
+            </div>
+            <div className="grid gap-3 md:grid-cols-2">
+                <div>
+                    <label className={LABEL_CLASS}>Sources attendues (une par ligne)</label>
+                    <textarea
+                        value={values.expected_sources}
+                        onChange={update('expected_sources')}
+                        rows={4}
+                        className={`${INPUT_CLASS} resize-y font-mono`}
+                        placeholder={'CCTP_Lot_02.pdf\nDTU 20.1'}
+                    />
+                    <p className="mt-1 text-xs text-baikal-text font-sans">
+                        Nom de fichier ou titre, correspondance partielle sans tenir compte de la casse.
+                    </p>
+                </div>
+                <div>
+                    <label className={LABEL_CLASS}>Réponse attendue</label>
+                    <textarea
+                        value={values.expected_answer}
+                        onChange={update('expected_answer')}
+                        rows={4}
+                        className={`${INPUT_CLASS} resize-y`}
+                        placeholder="Réponse de référence (similarité sémantique)"
+                    />
+                </div>
+            </div>
+            <div className="flex justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="flex items-center gap-2 px-3 py-1.5 border border-baikal-border text-baikal-text rounded-md hover:text-white transition-colors font-mono text-xs"
+                >
+                    <X className="w-3.5 h-3.5" />
+                    ANNULER
+                </button>
+                <button
+                    type="submit"
+                    disabled={saving || !values.question.trim()}
+                    className="flex items-center gap-2 px-3 py-1.5 bg-baikal-cyan text-black rounded-md hover:opacity-80 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed font-mono text-xs"
+                >
+                    {saving ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Save className="w-3.5 h-3.5" />}
+                    ENREGISTRER
+                </button>
+            </div>
+        </form>
+    );
+}
+
+/**
+ * Ligne de question
+ */
+function QuestionRow({ index, question, onEdit, onDelete }) {
+    return (
+        <div className="flex items-start gap-4 p-4 bg-baikal-surface border border-baikal-border rounded-md">
+            <span className="text-xs font-mono text-baikal-text pt-0.5">#{index + 1}</span>
+            <div className="flex-1 min-w-0 space-y-2">
+                <p className="text-sm text-white font-sans">{question.question}</p>
+                {question.expected_sources?.length > 0 && (
+                    <div className="flex flex-wrap gap-1.5">
+                        {question.expected_sources.map(source => (
+                            <span
+                                key={source}
+                                className="inline-flex items-center gap-1 px-2 py-0.5 text-xs font-mono text-baikal-cyan bg-baikal-cyan/10 rounded"
+                            >
+                                <FileText className="w-3 h-3" />
+                                {source}
+                            </span>
+                        ))}
+                    </div>
+                )}
+                {question.expected_answer && (
+                    <p className="text-xs text-baikal-text font-sans line-clamp-2">{question.expected_answer}</p>
+                )}
+            </div>
+            <div className="flex items-center gap-1">
+                <button onClick={() => onEdit(question)} className="p-2 text-baikal-text hover:text-white transition-colors" title="Modifier">
+                    <Pencil className="w-4 h-4" />
+                </button>
+                <button onClick={() => onDelete(question)} className="p-2 text-baikal-text hover:text-red-400 transition-colors" title="Supprimer">
+                    <Trash2 className="w-4 h-4" />
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Gestion des questions d'un golden set
+ * @param {Object} props
+ * @param {Object} props.set - Golden set (id, name)
+ * @param {Function} props.onCountChange - Nombre de questions mis à jour
+ */
+export default function EvalQuestionsPanel({ set, onCountChange }) {
+    const [questions, setQuestions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    // null = liste, 'new' = création, objet = modification
+    const [editing, setEditing] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const loadQuestions = useCallback(async () => {
+        setLoading(true);
+        const { data, error: loadError } = await evaluationService.getQuestions(set.id);
+        setError(loadError ? loadError.message : null);
+        setQuestions(data);
+        setLoading(false);
+    }, [set.id]);
+
+    useEffect(() => {
+        setEditing(null);
+        loadQuestions();
+    }, [loadQuestions]);
+
+    const updateQuestions = (next) => {
+        setQuestions(next);
+        onCountChange(next.length);
+    };
+
+    const handleSave = async (values) => {
+        setSaving(true);
+        const nextPosition = questions.reduce((max, q) => Math.max(max, q.position), -1) + 1;
+
+        const { data, error: saveError } = editing === 'new'
+            ? await evaluationService.createQuestion(set.id, values, nextPosition)
+            : await evaluationService.updateQuestion(editing.id, values);
+
+        setSaving(false);
+        if (saveError) {
+            setError(saveError.message || 'Erreur lors de l\'enregistrement');
+            return;
+        }
+
+        setError(null);
+        updateQuestions(editing === 'new'
+            ? [...questions, data]
+            : questions.map(q => (q.id === data.id ? data : q)));
+        setEditing(null);
+    };
+
+    const handleDelete = async (question) => {
+        if (!window.confirm('Supprimer cette question ? Les résultats des exécutions passées sont conservés.')) {
+            return;
+        }
+        const { error: deleteError } = await evaluationService.deleteQuestion(question.id);
+        if (deleteError) {
+            setError(deleteError.message);
+            return;
+        }
+        updateQuestions(questions.filter(q => q.id !== question.id));
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-center justify-between">
+                <p className="text-xs text-baikal-text font-sans">
+                    {questions.length} question{questions.length > 1 ? 's' : ''} — rejouées dans cet ordre à chaque exécution.
+                </p>
+                <button
+                    onClick={() => setEditing('new')}
+                    disabled={editing !== null}
+                    className="flex items-center gap-2 px-4 py-2 border border-baikal-cyan text-baikal-cyan rounded-md hover:bg-baikal-cyan/10 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-mono text-sm"
+                >
+                    <Plus className="w-4 h-4" />
+                    NOUVELLE_QUESTION
+                </button>
+            </div>
+
+            {error && (
+                <p className="flex items-center gap-2 text-sm font-mono text-red-400">
+                    <AlertCircle className="w-4 h-4" />
+                    {error}
+                </p>
+            )}
+
+            {editing === 'new' && (
+                <QuestionForm saving={saving} onSubmit={handleSave} onCancel={() => setEditing(null)} />
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center py-12">
+                    <Loader2 className="w-6 h-6 text-baikal-cyan animate-spin" />
+                </div>
+            ) : questions.length === 0 && editing !== 'new' ? (
+                <p className="py-12 text-center text-sm font-mono text-baikal-text">AUCUNE_QUESTION</p>
+            ) : (
+                <div className="space-y-2">
+                    {questions.map((question, index) => (
+                        editing?.id === question.id ? (
+                            <QuestionForm
+                                key={question.id}
+                                initial={question}
+                                saving={saving}
+                                onSubmit={handleSave}
+                                onCancel={() => setEditing(null)}
+                            />
+                        ) : (
+                            <QuestionRow
+                                key={question.id}
+                                index={index}
+                                question={question}
+                                onEdit={setEditing}
+                                onDelete={handleDelete}
+                            />
+                        )
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
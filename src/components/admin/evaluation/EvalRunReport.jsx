@@ -0,0 +1,280 @@
+// ============================================================================
+// Composant EvalRunReport - Rapport d'une exécution ou comparaison de deux
+// Métriques agrégées (avec écart B - A) et détail par question
+// ============================================================================
+
+import React, { useState, useEffect } from 'react';
+import { evaluationService } from '../../../services/evaluation.service';
+import {
+    Loader2,
+    ChevronDown,
+    ChevronUp,
+    CheckCircle2,
+    XCircle,
+    AlertTriangle,
+    Minus,
+} from 'lucide-react';
+
+/**
+ * Métriques affichées (higherIsBetter : sens d'une amélioration)
+ */
+const METRICS = [
+    { key: 'retrieval_hit_rate', label: 'Hit-rate retrieval', format: 'percent', higherIsBetter: true },
+    { key: 'citation_accuracy', label: 'Citations correctes', format: 'percent', higherIsBetter: true },
+    { key: 'answer_similarity', label: 'Similarité réponse', format: 'percent', higherIsBetter: true },
+    { key: 'avg_latency_ms', label: 'Latence moyenne', format: 'ms', higherIsBetter: false },
+];
+
+function formatMetric(value, format) {
+    if (value === null || value === undefined) return '-';
+    if (format === 'ms') return `${(Number(value) / 1000).toFixed(1)}s`;
+    return `${Math.round(Number(value) * 100)}%`;
+}
+
+function formatDelta(delta, format) {
+    const sign = delta > 0 ? '+' : '';
+    if (format === 'ms') return `${sign}${(delta / 1000).toFixed(1)}s`;
+    return `${sign}${Math.round(delta * 100)} pts`;
+}
+
+export function runLabel(run) {
+    const date = new Date(run.created_at).toLocaleString('fr-FR', {
+        day: '2-digit',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+    return `${run.prompt_name || 'Prompt actif'} — ${date}`;
+}
+
+/**
+ * Carte de métrique (écart par rapport à A si B est fourni)
+ */
+function MetricCard({ metric, runA, runB }) {
+    const valueA = runA[metric.key];
+    const valueB = runB?.[metric.key];
+    const hasDelta = runB && valueA !== null && valueB !== null;
+    const delta = hasDelta ? Number(valueB) - Number(valueA) : 0;
+    const improved = metric.higherIsBetter ? delta > 0 : delta < 0;
+
+    return (
+        <div className="p-4 bg-baikal-surface border border-baikal-border rounded-md">
+            <p className="text-xs font-mono text-baikal-text uppercase">{metric.label}</p>
+            <div className="flex items-baseline gap-3 mt-2">
+                {runB && (
+                    <span className="text-sm font-mono text-baikal-text">
+                        {formatMetric(valueA, metric.format)} →
+                    </span>
+                )}
+                <span className="text-2xl font-mono font-bold text-white">
+                    {formatMetric(runB ? valueB : valueA, metric.format)}
+                </span>
+            </div>
+            {hasDelta && (
+                <p className={`mt-1 text-xs font-mono ${delta === 0 ? 'text-baikal-text' : improved ? 'text-green-400' : 'text-red-400'}`}>
+                    {formatDelta(delta, metric.format)}
+                </p>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Indicateurs d'une question pour une exécution
+ */
+function ResultCells({ result }) {
+    if (!result) {
+        return <td colSpan={3} className="px-3 py-2 text-xs font-mono text-baikal-text text-center">-</td>;
+    }
+    if (result.error_message) {
+        return (
+            <td colSpan={3} className="px-3 py-2 text-xs font-mono text-red-400" title={result.error_message}>
+                <span className="inline-flex items-center gap-1">
+                    <AlertTriangle className="w-3.5 h-3.5" />
+                    ERREUR
+                </span>
+            </td>
+        );
+    }
+
+    return (
+        <>
+            <td className="px-3 py-2 text-center">
+                {result.retrieval_hit === null ? (
+                    <Minus className="w-4 h-4 text-baikal-text inline" />
+                ) : result.retrieval_hit ? (
+                    <CheckCircle2 className="w-4 h-4 text-green-400 inline" />
+                ) : (
+                    <XCircle className="w-4 h-4 text-red-400 inline" />
+                )}
+            </td>
+            <td className="px-3 py-2 text-xs font-mono text-white text-center">
+                {formatMetric(result.citation_accuracy, 'percent')}
+            </td>
+            <td className="px-3 py-2 text-xs font-mono text-white text-center">
+                {formatMetric(result.answer_similarity, 'percent')}
+            </td>
+        </>
+    );
+}
+
+/**
+ * Réponse et sources obtenues par une exécution
+ */
+function ResultDetail({ title, result }) {
+    if (!result) return null;
+    const sources = (result.sources || []).filter(source => source.type !== 'qa_memory');
+
+    return (
+        <div className="space-y-2">
+            <p className="text-xs font-mono text-baikal-cyan uppercase">
+                {title}
+                {result.generation_mode && <span className="text-baikal-text"> • {result.generation_mode}</span>}
+                {result.latency_ms != null && <span className="text-baikal-text"> • {formatMetric(result.latency_ms, 'ms')}</span>}
+            </p>
+            {result.error_message ? (
+                <p className="text-xs font-mono text-red-400">{result.error_message}</p>
+            ) : (
+                <p className="text-sm text-white font-sans whitespace-pre-wrap">{result.answer || '-'}</p>
+            )}
+            {sources.length > 0 && (
+                <ul className="space-y-0.5">
+                    {sources.map((source, index) => (
+                        <li key={`${source.id}-${index}`} className="text-xs font-mono text-baikal-text truncate">
+                            {source.document_name}
+                            {source.score != null && ` (${Number(source.score).toFixed(3)})`}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Rapport d'exécution
+ * @param {Object} props
+ * @param {Object} props.runA - Exécution de référence
+ * @param {Object|null} props.runB - Exécution comparée (optionnelle)
+ */
+export default function EvalRunReport({ runA, runB = null }) {
+    const [results, setResults] = useState({ A: [], B: [] });
+    const [loading, setLoading] = useState(true);
+    const [expandedKey, setExpandedKey] = useState(null);
+    const runBId = runB?.id || null;
+
+    useEffect(() => {
+        setLoading(true);
+        setExpandedKey(null);
+    }, [runA.id, runBId]);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        Promise.all([
+            evaluationService.getRunResults(runA.id),
+            runBId ? evaluationService.getRunResults(runBId) : Promise.resolve({ data: [] }),
+        ]).then(([resultsA, resultsB]) => {
+            if (cancelled) return;
+            setResults({ A: resultsA.data, B: resultsB.data });
+            setLoading(false);
+        });
+        return () => { cancelled = true; };
+    // completed_count : rafraîchi au fil d'une exécution en cours
+    }, [runA.id, runBId, runA.completed_count, runB?.completed_count]);
+
+    // Lignes alignées par question (question_id, ou texte si la question a été supprimée)
+    const rowKey = (result) => result.question_id || result.question;
+    const rows = [];
+    const rowsByKey = new Map();
+    [['A', results.A], ['B', results.B]].forEach(([side, list]) => {
+        list.forEach(result => {
+            const key = rowKey(result);
+            if (!rowsByKey.has(key)) {
+                const row = { key, question: result.question, A: null, B: null };
+                rowsByKey.set(key, row);
+                rows.push(row);
+            }
+            rowsByKey.get(key)[side] = result;
+        });
+    });
+
+    return (
+        <div className="space-y-4">
+            {runB && (
+                <p className="text-xs font-mono text-baikal-text">
+                    A : <span className="text-white">{runLabel(runA)}</span>
+                    {'  '}•{'  '}
+                    B : <span className="text-white">{runLabel(runB)}</span>
+                </p>
+            )}
+
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+                {METRICS.map(metric => (
+                    <MetricCard key={metric.key} metric={metric} runA={runA} runB={runB} />
+                ))}
+            </div>
+
+            {loading ? (
+                <div className="flex items-center justify-center py-12">
+                    <Loader2 className="w-6 h-6 text-baikal-cyan animate-spin" />
+                </div>
+            ) : rows.length === 0 ? (
+                <p className="py-12 text-center text-sm font-mono text-baikal-text">AUCUN_RÉSULTAT</p>
+            ) : (
+                <div className="border border-baikal-border rounded-md overflow-x-auto">
+                    <table className="w-full">
+                        <thead className="bg-baikal-surface border-b border-baikal-border">
+                            <tr className="text-xs font-mono text-baikal-text uppercase">
+                                <th className="px-3 py-2 text-left">Question</th>
+                                {(runB ? ['A', 'B'] : ['A']).map(side => (
+                                    <React.Fragment key={side}>
+                                        <th className="px-3 py-2">{runB ? `${side} ` : ''}Hit</th>
+                                        <th className="px-3 py-2">{runB ? `${side} ` : ''}Cit.</th>
+                                        <th className="px-3 py-2">{runB ? `${side} ` : ''}Sim.</th>
+                                    </React.Fragment>
+                                ))}
+                                <th className="px-3 py-2" />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(row => {
+                                const expanded = expandedKey === row.key;
+                                return (
+                                    <React.Fragment key={row.key}>
+                                        <tr
+                                            onClick={() => setExpandedKey(expanded ? null : row.key)}
+                                            className="border-b border-baikal-border last:border-b-0 hover:bg-baikal-surface cursor-pointer"
+                                        >
+                                            <td className="px-3 py-2 text-sm text-white font-sans max-w-md truncate">{row.question}</td>
+                                            <ResultCells result={row.A} />
+                                            {runB && <ResultCells result={row.B} />}
+                                            <td className="px-3 py-2 text-baikal-text">
+                                                {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                                            </td>
+                                        </tr>
+                                        {expanded && (
+                                            <tr className="border-b border-baikal-border bg-baikal-bg">
+                                                <td colSpan={runB ? 8 : 5} className="p-4 space-y-4">
+                                                    {(row.A || row.B)?.expected_sources?.length > 0 && (
+                                                        <p className="text-xs font-mono text-baikal-text">
+                                                            SOURCES_ATTENDUES : <span className="text-white">{(row.A || row.B).expected_sources.join(', ')}</span>
+                                                        </p>
+                                                    )}
+                                                    <div className={`grid gap-4 ${runB ? 'lg:grid-cols-2' : ''}`}>
+                                                        <ResultDetail title={runB ? 'A' : 'Réponse'} result={row.A} />
+                                                        {runB && <ResultDetail title="B" result={row.B} />}
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,293 @@
+// ============================================================================
+// Composant EvalRunsPanel - Exécutions d'un golden set
+// Lancement avec un prompt librarian choisi, historique et comparaison
+// ============================================================================
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { evaluationService, EVAL_ACTIVE_STATUSES } from '../../../services/evaluation.service';
+import { getPrompts } from '../../../services/prompts.service';
+import { organizationService } from '../../../services/organization.service';
+import { projectsService } from '../../../services/projects.service';
+import { RunStatusBadge } from '../connectors/ConnectorRunsModal';
+import EvalRunReport, { runLabel } from './EvalRunReport';
+import {
+    Play,
+    Trash2,
+    Loader2,
+    AlertCircle,
+    FileCode,
+    Building2,
+    FolderOpen,
+} from 'lucide-react';
+
+const INPUT_CLASS = 'w-full px-3 py-2 bg-baikal-bg border border-baikal-border rounded-md text-white text-sm focus:outline-none focus:border-baikal-cyan transition-colors font-mono';
+
+// Rafraîchissement tant qu'une exécution est en cours
+const POLL_INTERVAL_MS = 4000;
+
+/**
+ * Ligne d'exécution (sélection pour le rapport / la comparaison)
+ */
+function RunRow({ run, selection, onSelect, onDelete }) {
+    const selectedAs = selection.indexOf(run.id);
+    const isActive = EVAL_ACTIVE_STATUSES.includes(run.status);
+
+    return (
+        <div
+            onClick={() => onSelect(run)}
+            className={`flex items-center gap-4 px-4 py-3 border rounded-md cursor-pointer transition-colors ${
+                selectedAs >= 0
+                    ? 'border-baikal-cyan bg-baikal-cyan/10'
+                    : 'border-baikal-border bg-baikal-surface hover:border-baikal-text'
+            }`}
+        >
+            <span className="w-5 text-xs font-mono font-bold text-baikal-cyan">
+                {selectedAs >= 0 ? ['A', 'B'][selectedAs] : ''}
+            </span>
+            <div className="flex-1 min-w-0">
+                <p className="text-sm text-white font-sans truncate">{runLabel(run)}</p>
+                <div className="flex items-center gap-3 mt-1">
+                    <RunStatusBadge status={run.status} />
+                    <span className="text-xs font-mono text-baikal-text">
+                        {run.completed_count}/{run.question_count} questions
+                    </span>
+                </div>
+            </div>
+            {run.status === 'completed' && (
+                <div className="hidden md:flex items-center gap-4 text-xs font-mono text-baikal-text">
+                    <span title="Hit-rate retrieval">
+                        HIT <span className="text-white">{run.retrieval_hit_rate === null ? '-' : `${Math.round(run.retrieval_hit_rate * 100)}%`}</span>
+                    </span>
+                    <span title="Citations correctes">
+                        CIT <span className="text-white">{run.citation_accuracy === null ? '-' : `${Math.round(run.citation_accuracy * 100)}%`}</span>
+                    </span>
+                    <span title="Similarité réponse">
+                        SIM <span className="text-white">{run.answer_similarity === null ? '-' : `${Math.round(run.answer_similarity * 100)}%`}</span>
+                    </span>
+                </div>
+            )}
+            {run.status === 'failed' && run.error_message && (
+                <span className="max-w-xs truncate text-xs font-mono text-red-400" title={run.error_message}>
+                    {run.error_message}
+                </span>
+            )}
+            <button
+                onClick={(e) => {
+                    e.stopPropagation();
+                    onDelete(run);
+                }}
+                disabled={isActive}
+                className="p-2 text-baikal-text hover:text-red-400 transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                title="Supprimer"
+            >
+                <Trash2 className="w-4 h-4" />
+            </button>
+        </div>
+    );
+}
+
+/**
+ * Exécutions d'un golden set
+ * @param {Object} props
+ * @param {Object} props.set - Golden set (id, app_id, question_count)
+ * @param {string|null} props.initialPromptId - Prompt présélectionné (lien depuis la page Prompts)
+ */
+export default function EvalRunsPanel({ set, initialPromptId = null }) {
+    const [runs, setRuns] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [starting, setStarting] = useState(false);
+    // IDs sélectionnés : [A] = rapport, [A, B] = comparaison
+    const [selection, setSelection] = useState([]);
+
+    // Paramètres d'exécution
+    const [prompts, setPrompts] = useState([]);
+    const [orgs, setOrgs] = useState([]);
+    const [projects, setProjects] = useState([]);
+    const [promptId, setPromptId] = useState(initialPromptId || '');
+    const [orgId, setOrgId] = useState('');
+    const [projectId, setProjectId] = useState('');
+
+    const loadRuns = useCallback(async () => {
+        const { data, error: loadError } = await evaluationService.getRuns(set.id);
+        setError(loadError ? loadError.message : null);
+        setRuns(data);
+        setLoading(false);
+    }, [set.id]);
+
+    useEffect(() => {
+        setLoading(true);
+        setSelection([]);
+        loadRuns();
+    }, [loadRuns]);
+
+    const hasActiveRun = runs.some(run => EVAL_ACTIVE_STATUSES.includes(run.status));
+
+    useEffect(() => {
+        if (!hasActiveRun) return undefined;
+        const timer = setInterval(loadRuns, POLL_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [hasActiveRun, loadRuns]);
+
+    // Prompts librarian de l'app (et prompts globaux) + organisations
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([
+            getPrompts({ agent_type: 'librarian_v3' }),
+            organizationService.getOrganizations({ limit: 500 }),
+        ]).then(([promptsResult, orgsResult]) => {
+            if (cancelled) return;
+            setPrompts((promptsResult.data || []).filter(p => !p.app_id || p.app_id === set.app_id));
+            setOrgs(orgsResult.data || []);
+        });
+        return () => { cancelled = true; };
+    }, [set.app_id]);
+
+    // Projets de l'organisation sélectionnée
+    useEffect(() => {
+        setProjectId('');
+        if (!orgId) {
+            setProjects([]);
+            return undefined;
+        }
+
+        let cancelled = false;
+        projectsService.getProjects({ orgId }).then(({ data }) => {
+            if (!cancelled) setProjects(data || []);
+        });
+        return () => { cancelled = true; };
+    }, [orgId]);
+
+    const handleStart = async () => {
+        setStarting(true);
+        const { data, error: startError } = await evaluationService.startRun(set.id, {
+            promptId: promptId || null,
+            orgId: orgId || null,
+            projectId: projectId || null,
+        });
+        setStarting(false);
+
+        if (startError) {
+            setError(startError.message || 'Évaluation impossible');
+            return;
+        }
+        setSelection([data.run_id]);
+        loadRuns();
+    };
+
+    const handleSelect = (run) => {
+        setSelection(prev => {
+            if (prev.includes(run.id)) return prev.filter(id => id !== run.id);
+            // Deux exécutions au plus : la plus ancienne sélection est remplacée
+            return prev.length < 2 ? [...prev, run.id] : [prev[1], run.id];
+        });
+    };
+
+    const handleDelete = async (run) => {
+        if (!window.confirm(`Supprimer l'exécution « ${runLabel(run)} » et ses résultats ?`)) {
+            return;
+        }
+        const { error: deleteError } = await evaluationService.deleteRun(run.id);
+        if (deleteError) {
+            setError(deleteError.message);
+            return;
+        }
+        setSelection(prev => prev.filter(id => id !== run.id));
+        setRuns(prev => prev.filter(r => r.id !== run.id));
+    };
+
+    const runA = runs.find(run => run.id === selection[0]) || null;
+    const runB = runs.find(run => run.id === selection[1]) || null;
+
+    return (
+        <div className="space-y-6">
+            {/* Lancement */}
+            <div className="p-4 bg-baikal-surface border border-baikal-border rounded-md">
+                <div className="flex flex-col lg:flex-row lg:items-center gap-4">
+                    <div className="flex items-center gap-2 flex-1">
+                        <FileCode className="w-5 h-5 text-baikal-text flex-shrink-0" />
+                        <select value={promptId} onChange={(e) => setPromptId(e.target.value)} className={INPUT_CLASS}>
+                            <option value="">PROMPT ACTIF (résolution standard)</option>
+                            {prompts.map(prompt => (
+                                <option key={prompt.id} value={prompt.id}>
+                                    {prompt.name}
+                                    {prompt.organizations?.name ? ` — ${prompt.organizations.name}` : ''}
+                                    {prompt.is_active ? '' : ' (inactif)'}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <Building2 className="w-5 h-5 text-baikal-text" />
+                        <select value={orgId} onChange={(e) => setOrgId(e.target.value)} className={`${INPUT_CLASS} min-w-[160px]`}>
+                            <option value="">AUCUNE ORG</option>
+                            {orgs.map(org => (
+                                <option key={org.id} value={org.id}>{org.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <FolderOpen className="w-5 h-5 text-baikal-text" />
+                        <select
+                            value={projectId}
+                            onChange={(e) => setProjectId(e.target.value)}
+                            disabled={projects.length === 0}
+                            className={`${INPUT_CLASS} min-w-[160px] disabled:opacity-50`}
+                        >
+                            <option value="">AUCUN PROJET</option>
+                            {projects.map(project => (
+                                <option key={project.id} value={project.id}>{project.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <button
+                        onClick={handleStart}
+                        disabled={starting || hasActiveRun || set.question_count === 0}
+                        className="flex items-center justify-center gap-2 px-6 py-2.5 bg-baikal-cyan text-black rounded-md hover:opacity-80 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed font-mono"
+                        title={hasActiveRun ? 'Une exécution est déjà en cours' : undefined}
+                    >
+                        {starting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+                        ÉVALUER
+                    </button>
+                </div>
+                <p className="mt-3 text-xs text-baikal-text font-sans">
+                    Chaque question est posée à l'assistant (brain-v3 → librarian-v4) dans une conversation dédiée, supprimée ensuite.
+                </p>
+            </div>
+
+            {error && (
+                <p className="flex items-center gap-2 text-sm font-mono text-red-400">
+                    <AlertCircle className="w-4 h-4" />
+                    {error}
+                </p>
+            )}
+
+            {/* Historique */}
+            {loading ? (
+                <div className="flex items-center justify-center py-12">
+                    <Loader2 className="w-6 h-6 text-baikal-cyan animate-spin" />
+                </div>
+            ) : runs.length === 0 ? (
+                <p className="py-12 text-center text-sm font-mono text-baikal-text">AUCUNE_EXÉCUTION</p>
+            ) : (
+                <div className="space-y-2">
+                    <p className="text-xs font-mono text-baikal-text">
+                        Sélectionner une exécution pour son rapport, deux pour les comparer (A → B).
+                    </p>
+                    {runs.map(run => (
+                        <RunRow
+                            key={run.id}
+                            run={run}
+                            selection={selection}
+                            onSelect={handleSelect}
+                            onDelete={handleDelete}
+                        />
+                    ))}
+                </div>
+            )}
+
+            {/* Rapport / comparaison */}
+            {runA && <EvalRunReport runA={runA} runB={runB} />}
+        </div>
+    );
+}
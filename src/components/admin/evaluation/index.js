@@ -0,0 +1,7 @@
+// ============================================================================
+// Composants Évaluation RAG - Index des exports
+// ============================================================================
+
+export { default as EvalQuestionsPanel } from './EvalQuestionsPanel';
+export { default as EvalRunsPanel } from './EvalRunsPanel';
+export { default as EvalRunReport } from './EvalRunReport';
@@ -39,6 +39,9 @@ export { default as OrganizationSettings } from './OrganizationSettings';
 // Switcher de profil (impersonation)
 export { default as ProfileSwitcher } from './ProfileSwitcher';
 
+// Bandeau d'impersonation (journal des pages, lecture seule, arrêt automatique)
+export { default as ImpersonationBanner } from './ImpersonationBanner';
+
 // Administration Légifrance (super_admin)
 export { default as LegifranceAdmin } from './LegifranceAdmin';
 
@@ -49,6 +52,15 @@ export { default as LegifranceAdmin } from './LegifranceAdmin';
 // Interface de gestion des concepts et catégories par application
 export { default as IndexationSettings } from './IndexationSettings';
 
+// ============================================================================
+// PROMPTS
+// ============================================================================
+
+// Historique des versions d'un prompt (diff côte à côte, restauration)
+export { default as PromptRevisions } from './PromptRevisions';
+export { default as PromptExperiments } from './PromptExperiments';
+export { default as PromptResolver } from './PromptResolver';
+
 // ============================================================================
 // SOUS-COMPOSANTS LÉGIFRANCE
 // ============================================================================
@@ -59,3 +71,25 @@ export {
   SyncModal,
   SyncHistoryModal
 } from './legifrance';
+
+// ============================================================================
+// SOUS-COMPOSANTS CONNECTEURS API
+// ============================================================================
+
+// Connecteurs d'ingestion (source "Connecteur API" de l'onglet Connaissances)
+export {
+  ConnectorsPanel,
+  ConnectorForm,
+  ConnectorRunsModal
+} from './connectors';
+
+// ============================================================================
+// SOUS-COMPOSANTS ÉVALUATION RAG
+// ============================================================================
+
+// Golden sets, exécutions et comparaison (page /admin/evaluation)
+export {
+  EvalQuestionsPanel,
+  EvalRunsPanel,
+  EvalRunReport
+} from './evaluation';
@@ -46,6 +46,13 @@ export const EDGE_FUNCTIONS = Object.freeze({
   PROCESS_AUDIO: 'process-audio',
   INGEST_DOCUMENTS: 'ingest-documents',
   TRIGGER_LEGIFRANCE_SYNC: 'trigger-legifrance-sync',
+  BAIKAL_BRAIN: 'baikal-brain-v3',
+  BAIKAL_LIBRARIAN: 'baikal-librarian-v4',
+  BAIKAL_VOTE: 'baikal-vote',
+  INGEST_WEB_PAGE: 'ingest-web-page',
+  RUN_CONNECTOR: 'run-connector',
+  RUN_EVALUATION: 'run-evaluation',
+  SEND_INVITATIONS: 'send-invitations',
 });
 
 /**
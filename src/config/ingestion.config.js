@@ -3,7 +3,18 @@
  * ============================================================================
  */
 
-import { Upload, Scale, Globe, Link2 } from 'lucide-react';
+import {
+    Upload,
+    Scale,
+    Globe,
+    Link2,
+    Braces,
+    FolderSync,
+    Clock,
+    Loader2,
+    CheckCircle2,
+    XCircle,
+} from 'lucide-react';
 
 // ============================================================================
 // SOURCES D'INGESTION DISPONIBLES
@@ -36,8 +47,8 @@ export const INGESTION_SOURCES = [
         description: 'Importer depuis une URL',
         icon: Globe,
         color: 'blue',
-        available: false,
-        comingSoon: true,
+        available: true,
+        comingSoon: false,
         superAdminOnly: false,
     },
     {
@@ -46,12 +57,149 @@ export const INGESTION_SOURCES = [
         description: 'Intégrations tierces',
         icon: Link2,
         color: 'violet',
-        available: false,
-        comingSoon: true,
+        available: true,
+        comingSoon: false,
         superAdminOnly: false,
     },
 ];
 
+// ============================================================================
+// SOURCE PAGE WEB
+// ============================================================================
+
+/** Nombre maximum d'URLs analysées en une fois (limite ingest-web-page) */
+export const MAX_WEB_URLS = 10;
+
+/** Fréquences de re-crawl (metadata.recrawl_interval_days) */
+export const WEB_RECRAWL_INTERVALS = [
+    { value: '', label: 'Jamais' },
+    { value: '1', label: 'Quotidienne' },
+    { value: '7', label: 'Hebdomadaire' },
+    { value: '30', label: 'Mensuelle' },
+];
+
+// ============================================================================
+// SOURCE CONNECTEUR API
+// ============================================================================
+
+/** Modes de pagination de l'adaptateur rest_json */
+export const CONNECTOR_PAGINATION_TYPES = [
+    { value: 'none', label: 'Aucune' },
+    { value: 'page', label: 'Numéro de page' },
+    { value: 'offset', label: 'Offset' },
+    { value: 'cursor', label: 'Curseur' },
+    { value: 'next_url', label: 'Lien "suivant"' },
+];
+
+/** Authentification (le secret est lu dans Vault via credentials_ref) */
+export const CONNECTOR_AUTH_TYPES = [
+    { value: 'none', label: 'Aucune' },
+    { value: 'bearer', label: 'Bearer token' },
+    { value: 'basic', label: 'Basic (utilisateur:mot_de_passe)' },
+    { value: 'header', label: 'Header personnalisé' },
+];
+
+/** Planification (exécutée par pg_cron → run-connector) */
+export const CONNECTOR_SCHEDULES = [
+    { value: 'manual', label: 'Manuelle' },
+    { value: 'hourly', label: 'Toutes les heures' },
+    { value: 'daily', label: 'Quotidienne' },
+    { value: 'weekly', label: 'Hebdomadaire' },
+];
+
+/**
+ * Adaptateurs disponibles (cf. ADAPTERS dans l'Edge Function run-connector).
+ * fields décrit sources.connectors.config ; visibleWhen filtre selon la config.
+ */
+export const CONNECTOR_TYPES = {
+    rest_json: {
+        label: 'API REST / JSON',
+        description: 'Endpoint JSON paginé',
+        icon: Braces,
+        fields: [
+            { key: 'url', label: 'URL de l\'endpoint', placeholder: 'https://api.exemple.fr/v1/documents', required: true },
+            { key: 'items_path', label: 'Chemin de la liste', placeholder: 'data.items (vide = racine)' },
+            { key: 'id_field', label: 'Champ identifiant', placeholder: 'id', required: true },
+            { key: 'title_field', label: 'Champ titre', placeholder: 'title' },
+            { key: 'content_field', label: 'Champ contenu (texte)', placeholder: 'body' },
+            { key: 'document_url_field', label: 'Champ URL du fichier', placeholder: 'attachment.url' },
+            { key: 'updated_field', label: 'Champ date de modification', placeholder: 'updated_at' },
+            { key: 'pagination_type', label: 'Pagination', type: 'select', options: CONNECTOR_PAGINATION_TYPES },
+            {
+                key: 'page_param',
+                label: 'Paramètre de page',
+                placeholder: 'page',
+                visibleWhen: (config) => ['page', 'offset'].includes(config.pagination_type),
+            },
+            {
+                key: 'page_size_param',
+                label: 'Paramètre de taille',
+                placeholder: 'per_page',
+                visibleWhen: (config) => ['page', 'offset', 'cursor'].includes(config.pagination_type),
+            },
+            {
+                key: 'page_size',
+                label: 'Taille de page',
+                type: 'number',
+                placeholder: '50',
+                visibleWhen: (config) => ['page', 'offset', 'cursor'].includes(config.pagination_type),
+            },
+            {
+                key: 'cursor_param',
+                label: 'Paramètre curseur',
+                placeholder: 'cursor',
+                visibleWhen: (config) => config.pagination_type === 'cursor',
+            },
+            {
+                key: 'cursor_path',
+                label: 'Chemin du curseur suivant',
+                placeholder: 'meta.next_cursor',
+                required: true,
+                visibleWhen: (config) => config.pagination_type === 'cursor',
+            },
+            {
+                key: 'next_url_path',
+                label: 'Chemin du lien suivant',
+                placeholder: 'links.next',
+                required: true,
+                visibleWhen: (config) => config.pagination_type === 'next_url',
+            },
+            {
+                key: 'max_pages',
+                label: 'Pages max.',
+                type: 'number',
+                placeholder: '50',
+                visibleWhen: (config) => (config.pagination_type || 'none') !== 'none',
+            },
+        ],
+        /** Contrôle croisé (mêmes règles que l'adaptateur côté serveur) */
+        validate: (config) => (
+            !config.content_field && !config.document_url_field
+                ? 'Renseignez le champ contenu ou le champ URL du fichier'
+                : null
+        ),
+    },
+    webdav: {
+        label: 'WebDAV / SharePoint',
+        description: 'Synchronisation d\'un dossier',
+        icon: FolderSync,
+        fields: [
+            { key: 'url', label: 'URL du dossier', placeholder: 'https://cloud.exemple.fr/remote.php/dav/files/docs/', required: true },
+            { key: 'extensions', label: 'Extensions', placeholder: 'pdf,docx,xlsx (vide = toutes)' },
+            { key: 'recursive', label: 'Inclure les sous-dossiers', type: 'checkbox' },
+        ],
+        validate: () => null,
+    },
+};
+
+/** Statuts d'exécution (sources.connector_runs, comme legifrance.sync_jobs) */
+export const CONNECTOR_RUN_STATUSES = {
+    pending: { label: 'En attente', icon: Clock, color: 'text-baikal-text' },
+    running: { label: 'En cours', icon: Loader2, color: 'text-baikal-cyan', animate: true },
+    completed: { label: 'Terminé', icon: CheckCircle2, color: 'text-green-400' },
+    failed: { label: 'Échec', icon: XCircle, color: 'text-red-400' },
+};
+
 // ============================================================================
 // COULEURS DU THÈME SOMBRE
 // ============================================================================
@@ -332,6 +332,69 @@ export const isDefaultPrompt = (prompt) => {
 
 export const HIERARCHY_EXPLANATION = 'Hiérarchie des prompts : Organisation > Verticale > Global. Le prompt le plus spécifique est utilisé en priorité.';
 
+// ============================================
+// RÉSOLUTION (aperçu de la configuration effective)
+// ============================================
+
+/**
+ * Origine d'une valeur de la configuration résolue
+ */
+export const RESOLUTION_SOURCES = Object.freeze({
+  organization: { id: 'organization', label: 'ORGANISATION', textColor: 'text-purple-300' },
+  app: { id: 'app', label: 'APP', textColor: 'text-indigo-300' },
+  default: { id: 'default', label: 'DÉFAUT', textColor: 'text-baikal-text' },
+});
+
+/**
+ * Reproduit la sélection faite par les Edge Functions (getBrainConfig /
+ * getLibrarianConfig) : prompt actif de l'agent pour l'app, celui de
+ * l'organisation primant sur celui de l'app (org_id NULL).
+ * Les prompts globaux (sans app) ne sont pas lus par les agents.
+ *
+ * @param {Array} prompts - Tous les prompts (config.agent_prompts)
+ * @param {Object} scope - { agentType, appId, orgId }
+ * @returns {{ winner: Object|null, candidates: Array<{prompt: Object, reason: string|null}> }}
+ */
+export const resolvePrompt = (prompts, { agentType, appId, orgId }) => {
+  const candidates = prompts
+    .filter(p => p.agent_type === agentType)
+    .filter(p => !p.app_id || p.app_id === appId)
+    .filter(p => !p.org_id || p.org_id === orgId)
+    // Organisation d'abord, puis app, puis global
+    .sort((a, b) => Number(!!b.org_id) - Number(!!a.org_id) || Number(!!b.app_id) - Number(!!a.app_id));
+
+  const winner = candidates.find(p => p.is_active && p.app_id === appId) || null;
+
+  return {
+    winner,
+    candidates: candidates.map((prompt) => {
+      if (prompt === winner) return { prompt, reason: null };
+      if (!prompt.app_id) return { prompt, reason: 'Global : non lu par les agents (app requise)' };
+      if (!prompt.is_active) return { prompt, reason: 'Inactif' };
+      return { prompt, reason: 'Moins spécifique que le prompt retenu' };
+    }),
+  };
+};
+
+/**
+ * Paramètres effectifs d'un prompt : valeurs enregistrées complétées par
+ * DEFAULT_PARAMETERS, avec l'origine de chaque valeur.
+ *
+ * @param {Object|null} prompt - Prompt retenu (null = valeurs par défaut)
+ * @returns {Array<{key: string, value: any, source: Object}>}
+ */
+export const mergeResolvedParameters = (prompt) => {
+  const stored = prompt?.parameters || {};
+  const promptSource = prompt?.org_id ? RESOLUTION_SOURCES.organization : RESOLUTION_SOURCES.app;
+  const keys = [...new Set([...Object.keys(DEFAULT_PARAMETERS), ...Object.keys(stored)])];
+
+  return keys.map((key) => (
+    stored[key] !== undefined && stored[key] !== null
+      ? { key, value: stored[key], source: promptSource }
+      : { key, value: DEFAULT_PARAMETERS[key], source: RESOLUTION_SOURCES.default }
+  ));
+};
+
 // ============================================
 // VALIDATION
 // ============================================
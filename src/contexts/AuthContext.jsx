@@ -64,8 +64,11 @@ export function AuthProvider({ children }) {
     impersonatedProfile,
     impersonatedOrganization,
     impersonatedUser,
+    impersonationSession,
+    isReadOnly,
     impersonateUser,
     stopImpersonating,
+    logPage: logImpersonationPage,
   } = useImpersonation(profile);
 
   // ========================================================================
@@ -212,7 +215,7 @@ export function AuthProvider({ children }) {
           
           // Arrêter l'impersonation si active
           if (isImpersonating) {
-            stopImpersonating();
+            stopImpersonating('signout');
           }
         } else {
           setLoading(false);
@@ -321,9 +324,9 @@ export function AuthProvider({ children }) {
     setError(null);
 
     try {
-      // Arrêter l'impersonation si active
+      // Arrêter l'impersonation si active (journalisée avant la fin de la session auth)
       if (isImpersonating) {
-        stopImpersonating();
+        await stopImpersonating('signout');
       }
 
       const { error: signOutError } = await supabase.auth.signOut();
@@ -444,8 +447,11 @@ export function AuthProvider({ children }) {
     // Impersonation
     isImpersonating,
     realProfile: profile, // Profil réel du super_admin
+    impersonationSession, // { id, reason, readOnly, expiresAt }
+    isReadOnly, // Écritures bloquées (impersonation en lecture seule)
     impersonateUser,
     stopImpersonating,
+    logImpersonationPage,
 
     // Méthodes d'authentification
     signUp,
@@ -0,0 +1,84 @@
+/**
+ * ChatInput - Baikal Console
+ * ============================================================================
+ * Zone de saisie de la question avec bouton Envoyer / Arrêter.
+ * Entrée = envoyer, Maj+Entrée = retour à la ligne.
+ * ============================================================================
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import { Send, Square } from 'lucide-react';
+
+const MAX_TEXTAREA_HEIGHT = 200;
+
+/**
+ * Saisie du chat
+ * @param {Object} props
+ * @param {Function} props.onSend - Callback (query)
+ * @param {Function} props.onCancel - Callback d'annulation de la réponse en cours
+ * @param {boolean} props.isStreaming - Une réponse est en cours
+ * @param {boolean} props.disabled - Saisie désactivée
+ */
+export default function ChatInput({ onSend, onCancel, isStreaming = false, disabled = false }) {
+    const [value, setValue] = useState('');
+    const textareaRef = useRef(null);
+
+    // Auto-resize
+    useEffect(() => {
+        const el = textareaRef.current;
+        if (!el) return;
+        el.style.height = 'auto';
+        el.style.height = `${Math.min(el.scrollHeight, MAX_TEXTAREA_HEIGHT)}px`;
+    }, [value]);
+
+    const handleSubmit = (e) => {
+        e?.preventDefault();
+        if (!value.trim() || isStreaming || disabled) return;
+        onSend(value);
+        setValue('');
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            handleSubmit();
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="flex items-end gap-3">
+            <textarea
+                ref={textareaRef}
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                onKeyDown={handleKeyDown}
+                rows={1}
+                disabled={disabled}
+                placeholder="Posez votre question sur les documents..."
+                className="flex-1 resize-none px-4 py-3 bg-baikal-surface border border-baikal-border rounded-md text-white placeholder-baikal-text/50 focus:outline-none focus:border-baikal-cyan transition-colors font-sans text-sm disabled:opacity-50"
+            />
+
+            {isStreaming ? (
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="flex items-center gap-2 px-4 py-3 text-amber-400 border border-amber-500/50 hover:bg-amber-500/20 rounded-md transition-colors font-mono text-sm"
+                    title="Arrêter la génération"
+                >
+                    <Square className="w-4 h-4" />
+                    STOP
+                </button>
+            ) : (
+                <button
+                    type="submit"
+                    disabled={!value.trim() || disabled}
+                    className="flex items-center gap-2 px-4 py-3 bg-baikal-cyan text-black font-medium rounded-md hover:bg-baikal-cyan/90 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-mono text-sm"
+                    title="Envoyer"
+                >
+                    <Send className="w-4 h-4" />
+                    ENVOYER
+                </button>
+            )}
+        </form>
+    );
+}
@@ -0,0 +1,259 @@
+/**
+ * ChatInterface - Baikal Console
+ * ============================================================================
+ * Module "Assistant RAG" du Dashboard.
+ * Envoie les questions à baikal-brain-v3 et affiche la réponse streamée,
+ * le fil d'étapes et permet d'interrompre une génération.
+ *
+ * Contexte de la requête :
+ * - user_id / org_id : profil effectif (impersonation incluse)
+ * - app_id : app sélectionnée dans le Dashboard
+ * - project_id : projet choisi dans l'en-tête (optionnel)
+ *
+ * Les sources d'une réponse s'affichent dans un panneau latéral (SourcesPanel).
+ * L'historique (ConversationSidebar) permet de reprendre une conversation :
+ * le projet / l'app de la conversation sont restaurés sans la réinitialiser.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { MessageSquare, FolderOpen, RotateCcw, AlertCircle, History } from 'lucide-react';
+import { useAuth } from '../../../contexts/AuthContext';
+import { useChat } from '../../../hooks/useChat';
+import { projectsService } from '../../../services/projects.service';
+import ChatMessage from './ChatMessage';
+import ChatInput from './ChatInput';
+import SourcesPanel from './SourcesPanel';
+import ConversationSidebar from './ConversationSidebar';
+
+/**
+ * Interface de chat RAG
+ * @param {Object} props
+ * @param {string} props.appId - App courante (ex: 'arpet')
+ * @param {Function} [props.onAppChange] - Change l'app du Dashboard (reprise d'une conversation)
+ */
+export default function ChatInterface({ appId, onAppChange }) {
+    const { user, profile } = useAuth();
+    const orgId = profile?.org_id || null;
+
+    const [projects, setProjects] = useState([]);
+    const [projectId, setProjectId] = useState('');
+    const [sourcesMessageId, setSourcesMessageId] = useState(null);
+    const [showHistory, setShowHistory] = useState(false);
+    const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
+
+    const {
+        messages,
+        conversationId,
+        isStreaming,
+        error,
+        sendMessage,
+        cancel,
+        resetConversation,
+        openConversation,
+        voteMessage,
+    } = useChat({
+        userId: user?.id,
+        orgId,
+        projectId: projectId || null,
+        appId,
+    });
+
+    const scrollRef = useRef(null);
+    const skipResetRef = useRef(false);
+    const wasStreamingRef = useRef(false);
+
+    const sourcesMessage = sourcesMessageId
+        ? messages.find(m => m.id === sourcesMessageId) || null
+        : null;
+
+    // Charger les projets de l'organisation
+    useEffect(() => {
+        if (!orgId) return;
+
+        let cancelled = false;
+        projectsService.getProjects({ orgId }).then(({ data }) => {
+            if (!cancelled) setProjects(data || []);
+        });
+        return () => { cancelled = true; };
+    }, [orgId]);
+
+    // Scroll automatique pendant le streaming
+    useEffect(() => {
+        const el = scrollRef.current;
+        if (el) el.scrollTop = el.scrollHeight;
+    }, [messages]);
+
+    // Changer de projet ou d'app démarre une nouvelle conversation
+    // (sauf si le changement vient de la reprise d'une conversation)
+    useEffect(() => {
+        if (skipResetRef.current) {
+            skipResetRef.current = false;
+            return;
+        }
+        resetConversation();
+        setSourcesMessageId(null);
+    }, [projectId, appId, resetConversation]);
+
+    // Rafraîchir l'historique à la fin de chaque réponse
+    useEffect(() => {
+        if (wasStreamingRef.current && !isStreaming) {
+            setHistoryRefreshKey(key => key + 1);
+        }
+        wasStreamingRef.current = isStreaming;
+    }, [isStreaming]);
+
+    const handleOpenConversation = async (conversation) => {
+        if (isStreaming || conversation.id === conversationId) return;
+
+        const targetProjectId = conversation.project_id || '';
+        const targetAppId = conversation.app_id && onAppChange ? conversation.app_id : appId;
+
+        if (targetProjectId !== projectId || targetAppId !== appId) {
+            skipResetRef.current = true;
+            setProjectId(targetProjectId);
+            if (targetAppId !== appId) onAppChange(targetAppId);
+        }
+
+        setSourcesMessageId(null);
+        await openConversation(conversation.id);
+    };
+
+    const handleConversationDeleted = (deletedId) => {
+        if (deletedId === conversationId) {
+            resetConversation();
+            setSourcesMessageId(null);
+        }
+    };
+
+    const handleShowSources = (message) => {
+        setSourcesMessageId(prev => (prev === message.id ? null : message.id));
+    };
+
+    return (
+        <div className="h-full flex flex-col">
+            {/* En-tête */}
+            <div className="flex items-center justify-between gap-4 px-6 py-3 border-b border-baikal-border bg-baikal-surface">
+                <div className="flex items-center gap-3 min-w-0">
+                    <button
+                        onClick={() => setShowHistory(prev => !prev)}
+                        className={`p-1.5 rounded-md border transition-colors ${
+                            showHistory
+                                ? 'border-baikal-cyan text-baikal-cyan bg-baikal-cyan/10'
+                                : 'border-baikal-border text-baikal-text hover:border-baikal-cyan hover:text-white'
+                        }`}
+                        title="Historique des conversations"
+                    >
+                        <History className="w-4 h-4" />
+                    </button>
+                    <MessageSquare className="w-5 h-5 text-baikal-cyan flex-shrink-0" />
+                    <h2 className="text-sm font-mono font-bold text-white">ASSISTANT_RAG</h2>
+                    {conversationId && (
+                        <span className="hidden md:inline text-xs font-mono text-baikal-text truncate" title={conversationId}>
+                            #{conversationId.slice(0, 8)}
+                        </span>
+                    )}
+                </div>
+
+                <div className="flex items-center gap-3">
+                    {projects.length > 0 && (
+                        <div className="flex items-center gap-2">
+                            <FolderOpen className="w-4 h-4 text-baikal-text" />
+                            <select
+                                value={projectId}
+                                onChange={(e) => setProjectId(e.target.value)}
+                                disabled={isStreaming}
+                                className="px-3 py-1.5 bg-baikal-bg border border-baikal-border rounded-md text-sm text-white focus:outline-none focus:border-baikal-cyan transition-colors font-mono max-w-[200px]"
+                            >
+                                <option value="">TOUS PROJETS</option>
+                                {projects.map(project => (
+                                    <option key={project.id} value={project.id}>{project.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    <button
+                        onClick={resetConversation}
+                        disabled={isStreaming || messages.length === 0}
+                        className="flex items-center gap-2 px-3 py-1.5 text-sm text-baikal-text border border-baikal-border hover:border-baikal-cyan hover:text-white rounded-md transition-colors font-mono disabled:opacity-50 disabled:cursor-not-allowed"
+                        title="Nouvelle conversation"
+                    >
+                        <RotateCcw className="w-4 h-4" />
+                        <span className="hidden sm:inline">NOUVELLE</span>
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex-1 flex min-h-0">
+                {showHistory && (
+                    <ConversationSidebar
+                        userId={user?.id}
+                        appId={appId}
+                        projects={projects}
+                        activeConversationId={conversationId}
+                        refreshKey={historyRefreshKey}
+                        onOpen={handleOpenConversation}
+                        onDeleted={handleConversationDeleted}
+                        onClose={() => setShowHistory(false)}
+                    />
+                )}
+
+                <div className="flex-1 min-w-0 flex flex-col">
+                    {/* Messages */}
+                    <div ref={scrollRef} className="flex-1 overflow-y-auto px-6 py-6">
+                        {messages.length === 0 ? (
+                            <div className="h-full flex flex-col items-center justify-center text-center">
+                                <MessageSquare className="w-12 h-12 text-baikal-text mb-4" />
+                                <h3 className="text-lg font-mono font-medium text-white mb-2">
+                                    POSEZ_VOTRE_QUESTION
+                                </h3>
+                                <p className="text-sm text-baikal-text max-w-md">
+                                    L'assistant recherche dans les documents de votre organisation
+                                    {projectId ? ' et du projet sélectionné' : ''} et cite ses sources.
+                                </p>
+                            </div>
+                        ) : (
+                            <div className="max-w-3xl mx-auto space-y-6">
+                                {messages.map(message => (
+                                    <ChatMessage
+                                        key={message.id}
+                                        message={message}
+                                        isSourcesOpen={message.id === sourcesMessageId}
+                                        onShowSources={handleShowSources}
+                                        onVote={voteMessage}
+                                    />
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Saisie */}
+                    <div className="px-6 py-4 border-t border-baikal-border bg-baikal-bg">
+                        <div className="max-w-3xl mx-auto space-y-2">
+                            {error && (
+                                <p className="flex items-center gap-2 text-xs text-red-400 font-mono">
+                                    <AlertCircle className="w-3.5 h-3.5" />
+                                    {error}
+                                </p>
+                            )}
+                            <ChatInput
+                                onSend={sendMessage}
+                                onCancel={cancel}
+                                isStreaming={isStreaming}
+                                disabled={!user?.id}
+                            />
+                        </div>
+                    </div>
+                </div>
+
+                {sourcesMessage && (
+                    <SourcesPanel
+                        message={sourcesMessage}
+                        onClose={() => setSourcesMessageId(null)}
+                    />
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,120 @@
+/**
+ * ChatMessage - Baikal Console
+ * ============================================================================
+ * Bulle de message (question utilisateur ou réponse de l'assistant).
+ * ============================================================================
+ */
+
+import React from 'react';
+import { AlertCircle, Ban, Bot, BookOpen } from 'lucide-react';
+import { MESSAGE_STATUS } from '../../../hooks/useChat';
+import MarkdownContent from './MarkdownContent';
+import StepTrail from './StepTrail';
+import VoteControls from './VoteControls';
+import MemoryBadge from './MemoryBadge';
+
+/**
+ * Message du chat
+ * @param {Object} props
+ * @param {Object} props.message - Message ({ role, content, steps, status, error, sources, meta, vote })
+ * @param {boolean} props.isSourcesOpen - Le panneau des sources affiche ce message
+ * @param {Function} props.onShowSources - Callback d'ouverture du panneau des sources (message)
+ * @param {Function} props.onVote - Callback de vote (messageId, value)
+ */
+export default function ChatMessage({ message, isSourcesOpen = false, onShowSources, onVote }) {
+    if (message.role === 'user') {
+        return (
+            <div className="flex justify-end">
+                <div className="max-w-[80%] px-4 py-3 bg-baikal-cyan/10 border border-baikal-cyan/40 rounded-lg text-sm text-white whitespace-pre-wrap">
+                    {message.content}
+                </div>
+            </div>
+        );
+    }
+
+    const isStreaming = message.status === MESSAGE_STATUS.STREAMING;
+    const hasContent = message.content.length > 0;
+    const sourcesCount = message.sources?.length || 0;
+    const isDone = message.status === MESSAGE_STATUS.DONE;
+
+    // Réponse réutilisée depuis la mémoire collective (searchQAMemory)
+    const fromMemory = !!message.meta?.from_memory;
+    const memorySource = fromMemory ? message.sources?.find(src => src.type === 'qa_memory') : null;
+    const trustScore = typeof message.vote?.trustScore === 'number'
+        ? message.vote.trustScore
+        : message.meta?.trust_score ?? null;
+
+    return (
+        <div className="flex gap-3">
+            <div className="w-8 h-8 flex-shrink-0 rounded-md bg-baikal-surface border border-baikal-border flex items-center justify-center">
+                <Bot className="w-4 h-4 text-baikal-cyan" />
+            </div>
+
+            <div className="flex-1 min-w-0 space-y-3">
+                <StepTrail steps={message.steps} isActive={isStreaming && !hasContent} />
+
+                {fromMemory && (
+                    <MemoryBadge
+                        trustScore={trustScore}
+                        isExpertFaq={!!message.meta?.is_expert_faq}
+                        similarity={memorySource?.score ?? null}
+                    />
+                )}
+
+                {hasContent && (
+                    <div className="px-4 py-3 bg-baikal-surface border border-baikal-border rounded-lg">
+                        <MarkdownContent content={message.content} />
+                        {isStreaming && (
+                            <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-baikal-cyan animate-pulse" />
+                        )}
+                    </div>
+                )}
+
+                {message.status === MESSAGE_STATUS.CANCELLED && (
+                    <p className="flex items-center gap-1.5 text-xs font-mono text-amber-400">
+                        <Ban className="w-3.5 h-3.5" />
+                        Réponse interrompue
+                    </p>
+                )}
+
+                {message.status === MESSAGE_STATUS.ERROR && (
+                    <div className="flex items-start gap-2 p-3 bg-red-900/20 border border-red-500/50 rounded-md text-sm text-red-300">
+                        <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                        <span className="font-mono">{message.error}</span>
+                    </div>
+                )}
+
+                {isDone && hasContent && (
+                    <div className="flex flex-wrap items-center gap-3">
+                        {onVote && (
+                            <VoteControls
+                                vote={message.vote}
+                                fromMemory={fromMemory}
+                                onVote={(value) => onVote(message.id, value)}
+                            />
+                        )}
+                        {sourcesCount > 0 && onShowSources && (
+                            <button
+                                onClick={() => onShowSources(message)}
+                                className={`flex items-center gap-1.5 px-2 py-1 text-xs font-mono border rounded transition-colors ${
+                                    isSourcesOpen
+                                        ? 'border-baikal-cyan text-baikal-cyan bg-baikal-cyan/10'
+                                        : 'border-baikal-border text-baikal-text hover:border-baikal-cyan hover:text-white'
+                                }`}
+                            >
+                                <BookOpen className="w-3.5 h-3.5" />
+                                {sourcesCount} source{sourcesCount > 1 ? 's' : ''}
+                            </button>
+                        )}
+                        {message.meta?.generation_mode_ui && (
+                            <p className="text-xs font-mono text-baikal-text/70">
+                                Mode {message.meta.generation_mode_ui}
+                                {message.meta.processing_time_ms ? ` · ${(message.meta.processing_time_ms / 1000).toFixed(1)}s` : ''}
+                            </p>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
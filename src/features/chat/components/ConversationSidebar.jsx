@@ -0,0 +1,329 @@
+/**
+ * ConversationSidebar - Baikal Console
+ * ============================================================================
+ * Historique des conversations de l'utilisateur : recherche dans les messages,
+ * filtres app / projet, renommage, suppression et reprise d'une conversation.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    History,
+    Search,
+    X,
+    Pencil,
+    Trash2,
+    Check,
+    Loader2,
+    AlertCircle,
+    Layers,
+    FolderOpen,
+} from 'lucide-react';
+import { useDebounce } from '../../../hooks/useDebounce';
+import { conversationsService } from '../../../services/conversations.service';
+import { getApps } from '../../../services/indexation.service';
+
+const formatDate = (value) => {
+    if (!value) return '';
+    return new Date(value).toLocaleString('fr-FR', {
+        day: '2-digit',
+        month: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+};
+
+/**
+ * Élément de la liste
+ */
+function ConversationItem({ conversation, isActive, projectName, onOpen, onRename, onDelete }) {
+    const [isEditing, setIsEditing] = useState(false);
+    const [title, setTitle] = useState('');
+    const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+    const [isBusy, setIsBusy] = useState(false);
+
+    const startEditing = (e) => {
+        e.stopPropagation();
+        setTitle(conversation.title || conversation.displayTitle);
+        setIsEditing(true);
+    };
+
+    const submitRename = async (e) => {
+        e?.preventDefault();
+        setIsBusy(true);
+        await onRename(conversation, title);
+        setIsBusy(false);
+        setIsEditing(false);
+    };
+
+    const confirmDelete = async (e) => {
+        e.stopPropagation();
+        setIsBusy(true);
+        await onDelete(conversation);
+        setIsBusy(false);
+        setIsConfirmingDelete(false);
+    };
+
+    if (isEditing) {
+        return (
+            <form onSubmit={submitRename} className="flex items-center gap-1 px-2 py-2 bg-baikal-bg border border-baikal-cyan rounded-md">
+                <input
+                    autoFocus
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Escape' && setIsEditing(false)}
+                    className="flex-1 min-w-0 px-2 py-1 bg-transparent text-sm text-white focus:outline-none"
+                    placeholder="Titre de la conversation"
+                />
+                <button type="submit" disabled={isBusy} className="p-1 text-baikal-cyan hover:text-white" title="Enregistrer">
+                    {isBusy ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Check className="w-3.5 h-3.5" />}
+                </button>
+                <button type="button" onClick={() => setIsEditing(false)} className="p-1 text-baikal-text hover:text-white" title="Annuler">
+                    <X className="w-3.5 h-3.5" />
+                </button>
+            </form>
+        );
+    }
+
+    return (
+        <div
+            onClick={() => onOpen(conversation)}
+            className={`group px-3 py-2 rounded-md border cursor-pointer transition-colors ${
+                isActive
+                    ? 'border-baikal-cyan bg-baikal-cyan/10'
+                    : 'border-transparent hover:border-baikal-border hover:bg-baikal-bg'
+            }`}
+        >
+            <div className="flex items-start gap-2">
+                <p className="flex-1 min-w-0 text-sm text-white line-clamp-2" title={conversation.displayTitle}>
+                    {conversation.displayTitle}
+                </p>
+                {!isConfirmingDelete && (
+                    <div className="flex items-center gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity">
+                        <button onClick={startEditing} className="p-1 text-baikal-text hover:text-white" title="Renommer">
+                            <Pencil className="w-3.5 h-3.5" />
+                        </button>
+                        <button
+                            onClick={(e) => { e.stopPropagation(); setIsConfirmingDelete(true); }}
+                            className="p-1 text-baikal-text hover:text-red-400"
+                            title="Supprimer"
+                        >
+                            <Trash2 className="w-3.5 h-3.5" />
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {conversation.matchSnippet && (
+                <p className="mt-1 text-xs text-baikal-text/80 line-clamp-2 italic">
+                    {conversation.matchSnippet}
+                </p>
+            )}
+
+            <p className="mt-1 text-[10px] font-mono text-baikal-text flex items-center gap-2">
+                <span>{formatDate(conversation.updated_at || conversation.created_at)}</span>
+                {projectName && <span className="truncate text-baikal-cyan">{projectName}</span>}
+            </p>
+
+            {isConfirmingDelete && (
+                <div className="mt-2 flex items-center justify-between gap-2 text-xs font-mono" onClick={(e) => e.stopPropagation()}>
+                    <span className="text-red-400">Supprimer ?</span>
+                    <div className="flex items-center gap-2">
+                        <button onClick={() => setIsConfirmingDelete(false)} className="text-baikal-text hover:text-white">
+                            NON
+                        </button>
+                        <button onClick={confirmDelete} disabled={isBusy} className="flex items-center gap-1 text-red-400 hover:text-red-300">
+                            {isBusy && <Loader2 className="w-3 h-3 animate-spin" />}
+                            OUI
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Barre latérale d'historique
+ * @param {Object} props
+ * @param {string} props.userId - ID utilisateur
+ * @param {string} props.appId - App courante (filtre par défaut)
+ * @param {Array} props.projects - Projets de l'organisation
+ * @param {string|null} props.activeConversationId - Conversation affichée
+ * @param {number} props.refreshKey - Incrémenté pour recharger la liste
+ * @param {Function} props.onOpen - Callback (conversation)
+ * @param {Function} props.onDeleted - Callback (conversationId) après suppression
+ * @param {Function} props.onClose - Fermeture de la barre
+ */
+export default function ConversationSidebar({
+    userId,
+    appId,
+    projects = [],
+    activeConversationId,
+    refreshKey = 0,
+    onOpen,
+    onDeleted,
+    onClose,
+}) {
+    const [conversations, setConversations] = useState([]);
+    const [apps, setApps] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Filtres
+    const [search, setSearch] = useState('');
+    const [appFilter, setAppFilter] = useState(appId || '');
+    const [projectFilter, setProjectFilter] = useState('');
+    const debouncedSearch = useDebounce(search, 400);
+
+    useEffect(() => {
+        getApps().then(({ data }) => setApps(data || []));
+    }, []);
+
+    // Suivre l'app du Dashboard
+    useEffect(() => {
+        setAppFilter(appId || '');
+    }, [appId]);
+
+    const loadConversations = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+
+        const { data, error: loadError } = await conversationsService.getConversations({
+            userId,
+            appId: appFilter || null,
+            projectId: projectFilter || null,
+            search: debouncedSearch,
+        });
+
+        if (loadError) {
+            setError(loadError.message);
+        } else {
+            setConversations(data);
+        }
+        setLoading(false);
+    }, [userId, appFilter, projectFilter, debouncedSearch]);
+
+    useEffect(() => {
+        loadConversations();
+    }, [loadConversations, refreshKey]);
+
+    const projectNames = {};
+    projects.forEach(p => { projectNames[p.id] = p.name; });
+
+    const handleRename = async (conversation, title) => {
+        const { data, error: renameError } = await conversationsService.renameConversation(conversation.id, title);
+        if (renameError) {
+            setError(renameError.message);
+            return;
+        }
+        setConversations(prev => prev.map(c => (
+            c.id === conversation.id
+                ? { ...c, title: data.title, displayTitle: data.title || c.first_message || c.displayTitle }
+                : c
+        )));
+    };
+
+    const handleDelete = async (conversation) => {
+        const { error: deleteError } = await conversationsService.deleteConversation(conversation.id);
+        if (deleteError) {
+            setError(deleteError.message);
+            return;
+        }
+        setConversations(prev => prev.filter(c => c.id !== conversation.id));
+        onDeleted?.(conversation.id);
+    };
+
+    return (
+        <aside className="w-full md:w-72 flex-shrink-0 h-full flex flex-col border-r border-baikal-border bg-baikal-surface">
+            {/* En-tête */}
+            <div className="flex items-center justify-between gap-2 px-4 py-3 border-b border-baikal-border">
+                <div className="flex items-center gap-2">
+                    <History className="w-4 h-4 text-baikal-cyan" />
+                    <h3 className="text-sm font-mono font-bold text-white">HISTORIQUE</h3>
+                </div>
+                <button
+                    onClick={onClose}
+                    className="p-1 text-baikal-text hover:text-white transition-colors"
+                    title="Fermer"
+                >
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            {/* Filtres */}
+            <div className="p-3 space-y-2 border-b border-baikal-border">
+                <div className="relative">
+                    <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 w-4 h-4 text-baikal-text" />
+                    <input
+                        type="text"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder="Rechercher dans les messages..."
+                        className="w-full pl-8 pr-3 py-1.5 bg-baikal-bg border border-baikal-border rounded-md text-sm text-white placeholder-baikal-text/50 focus:outline-none focus:border-baikal-cyan transition-colors"
+                    />
+                </div>
+                <div className="flex items-center gap-2">
+                    <Layers className="w-4 h-4 flex-shrink-0 text-baikal-text" />
+                    <select
+                        value={appFilter}
+                        onChange={(e) => setAppFilter(e.target.value)}
+                        className="flex-1 min-w-0 px-2 py-1.5 bg-baikal-bg border border-baikal-border rounded-md text-xs text-white focus:outline-none focus:border-baikal-cyan transition-colors font-mono"
+                    >
+                        <option value="">TOUTES APPS</option>
+                        {apps.map(app => (
+                            <option key={app.id} value={app.id}>{app.name}</option>
+                        ))}
+                    </select>
+                </div>
+                {projects.length > 0 && (
+                    <div className="flex items-center gap-2">
+                        <FolderOpen className="w-4 h-4 flex-shrink-0 text-baikal-text" />
+                        <select
+                            value={projectFilter}
+                            onChange={(e) => setProjectFilter(e.target.value)}
+                            className="flex-1 min-w-0 px-2 py-1.5 bg-baikal-bg border border-baikal-border rounded-md text-xs text-white focus:outline-none focus:border-baikal-cyan transition-colors font-mono"
+                        >
+                            <option value="">TOUS PROJETS</option>
+                            {projects.map(project => (
+                                <option key={project.id} value={project.id}>{project.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+            </div>
+
+            {/* Liste */}
+            <div className="flex-1 overflow-y-auto p-2 space-y-1">
+                {error && (
+                    <p className="flex items-center gap-1.5 px-2 py-2 text-xs font-mono text-red-400">
+                        <AlertCircle className="w-3.5 h-3.5 flex-shrink-0" />
+                        {error}
+                    </p>
+                )}
+
+                {loading && conversations.length === 0 ? (
+                    <div className="flex items-center justify-center py-8">
+                        <Loader2 className="w-5 h-5 text-baikal-cyan animate-spin" />
+                    </div>
+                ) : conversations.length === 0 ? (
+                    <p className="text-xs text-baikal-text text-center py-8 font-mono">
+                        {debouncedSearch ? 'AUCUN_RÉSULTAT' : 'AUCUNE_CONVERSATION'}
+                    </p>
+                ) : (
+                    conversations.map(conversation => (
+                        <ConversationItem
+                            key={conversation.id}
+                            conversation={conversation}
+                            isActive={conversation.id === activeConversationId}
+                            projectName={conversation.project_id ? projectNames[conversation.project_id] : null}
+                            onOpen={onOpen}
+                            onRename={handleRename}
+                            onDelete={handleDelete}
+                        />
+                    ))
+                )}
+            </div>
+        </aside>
+    );
+}
@@ -0,0 +1,308 @@
+/**
+ * MarkdownContent - Baikal Console
+ * ============================================================================
+ * Rendu Markdown léger pour les réponses de l'assistant.
+ * Tolérant aux contenus partiels (streaming token par token) :
+ * titres, listes, tableaux, citations, blocs de code et mise en forme inline.
+ * ============================================================================
+ */
+
+import React, { useMemo } from 'react';
+
+// ============================================================================
+// PARSING INLINE
+// ============================================================================
+
+const INLINE_PATTERN = /(`[^`]+`|\*\*[^*]+\*\*|__[^_]+__|\*[^*\s][^*]*\*|\[[^\]]+\]\([^)\s]+\))/g;
+
+/**
+ * Schémas d'URL autorisés pour les liens : le contenu vient du modèle (et
+ * des documents qu'il cite), un lien javascript: s'exécuterait dans l'app
+ */
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * @param {string} href
+ * @returns {boolean}
+ */
+function isSafeHref(href) {
+    try {
+        return SAFE_LINK_PROTOCOLS.includes(new URL(href).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Rendu des éléments inline (gras, italique, code, liens)
+ * @param {string} text - Texte brut
+ * @param {string} keyPrefix - Préfixe des clés React
+ */
+function renderInline(text, keyPrefix) {
+    const parts = text.split(INLINE_PATTERN).filter(part => part !== '');
+
+    return parts.map((part, index) => {
+        const key = `${keyPrefix}-${index}`;
+
+        if (part.startsWith('`') && part.endsWith('`') && part.length > 1) {
+            return (
+                <code key={key} className="px-1 py-0.5 bg-black/40 rounded text-baikal-cyan font-mono text-[0.85em]">
+                    {part.slice(1, -1)}
+                </code>
+            );
+        }
+        if ((part.startsWith('**') && part.endsWith('**')) || (part.startsWith('__') && part.endsWith('__'))) {
+            return <strong key={key} className="font-semibold text-white">{part.slice(2, -2)}</strong>;
+        }
+        if (part.startsWith('*') && part.endsWith('*') && part.length > 2) {
+            return <em key={key}>{part.slice(1, -1)}</em>;
+        }
+        const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+        if (link && !isSafeHref(link[2])) {
+            return <React.Fragment key={key}>{link[1]}</React.Fragment>;
+        }
+        if (link) {
+            return (
+                <a key={key} href={link[2]} target="_blank" rel="noopener noreferrer" className="text-baikal-cyan hover:underline">
+                    {link[1]}
+                </a>
+            );
+        }
+        return <React.Fragment key={key}>{part}</React.Fragment>;
+    });
+}
+
+// ============================================================================
+// PARSING BLOCS
+// ============================================================================
+
+const isTableRow = (line) => /^\s*\|.*\|\s*$/.test(line);
+const isTableSeparator = (line) => /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(line);
+const splitTableRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+
+/**
+ * Découpe le Markdown en blocs typés
+ * @param {string} content - Markdown brut
+ * @returns {Array<Object>}
+ */
+function parseBlocks(content) {
+    const lines = content.replace(/\r\n/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        // Ligne vide
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Bloc de code (éventuellement non fermé pendant le streaming)
+        if (line.trim().startsWith('```')) {
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith('```')) {
+                codeLines.push(lines[i]);
+                i++;
+            }
+            i++;
+            blocks.push({ type: 'code', content: codeLines.join('\n') });
+            continue;
+        }
+
+        // Titre
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, content: heading[2] });
+            i++;
+            continue;
+        }
+
+        // Séparateur horizontal
+        if (/^\s*([-*_])\s*\1\s*\1[\s\-*_]*$/.test(line)) {
+            blocks.push({ type: 'hr' });
+            i++;
+            continue;
+        }
+
+        // Tableau
+        if (isTableRow(line) && i + 1 < lines.length && isTableSeparator(lines[i + 1])) {
+            const header = splitTableRow(line);
+            const rows = [];
+            i += 2;
+            while (i < lines.length && isTableRow(lines[i])) {
+                rows.push(splitTableRow(lines[i]));
+                i++;
+            }
+            blocks.push({ type: 'table', header, rows });
+            continue;
+        }
+
+        // Citation
+        if (line.trim().startsWith('>')) {
+            const quoteLines = [];
+            while (i < lines.length && lines[i].trim().startsWith('>')) {
+                quoteLines.push(lines[i].trim().replace(/^>\s?/, ''));
+                i++;
+            }
+            blocks.push({ type: 'quote', content: quoteLines.join(' ') });
+            continue;
+        }
+
+        // Liste (à puces ou numérotée)
+        const listMatch = line.match(/^\s*([-*+]|\d+[.)])\s+/);
+        if (listMatch) {
+            const ordered = /\d/.test(listMatch[1]);
+            const items = [];
+            while (i < lines.length) {
+                const itemMatch = lines[i].match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+                if (itemMatch && /\d/.test(itemMatch[2]) === ordered) {
+                    items.push({ indent: itemMatch[1].length, content: itemMatch[3] });
+                    i++;
+                } else if (lines[i].trim() && /^\s{2,}/.test(lines[i]) && items.length > 0) {
+                    // Continuation de l'item précédent
+                    items[items.length - 1].content += ` ${lines[i].trim()}`;
+                    i++;
+                } else {
+                    break;
+                }
+            }
+            blocks.push({ type: ordered ? 'ol' : 'ul', items });
+            continue;
+        }
+
+        // Paragraphe
+        const paragraphLines = [];
+        while (
+            i < lines.length &&
+            lines[i].trim() &&
+            !lines[i].trim().startsWith('```') &&
+            !/^#{1,6}\s/.test(lines[i]) &&
+            !/^\s*([-*+]|\d+[.)])\s+/.test(lines[i]) &&
+            !lines[i].trim().startsWith('>') &&
+            !(isTableRow(lines[i]) && i + 1 < lines.length && isTableSeparator(lines[i + 1]))
+        ) {
+            paragraphLines.push(lines[i].trim());
+            i++;
+        }
+        blocks.push({ type: 'paragraph', lines: paragraphLines });
+    }
+
+    return blocks;
+}
+
+// ============================================================================
+// COMPOSANT
+// ============================================================================
+
+const HEADING_CLASSES = {
+    1: 'text-lg font-semibold text-white mt-4 mb-2',
+    2: 'text-base font-semibold text-white mt-4 mb-2',
+    3: 'text-sm font-semibold text-white mt-3 mb-1.5',
+};
+
+/**
+ * Rendu Markdown
+ * @param {Object} props
+ * @param {string} props.content - Markdown à afficher
+ * @param {string} [props.className] - Classes additionnelles
+ */
+export default function MarkdownContent({ content = '', className = '' }) {
+    const blocks = useMemo(() => parseBlocks(content), [content]);
+
+    return (
+        <div className={`text-sm text-gray-200 leading-relaxed space-y-2 ${className}`}>
+            {blocks.map((block, index) => {
+                const key = `block-${index}`;
+
+                switch (block.type) {
+                    case 'heading': {
+                        const Tag = `h${Math.min(block.level, 6)}`;
+                        return (
+                            <Tag key={key} className={HEADING_CLASSES[block.level] || HEADING_CLASSES[3]}>
+                                {renderInline(block.content, key)}
+                            </Tag>
+                        );
+                    }
+
+                    case 'code':
+                        return (
+                            <pre key={key} className="p-3 bg-black/40 border border-baikal-border rounded-md overflow-x-auto text-xs font-mono text-gray-300">
+                                <code>{block.content}</code>
+                            </pre>
+                        );
+
+                    case 'hr':
+                        return <hr key={key} className="border-baikal-border my-3" />;
+
+                    case 'quote':
+                        return (
+                            <blockquote key={key} className="pl-3 border-l-2 border-baikal-cyan/60 text-baikal-text italic">
+                                {renderInline(block.content, key)}
+                            </blockquote>
+                        );
+
+                    case 'ul':
+                    case 'ol': {
+                        const ListTag = block.type;
+                        return (
+                            <ListTag
+                                key={key}
+                                className={`${block.type === 'ol' ? 'list-decimal' : 'list-disc'} pl-5 space-y-1 marker:text-baikal-text`}
+                            >
+                                {block.items.map((item, itemIndex) => (
+                                    <li key={`${key}-${itemIndex}`} style={item.indent ? { marginLeft: `${item.indent * 0.5}rem` } : undefined}>
+                                        {renderInline(item.content, `${key}-${itemIndex}`)}
+                                    </li>
+                                ))}
+                            </ListTag>
+                        );
+                    }
+
+                    case 'table':
+                        return (
+                            <div key={key} className="overflow-x-auto">
+                                <table className="w-full text-xs border border-baikal-border">
+                                    <thead>
+                                        <tr className="bg-baikal-bg/60">
+                                            {block.header.map((cell, cellIndex) => (
+                                                <th key={cellIndex} className="px-3 py-2 text-left font-mono font-semibold text-baikal-text border-b border-baikal-border">
+                                                    {renderInline(cell, `${key}-h${cellIndex}`)}
+                                                </th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {block.rows.map((row, rowIndex) => (
+                                            <tr key={rowIndex} className="border-b border-baikal-border/50">
+                                                {row.map((cell, cellIndex) => (
+                                                    <td key={cellIndex} className="px-3 py-2 align-top">
+                                                        {renderInline(cell, `${key}-${rowIndex}-${cellIndex}`)}
+                                                    </td>
+                                                ))}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        );
+
+                    case 'paragraph':
+                    default:
+                        return (
+                            <p key={key}>
+                                {block.lines.map((line, lineIndex) => (
+                                    <React.Fragment key={lineIndex}>
+                                        {lineIndex > 0 && <br />}
+                                        {renderInline(line, `${key}-${lineIndex}`)}
+                                    </React.Fragment>
+                                ))}
+                            </p>
+                        );
+                }
+            })}
+        </div>
+    );
+}
@@ -0,0 +1,37 @@
+/**
+ * MemoryBadge - Baikal Console
+ * ============================================================================
+ * Indique qu'une réponse provient de la mémoire collective (searchQAMemory) :
+ * réponse déjà validée par les utilisateurs, réutilisée telle quelle.
+ * ============================================================================
+ */
+
+import React from 'react';
+import { Lightbulb, ShieldCheck } from 'lucide-react';
+
+/**
+ * Badge "Mémoire collective"
+ * @param {Object} props
+ * @param {number|null} props.trustScore - Score de confiance de la Q/A
+ * @param {boolean} props.isExpertFaq - Q/A issue d'une FAQ experte
+ * @param {number|null} props.similarity - Similarité question / Q/A (0-1)
+ */
+export default function MemoryBadge({ trustScore = null, isExpertFaq = false, similarity = null }) {
+    const Icon = isExpertFaq ? ShieldCheck : Lightbulb;
+
+    return (
+        <div
+            className="inline-flex items-center gap-2 px-2.5 py-1 bg-cyan-500/10 border border-cyan-500/40 rounded text-xs font-mono text-cyan-300"
+            title="Réponse déjà validée par les utilisateurs, réutilisée depuis la mémoire collective"
+        >
+            <Icon className="w-3.5 h-3.5" />
+            <span>{isExpertFaq ? 'FAQ EXPERT' : 'MÉMOIRE COLLECTIVE'}</span>
+            {typeof trustScore === 'number' && (
+                <span className="text-white">· confiance {trustScore}</span>
+            )}
+            {typeof similarity === 'number' && (
+                <span className="text-cyan-300/70">· {Math.round(similarity * 100)}%</span>
+            )}
+        </div>
+    );
+}
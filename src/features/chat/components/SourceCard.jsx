@@ -0,0 +1,172 @@
+/**
+ * SourceCard - Baikal Console
+ * ============================================================================
+ * Carte d'une source citée par l'assistant : couche, similarité, page/section,
+ * extrait verbatim (chargé à la demande) et ouverture du document original.
+ * ============================================================================
+ */
+
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, ExternalLink, Loader2, AlertCircle } from 'lucide-react';
+import { documentsService } from '../../../services/documents.service';
+import { storageService } from '../../../services/storage.service';
+import { getSourceLayerConfig, getSourceTypeConfig } from '../config';
+
+/**
+ * Carte de source
+ * @param {Object} props
+ * @param {Object} props.source - Source émise par le librarian
+ * @param {number} props.index - Numéro de la citation (1-based)
+ */
+export default function SourceCard({ source, index }) {
+    const [isExpanded, setIsExpanded] = useState(false);
+    const [excerpt, setExcerpt] = useState(null);
+    const [isLoadingExcerpt, setIsLoadingExcerpt] = useState(false);
+    const [isOpening, setIsOpening] = useState(false);
+    const [error, setError] = useState(null);
+
+    const layerConfig = getSourceLayerConfig(source.layer);
+    const typeConfig = getSourceTypeConfig(source.type);
+    const TypeIcon = typeConfig.icon;
+
+    // Les IDs des sources "document" sont des IDs de chunks (rag.documents)
+    const canLoadExcerpt = source.type === 'document' && source.id;
+    const canOpenFile = source.type !== 'qa_memory' && !!source.source_file_id;
+
+    const handleToggle = async () => {
+        const next = !isExpanded;
+        setIsExpanded(next);
+
+        if (!next || excerpt || !canLoadExcerpt) return;
+
+        setIsLoadingExcerpt(true);
+        setError(null);
+        const { data, error: fetchError } = await documentsService.getCitationChunk(source.id);
+        if (fetchError) {
+            setError('Impossible de charger l\'extrait');
+        } else {
+            setExcerpt(data);
+        }
+        setIsLoadingExcerpt(false);
+    };
+
+    const handleOpenFile = async () => {
+        setIsOpening(true);
+        setError(null);
+
+        try {
+            const { data: file, error: fileError } = await documentsService.getSourceFileLocation(source.source_file_id);
+            if (fileError || !file?.storage_path) throw fileError || new Error('Fichier introuvable');
+
+            const { signedUrl, error: urlError } = await storageService.getSignedUrl(file.storage_bucket, file.storage_path);
+            if (urlError || !signedUrl) throw urlError || new Error('URL indisponible');
+
+            const url = source.page ? `${signedUrl}#page=${source.page}` : signedUrl;
+            window.open(url, '_blank', 'noopener,noreferrer');
+        } catch (err) {
+            console.error('[SourceCard] open file error:', err);
+            setError('Impossible d\'ouvrir le document');
+        } finally {
+            setIsOpening(false);
+        }
+    };
+
+    // Verbatim : enfants L1 si le chunk cité est un résumé L0, sinon le chunk lui-même
+    const excerptBlocks = excerpt
+        ? (excerpt.children.length > 0 ? excerpt.children : [excerpt.chunk])
+        : [];
+
+    return (
+        <div className="bg-baikal-bg border border-baikal-border rounded-md">
+            <div className="p-3 space-y-2">
+                <div className="flex items-start gap-2">
+                    <span className="flex-shrink-0 w-5 h-5 rounded bg-baikal-surface border border-baikal-border flex items-center justify-center text-[10px] font-mono text-baikal-text">
+                        {index}
+                    </span>
+                    <TypeIcon className="w-4 h-4 flex-shrink-0 mt-0.5 text-baikal-text" />
+                    <p className="flex-1 min-w-0 text-sm text-white break-words" title={source.document_name}>
+                        {source.document_name || 'Document sans nom'}
+                    </p>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-2 text-xs font-mono">
+                    <span className={`px-1.5 py-0.5 rounded text-white ${layerConfig.colors.badge}`}>
+                        {layerConfig.label}
+                    </span>
+                    {typeof source.score === 'number' && (
+                        <span className="text-baikal-cyan" title="Similarité">
+                            {Math.round(source.score * 100)}%
+                        </span>
+                    )}
+                    {source.page && (
+                        <span className="text-baikal-text">p. {source.page}</span>
+                    )}
+                </div>
+
+                {source.section_title && (
+                    <p className="text-xs text-baikal-text truncate" title={source.section_title}>
+                        § {source.section_title}
+                    </p>
+                )}
+
+                {!isExpanded && source.content_preview && (
+                    <p className="text-xs text-baikal-text/80 line-clamp-3">
+                        {source.content_preview}
+                    </p>
+                )}
+
+                <div className="flex items-center justify-between gap-2 pt-1">
+                    <button
+                        onClick={handleToggle}
+                        className="flex items-center gap-1 text-xs font-mono text-baikal-text hover:text-white transition-colors"
+                    >
+                        {isExpanded ? <ChevronDown className="w-3.5 h-3.5" /> : <ChevronRight className="w-3.5 h-3.5" />}
+                        EXTRAIT
+                    </button>
+
+                    {canOpenFile && (
+                        <button
+                            onClick={handleOpenFile}
+                            disabled={isOpening}
+                            className="flex items-center gap-1 text-xs font-mono text-baikal-cyan hover:text-white transition-colors disabled:opacity-50"
+                            title={source.page ? `Ouvrir à la page ${source.page}` : 'Ouvrir le document'}
+                        >
+                            {isOpening ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <ExternalLink className="w-3.5 h-3.5" />}
+                            OUVRIR
+                        </button>
+                    )}
+                </div>
+
+                {error && (
+                    <p className="flex items-center gap-1.5 text-xs font-mono text-red-400">
+                        <AlertCircle className="w-3.5 h-3.5" />
+                        {error}
+                    </p>
+                )}
+            </div>
+
+            {isExpanded && (
+                <div className="border-t border-baikal-border p-3 max-h-80 overflow-y-auto">
+                    {isLoadingExcerpt ? (
+                        <div className="flex items-center gap-2 text-xs font-mono text-baikal-text">
+                            <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                            Chargement...
+                        </div>
+                    ) : excerptBlocks.length > 0 ? (
+                        <div className="space-y-3">
+                            {excerptBlocks.map(block => (
+                                <p key={block.id} className="text-xs text-white/90 whitespace-pre-wrap leading-relaxed">
+                                    {block.content}
+                                </p>
+                            ))}
+                        </div>
+                    ) : (
+                        <p className="text-xs text-white/90 whitespace-pre-wrap leading-relaxed">
+                            {source.content_preview || 'Aucun extrait disponible'}
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
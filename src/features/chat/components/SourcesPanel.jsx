@@ -0,0 +1,62 @@
+/**
+ * SourcesPanel - Baikal Console
+ * ============================================================================
+ * Panneau latéral listant les sources citées par une réponse de l'assistant
+ * (événement SSE `sources` du librarian).
+ * ============================================================================
+ */
+
+import React from 'react';
+import { BookOpen, X } from 'lucide-react';
+import SourceCard from './SourceCard';
+
+/**
+ * Panneau des citations
+ * @param {Object} props
+ * @param {Object} props.message - Message assistant dont on affiche les sources
+ * @param {Function} props.onClose - Callback de fermeture
+ */
+export default function SourcesPanel({ message, onClose }) {
+    const sources = message?.sources || [];
+
+    return (
+        <aside className="w-full md:w-96 flex-shrink-0 h-full flex flex-col border-l border-baikal-border bg-baikal-surface">
+            <div className="flex items-center justify-between gap-2 px-4 py-3 border-b border-baikal-border">
+                <div className="flex items-center gap-2 min-w-0">
+                    <BookOpen className="w-4 h-4 text-baikal-cyan flex-shrink-0" />
+                    <h3 className="text-sm font-mono font-bold text-white">SOURCES</h3>
+                    <span className="text-xs font-mono text-baikal-text">({sources.length})</span>
+                </div>
+                <button
+                    onClick={onClose}
+                    className="p-1 text-baikal-text hover:text-white transition-colors"
+                    title="Fermer"
+                >
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            {message?.question && (
+                <p className="px-4 py-2 text-xs text-baikal-text border-b border-baikal-border truncate" title={message.question}>
+                    {message.question}
+                </p>
+            )}
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-3">
+                {sources.length === 0 ? (
+                    <p className="text-sm text-baikal-text text-center py-8">
+                        Aucune source pour cette réponse
+                    </p>
+                ) : (
+                    sources.map((source, index) => (
+                        <SourceCard
+                            key={`${source.type}-${source.id}-${index}`}
+                            source={source}
+                            index={index + 1}
+                        />
+                    ))
+                )}
+            </div>
+        </aside>
+    );
+}
@@ -0,0 +1,78 @@
+/**
+ * StepTrail - Baikal Console
+ * ============================================================================
+ * Fil de progression d'une réponse (événements SSE `step`).
+ * Dépliable une fois la réponse terminée.
+ * ============================================================================
+ */
+
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, CheckCircle2, Loader2 } from 'lucide-react';
+
+/**
+ * Fil d'étapes
+ * @param {Object} props
+ * @param {Array<{step: string, message: string, at: number}>} props.steps - Étapes reçues
+ * @param {boolean} props.isActive - La réponse est en cours de streaming
+ */
+export default function StepTrail({ steps = [], isActive = false }) {
+    const [expanded, setExpanded] = useState(false);
+
+    if (steps.length === 0) {
+        return isActive ? (
+            <div className="flex items-center gap-2 text-xs font-mono text-baikal-text">
+                <Loader2 className="w-3.5 h-3.5 animate-spin text-baikal-cyan" />
+                Connexion...
+            </div>
+        ) : null;
+    }
+
+    const lastStep = steps[steps.length - 1];
+    const totalMs = steps.length > 1 ? lastStep.at - steps[0].at : 0;
+
+    // Pendant le streaming : toutes les étapes, la dernière animée
+    if (isActive) {
+        return (
+            <ol className="space-y-1">
+                {steps.map((step, index) => {
+                    const isLast = index === steps.length - 1;
+                    return (
+                        <li key={`${step.step}-${index}`} className="flex items-center gap-2 text-xs font-mono">
+                            {isLast ? (
+                                <Loader2 className="w-3.5 h-3.5 animate-spin text-baikal-cyan flex-shrink-0" />
+                            ) : (
+                                <CheckCircle2 className="w-3.5 h-3.5 text-green-400 flex-shrink-0" />
+                            )}
+                            <span className={isLast ? 'text-white' : 'text-baikal-text'}>
+                                {step.message || step.step}
+                            </span>
+                        </li>
+                    );
+                })}
+            </ol>
+        );
+    }
+
+    // Réponse terminée : résumé dépliable
+    return (
+        <div>
+            <button
+                onClick={() => setExpanded(prev => !prev)}
+                className="flex items-center gap-1.5 text-xs font-mono text-baikal-text hover:text-white transition-colors"
+            >
+                {expanded ? <ChevronDown className="w-3.5 h-3.5" /> : <ChevronRight className="w-3.5 h-3.5" />}
+                {steps.length} étape{steps.length > 1 ? 's' : ''}
+                {totalMs > 0 && <span className="text-baikal-text/70">· {(totalMs / 1000).toFixed(1)}s</span>}
+            </button>
+            {expanded && (
+                <ol className="mt-1.5 ml-5 space-y-1 border-l border-baikal-border pl-3">
+                    {steps.map((step, index) => (
+                        <li key={`${step.step}-${index}`} className="text-xs font-mono text-baikal-text">
+                            {step.message || step.step}
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,70 @@
+/**
+ * VoteControls - Baikal Console
+ * ============================================================================
+ * Boutons 👍 / 👎 sous une réponse de l'assistant (baikal-vote).
+ * Un seul vote par réponse ; le résultat (trust_score) est affiché ensuite.
+ * ============================================================================
+ */
+
+import React from 'react';
+import { ThumbsUp, ThumbsDown, Loader2 } from 'lucide-react';
+import { VOTE_VALUES } from '../../../hooks/useChat';
+
+/**
+ * Contrôles de vote
+ * @param {Object} props
+ * @param {Object|null} props.vote - État du vote ({ value, status, trustScore, message })
+ * @param {boolean} props.fromMemory - La réponse provient de la mémoire collective
+ * @param {Function} props.onVote - Callback (value)
+ */
+export default function VoteControls({ vote, fromMemory = false, onVote }) {
+    const isPending = vote?.status === 'pending';
+    const isLocked = !!vote && vote.status !== 'error';
+
+    const buttonClass = (value) => {
+        const isSelected = vote?.value === value && vote.status !== 'error';
+        if (isSelected) {
+            return value === VOTE_VALUES.UP
+                ? 'text-green-400 border-green-500/50 bg-green-500/10'
+                : 'text-red-400 border-red-500/50 bg-red-500/10';
+        }
+        return 'text-baikal-text border-baikal-border hover:border-baikal-cyan hover:text-white';
+    };
+
+    return (
+        <div className="flex items-center gap-2">
+            <button
+                onClick={() => onVote(VOTE_VALUES.UP)}
+                disabled={isLocked}
+                className={`p-1.5 border rounded transition-colors disabled:cursor-default ${buttonClass(VOTE_VALUES.UP)}`}
+                title={fromMemory ? 'Confirmer cette réponse validée' : 'Valider et ajouter à la mémoire collective'}
+            >
+                {isPending && vote.value === VOTE_VALUES.UP
+                    ? <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                    : <ThumbsUp className="w-3.5 h-3.5" />}
+            </button>
+            <button
+                onClick={() => onVote(VOTE_VALUES.DOWN)}
+                disabled={isLocked}
+                className={`p-1.5 border rounded transition-colors disabled:cursor-default ${buttonClass(VOTE_VALUES.DOWN)}`}
+                title={fromMemory ? 'Signaler une réponse incorrecte' : 'Réponse incorrecte'}
+            >
+                {isPending && vote.value === VOTE_VALUES.DOWN
+                    ? <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                    : <ThumbsDown className="w-3.5 h-3.5" />}
+            </button>
+
+            {vote?.status === 'done' && (
+                <span className="text-xs font-mono text-baikal-text">
+                    {vote.message}
+                    {typeof vote.trustScore === 'number' ? ` · confiance ${vote.trustScore}` : ''}
+                </span>
+            )}
+            {vote?.status === 'error' && (
+                <span className="text-xs font-mono text-red-400">
+                    {vote.message || 'Erreur lors du vote'}
+                </span>
+            )}
+        </div>
+    );
+}
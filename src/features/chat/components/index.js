@@ -0,0 +1,29 @@
+/**
+ * Chat Feature - Components
+ * ============================================================================
+ * Export centralisé des composants de la feature Chat (Assistant RAG).
+ *
+ * @example
+ * import { ChatInterface } from '@features/chat/components';
+ * ============================================================================
+ */
+
+// Interface complète
+export { default as ChatInterface } from './ChatInterface';
+
+// Historique
+export { default as ConversationSidebar } from './ConversationSidebar';
+
+// Composants de message
+export { default as ChatMessage } from './ChatMessage';
+export { default as ChatInput } from './ChatInput';
+export { default as StepTrail } from './StepTrail';
+export { default as MarkdownContent } from './MarkdownContent';
+
+// Citations
+export { default as SourcesPanel } from './SourcesPanel';
+export { default as SourceCard } from './SourceCard';
+
+// Vote & mémoire collective
+export { default as VoteControls } from './VoteControls';
+export { default as MemoryBadge } from './MemoryBadge';
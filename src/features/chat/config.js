@@ -0,0 +1,58 @@
+/**
+ * Chat Feature - Configuration
+ * ============================================================================
+ * Configuration partagée pour la feature Chat (Assistant RAG).
+ * ============================================================================
+ */
+
+import { FileText, CalendarDays, Lightbulb } from 'lucide-react';
+import { LAYER_COLORS, LAYER_LABELS } from '../../config/rag-layers.config';
+
+/**
+ * Types de sources émis par librarian-v4 (buildSourcesFromChunks / buildSourcesFromFiles)
+ */
+export const SOURCE_TYPES = {
+    document: { label: 'Document', icon: FileText },
+    meeting: { label: 'Réunion', icon: CalendarDays },
+    qa_memory: { label: 'Mémoire', icon: Lightbulb },
+};
+
+/**
+ * Couches hors rag-layers.config (mémoire collective Q/A)
+ */
+const EXTRA_LAYERS = {
+    memory: {
+        label: 'Mémoire',
+        colors: {
+            bg: 'bg-cyan-100',
+            text: 'text-cyan-700',
+            border: 'border-cyan-300',
+            icon: 'text-cyan-600',
+            badge: 'bg-cyan-600',
+        },
+    },
+};
+
+/**
+ * Obtient le libellé et les couleurs d'une couche de source
+ * @param {string} layer - Couche ('app', 'org', 'project', 'user', 'memory')
+ * @returns {{label: string, colors: Object}}
+ */
+export function getSourceLayerConfig(layer) {
+    if (EXTRA_LAYERS[layer]) return EXTRA_LAYERS[layer];
+
+    const normalized = layer === 'vertical' ? 'app' : layer;
+    return {
+        label: LAYER_LABELS[normalized] || layer || 'Inconnu',
+        colors: LAYER_COLORS[normalized] || LAYER_COLORS.app,
+    };
+}
+
+/**
+ * Obtient la config d'un type de source
+ * @param {string} type - Type de source
+ * @returns {Object} Configuration du type
+ */
+export function getSourceTypeConfig(type) {
+    return SOURCE_TYPES[type] || SOURCE_TYPES.document;
+}
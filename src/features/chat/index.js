@@ -0,0 +1,26 @@
+/**
+ * Chat Feature - Baikal Console
+ * ============================================================================
+ * Export centralisé de la feature Chat (Assistant RAG via baikal-brain-v3).
+ *
+ * @example
+ * import { ChatInterface } from '@features/chat';
+ * ============================================================================
+ */
+
+// Configuration
+export { SOURCE_TYPES, getSourceLayerConfig, getSourceTypeConfig } from './config';
+
+// Composants
+export {
+    ChatInterface,
+    ConversationSidebar,
+    ChatMessage,
+    ChatInput,
+    StepTrail,
+    MarkdownContent,
+    SourcesPanel,
+    SourceCard,
+    VoteControls,
+    MemoryBadge,
+} from './components';
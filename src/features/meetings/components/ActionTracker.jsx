@@ -0,0 +1,171 @@
+/**
+ * ActionTracker - Baikal Console
+ * ============================================================================
+ * Suivi transverse des actions ouvertes de toutes les réunions d'un projet,
+ * regroupées par responsable ou par lot, avec mise en évidence des retards.
+ * ============================================================================
+ */
+
+import React, { useState } from 'react';
+import {
+    User,
+    Hammer,
+    CalendarClock,
+    Circle,
+    Loader2,
+    ListTodo,
+    AlertCircle,
+} from 'lucide-react';
+import { UNASSIGNED_LABEL, isOverdue, formatMeetingDate } from '../config';
+
+/**
+ * Modes de regroupement
+ */
+const GROUP_BY = {
+    responsible: { label: 'PAR RESPONSABLE', field: 'responsible', icon: User },
+    lot: { label: 'PAR LOT', field: 'lot_reference', icon: Hammer },
+};
+
+/**
+ * Regroupe les actions (groupes avec retards d'abord, puis par volume)
+ * @param {Array} actions
+ * @param {string} field
+ * @returns {Array<{key: string, actions: Array, overdue: number}>}
+ */
+function groupActions(actions, field) {
+    const groups = {};
+    actions.forEach(action => {
+        const key = action[field]?.trim() || UNASSIGNED_LABEL;
+        if (!groups[key]) groups[key] = [];
+        groups[key].push(action);
+    });
+
+    return Object.entries(groups)
+        .map(([key, groupActionsList]) => ({
+            key,
+            actions: groupActionsList,
+            overdue: groupActionsList.filter(isOverdue).length,
+        }))
+        .sort((a, b) => (b.overdue - a.overdue) || (b.actions.length - a.actions.length) || a.key.localeCompare(b.key));
+}
+
+/**
+ * Suivi des actions
+ * @param {Object} props
+ * @param {Array} props.actions - Actions ouvertes (meetingsService.getOpenActions)
+ * @param {boolean} props.loading - Chargement en cours
+ * @param {Function} props.onClose - Callback (action) → solde l'action
+ * @param {Function} props.onOpenMeeting - Callback (meetingId)
+ */
+export default function ActionTracker({ actions, loading, onClose, onOpenMeeting }) {
+    const [groupBy, setGroupBy] = useState('responsible');
+    const [closingId, setClosingId] = useState(null);
+
+    const handleClose = async (action) => {
+        setClosingId(action.id);
+        await onClose(action);
+        setClosingId(null);
+    };
+
+    const overdueTotal = actions.filter(isOverdue).length;
+    const groups = groupActions(actions, GROUP_BY[groupBy].field);
+    const GroupIcon = GROUP_BY[groupBy].icon;
+
+    return (
+        <div className="space-y-4">
+            {/* Barre d'outils */}
+            <div className="flex flex-wrap items-center justify-between gap-3">
+                <p className="text-xs font-mono text-baikal-text">
+                    {actions.length} ACTION{actions.length > 1 ? 'S' : ''} OUVERTE{actions.length > 1 ? 'S' : ''}
+                    {overdueTotal > 0 && <span className="text-red-400"> · {overdueTotal} EN_RETARD</span>}
+                </p>
+                <div className="flex rounded-md border border-baikal-border overflow-hidden">
+                    {Object.entries(GROUP_BY).map(([value, config]) => (
+                        <button
+                            key={value}
+                            onClick={() => setGroupBy(value)}
+                            className={`px-3 py-1.5 text-xs font-mono transition-colors ${
+                                groupBy === value
+                                    ? 'bg-baikal-cyan/10 text-baikal-cyan'
+                                    : 'text-baikal-text hover:text-white'
+                            }`}
+                        >
+                            {config.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {loading && actions.length === 0 ? (
+                <div className="flex items-center justify-center py-16">
+                    <Loader2 className="w-6 h-6 text-baikal-cyan animate-spin" />
+                </div>
+            ) : actions.length === 0 ? (
+                <div className="py-16 text-center">
+                    <ListTodo className="w-10 h-10 mx-auto mb-3 text-baikal-text" />
+                    <p className="text-sm font-mono text-baikal-text">AUCUNE_ACTION_OUVERTE</p>
+                </div>
+            ) : (
+                groups.map(group => (
+                    <section key={group.key} className="bg-baikal-surface border border-baikal-border rounded-md">
+                        <h4 className="flex items-center justify-between gap-2 px-4 py-2 border-b border-baikal-border">
+                            <span className={`flex items-center gap-2 text-sm font-medium ${group.key === UNASSIGNED_LABEL ? 'text-baikal-text italic' : 'text-white'}`}>
+                                <GroupIcon className="w-4 h-4 text-baikal-text" />
+                                {group.key}
+                            </span>
+                            <span className="text-xs font-mono text-baikal-text">
+                                {group.actions.length}
+                                {group.overdue > 0 && <span className="text-red-400"> · {group.overdue} en retard</span>}
+                            </span>
+                        </h4>
+
+                        <ul className="divide-y divide-baikal-border">
+                            {group.actions.map(action => {
+                                const overdue = isOverdue(action);
+                                const secondary = groupBy === 'responsible' ? action.lot_reference : action.responsible;
+
+                                return (
+                                    <li key={action.id} className={`flex items-start gap-3 px-4 py-3 ${overdue ? 'bg-red-500/5' : ''}`}>
+                                        <button
+                                            onClick={() => handleClose(action)}
+                                            disabled={closingId === action.id}
+                                            className="mt-0.5 text-baikal-text hover:text-green-400 transition-colors"
+                                            title="Marquer comme soldée"
+                                        >
+                                            {closingId === action.id
+                                                ? <Loader2 className="w-4 h-4 animate-spin" />
+                                                : <Circle className="w-4 h-4" />}
+                                        </button>
+
+                                        <div className="flex-1 min-w-0">
+                                            <p className="text-sm text-white">{action.subject}</p>
+                                            {action.content && action.content !== action.subject && (
+                                                <p className="mt-0.5 text-xs text-baikal-text line-clamp-2">{action.content}</p>
+                                            )}
+                                            <div className="mt-1 flex flex-wrap items-center gap-3 text-xs font-mono text-baikal-text">
+                                                {secondary && <span>{secondary}</span>}
+                                                <button
+                                                    onClick={() => onOpenMeeting(action.meeting.id)}
+                                                    className="hover:text-baikal-cyan underline-offset-2 hover:underline truncate"
+                                                >
+                                                    {formatMeetingDate(action.meeting.meeting_date)} · {action.meeting.meeting_title}
+                                                </button>
+                                            </div>
+                                        </div>
+
+                                        <span className={`flex items-center gap-1 text-xs font-mono whitespace-nowrap ${
+                                            overdue ? 'text-red-400 font-bold' : 'text-baikal-text'
+                                        }`}>
+                                            {overdue ? <AlertCircle className="w-3.5 h-3.5" /> : <CalendarClock className="w-3.5 h-3.5" />}
+                                            {action.due_date ? formatMeetingDate(action.due_date) : 'Sans échéance'}
+                                        </span>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </section>
+                ))
+            )}
+        </div>
+    );
+}
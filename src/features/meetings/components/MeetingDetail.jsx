@@ -0,0 +1,254 @@
+/**
+ * MeetingDetail - Baikal Console
+ * ============================================================================
+ * Détail d'une réunion : participants, résumé et items regroupés par type
+ * (décisions, actions, points d'attention, informations), éditables.
+ * Export du compte-rendu officiel en PDF / DOCX.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    ArrowLeft,
+    CalendarDays,
+    CalendarClock,
+    Clock,
+    Users,
+    Plus,
+    Loader2,
+    AlertCircle,
+    FileDown,
+} from 'lucide-react';
+import { meetingsService } from '../../../services/meetings.service';
+import { ITEM_TYPES, formatMeetingDate } from '../config';
+import { exportMeeting, EXPORT_FORMATS } from '../export';
+import MeetingItemRow, { MeetingItemForm } from './MeetingItemRow';
+
+/**
+ * Détail d'une réunion
+ * @param {Object} props
+ * @param {string} props.meetingId - ID de la réunion
+ * @param {Object} [props.project] - Projet (identité reprise dans l'export)
+ * @param {Function} props.onBack - Retour à la liste
+ * @param {Function} props.onChanged - Callback après modification d'un item
+ */
+export default function MeetingDetail({ meetingId, project = null, onBack, onChanged }) {
+    const [meeting, setMeeting] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [isAdding, setIsAdding] = useState(false);
+    const [exportingFormat, setExportingFormat] = useState(null);
+
+    const loadMeeting = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+
+        const { data, error: loadError } = await meetingsService.getMeeting(meetingId);
+        if (loadError) {
+            setError(loadError.message);
+        } else {
+            setMeeting(data);
+        }
+        setLoading(false);
+    }, [meetingId]);
+
+    useEffect(() => {
+        loadMeeting();
+    }, [loadMeeting]);
+
+    const handleUpdate = async (item, updates) => {
+        const { data, error: updateError } = await meetingsService.updateItem(item.id, updates);
+        if (updateError) {
+            setError(updateError.message);
+            return false;
+        }
+        setMeeting(prev => ({
+            ...prev,
+            items: prev.items.map(i => (i.id === item.id ? data : i)),
+        }));
+        onChanged?.();
+        return true;
+    };
+
+    const handleDelete = async (item) => {
+        const { error: deleteError } = await meetingsService.deleteItem(item.id);
+        if (deleteError) {
+            setError(deleteError.message);
+            return;
+        }
+        setMeeting(prev => ({ ...prev, items: prev.items.filter(i => i.id !== item.id) }));
+        onChanged?.();
+    };
+
+    const handleCreate = async (values) => {
+        const nextOrder = Math.max(0, ...meeting.items.map(i => i.display_order || 0)) + 1;
+        const { data, error: createError } = await meetingsService.createItem(meeting.id, values, nextOrder);
+        if (createError) {
+            setError(createError.message);
+            return;
+        }
+        setMeeting(prev => ({ ...prev, items: [...prev.items, data] }));
+        setIsAdding(false);
+        onChanged?.();
+    };
+
+    const handleExport = async (format) => {
+        setExportingFormat(format);
+        const { error: exportError } = await exportMeeting(format, meeting, project);
+        if (exportError) setError(`Export impossible : ${exportError.message}`);
+        setExportingFormat(null);
+    };
+
+    if (loading && !meeting) {
+        return (
+            <div className="flex items-center justify-center py-16">
+                <Loader2 className="w-6 h-6 text-baikal-cyan animate-spin" />
+            </div>
+        );
+    }
+
+    if (!meeting) {
+        return (
+            <div className="space-y-4">
+                <button onClick={onBack} className="flex items-center gap-2 text-sm font-mono text-baikal-text hover:text-white">
+                    <ArrowLeft className="w-4 h-4" />
+                    RETOUR
+                </button>
+                <p className="flex items-center gap-2 text-sm font-mono text-red-400">
+                    <AlertCircle className="w-4 h-4" />
+                    {error || 'Réunion introuvable'}
+                </p>
+            </div>
+        );
+    }
+
+    const participants = Array.isArray(meeting.participants) ? meeting.participants : [];
+
+    return (
+        <div className="space-y-6">
+            {/* En-tête */}
+            <div>
+                <div className="flex items-center justify-between gap-3 mb-4">
+                    <button onClick={onBack} className="flex items-center gap-2 text-sm font-mono text-baikal-text hover:text-white transition-colors">
+                        <ArrowLeft className="w-4 h-4" />
+                        RETOUR
+                    </button>
+                    <div className="flex items-center gap-2">
+                        {Object.values(EXPORT_FORMATS).map(format => (
+                            <button
+                                key={format}
+                                onClick={() => handleExport(format)}
+                                disabled={exportingFormat !== null}
+                                className="flex items-center gap-2 px-3 py-1.5 text-xs font-mono text-baikal-text border border-baikal-border rounded-md hover:border-baikal-cyan hover:text-white transition-colors disabled:opacity-50"
+                                title={`Exporter le compte-rendu (${format.toUpperCase()})`}
+                            >
+                                {exportingFormat === format
+                                    ? <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                                    : <FileDown className="w-3.5 h-3.5" />}
+                                {format.toUpperCase()}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <h3 className="text-xl font-bold text-white">{meeting.meeting_title}</h3>
+                <div className="mt-2 flex flex-wrap items-center gap-4 text-xs font-mono text-baikal-text">
+                    <span className="flex items-center gap-1">
+                        <CalendarDays className="w-3.5 h-3.5" />
+                        {formatMeetingDate(meeting.meeting_date)}
+                    </span>
+                    {meeting.duration_minutes && (
+                        <span className="flex items-center gap-1">
+                            <Clock className="w-3.5 h-3.5" />
+                            {meeting.duration_minutes} min
+                        </span>
+                    )}
+                    {meeting.next_meeting_date && (
+                        <span className="flex items-center gap-1 text-baikal-cyan">
+                            <CalendarClock className="w-3.5 h-3.5" />
+                            Prochaine : {formatMeetingDate(meeting.next_meeting_date)}
+                        </span>
+                    )}
+                </div>
+            </div>
+
+            {error && (
+                <p className="flex items-center gap-2 text-sm font-mono text-red-400">
+                    <AlertCircle className="w-4 h-4" />
+                    {error}
+                </p>
+            )}
+
+            {/* Participants */}
+            {participants.length > 0 && (
+                <div className="p-4 bg-baikal-surface border border-baikal-border rounded-md">
+                    <h4 className="flex items-center gap-2 mb-3 text-xs font-mono font-bold text-baikal-text">
+                        <Users className="w-4 h-4" />
+                        PARTICIPANTS ({participants.length})
+                    </h4>
+                    <div className="flex flex-wrap gap-2">
+                        {participants.map((p, index) => (
+                            <span key={`${p.name}-${index}`} className="px-2 py-1 text-xs bg-baikal-bg border border-baikal-border rounded-md text-white">
+                                {p.name}
+                                {p.role && <span className="text-baikal-text"> · {p.role}</span>}
+                            </span>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Résumé */}
+            {meeting.summary && (
+                <div className="p-4 bg-baikal-surface border border-baikal-border rounded-md">
+                    <h4 className="mb-2 text-xs font-mono font-bold text-baikal-text">RÉSUMÉ</h4>
+                    <p className="text-sm text-white whitespace-pre-line">{meeting.summary}</p>
+                </div>
+            )}
+
+            {/* Items par type */}
+            {Object.entries(ITEM_TYPES).map(([type, config]) => {
+                const items = meeting.items.filter(i => i.item_type === type);
+                if (items.length === 0) return null;
+
+                return (
+                    <section key={type}>
+                        <h4 className={`flex items-center gap-2 mb-3 text-xs font-mono font-bold ${config.color}`}>
+                            <config.icon className="w-4 h-4" />
+                            {config.label.toUpperCase()} ({items.length})
+                        </h4>
+                        <div className="space-y-2">
+                            {items.map(item => (
+                                <MeetingItemRow
+                                    key={item.id}
+                                    item={item}
+                                    onUpdate={handleUpdate}
+                                    onDelete={handleDelete}
+                                />
+                            ))}
+                        </div>
+                    </section>
+                );
+            })}
+
+            {meeting.items.length === 0 && !isAdding && (
+                <p className="text-xs text-baikal-text text-center py-6 font-mono">AUCUN_ITEM_EXTRAIT</p>
+            )}
+
+            {/* Ajout */}
+            {isAdding ? (
+                <MeetingItemForm
+                    item={{ item_type: 'action' }}
+                    onSubmit={handleCreate}
+                    onCancel={() => setIsAdding(false)}
+                />
+            ) : (
+                <button
+                    onClick={() => setIsAdding(true)}
+                    className="flex items-center gap-2 px-3 py-1.5 text-sm font-mono text-baikal-text border border-dashed border-baikal-border rounded-md hover:border-baikal-cyan hover:text-white transition-colors"
+                >
+                    <Plus className="w-4 h-4" />
+                    AJOUTER_UN_ITEM
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,219 @@
+/**
+ * MeetingItemRow - Baikal Console
+ * ============================================================================
+ * Item de compte-rendu (décision, action, point d'attention, information)
+ * avec édition inline et bascule ouverte / soldée pour les actions.
+ * ============================================================================
+ */
+
+import React, { useState } from 'react';
+import {
+    Pencil,
+    Trash2,
+    Check,
+    X,
+    Loader2,
+    User,
+    Hammer,
+    CalendarClock,
+    Circle,
+    CheckCircle2,
+} from 'lucide-react';
+import { ITEM_TYPES, getItemTypeConfig, isOverdue, formatMeetingDate } from '../config';
+
+const inputClassName = 'w-full px-2 py-1.5 bg-baikal-bg border border-baikal-border rounded-md text-sm text-white placeholder-baikal-text/50 focus:outline-none focus:border-baikal-cyan transition-colors';
+
+/**
+ * Formulaire d'édition d'un item (aussi utilisé pour l'ajout)
+ * @param {Object} props
+ * @param {Object} props.item - Valeurs initiales
+ * @param {Function} props.onSubmit - Callback (values) → Promise
+ * @param {Function} props.onCancel - Annulation
+ */
+export function MeetingItemForm({ item, onSubmit, onCancel }) {
+    const [values, setValues] = useState({
+        item_type: item.item_type || 'info',
+        subject: item.subject || '',
+        content: item.content || '',
+        lot_reference: item.lot_reference || '',
+        responsible: item.responsible || '',
+        due_date: item.due_date || '',
+    });
+    const [isSaving, setIsSaving] = useState(false);
+
+    const setField = (field) => (e) => setValues(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        await onSubmit(values);
+        setIsSaving(false);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="p-3 space-y-2 bg-baikal-bg/50 border border-baikal-cyan rounded-md">
+            <div className="flex gap-2">
+                <select value={values.item_type} onChange={setField('item_type')} className={`${inputClassName} w-44 font-mono`}>
+                    {Object.entries(ITEM_TYPES).map(([value, config]) => (
+                        <option key={value} value={value}>{config.singular}</option>
+                    ))}
+                </select>
+                <input
+                    autoFocus
+                    required
+                    value={values.subject}
+                    onChange={setField('subject')}
+                    placeholder="Sujet"
+                    className={inputClassName}
+                />
+            </div>
+            <textarea
+                rows={3}
+                value={values.content}
+                onChange={setField('content')}
+                placeholder="Contenu"
+                className={`${inputClassName} resize-y`}
+            />
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                <input value={values.lot_reference} onChange={setField('lot_reference')} placeholder="Lot" className={inputClassName} />
+                <input value={values.responsible} onChange={setField('responsible')} placeholder="Responsable" className={inputClassName} />
+                <input type="date" value={values.due_date} onChange={setField('due_date')} className={inputClassName} />
+            </div>
+            <div className="flex justify-end gap-2 pt-1">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="flex items-center gap-1 px-3 py-1.5 text-xs font-mono text-baikal-text border border-baikal-border rounded-md hover:text-white transition-colors"
+                >
+                    <X className="w-3.5 h-3.5" />
+                    ANNULER
+                </button>
+                <button
+                    type="submit"
+                    disabled={isSaving}
+                    className="flex items-center gap-1 px-3 py-1.5 text-xs font-mono text-black bg-baikal-cyan rounded-md hover:bg-baikal-cyan/80 transition-colors disabled:opacity-50"
+                >
+                    {isSaving ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Check className="w-3.5 h-3.5" />}
+                    ENREGISTRER
+                </button>
+            </div>
+        </form>
+    );
+}
+
+/**
+ * Ligne d'item
+ * @param {Object} props
+ * @param {Object} props.item - Item de réunion
+ * @param {Function} props.onUpdate - Callback (item, updates) → Promise
+ * @param {Function} props.onDelete - Callback (item) → Promise
+ */
+export default function MeetingItemRow({ item, onUpdate, onDelete }) {
+    const [isEditing, setIsEditing] = useState(false);
+    const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+    const [isBusy, setIsBusy] = useState(false);
+
+    const typeConfig = getItemTypeConfig(item.item_type);
+    const isAction = item.item_type === 'action';
+    const isDone = isAction && item.status === 'done';
+    const overdue = isOverdue(item);
+
+    const handleSubmit = async (values) => {
+        const ok = await onUpdate(item, values);
+        if (ok) setIsEditing(false);
+    };
+
+    const toggleStatus = async () => {
+        setIsBusy(true);
+        await onUpdate(item, { status: isDone ? 'open' : 'done' });
+        setIsBusy(false);
+    };
+
+    const confirmDelete = async () => {
+        setIsBusy(true);
+        await onDelete(item);
+        setIsBusy(false);
+    };
+
+    if (isEditing) {
+        return <MeetingItemForm item={item} onSubmit={handleSubmit} onCancel={() => setIsEditing(false)} />;
+    }
+
+    return (
+        <div className={`group flex items-start gap-3 p-3 rounded-md border transition-colors ${
+            overdue ? 'border-red-500/50 bg-red-500/5' : 'border-baikal-border bg-baikal-surface'
+        }`}>
+            {isAction ? (
+                <button
+                    onClick={toggleStatus}
+                    disabled={isBusy}
+                    className={`mt-0.5 flex-shrink-0 ${isDone ? 'text-green-400' : 'text-baikal-text hover:text-baikal-cyan'} transition-colors`}
+                    title={isDone ? 'Rouvrir' : 'Marquer comme soldée'}
+                >
+                    {isBusy
+                        ? <Loader2 className="w-4 h-4 animate-spin" />
+                        : isDone ? <CheckCircle2 className="w-4 h-4" /> : <Circle className="w-4 h-4" />}
+                </button>
+            ) : (
+                <typeConfig.icon className={`w-4 h-4 mt-0.5 flex-shrink-0 ${typeConfig.color}`} />
+            )}
+
+            <div className="flex-1 min-w-0">
+                <p className={`text-sm font-medium ${isDone ? 'text-baikal-text line-through' : 'text-white'}`}>
+                    {item.subject}
+                </p>
+                {item.content && item.content !== item.subject && (
+                    <p className="mt-1 text-sm text-baikal-text whitespace-pre-line">{item.content}</p>
+                )}
+
+                {(item.lot_reference || item.responsible || item.due_date) && (
+                    <div className="mt-2 flex flex-wrap items-center gap-3 text-xs font-mono text-baikal-text">
+                        {item.lot_reference && (
+                            <span className="flex items-center gap-1">
+                                <Hammer className="w-3 h-3" />
+                                {item.lot_reference}
+                            </span>
+                        )}
+                        {item.responsible && (
+                            <span className="flex items-center gap-1">
+                                <User className="w-3 h-3" />
+                                {item.responsible}
+                            </span>
+                        )}
+                        {item.due_date && (
+                            <span className={`flex items-center gap-1 ${overdue ? 'text-red-400 font-bold' : ''}`}>
+                                <CalendarClock className="w-3 h-3" />
+                                {formatMeetingDate(item.due_date)}
+                                {overdue && ' · EN_RETARD'}
+                            </span>
+                        )}
+                    </div>
+                )}
+
+                {isConfirmingDelete && (
+                    <div className="mt-2 flex items-center gap-3 text-xs font-mono">
+                        <span className="text-red-400">Supprimer cet item ?</span>
+                        <button onClick={() => setIsConfirmingDelete(false)} className="text-baikal-text hover:text-white">
+                            NON
+                        </button>
+                        <button onClick={confirmDelete} disabled={isBusy} className="flex items-center gap-1 text-red-400 hover:text-red-300">
+                            {isBusy && <Loader2 className="w-3 h-3 animate-spin" />}
+                            OUI
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {!isConfirmingDelete && (
+                <div className="flex items-center gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity">
+                    <button onClick={() => setIsEditing(true)} className="p-1 text-baikal-text hover:text-white" title="Modifier">
+                        <Pencil className="w-3.5 h-3.5" />
+                    </button>
+                    <button onClick={() => setIsConfirmingDelete(true)} className="p-1 text-baikal-text hover:text-red-400" title="Supprimer">
+                        <Trash2 className="w-3.5 h-3.5" />
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,87 @@
+/**
+ * MeetingsList - Baikal Console
+ * ============================================================================
+ * Liste des réunions d'un projet avec compteurs par type d'item
+ * et actions ouvertes / en retard.
+ * ============================================================================
+ */
+
+import React from 'react';
+import { CalendarDays, Users, ChevronRight, Loader2, AlertCircle } from 'lucide-react';
+import { ITEM_TYPES, formatMeetingDate } from '../config';
+
+/**
+ * Liste des réunions
+ * @param {Object} props
+ * @param {Array} props.meetings - Réunions (meetingsService.getMeetings)
+ * @param {boolean} props.loading - Chargement en cours
+ * @param {Function} props.onSelect - Callback (meeting)
+ */
+export default function MeetingsList({ meetings, loading, onSelect }) {
+    if (loading && meetings.length === 0) {
+        return (
+            <div className="flex items-center justify-center py-16">
+                <Loader2 className="w-6 h-6 text-baikal-cyan animate-spin" />
+            </div>
+        );
+    }
+
+    if (meetings.length === 0) {
+        return (
+            <div className="py-16 text-center">
+                <CalendarDays className="w-10 h-10 mx-auto mb-3 text-baikal-text" />
+                <p className="text-sm font-mono text-baikal-text">AUCUNE_RÉUNION</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-2">
+            {meetings.map(meeting => (
+                <button
+                    key={meeting.id}
+                    onClick={() => onSelect(meeting)}
+                    className="group w-full flex items-center gap-4 p-4 text-left bg-baikal-surface border border-baikal-border rounded-md hover:border-baikal-cyan transition-colors"
+                >
+                    <div className="flex-1 min-w-0">
+                        <div className="flex items-center gap-3">
+                            <span className="text-xs font-mono text-baikal-cyan">{formatMeetingDate(meeting.meeting_date)}</span>
+                            <p className="text-sm font-medium text-white truncate">{meeting.meeting_title}</p>
+                        </div>
+
+                        <div className="mt-2 flex flex-wrap items-center gap-2">
+                            {Object.entries(ITEM_TYPES).map(([type, config]) => (
+                                meeting.counts[type] > 0 && (
+                                    <span key={type} className={`flex items-center gap-1 px-2 py-0.5 text-xs font-mono border rounded ${config.badge}`}>
+                                        <config.icon className="w-3 h-3" />
+                                        {meeting.counts[type]}
+                                    </span>
+                                )
+                            ))}
+                            {Array.isArray(meeting.participants) && meeting.participants.length > 0 && (
+                                <span className="flex items-center gap-1 text-xs font-mono text-baikal-text">
+                                    <Users className="w-3 h-3" />
+                                    {meeting.participants.length}
+                                </span>
+                            )}
+                        </div>
+                    </div>
+
+                    {meeting.openActionsCount > 0 && (
+                        <div className="text-right text-xs font-mono">
+                            <p className="text-baikal-cyan">{meeting.openActionsCount} ouverte{meeting.openActionsCount > 1 ? 's' : ''}</p>
+                            {meeting.overdueActionsCount > 0 && (
+                                <p className="flex items-center justify-end gap-1 text-red-400">
+                                    <AlertCircle className="w-3 h-3" />
+                                    {meeting.overdueActionsCount} en retard
+                                </p>
+                            )}
+                        </div>
+                    )}
+
+                    <ChevronRight className="w-4 h-4 text-baikal-text group-hover:text-baikal-cyan transition-colors" />
+                </button>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,196 @@
+/**
+ * MeetingsPanel - Baikal Console
+ * ============================================================================
+ * Module Réunions de l'onglet "Réunions" du Dashboard : sélection du projet,
+ * liste des réunions, détail éditable et suivi des actions ouvertes.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { FolderOpen, CalendarDays, ListTodo, RefreshCw, AlertCircle } from 'lucide-react';
+import { useAuth } from '../../../contexts/AuthContext';
+import { projectsService } from '../../../services/projects.service';
+import { meetingsService } from '../../../services/meetings.service';
+import MeetingsList from './MeetingsList';
+import MeetingDetail from './MeetingDetail';
+import ActionTracker from './ActionTracker';
+import { isOverdue } from '../config';
+
+const VIEWS = {
+    meetings: { label: 'RÉUNIONS', icon: CalendarDays },
+    actions: { label: 'SUIVI_ACTIONS', icon: ListTodo },
+};
+
+/**
+ * Module Réunions
+ * @param {Object} props
+ * @param {number} props.refreshKey - Incrémenté pour recharger (nouvel enregistrement)
+ */
+export default function MeetingsPanel({ refreshKey = 0 }) {
+    const { profile } = useAuth();
+    const orgId = profile?.org_id || null;
+
+    const [projects, setProjects] = useState([]);
+    const [projectId, setProjectId] = useState('');
+    const [view, setView] = useState('meetings');
+    const [selectedMeetingId, setSelectedMeetingId] = useState(null);
+
+    const [meetings, setMeetings] = useState([]);
+    const [actions, setActions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Charger les projets de l'organisation
+    useEffect(() => {
+        if (!orgId) return;
+
+        let cancelled = false;
+        projectsService.getProjects({ orgId }).then(({ data }) => {
+            if (cancelled) return;
+            setProjects(data || []);
+            if (data?.length) setProjectId(prev => prev || data[0].id);
+        });
+        return () => { cancelled = true; };
+    }, [orgId]);
+
+    const loadData = useCallback(async () => {
+        if (!projectId) return;
+
+        setLoading(true);
+        setError(null);
+
+        const [meetingsResult, actionsResult] = await Promise.all([
+            meetingsService.getMeetings({ projectId }),
+            meetingsService.getOpenActions({ projectId }),
+        ]);
+
+        const loadError = meetingsResult.error || actionsResult.error;
+        if (loadError) setError(loadError.message);
+
+        setMeetings(meetingsResult.data);
+        setActions(actionsResult.data);
+        setLoading(false);
+    }, [projectId]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData, refreshKey]);
+
+    const handleProjectChange = (e) => {
+        setProjectId(e.target.value);
+        setSelectedMeetingId(null);
+    };
+
+    const handleCloseAction = async (action) => {
+        const { error: updateError } = await meetingsService.updateItem(action.id, { status: 'done' });
+        if (updateError) {
+            setError(updateError.message);
+            return;
+        }
+        setActions(prev => prev.filter(a => a.id !== action.id));
+        setMeetings(prev => prev.map(m => (
+            m.id === action.meeting_id
+                ? {
+                    ...m,
+                    openActionsCount: Math.max(0, m.openActionsCount - 1),
+                    overdueActionsCount: Math.max(0, m.overdueActionsCount - (isOverdue(action) ? 1 : 0)),
+                }
+                : m
+        )));
+    };
+
+    const openMeeting = (meetingId) => {
+        setView('meetings');
+        setSelectedMeetingId(meetingId);
+    };
+
+    if (!orgId) {
+        return (
+            <p className="text-sm font-mono text-baikal-text text-center py-8">
+                Rattachez-vous à une organisation pour consulter les réunions.
+            </p>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Barre d'outils */}
+            <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex rounded-md border border-baikal-border overflow-hidden">
+                    {Object.entries(VIEWS).map(([value, config]) => (
+                        <button
+                            key={value}
+                            onClick={() => { setView(value); setSelectedMeetingId(null); }}
+                            className={`flex items-center gap-2 px-4 py-2 text-sm font-mono transition-colors ${
+                                view === value
+                                    ? 'bg-baikal-cyan/10 text-baikal-cyan'
+                                    : 'text-baikal-text hover:text-white'
+                            }`}
+                        >
+                            <config.icon className="w-4 h-4" />
+                            {config.label}
+                            {value === 'actions' && actions.length > 0 && (
+                                <span className="px-1.5 text-xs bg-baikal-bg border border-baikal-border rounded">{actions.length}</span>
+                            )}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="flex items-center gap-2">
+                    <FolderOpen className="w-4 h-4 text-baikal-text" />
+                    <select
+                        value={projectId}
+                        onChange={handleProjectChange}
+                        className="px-3 py-1.5 bg-baikal-bg border border-baikal-border rounded-md text-sm text-white focus:outline-none focus:border-baikal-cyan transition-colors font-mono max-w-[220px]"
+                    >
+                        {projects.length === 0 && <option value="">AUCUN PROJET</option>}
+                        {projects.map(project => (
+                            <option key={project.id} value={project.id}>{project.name}</option>
+                        ))}
+                    </select>
+                    <button
+                        onClick={loadData}
+                        disabled={loading || !projectId}
+                        className="p-2 text-baikal-text border border-baikal-border rounded-md hover:border-baikal-cyan hover:text-white transition-colors disabled:opacity-50"
+                        title="Rafraîchir"
+                    >
+                        <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <p className="flex items-center gap-2 text-sm font-mono text-red-400">
+                    <AlertCircle className="w-4 h-4" />
+                    {error}
+                </p>
+            )}
+
+            {view === 'meetings' && (
+                selectedMeetingId ? (
+                    <MeetingDetail
+                        meetingId={selectedMeetingId}
+                        project={projects.find(p => p.id === projectId) || null}
+                        onBack={() => setSelectedMeetingId(null)}
+                        onChanged={loadData}
+                    />
+                ) : (
+                    <MeetingsList
+                        meetings={meetings}
+                        loading={loading}
+                        onSelect={(meeting) => setSelectedMeetingId(meeting.id)}
+                    />
+                )
+            )}
+
+            {view === 'actions' && (
+                <ActionTracker
+                    actions={actions}
+                    loading={loading}
+                    onClose={handleCloseAction}
+                    onOpenMeeting={openMeeting}
+                />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,20 @@
+/**
+ * Meetings Feature - Components
+ * ============================================================================
+ * Export centralisé des composants de la feature Réunions.
+ *
+ * @example
+ * import { MeetingsPanel } from '@features/meetings/components';
+ * ============================================================================
+ */
+
+// Module complet
+export { default as MeetingsPanel } from './MeetingsPanel';
+
+// Réunions
+export { default as MeetingsList } from './MeetingsList';
+export { default as MeetingDetail } from './MeetingDetail';
+export { default as MeetingItemRow, MeetingItemForm } from './MeetingItemRow';
+
+// Suivi des actions
+export { default as ActionTracker } from './ActionTracker';
@@ -0,0 +1,89 @@
+/**
+ * Meetings Feature - Configuration
+ * ============================================================================
+ * Configuration partagée pour la feature Réunions (comptes-rendus extraits
+ * par extract-meeting-content).
+ * ============================================================================
+ */
+
+import { CheckCircle2, ListTodo, AlertTriangle, Info } from 'lucide-react';
+
+/**
+ * Types d'items (arpet.meeting_items.item_type), dans l'ordre du compte-rendu
+ */
+export const ITEM_TYPES = {
+    decision: {
+        label: 'Décisions',
+        singular: 'Décision',
+        icon: CheckCircle2,
+        color: 'text-green-400',
+        badge: 'bg-green-500/10 text-green-400 border-green-500/30',
+    },
+    action: {
+        label: 'Actions',
+        singular: 'Action',
+        icon: ListTodo,
+        color: 'text-baikal-cyan',
+        badge: 'bg-baikal-cyan/10 text-baikal-cyan border-baikal-cyan/30',
+    },
+    issue: {
+        label: "Points d'attention",
+        singular: "Point d'attention",
+        icon: AlertTriangle,
+        color: 'text-amber-400',
+        badge: 'bg-amber-500/10 text-amber-400 border-amber-500/30',
+    },
+    info: {
+        label: 'Informations',
+        singular: 'Information',
+        icon: Info,
+        color: 'text-baikal-text',
+        badge: 'bg-baikal-bg text-baikal-text border-baikal-border',
+    },
+};
+
+/**
+ * Statuts d'items (les actions sont créées 'open', le reste 'done')
+ */
+export const ITEM_STATUSES = {
+    open: { label: 'Ouverte', color: 'text-baikal-cyan' },
+    done: { label: 'Soldée', color: 'text-green-400' },
+};
+
+/**
+ * Libellé quand le responsable ou le lot n'est pas renseigné
+ */
+export const UNASSIGNED_LABEL = 'À définir';
+
+/**
+ * Obtient la config d'un type d'item
+ * @param {string} type - Type d'item
+ * @returns {Object} Configuration du type
+ */
+export function getItemTypeConfig(type) {
+    return ITEM_TYPES[type] || ITEM_TYPES.info;
+}
+
+/**
+ * Indique si une action ouverte a dépassé son échéance
+ * @param {Object} item - Item de réunion
+ * @returns {boolean}
+ */
+export function isOverdue(item) {
+    if (!item?.due_date || item.status !== 'open') return false;
+    return item.due_date < new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Formate une date (YYYY-MM-DD) au format français
+ * @param {string} value
+ * @returns {string}
+ */
+export function formatMeetingDate(value) {
+    if (!value) return '';
+    return new Date(`${value.slice(0, 10)}T00:00:00`).toLocaleDateString('fr-FR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+    });
+}
@@ -0,0 +1,463 @@
+/**
+ * Meetings Feature - Export du compte-rendu
+ * ============================================================================
+ * Génère côté client le compte-rendu officiel d'une réunion en PDF (jsPDF)
+ * ou DOCX (docx), à partir des mêmes données que generateFormattedReport
+ * (extract-meeting-content) : en-tête projet, participants, résumé, sections
+ * décisions / actions / points d'attention / informations, bloc signatures.
+ *
+ * Les librairies sont chargées à la demande pour ne pas alourdir le bundle.
+ *
+ * @example
+ * import { exportMeeting, EXPORT_FORMATS } from '@features/meetings/export';
+ *
+ * await exportMeeting(EXPORT_FORMATS.PDF, meeting, project);
+ * ============================================================================
+ */
+
+import { MARKET_TYPES, PROJECT_TYPES } from '../../config/constants';
+import { ITEM_STATUSES, UNASSIGNED_LABEL, formatMeetingDate } from './config';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const EXPORT_FORMATS = {
+    PDF: 'pdf',
+    DOCX: 'docx',
+};
+
+/**
+ * Sections du compte-rendu (mêmes intitulés que generateFormattedReport)
+ */
+const REPORT_SECTIONS = [
+    { type: 'decision', title: 'DÉCISIONS' },
+    { type: 'action', title: 'ACTIONS' },
+    { type: 'issue', title: "POINTS D'ATTENTION" },
+    { type: 'info', title: 'INFORMATIONS' },
+];
+
+const ACTION_COLUMNS = ['Sujet', 'Détail', 'Responsable', 'Lot', 'Échéance', 'Statut'];
+const SIGNATURES = ['Le rédacteur', 'Pour approbation'];
+
+// Couleur d'accent (baikal-cyan) pour les titres et en-têtes de tableaux
+const ACCENT_HEX = '0891B2';
+const ACCENT_RGB = [8, 145, 178];
+
+// ============================================================================
+// MODÈLE
+// ============================================================================
+
+/**
+ * Construit le modèle commun aux deux formats
+ * @param {Object} meeting - Réunion avec items (meetingsService.getMeeting)
+ * @param {Object} [project] - Projet (avec identity et organization)
+ * @returns {Object}
+ */
+export function buildMinutesModel(meeting, project = null) {
+    const identity = project?.identity || {};
+    const items = meeting.items || [];
+
+    const projectLines = [
+        project?.organization?.name,
+        project?.name && `Projet : ${project.name}`,
+        [MARKET_TYPES[identity.market_type]?.label, PROJECT_TYPES[identity.project_type]?.label]
+            .filter(Boolean)
+            .join(' · '),
+        identity.description,
+    ].filter(Boolean);
+
+    const meetingLines = [
+        `Date : ${formatMeetingDate(meeting.meeting_date)}`,
+        meeting.duration_minutes && `Durée : ${meeting.duration_minutes} min`,
+        meeting.next_meeting_date && `Prochaine réunion : ${formatMeetingDate(meeting.next_meeting_date)}`,
+    ].filter(Boolean);
+
+    const participants = (Array.isArray(meeting.participants) ? meeting.participants : [])
+        .map(p => [p.name || '', p.role || '']);
+
+    const sections = REPORT_SECTIONS
+        .map(section => ({
+            ...section,
+            items: items.filter(i => i.item_type === section.type),
+        }))
+        .filter(section => section.items.length > 0);
+
+    return {
+        title: 'COMPTE-RENDU DE RÉUNION',
+        meetingTitle: meeting.meeting_title || 'Réunion de chantier',
+        projectLines,
+        meetingLines,
+        participants,
+        summary: meeting.summary || null,
+        sections,
+        fileName: buildFileName(meeting, project),
+    };
+}
+
+/**
+ * Ligne d'action pour le tableau
+ * @param {Object} item
+ * @returns {Array<string>}
+ */
+function toActionRow(item) {
+    return [
+        item.subject || '',
+        item.content && item.content !== item.subject ? item.content : '',
+        item.responsible || UNASSIGNED_LABEL,
+        item.lot_reference || '',
+        item.due_date ? formatMeetingDate(item.due_date) : '',
+        ITEM_STATUSES[item.status]?.label || item.status || '',
+    ];
+}
+
+/**
+ * Texte d'un item hors actions (• Sujet : contenu)
+ * @param {Object} item
+ * @returns {string}
+ */
+function toItemText(item) {
+    const suffix = item.lot_reference ? ` [${item.lot_reference}]` : '';
+    if (!item.content || item.content === item.subject) return `${item.subject}${suffix}`;
+    return `${item.subject}${suffix} : ${item.content}`;
+}
+
+/**
+ * Nom de fichier : CR_<projet>_<date>
+ * @param {Object} meeting
+ * @param {Object} project
+ * @returns {string}
+ */
+function buildFileName(meeting, project) {
+    const slug = (project?.name || meeting.meeting_title || 'reunion')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-zA-Z0-9]+/g, '_')
+        .replace(/^_|_$/g, '');
+    return `CR_${slug}_${meeting.meeting_date || ''}`.replace(/_$/, '');
+}
+
+/**
+ * Déclenche le téléchargement d'un Blob
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// ============================================================================
+// PDF
+// ============================================================================
+
+/**
+ * Génère et télécharge le compte-rendu en PDF
+ * @param {Object} model - buildMinutesModel()
+ */
+async function exportPdf(model) {
+    const [{ jsPDF }, { default: autoTable }] = await Promise.all([
+        import('jspdf'),
+        import('jspdf-autotable'),
+    ]);
+
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 15;
+    const contentWidth = pageWidth - margin * 2;
+    let y = margin;
+
+    const ensureSpace = (height) => {
+        if (y + height > pageHeight - margin) {
+            doc.addPage();
+            y = margin;
+        }
+    };
+
+    const writeLines = (text, { size = 10, style = 'normal', color = [30, 30, 30], gap = 1.5 } = {}) => {
+        doc.setFont('helvetica', style);
+        doc.setFontSize(size);
+        doc.setTextColor(...color);
+        const lines = doc.splitTextToSize(text, contentWidth);
+        const lineHeight = size * 0.45;
+        lines.forEach(line => {
+            ensureSpace(lineHeight);
+            doc.text(line, margin, y);
+            y += lineHeight;
+        });
+        y += gap;
+    };
+
+    const writeSectionTitle = (title) => {
+        ensureSpace(14);
+        y += 3;
+        writeLines(title, { size: 11, style: 'bold', color: ACCENT_RGB, gap: 0 });
+        doc.setDrawColor(...ACCENT_RGB);
+        doc.line(margin, y - 2.5, pageWidth - margin, y - 2.5);
+        y += 3;
+    };
+
+    const tableOptions = {
+        margin: { left: margin, right: margin },
+        styles: { font: 'helvetica', fontSize: 9, cellPadding: 1.8 },
+        headStyles: { fillColor: ACCENT_RGB, textColor: 255 },
+    };
+
+    // En-tête projet
+    model.projectLines.forEach((line, index) => {
+        writeLines(line, index === 0
+            ? { size: 12, style: 'bold', gap: 0.5 }
+            : { size: 9, color: [90, 90, 90], gap: 0.5 });
+    });
+    y += 4;
+
+    writeLines(model.title, { size: 16, style: 'bold', color: ACCENT_RGB, gap: 1 });
+    writeLines(model.meetingTitle, { size: 12, style: 'bold', gap: 1 });
+    writeLines(model.meetingLines.join('   |   '), { size: 9, color: [90, 90, 90], gap: 2 });
+
+    // Participants
+    if (model.participants.length > 0) {
+        writeSectionTitle('PARTICIPANTS');
+        autoTable(doc, {
+            ...tableOptions,
+            startY: y,
+            head: [['Nom', 'Rôle']],
+            body: model.participants,
+        });
+        y = doc.lastAutoTable.finalY + 4;
+    }
+
+    // Résumé
+    if (model.summary) {
+        writeSectionTitle('RÉSUMÉ');
+        writeLines(model.summary);
+    }
+
+    // Sections
+    model.sections.forEach(section => {
+        writeSectionTitle(section.title);
+
+        if (section.type === 'action') {
+            autoTable(doc, {
+                ...tableOptions,
+                startY: y,
+                head: [ACTION_COLUMNS],
+                body: section.items.map(toActionRow),
+                columnStyles: { 0: { fontStyle: 'bold', cellWidth: 35 }, 4: { cellWidth: 22 }, 5: { cellWidth: 18 } },
+            });
+            y = doc.lastAutoTable.finalY + 4;
+            return;
+        }
+
+        section.items.forEach(item => writeLines(`•  ${toItemText(item)}`, { gap: 1 }));
+    });
+
+    // Signatures
+    const boxHeight = 30;
+    ensureSpace(boxHeight + 16);
+    writeSectionTitle('SIGNATURES');
+    const boxWidth = (contentWidth - 10) / SIGNATURES.length;
+    SIGNATURES.forEach((label, index) => {
+        const x = margin + index * (boxWidth + 10);
+        doc.setDrawColor(150, 150, 150);
+        doc.rect(x, y, boxWidth, boxHeight);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(9);
+        doc.setTextColor(30, 30, 30);
+        doc.text(label, x + 3, y + 5);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(90, 90, 90);
+        doc.text('Nom :', x + 3, y + 12);
+        doc.text('Date :', x + 3, y + 18);
+        doc.text('Signature :', x + 3, y + 24);
+    });
+
+    // Pagination
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(120, 120, 120);
+        doc.text(`${model.meetingTitle} — page ${page}/${pageCount}`, pageWidth / 2, pageHeight - 8, { align: 'center' });
+    }
+
+    doc.save(`${model.fileName}.pdf`);
+}
+
+// ============================================================================
+// DOCX
+// ============================================================================
+
+/**
+ * Génère et télécharge le compte-rendu en DOCX
+ * @param {Object} model - buildMinutesModel()
+ */
+async function exportDocx(model) {
+    const {
+        Document,
+        Packer,
+        Paragraph,
+        TextRun,
+        Table,
+        TableRow,
+        TableCell,
+        WidthType,
+        BorderStyle,
+        AlignmentType,
+        Footer,
+        PageNumber,
+        ShadingType,
+        HeightRule,
+    } = await import('docx');
+
+    const sectionTitle = (title) => new Paragraph({
+        spacing: { before: 300, after: 120 },
+        border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: ACCENT_HEX } },
+        children: [new TextRun({ text: title, bold: true, size: 22, color: ACCENT_HEX })],
+    });
+
+    const cell = (text, { header = false, bold = false } = {}) => new TableCell({
+        shading: header ? { type: ShadingType.CLEAR, fill: ACCENT_HEX, color: 'auto' } : undefined,
+        margins: { top: 60, bottom: 60, left: 80, right: 80 },
+        children: [new Paragraph({
+            children: [new TextRun({ text, bold: header || bold, size: 18, color: header ? 'FFFFFF' : undefined })],
+        })],
+    });
+
+    const table = (head, rows, boldFirstColumn = false) => new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: [
+            new TableRow({ tableHeader: true, children: head.map(h => cell(h, { header: true })) }),
+            ...rows.map(row => new TableRow({
+                children: row.map((value, index) => cell(value, { bold: boldFirstColumn && index === 0 })),
+            })),
+        ],
+    });
+
+    const children = [];
+
+    // En-tête projet
+    model.projectLines.forEach((line, index) => {
+        children.push(new Paragraph({
+            children: [new TextRun({ text: line, bold: index === 0, size: index === 0 ? 24 : 18, color: index === 0 ? undefined : '5A5A5A' })],
+        }));
+    });
+
+    children.push(
+        new Paragraph({
+            spacing: { before: 300 },
+            children: [new TextRun({ text: model.title, bold: true, size: 32, color: ACCENT_HEX })],
+        }),
+        new Paragraph({ children: [new TextRun({ text: model.meetingTitle, bold: true, size: 24 })] }),
+        new Paragraph({ children: [new TextRun({ text: model.meetingLines.join('   |   '), size: 18, color: '5A5A5A' })] }),
+    );
+
+    // Participants
+    if (model.participants.length > 0) {
+        children.push(sectionTitle('PARTICIPANTS'), table(['Nom', 'Rôle'], model.participants));
+    }
+
+    // Résumé
+    if (model.summary) {
+        children.push(sectionTitle('RÉSUMÉ'));
+        model.summary.split('\n').forEach(line => {
+            children.push(new Paragraph({ children: [new TextRun({ text: line, size: 20 })] }));
+        });
+    }
+
+    // Sections
+    model.sections.forEach(section => {
+        children.push(sectionTitle(section.title));
+
+        if (section.type === 'action') {
+            children.push(table(ACTION_COLUMNS, section.items.map(toActionRow), true));
+            return;
+        }
+
+        section.items.forEach(item => {
+            children.push(new Paragraph({
+                bullet: { level: 0 },
+                children: [new TextRun({ text: toItemText(item), size: 20 })],
+            }));
+        });
+    });
+
+    // Signatures
+    children.push(sectionTitle('SIGNATURES'));
+    children.push(new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: [new TableRow({
+            height: { value: 1800, rule: HeightRule.ATLEAST },
+            children: SIGNATURES.map(label => new TableCell({
+                margins: { top: 80, bottom: 80, left: 100, right: 100 },
+                children: [
+                    new Paragraph({ children: [new TextRun({ text: label, bold: true, size: 18 })] }),
+                    ...['Nom :', 'Date :', 'Signature :'].map(text => new Paragraph({
+                        spacing: { before: 120 },
+                        children: [new TextRun({ text, size: 18, color: '5A5A5A' })],
+                    })),
+                ],
+            })),
+        })],
+    }));
+
+    const report = new Document({
+        creator: 'Baikal Console',
+        title: `${model.title} - ${model.meetingTitle}`,
+        sections: [{
+            footers: {
+                default: new Footer({
+                    children: [new Paragraph({
+                        alignment: AlignmentType.CENTER,
+                        children: [
+                            new TextRun({ text: `${model.meetingTitle} — page `, size: 16, color: '787878' }),
+                            new TextRun({ children: [PageNumber.CURRENT], size: 16, color: '787878' }),
+                            new TextRun({ text: '/', size: 16, color: '787878' }),
+                            new TextRun({ children: [PageNumber.TOTAL_PAGES], size: 16, color: '787878' }),
+                        ],
+                    })],
+                }),
+            },
+            children,
+        }],
+    });
+
+    const blob = await Packer.toBlob(report);
+    downloadBlob(blob, `${model.fileName}.docx`);
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Exporte le compte-rendu d'une réunion
+ * @param {string} format - EXPORT_FORMATS.PDF | EXPORT_FORMATS.DOCX
+ * @param {Object} meeting - Réunion avec items (meetingsService.getMeeting)
+ * @param {Object} [project] - Projet (identité, organisation)
+ * @returns {Promise<{success: boolean, error: Error|null}>}
+ */
+export async function exportMeeting(format, meeting, project = null) {
+    try {
+        const model = buildMinutesModel(meeting, project);
+
+        if (format === EXPORT_FORMATS.DOCX) {
+            await exportDocx(model);
+        } else {
+            await exportPdf(model);
+        }
+
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('[meetingsExport] Error in exportMeeting:', error);
+        return { success: false, error };
+    }
+}
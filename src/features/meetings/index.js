@@ -0,0 +1,32 @@
+/**
+ * Meetings Feature - Baikal Console
+ * ============================================================================
+ * Export centralisé de la feature Réunions (arpet.meetings / arpet.meeting_items).
+ *
+ * @example
+ * import { MeetingsPanel } from '@features/meetings';
+ * ============================================================================
+ */
+
+// Configuration
+export {
+    ITEM_TYPES,
+    ITEM_STATUSES,
+    UNASSIGNED_LABEL,
+    getItemTypeConfig,
+    isOverdue,
+    formatMeetingDate,
+} from './config';
+
+// Export du compte-rendu (PDF / DOCX)
+export { exportMeeting, buildMinutesModel, EXPORT_FORMATS } from './export';
+
+// Composants
+export {
+    MeetingsPanel,
+    MeetingsList,
+    MeetingDetail,
+    MeetingItemRow,
+    MeetingItemForm,
+    ActionTracker,
+} from './components';
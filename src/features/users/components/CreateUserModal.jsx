@@ -15,7 +15,7 @@ import {
     Eye,
     EyeOff,
 } from 'lucide-react';
-import { supabase } from '@lib/supabaseClient';
+import { supabase, assertWritable } from '@lib/supabaseClient';
 import { APP_ROLES } from '../config';
 
 /**
@@ -56,6 +56,8 @@ export default function CreateUserModal({ isOpen, onClose, organizations, onCrea
         setError(null);
 
         try {
+            assertWritable();
+
             // Récupérer le token de session pour l'authentification
             const { data: { session } } = await supabase.auth.getSession();
             
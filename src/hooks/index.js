@@ -60,5 +60,11 @@ export { useImpersonation } from './useImpersonation';
 // Gestion de l'organisation et membres
 export { useOrganization } from './useOrganization';
 
+// Droits du plan de l'organisation (limites et consommation)
+export { useEntitlements } from './useEntitlements';
+
 // Administration Légifrance (super_admin)
 export { useLegifrance } from './useLegifrance';
+
+// Assistant RAG (streaming baikal-brain-v3)
+export { useChat, MESSAGE_STATUS, VOTE_VALUES } from './useChat';
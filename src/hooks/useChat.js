@@ -0,0 +1,378 @@
+/**
+ * useChat - Hook pour l'assistant RAG (baikal-brain-v3)
+ * ============================================================================
+ * Gère l'historique des messages, le streaming des tokens, le fil d'étapes
+ * (événements `step`), l'annulation d'une réponse en cours, le vote
+ * sur les réponses (baikal-vote → mémoire collective) et la reprise
+ * d'une conversation de l'historique (rag.messages).
+ *
+ * @example
+ * const { messages, isStreaming, sendMessage, cancel, resetConversation } = useChat({
+ *   userId: user.id,
+ *   orgId: profile.org_id,
+ *   appId: currentApp,
+ * });
+ * ============================================================================
+ */
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { chatService, CHAT_SSE_EVENTS } from '../services/chat.service';
+import { voteService } from '../services/vote.service';
+import { conversationsService } from '../services/conversations.service';
+import { promptExperimentsService } from '../services/promptExperiments.service';
+
+/**
+ * Statuts d'un message assistant
+ */
+export const MESSAGE_STATUS = {
+  STREAMING: 'streaming',
+  DONE: 'done',
+  CANCELLED: 'cancelled',
+  ERROR: 'error',
+};
+
+/**
+ * Valeurs de vote sur une réponse
+ */
+export const VOTE_VALUES = {
+  UP: 'up',
+  DOWN: 'down',
+};
+
+/**
+ * Génère un ID local pour un message
+ */
+const generateId = () => `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Convertit les messages persistés (rag.messages) en messages du chat
+ * @param {Array} rows - Messages de la conversation (ordre chronologique)
+ * @returns {Array}
+ */
+const toChatMessages = (rows) => {
+  let lastQuestion = null;
+
+  return rows.map((row) => {
+    if (row.role === 'user') {
+      lastQuestion = row.content;
+      return {
+        id: `db-${row.id}`,
+        role: 'user',
+        content: row.content,
+        createdAt: row.created_at,
+      };
+    }
+
+    return {
+      id: `db-${row.id}`,
+      role: 'assistant',
+      content: row.content || '',
+      steps: [],
+      sources: row.sources || [],
+      meta: {
+        generation_mode: row.generation_mode || null,
+        processing_time_ms: row.processing_time_ms || null,
+        from_memory: row.generation_mode === 'memory',
+        conversation_id: row.conversation_id,
+        prompt_variants: row.prompt_variants || null,
+      },
+      status: MESSAGE_STATUS.DONE,
+      error: null,
+      vote: null,
+      question: lastQuestion,
+      createdAt: row.created_at,
+    };
+  });
+};
+
+/**
+ * Hook de chat RAG
+ *
+ * @param {Object} params - Contexte de la conversation
+ * @param {string} params.userId - ID utilisateur
+ * @param {string} [params.orgId] - ID organisation
+ * @param {string} [params.projectId] - ID projet
+ * @param {string} [params.appId] - ID app
+ * @returns {Object} - État et méthodes du chat
+ */
+export function useChat({ userId, orgId = null, projectId = null, appId = null } = {}) {
+  const [messages, setMessages] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [error, setError] = useState(null);
+
+  const abortControllerRef = useRef(null);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      abortControllerRef.current?.abort();
+    };
+  }, []);
+
+  /**
+   * Met à jour un message par son ID
+   */
+  const updateMessage = useCallback((id, updater) => {
+    if (!mountedRef.current) return;
+    setMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, ...updater(msg) } : msg)));
+  }, []);
+
+  /**
+   * Applique un événement SSE au message assistant en cours
+   */
+  const applyEvent = useCallback((assistantId, { event, data }) => {
+    switch (event) {
+      case CHAT_SSE_EVENTS.STEP:
+        updateMessage(assistantId, msg => ({
+          steps: [...msg.steps, { step: data?.step, message: data?.message, at: Date.now() }],
+        }));
+        break;
+
+      case CHAT_SSE_EVENTS.TOKEN:
+        updateMessage(assistantId, msg => ({ content: msg.content + (data?.content || '') }));
+        break;
+
+      case CHAT_SSE_EVENTS.MESSAGE:
+        updateMessage(assistantId, () => ({ content: data?.content || '' }));
+        break;
+
+      case CHAT_SSE_EVENTS.SOURCES: {
+        const { sources = [], ...meta } = data || {};
+        updateMessage(assistantId, () => ({ sources, meta }));
+        break;
+      }
+
+      case CHAT_SSE_EVENTS.ERROR:
+        updateMessage(assistantId, () => ({
+          status: MESSAGE_STATUS.ERROR,
+          error: data?.error || data?.message || 'Erreur inconnue',
+        }));
+        break;
+
+      case CHAT_SSE_EVENTS.DONE:
+        updateMessage(assistantId, msg => ({
+          status: msg.status === MESSAGE_STATUS.ERROR ? msg.status : MESSAGE_STATUS.DONE,
+        }));
+        break;
+
+      default:
+        break;
+    }
+
+    if (data?.conversation_id && mountedRef.current) {
+      setConversationId(data.conversation_id);
+    }
+  }, [updateMessage]);
+
+  /**
+   * Envoie une question et stream la réponse
+   * @param {string} query - Question utilisateur
+   */
+  const sendMessage = useCallback(async (query) => {
+    const text = query?.trim();
+    if (!text || isStreaming || !userId) return;
+
+    const userMessage = {
+      id: generateId(),
+      role: 'user',
+      content: text,
+      createdAt: new Date().toISOString(),
+    };
+    const assistantId = generateId();
+    const assistantMessage = {
+      id: assistantId,
+      role: 'assistant',
+      content: '',
+      steps: [],
+      sources: [],
+      meta: null,
+      status: MESSAGE_STATUS.STREAMING,
+      error: null,
+      vote: null,
+      question: text,
+      createdAt: new Date().toISOString(),
+    };
+
+    setMessages(prev => [...prev, userMessage, assistantMessage]);
+    setIsStreaming(true);
+    setError(null);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    const { data, error: streamError } = await chatService.streamQuery(
+      { query: text, userId, orgId, projectId, appId, conversationId },
+      { signal: controller.signal, onEvent: (evt) => applyEvent(assistantId, evt) }
+    );
+
+    if (!mountedRef.current) return;
+
+    if (streamError) {
+      setError(streamError.message);
+      updateMessage(assistantId, () => ({ status: MESSAGE_STATUS.ERROR, error: streamError.message }));
+    } else if (data?.aborted) {
+      updateMessage(assistantId, () => ({ status: MESSAGE_STATUS.CANCELLED }));
+    } else {
+      // Flux terminé sans événement `done` explicite
+      updateMessage(assistantId, msg => ({
+        status: msg.status === MESSAGE_STATUS.STREAMING ? MESSAGE_STATUS.DONE : msg.status,
+      }));
+    }
+
+    if (data?.conversationId) {
+      setConversationId(data.conversationId);
+    }
+
+    abortControllerRef.current = null;
+    setIsStreaming(false);
+  }, [isStreaming, userId, orgId, projectId, appId, conversationId, applyEvent, updateMessage]);
+
+  /**
+   * Vote sur une réponse de l'assistant
+   * - Réponse issue de la mémoire : vote_up_existing / vote_down sur la Q/A
+   * - Réponse générée : 👍 crée la Q/A (vote_up_new), 👎 reste local
+   *   (aucune Q/A à pénaliser)
+   * @param {string} messageId - ID du message assistant
+   * @param {string} value - VOTE_VALUES.UP | VOTE_VALUES.DOWN
+   */
+  const voteMessage = useCallback(async (messageId, value) => {
+    const message = messages.find(msg => msg.id === messageId);
+    // Un seul vote par réponse (nouvel essai possible après une erreur)
+    if (!message || message.role !== 'assistant' || !userId) return;
+    if (message.vote && message.vote.status !== 'error') return;
+
+    const fromMemory = !!message.meta?.from_memory;
+    const memoryQaId = message.meta?.qa_id || message.sources?.find(src => src.type === 'qa_memory')?.id || null;
+
+    updateMessage(messageId, () => ({ vote: { value, status: 'pending' } }));
+
+    // Expérience A/B : vote compté pour la variante de la conversation (non
+    // bloquant ; réessayé avec le vote tant qu'il n'est pas enregistré)
+    if (!message.experimentVoted && message.meta?.prompt_variants?.length && message.meta?.conversation_id) {
+      const { error: experimentError } = await promptExperimentsService.recordVote({
+        conversationId: message.meta.conversation_id,
+        value,
+      });
+      if (experimentError) {
+        console.warn('[useChat] Vote d\'expérience non enregistré:', experimentError.message);
+      } else {
+        updateMessage(messageId, () => ({ experimentVoted: true }));
+      }
+    }
+
+    // Réponse mémoire rechargée depuis l'historique : qa_id inconnu → vote local
+    let request = null;
+    if (fromMemory) {
+      if (memoryQaId) {
+        request = value === VOTE_VALUES.UP
+          ? voteService.voteUpExisting({ userId, qaId: memoryQaId })
+          : voteService.voteDown({ userId, qaId: memoryQaId });
+      }
+    } else if (value === VOTE_VALUES.UP) {
+      const sourceFileIds = [...new Set(
+        (message.sources || []).map(src => src.source_file_id).filter(Boolean)
+      )];
+      request = voteService.voteUpNew({
+        userId,
+        orgId,
+        projectId,
+        question: message.question,
+        answer: message.content,
+        sourceFileIds,
+      });
+    }
+
+    if (!request) {
+      updateMessage(messageId, () => ({
+        vote: { value, status: 'done', qaId: null, trustScore: null, message: 'Merci pour votre retour' },
+      }));
+      return;
+    }
+
+    const { data, error: voteError } = await request;
+
+    if (voteError) {
+      // Déjà voté : l'état côté serveur est déjà celui demandé
+      if (voteError.code === 'ALREADY_VOTED') {
+        updateMessage(messageId, () => ({
+          vote: { value, status: 'done', qaId: memoryQaId, trustScore: null, message: voteError.message },
+        }));
+        return;
+      }
+      updateMessage(messageId, () => ({
+        vote: { value, status: 'error', message: voteError.message },
+      }));
+      return;
+    }
+
+    updateMessage(messageId, () => ({
+      vote: {
+        value,
+        status: 'done',
+        qaId: data.qaId,
+        trustScore: data.trustScore,
+        message: data.message,
+      },
+    }));
+  }, [messages, userId, orgId, projectId, updateMessage]);
+
+  /**
+   * Annule la réponse en cours
+   */
+  const cancel = useCallback(() => {
+    abortControllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Démarre une nouvelle conversation
+   */
+  const resetConversation = useCallback(() => {
+    abortControllerRef.current?.abort();
+    setMessages([]);
+    setConversationId(null);
+    setError(null);
+  }, []);
+
+  /**
+   * Reprend une conversation de l'historique
+   * Les questions suivantes sont envoyées avec ce conversation_id
+   * (brain-v3 → get_agent_context recharge le contexte).
+   * @param {string} id - ID de la conversation
+   * @returns {Promise<boolean>} - true si la conversation a été chargée
+   */
+  const openConversation = useCallback(async (id) => {
+    if (!id) return false;
+
+    abortControllerRef.current?.abort();
+    setError(null);
+
+    const { data, error: loadError } = await conversationsService.getConversationMessages(id);
+    if (!mountedRef.current) return false;
+
+    if (loadError) {
+      setError(loadError.message);
+      return false;
+    }
+
+    setMessages(toChatMessages(data));
+    setConversationId(id);
+    return true;
+  }, []);
+
+  return {
+    messages,
+    conversationId,
+    isStreaming,
+    error,
+    sendMessage,
+    cancel,
+    resetConversation,
+    openConversation,
+    voteMessage,
+  };
+}
+
+export default useChat;
@@ -0,0 +1,75 @@
+/**
+ * useEntitlements - Hook des droits du plan d'une organisation
+ * ============================================================================
+ * Charge les limites effectives (plan + surcharges super_admin) et la
+ * consommation courante, et expose des vérifications synchrones pour
+ * désactiver les actions hors plan avec une suggestion de plan supérieur.
+ *
+ * Tant que les droits ne sont pas chargés (ou illisibles), rien n'est
+ * bloqué : les services revérifient au moment de l'action.
+ *
+ * @example
+ * const { checkQuota, refresh } = useEntitlements(orgId);
+ * const projectQuota = checkQuota('max_projects');
+ * <button disabled={!projectQuota.allowed} title={projectQuota.message} />
+ * ============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { entitlementsService } from '../services/entitlements.service';
+
+/**
+ * @param {string|null} orgId - ID de l'organisation (null = celle de l'utilisateur)
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Désactiver le chargement
+ */
+export function useEntitlements(orgId = null, { enabled = true } = {}) {
+  const [entitlements, setEntitlements] = useState(null);
+  const [loading, setLoading] = useState(enabled);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!enabled) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    const { data, error: loadError } = await entitlementsService.getEntitlements(orgId);
+    setEntitlements(data);
+    setError(loadError?.message || null);
+    setLoading(false);
+  }, [orgId, enabled]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const checkQuota = useCallback(
+    (key, increment = 1) => (entitlements
+      ? entitlementsService.checkQuota(entitlements, key, increment)
+      : { allowed: true, used: 0, limit: null, message: null }),
+    [entitlements]
+  );
+
+  const checkLayer = useCallback(
+    (layer) => entitlementsService.checkLayer(entitlements, layer),
+    [entitlements]
+  );
+
+  const checkFeature = useCallback(
+    (feature) => entitlementsService.checkFeature(entitlements, feature),
+    [entitlements]
+  );
+
+  return {
+    entitlements,
+    loading,
+    error,
+    refresh,
+    checkQuota,
+    checkLayer,
+    checkFeature,
+  };
+}
+
+export default useEntitlements;
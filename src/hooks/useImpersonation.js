@@ -6,17 +6,25 @@
  * MODIFICATIONS:
  * - profiles → core.profiles (schéma)
  * - organizations → core.organizations (schéma)
+ * - Journal serveur (core.impersonation_sessions) : motif obligatoire,
+ *   pages visitées, fin de session ; mode lecture seule et arrêt automatique
+ *   à l'échéance
  * ============================================================================
  */
 
-import { useState, useCallback, useEffect } from 'react';
-import { supabase } from '../lib/supabaseClient';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { supabase, setReadOnlyMode } from '../lib/supabaseClient';
+import {
+  impersonationService,
+  DEFAULT_IMPERSONATION_TIMEOUT,
+} from '../services/impersonation.service';
 
 // Clés localStorage
 const STORAGE_KEYS = {
   PROFILE: 'impersonated_profile',
   ORGANIZATION: 'impersonated_organization',
   USER: 'impersonated_user',
+  SESSION: 'impersonation_session',
 };
 
 /**
@@ -49,6 +57,15 @@ function clearImpersonationStorage() {
   localStorage.removeItem(STORAGE_KEYS.PROFILE);
   localStorage.removeItem(STORAGE_KEYS.ORGANIZATION);
   localStorage.removeItem(STORAGE_KEYS.USER);
+  localStorage.removeItem(STORAGE_KEYS.SESSION);
+}
+
+/**
+ * Charge une valeur d'impersonation, uniquement si une session journalisée
+ * existe (une impersonation sans trace serveur n'est pas restaurée)
+ */
+function loadImpersonationValue(key) {
+  return loadFromStorage(STORAGE_KEYS.SESSION) ? loadFromStorage(key) : null;
 }
 
 /**
@@ -60,16 +77,22 @@ function clearImpersonationStorage() {
 export function useImpersonation(realProfile) {
   // États - Restaurés depuis localStorage au montage
   const [impersonatedProfile, setImpersonatedProfile] = useState(() => 
-    loadFromStorage(STORAGE_KEYS.PROFILE)
+    loadImpersonationValue(STORAGE_KEYS.PROFILE)
   );
   const [impersonatedOrganization, setImpersonatedOrganization] = useState(() => 
-    loadFromStorage(STORAGE_KEYS.ORGANIZATION)
+    loadImpersonationValue(STORAGE_KEYS.ORGANIZATION)
   );
   const [impersonatedUser, setImpersonatedUser] = useState(() => 
-    loadFromStorage(STORAGE_KEYS.USER)
+    loadImpersonationValue(STORAGE_KEYS.USER)
   );
+  // Session journalisée : { id, reason, readOnly, expiresAt }
+  const [session, setSession] = useState(() => loadFromStorage(STORAGE_KEYS.SESSION));
   const [error, setError] = useState(null);
 
+  // Référence pour stopImpersonating (callback stable, utilisé par AuthContext)
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+
   // Vérifie si l'utilisateur est super_admin
   const isSuperAdmin = realProfile?.app_role === 'super_admin';
 
@@ -82,6 +105,7 @@ export function useImpersonation(realProfile) {
       setImpersonatedProfile(null);
       setImpersonatedOrganization(null);
       setImpersonatedUser(null);
+      setSession(null);
     }
   }, [realProfile, isSuperAdmin, impersonatedProfile]);
 
@@ -90,30 +114,86 @@ export function useImpersonation(realProfile) {
    */
   useEffect(() => {
     if (isSuperAdmin && !impersonatedProfile) {
+      const savedSession = loadFromStorage(STORAGE_KEYS.SESSION);
       const savedProfile = loadFromStorage(STORAGE_KEYS.PROFILE);
       const savedOrg = loadFromStorage(STORAGE_KEYS.ORGANIZATION);
       const savedUser = loadFromStorage(STORAGE_KEYS.USER);
 
-      if (savedProfile) {
+      if (savedProfile && savedSession) {
         setImpersonatedProfile(savedProfile);
         setImpersonatedOrganization(savedOrg);
         setImpersonatedUser(savedUser);
+        setSession(savedSession);
       }
     }
   }, [isSuperAdmin, impersonatedProfile]);
 
+  /**
+   * Mode lecture seule du client Supabase pendant la session
+   */
+  useEffect(() => {
+    setReadOnlyMode(!!impersonatedProfile && session?.readOnly !== false);
+  }, [impersonatedProfile, session]);
+
+  /**
+   * Arrête l'impersonation et revient au profil réel
+   * @param {'manual'|'timeout'|'signout'} [endReason='manual'] - Motif de fin journalisé
+   * @returns {Promise<void>}
+   */
+  const stopImpersonating = useCallback(async (endReason = 'manual') => {
+    const currentSession = sessionRef.current;
+    sessionRef.current = null;
+
+    clearImpersonationStorage();
+    setReadOnlyMode(false);
+    setImpersonatedProfile(null);
+    setImpersonatedOrganization(null);
+    setImpersonatedUser(null);
+    setSession(null);
+    setError(null);
+
+    if (currentSession?.id) {
+      await impersonationService.endSession(currentSession.id, endReason);
+    }
+  }, []);
+
+  /**
+   * Arrêt automatique à l'échéance de la session
+   */
+  useEffect(() => {
+    if (!impersonatedProfile || !session?.expiresAt) return undefined;
+
+    const remaining = new Date(session.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(() => stopImpersonating('timeout'), Math.max(remaining, 0));
+    return () => clearTimeout(timer);
+  }, [impersonatedProfile, session, stopImpersonating]);
+
   /**
    * Emprunte l'identité d'un utilisateur
    * @param {string} targetUserId - ID de l'utilisateur cible
+   * @param {Object} options
+   * @param {string} options.reason - Motif (obligatoire, journalisé)
+   * @param {boolean} [options.readOnly=true] - Bloque les écritures pendant la session
+   * @param {number} [options.timeoutMinutes] - Durée avant arrêt automatique
    * @returns {Promise<{success: boolean, error?: string}>}
    */
-  const impersonateUser = useCallback(async (targetUserId) => {
+  const impersonateUser = useCallback(async (targetUserId, {
+    reason,
+    readOnly = true,
+    timeoutMinutes = DEFAULT_IMPERSONATION_TIMEOUT,
+  } = {}) => {
     if (!isSuperAdmin) {
       const errorMsg = 'Seul le super_admin peut emprunter l\'identité d\'un utilisateur';
       setError(errorMsg);
       return { success: false, error: errorMsg };
     }
 
+    if (!reason?.trim()) {
+      const errorMsg = 'Le motif de l\'impersonation est requis';
+      setError(errorMsg);
+      return { success: false, error: errorMsg };
+    }
+
     setError(null);
 
     try {
@@ -150,15 +230,33 @@ export function useImpersonation(realProfile) {
         },
       };
 
+      // Journaliser la session (clôture côté serveur d'une éventuelle session en cours)
+      const { data: serverSession, error: sessionError } = await impersonationService.startSession(
+        targetUserId,
+        { reason, readOnly, timeoutMinutes }
+      );
+
+      if (sessionError) throw sessionError;
+
+      const newSession = {
+        id: serverSession.id,
+        reason: serverSession.reason,
+        readOnly: serverSession.read_only,
+        expiresAt: serverSession.expires_at,
+      };
+
       // Sauvegarder dans localStorage
       saveToStorage(STORAGE_KEYS.PROFILE, targetProfile);
       saveToStorage(STORAGE_KEYS.ORGANIZATION, targetOrg);
       saveToStorage(STORAGE_KEYS.USER, simulatedUser);
+      saveToStorage(STORAGE_KEYS.SESSION, newSession);
 
       // Mettre à jour les états
+      setReadOnlyMode(newSession.readOnly);
       setImpersonatedProfile(targetProfile);
       setImpersonatedOrganization(targetOrg);
       setImpersonatedUser(simulatedUser);
+      setSession(newSession);
 
       return { success: true };
     } catch (err) {
@@ -169,15 +267,20 @@ export function useImpersonation(realProfile) {
   }, [isSuperAdmin]);
 
   /**
-   * Arrête l'impersonation et revient au profil réel
+   * Journalise une page visitée ; arrête l'impersonation si le serveur
+   * indique que la session n'est plus active
+   * @param {string} path - Chemin visité
    */
-  const stopImpersonating = useCallback(() => {
-    clearImpersonationStorage();
-    setImpersonatedProfile(null);
-    setImpersonatedOrganization(null);
-    setImpersonatedUser(null);
-    setError(null);
-  }, []);
+  const logPage = useCallback(async (path) => {
+    const currentSession = sessionRef.current;
+    if (!currentSession?.id) return;
+
+    // Seul un refus explicite de la RPC met fin à la session (pas une erreur réseau)
+    const { data: active } = await impersonationService.logPage(currentSession.id, path);
+    if (active === false && sessionRef.current?.id === currentSession.id) {
+      await stopImpersonating('timeout');
+    }
+  }, [stopImpersonating]);
 
   // Détermine si on est en mode impersonation
   const isImpersonating = !!impersonatedProfile;
@@ -188,11 +291,14 @@ export function useImpersonation(realProfile) {
     impersonatedProfile,
     impersonatedOrganization,
     impersonatedUser,
+    impersonationSession: isImpersonating ? session : null,
+    isReadOnly: isImpersonating && session?.readOnly !== false,
     error,
 
     // Actions
     impersonateUser,
     stopImpersonating,
+    logPage,
 
     // Helpers - Retourne les valeurs effectives (impersonated si actif, sinon null)
     getEffectiveProfile: (realProfile) => impersonatedProfile || realProfile,
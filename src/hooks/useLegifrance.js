@@ -10,7 +10,7 @@
  */
 
 import { useState, useEffect, useCallback, useMemo } from 'react';
-import { supabase } from '../lib/supabaseClient';
+import { supabase, assertWritable } from '../lib/supabaseClient';
 
 // URL de l'Edge Function Supabase
 const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
@@ -250,6 +250,7 @@ export function useLegifrance() {
         try {
             setSyncing(true);
             setError(null);
+            assertWritable();
 
             // Récupérer la session
             const { data: { session } } = await supabase.auth.getSession();
@@ -11,7 +11,7 @@
  */
 
 import { useState, useEffect, useCallback } from 'react';
-import { supabase } from '../lib/supabaseClient';
+import { supabase, assertWritable } from '../lib/supabaseClient';
 
 export function useOrganization(orgId) {
     const [organization, setOrganization] = useState(null);
@@ -117,6 +117,8 @@ export function useOrganization(orgId) {
     // Inviter un membre
     const inviteMember = useCallback(async (email, role) => {
         try {
+            assertWritable();
+
             const { data: { session } } = await supabase.auth.getSession();
             if (!session) throw new Error('Non authentifié');
 
@@ -21,12 +21,105 @@ if (!supabaseUrl || !supabaseAnonKey) {
   )
 }
 
+// ============================================================================
+// MODE LECTURE SEULE (impersonation)
+// ============================================================================
+// Activé par useImpersonation pendant une impersonation en lecture seule :
+// toute requête du client qui modifie des données est refusée avant envoi
+// (réponse 403, code 'read_only'). Restent autorisés : l'authentification,
+// les lectures de tables, les RPC de lecture (préfixes ci-dessous), le
+// journal d'impersonation et la lecture du storage. Les appels d'Edge
+// Functions sont tous considérés comme des écritures.
+
+export const READ_ONLY_ERROR_CODE = 'read_only'
+
+const READ_ONLY_MESSAGE = 'Mode lecture seule : action désactivée pendant l\'impersonation'
+
+const READ_RPC_PREFIXES = ['get_', 'validate_', 'search_', 'check_', 'match_', 'count_', 'list_']
+
+const IMPERSONATION_RPCS = ['start_impersonation', 'end_impersonation', 'log_impersonation_page']
+
+const READ_STORAGE_PATHS = ['/storage/v1/object/sign/', '/storage/v1/object/list/']
+
+let readOnlyMode = false
+
+/**
+ * Active ou désactive le mode lecture seule
+ * @param {boolean} enabled
+ */
+export function setReadOnlyMode(enabled) {
+  readOnlyMode = !!enabled
+}
+
+/**
+ * @returns {boolean} true si les écritures sont bloquées
+ */
+export function isReadOnlyMode() {
+  return readOnlyMode
+}
+
+/**
+ * Lève une erreur en mode lecture seule (appels fetch directs aux Edge
+ * Functions, hors client Supabase)
+ * @throws {Error} code 'read_only'
+ */
+export function assertWritable() {
+  if (!readOnlyMode) return
+  const error = new Error(READ_ONLY_MESSAGE)
+  error.code = READ_ONLY_ERROR_CODE
+  throw error
+}
+
+/**
+ * Indique si une requête du client Supabase modifie des données
+ * @param {string} url
+ * @param {string} method
+ */
+function isMutatingRequest(url, method) {
+  const { pathname } = new URL(url)
+  const isRead = method === 'GET' || method === 'HEAD'
+
+  if (pathname.startsWith('/auth/v1')) return false
+
+  if (pathname.startsWith('/rest/v1/rpc/')) {
+    const name = pathname.slice('/rest/v1/rpc/'.length)
+    return !READ_RPC_PREFIXES.some(prefix => name.startsWith(prefix))
+      && !IMPERSONATION_RPCS.includes(name)
+  }
+
+  if (pathname.startsWith('/storage/v1')) {
+    return !isRead && !READ_STORAGE_PATHS.some(path => pathname.startsWith(path))
+  }
+
+  return !isRead
+}
+
+async function guardedFetch(input, init = {}) {
+  if (readOnlyMode) {
+    const isRequest = input instanceof Request
+    const url = isRequest ? input.url : String(input)
+    const method = (init.method || (isRequest ? input.method : 'GET')).toUpperCase()
+
+    if (isMutatingRequest(url, method)) {
+      return new Response(
+        JSON.stringify({ message: READ_ONLY_MESSAGE, error: READ_ONLY_MESSAGE, code: READ_ONLY_ERROR_CODE }),
+        { status: 403, headers: { 'Content-Type': 'application/json' } }
+      )
+    }
+  }
+
+  return fetch(input, init)
+}
+
 export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
   auth: {
     persistSession: true,
     autoRefreshToken: true,
     detectSessionInUrl: true,
   },
+  global: {
+    fetch: guardedFetch,
+  },
 })
 
 /**
@@ -68,6 +161,8 @@ export async function checkEmailExists(email) {
  */
 export async function uploadMeetingAudio(file, title = 'Réunion Audio') {
   try {
+    assertWritable()
+
     const { data: { session } } = await supabase.auth.getSession()
     if (!session) throw new Error('Non connecté')
 
@@ -8,6 +8,10 @@
  * - Connaissances → Contenu inline
  * - Prompts (config agents) - super_admin uniquement
  * - Indexation (concepts & catégories) - super_admin uniquement
+ * - Search lab → /admin/search-lab (retrieval seul) - tous les admins
+ * - Organisation (plan, utilisation / limites, crédits) - tous les admins
+ * - Évaluation → /admin/evaluation (golden sets) - super_admin uniquement
+ * - Accès support → /admin/impersonation-audit (journal des impersonations) - tous les admins
  * 
  * Accès :
  * - super_admin : tout voir, toutes les orgs, toutes les couches
@@ -41,6 +45,10 @@ import {
     Loader2,
     LogOut,
     Settings,
+    FlaskConical,
+    Target,
+    Building2,
+    UserCheck,
 } from 'lucide-react';
 
 // ============================================================================
@@ -67,6 +75,26 @@ const getTabs = (isSuperAdmin, pendingCount = 0) => {
             description: 'Base documentaire RAG',
             badge: pendingCount > 0 ? pendingCount : null,
         },
+        {
+            id: 'search-lab',
+            label: 'Search lab',
+            icon: FlaskConical,
+            description: 'Diagnostic du retrieval',
+            route: '/admin/search-lab',
+        },
+        {
+            id: 'organization',
+            label: 'Organisation',
+            icon: Building2,
+            description: 'Plan, limites et crédits'
+        },
+        {
+            id: 'impersonation-audit',
+            label: 'Accès support',
+            icon: UserCheck,
+            description: 'Journal des impersonations',
+            route: '/admin/impersonation-audit',
+        },
     ];
 
     // Onglets super_admin uniquement
@@ -83,6 +111,13 @@ const getTabs = (isSuperAdmin, pendingCount = 0) => {
             icon: Database,
             description: 'Concepts et catégories par application'
         });
+        tabs.push({
+            id: 'evaluation',
+            label: 'Évaluation',
+            icon: Target,
+            description: 'Golden sets et métriques RAG',
+            route: '/admin/evaluation',
+        });
     }
 
     return tabs;
@@ -270,7 +305,7 @@ export default function Admin() {
                 )}
 
                 {/* Loader */}
-                {loading && !['dashboard', 'prompts', 'indexation'].includes(activeTab) && (
+                {loading && !['dashboard', 'organization', 'prompts', 'indexation'].includes(activeTab) && (
                     <div className="flex items-center justify-center py-12">
                         <Loader2 className="w-8 h-8 text-baikal-cyan animate-spin" />
                     </div>
@@ -294,6 +329,16 @@ export default function Admin() {
                     />
                 )}
 
+                {/* Onglet Organisation */}
+                {activeTab === 'organization' && (
+                    <OrganizationSettings
+                        organization={organization}
+                        loading={loading}
+                        currentUserRole={currentUserRole}
+                        onUpdateName={updateOrganizationName}
+                    />
+                )}
+
                 {/* Onglet Prompts (super_admin uniquement) */}
                 {activeTab === 'prompts' && isSuperAdmin && (
                     <Prompts embedded={true} />
@@ -11,6 +11,10 @@
  * - getCurrentVerticalInfo → getCurrentAppInfo
  * - verticalInfo → appInfo
  * - defaultVertical → defaultApp
+ *
+ * AJOUT: Onglet "Assistant RAG" → ChatInterface (streaming baikal-brain-v3)
+ * AJOUT: ChatInterface reçoit setCurrentApp (reprise d'une conversation d'une autre app)
+ * AJOUT: Onglet "Réunions" → MeetingsPanel (liste, détail, suivi des actions)
  * ============================================================================
  */
 
@@ -24,6 +28,8 @@ import { AppProvider, useApp } from '../contexts/AppContext'
 import SmartUploader from '../components/SmartUploader'
 import InvoiceUploader from '../components/InvoiceUploader'
 import AudioRecorder from '../components/AudioRecorder'
+import { ChatInterface } from '../features/chat'
+import { MeetingsPanel } from '../features/meetings'
 import supabase from '../lib/supabaseClient'
 import {
   MessageSquare,
@@ -45,6 +51,7 @@ function DashboardLayout() {
 
   const [activeTab, setActiveTab] = useState('chat')
   const [sidebarOpen, setSidebarOpen] = useState(true)
+  const [meetingsRefreshKey, setMeetingsRefreshKey] = useState(0)
 
   const handleLogout = async () => {
     await signOut()
@@ -60,7 +67,7 @@ function DashboardLayout() {
 
   const handleRecordingSuccess = (meeting) => {
     console.log('Meeting processed:', meeting)
-    // Ici on pourrait ajouter une notif ou rafraîchir une liste
+    setMeetingsRefreshKey(key => key + 1)
   }
 
   // MIGRATION: verticalInfo → appInfo
@@ -229,9 +236,7 @@ function DashboardLayout() {
 
         <div className="flex-1 overflow-hidden">
           {activeTab === 'chat' && (
-            <div className="h-full flex items-center justify-center">
-              <p className="text-baikal-text font-mono">CHAT_INTERFACE_PLACEHOLDER</p>
-            </div>
+            <ChatInterface appId={currentApp} onAppChange={setCurrentApp} />
           )}
 
           {activeTab === 'upload' && (
@@ -272,7 +277,7 @@ function DashboardLayout() {
 
           {activeTab === 'meetings' && (
             <div className="h-full overflow-auto p-6">
-              <div className="max-w-3xl mx-auto">
+              <div className="max-w-4xl mx-auto">
                 <div className="mb-8">
                   <h2 className="text-2xl font-bold text-white mb-2 font-mono">COMPTE_RENDU_INTELLIGENT</h2>
                   <p className="text-baikal-text mb-8 font-sans">
@@ -280,6 +285,11 @@ function DashboardLayout() {
                   </p>
                   <AudioRecorder onRecordingComplete={handleRecordingSuccess} />
                 </div>
+
+                <div className="pt-8 border-t border-baikal-border">
+                  <h2 className="text-xl font-bold text-white mb-6 font-mono">RÉUNIONS_DU_PROJET</h2>
+                  <MeetingsPanel refreshKey={meetingsRefreshKey} />
+                </div>
               </div>
             </div>
           )}
@@ -7,6 +7,8 @@
  * Sources disponibles :
  * - Upload de fichiers (PDF, Word, Excel, etc.)
  * - Légifrance (codes juridiques) - super_admin uniquement
+ * - Pages web (extraction serveur via ingest-web-page, re-crawl optionnel)
+ * - Connecteurs API (REST/JSON, WebDAV) exécutés par run-connector
  * 
  * MODIFICATIONS 17/12/2025:
  * - org_admin : App auto-sélectionnée (profile.app_id), pas de sélecteur
@@ -26,11 +28,25 @@
  * MODIFICATIONS 04/01/2026:
  * - Ajout header uniforme style Dashboard (icône + titre + sous-titre)
  * - FIX: category stocke l'UUID (cat.id) au lieu du slug pour cohérence avec ARPET
+ *
+ * AJOUT: Source "Page Web" (WebPageInterface) - URLs → prévisualisation du texte
+ * nettoyé → ingestion via documentsService.ingestWebPage (sources.ingestion_queue)
+ *
+ * AJOUT: "Nouvelle version de…" (VersionOfSelector) - le fichier uploadé remplace
+ * un document existant (sources.files.previous_version_id, supersede en fin d'ingestion)
+ *
+ * AJOUT: Source "API externe" (ConnectorsPanel) - connecteurs planifiés ciblant
+ * la sélection commune, historique des exécutions (sources.connector_runs)
+ *
+ * AJOUT: Droits du plan (useEntitlements) - couches hors plan verrouillées,
+ * stockage restant et accès Légifrance de l'organisation cible
  * ============================================================================
  */
 
-import React, { useState, useRef, useEffect, useMemo } from 'react';
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import { useDebounce } from '../hooks/useDebounce';
+import { useEntitlements } from '../hooks/useEntitlements';
 import { documentsService } from '../services/documents.service';
 import { referentielsService } from '../services/referentiels.service';
 import { projectsService } from '../services/projects.service';
@@ -42,6 +58,8 @@ import {
     MAX_FILE_SIZE_BYTES,
     formatFileSize,
 } from '../config/rag-layers.config';
+import { MAX_WEB_URLS, WEB_RECRAWL_INTERVALS } from '../config/ingestion.config';
+import { ConnectorsPanel } from '../components/admin/connectors';
 import {
     Upload,
     FileText,
@@ -61,6 +79,7 @@ import {
     Link2,
     Search,
     Play,
+    GitBranch,
 } from 'lucide-react';
 
 // ============================================================================
@@ -91,8 +110,7 @@ const INGESTION_SOURCES = [
         description: 'Connecteurs personnalisés', 
         icon: Globe, 
         color: 'blue', 
-        available: false, 
-        comingSoon: true 
+        available: true 
     },
     { 
         id: 'web-scraping', 
@@ -100,8 +118,7 @@ const INGESTION_SOURCES = [
         description: 'Extraction de sites web', 
         icon: Link2, 
         color: 'violet', 
-        available: false, 
-        comingSoon: true 
+        available: true 
     },
 ];
 
@@ -210,7 +227,7 @@ function OrgSelector({ organizations, selectedOrg, onSelect, loading }) {
 // COMPOSANT SÉLECTEUR DE COUCHE (LAYER)
 // ============================================================================
 
-function LayerSelector({ selectedLayer, onSelect, availableLayers }) {
+function LayerSelector({ selectedLayer, onSelect, availableLayers, checkLayer }) {
     const layers = [
         { id: 'app', icon: BookOpen, label: 'Verticale Métier', description: 'Partagé entre organisations' },
         { id: 'org', icon: Building2, label: 'Organisation', description: "Interne à l'organisation" },
@@ -229,18 +246,21 @@ function LayerSelector({ selectedLayer, onSelect, availableLayers }) {
                 {visibleLayers.map((layer) => {
                     const Icon = layer.icon;
                     const isSelected = selectedLayer === layer.id;
+                    const planCheck = checkLayer(layer.id);
 
                     return (
                         <button
                             key={layer.id}
                             onClick={() => onSelect(layer.id)}
+                            disabled={!planCheck.allowed}
+                            title={planCheck.message || undefined}
                             className={`
                                 relative p-4 rounded-md border-2 text-left transition-all
                                 ${isSelected 
                                     ? 'border-baikal-cyan bg-baikal-cyan/10' 
                                     : 'border-baikal-border bg-baikal-surface hover:border-baikal-cyan/50'
                                 }
-                                cursor-pointer
+                                ${planCheck.allowed ? 'cursor-pointer' : 'opacity-50 cursor-not-allowed'}
                             `}
                         >
                             <div className="flex items-center gap-3">
@@ -252,6 +272,9 @@ function LayerSelector({ selectedLayer, onSelect, availableLayers }) {
                                         {layer.label}
                                     </p>
                                     <p className="text-xs text-baikal-text font-sans">{layer.description}</p>
+                                    {!planCheck.allowed && (
+                                        <p className="text-xs text-amber-400 font-mono mt-1">HORS_PLAN</p>
+                                    )}
                                 </div>
                             </div>
                             {isSelected && (
@@ -435,27 +458,35 @@ function UploadZone({
 // FIX 04/01/2026: category stocke l'UUID (cat.id) au lieu du slug
 // ============================================================================
 
+/**
+ * Filtre les catégories par target_apps ET target_layers
+ * (partagé entre l'upload de fichier et l'import de pages web)
+ */
+function filterCategories(categories, selectedAppId, selectedLayer) {
+    if (!selectedAppId || !selectedLayer || !categories) return [];
+
+    return categories.filter(cat => {
+        // Vérifier target_apps
+        const matchesApp = cat.target_apps && cat.target_apps.length > 0 &&
+            (cat.target_apps.includes('all') || cat.target_apps.includes(selectedAppId));
+
+        // Vérifier target_layers
+        const matchesLayer = cat.target_layers && cat.target_layers.length > 0 &&
+            (cat.target_layers.includes('all') || cat.target_layers.includes(selectedLayer));
+
+        return matchesApp && matchesLayer;
+    });
+}
+
 function MetadataForm({ metadata, onChange, errors, categories, loadingCategories, selectedAppId, selectedLayer }) {
     const handleChange = (field, value) => {
         onChange({ ...metadata, [field]: value });
     };
 
-    // Filtrer les catégories par target_apps ET target_layers
-    const filteredCategories = useMemo(() => {
-        if (!selectedAppId || !selectedLayer || !categories) return [];
-        
-        return categories.filter(cat => {
-            // Vérifier target_apps
-            const matchesApp = cat.target_apps && cat.target_apps.length > 0 &&
-                (cat.target_apps.includes('all') || cat.target_apps.includes(selectedAppId));
-            
-            // Vérifier target_layers
-            const matchesLayer = cat.target_layers && cat.target_layers.length > 0 &&
-                (cat.target_layers.includes('all') || cat.target_layers.includes(selectedLayer));
-            
-            return matchesApp && matchesLayer;
-        });
-    }, [categories, selectedAppId, selectedLayer]);
+    const filteredCategories = useMemo(
+        () => filterCategories(categories, selectedAppId, selectedLayer),
+        [categories, selectedAppId, selectedLayer]
+    );
 
     return (
         <div className="space-y-4">
@@ -504,11 +535,121 @@ function MetadataForm({ metadata, onChange, errors, categories, loadingCategorie
     );
 }
 
+// ============================================================================
+// COMPOSANT NOUVELLE VERSION D'UN DOCUMENT EXISTANT
+// ============================================================================
+
+function VersionOfSelector({ orgId, appId, layer, selected, onSelect }) {
+    const [enabled, setEnabled] = useState(Boolean(selected));
+    const [search, setSearch] = useState('');
+    const [candidates, setCandidates] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const debouncedSearch = useDebounce(search, 300);
+
+    const needsOrg = layer !== 'app' && !orgId;
+
+    useEffect(() => {
+        if (!enabled || selected || needsOrg) return undefined;
+
+        let cancelled = false;
+        setLoading(true);
+        documentsService.searchVersionCandidates({ orgId, appId, layer, search: debouncedSearch })
+            .then(({ data }) => {
+                if (cancelled) return;
+                setCandidates(data);
+                setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [enabled, selected, needsOrg, orgId, appId, layer, debouncedSearch]);
+
+    const handleToggle = () => {
+        if (enabled) onSelect(null);
+        setEnabled(!enabled);
+    };
+
+    const getTitle = (file) => file.metadata?.document_title || file.original_filename;
+
+    return (
+        <div className="space-y-3">
+            <label className="flex items-center gap-2 text-sm text-white font-sans cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={enabled}
+                    onChange={handleToggle}
+                    className="accent-baikal-cyan"
+                />
+                <GitBranch className="w-4 h-4 text-baikal-cyan" />
+                Nouvelle version d'un document existant
+            </label>
+
+            {enabled && selected && (
+                <div className="flex items-center justify-between gap-3 p-3 bg-baikal-surface border border-baikal-cyan/50 rounded-md">
+                    <div className="min-w-0">
+                        <p className="text-sm text-white font-sans truncate">{getTitle(selected)}</p>
+                        <p className="text-xs text-baikal-text font-mono">
+                            v{selected.version_number || 1} → v{(selected.version_number || 1) + 1} · l'ancienne version sera remplacée à la fin de l'ingestion
+                        </p>
+                    </div>
+                    <button
+                        onClick={() => onSelect(null)}
+                        className="text-xs font-mono text-baikal-text hover:text-white transition-colors"
+                    >
+                        CHANGER
+                    </button>
+                </div>
+            )}
+
+            {enabled && !selected && (
+                needsOrg ? (
+                    <p className="text-xs text-baikal-text font-sans">
+                        Sélectionnez d'abord une organisation
+                    </p>
+                ) : (
+                    <div className="space-y-2">
+                        <div className="relative">
+                            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-baikal-text" />
+                            <input
+                                type="text"
+                                value={search}
+                                onChange={(e) => setSearch(e.target.value)}
+                                placeholder="Rechercher le document à remplacer..."
+                                className="w-full pl-10 pr-4 py-2.5 bg-baikal-surface border border-baikal-border rounded-md focus:outline-none focus:ring-2 focus:ring-baikal-cyan focus:border-transparent text-white font-sans"
+                            />
+                        </div>
+                        {loading ? (
+                            <div className="flex items-center justify-center py-4">
+                                <Loader2 className="w-5 h-5 text-baikal-cyan animate-spin" />
+                            </div>
+                        ) : candidates.length === 0 ? (
+                            <p className="text-xs text-baikal-text text-center py-4 font-mono">AUCUN_DOCUMENT</p>
+                        ) : (
+                            <div className="max-h-56 overflow-y-auto space-y-1">
+                                {candidates.map(file => (
+                                    <button
+                                        key={file.id}
+                                        onClick={() => onSelect(file)}
+                                        className="w-full flex items-center justify-between gap-3 px-3 py-2 text-left bg-baikal-surface border border-baikal-border rounded-md hover:border-baikal-cyan/50 transition-colors"
+                                    >
+                                        <span className="text-sm text-white font-sans truncate">{getTitle(file)}</span>
+                                        <span className="text-xs text-baikal-text font-mono flex-shrink-0">
+                                            v{file.version_number || 1} · {new Date(file.created_at).toLocaleDateString('fr-FR')}
+                                        </span>
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )
+            )}
+        </div>
+    );
+}
+
 // ============================================================================
 // COMPOSANT INTERFACE LÉGIFRANCE
 // ============================================================================
 
-function LegifranceInterface({ selectedVertical, selectedLayer, verticals }) {
+function LegifranceInterface({ selectedVertical, selectedLayer, verticals, orgId, planCheck }) {
     const [codes, setCodes] = useState([]);
     const [domains, setDomains] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -575,6 +716,7 @@ function LegifranceInterface({ selectedVertical, selectedLayer, verticals }) {
                 codeIds: selectedCodes,
                 appId: selectedVertical,
                 layer: selectedLayer,
+                orgId,
             });
             
             setSyncResult({
@@ -712,10 +854,13 @@ function LegifranceInterface({ selectedVertical, selectedLayer, verticals }) {
             </div>
 
             {/* Bouton sync */}
-            <div className="flex justify-end">
+            <div className="flex items-center justify-end gap-4">
+                {!planCheck.allowed && (
+                    <p className="text-sm text-amber-400 font-sans">{planCheck.message}</p>
+                )}
                 <button
                     onClick={handleSync}
-                    disabled={selectedCodes.length === 0 || syncing}
+                    disabled={selectedCodes.length === 0 || syncing || !planCheck.allowed}
                     className="flex items-center gap-2 px-6 py-2.5 bg-baikal-cyan text-black rounded-md hover:opacity-80 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed font-mono"
                 >
                     {syncing ? (
@@ -735,6 +880,333 @@ function LegifranceInterface({ selectedVertical, selectedLayer, verticals }) {
     );
 }
 
+// ============================================================================
+// COMPOSANT INTERFACE PAGE WEB
+// Extraction côté serveur (Edge Function ingest-web-page), prévisualisation,
+// puis ingestion via le même flux que l'upload de fichier.
+// ============================================================================
+
+function WebPagePreview({ page, onToggle, onTitleChange }) {
+    const [expanded, setExpanded] = useState(false);
+
+    if (page.error) {
+        return (
+            <div className="p-3 bg-red-900/20 border border-red-500/50 rounded-md">
+                <p className="text-sm text-white font-mono truncate">{page.url}</p>
+                <p className="text-xs text-red-300 font-sans mt-1">{page.error}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className={`p-3 border rounded-md transition-colors ${
+            page.selected ? 'border-baikal-cyan bg-baikal-cyan/5' : 'border-baikal-border bg-baikal-surface'
+        }`}>
+            <div className="flex items-start gap-3">
+                <input
+                    type="checkbox"
+                    checked={page.selected}
+                    onChange={onToggle}
+                    className="mt-2.5 w-4 h-4 rounded border-baikal-border bg-baikal-bg text-baikal-cyan focus:ring-baikal-cyan"
+                />
+                <div className="flex-1 min-w-0 space-y-2">
+                    <input
+                        type="text"
+                        value={page.editedTitle}
+                        onChange={(e) => onTitleChange(e.target.value)}
+                        placeholder="Titre du document"
+                        className="w-full px-3 py-1.5 bg-baikal-bg border border-baikal-border rounded-md text-white text-sm font-sans focus:outline-none focus:ring-2 focus:ring-baikal-cyan focus:border-transparent"
+                    />
+                    <div className="flex items-center gap-3 text-xs font-mono text-baikal-text">
+                        <a
+                            href={page.final_url || page.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="truncate hover:text-baikal-cyan"
+                        >
+                            {page.final_url || page.url}
+                        </a>
+                        <span className="flex-shrink-0">{page.word_count} mots</span>
+                        <button
+                            onClick={() => setExpanded(prev => !prev)}
+                            className="flex-shrink-0 text-baikal-cyan hover:underline"
+                        >
+                            {expanded ? 'MASQUER' : 'APERÇU'}
+                        </button>
+                    </div>
+                    {page.existing && (
+                        <p className="text-xs text-amber-300 font-sans">
+                            ⚠️ Page déjà importée le {new Date(page.existing.created_at).toLocaleDateString('fr-FR')}
+                        </p>
+                    )}
+                    {expanded && (
+                        <pre className="max-h-64 overflow-y-auto p-3 bg-baikal-bg border border-baikal-border rounded-md text-xs text-baikal-text whitespace-pre-wrap font-sans">
+                            {page.markdown}
+                        </pre>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function WebPageInterface({
+    appId,
+    layer,
+    orgId,
+    projectIds,
+    userId,
+    categories,
+    loadingCategories,
+    validateTarget,
+    onResult,
+}) {
+    const [urlsText, setUrlsText] = useState('');
+    const [pages, setPages] = useState([]);
+    const [isPreviewing, setIsPreviewing] = useState(false);
+    const [previewError, setPreviewError] = useState(null);
+    const [category, setCategory] = useState('');
+    const [recrawlInterval, setRecrawlInterval] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const filteredCategories = useMemo(
+        () => filterCategories(categories, appId, layer),
+        [categories, appId, layer]
+    );
+
+    // Reset catégorie quand on change d'app OU de layer
+    useEffect(() => {
+        setCategory('');
+    }, [appId, layer]);
+
+    const urls = urlsText
+        .split(/[\s,]+/)
+        .map(u => u.trim())
+        .filter(Boolean);
+
+    const selectedPages = pages.filter(p => p.selected && !p.error);
+
+    const updatePage = (url, changes) => {
+        setPages(prev => prev.map(p => (p.url === url ? { ...p, ...changes } : p)));
+    };
+
+    const handlePreview = async () => {
+        if (urls.length === 0) return;
+        if (urls.length > MAX_WEB_URLS) {
+            setPreviewError(`Maximum ${MAX_WEB_URLS} URLs à la fois`);
+            return;
+        }
+
+        setIsPreviewing(true);
+        setPreviewError(null);
+        setPages([]);
+
+        const { data, error } = await documentsService.previewWebPages(urls);
+        if (error) {
+            setPreviewError(error.message || 'Erreur lors de l\'analyse des pages');
+            setIsPreviewing(false);
+            return;
+        }
+
+        // Signaler les pages déjà importées (désélectionnées par défaut)
+        const withDuplicates = await Promise.all(data.map(async (page) => {
+            const { data: existing } = page.error
+                ? { data: null }
+                : await documentsService.findWebSource(page.url, orgId);
+            return {
+                ...page,
+                existing,
+                editedTitle: page.title || '',
+                selected: !page.error && !existing,
+            };
+        }));
+
+        setPages(withDuplicates);
+        setIsPreviewing(false);
+    };
+
+    const handleReset = () => {
+        setPages([]);
+        setPreviewError(null);
+    };
+
+    const handleSubmit = async () => {
+        if (!validateTarget()) return;
+        if (selectedPages.length === 0) return;
+
+        const missingTitle = selectedPages.find(p => !p.editedTitle.trim());
+        if (missingTitle) {
+            onResult({ success: false, message: `Titre manquant pour ${missingTitle.url}` });
+            return;
+        }
+
+        setIsSubmitting(true);
+        onResult(null);
+
+        const failures = [];
+        for (const page of selectedPages) {
+            const { error } = await documentsService.ingestWebPage({
+                page,
+                layer,
+                appId,
+                orgId,
+                userId,
+                projectIds: layer === 'project' ? projectIds : null,
+                metadata: {
+                    title: page.editedTitle.trim(),
+                    category,
+                },
+                recrawlIntervalDays: recrawlInterval ? Number(recrawlInterval) : null,
+                qualityLevel: 'premium',
+                status: 'approved',
+            });
+            if (error) failures.push({ url: page.url, message: error.message });
+        }
+
+        const succeeded = selectedPages.length - failures.length;
+        if (failures.length === 0) {
+            onResult({
+                success: true,
+                message: `${succeeded} page${succeeded > 1 ? 's' : ''} envoyée${succeeded > 1 ? 's' : ''} en ingestion !`,
+            });
+            setPages([]);
+            setUrlsText('');
+        } else {
+            onResult({
+                success: false,
+                message: `${succeeded} page(s) importée(s), ${failures.length} échec(s) — ${failures.map(f => `${f.url} : ${f.message}`).join(' ; ')}`,
+            });
+            setPages(prev => prev.filter(p => failures.some(f => f.url === p.url)));
+        }
+
+        setIsSubmitting(false);
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* URLs */}
+            <div>
+                <label className="block text-xs font-mono text-baikal-text mb-1.5 uppercase">
+                    URLs à importer *
+                </label>
+                <textarea
+                    value={urlsText}
+                    onChange={(e) => setUrlsText(e.target.value)}
+                    rows={4}
+                    placeholder={'https://www.exemple.fr/page-1\nhttps://www.exemple.fr/page-2'}
+                    className="w-full px-4 py-2.5 bg-baikal-surface border border-baikal-border rounded-md focus:outline-none focus:ring-2 focus:ring-baikal-cyan focus:border-transparent text-white font-mono text-sm resize-y"
+                />
+                <div className="flex items-center justify-between mt-2">
+                    <p className="text-xs text-baikal-text font-sans">
+                        Une URL par ligne (max {MAX_WEB_URLS}). Le contenu lisible est extrait côté serveur.
+                    </p>
+                    <button
+                        onClick={handlePreview}
+                        disabled={isPreviewing || urls.length === 0}
+                        className="flex items-center gap-2 px-4 py-2 border border-baikal-cyan text-baikal-cyan rounded-md hover:bg-baikal-cyan/10 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-mono text-sm"
+                    >
+                        {isPreviewing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Search className="w-4 h-4" />}
+                        ANALYSER
+                    </button>
+                </div>
+                {previewError && (
+                    <p className="text-sm text-red-400 mt-2 font-mono">{previewError}</p>
+                )}
+            </div>
+
+            {/* Prévisualisation */}
+            {pages.length > 0 && (
+                <div className="space-y-3">
+                    <label className="block text-xs font-mono text-baikal-text uppercase">
+                        Contenu extrait ({selectedPages.length}/{pages.filter(p => !p.error).length} sélectionnée{selectedPages.length > 1 ? 's' : ''})
+                    </label>
+                    {pages.map(page => (
+                        <WebPagePreview
+                            key={page.url}
+                            page={page}
+                            onToggle={() => updatePage(page.url, { selected: !page.selected })}
+                            onTitleChange={(title) => updatePage(page.url, { editedTitle: title })}
+                        />
+                    ))}
+                </div>
+            )}
+
+            {/* Options d'ingestion */}
+            {selectedPages.length > 0 && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-xs font-mono text-baikal-text mb-1.5 uppercase">
+                            Catégorie
+                        </label>
+                        <select
+                            value={category}
+                            onChange={(e) => setCategory(e.target.value)}
+                            disabled={loadingCategories}
+                            className="w-full px-4 py-2.5 bg-baikal-surface border border-baikal-border rounded-md focus:outline-none focus:ring-2 focus:ring-baikal-cyan focus:border-transparent text-white font-sans"
+                        >
+                            <option value="">Sélectionner une catégorie</option>
+                            {filteredCategories.map((cat) => (
+                                <option key={cat.id} value={cat.id}>
+                                    {cat.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-xs font-mono text-baikal-text mb-1.5 uppercase">
+                            Re-crawl automatique
+                        </label>
+                        <select
+                            value={recrawlInterval}
+                            onChange={(e) => setRecrawlInterval(e.target.value)}
+                            className="w-full px-4 py-2.5 bg-baikal-surface border border-baikal-border rounded-md focus:outline-none focus:ring-2 focus:ring-baikal-cyan focus:border-transparent text-white font-sans"
+                        >
+                            {WEB_RECRAWL_INTERVALS.map((interval) => (
+                                <option key={interval.value} value={interval.value}>
+                                    {interval.label}
+                                </option>
+                            ))}
+                        </select>
+                        {recrawlInterval && (
+                            <p className="text-xs text-baikal-text mt-1 font-sans">
+                                La page est réingérée uniquement si son contenu a changé.
+                            </p>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {pages.length > 0 && (
+                <div className="flex items-center justify-end gap-4 pt-4 border-t border-baikal-border">
+                    <button
+                        onClick={handleReset}
+                        className="px-4 py-2 text-baikal-text hover:text-white transition-colors font-sans"
+                    >
+                        Annuler
+                    </button>
+                    <button
+                        onClick={handleSubmit}
+                        disabled={isSubmitting || selectedPages.length === 0}
+                        className="flex items-center gap-2 px-6 py-2.5 bg-baikal-cyan text-black rounded-md hover:opacity-80 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed font-mono"
+                    >
+                        {isSubmitting ? (
+                            <>
+                                <Loader2 className="w-4 h-4 animate-spin" />
+                                INGESTION_EN_COURS...
+                            </>
+                        ) : (
+                            <>
+                                <Globe className="w-4 h-4" />
+                                IMPORTER ({selectedPages.length})
+                            </>
+                        )}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
 // ============================================================================
 // COMPOSANT PRINCIPAL
 // ============================================================================
@@ -770,6 +1242,7 @@ export default function IngestionContent({ orgId, isSuperAdmin }) {
     const [errors, setErrors] = useState({});
     const [isUploading, setIsUploading] = useState(false);
     const [uploadResult, setUploadResult] = useState(null);
+    const [previousVersion, setPreviousVersion] = useState(null);
 
     // Permissions et layers disponibles
     const availableLayers = useMemo(() => {
@@ -801,6 +1274,22 @@ export default function IngestionContent({ orgId, isSuperAdmin }) {
         return orgId || null;
     }, [isSuperAdmin, selectedLayer, selectedOrg, orgId]);
 
+    // Droits du plan de l'organisation cible (couches, stockage, Légifrance)
+    const planOrgId = isSuperAdmin ? selectedOrg : orgId;
+    const { checkQuota, checkLayer, checkFeature, refresh: refreshEntitlements } = useEntitlements(planOrgId, {
+        enabled: Boolean(planOrgId),
+    });
+    const layerCheck = useCallback(
+        (layer) => (planOrgId ? checkLayer(layer) : { allowed: true, message: null }),
+        [planOrgId, checkLayer]
+    );
+    const storageCheck = selectedLayer !== 'app' && file
+        ? checkQuota('storage_gb', file.size / 1e9)
+        : { allowed: true, message: null };
+    const legifranceCheck = selectedLayer !== 'app'
+        ? checkFeature('legifrance')
+        : { allowed: true, message: null };
+
     // Filtrer les sources disponibles
     const availableSources = useMemo(() => {
         return INGESTION_SOURCES.filter(source => {
@@ -899,9 +1388,10 @@ export default function IngestionContent({ orgId, isSuperAdmin }) {
         }
     }, [availableLayers, selectedLayer]);
 
-    // Reset projets sélectionnés quand on change de layer ou d'org
+    // Reset projets sélectionnés (et document remplacé) quand on change de layer ou d'org
     useEffect(() => {
         setSelectedProjects([]);
+        setPreviousVersion(null);
     }, [selectedLayer, effectiveOrgId]);
 
     // Reset catégorie quand on change d'app OU de layer
@@ -972,13 +1462,25 @@ export default function IngestionContent({ orgId, isSuperAdmin }) {
     const handleFileRemove = () => {
         setFile(null);
         setDuplicateInfo(null);
+        setPreviousVersion(null);
         setErrors({});
     };
 
-    const handleSubmit = async () => {
+    // Nouvelle version : reprendre le titre et la catégorie du document remplacé
+    const handlePreviousVersionSelect = (previousFile) => {
+        setPreviousVersion(previousFile);
+        if (!previousFile) return;
+        setMetadata(prev => ({
+            ...prev,
+            title: previousFile.metadata?.document_title || prev.title,
+            category: previousFile.metadata?.category || prev.category,
+        }));
+    };
+
+    // Validation de la cible (app, org, projets) - commune aux sources
+    const getTargetErrors = () => {
         const newErrors = {};
-        
-        // Validation
+
         if (isSuperAdmin && !selectedApp) {
             newErrors.app = 'Veuillez sélectionner une application';
         }
@@ -986,15 +1488,29 @@ export default function IngestionContent({ orgId, isSuperAdmin }) {
         if (isSuperAdmin && (selectedLayer === 'org' || selectedLayer === 'project') && !selectedOrg) {
             newErrors.org = 'Veuillez sélectionner une organisation';
         }
+        if (selectedLayer === 'project' && selectedProjects.length === 0) {
+            newErrors.projects = 'Veuillez sélectionner au moins un projet';
+        }
+
+        return newErrors;
+    };
+
+    const validateTarget = () => {
+        const newErrors = getTargetErrors();
+        setErrors(newErrors);
+        return Object.keys(newErrors).length === 0;
+    };
+
+    const handleSubmit = async () => {
+        const newErrors = getTargetErrors();
+        
+        // Validation
         if (!file) {
             newErrors.file = 'Veuillez sélectionner un fichier';
         }
         if (!metadata.title) {
             newErrors.title = 'Le titre est obligatoire';
         }
-        if (selectedLayer === 'project' && selectedProjects.length === 0) {
-            newErrors.projects = 'Veuillez sélectionner au moins un projet';
-        }
 
         if (Object.keys(newErrors).length > 0) {
             setErrors(newErrors);
@@ -1023,6 +1539,7 @@ export default function IngestionContent({ orgId, isSuperAdmin }) {
                 },
                 qualityLevel: 'premium',
                 status: 'approved',
+                previousVersionId: previousVersion?.id || null,
             });
 
             if (result.error) {
@@ -1031,7 +1548,9 @@ export default function IngestionContent({ orgId, isSuperAdmin }) {
 
             setUploadResult({
                 success: true,
-                message: 'Document uploadé avec succès !',
+                message: previousVersion
+                    ? `Version ${result.data.version_number} uploadée : elle remplacera la précédente à la fin de l'ingestion`
+                    : 'Document uploadé avec succès !',
                 path: result.path
             });
 
@@ -1039,7 +1558,9 @@ export default function IngestionContent({ orgId, isSuperAdmin }) {
             setFile(null);
             setMetadata({ title: '', category: '' });
             setDuplicateInfo(null);
+            setPreviousVersion(null);
             setSelectedProjects([]);
+            refreshEntitlements();
         } catch (err) {
             setUploadResult({
                 success: false,
@@ -1144,6 +1665,7 @@ export default function IngestionContent({ orgId, isSuperAdmin }) {
                             selectedLayer={selectedLayer}
                             onSelect={setSelectedLayer}
                             availableLayers={availableLayers}
+                            checkLayer={layerCheck}
                         />
 
                         {/* Sélecteur d'organisation (super_admin + layers org/project) */}
@@ -1228,6 +1750,16 @@ export default function IngestionContent({ orgId, isSuperAdmin }) {
                                 )}
                             </div>
 
+                            {file && (
+                                <VersionOfSelector
+                                    orgId={effectiveOrgId}
+                                    appId={effectiveAppId}
+                                    layer={selectedLayer}
+                                    selected={previousVersion}
+                                    onSelect={handlePreviousVersionSelect}
+                                />
+                            )}
+
                             {file && (
                                 <MetadataForm
                                     metadata={metadata}
@@ -1240,6 +1772,13 @@ export default function IngestionContent({ orgId, isSuperAdmin }) {
                                 />
                             )}
 
+                            {file && !storageCheck.allowed && (
+                                <div className="p-3 bg-amber-900/20 border border-amber-500/50 rounded-md flex items-start gap-2 text-amber-300">
+                                    <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                                    <p className="text-sm font-sans">{storageCheck.message}</p>
+                                </div>
+                            )}
+
                             {file && (
                                 <div className="flex items-center justify-end gap-4 pt-4 border-t border-baikal-border">
                                     <button
@@ -1250,7 +1789,7 @@ export default function IngestionContent({ orgId, isSuperAdmin }) {
                                     </button>
                                     <button
                                         onClick={handleSubmit}
-                                        disabled={isUploading || duplicateInfo?.isDuplicate}
+                                        disabled={isUploading || duplicateInfo?.isDuplicate || !storageCheck.allowed}
                                         className="flex items-center gap-2 px-6 py-2.5 bg-baikal-cyan text-black rounded-md hover:opacity-80 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed font-mono"
                                     >
                                         {isUploading ? (
@@ -1270,11 +1809,43 @@ export default function IngestionContent({ orgId, isSuperAdmin }) {
                         </div>
                     )}
 
+                    {activeSource === 'web-scraping' && (
+                        <WebPageInterface
+                            appId={effectiveAppId}
+                            layer={selectedLayer}
+                            orgId={effectiveOrgId}
+                            projectIds={selectedProjects}
+                            userId={profile?.id}
+                            categories={categories}
+                            loadingCategories={loadingReferentiels}
+                            validateTarget={validateTarget}
+                            onResult={setUploadResult}
+                        />
+                    )}
+
+                    {activeSource === 'api-externe' && (
+                        <ConnectorsPanel
+                            target={{
+                                layer: selectedLayer,
+                                appId: effectiveAppId,
+                                orgId: effectiveOrgId,
+                                projectIds: selectedProjects,
+                            }}
+                            filterOrgId={isSuperAdmin ? null : orgId}
+                            userId={profile?.id}
+                            categories={filterCategories(categories, effectiveAppId, selectedLayer)}
+                            validateTarget={validateTarget}
+                            onResult={setUploadResult}
+                        />
+                    )}
+
                     {activeSource === 'legifrance' && isSelectionValid && (
                         <LegifranceInterface
                             selectedVertical={isSuperAdmin ? selectedApp : effectiveAppId}
                             selectedLayer={selectedLayer}
                             verticals={verticals}
+                            orgId={effectiveOrgId}
+                            planCheck={legifranceCheck}
                         />
                     )}
 
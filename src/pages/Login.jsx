@@ -6,7 +6,8 @@
  * - Option Google SSO
  * - Toggle Connexion/Inscription
  * - Réinitialisation mot de passe
- * - Support des codes d'invitation (?invite=CODE)
+ * - Support des codes d'invitation (?invite=CODE), avec les projets
+ *   rejoints à l'inscription
  * 
  * CORRECTION 17/12/2025:
  * - Correction appel validateInvitationCode (string au lieu d'objet)
@@ -30,6 +31,7 @@ import {
   CheckCircle2,
   XCircle,
   Ticket,
+  FolderOpen,
 } from 'lucide-react';
 
 /**
@@ -65,7 +67,7 @@ export default function Login() {
 
   // États invitation
   const [inviteCode, setInviteCode] = useState('');
-  const [inviteValidation, setInviteValidation] = useState(null); // { valid, org_name, org_id, default_app_role, error }
+  const [inviteValidation, setInviteValidation] = useState(null); // { valid, org_name, org_id, default_app_role, projects, error }
   const [validatingInvite, setValidatingInvite] = useState(false);
 
   const { signIn, signUp, signInWithGoogle, resetPassword, loading, error, clearError, isAuthenticated, hasProfile, isOnboarded } = useAuth();
@@ -108,6 +110,7 @@ export default function Login() {
           org_name: data.org_name,
           org_id: data.org_id,
           default_app_role: data.default_app_role,
+          projects: data.projects || [],
         });
       } else {
         setInviteValidation({
@@ -421,8 +424,18 @@ export default function Login() {
                       <Building2 className="w-4 h-4 text-green-300" />
                       <span className="text-sm text-green-300">{inviteValidation.org_name}</span>
                     </div>
+                    {inviteValidation.projects?.length > 0 && (
+                      <div className="flex items-start gap-2 mt-1">
+                        <FolderOpen className="w-4 h-4 text-green-300 flex-shrink-0 mt-0.5" />
+                        <span className="text-sm text-green-300">
+                          {inviteValidation.projects.map(p => p.project_name).join(', ')}
+                        </span>
+                      </div>
+                    )}
                     <p className="text-xs text-green-400/70 mt-1">
-                      Vous serez automatiquement ajouté à cette organisation.
+                      {inviteValidation.projects?.length > 0
+                        ? 'Vous serez automatiquement ajouté à cette organisation et à ces projets.'
+                        : 'Vous serez automatiquement ajouté à cette organisation.'}
                     </p>
                   </div>
                 </div>
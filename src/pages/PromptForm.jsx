@@ -2,13 +2,13 @@
  * PromptForm.jsx - Baikal Console
  * ============================================================================
  * Formulaire de création et édition de prompts système.
- * VERSION: 4.1.0 - Retrait documents_cles_slug (constante système)
+ * VERSION: 4.2.0 - Historique des versions (diff, restauration)
  * ============================================================================
  */
 
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
-import { ArrowLeft, Save, AlertCircle, ChevronDown, ChevronUp, Sparkles, Loader2, Cpu, Search, Zap } from 'lucide-react';
+import { ArrowLeft, Save, AlertCircle, ChevronDown, ChevronUp, Sparkles, Loader2, Cpu, Search, Zap, History } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../hooks/useToast';
 import { Button } from '../components/ui/Button';
@@ -16,6 +16,7 @@ import { Input, Textarea } from '../components/ui/Input';
 import { Select } from '../components/ui/Select';
 import { Slider, SliderWithInput, WeightSlider } from '../components/ui/Slider';
 import { Card, CardContent } from '../components/ui/Card';
+import { PromptRevisions } from '../components/admin';
 import promptsService from '../services/prompts.service';
 import {
   canAccessPrompts,
@@ -31,6 +32,27 @@ import {
   DOCUMENTS_CLES_SLUG,
 } from '../config/prompts';
 
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Prompt chargé → état du formulaire
+ */
+function toFormData(promptData) {
+  return {
+    name: promptData.name || '',
+    description: promptData.description || '',
+    agent_type: promptData.agent_type || '',
+    app_id: promptData.app_id || '',
+    org_id: promptData.org_id || '',
+    system_prompt: promptData.system_prompt || '',
+    gemini_system_prompt: promptData.gemini_system_prompt || '',
+    is_active: promptData.is_active ?? true,
+    parameters: { ...DEFAULT_PARAMETERS, ...promptData.parameters },
+  };
+}
+
 // ============================================================================
 // COMPOSANT SECTION REPLIABLE
 // ============================================================================
@@ -192,17 +214,7 @@ function PromptForm() {
         if (promptError) throw promptError;
 
         if (promptData) {
-          setFormData({
-            name: promptData.name || '',
-            description: promptData.description || '',
-            agent_type: promptData.agent_type || '',
-            app_id: promptData.app_id || '',
-            org_id: promptData.org_id || '',
-            system_prompt: promptData.system_prompt || '',
-            gemini_system_prompt: promptData.gemini_system_prompt || '',
-            is_active: promptData.is_active ?? true,
-            parameters: { ...DEFAULT_PARAMETERS, ...promptData.parameters },
-          });
+          setFormData(toFormData(promptData));
 
           if (promptData.app_id) {
             await loadOrganizations(promptData.app_id);
@@ -246,6 +258,12 @@ function PromptForm() {
     }));
   };
 
+  const handleRevisionRestored = (promptData, revision) => {
+    setFormData(toFormData(promptData));
+    setErrors({});
+    success(`Version ${revision.revision_number} restaurée`);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -680,6 +698,13 @@ function PromptForm() {
             </CollapsibleSection>
           )}
 
+          {/* Historique des versions - Uniquement en édition */}
+          {isEditing && (
+            <CollapsibleSection title="HISTORIQUE_DES_VERSIONS" icon={History}>
+              <PromptRevisions promptId={id} onRestored={handleRevisionRestored} />
+            </CollapsibleSection>
+          )}
+
           {/* Actions */}
           <div className="flex items-center justify-end gap-4 pt-4">
             <Button type="button" variant="secondary" onClick={() => navigate('/admin/prompts')}>
@@ -11,7 +11,7 @@
 
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Plus, Info, AlertCircle, Edit, Copy, Trash2, Lock, ArrowLeft, MessageSquareCode } from 'lucide-react';
+import { Plus, Info, AlertCircle, Edit, Copy, Trash2, Lock, ArrowLeft, MessageSquareCode, Target } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../hooks/useToast';
 import { Button } from '../components/ui/Button';
@@ -19,6 +19,8 @@ import { Card, CardContent } from '../components/ui/Card';
 import { Spinner } from '../components/ui/Spinner';
 import ConfirmModal from '../components/ui/ConfirmModal';
 import promptsService from '../services/prompts.service';
+import PromptExperiments from '../components/admin/PromptExperiments';
+import PromptResolver from '../components/admin/PromptResolver';
 import {
   canAccessPrompts,
   AGENT_TYPES,
@@ -81,7 +83,7 @@ function ScopeBadge({ prompt }) {
 // COMPOSANT LIGNE DE PROMPT
 // ============================================================================
 
-function PromptRow({ prompt, onEdit, onDuplicate, onDelete, onToggleStatus }) {
+function PromptRow({ prompt, onEdit, onDuplicate, onDelete, onToggleStatus, onEvaluate }) {
   const isDefault = isDefaultPrompt(prompt);
   const usageCount = prompt.usage_count || 0;
 
@@ -128,7 +130,19 @@ function PromptRow({ prompt, onEdit, onDuplicate, onDelete, onToggleStatus }) {
       </div>
 
       {/* Actions */}
-      <div className="w-28 flex items-center justify-end gap-1">
+      <div className="w-36 flex items-center justify-end gap-1">
+        {/* Évaluation sur golden set (prompts librarian uniquement) */}
+        {prompt.agent_type === 'librarian_v3' ? (
+          <button
+            onClick={() => onEvaluate(prompt)}
+            className="p-2 text-baikal-text hover:text-baikal-cyan hover:bg-baikal-bg rounded-md transition-colors"
+            title="Évaluer sur un golden set"
+          >
+            <Target className="w-4 h-4" />
+          </button>
+        ) : (
+          <span className="w-8 h-8 inline-block" />
+        )}
         <button
           onClick={() => onEdit(prompt)}
           className="p-2 text-baikal-text hover:text-baikal-cyan hover:bg-baikal-bg rounded-md transition-colors"
@@ -163,7 +177,7 @@ function PromptRow({ prompt, onEdit, onDuplicate, onDelete, onToggleStatus }) {
 // COMPOSANT SECTION PAR TYPE D'AGENT
 // ============================================================================
 
-function AgentSection({ agentType, prompts, onEdit, onDuplicate, onDelete, onToggleStatus }) {
+function AgentSection({ agentType, prompts, onEdit, onDuplicate, onDelete, onToggleStatus, onEvaluate }) {
   const agent = AGENT_TYPES[agentType];
   if (!agent) return null;
 
@@ -193,6 +207,7 @@ function AgentSection({ agentType, prompts, onEdit, onDuplicate, onDelete, onTog
               onDuplicate={onDuplicate}
               onDelete={onDelete}
               onToggleStatus={onToggleStatus}
+              onEvaluate={onEvaluate}
             />
           ))
         )}
@@ -248,6 +263,12 @@ function Prompts({ embedded = false }) {
     navigate(`/admin/prompts/${prompt.id}`);
   };
 
+  const handleEvaluate = (prompt) => {
+    const params = new URLSearchParams({ prompt_id: prompt.id });
+    if (prompt.app_id) params.set('app_id', prompt.app_id);
+    navigate(`/admin/evaluation?${params}`);
+  };
+
   const handleDuplicate = async (prompt) => {
     try {
       const { data, error: dupError } = await promptsService.duplicatePrompt(prompt.id);
@@ -380,10 +401,17 @@ function Prompts({ embedded = false }) {
               onDuplicate={handleDuplicate}
               onDelete={handleDeleteClick}
               onToggleStatus={handleToggleStatus}
+              onEvaluate={handleEvaluate}
             />
           ))
         )}
 
+        {/* Configuration résolue pour une app / organisation */}
+        {!loading && <PromptResolver prompts={prompts} onEdit={handleEdit} />}
+
+        {/* Expériences A/B */}
+        {!loading && <PromptExperiments prompts={prompts} />}
+
         {/* Modal suppression */}
         <ConfirmModal
           isOpen={deleteModal.isOpen}
@@ -473,9 +501,16 @@ function Prompts({ embedded = false }) {
               onDuplicate={handleDuplicate}
               onDelete={handleDeleteClick}
               onToggleStatus={handleToggleStatus}
+              onEvaluate={handleEvaluate}
             />
           ))
         )}
+
+        {/* Configuration résolue pour une app / organisation */}
+        {!loading && <PromptResolver prompts={prompts} onEdit={handleEdit} />}
+
+        {/* Expériences A/B */}
+        {!loading && <PromptExperiments prompts={prompts} />}
       </main>
 
       {/* Modal suppression */}
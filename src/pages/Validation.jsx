@@ -3,6 +3,9 @@
  * ============================================================================
  * Page de validation des documents en attente.
  * Workflow d'approbation/rejet pour les documents (status = 'pending').
+ * Inspecteur de chunks (ChunkInspector) depuis la prévisualisation.
+ * Visionneuse du fichier source (DocumentViewer) ; le motif de rejet peut
+ * référencer la page ou la feuille consultée.
  * ============================================================================
  */
 
@@ -10,6 +13,8 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { documentsService } from '../services/documents.service';
+import ChunkInspector from '../components/ChunkInspector';
+import DocumentViewer from '../components/DocumentViewer';
 import {
   DocumentStatus,
   LAYER_LABELS,
@@ -49,6 +54,7 @@ import {
   Sparkles,
   File,
   ExternalLink,
+  Layers,
 } from 'lucide-react';
 
 // ============================================================================
@@ -183,17 +189,24 @@ function PendingDocumentCard({
 // COMPOSANT MODAL DE PRÉVISUALISATION
 // ============================================================================
 
-function PreviewModal({ document, onClose, onApprove, onReject, isProcessing }) {
+function PreviewModal({ document, onClose, onApprove, onReject, onInspect, isProcessing }) {
   const [rejectReason, setRejectReason] = useState('');
   const [showRejectForm, setShowRejectForm] = useState(false);
+  const [viewerPosition, setViewerPosition] = useState(null);
+  const [referencePosition, setReferencePosition] = useState(true);
 
   if (!document) return null;
 
+  const hasSourceFile = !!document.source_file_id;
+
   const handleReject = () => {
     if (!rejectReason.trim()) {
       return;
     }
-    onReject(document.id, rejectReason);
+    const reason = referencePosition && viewerPosition
+      ? `[${viewerPosition.label}] ${rejectReason.trim()}`
+      : rejectReason;
+    onReject(document.id, reason);
     setShowRejectForm(false);
     setRejectReason('');
   };
@@ -207,7 +220,7 @@ function PreviewModal({ document, onClose, onApprove, onReject, isProcessing })
       />
 
       {/* Modal */}
-      <div className="relative bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+      <div className={`relative bg-white rounded-2xl shadow-2xl ${hasSourceFile ? 'max-w-5xl' : 'max-w-3xl'} w-full max-h-[90vh] overflow-hidden flex flex-col`}>
         {/* Header */}
         <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between bg-slate-50">
           <div className="flex items-center gap-3">
@@ -247,6 +260,16 @@ function PreviewModal({ document, onClose, onApprove, onReject, isProcessing })
             </span>
           </div>
 
+          {/* Fichier source */}
+          {hasSourceFile && (
+            <div className="mb-6">
+              <DocumentViewer
+                fileId={document.source_file_id}
+                onPositionChange={setViewerPosition}
+              />
+            </div>
+          )}
+
           {/* Contenu du document */}
           <div className="prose prose-slate max-w-none">
             <div className="p-4 bg-slate-50 rounded-lg border border-slate-200 whitespace-pre-wrap text-sm text-slate-700">
@@ -268,6 +291,17 @@ function PreviewModal({ document, onClose, onApprove, onReject, isProcessing })
                 className="w-full p-3 border border-red-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-red-500 resize-none"
                 rows={3}
               />
+              {viewerPosition && (
+                <label className="flex items-center gap-2 mt-2 text-sm text-red-700">
+                  <input
+                    type="checkbox"
+                    checked={referencePosition}
+                    onChange={(e) => setReferencePosition(e.target.checked)}
+                    className="rounded border-red-300 text-red-600 focus:ring-red-500"
+                  />
+                  Référencer la position consultée : <span className="font-medium">{viewerPosition.label}</span>
+                </label>
+              )}
               <div className="flex justify-end gap-2 mt-3">
                 <button
                   onClick={() => {
@@ -293,12 +327,23 @@ function PreviewModal({ document, onClose, onApprove, onReject, isProcessing })
         {/* Footer - Actions */}
         {!showRejectForm && (
           <div className="px-6 py-4 border-t border-slate-200 bg-slate-50 flex items-center justify-between">
-            <button
-              onClick={onClose}
-              className="px-4 py-2 text-slate-600 hover:text-slate-800 transition-colors"
-            >
-              Fermer
-            </button>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={onClose}
+                className="px-4 py-2 text-slate-600 hover:text-slate-800 transition-colors"
+              >
+                Fermer
+              </button>
+              {hasSourceFile && (
+                <button
+                  onClick={() => onInspect(document)}
+                  className="flex items-center gap-2 px-4 py-2 text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors"
+                >
+                  <Layers className="w-4 h-4" />
+                  Découpage
+                </button>
+              )}
+            </div>
             
             <div className="flex items-center gap-3">
               <button
@@ -386,6 +431,7 @@ export default function Validation() {
   const [documents, setDocuments] = useState([]);
   const [selectedIds, setSelectedIds] = useState(new Set());
   const [previewDocument, setPreviewDocument] = useState(null);
+  const [inspectedDocument, setInspectedDocument] = useState(null);
   const [processingIds, setProcessingIds] = useState(new Set());
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -810,8 +856,19 @@ export default function Validation() {
         onClose={handleClosePreview}
         onApprove={handleApprove}
         onReject={handleReject}
+        onInspect={setInspectedDocument}
         isProcessing={processingIds.has(previewDocument?.id)}
       />
+
+      {/* Inspecteur de chunks */}
+      {inspectedDocument && (
+        <ChunkInspector
+          fileId={inspectedDocument.source_file_id}
+          title={inspectedDocument.metadata?.document_title || inspectedDocument.metadata?.title}
+          canEdit={isSuperAdmin || isOrgAdmin}
+          onClose={() => setInspectedDocument(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,521 @@
+/**
+ * Billing.jsx - Baikal Console
+ * ============================================================================
+ * Facturation d'une organisation : solde de crédits, historique du solde,
+ * consommation par type et grand livre des mouvements (core.credit_ledger).
+ *
+ * Les débits sont enregistrés par les Edge Functions (réponses de
+ * l'assistant, pages ingérées, minutes transcrites). Un solde épuisé bloque
+ * ces consommations : la page l'affiche en tête.
+ *
+ * Fonctionnalités :
+ * - Solde, état (normal / bas / épuisé) et tarifs en vigueur
+ * - Courbe du solde sur 7, 30 ou 90 jours
+ * - Consommation de la période par type
+ * - Grand livre des mouvements
+ * - Recharge manuelle (super_admin)
+ *
+ * Route : /admin/billing (?org_id=… présélectionne une organisation)
+ * Accès : super_admin (toutes les organisations), org_admin (la sienne)
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+    billingService,
+    CREDIT_KINDS,
+    BILLING_PERIODS,
+    LOW_CREDITS_THRESHOLD,
+} from '../../services';
+import {
+    CreditCard,
+    ChevronLeft,
+    RefreshCw,
+    Loader2,
+    AlertCircle,
+    AlertTriangle,
+    Building2,
+    Zap,
+    MessageSquare,
+    FileText,
+    Mic,
+    Plus,
+    TrendingDown,
+} from 'lucide-react';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const INPUT_CLASS = 'w-full px-3 py-2 bg-baikal-bg border border-baikal-border rounded-md text-white text-sm focus:outline-none focus:border-baikal-cyan transition-colors font-mono';
+
+const CONSUMPTION_ICONS = {
+    chat_answer: MessageSquare,
+    ingestion_page: FileText,
+    transcription_minute: Mic,
+};
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = 8;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const formatDate = (value) => {
+    if (!value) return '—';
+    return new Date(value).toLocaleString('fr-FR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+};
+
+const formatCredits = (value) => (value ?? 0).toLocaleString('fr-FR');
+
+const formatQuantity = (value) => Number(value || 0).toLocaleString('fr-FR', { maximumFractionDigits: 2 });
+
+// ============================================================================
+// COMPOSANTS INTERNES
+// ============================================================================
+
+/**
+ * Bandeau d'état du solde (épuisé / bas)
+ */
+function BalanceAlert({ balance }) {
+    const status = billingService.getBalanceStatus(balance);
+    if (status === 'ok') return null;
+
+    const blocked = status === 'blocked';
+    return (
+        <div className={`flex items-start gap-3 p-4 rounded-md border ${
+            blocked
+                ? 'bg-red-900/20 border-red-500/50 text-red-300'
+                : 'bg-amber-900/20 border-amber-500/50 text-amber-300'
+        }`}>
+            <AlertTriangle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+            <div>
+                <p className="font-mono font-medium">
+                    {blocked ? 'CRÉDITS_ÉPUISÉS' : 'SOLDE_BAS'}
+                </p>
+                <p className="text-sm font-sans mt-1">
+                    {blocked
+                        ? 'Les questions à l\'assistant, les ingestions et les transcriptions sont bloquées jusqu\'à la prochaine recharge.'
+                        : `Il reste moins de ${LOW_CREDITS_THRESHOLD} crédits : les consommations seront bloquées une fois le solde épuisé.`}
+                </p>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Carte de statistique
+ */
+function StatCard({ label, value, sublabel, icon: Icon, color }) {
+    return (
+        <div className="flex items-center gap-4 p-4 rounded-lg border border-baikal-border bg-baikal-surface">
+            <div className="p-3 rounded-lg bg-baikal-bg">
+                <Icon className={`w-6 h-6 ${color}`} />
+            </div>
+            <div className="min-w-0">
+                <p className={`text-2xl font-mono font-bold ${color}`}>{value}</p>
+                <p className="text-xs font-mono text-baikal-text uppercase">{label}</p>
+                {sublabel && <p className="text-xs font-sans text-baikal-text mt-0.5 truncate">{sublabel}</p>}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Courbe du solde (fin de journée)
+ */
+function BalanceChart({ history }) {
+    if (history.length === 0) return null;
+
+    const values = history.map(point => point.balance);
+    const min = Math.min(0, ...values);
+    const max = Math.max(...values, 1);
+    const range = max - min || 1;
+    const step = history.length > 1 ? (CHART_WIDTH - CHART_PADDING * 2) / (history.length - 1) : 0;
+
+    const x = (index) => CHART_PADDING + index * step;
+    const y = (value) => CHART_HEIGHT - CHART_PADDING - ((value - min) / range) * (CHART_HEIGHT - CHART_PADDING * 2);
+
+    const line = history.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(index)},${y(point.balance)}`).join(' ');
+    const area = `${line} L${x(history.length - 1)},${y(min)} L${x(0)},${y(min)} Z`;
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-48" preserveAspectRatio="none">
+                {min < 0 && (
+                    <line
+                        x1={CHART_PADDING}
+                        x2={CHART_WIDTH - CHART_PADDING}
+                        y1={y(0)}
+                        y2={y(0)}
+                        className="stroke-red-500/60"
+                        strokeDasharray="4 4"
+                    />
+                )}
+                <path d={area} className="fill-baikal-cyan/10" />
+                <path d={line} className="stroke-baikal-cyan" fill="none" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+                {history.map((point, index) => (
+                    <circle key={point.date} cx={x(index)} cy={y(point.balance)} r="3" className="fill-baikal-cyan">
+                        <title>{`${new Date(point.date).toLocaleDateString('fr-FR')} : ${formatCredits(point.balance)} crédits`}</title>
+                    </circle>
+                ))}
+            </svg>
+            <div className="flex justify-between mt-1 text-xs font-mono text-baikal-text">
+                <span>{new Date(history[0].date).toLocaleDateString('fr-FR')}</span>
+                <span>{new Date(history[history.length - 1].date).toLocaleDateString('fr-FR')}</span>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Recharge manuelle (super_admin)
+ */
+function TopUpForm({ saving, onSubmit }) {
+    const [amount, setAmount] = useState('');
+    const [description, setDescription] = useState('');
+
+    const value = parseInt(amount, 10);
+    const isValid = Number.isInteger(value) && value !== 0;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!isValid) return;
+        const ok = await onSubmit(value, description);
+        if (ok) {
+            setAmount('');
+            setDescription('');
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-baikal-surface rounded-md p-4 border border-baikal-border space-y-3">
+            <h3 className="text-xs font-mono text-baikal-text uppercase">Recharge manuelle</h3>
+            <input
+                type="number"
+                step="1"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder="Crédits (négatif = ajustement)"
+                className={INPUT_CLASS}
+            />
+            <input
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="Motif (facture, geste commercial...)"
+                className={INPUT_CLASS}
+            />
+            <button
+                type="submit"
+                disabled={!isValid || saving}
+                className="w-full inline-flex items-center justify-center gap-2 px-4 py-2 bg-baikal-cyan text-black rounded-md hover:opacity-80 transition-opacity text-sm font-mono disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+                {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                {value < 0 ? 'AJUSTER' : 'RECHARGER'}
+            </button>
+        </form>
+    );
+}
+
+// ============================================================================
+// PAGE
+// ============================================================================
+
+export default function Billing() {
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const { profile, isSuperAdmin, isOrgAdmin } = useAuth();
+
+    const [organizations, setOrganizations] = useState([]);
+    const [orgId, setOrgId] = useState(searchParams.get('org_id') || profile?.org_id || '');
+    const [period, setPeriod] = useState(30);
+    const [account, setAccount] = useState(null);
+    const [entries, setEntries] = useState([]);
+    const [summary, setSummary] = useState([]);
+    const [rates, setRates] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    // Vérifier l'accès (org_admin ou super_admin)
+    useEffect(() => {
+        if (!isOrgAdmin) {
+            navigate('/admin', { replace: true });
+        }
+    }, [isOrgAdmin, navigate]);
+
+    // org_admin : uniquement sa propre organisation
+    const effectiveOrgId = isSuperAdmin ? orgId : profile?.org_id;
+
+    useEffect(() => {
+        billingService.getRates().then(({ data }) => setRates(data));
+        if (!isSuperAdmin) return;
+        billingService.getOrganizations().then(({ data }) => {
+            setOrganizations(data);
+            setOrgId(prev => prev || data[0]?.id || '');
+        });
+    }, [isSuperAdmin]);
+
+    const loadData = useCallback(async () => {
+        if (!effectiveOrgId) {
+            setLoading(false);
+            return;
+        }
+        setLoading(true);
+        const [balanceResult, ledgerResult, summaryResult] = await Promise.all([
+            billingService.getBalance(effectiveOrgId),
+            billingService.getLedger(effectiveOrgId, { days: period }),
+            billingService.getLedgerSummary(effectiveOrgId, { days: period }),
+        ]);
+        setError(balanceResult.error?.message || ledgerResult.error?.message || summaryResult.error?.message || null);
+        setAccount(balanceResult.data);
+        setEntries(ledgerResult.data);
+        setSummary(summaryResult.data);
+        setLoading(false);
+    }, [effectiveOrgId, period]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData]);
+
+    const history = useMemo(
+        () => billingService.buildBalanceHistory(summary, account?.credits_balance, period),
+        [summary, account, period]
+    );
+    const consumption = useMemo(() => billingService.summarizeConsumption(summary), [summary]);
+    const entryCount = summary.reduce((sum, row) => sum + row.entries, 0);
+    const totalConsumed = Object.values(consumption).reduce((sum, item) => sum + item.credits, 0);
+
+    const handleTopUp = async (amount, description) => {
+        setSaving(true);
+        const { data: balance, error: topUpError } = await billingService.topUp(effectiveOrgId, amount, description);
+        setSaving(false);
+
+        if (topUpError) {
+            setError(topUpError.message || 'Erreur lors de la recharge');
+            return false;
+        }
+
+        setOrganizations(prev => prev.map(org => (org.id === effectiveOrgId ? { ...org, credits_balance: balance } : org)));
+        await loadData();
+        return true;
+    };
+
+    if (!isOrgAdmin) {
+        return (
+            <div className="min-h-screen bg-baikal-bg flex items-center justify-center">
+                <div className="text-center">
+                    <AlertCircle className="w-12 h-12 text-red-400 mx-auto mb-4" />
+                    <p className="text-white font-mono">ACCÈS_REFUSÉ</p>
+                </div>
+            </div>
+        );
+    }
+
+    const balance = account?.credits_balance ?? 0;
+    const balanceStatus = billingService.getBalanceStatus(balance);
+    const balanceColor = balanceStatus === 'blocked' ? 'text-red-400' : balanceStatus === 'low' ? 'text-amber-400' : 'text-green-400';
+
+    return (
+        <div className="min-h-screen bg-baikal-bg">
+            {/* Header */}
+            <header className="bg-baikal-surface border-b border-baikal-border sticky top-0 z-30">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center justify-between h-16">
+                        <div className="flex items-center gap-4">
+                            <button
+                                onClick={() => navigate('/admin')}
+                                className="p-2 text-baikal-text hover:text-white hover:bg-baikal-bg rounded-md transition-colors"
+                            >
+                                <ChevronLeft className="w-5 h-5" />
+                            </button>
+                            <div className="flex items-center gap-3">
+                                <div className="p-2 bg-baikal-cyan/20 rounded-md">
+                                    <CreditCard className="w-5 h-5 text-baikal-cyan" />
+                                </div>
+                                <div>
+                                    <h1 className="text-lg font-mono font-bold text-white">
+                                        FACTURATION
+                                    </h1>
+                                    <p className="text-xs text-baikal-text font-mono">
+                                        Crédits et grand livre des consommations
+                                    </p>
+                                </div>
+                            </div>
+                        </div>
+
+                        <div className="flex items-center gap-2">
+                            {isSuperAdmin && (
+                                <>
+                                    <Building2 className="w-5 h-5 text-baikal-text" />
+                                    <select
+                                        value={orgId}
+                                        onChange={(e) => setOrgId(e.target.value)}
+                                        className={`${INPUT_CLASS} min-w-[200px]`}
+                                    >
+                                        {organizations.map(org => (
+                                            <option key={org.id} value={org.id}>{org.name}</option>
+                                        ))}
+                                    </select>
+                                </>
+                            )}
+                            <select
+                                value={period}
+                                onChange={(e) => setPeriod(Number(e.target.value))}
+                                className={`${INPUT_CLASS} w-auto`}
+                            >
+                                {BILLING_PERIODS.map(days => (
+                                    <option key={days} value={days}>{days} JOURS</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={loadData}
+                                disabled={loading}
+                                className="p-2 text-baikal-text hover:text-white hover:bg-baikal-bg rounded-md transition-colors disabled:opacity-50"
+                                title="Rafraîchir"
+                            >
+                                <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </header>
+
+            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+                {error && (
+                    <p className="flex items-center gap-2 text-sm font-mono text-red-400">
+                        <AlertCircle className="w-4 h-4" />
+                        {error}
+                    </p>
+                )}
+
+                {!effectiveOrgId ? (
+                    <p className="py-24 text-center text-sm font-mono text-baikal-text">AUCUNE_ORGANISATION</p>
+                ) : loading && !account ? (
+                    <div className="flex items-center justify-center py-24">
+                        <Loader2 className="w-8 h-8 text-baikal-cyan animate-spin" />
+                    </div>
+                ) : (
+                    <>
+                        <BalanceAlert balance={balance} />
+
+                        {/* Statistiques */}
+                        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+                            <StatCard
+                                label="Solde"
+                                value={formatCredits(balance)}
+                                sublabel={account?.name}
+                                icon={Zap}
+                                color={balanceColor}
+                            />
+                            <StatCard
+                                label={`Consommé (${period} j)`}
+                                value={formatCredits(totalConsumed)}
+                                icon={TrendingDown}
+                                color="text-baikal-cyan"
+                            />
+                            {Object.entries(CONSUMPTION_ICONS).map(([kind, Icon]) => (
+                                <StatCard
+                                    key={kind}
+                                    label={CREDIT_KINDS[kind].label}
+                                    value={formatCredits(consumption[kind]?.credits)}
+                                    sublabel={`${formatQuantity(consumption[kind]?.quantity)} ${CREDIT_KINDS[kind].unit}(s)`}
+                                    icon={Icon}
+                                    color="text-white"
+                                />
+                            ))}
+                        </div>
+
+                        <div className="grid gap-6 lg:grid-cols-[1fr_18rem]">
+                            {/* Historique du solde */}
+                            <section className="bg-baikal-surface rounded-md p-4 border border-baikal-border min-w-0">
+                                <h2 className="text-xs font-mono text-baikal-text uppercase mb-4">
+                                    Solde sur {period} jours
+                                </h2>
+                                <BalanceChart history={history} />
+                            </section>
+
+                            <aside className="space-y-4">
+                                {isSuperAdmin && <TopUpForm saving={saving} onSubmit={handleTopUp} />}
+
+                                {/* Tarifs */}
+                                <div className="bg-baikal-surface rounded-md p-4 border border-baikal-border">
+                                    <h3 className="text-xs font-mono text-baikal-text uppercase mb-3">Tarifs</h3>
+                                    <ul className="space-y-2">
+                                        {rates.map(rate => (
+                                            <li key={rate.kind} className="flex items-center justify-between text-sm">
+                                                <span className="text-white font-sans">{rate.label}</span>
+                                                <span className="font-mono text-baikal-cyan">
+                                                    {formatQuantity(rate.unit_cost)} / {rate.unit}
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            </aside>
+                        </div>
+
+                        {/* Grand livre */}
+                        <section className="bg-baikal-surface rounded-md border border-baikal-border overflow-hidden">
+                            <h2 className="px-4 py-3 text-xs font-mono text-baikal-text uppercase border-b border-baikal-border">
+                                Mouvements ({entries.length < entryCount ? `${entries.length} derniers sur ${entryCount}` : entries.length})
+                            </h2>
+                            {entries.length === 0 ? (
+                                <p className="py-12 text-center text-sm font-mono text-baikal-text">AUCUN_MOUVEMENT</p>
+                            ) : (
+                                <div className="overflow-x-auto">
+                                    <table className="w-full text-sm">
+                                        <thead className="bg-baikal-bg">
+                                            <tr className="text-left text-xs font-mono text-baikal-text uppercase">
+                                                <th className="px-4 py-2">Date</th>
+                                                <th className="px-4 py-2">Type</th>
+                                                <th className="px-4 py-2">Détail</th>
+                                                <th className="px-4 py-2 text-right">Quantité</th>
+                                                <th className="px-4 py-2 text-right">Crédits</th>
+                                                <th className="px-4 py-2 text-right">Solde</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-baikal-border">
+                                            {entries.map(entry => (
+                                                <tr key={entry.id} className="hover:bg-baikal-bg/50">
+                                                    <td className="px-4 py-2 font-mono text-baikal-text whitespace-nowrap">
+                                                        {formatDate(entry.created_at)}
+                                                    </td>
+                                                    <td className="px-4 py-2 font-mono text-white whitespace-nowrap">
+                                                        {CREDIT_KINDS[entry.kind]?.label || entry.kind}
+                                                    </td>
+                                                    <td className="px-4 py-2 font-sans text-baikal-text max-w-xs truncate" title={entry.description || ''}>
+                                                        {entry.description || entry.reference_type || '—'}
+                                                    </td>
+                                                    <td className="px-4 py-2 font-mono text-baikal-text text-right">
+                                                        {formatQuantity(entry.quantity)}
+                                                    </td>
+                                                    <td className={`px-4 py-2 font-mono text-right ${entry.amount < 0 ? 'text-red-400' : 'text-green-400'}`}>
+                                                        {entry.amount > 0 ? '+' : ''}{formatCredits(entry.amount)}
+                                                    </td>
+                                                    <td className="px-4 py-2 font-mono text-white text-right">
+                                                        {formatCredits(entry.balance_after)}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </section>
+                    </>
+                )}
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,380 @@
+/**
+ * Evaluation.jsx - Baikal Console
+ * ============================================================================
+ * Évaluation RAG hors ligne (super_admin).
+ *
+ * Un golden set regroupe, par app, des triplets question / sources attendues /
+ * réponse attendue. Une exécution les rejoue contre brain-v3 + librarian-v4
+ * avec un prompt librarian choisi (Edge Function run-evaluation) et mesure :
+ * hit-rate du retrieval, exactitude des citations, similarité de la réponse.
+ *
+ * Fonctionnalités :
+ * - Golden sets par app (création, renommage, suppression)
+ * - Questions du set
+ * - Exécutions : historique, rapport, comparaison de deux exécutions
+ *
+ * Route : /admin/evaluation (?prompt_id=… présélectionne un prompt)
+ * Accès : super_admin uniquement
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { evaluationService, getApps } from '../../services';
+import { EvalQuestionsPanel, EvalRunsPanel } from '../../components/admin/evaluation';
+import {
+    Target,
+    ChevronLeft,
+    Plus,
+    Pencil,
+    Trash2,
+    Save,
+    X,
+    Loader2,
+    AlertCircle,
+    Layers,
+    ListChecks,
+    History,
+} from 'lucide-react';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const INPUT_CLASS = 'w-full px-3 py-2 bg-baikal-bg border border-baikal-border rounded-md text-white text-sm focus:outline-none focus:border-baikal-cyan transition-colors font-mono';
+
+const SET_TABS = [
+    { id: 'questions', label: 'QUESTIONS', icon: ListChecks },
+    { id: 'runs', label: 'EXÉCUTIONS', icon: History },
+];
+
+// ============================================================================
+// COMPOSANTS
+// ============================================================================
+
+/**
+ * Formulaire de golden set (création / renommage)
+ */
+function SetForm({ initial, saving, onSubmit, onCancel }) {
+    const [name, setName] = useState(initial?.name || '');
+    const [description, setDescription] = useState(initial?.description || '');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        onSubmit({ name, description });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="p-3 bg-baikal-bg border border-baikal-cyan/50 rounded-md space-y-2">
+            <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Nom du golden set"
+                className={INPUT_CLASS}
+                autoFocus
+            />
+            <textarea
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="Description (optionnelle)"
+                rows={2}
+                className={`${INPUT_CLASS} resize-none font-sans`}
+            />
+            <div className="flex justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="p-2 text-baikal-text hover:text-white transition-colors"
+                    title="Annuler"
+                >
+                    <X className="w-4 h-4" />
+                </button>
+                <button
+                    type="submit"
+                    disabled={saving || !name.trim()}
+                    className="flex items-center gap-2 px-3 py-1.5 bg-baikal-cyan text-black rounded-md hover:opacity-80 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed font-mono text-xs"
+                >
+                    {saving ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Save className="w-3.5 h-3.5" />}
+                    ENREGISTRER
+                </button>
+            </div>
+        </form>
+    );
+}
+
+// ============================================================================
+// PAGE PRINCIPALE
+// ============================================================================
+
+export default function Evaluation() {
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const { user, profile, isSuperAdmin } = useAuth();
+    const initialPromptId = searchParams.get('prompt_id');
+
+    const [apps, setApps] = useState([]);
+    const [appId, setAppId] = useState(searchParams.get('app_id') || profile?.app_id || '');
+    const [sets, setSets] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [selectedSetId, setSelectedSetId] = useState(null);
+    const [activeTab, setActiveTab] = useState(initialPromptId ? 'runs' : 'questions');
+    // null = aucun, 'new' = création, objet = renommage
+    const [editingSet, setEditingSet] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    // Vérifier l'accès super_admin
+    useEffect(() => {
+        if (!isSuperAdmin) {
+            navigate('/admin', { replace: true });
+        }
+    }, [isSuperAdmin, navigate]);
+
+    useEffect(() => {
+        getApps().then(({ data }) => {
+            setApps(data || []);
+            setAppId(prev => prev || data?.[0]?.id || '');
+        });
+    }, []);
+
+    const loadSets = useCallback(async () => {
+        if (!appId) return;
+        setLoading(true);
+        const { data, error: loadError } = await evaluationService.getSets(appId);
+        setError(loadError ? loadError.message : null);
+        setSets(data);
+        setSelectedSetId(prev => (data.some(set => set.id === prev) ? prev : data[0]?.id || null));
+        setLoading(false);
+    }, [appId]);
+
+    useEffect(() => {
+        loadSets();
+    }, [loadSets]);
+
+    const selectedSet = sets.find(set => set.id === selectedSetId) || null;
+
+    const handleSaveSet = async (values) => {
+        setSaving(true);
+        const { data, error: saveError } = editingSet === 'new'
+            ? await evaluationService.createSet({ ...values, app_id: appId }, user?.id)
+            : await evaluationService.updateSet(editingSet.id, values);
+        setSaving(false);
+
+        if (saveError) {
+            setError(saveError.message || 'Erreur lors de l\'enregistrement');
+            return;
+        }
+
+        setError(null);
+        if (editingSet === 'new') {
+            setSets(prev => [data, ...prev]);
+            setSelectedSetId(data.id);
+            setActiveTab('questions');
+        } else {
+            setSets(prev => prev.map(set => (set.id === data.id ? { ...set, ...data } : set)));
+        }
+        setEditingSet(null);
+    };
+
+    const handleDeleteSet = async (set) => {
+        if (!window.confirm(`Supprimer le golden set « ${set.name} », ses questions et tout l'historique des exécutions ?`)) {
+            return;
+        }
+        const { error: deleteError } = await evaluationService.deleteSet(set.id);
+        if (deleteError) {
+            setError(deleteError.message);
+            return;
+        }
+        const remaining = sets.filter(s => s.id !== set.id);
+        setSets(remaining);
+        setSelectedSetId(remaining[0]?.id || null);
+    };
+
+    const handleCountChange = (count) => {
+        setSets(prev => prev.map(set => (set.id === selectedSetId ? { ...set, question_count: count } : set)));
+    };
+
+    if (!isSuperAdmin) {
+        return (
+            <div className="min-h-screen bg-baikal-bg flex items-center justify-center">
+                <div className="text-center">
+                    <AlertCircle className="w-12 h-12 text-red-400 mx-auto mb-4" />
+                    <p className="text-white font-mono">ACCÈS_REFUSÉ</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-baikal-bg">
+            {/* Header */}
+            <header className="bg-baikal-surface border-b border-baikal-border sticky top-0 z-30">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center justify-between h-16">
+                        <div className="flex items-center gap-4">
+                            <button
+                                onClick={() => navigate('/admin')}
+                                className="p-2 text-baikal-text hover:text-white hover:bg-baikal-bg rounded-md transition-colors"
+                            >
+                                <ChevronLeft className="w-5 h-5" />
+                            </button>
+                            <div className="flex items-center gap-3">
+                                <div className="p-2 bg-baikal-cyan/20 rounded-md">
+                                    <Target className="w-5 h-5 text-baikal-cyan" />
+                                </div>
+                                <div>
+                                    <h1 className="text-lg font-mono font-bold text-white">
+                                        EVALUATION_RAG
+                                    </h1>
+                                    <p className="text-xs text-baikal-text font-mono">
+                                        Golden sets rejoués contre brain-v3 + librarian-v4
+                                    </p>
+                                </div>
+                            </div>
+                        </div>
+
+                        <div className="flex items-center gap-2">
+                            <Layers className="w-5 h-5 text-baikal-text" />
+                            <select
+                                value={appId}
+                                onChange={(e) => setAppId(e.target.value)}
+                                className={`${INPUT_CLASS} min-w-[160px]`}
+                            >
+                                {apps.map(app => (
+                                    <option key={app.id} value={app.id}>{app.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+                </div>
+            </header>
+
+            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                {error && (
+                    <p className="flex items-center gap-2 mb-4 text-sm font-mono text-red-400">
+                        <AlertCircle className="w-4 h-4" />
+                        {error}
+                    </p>
+                )}
+
+                <div className="grid gap-6 lg:grid-cols-[18rem_1fr]">
+                    {/* Golden sets */}
+                    <aside className="space-y-3">
+                        <div className="flex items-center justify-between">
+                            <h2 className="text-xs font-mono text-baikal-text uppercase">Golden sets</h2>
+                            <button
+                                onClick={() => setEditingSet('new')}
+                                disabled={!appId || editingSet !== null}
+                                className="p-1.5 text-baikal-cyan hover:bg-baikal-cyan/10 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                title="Nouveau golden set"
+                            >
+                                <Plus className="w-4 h-4" />
+                            </button>
+                        </div>
+
+                        {editingSet === 'new' && (
+                            <SetForm saving={saving} onSubmit={handleSaveSet} onCancel={() => setEditingSet(null)} />
+                        )}
+
+                        {loading ? (
+                            <div className="flex items-center justify-center py-8">
+                                <Loader2 className="w-5 h-5 text-baikal-cyan animate-spin" />
+                            </div>
+                        ) : sets.length === 0 && editingSet !== 'new' ? (
+                            <p className="py-8 text-center text-xs font-mono text-baikal-text">AUCUN_GOLDEN_SET</p>
+                        ) : (
+                            sets.map(set => (
+                                editingSet?.id === set.id ? (
+                                    <SetForm
+                                        key={set.id}
+                                        initial={set}
+                                        saving={saving}
+                                        onSubmit={handleSaveSet}
+                                        onCancel={() => setEditingSet(null)}
+                                    />
+                                ) : (
+                                    <button
+                                        key={set.id}
+                                        onClick={() => setSelectedSetId(set.id)}
+                                        className={`w-full p-3 text-left border rounded-md transition-colors ${
+                                            set.id === selectedSetId
+                                                ? 'border-baikal-cyan bg-baikal-cyan/10'
+                                                : 'border-baikal-border bg-baikal-surface hover:border-baikal-text'
+                                        }`}
+                                    >
+                                        <p className="text-sm text-white font-sans truncate">{set.name}</p>
+                                        <p className="text-xs font-mono text-baikal-text mt-0.5">
+                                            {set.question_count} question{set.question_count > 1 ? 's' : ''}
+                                        </p>
+                                    </button>
+                                )
+                            ))
+                        )}
+                    </aside>
+
+                    {/* Détail du golden set */}
+                    <section className="min-w-0">
+                        {!selectedSet ? (
+                            <p className="py-24 text-center text-sm font-mono text-baikal-text">SÉLECTIONNER_UN_GOLDEN_SET</p>
+                        ) : (
+                            <div className="space-y-6">
+                                <div className="flex items-start justify-between gap-4">
+                                    <div className="min-w-0">
+                                        <h2 className="text-lg font-mono font-bold text-white truncate">{selectedSet.name}</h2>
+                                        {selectedSet.description && (
+                                            <p className="text-sm text-baikal-text font-sans mt-1">{selectedSet.description}</p>
+                                        )}
+                                    </div>
+                                    <div className="flex items-center gap-1">
+                                        <button
+                                            onClick={() => setEditingSet(selectedSet)}
+                                            className="p-2 text-baikal-text hover:text-white transition-colors"
+                                            title="Renommer"
+                                        >
+                                            <Pencil className="w-4 h-4" />
+                                        </button>
+                                        <button
+                                            onClick={() => handleDeleteSet(selectedSet)}
+                                            className="p-2 text-baikal-text hover:text-red-400 transition-colors"
+                                            title="Supprimer"
+                                        >
+                                            <Trash2 className="w-4 h-4" />
+                                        </button>
+                                    </div>
+                                </div>
+
+                                <div className="flex gap-2 border-b border-baikal-border">
+                                    {SET_TABS.map(tab => {
+                                        const Icon = tab.icon;
+                                        return (
+                                            <button
+                                                key={tab.id}
+                                                onClick={() => setActiveTab(tab.id)}
+                                                className={`flex items-center gap-2 px-4 py-2 -mb-px border-b-2 font-mono text-sm transition-colors ${
+                                                    activeTab === tab.id
+                                                        ? 'border-baikal-cyan text-baikal-cyan'
+                                                        : 'border-transparent text-baikal-text hover:text-white'
+                                                }`}
+                                            >
+                                                <Icon className="w-4 h-4" />
+                                                {tab.label}
+                                            </button>
+                                        );
+                                    })}
+                                </div>
+
+                                {activeTab === 'questions' ? (
+                                    <EvalQuestionsPanel set={selectedSet} onCountChange={handleCountChange} />
+                                ) : (
+                                    <EvalRunsPanel set={selectedSet} initialPromptId={initialPromptId} />
+                                )}
+                            </div>
+                        )}
+                    </section>
+                </div>
+            </main>
+        </div>
+    );
+}
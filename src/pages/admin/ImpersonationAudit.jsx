@@ -0,0 +1,373 @@
+/**
+ * ImpersonationAudit.jsx - Baikal Console
+ * ============================================================================
+ * Journal des impersonations (core.impersonation_sessions) : quand le
+ * support a emprunté l'identité d'un utilisateur, pour quel motif, combien
+ * de temps, en lecture seule ou non, et quelles pages ont été visitées.
+ *
+ * Fonctionnalités :
+ * - Sessions en cours et terminées (arrêt, expiration, déconnexion)
+ * - Durée et nombre de pages par session
+ * - Détail des pages visitées (horodatées)
+ * - Filtre par organisation (super_admin)
+ *
+ * Route : /admin/impersonation-audit (?org_id=… présélectionne une organisation)
+ * Accès : super_admin (toutes les organisations), org_admin (la sienne)
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+    impersonationService,
+    organizationService,
+    IMPERSONATION_END_REASONS,
+} from '../../services';
+import {
+    UserCheck,
+    ChevronLeft,
+    ChevronDown,
+    ChevronRight,
+    RefreshCw,
+    Loader2,
+    AlertCircle,
+    Building2,
+    Lock,
+    Unlock,
+    Clock,
+    FileText,
+} from 'lucide-react';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const INPUT_CLASS = 'w-full px-3 py-2 bg-baikal-bg border border-baikal-border rounded-md text-white text-sm focus:outline-none focus:border-baikal-cyan transition-colors font-mono';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const formatDate = (value) => {
+    if (!value) return '—';
+    return new Date(value).toLocaleString('fr-FR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+};
+
+const formatTime = (value) => {
+    if (!value) return '—';
+    return new Date(value).toLocaleTimeString('fr-FR', {
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    });
+};
+
+const formatDuration = (seconds) => {
+    const total = Math.max(seconds || 0, 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    if (hours > 0) return `${hours} h ${String(minutes).padStart(2, '0')}`;
+    if (minutes > 0) return `${minutes} min`;
+    return `${total} s`;
+};
+
+// ============================================================================
+// COMPOSANTS INTERNES
+// ============================================================================
+
+/**
+ * Carte de statistique
+ */
+function StatCard({ label, value, icon: Icon, color }) {
+    return (
+        <div className="bg-baikal-surface rounded-md p-4 border border-baikal-border">
+            <div className="flex items-center justify-between">
+                <div>
+                    <p className="text-xs font-mono text-baikal-text uppercase">{label}</p>
+                    <p className={`text-2xl font-mono font-bold mt-1 ${color}`}>{value}</p>
+                </div>
+                <Icon className={`w-8 h-8 ${color} opacity-50`} />
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Ligne de session, dépliable sur les pages visitées
+ */
+function SessionRow({ session, showOrg }) {
+    const [expanded, setExpanded] = useState(false);
+    const endReason = IMPERSONATION_END_REASONS[session.end_reason];
+    const pages = session.pages || [];
+
+    return (
+        <>
+            <tr className="hover:bg-baikal-bg/50 align-top">
+                <td className="px-4 py-3">
+                    <button
+                        onClick={() => setExpanded(!expanded)}
+                        disabled={pages.length === 0}
+                        className="p-1 text-baikal-text hover:text-white rounded transition-colors disabled:opacity-30"
+                        title="Pages visitées"
+                    >
+                        {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                    </button>
+                </td>
+                <td className="px-4 py-3 font-mono text-baikal-text whitespace-nowrap">
+                    {formatDate(session.started_at)}
+                </td>
+                <td className="px-4 py-3">
+                    <p className="text-white font-sans">{session.admin_name || session.admin_email || '—'}</p>
+                    {session.admin_name && (
+                        <p className="text-xs font-mono text-baikal-text">{session.admin_email}</p>
+                    )}
+                </td>
+                <td className="px-4 py-3">
+                    <p className="text-white font-sans">{session.target_name || session.target_email || 'Utilisateur supprimé'}</p>
+                    {session.target_name && (
+                        <p className="text-xs font-mono text-baikal-text">{session.target_email}</p>
+                    )}
+                    {showOrg && session.target_org_name && (
+                        <p className="text-xs font-mono text-baikal-cyan mt-0.5">{session.target_org_name}</p>
+                    )}
+                </td>
+                <td className="px-4 py-3 font-sans text-baikal-text max-w-xs">
+                    <p className="line-clamp-2" title={session.reason}>{session.reason}</p>
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                    {session.read_only ? (
+                        <span className="flex items-center gap-1 text-xs font-mono text-green-400">
+                            <Lock className="w-3 h-3" />
+                            LECTURE
+                        </span>
+                    ) : (
+                        <span className="flex items-center gap-1 text-xs font-mono text-amber-400">
+                            <Unlock className="w-3 h-3" />
+                            ÉCRITURE
+                        </span>
+                    )}
+                </td>
+                <td className="px-4 py-3 font-mono text-white text-right whitespace-nowrap">
+                    {formatDuration(session.duration_seconds)}
+                </td>
+                <td className="px-4 py-3 font-mono text-baikal-text text-right">
+                    {session.page_count}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                    {session.is_active ? (
+                        <span className="px-2 py-0.5 text-xs font-mono bg-amber-900/30 text-amber-300 border border-amber-500/50 rounded">
+                            EN_COURS
+                        </span>
+                    ) : (
+                        <span className={`text-xs font-mono ${endReason?.color || 'text-baikal-text'}`}>
+                            {endReason?.label || 'TERMINÉE'}
+                        </span>
+                    )}
+                    {session.ended_at && (
+                        <p className="text-xs font-mono text-baikal-text mt-0.5">{formatTime(session.ended_at)}</p>
+                    )}
+                </td>
+            </tr>
+            {expanded && (
+                <tr className="bg-baikal-bg/50">
+                    <td />
+                    <td colSpan={8} className="px-4 py-3">
+                        <ol className="space-y-1">
+                            {pages.map((page, index) => (
+                                <li key={`${page.at}-${index}`} className="flex items-center gap-3 text-xs font-mono">
+                                    <span className="text-baikal-text w-20 flex-shrink-0">{formatTime(page.at)}</span>
+                                    <FileText className="w-3 h-3 text-baikal-text flex-shrink-0" />
+                                    <span className="text-white break-all">{page.path}</span>
+                                </li>
+                            ))}
+                        </ol>
+                    </td>
+                </tr>
+            )}
+        </>
+    );
+}
+
+// ============================================================================
+// PAGE
+// ============================================================================
+
+export default function ImpersonationAudit() {
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const { isSuperAdmin, isOrgAdmin } = useAuth();
+
+    const [organizations, setOrganizations] = useState([]);
+    const [orgId, setOrgId] = useState(searchParams.get('org_id') || '');
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Vérifier l'accès (org_admin ou super_admin)
+    useEffect(() => {
+        if (!isOrgAdmin) {
+            navigate('/admin', { replace: true });
+        }
+    }, [isOrgAdmin, navigate]);
+
+    useEffect(() => {
+        if (!isSuperAdmin) return;
+        organizationService.getOrganizations({ includeInactive: true }).then(({ data }) => {
+            setOrganizations(data || []);
+        });
+    }, [isSuperAdmin]);
+
+    // org_admin : le serveur restreint à sa propre organisation
+    const loadSessions = useCallback(async () => {
+        setLoading(true);
+        const { data, error: loadError } = await impersonationService.getSessions({
+            orgId: isSuperAdmin ? orgId : null,
+        });
+        setError(loadError?.message || null);
+        setSessions(data);
+        setLoading(false);
+    }, [isSuperAdmin, orgId]);
+
+    useEffect(() => {
+        loadSessions();
+    }, [loadSessions]);
+
+    if (!isOrgAdmin) {
+        return (
+            <div className="min-h-screen bg-baikal-bg flex items-center justify-center">
+                <div className="text-center">
+                    <AlertCircle className="w-12 h-12 text-red-400 mx-auto mb-4" />
+                    <p className="text-white font-mono">ACCÈS_REFUSÉ</p>
+                </div>
+            </div>
+        );
+    }
+
+    const activeCount = sessions.filter(session => session.is_active).length;
+    const writeCount = sessions.filter(session => !session.read_only).length;
+    const totalDuration = sessions.reduce((sum, session) => sum + (session.duration_seconds || 0), 0);
+
+    return (
+        <div className="min-h-screen bg-baikal-bg">
+            {/* Header */}
+            <header className="bg-baikal-surface border-b border-baikal-border sticky top-0 z-30">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center justify-between h-16">
+                        <div className="flex items-center gap-4">
+                            <button
+                                onClick={() => navigate('/admin')}
+                                className="p-2 text-baikal-text hover:text-white hover:bg-baikal-bg rounded-md transition-colors"
+                            >
+                                <ChevronLeft className="w-5 h-5" />
+                            </button>
+                            <div className="flex items-center gap-3">
+                                <div className="p-2 bg-baikal-cyan/20 rounded-md">
+                                    <UserCheck className="w-5 h-5 text-baikal-cyan" />
+                                </div>
+                                <div>
+                                    <h1 className="text-lg font-mono font-bold text-white">
+                                        ACCÈS_SUPPORT
+                                    </h1>
+                                    <p className="text-xs text-baikal-text font-mono">
+                                        Journal des impersonations
+                                    </p>
+                                </div>
+                            </div>
+                        </div>
+
+                        <div className="flex items-center gap-2">
+                            {isSuperAdmin && (
+                                <>
+                                    <Building2 className="w-5 h-5 text-baikal-text" />
+                                    <select
+                                        value={orgId}
+                                        onChange={(e) => setOrgId(e.target.value)}
+                                        className={`${INPUT_CLASS} min-w-[200px]`}
+                                    >
+                                        <option value="">TOUTES_LES_ORGANISATIONS</option>
+                                        {organizations.map(org => (
+                                            <option key={org.id} value={org.id}>{org.name}</option>
+                                        ))}
+                                    </select>
+                                </>
+                            )}
+                            <button
+                                onClick={loadSessions}
+                                disabled={loading}
+                                className="p-2 text-baikal-text hover:text-white hover:bg-baikal-bg rounded-md transition-colors disabled:opacity-50"
+                                title="Rafraîchir"
+                            >
+                                <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </header>
+
+            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+                {error && (
+                    <p className="flex items-center gap-2 text-sm font-mono text-red-400">
+                        <AlertCircle className="w-4 h-4" />
+                        {error}
+                    </p>
+                )}
+
+                {/* Statistiques */}
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                    <StatCard label="Sessions" value={sessions.length} icon={UserCheck} color="text-white" />
+                    <StatCard label="En cours" value={activeCount} icon={Clock} color="text-amber-400" />
+                    <StatCard label="Avec écriture" value={writeCount} icon={Unlock} color="text-baikal-cyan" />
+                    <StatCard label="Durée totale" value={formatDuration(totalDuration)} icon={Clock} color="text-green-400" />
+                </div>
+
+                {/* Sessions */}
+                <section className="bg-baikal-surface rounded-md border border-baikal-border overflow-hidden">
+                    <h2 className="px-4 py-3 text-xs font-mono text-baikal-text uppercase border-b border-baikal-border">
+                        Sessions ({sessions.length})
+                    </h2>
+                    {loading && sessions.length === 0 ? (
+                        <div className="flex items-center justify-center py-24">
+                            <Loader2 className="w-8 h-8 text-baikal-cyan animate-spin" />
+                        </div>
+                    ) : sessions.length === 0 ? (
+                        <p className="py-12 text-center text-sm font-mono text-baikal-text">AUCUN_ACCÈS_SUPPORT</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead className="bg-baikal-bg">
+                                    <tr className="text-left text-xs font-mono text-baikal-text uppercase">
+                                        <th className="px-4 py-2 w-10" />
+                                        <th className="px-4 py-2">Début</th>
+                                        <th className="px-4 py-2">Support</th>
+                                        <th className="px-4 py-2">Utilisateur</th>
+                                        <th className="px-4 py-2">Motif</th>
+                                        <th className="px-4 py-2">Mode</th>
+                                        <th className="px-4 py-2 text-right">Durée</th>
+                                        <th className="px-4 py-2 text-right">Pages</th>
+                                        <th className="px-4 py-2">Fin</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-baikal-border">
+                                    {sessions.map(session => (
+                                        <SessionRow
+                                            key={session.id}
+                                            session={session}
+                                            showOrg={isSuperAdmin && !orgId}
+                                        />
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </section>
+            </main>
+        </div>
+    );
+}
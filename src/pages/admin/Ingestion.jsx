@@ -7,14 +7,16 @@
  * - Stats temps réel (queued, sent, completed, failed)
  * - Liste des jobs avec filtres (App, Org)
  * - Retry manuel des jobs failed
+ * - Sélection multiple : retry / annulation / priorité en masse
+ * - Vue dead-letter (tentatives épuisées)
  * - Delete job + file (sauf si completed)
  * - Affichage email uploader
  * 
  * Route : /admin/ingestion
  * Accès : super_admin uniquement
  * 
- * Version: 1.3.0
- * Date: 2026-01-04
+ * Version: 1.5.0
+ * Date: 2026-10-19
  * 
  * MODIFICATIONS v1.2:
  * - Suppression colonnes Durée et Chunks (inutiles)
@@ -24,14 +26,33 @@
  * MODIFICATIONS v1.3 (04/01/2026):
  * - retryJob envoie le payload complet à l'Edge Function trigger-ingestion
  * - Récupération des infos fichier + queue pour construire le payload
+ * 
+ * AJOUT: Historique des versions du fichier dans le modal de détails
+ * 
+ * MODIFICATIONS v1.4 (19/10/2026):
+ * - Supabase Realtime sur sources.ingestion_queue et sources.files
+ *   (remplace l'auto-refresh : cartes et lignes mises à jour en direct)
+ * - Progression par étape : queued → sent → chunking → embedding → completed
+ * - Toast à chaque job passé en échec
+ * 
+ * MODIFICATIONS v1.5 (19/10/2026):
+ * - Priorité des jobs (0-10), respectée par trigger-ingestion (process_queue)
+ * - Statut cancelled, retry automatique avec backoff exponentiel (en base)
+ * - Sélection multiple + actions groupées, filtre DEAD_LETTER
+ * 
+ * MODIFICATIONS v1.6 (19/10/2026):
+ * - retryJob n'envoie plus que le queue_id : trigger-ingestion construit le
+ *   payload depuis le fichier du job
  * ============================================================================
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { createPortal } from 'react-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { useToast } from '../../contexts/ToastContext';
 import { supabase } from '../../lib/supabaseClient';
+import { documentsService } from '../../services/documents.service';
 import {
     Database,
     RefreshCw,
@@ -51,6 +72,10 @@ import {
     Building2,
     Layers,
     User,
+    GitBranch,
+    Ban,
+    Skull,
+    ArrowUpDown,
 } from 'lucide-react';
 
 // ============================================================================
@@ -86,9 +111,40 @@ const STATUS_CONFIG = {
         borderColor: 'border-red-500/30',
         icon: XCircle,
     },
+    cancelled: {
+        label: 'ANNULÉ',
+        color: 'text-baikal-text',
+        bgColor: 'bg-baikal-border/40',
+        borderColor: 'border-baikal-border',
+        icon: Ban,
+    },
 };
 
-const AUTO_REFRESH_INTERVAL = 30000; // 30 secondes
+// Filtre virtuel : échecs définitifs (ingestion_queue.dead_lettered)
+const DEAD_LETTER_FILTER = 'dead_letter';
+
+// Priorités proposées (ingestion_queue.priority, 10 = plus urgent)
+const PRIORITY_OPTIONS = [
+    { value: 0, label: 'NORMALE' },
+    { value: 5, label: 'HAUTE' },
+    { value: 10, label: 'URGENTE' },
+];
+
+// Statuts pouvant être relancés / annulés
+const RETRYABLE_STATUSES = ['failed', 'queued', 'cancelled'];
+const CANCELLABLE_STATUSES = ['failed', 'queued'];
+
+// Étapes affichées dans la progression d'un job (sources.ingestion_queue.stage)
+const PROGRESS_STAGES = [
+    { id: 'queued', label: 'Attente' },
+    { id: 'sent', label: 'Envoyé' },
+    { id: 'chunking', label: 'Découpage' },
+    { id: 'embedding', label: 'Embeddings' },
+    { id: 'completed', label: 'Terminé' },
+];
+
+// Regroupement des rechargements déclenchés par les événements Realtime
+const REALTIME_RELOAD_DELAY = 800;
 
 // ============================================================================
 // SERVICES
@@ -102,7 +158,7 @@ const ingestionService = {
         let query = supabase
             .schema('sources')
             .from('ingestion_queue')
-            .select('status, file_id');
+            .select('status, file_id, dead_lettered');
 
         const { data: queueData, error: queueError } = await query;
         if (queueError) throw queueError;
@@ -127,6 +183,8 @@ const ingestionService = {
             sent: 0,
             completed: 0,
             failed: 0,
+            cancelled: 0,
+            dead_letter: 0,
             total: 0,
         };
 
@@ -139,6 +197,9 @@ const ingestionService = {
             if (stats.hasOwnProperty(row.status)) {
                 stats[row.status]++;
             }
+            if (row.dead_lettered) {
+                stats.dead_letter++;
+            }
         });
 
         return stats;
@@ -192,6 +253,10 @@ const ingestionService = {
                 id,
                 file_id,
                 status,
+                stage,
+                stage_updated_at,
+                priority,
+                dead_lettered,
                 attempts,
                 max_attempts,
                 last_attempt_at,
@@ -204,7 +269,9 @@ const ingestionService = {
             .order('created_at', { ascending: false })
             .limit(limit);
 
-        if (status && status !== 'all') {
+        if (status === DEAD_LETTER_FILTER) {
+            queueQuery = queueQuery.eq('dead_lettered', true);
+        } else if (status && status !== 'all') {
             queueQuery = queueQuery.eq('status', status);
         }
 
@@ -221,7 +288,7 @@ const ingestionService = {
             let filesQuery = supabase
                 .schema('sources')
                 .from('files')
-                .select('id, original_filename, mime_type, processing_status, chunk_count, org_id, app_id, created_by')
+                .select('id, original_filename, mime_type, processing_status, chunk_count, org_id, app_id, created_by, version_number, previous_version_id, superseded_at')
                 .in('id', fileIds);
 
             // Filtres app/org
@@ -279,12 +346,13 @@ const ingestionService = {
     /**
      * Retry un job failed
      * =========================================================================
-     * v1.3: Envoie le payload complet à l'Edge Function trigger-ingestion
+     * v1.6: Envoie le seul queue_id à l'Edge Function trigger-ingestion, qui
+     * construit le payload depuis le fichier du job
      * =========================================================================
-     * 1. Récupère les infos complètes du fichier et du job
+     * 1. Récupère le job de la queue
      * 2. Reset le status dans la queue
      * 3. Reset le status du fichier
-     * 4. Appelle l'Edge Function avec le payload complet
+     * 4. Appelle l'Edge Function
      */
     async retryJob(fileId) {
         // 1. Récupérer le job de la queue
@@ -299,19 +367,7 @@ const ingestionService = {
             throw new Error('Job not found in queue');
         }
 
-        // 2. Récupérer les infos complètes du fichier
-        const { data: file, error: fileFetchError } = await supabase
-            .schema('sources')
-            .from('files')
-            .select('*')
-            .eq('id', fileId)
-            .single();
-
-        if (fileFetchError || !file) {
-            throw new Error('File not found');
-        }
-
-        // 3. Reset le status du job
+        // 2. Reset le status du job
         const { error: queueError } = await supabase
             .schema('sources')
             .from('ingestion_queue')
@@ -325,7 +381,7 @@ const ingestionService = {
 
         if (queueError) throw queueError;
 
-        // 4. Reset le status du fichier
+        // 3. Reset le status du fichier
         const { error: fileError } = await supabase
             .schema('sources')
             .from('files')
@@ -337,36 +393,9 @@ const ingestionService = {
 
         if (fileError) throw fileError;
 
-        // 5. Construire le payload complet pour l'Edge Function
-        const metadata = file.metadata || {};
-        const triggerPayload = {
-            queue_id: job.id,
-            file_id: file.id,
-            filename: file.original_filename,
-            storage_bucket: file.storage_bucket,
-            storage_path: file.storage_path,
-            mime_type: file.mime_type,
-            layer: file.layer,
-            org_id: file.org_id,
-            project_id: file.project_id,
-            created_by: file.created_by,
-            app_id: file.app_id,
-            metadata: {
-                ...metadata,
-                document_title: metadata.document_title || metadata.title || null,
-                category_slug: metadata.category_slug || metadata.category || null,
-                filename_clean: metadata.filename_clean || file.original_filename,
-                quality_level: metadata.quality_level || 'premium',
-                file_size: file.file_size,
-                target_project_ids: metadata.target_project_ids || (file.project_id ? [file.project_id] : []),
-            },
-        };
-
-        console.log('[Ingestion] Retrying with payload:', triggerPayload);
-
-        // 6. Appeler l'Edge Function
+        // 4. Appeler l'Edge Function
         const { data, error: fnError } = await supabase.functions.invoke('trigger-ingestion', {
-            body: triggerPayload,
+            body: { queue_id: job.id },
         });
 
         if (fnError) {
@@ -405,6 +434,61 @@ const ingestionService = {
         return { success: true, count: successCount, errors: errorCount };
     },
 
+    /**
+     * Relancer une sélection de jobs
+     */
+    async retryJobs(fileIds) {
+        let successCount = 0;
+        let errorCount = 0;
+
+        for (const fileId of fileIds) {
+            try {
+                await this.retryJob(fileId);
+                successCount++;
+            } catch (err) {
+                console.error(`[Ingestion] Error retrying job ${fileId}:`, err);
+                errorCount++;
+            }
+        }
+
+        return { success: true, count: successCount, errors: errorCount };
+    },
+
+    /**
+     * Annuler une sélection de jobs (en attente ou en échec)
+     * Le fichier source est conservé, le job peut être relancé.
+     */
+    async cancelJobs(jobIds) {
+        const { data, error } = await supabase
+            .schema('sources')
+            .from('ingestion_queue')
+            .update({
+                status: 'cancelled',
+                next_retry_at: null,
+            })
+            .in('id', jobIds)
+            .in('status', CANCELLABLE_STATUSES)
+            .select('id');
+
+        if (error) throw error;
+        return { success: true, count: data?.length || 0 };
+    },
+
+    /**
+     * Modifier la priorité d'une sélection de jobs
+     */
+    async setPriority(jobIds, priority) {
+        const { data, error } = await supabase
+            .schema('sources')
+            .from('ingestion_queue')
+            .update({ priority })
+            .in('id', jobIds)
+            .select('id');
+
+        if (error) throw error;
+        return { success: true, count: data?.length || 0 };
+    },
+
     /**
      * Supprimer un job ET son fichier source
      * (Seulement si status != completed)
@@ -448,6 +532,15 @@ const ingestionService = {
     },
 };
 
+/**
+ * Un job correspond-il au filtre de statut (cartes) ?
+ */
+function matchesStatusFilter(job, filter) {
+    if (filter === 'all') return true;
+    if (filter === DEAD_LETTER_FILTER) return !!job.dead_lettered;
+    return job.status === filter;
+}
+
 // ============================================================================
 // COMPOSANTS INTERNES
 // ============================================================================
@@ -499,18 +592,64 @@ function StatusBadge({ status }) {
     );
 }
 
+/**
+ * Progression d'un job par étape
+ */
+function StageProgress({ job }) {
+    const stage = job.stage || job.status;
+    const failed = job.status === 'failed' || job.status === 'cancelled';
+    const currentIndex = PROGRESS_STAGES.findIndex(s => s.id === stage);
+    const current = PROGRESS_STAGES[currentIndex];
+
+    return (
+        <div className="mt-1.5 flex items-center gap-1" title={current ? current.label : stage}>
+            {PROGRESS_STAGES.map((s, index) => {
+                const reached = !failed && index <= currentIndex;
+                const active = !failed && index === currentIndex && stage !== 'completed';
+                return (
+                    <span
+                        key={s.id}
+                        className={`h-1.5 w-5 rounded-full ${
+                            failed
+                                ? job.status === 'cancelled' ? 'bg-baikal-border' : 'bg-red-500/40'
+                                : reached ? 'bg-baikal-cyan' : 'bg-baikal-border'
+                        } ${active ? 'animate-pulse' : ''}`}
+                    />
+                );
+            })}
+            {['chunking', 'embedding'].includes(stage) && (
+                <span className="ml-1 text-[10px] font-mono text-baikal-cyan uppercase">
+                    {current.label}
+                </span>
+            )}
+        </div>
+    );
+}
+
 /**
  * Ligne du tableau
  */
-function JobRow({ job, onRetry, onDelete, onViewDetails }) {
+function JobRow({ job, selected, onToggleSelect, onRetry, onDelete, onViewDetails }) {
     const file = job.file;
     const user = job.user;
     const filename = file?.original_filename || 'Fichier inconnu';
     const canDelete = job.status !== 'completed';
-    const canRetry = job.status === 'failed' || job.status === 'queued';
+    const canRetry = RETRYABLE_STATUSES.includes(job.status);
+    const priority = PRIORITY_OPTIONS.find(p => p.value === job.priority);
 
     return (
-        <tr className="border-b border-baikal-border hover:bg-baikal-surface/50 transition-colors">
+        <tr className={`border-b border-baikal-border hover:bg-baikal-surface/50 transition-colors ${selected ? 'bg-baikal-cyan/5' : ''}`}>
+            {/* Sélection */}
+            <td className="pl-4 py-4 w-8">
+                <input
+                    type="checkbox"
+                    checked={selected}
+                    onChange={() => onToggleSelect(job.id)}
+                    className="accent-baikal-cyan"
+                    aria-label={`Sélectionner ${filename}`}
+                />
+            </td>
+
             {/* Fichier + Email */}
             <td className="px-4 py-4">
                 <div className="flex items-start gap-3">
@@ -532,6 +671,14 @@ function JobRow({ job, onRetry, onDelete, onViewDetails }) {
             {/* Status */}
             <td className="px-4 py-4">
                 <StatusBadge status={job.status} />
+                <StageProgress job={job} />
+            </td>
+
+            {/* Priorité */}
+            <td className="px-4 py-4">
+                <span className={`font-mono text-xs ${job.priority > 0 ? 'text-baikal-cyan' : 'text-baikal-text'}`}>
+                    {priority ? priority.label : `P${job.priority}`}
+                </span>
             </td>
 
             {/* Tentatives */}
@@ -539,6 +686,13 @@ function JobRow({ job, onRetry, onDelete, onViewDetails }) {
                 <span className="font-mono text-baikal-text">
                     {job.attempts}/{job.max_attempts}
                 </span>
+                {job.dead_lettered ? (
+                    <p className="text-[10px] font-mono text-red-400 mt-1">DEAD_LETTER</p>
+                ) : job.status === 'failed' && job.next_retry_at && (
+                    <p className="text-[10px] font-mono text-amber-400 mt-1">
+                        RETRY {new Date(job.next_retry_at).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}
+                    </p>
+                )}
             </td>
 
             {/* Date */}
@@ -565,7 +719,7 @@ function JobRow({ job, onRetry, onDelete, onViewDetails }) {
                         <Eye className="w-4 h-4" />
                     </button>
 
-                    {/* Retry (seulement si failed) */}
+                    {/* Retry (failed, queued, cancelled) */}
                     {canRetry && (
                         <button
                             onClick={() => onRetry(job)}
@@ -593,6 +747,73 @@ function JobRow({ job, onRetry, onDelete, onViewDetails }) {
     );
 }
 
+/**
+ * Historique des versions d'un fichier (affiché s'il en existe plusieurs)
+ */
+function VersionTimeline({ fileId }) {
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        documentsService.getFileVersions(fileId).then(({ data }) => {
+            if (cancelled) return;
+            setVersions(data);
+            setLoading(false);
+        });
+        return () => { cancelled = true; };
+    }, [fileId]);
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center py-4">
+                <Loader2 className="w-5 h-5 text-baikal-cyan animate-spin" />
+            </div>
+        );
+    }
+
+    if (versions.length < 2) return null;
+
+    return (
+        <div className="bg-baikal-bg rounded-lg p-4 space-y-3">
+            <h3 className="flex items-center gap-2 text-sm font-mono text-baikal-cyan uppercase">
+                <GitBranch className="w-4 h-4" />
+                Versions
+            </h3>
+            <ol className="relative border-l border-baikal-border ml-2 space-y-4">
+                {versions.map(version => {
+                    const isCurrentFile = version.id === fileId;
+                    return (
+                        <li key={version.id} className="ml-4">
+                            <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border ${
+                                version.superseded_at
+                                    ? 'bg-baikal-bg border-baikal-border'
+                                    : 'bg-baikal-cyan border-baikal-cyan'
+                            }`} />
+                            <div className={`flex items-start justify-between gap-3 ${isCurrentFile ? 'text-white' : 'text-baikal-text'}`}>
+                                <div className="min-w-0">
+                                    <p className="text-sm font-mono truncate">
+                                        v{version.version_number} · {version.metadata?.document_title || version.original_filename}
+                                    </p>
+                                    <p className="text-xs text-baikal-text">
+                                        {new Date(version.created_at).toLocaleString('fr-FR')} · {version.chunk_count || 0} chunks
+                                    </p>
+                                </div>
+                                <span className={`text-xs font-mono flex-shrink-0 ${version.superseded_at ? 'text-baikal-text' : 'text-green-400'}`}>
+                                    {version.superseded_at
+                                        ? `REMPLACÉE ${new Date(version.superseded_at).toLocaleDateString('fr-FR')}`
+                                        : ['pending', 'processing'].includes(version.processing_status) ? 'EN_INGESTION' : 'ACTIVE'}
+                                </span>
+                            </div>
+                        </li>
+                    );
+                })}
+            </ol>
+        </div>
+    );
+}
+
 /**
  * Modal de détails d'un job
  */
@@ -681,6 +902,11 @@ function JobDetailsModal({ isOpen, onClose, job }) {
                         </div>
                     </div>
 
+                    {/* Versions (nouvelle version de… / remplacée par…) */}
+                    {(file?.previous_version_id || file?.superseded_at) && (
+                        <VersionTimeline fileId={job.file_id} />
+                    )}
+
                     {/* Infos queue */}
                     <div className="bg-baikal-bg rounded-lg p-4 space-y-3">
                         <h3 className="text-sm font-mono text-baikal-cyan uppercase">Queue</h3>
@@ -689,8 +915,23 @@ function JobDetailsModal({ isOpen, onClose, job }) {
                                 <p className="text-baikal-text">Tentatives</p>
                                 <p className="text-white font-mono">
                                     {job.attempts} / {job.max_attempts}
+                                    {job.dead_lettered && <span className="ml-2 text-red-400">DEAD_LETTER</span>}
                                 </p>
                             </div>
+                            <div>
+                                <p className="text-baikal-text">Priorité</p>
+                                <p className="text-white font-mono">
+                                    {job.priority ?? 0}
+                                </p>
+                            </div>
+                            {job.status === 'failed' && job.next_retry_at && (
+                                <div>
+                                    <p className="text-baikal-text">Prochain retry</p>
+                                    <p className="text-white font-mono">
+                                        {new Date(job.next_retry_at).toLocaleString('fr-FR')}
+                                    </p>
+                                </div>
+                            )}
                             <div>
                                 <p className="text-baikal-text">Créé le</p>
                                 <p className="text-white font-mono">
@@ -835,9 +1076,10 @@ function DeleteConfirmModal({ isOpen, onClose, job, onConfirm }) {
 export default function Ingestion() {
     const navigate = useNavigate();
     const { isSuperAdmin } = useAuth();
+    const { error: showErrorToast } = useToast();
 
     // États
-    const [stats, setStats] = useState({ queued: 0, sent: 0, completed: 0, failed: 0, total: 0 });
+    const [stats, setStats] = useState({ queued: 0, sent: 0, completed: 0, failed: 0, cancelled: 0, dead_letter: 0, total: 0 });
     const [jobs, setJobs] = useState([]);
     const [apps, setApps] = useState([]);
     const [orgs, setOrgs] = useState([]);
@@ -850,7 +1092,17 @@ export default function Ingestion() {
     const [statusFilter, setStatusFilter] = useState('all');
     const [appFilter, setAppFilter] = useState('');
     const [orgFilter, setOrgFilter] = useState('');
-    const [autoRefresh, setAutoRefresh] = useState(false);
+
+    // Realtime : 'connecting' | 'live' | 'offline'
+    const [liveStatus, setLiveStatus] = useState('connecting');
+    const knownJobsRef = useRef({});
+    const statusFilterRef = useRef(statusFilter);
+    const loadDataRef = useRef(null);
+    const reloadTimeoutRef = useRef(null);
+
+    // Sélection multiple (ids de ingestion_queue)
+    const [selectedIds, setSelectedIds] = useState(new Set());
+    const [bulkPriority, setBulkPriority] = useState('');
 
     // Modals
     const [selectedJob, setSelectedJob] = useState(null);
@@ -902,6 +1154,10 @@ export default function Ingestion() {
 
             setStats(statsData);
             setJobs(jobsData);
+            setSelectedIds(prev => new Set(jobsData.filter(job => prev.has(job.id)).map(job => job.id)));
+            jobsData.forEach(job => {
+                knownJobsRef.current[job.id] = { status: job.status, filename: job.file?.original_filename };
+            });
         } catch (err) {
             console.error('[Ingestion] Error loading data:', err);
             setError(err.message);
@@ -916,16 +1172,66 @@ export default function Ingestion() {
         loadData();
     }, [loadData]);
 
-    // Auto-refresh
     useEffect(() => {
-        if (!autoRefresh) return;
+        loadDataRef.current = loadData;
+        statusFilterRef.current = statusFilter;
+    }, [loadData, statusFilter]);
 
-        const interval = setInterval(() => {
-            loadData(true);
-        }, AUTO_REFRESH_INTERVAL);
+    // Realtime : mise à jour en direct de la queue et des fichiers
+    useEffect(() => {
+        if (!isSuperAdmin) return;
+
+        const scheduleReload = () => {
+            clearTimeout(reloadTimeoutRef.current);
+            reloadTimeoutRef.current = setTimeout(() => {
+                loadDataRef.current?.(true);
+            }, REALTIME_RELOAD_DELAY);
+        };
+
+        const handleQueueChange = (payload) => {
+            if (payload.eventType !== 'UPDATE') {
+                // Nouveau job ou suppression : rechargement (infos fichier / uploader)
+                scheduleReload();
+                return;
+            }
+
+            const row = payload.new;
+            const known = knownJobsRef.current[row.id];
+            if (row.status === 'failed' && known?.status !== 'failed') {
+                showErrorToast(row.error_message || 'Erreur inconnue', {
+                    title: `Échec d'ingestion : ${known?.filename || 'fichier'}`,
+                });
+            }
+            knownJobsRef.current[row.id] = { ...known, status: row.status };
+
+            const filter = statusFilterRef.current;
+            setJobs(prev => prev
+                .map(job => (job.id === row.id ? { ...job, ...row } : job))
+                .filter(job => job.id !== row.id || matchesStatusFilter(job, filter)));
+            scheduleReload();
+        };
 
-        return () => clearInterval(interval);
-    }, [autoRefresh, loadData]);
+        const handleFileChange = (payload) => {
+            const row = payload.new;
+            setJobs(prev => prev.map(job => (
+                job.file_id === row.id && job.file ? { ...job, file: { ...job.file, ...row } } : job
+            )));
+        };
+
+        const channel = supabase
+            .channel('admin-ingestion-monitor')
+            .on('postgres_changes', { event: '*', schema: 'sources', table: 'ingestion_queue' }, handleQueueChange)
+            .on('postgres_changes', { event: 'UPDATE', schema: 'sources', table: 'files' }, handleFileChange)
+            .subscribe((status) => {
+                if (status === 'SUBSCRIBED') setLiveStatus('live');
+                else if (['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'].includes(status)) setLiveStatus('offline');
+            });
+
+        return () => {
+            clearTimeout(reloadTimeoutRef.current);
+            supabase.removeChannel(channel);
+        };
+    }, [isSuperAdmin, showErrorToast]);
 
     // Handlers
     const handleRefresh = () => {
@@ -971,6 +1277,80 @@ export default function Ingestion() {
         }
     };
 
+    const handleToggleSelect = (jobId) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(jobId)) next.delete(jobId);
+            else next.add(jobId);
+            return next;
+        });
+    };
+
+    const handleToggleSelectAll = () => {
+        setSelectedIds(prev => (
+            prev.size === jobs.length ? new Set() : new Set(jobs.map(job => job.id))
+        ));
+    };
+
+    const selectedJobs = jobs.filter(job => selectedIds.has(job.id));
+    const retryableSelection = selectedJobs.filter(job => RETRYABLE_STATUSES.includes(job.status));
+    const cancellableSelection = selectedJobs.filter(job => CANCELLABLE_STATUSES.includes(job.status));
+
+    const handleBulkRetry = async () => {
+        if (!window.confirm(`Relancer ${retryableSelection.length} job(s) ?`)) {
+            return;
+        }
+
+        try {
+            setRefreshing(true);
+            const result = await ingestionService.retryJobs(retryableSelection.map(job => job.file_id));
+
+            if (result.errors > 0) {
+                alert(`${result.count} job(s) relancé(s), ${result.errors} erreur(s)`);
+            }
+
+            setSelectedIds(new Set());
+            loadData(true);
+        } catch (err) {
+            console.error('[Ingestion] Error retrying selection:', err);
+            setError(err.message);
+            setRefreshing(false);
+        }
+    };
+
+    const handleBulkCancel = async () => {
+        if (!window.confirm(`Annuler ${cancellableSelection.length} job(s) ? Les fichiers sont conservés.`)) {
+            return;
+        }
+
+        try {
+            setRefreshing(true);
+            await ingestionService.cancelJobs(cancellableSelection.map(job => job.id));
+            setSelectedIds(new Set());
+            loadData(true);
+        } catch (err) {
+            console.error('[Ingestion] Error cancelling selection:', err);
+            setError(err.message);
+            setRefreshing(false);
+        }
+    };
+
+    const handleBulkPriority = async (value) => {
+        setBulkPriority(value);
+        if (value === '') return;
+
+        try {
+            setRefreshing(true);
+            await ingestionService.setPriority(selectedJobs.map(job => job.id), Number(value));
+            setBulkPriority('');
+            loadData(true);
+        } catch (err) {
+            console.error('[Ingestion] Error updating priority:', err);
+            setError(err.message);
+            setRefreshing(false);
+        }
+    };
+
     const handleDelete = (job) => {
         setDeletingJob(job);
     };
@@ -994,6 +1374,7 @@ export default function Ingestion() {
 
     const handleStatClick = (status) => {
         setStatusFilter(prev => prev === status ? 'all' : status);
+        setSelectedIds(new Set());
     };
 
     // Accès refusé si pas super_admin
@@ -1039,18 +1420,20 @@ export default function Ingestion() {
 
                         {/* Actions */}
                         <div className="flex items-center gap-3">
-                            {/* Auto-refresh toggle */}
-                            <label className="hidden sm:flex items-center gap-2 px-3 py-1.5 bg-baikal-bg border border-baikal-border rounded-md cursor-pointer hover:border-baikal-cyan transition-colors">
-                                <input
-                                    type="checkbox"
-                                    checked={autoRefresh}
-                                    onChange={(e) => setAutoRefresh(e.target.checked)}
-                                    className="w-4 h-4 rounded border-baikal-border bg-baikal-bg text-baikal-cyan focus:ring-baikal-cyan"
-                                />
+                            {/* Statut Realtime */}
+                            <span
+                                className="hidden sm:flex items-center gap-2 px-3 py-1.5 bg-baikal-bg border border-baikal-border rounded-md"
+                                title={liveStatus === 'live' ? 'Mises à jour en temps réel' : 'Temps réel indisponible : utilisez REFRESH'}
+                            >
+                                <span className={`w-2 h-2 rounded-full ${
+                                    liveStatus === 'live'
+                                        ? 'bg-green-400 animate-pulse'
+                                        : liveStatus === 'offline' ? 'bg-red-400' : 'bg-amber-400'
+                                }`} />
                                 <span className="text-xs text-baikal-text whitespace-nowrap font-mono">
-                                    AUTO_REFRESH
+                                    {liveStatus === 'live' ? 'TEMPS_RÉEL' : liveStatus === 'offline' ? 'HORS_LIGNE' : 'CONNEXION...'}
                                 </span>
-                            </label>
+                            </span>
 
                             {/* Bouton refresh */}
                             <button
@@ -1069,7 +1452,7 @@ export default function Ingestion() {
             {/* Contenu */}
             <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
                 {/* Stats */}
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+                <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-4 mb-8">
                     <StatCard
                         label="En attente"
                         value={stats.queued}
@@ -1110,6 +1493,26 @@ export default function Ingestion() {
                         onClick={() => handleStatClick('failed')}
                         isActive={statusFilter === 'failed'}
                     />
+                    <StatCard
+                        label="Dead-letter"
+                        value={stats.dead_letter}
+                        icon={Skull}
+                        color="text-red-300"
+                        bgColor="bg-red-900/30"
+                        borderColor="border-red-900/50"
+                        onClick={() => handleStatClick(DEAD_LETTER_FILTER)}
+                        isActive={statusFilter === DEAD_LETTER_FILTER}
+                    />
+                    <StatCard
+                        label="Annulés"
+                        value={stats.cancelled}
+                        icon={Ban}
+                        color="text-baikal-text"
+                        bgColor="bg-baikal-border/40"
+                        borderColor="border-baikal-border"
+                        onClick={() => handleStatClick('cancelled')}
+                        isActive={statusFilter === 'cancelled'}
+                    />
                 </div>
 
                 {/* Filtres */}
@@ -1169,6 +1572,51 @@ export default function Ingestion() {
                     )}
                 </div>
 
+                {/* Actions groupées */}
+                {selectedIds.size > 0 && (
+                    <div className="flex flex-wrap items-center gap-3 mb-6 p-3 bg-baikal-surface border border-baikal-cyan/50 rounded-md">
+                        <span className="text-sm font-mono text-baikal-cyan">
+                            {selectedIds.size} SÉLECTIONNÉ{selectedIds.size > 1 ? 'S' : ''}
+                        </span>
+                        <button
+                            onClick={handleBulkRetry}
+                            disabled={refreshing || retryableSelection.length === 0}
+                            className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-amber-400 border border-amber-500/30 hover:bg-amber-500/20 rounded-md transition-colors font-mono disabled:opacity-50"
+                        >
+                            <RotateCcw className="w-3.5 h-3.5" />
+                            RETRY ({retryableSelection.length})
+                        </button>
+                        <button
+                            onClick={handleBulkCancel}
+                            disabled={refreshing || cancellableSelection.length === 0}
+                            className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-baikal-text border border-baikal-border hover:text-white hover:bg-baikal-bg rounded-md transition-colors font-mono disabled:opacity-50"
+                        >
+                            <Ban className="w-3.5 h-3.5" />
+                            ANNULER ({cancellableSelection.length})
+                        </button>
+                        <div className="flex items-center gap-2">
+                            <ArrowUpDown className="w-4 h-4 text-baikal-text" />
+                            <select
+                                value={bulkPriority}
+                                onChange={(e) => handleBulkPriority(e.target.value)}
+                                disabled={refreshing}
+                                className="px-3 py-1.5 bg-baikal-bg border border-baikal-border rounded-md text-sm text-white focus:outline-none focus:border-baikal-cyan transition-colors font-mono"
+                            >
+                                <option value="">PRIORITÉ...</option>
+                                {PRIORITY_OPTIONS.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <button
+                            onClick={() => setSelectedIds(new Set())}
+                            className="ml-auto text-sm text-baikal-text hover:text-white font-mono"
+                        >
+                            DÉSÉLECTIONNER
+                        </button>
+                    </div>
+                )}
+
                 {/* Erreur */}
                 {error && (
                     <div className="mb-6 p-4 bg-red-900/20 border border-red-500/50 rounded-md flex items-center gap-3 text-red-300">
@@ -1213,12 +1661,24 @@ export default function Ingestion() {
                             <table className="w-full">
                                 <thead>
                                     <tr className="bg-baikal-bg/50 border-b border-baikal-border">
+                                        <th className="pl-4 py-3 w-8">
+                                            <input
+                                                type="checkbox"
+                                                checked={selectedIds.size > 0 && selectedIds.size === jobs.length}
+                                                onChange={handleToggleSelectAll}
+                                                className="accent-baikal-cyan"
+                                                aria-label="Tout sélectionner"
+                                            />
+                                        </th>
                                         <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
                                             Fichier
                                         </th>
                                         <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
                                             Status
                                         </th>
+                                        <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                            Priorité
+                                        </th>
                                         <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
                                             Tentatives
                                         </th>
@@ -1235,6 +1695,8 @@ export default function Ingestion() {
                                         <JobRow
                                             key={job.id}
                                             job={job}
+                                            selected={selectedIds.has(job.id)}
+                                            onToggleSelect={handleToggleSelect}
                                             onRetry={handleRetry}
                                             onDelete={handleDelete}
                                             onViewDetails={handleViewDetails}
@@ -9,6 +9,9 @@
  * - Copie du lien d'invitation
  * - Révocation d'invitation
  * - Affichage des utilisations
+ * - Projets pré-assignés (rôle projet) rejoints à l'inscription avec le code
+ * - Invitations en masse par CSV (aperçu, validation, envoi des emails)
+ * - Suivi des emails : envoyée, ouverte, acceptée, rejetée ; renvoi
  * 
  * Route : /admin/invitations
  * Accès : super_admin (toutes orgs) / org_admin (son org)
@@ -28,7 +31,8 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { invitationsService, organizationService } from '../../services';
+import { useEntitlements } from '../../hooks/useEntitlements';
+import { invitationsService, organizationService, projectsService, RECIPIENT_STATUSES, PROJECT_ROLES } from '../../services';
 import { formatDate } from '@shared/utils';
 import {
     Mail,
@@ -54,6 +58,10 @@ import {
     CheckCircle2,
     XCircle,
     AlertTriangle,
+    Send,
+    Upload,
+    Download,
+    FolderOpen,
 } from 'lucide-react';
 
 // ============================================================================
@@ -233,6 +241,31 @@ function CopyButton({ text, label = 'Copier' }) {
     );
 }
 
+/**
+ * Projets rejoints avec le code (nom et rôle projet)
+ */
+function ProjectChips({ projects }) {
+    if (!projects?.length) return null;
+
+    return (
+        <div className="flex flex-wrap gap-1 mt-1">
+            {projects.map((project) => {
+                const role = PROJECT_ROLES.find(r => r.value === project.role);
+                return (
+                    <span
+                        key={project.id}
+                        className="inline-flex items-center gap-1 px-1.5 py-0.5 bg-baikal-bg border border-baikal-border rounded text-xs text-baikal-text"
+                    >
+                        <FolderOpen className="w-3 h-3" />
+                        {project.name}
+                        <span className={`font-mono ${role?.color || ''}`}>{role?.label || project.role}</span>
+                    </span>
+                );
+            })}
+        </div>
+    );
+}
+
 /**
  * Ligne du tableau invitation
  */
@@ -293,6 +326,13 @@ function InvitationRow({ invitation, onCopyLink, onRevoke, showOrg = true }) {
                 <span className="text-xs font-mono text-violet-400">
                     {invitation.default_app_role || 'user'}
                 </span>
+                <ProjectChips
+                    projects={(invitation.projects || []).map(p => ({
+                        id: p.project?.id,
+                        name: p.project?.name || '?',
+                        role: p.role,
+                    }))}
+                />
             </td>
 
             {/* Statut */}
@@ -337,6 +377,8 @@ function CreateInvitationModal({ isOpen, onClose, organizations, defaultOrgId, o
         expires_in_days: '7',
         default_app_role: 'user',
     });
+    const [availableProjects, setAvailableProjects] = useState([]);
+    const [selectedProjects, setSelectedProjects] = useState({}); // { projectId: role }
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [createdInvitation, setCreatedInvitation] = useState(null);
@@ -351,11 +393,40 @@ function CreateInvitationModal({ isOpen, onClose, organizations, defaultOrgId, o
                 expires_in_days: '7',
                 default_app_role: 'user',
             });
+            setSelectedProjects({});
             setError(null);
             setCreatedInvitation(null);
         }
     }, [isOpen, defaultOrgId]);
 
+    // Projets de l'organisation cible
+    const projectsOrgId = formData.org_id || defaultOrgId;
+    useEffect(() => {
+        if (!isOpen || !projectsOrgId) {
+            setAvailableProjects([]);
+            return;
+        }
+
+        let cancelled = false;
+        setSelectedProjects({});
+        projectsService.getProjects({ orgId: projectsOrgId }).then(({ data }) => {
+            if (!cancelled) setAvailableProjects(data || []);
+        });
+        return () => { cancelled = true; };
+    }, [isOpen, projectsOrgId]);
+
+    const toggleProject = (projectId) => {
+        setSelectedProjects(prev => {
+            const next = { ...prev };
+            if (next[projectId]) {
+                delete next[projectId];
+            } else {
+                next[projectId] = 'member';
+            }
+            return next;
+        });
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setLoading(true);
@@ -368,6 +439,7 @@ function CreateInvitationModal({ isOpen, onClose, organizations, defaultOrgId, o
                 maxUses: formData.max_uses ? parseInt(formData.max_uses, 10) : null,
                 expiresInDays: formData.expires_in_days ? parseInt(formData.expires_in_days, 10) : null,
                 defaultAppRole: formData.default_app_role || 'user',
+                projects: Object.entries(selectedProjects).map(([projectId, role]) => ({ projectId, role })),
             });
 
             if (result.error) {
@@ -472,6 +544,18 @@ function CreateInvitationModal({ isOpen, onClose, organizations, defaultOrgId, o
                                         {createdInvitation.default_app_role}
                                     </span>
                                 </li>
+                                {createdInvitation.projects?.length > 0 && (
+                                    <li>
+                                        Projets :
+                                        <ProjectChips
+                                            projects={createdInvitation.projects.map(p => ({
+                                                id: p.project_id,
+                                                name: availableProjects.find(ap => ap.id === p.project_id)?.name || '?',
+                                                role: p.role,
+                                            }))}
+                                        />
+                                    </li>
+                                )}
                             </ul>
                         </div>
 
@@ -619,6 +703,46 @@ function CreateInvitationModal({ isOpen, onClose, organizations, defaultOrgId, o
                         </p>
                     </div>
 
+                    {/* Projets */}
+                    {availableProjects.length > 0 && (
+                        <div>
+                            <label className="block text-sm font-mono text-baikal-text mb-2">
+                                Projets (optionnel)
+                            </label>
+                            <div className="max-h-48 overflow-y-auto border border-baikal-border rounded-md divide-y divide-baikal-border">
+                                {availableProjects.map((project) => (
+                                    <div key={project.id} className="flex items-center gap-3 px-3 py-2">
+                                        <label className="flex-1 flex items-center gap-2 text-sm text-white cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={Boolean(selectedProjects[project.id])}
+                                                onChange={() => toggleProject(project.id)}
+                                                className="rounded border-baikal-border bg-baikal-bg text-baikal-cyan focus:ring-baikal-cyan"
+                                            />
+                                            {project.name}
+                                        </label>
+                                        {selectedProjects[project.id] && (
+                                            <select
+                                                value={selectedProjects[project.id]}
+                                                onChange={(e) => setSelectedProjects({ ...selectedProjects, [project.id]: e.target.value })}
+                                                className="px-2 py-1 bg-baikal-bg border border-baikal-border rounded text-white text-xs font-mono focus:outline-none focus:border-baikal-cyan"
+                                            >
+                                                {PROJECT_ROLES.map((role) => (
+                                                    <option key={role.value} value={role.value}>
+                                                        {role.label}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                            <p className="mt-1 text-xs text-baikal-text">
+                                Les utilisateurs rejoignent ces projets à l'inscription
+                            </p>
+                        </div>
+                    )}
+
                     {/* Info */}
                     <div className="p-3 bg-baikal-bg/50 border border-baikal-border rounded-md">
                         <p className="text-xs text-baikal-text">
@@ -770,6 +894,459 @@ function RevokeConfirmModal({ isOpen, onClose, invitation, onConfirm }) {
     );
 }
 
+/**
+ * Badge de statut d'envoi d'une invitation par email
+ */
+function RecipientStatusBadge({ status }) {
+    const config = RECIPIENT_STATUSES[status] || RECIPIENT_STATUSES.pending;
+
+    return (
+        <span className={`inline-flex items-center px-2 py-1 rounded text-xs font-mono ${config.className}`}>
+            {config.label.toUpperCase()}
+        </span>
+    );
+}
+
+/**
+ * Ligne du suivi des invitations par email
+ */
+function RecipientRow({ recipient, showOrg, onResend, resending }) {
+    const lastEvent = recipient.accepted_at || recipient.bounced_at || recipient.opened_at || recipient.sent_at;
+
+    return (
+        <tr className="border-b border-baikal-border hover:bg-baikal-surface/50 transition-colors">
+            {/* Destinataire */}
+            <td className="px-4 py-4">
+                <p className="text-sm text-white">{recipient.email}</p>
+                {recipient.full_name && (
+                    <p className="text-xs text-baikal-text mt-0.5">{recipient.full_name}</p>
+                )}
+            </td>
+
+            {/* Organisation */}
+            {showOrg && (
+                <td className="px-4 py-4">
+                    <div className="flex items-center gap-2 text-baikal-text">
+                        <Building2 className="w-4 h-4" />
+                        <span className="text-sm">{recipient.organization?.name || '-'}</span>
+                    </div>
+                </td>
+            )}
+
+            {/* Code & rôle */}
+            <td className="px-4 py-4">
+                <p className="font-mono text-white text-sm">{recipient.invitation_code}</p>
+                <p className="text-xs text-violet-400 font-mono mt-0.5">
+                    {recipient.app_role}
+                    {recipient.project_ids?.length > 0 && (
+                        <span className="text-baikal-text"> · {recipient.project_ids.length} projet{recipient.project_ids.length > 1 ? 's' : ''}</span>
+                    )}
+                </p>
+            </td>
+
+            {/* Statut */}
+            <td className="px-4 py-4">
+                <RecipientStatusBadge status={recipient.status} />
+                {recipient.error && (
+                    <p className="text-xs text-red-400 mt-1 max-w-xs truncate" title={recipient.error}>
+                        {recipient.error}
+                    </p>
+                )}
+            </td>
+
+            {/* Dernier événement */}
+            <td className="px-4 py-4 text-sm text-baikal-text">
+                {lastEvent ? formatDate(lastEvent) : '-'}
+                {recipient.send_count > 1 && (
+                    <p className="text-xs font-mono">{recipient.send_count} envois</p>
+                )}
+            </td>
+
+            {/* Actions */}
+            <td className="px-4 py-4">
+                <div className="flex items-center justify-end">
+                    {recipient.status !== 'accepted' && (
+                        <button
+                            onClick={() => onResend(recipient)}
+                            disabled={resending}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded text-sm font-mono bg-baikal-bg text-baikal-text hover:text-white hover:bg-baikal-surface disabled:opacity-50 transition-colors"
+                        >
+                            <Send className="w-3.5 h-3.5" />
+                            Renvoyer
+                        </button>
+                    )}
+                </div>
+            </td>
+        </tr>
+    );
+}
+
+/**
+ * Modal d'invitations en masse (import CSV)
+ * Étapes : fichier → aperçu et validation → résultat des envois
+ */
+function BulkInviteModal({ isOpen, onClose, organizations, defaultOrgId, onCreated, isSuperAdmin, checkQuota }) {
+    const availableRoles = getAvailableRoles(isSuperAdmin);
+
+    const [step, setStep] = useState('upload');
+    const [orgId, setOrgId] = useState(defaultOrgId || '');
+    const [expiresInDays, setExpiresInDays] = useState('14');
+    const [message, setMessage] = useState('');
+    const [rows, setRows] = useState([]);
+    const [fileName, setFileName] = useState('');
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (isOpen) {
+            setStep('upload');
+            setOrgId(defaultOrgId || '');
+            setExpiresInDays('14');
+            setMessage('');
+            setRows([]);
+            setFileName('');
+            setResult(null);
+            setError(null);
+        }
+    }, [isOpen, defaultOrgId]);
+
+    const validRows = rows.filter(row => row.errors.length === 0);
+    const invalidCount = rows.length - validRows.length;
+    const quota = checkQuota('max_users', validRows.length);
+
+    const handleDownloadTemplate = () => {
+        const blob = new Blob([invitationsService.getCsvTemplate()], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'invitations.csv';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setLoading(true);
+        setError(null);
+
+        try {
+            const [text, projectsResult] = await Promise.all([
+                file.text(),
+                projectsService.getProjects({ orgId: orgId || null }),
+            ]);
+
+            const { data, error: parseError } = invitationsService.parseRecipientsCsv(text, {
+                projects: projectsResult.data || [],
+                allowedRoles: availableRoles.map(role => role.value),
+            });
+
+            if (parseError) {
+                throw parseError;
+            }
+
+            setRows(data);
+            setFileName(file.name);
+            setStep('preview');
+        } catch (err) {
+            console.error('[BulkInviteModal] Error:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSubmit = async () => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            const { data, error: createError } = await invitationsService.createBulkInvitations({
+                orgId: orgId || null,
+                recipients: validRows,
+                expiresInDays: expiresInDays ? parseInt(expiresInDays, 10) : null,
+                message: message.trim() || null,
+            });
+
+            if (createError) {
+                throw createError;
+            }
+
+            setResult(data);
+            setStep('result');
+            onCreated();
+        } catch (err) {
+            console.error('[BulkInviteModal] Error:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center">
+            <div
+                className="absolute inset-0 bg-black/70 backdrop-blur-sm"
+                onClick={loading ? undefined : onClose}
+            />
+
+            <div className="relative w-full max-w-3xl mx-4 bg-baikal-surface border border-baikal-border rounded-lg shadow-xl max-h-[90vh] overflow-y-auto">
+                {/* Header */}
+                <div className="flex items-center justify-between px-6 py-4 border-b border-baikal-border sticky top-0 bg-baikal-surface z-10">
+                    <div>
+                        <h2 className="text-lg font-mono font-semibold text-white">
+                            IMPORT_CSV
+                        </h2>
+                        {fileName && step !== 'upload' && (
+                            <p className="text-xs text-baikal-text font-mono">{fileName}</p>
+                        )}
+                    </div>
+                    <button
+                        onClick={onClose}
+                        disabled={loading}
+                        className="p-2 text-baikal-text hover:text-white hover:bg-baikal-bg rounded-md transition-colors"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    {/* Erreur */}
+                    {error && (
+                        <div className="p-3 bg-red-900/20 border border-red-500/50 rounded-md flex items-center gap-2 text-red-300 text-sm">
+                            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                            {error}
+                        </div>
+                    )}
+
+                    {/* Étape 1 : fichier et options */}
+                    {step === 'upload' && (
+                        <>
+                            {organizations.length > 0 && (
+                                <div>
+                                    <label className="block text-sm font-mono text-baikal-text mb-2">
+                                        Organisation cible *
+                                    </label>
+                                    <select
+                                        value={orgId}
+                                        onChange={(e) => setOrgId(e.target.value)}
+                                        className="w-full px-4 py-2.5 bg-baikal-bg border border-baikal-border rounded-md text-white focus:outline-none focus:border-baikal-cyan transition-colors"
+                                    >
+                                        <option value="">-- Sélectionner une organisation --</option>
+                                        {organizations.map((org) => (
+                                            <option key={org.id} value={org.id}>
+                                                {org.name}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-mono text-baikal-text mb-2">
+                                        Expire dans (jours)
+                                    </label>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        value={expiresInDays}
+                                        onChange={(e) => setExpiresInDays(e.target.value)}
+                                        placeholder="Sans expiration"
+                                        className="w-full px-4 py-2.5 bg-baikal-bg border border-baikal-border rounded-md text-white placeholder-baikal-text/50 focus:outline-none focus:border-baikal-cyan transition-colors"
+                                    />
+                                </div>
+                                <div className="flex items-end">
+                                    <button
+                                        type="button"
+                                        onClick={handleDownloadTemplate}
+                                        className="flex items-center gap-2 px-4 py-2.5 text-sm font-mono text-baikal-cyan hover:underline"
+                                    >
+                                        <Download className="w-4 h-4" />
+                                        Modèle CSV
+                                    </button>
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-mono text-baikal-text mb-2">
+                                    Message personnalisé (optionnel)
+                                </label>
+                                <textarea
+                                    value={message}
+                                    onChange={(e) => setMessage(e.target.value)}
+                                    rows={3}
+                                    placeholder="Ajouté à l'email d'invitation"
+                                    className="w-full px-4 py-2.5 bg-baikal-bg border border-baikal-border rounded-md text-white placeholder-baikal-text/50 focus:outline-none focus:border-baikal-cyan transition-colors"
+                                />
+                            </div>
+
+                            <label
+                                className={`
+                                    flex flex-col items-center justify-center gap-2 p-8 border-2 border-dashed rounded-md transition-colors
+                                    ${organizations.length > 0 && !orgId
+                                        ? 'border-baikal-border opacity-50 cursor-not-allowed'
+                                        : 'border-baikal-border hover:border-baikal-cyan cursor-pointer'
+                                    }
+                                `}
+                            >
+                                {loading ? (
+                                    <Loader2 className="w-8 h-8 text-baikal-cyan animate-spin" />
+                                ) : (
+                                    <Upload className="w-8 h-8 text-baikal-text" />
+                                )}
+                                <span className="text-sm font-mono text-white">Choisir un fichier CSV</span>
+                                <span className="text-xs text-baikal-text">
+                                    Colonnes : email ; nom ; role ; projets (« Projet:rôle », séparés par « | »)
+                                </span>
+                                <input
+                                    type="file"
+                                    accept=".csv,text/csv"
+                                    onChange={handleFile}
+                                    disabled={loading || (organizations.length > 0 && !orgId)}
+                                    className="hidden"
+                                />
+                            </label>
+                        </>
+                    )}
+
+                    {/* Étape 2 : aperçu et validation */}
+                    {step === 'preview' && (
+                        <>
+                            <div className="flex items-center gap-4 text-sm font-mono">
+                                <span className="text-green-400">{validRows.length} valide{validRows.length > 1 ? 's' : ''}</span>
+                                {invalidCount > 0 && (
+                                    <span className="text-red-400">{invalidCount} en erreur (ignorée{invalidCount > 1 ? 's' : ''})</span>
+                                )}
+                            </div>
+
+                            {!quota.allowed && (
+                                <div className="p-3 bg-amber-900/20 border border-amber-500/50 rounded-md flex items-start gap-2 text-amber-300 text-sm">
+                                    <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                                    {quota.message}
+                                </div>
+                            )}
+
+                            <div className="border border-baikal-border rounded-md overflow-hidden max-h-80 overflow-y-auto">
+                                <table className="w-full text-sm">
+                                    <thead className="sticky top-0">
+                                        <tr className="bg-baikal-bg border-b border-baikal-border text-left text-xs font-mono text-baikal-text uppercase">
+                                            <th className="px-3 py-2">Ligne</th>
+                                            <th className="px-3 py-2">Email</th>
+                                            <th className="px-3 py-2">Nom</th>
+                                            <th className="px-3 py-2">Rôle</th>
+                                            <th className="px-3 py-2">Projets</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {rows.map((row) => (
+                                            <tr
+                                                key={row.line}
+                                                className={`border-b border-baikal-border ${row.errors.length ? 'bg-red-900/10' : ''}`}
+                                            >
+                                                <td className="px-3 py-2 font-mono text-baikal-text">{row.line}</td>
+                                                <td className="px-3 py-2 text-white">
+                                                    {row.email || '-'}
+                                                    {row.errors.map((err) => (
+                                                        <p key={err} className="text-xs text-red-400">{err}</p>
+                                                    ))}
+                                                </td>
+                                                <td className="px-3 py-2 text-baikal-text">{row.full_name || '-'}</td>
+                                                <td className="px-3 py-2 font-mono text-violet-400">{row.app_role}</td>
+                                                <td className="px-3 py-2 text-baikal-text">{row.projects.map(p => `${p.name} (${p.role})`).join(', ') || '-'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            <div className="flex items-center justify-end gap-3 pt-2">
+                                <button
+                                    type="button"
+                                    onClick={() => setStep('upload')}
+                                    disabled={loading}
+                                    className="px-4 py-2 text-baikal-text hover:text-white transition-colors font-mono"
+                                >
+                                    RETOUR
+                                </button>
+                                <button
+                                    onClick={handleSubmit}
+                                    disabled={loading || validRows.length === 0 || !quota.allowed}
+                                    className="flex items-center gap-2 px-4 py-2 bg-baikal-cyan text-black font-medium rounded-md hover:bg-baikal-cyan/90 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-mono"
+                                >
+                                    {loading ? (
+                                        <Loader2 className="w-4 h-4 animate-spin" />
+                                    ) : (
+                                        <Send className="w-4 h-4" />
+                                    )}
+                                    INVITER ({validRows.length})
+                                </button>
+                            </div>
+                        </>
+                    )}
+
+                    {/* Étape 3 : résultat */}
+                    {step === 'result' && result && (
+                        <>
+                            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                                {[
+                                    { label: 'Créées', value: result.recipients.length, className: 'text-white' },
+                                    { label: 'Envoyées', value: result.delivery?.sent ?? 0, className: 'text-blue-400' },
+                                    { label: 'Rejetées', value: result.delivery?.bounced ?? 0, className: 'text-red-400' },
+                                    { label: 'Échecs', value: (result.delivery?.failed ?? 0) + result.failed.length, className: 'text-amber-400' },
+                                ].map(stat => (
+                                    <div key={stat.label} className="p-3 bg-baikal-bg border border-baikal-border rounded-md">
+                                        <p className="text-xs font-mono text-baikal-text uppercase">{stat.label}</p>
+                                        <p className={`text-2xl font-mono ${stat.className}`}>{stat.value}</p>
+                                    </div>
+                                ))}
+                            </div>
+
+                            {result.delivery?.error && (
+                                <div className="p-3 bg-amber-900/20 border border-amber-500/50 rounded-md text-amber-300 text-sm">
+                                    Invitations créées mais emails non envoyés : {result.delivery.error}.
+                                    Vous pourrez les renvoyer depuis le suivi des emails.
+                                </div>
+                            )}
+
+                            {result.delivery?.transport === 'log' && (
+                                <p className="text-xs text-baikal-text font-mono">
+                                    Transport « log » : les emails sont écrits dans les logs de l'Edge Function, sans envoi réel.
+                                </p>
+                            )}
+
+                            {result.failed.length > 0 && (
+                                <div className="p-3 bg-red-900/20 border border-red-500/50 rounded-md text-sm">
+                                    <p className="text-red-300 mb-1">Invitations non créées :</p>
+                                    <ul className="text-red-400 space-y-0.5">
+                                        {result.failed.map(item => (
+                                            <li key={item.email}>{item.email} : {item.error}</li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
+                            <div className="flex justify-end pt-2">
+                                <button
+                                    onClick={onClose}
+                                    className="px-4 py-2 bg-baikal-cyan text-black font-medium rounded-md hover:bg-baikal-cyan/90 transition-colors font-mono"
+                                >
+                                    FERMER
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
 // ============================================================================
 // PAGE PRINCIPALE
 // ============================================================================
@@ -792,6 +1369,21 @@ export default function Invitations() {
     // Modals
     const [showCreateModal, setShowCreateModal] = useState(false);
     const [revokingInvitation, setRevokingInvitation] = useState(null);
+    const [showBulkModal, setShowBulkModal] = useState(false);
+
+    // Suivi des invitations par email
+    const [view, setView] = useState('codes');
+    const [recipients, setRecipients] = useState([]);
+    const [recipientsLoading, setRecipientsLoading] = useState(false);
+    const [recipientsError, setRecipientsError] = useState(null);
+    const [recipientStatusFilter, setRecipientStatusFilter] = useState('all');
+    const [resending, setResending] = useState(false);
+
+    // Limite d'utilisateurs du plan (org_admin ; pour super_admin, vérifiée à la création)
+    const { checkQuota } = useEntitlements(profile?.org_id, {
+        enabled: !isSuperAdmin && Boolean(profile?.org_id),
+    });
+    const userQuota = checkQuota('max_users');
 
     // Vérifier les query params pour ouvrir la modal de création
     useEffect(() => {
@@ -859,6 +1451,35 @@ export default function Invitations() {
         loadInvitations();
     }, [loadInvitations]);
 
+    // Charger le suivi des emails
+    const loadRecipients = useCallback(async () => {
+        setRecipientsLoading(true);
+        setRecipientsError(null);
+
+        const result = await invitationsService.getRecipients({ orgId: orgFilter || null });
+        if (result.error) {
+            setRecipientsError(result.error.message || 'Erreur lors du chargement');
+        } else {
+            setRecipients(result.data);
+        }
+        setRecipientsLoading(false);
+    }, [orgFilter]);
+
+    useEffect(() => {
+        if (view === 'emails') {
+            loadRecipients();
+        }
+    }, [view, loadRecipients]);
+
+    const recipientCounts = recipients.reduce((counts, r) => {
+        counts[r.status] = (counts[r.status] || 0) + 1;
+        return counts;
+    }, {});
+    const filteredRecipients = recipientStatusFilter === 'all'
+        ? recipients
+        : recipients.filter(r => r.status === recipientStatusFilter);
+    const retryableRecipients = recipients.filter(r => r.status === 'failed' || r.status === 'bounced');
+
     // Handlers
     const handleRevoke = (invitation) => {
         setRevokingInvitation(invitation);
@@ -872,6 +1493,28 @@ export default function Invitations() {
         loadInvitations();
     };
 
+    const handleBulkCreated = () => {
+        loadInvitations();
+        if (view === 'emails') {
+            loadRecipients();
+        }
+    };
+
+    const handleResend = async (items) => {
+        setResending(true);
+        setRecipientsError(null);
+
+        const result = await invitationsService.sendInvitationEmails({
+            recipientIds: items.map(r => r.id),
+        });
+        if (result.error) {
+            setRecipientsError(result.error.message || 'Erreur lors de l\'envoi');
+        }
+
+        setResending(false);
+        loadRecipients();
+    };
+
     // Org par défaut pour la création (org_admin)
     const defaultOrgId = !isSuperAdmin ? profile?.org_id : '';
 
@@ -899,139 +1542,326 @@ export default function Invitations() {
                             </div>
                         </div>
 
-                        {/* Bouton créer */}
-                        <button
-                            onClick={() => setShowCreateModal(true)}
-                            className="flex items-center gap-2 px-4 py-2 bg-baikal-cyan text-black font-medium rounded-md hover:bg-baikal-cyan/90 transition-colors font-mono"
-                        >
-                            <Plus className="w-4 h-4" />
-                            NOUVELLE_INVITATION
-                        </button>
+                        {/* Boutons import CSV / créer */}
+                        <div className="flex items-center gap-3">
+                            <button
+                                onClick={() => setShowBulkModal(true)}
+                                disabled={!userQuota.allowed}
+                                title={userQuota.message || undefined}
+                                className="flex items-center gap-2 px-4 py-2 bg-baikal-bg text-white border border-baikal-border rounded-md hover:border-baikal-cyan transition-colors font-mono disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                <Upload className="w-4 h-4" />
+                                IMPORT_CSV
+                            </button>
+                            <button
+                                onClick={() => setShowCreateModal(true)}
+                                disabled={!userQuota.allowed}
+                                title={userQuota.message || undefined}
+                                className="flex items-center gap-2 px-4 py-2 bg-baikal-cyan text-black font-medium rounded-md hover:bg-baikal-cyan/90 transition-colors font-mono disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                <Plus className="w-4 h-4" />
+                                NOUVELLE_INVITATION
+                            </button>
+                        </div>
                     </div>
                 </div>
             </header>
 
             {/* Contenu */}
             <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-                {/* Filtres */}
-                <div className="flex flex-col sm:flex-row gap-4 mb-6">
-                    {/* Filtre par statut */}
-                    <div className="flex gap-2 overflow-x-auto pb-2 sm:pb-0">
-                        {STATUS_FILTERS.map((filter) => (
-                            <button
-                                key={filter.value}
-                                onClick={() => setStatusFilter(filter.value)}
-                                className={`
-                                    px-3 py-1.5 rounded text-sm font-mono whitespace-nowrap transition-colors
-                                    ${statusFilter === filter.value
-                                        ? 'bg-baikal-cyan text-black'
-                                        : 'bg-baikal-surface text-baikal-text hover:text-white border border-baikal-border'
-                                    }
-                                `}
-                            >
-                                {filter.label}
-                            </button>
-                        ))}
+                {/* Limite d'utilisateurs atteinte */}
+                {!userQuota.allowed && (
+                    <div className="mb-6 p-4 bg-amber-900/20 border border-amber-500/50 rounded-md flex items-start gap-3 text-amber-300">
+                        <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                        <p className="text-sm font-sans">{userQuota.message}</p>
                     </div>
+                )}
 
-                    {/* Filtre par org (super_admin) */}
-                    {isSuperAdmin && organizations.length > 0 && (
-                        <select
-                            value={orgFilter}
-                            onChange={(e) => setOrgFilter(e.target.value)}
-                            className="px-4 py-2 bg-baikal-surface border border-baikal-border rounded-md text-white focus:outline-none focus:border-baikal-cyan transition-colors"
-                        >
-                            <option value="">Toutes les organisations</option>
-                            {organizations.map((org) => (
-                                <option key={org.id} value={org.id}>
-                                    {org.name}
-                                </option>
-                            ))}
-                        </select>
-                    )}
-                </div>
-
-                {/* Erreur */}
-                {error && (
-                    <div className="mb-6 p-4 bg-red-900/20 border border-red-500/50 rounded-md flex items-center gap-3 text-red-300">
-                        <AlertCircle className="w-5 h-5 flex-shrink-0" />
-                        <p className="font-mono">{error}</p>
+                {/* Vues : codes / suivi des emails */}
+                <div className="flex gap-6 mb-6 border-b border-baikal-border">
+                    {[
+                        { id: 'codes', label: 'CODES', icon: LinkIcon },
+                        { id: 'emails', label: 'SUIVI_EMAILS', icon: Send },
+                    ].map(({ id, label, icon: Icon }) => (
                         <button
-                            onClick={loadInvitations}
-                            className="ml-auto text-sm font-medium hover:underline font-mono"
+                            key={id}
+                            onClick={() => setView(id)}
+                            className={`
+                                flex items-center gap-2 pb-3 -mb-px text-sm font-mono border-b-2 transition-colors
+                                ${view === id
+                                    ? 'border-baikal-cyan text-white'
+                                    : 'border-transparent text-baikal-text hover:text-white'
+                                }
+                            `}
                         >
-                            RÉESSAYER
+                            <Icon className="w-4 h-4" />
+                            {label}
                         </button>
-                    </div>
-                )}
+                    ))}
+                </div>
 
-                {/* Loading */}
-                {loading && (
-                    <div className="flex items-center justify-center py-12">
-                        <Loader2 className="w-8 h-8 text-baikal-cyan animate-spin" />
-                    </div>
-                )}
+                {view === 'codes' && (
+                    <>
+                    {/* Filtres */}
+                    <div className="flex flex-col sm:flex-row gap-4 mb-6">
+                        {/* Filtre par statut */}
+                        <div className="flex gap-2 overflow-x-auto pb-2 sm:pb-0">
+                            {STATUS_FILTERS.map((filter) => (
+                                <button
+                                    key={filter.value}
+                                    onClick={() => setStatusFilter(filter.value)}
+                                    className={`
+                                        px-3 py-1.5 rounded text-sm font-mono whitespace-nowrap transition-colors
+                                        ${statusFilter === filter.value
+                                            ? 'bg-baikal-cyan text-black'
+                                            : 'bg-baikal-surface text-baikal-text hover:text-white border border-baikal-border'
+                                        }
+                                    `}
+                                >
+                                    {filter.label}
+                                </button>
+                            ))}
+                        </div>
 
-                {/* Liste vide */}
-                {!loading && invitations.length === 0 && (
-                    <div className="bg-baikal-surface border border-baikal-border rounded-md p-12 text-center">
-                        <Mail className="w-12 h-12 text-baikal-text mx-auto mb-4" />
-                        <h3 className="text-lg font-mono font-medium text-white">
-                            {EMPTY_STATE_TITLES[statusFilter] || 'AUCUNE_INVITATION'}
-                        </h3>
+                        {/* Filtre par org (super_admin) */}
+                        {isSuperAdmin && organizations.length > 0 && (
+                            <select
+                                value={orgFilter}
+                                onChange={(e) => setOrgFilter(e.target.value)}
+                                className="px-4 py-2 bg-baikal-surface border border-baikal-border rounded-md text-white focus:outline-none focus:border-baikal-cyan transition-colors"
+                            >
+                                <option value="">Toutes les organisations</option>
+                                {organizations.map((org) => (
+                                    <option key={org.id} value={org.id}>
+                                        {org.name}
+                                    </option>
+                                ))}
+                            </select>
+                        )}
                     </div>
-                )}
 
-                {/* Tableau */}
-                {!loading && invitations.length > 0 && (
-                    <div className="bg-baikal-surface border border-baikal-border rounded-md overflow-hidden">
-                        <div className="overflow-x-auto">
-                            <table className="w-full">
-                                <thead>
-                                    <tr className="bg-baikal-bg/50 border-b border-baikal-border">
-                                        <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
-                                            Code
-                                        </th>
-                                        {isSuperAdmin && (
+                    {/* Erreur */}
+                    {error && (
+                        <div className="mb-6 p-4 bg-red-900/20 border border-red-500/50 rounded-md flex items-center gap-3 text-red-300">
+                            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                            <p className="font-mono">{error}</p>
+                            <button
+                                onClick={loadInvitations}
+                                className="ml-auto text-sm font-medium hover:underline font-mono"
+                            >
+                                RÉESSAYER
+                            </button>
+                        </div>
+                    )}
+
+                    {/* Loading */}
+                    {loading && (
+                        <div className="flex items-center justify-center py-12">
+                            <Loader2 className="w-8 h-8 text-baikal-cyan animate-spin" />
+                        </div>
+                    )}
+
+                    {/* Liste vide */}
+                    {!loading && invitations.length === 0 && (
+                        <div className="bg-baikal-surface border border-baikal-border rounded-md p-12 text-center">
+                            <Mail className="w-12 h-12 text-baikal-text mx-auto mb-4" />
+                            <h3 className="text-lg font-mono font-medium text-white">
+                                {EMPTY_STATE_TITLES[statusFilter] || 'AUCUNE_INVITATION'}
+                            </h3>
+                        </div>
+                    )}
+
+                    {/* Tableau */}
+                    {!loading && invitations.length > 0 && (
+                        <div className="bg-baikal-surface border border-baikal-border rounded-md overflow-hidden">
+                            <div className="overflow-x-auto">
+                                <table className="w-full">
+                                    <thead>
+                                        <tr className="bg-baikal-bg/50 border-b border-baikal-border">
                                             <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
-                                                Organisation
+                                                Code
                                             </th>
-                                        )}
-                                        <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
-                                            Utilisations
-                                        </th>
-                                        <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
-                                            Expiration
-                                        </th>
-                                        <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
-                                            Rôle
-                                        </th>
-                                        <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
-                                            Statut
-                                        </th>
-                                        <th className="px-4 py-3 text-right text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
-                                            Actions
-                                        </th>
-                                    </tr>
-                                </thead>
-                                <tbody>
-                                    {invitations.map((invitation) => (
-                                        <InvitationRow
-                                            key={invitation.id}
-                                            invitation={invitation}
-                                            showOrg={isSuperAdmin}
-                                            onRevoke={handleRevoke}
-                                        />
-                                    ))}
-                                </tbody>
-                            </table>
+                                            {isSuperAdmin && (
+                                                <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                                    Organisation
+                                                </th>
+                                            )}
+                                            <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                                Utilisations
+                                            </th>
+                                            <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                                Expiration
+                                            </th>
+                                            <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                                Rôle
+                                            </th>
+                                            <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                                Statut
+                                            </th>
+                                            <th className="px-4 py-3 text-right text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                                Actions
+                                            </th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {invitations.map((invitation) => (
+                                            <InvitationRow
+                                                key={invitation.id}
+                                                invitation={invitation}
+                                                showOrg={isSuperAdmin}
+                                                onRevoke={handleRevoke}
+                                            />
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            {/* Footer stats */}
+                            <div className="px-4 py-3 bg-baikal-bg/30 border-t border-baikal-border text-sm text-baikal-text font-mono">
+                                {invitations.length} invitation{invitations.length > 1 ? 's' : ''}
+                            </div>
                         </div>
+                    )}
+                    </>
+                )}
+
+                {view === 'emails' && (
+                    <>
+                        {/* Filtre par statut d'envoi */}
+                        <div className="flex flex-col sm:flex-row gap-4 mb-6">
+                            <div className="flex gap-2 overflow-x-auto pb-2 sm:pb-0">
+                                {[['all', { label: 'Toutes' }], ...Object.entries(RECIPIENT_STATUSES)].map(([value, config]) => (
+                                    <button
+                                        key={value}
+                                        onClick={() => setRecipientStatusFilter(value)}
+                                        className={`
+                                            px-3 py-1.5 rounded text-sm font-mono whitespace-nowrap transition-colors
+                                            ${recipientStatusFilter === value
+                                                ? 'bg-baikal-cyan text-black'
+                                                : 'bg-baikal-surface text-baikal-text hover:text-white border border-baikal-border'
+                                            }
+                                        `}
+                                    >
+                                        {config.label}
+                                        <span className="ml-1.5 opacity-70">
+                                            {value === 'all' ? recipients.length : recipientCounts[value] || 0}
+                                        </span>
+                                    </button>
+                                ))}
+                            </div>
 
-                        {/* Footer stats */}
-                        <div className="px-4 py-3 bg-baikal-bg/30 border-t border-baikal-border text-sm text-baikal-text font-mono">
-                            {invitations.length} invitation{invitations.length > 1 ? 's' : ''}
+                            {isSuperAdmin && organizations.length > 0 && (
+                                <select
+                                    value={orgFilter}
+                                    onChange={(e) => setOrgFilter(e.target.value)}
+                                    className="px-4 py-2 bg-baikal-surface border border-baikal-border rounded-md text-white focus:outline-none focus:border-baikal-cyan transition-colors"
+                                >
+                                    <option value="">Toutes les organisations</option>
+                                    {organizations.map((org) => (
+                                        <option key={org.id} value={org.id}>
+                                            {org.name}
+                                        </option>
+                                    ))}
+                                </select>
+                            )}
+
+                            {retryableRecipients.length > 0 && (
+                                <button
+                                    onClick={() => handleResend(retryableRecipients)}
+                                    disabled={resending}
+                                    className="sm:ml-auto flex items-center gap-2 px-3 py-1.5 rounded text-sm font-mono bg-baikal-surface text-baikal-text hover:text-white border border-baikal-border disabled:opacity-50 transition-colors"
+                                >
+                                    {resending ? (
+                                        <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                                    ) : (
+                                        <Send className="w-3.5 h-3.5" />
+                                    )}
+                                    RENVOYER_ÉCHECS ({retryableRecipients.length})
+                                </button>
+                            )}
                         </div>
-                    </div>
+
+                        {/* Erreur */}
+                        {recipientsError && (
+                            <div className="mb-6 p-4 bg-red-900/20 border border-red-500/50 rounded-md flex items-center gap-3 text-red-300">
+                                <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                                <p className="font-mono">{recipientsError}</p>
+                                <button
+                                    onClick={loadRecipients}
+                                    className="ml-auto text-sm font-medium hover:underline font-mono"
+                                >
+                                    RÉESSAYER
+                                </button>
+                            </div>
+                        )}
+
+                        {/* Loading */}
+                        {recipientsLoading && (
+                            <div className="flex items-center justify-center py-12">
+                                <Loader2 className="w-8 h-8 text-baikal-cyan animate-spin" />
+                            </div>
+                        )}
+
+                        {/* Liste vide */}
+                        {!recipientsLoading && filteredRecipients.length === 0 && (
+                            <div className="bg-baikal-surface border border-baikal-border rounded-md p-12 text-center">
+                                <Send className="w-12 h-12 text-baikal-text mx-auto mb-4" />
+                                <h3 className="text-lg font-mono font-medium text-white">
+                                    AUCUN_EMAIL_D'INVITATION
+                                </h3>
+                            </div>
+                        )}
+
+                        {/* Tableau */}
+                        {!recipientsLoading && filteredRecipients.length > 0 && (
+                            <div className="bg-baikal-surface border border-baikal-border rounded-md overflow-hidden">
+                                <div className="overflow-x-auto">
+                                    <table className="w-full">
+                                        <thead>
+                                            <tr className="bg-baikal-bg/50 border-b border-baikal-border">
+                                                <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                                    Destinataire
+                                                </th>
+                                                {isSuperAdmin && (
+                                                    <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                                        Organisation
+                                                    </th>
+                                                )}
+                                                <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                                    Code
+                                                </th>
+                                                <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                                    Statut
+                                                </th>
+                                                <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                                    Dernier événement
+                                                </th>
+                                                <th className="px-4 py-3 text-right text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                                    Actions
+                                                </th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {filteredRecipients.map((recipient) => (
+                                                <RecipientRow
+                                                    key={recipient.id}
+                                                    recipient={recipient}
+                                                    showOrg={isSuperAdmin}
+                                                    onResend={(r) => handleResend([r])}
+                                                    resending={resending}
+                                                />
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+
+                                {/* Footer stats */}
+                                <div className="px-4 py-3 bg-baikal-bg/30 border-t border-baikal-border text-sm text-baikal-text font-mono">
+                                    {filteredRecipients.length} destinataire{filteredRecipients.length > 1 ? 's' : ''}
+                                </div>
+                            </div>
+                        )}
+                    </>
                 )}
             </main>
 
@@ -1045,6 +1875,17 @@ export default function Invitations() {
                 isSuperAdmin={isSuperAdmin}
             />
 
+            {/* Modal Import CSV */}
+            <BulkInviteModal
+                isOpen={showBulkModal}
+                onClose={() => setShowBulkModal(false)}
+                organizations={isSuperAdmin ? organizations : []}
+                defaultOrgId={defaultOrgId}
+                onCreated={handleBulkCreated}
+                isSuperAdmin={isSuperAdmin}
+                checkQuota={checkQuota}
+            />
+
             {/* Modal Révoquer */}
             <RevokeConfirmModal
                 isOpen={!!revokingInvitation}
@@ -8,6 +8,7 @@
  * - Création / Modification / Suppression
  * - Assignation d'une App
  * - Gestion des plans
+ * - Surcharge des limites du plan par organisation
  * 
  * Route : /admin/organizations
  * Accès : super_admin uniquement
@@ -22,7 +23,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { createPortal } from 'react-dom';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { organizationService, getApps } from '../../services';
+import { organizationService, entitlementsService, PLAN_QUOTAS, getApps } from '../../services';
 import {
     Building2,
     Plus,
@@ -39,6 +40,7 @@ import {
     Power,
     PowerOff,
     Layers,
+    Gauge,
 } from 'lucide-react';
 
 // ============================================================================
@@ -96,7 +98,7 @@ function StatusBadge({ isActive }) {
 /**
  * Ligne du tableau avec boutons directs (style Users)
  */
-function OrganizationRow({ org, apps, onEdit, onToggleStatus, onDelete }) {
+function OrganizationRow({ org, apps, onEdit, onEditLimits, onToggleStatus, onDelete }) {
     // Trouver le nom de l'app
     const app = apps.find(a => a.id === org.app_id);
     const appName = app?.name || null;
@@ -161,6 +163,15 @@ function OrganizationRow({ org, apps, onEdit, onToggleStatus, onDelete }) {
                         Modifier
                     </button>
 
+                    {/* Bouton Limites */}
+                    <button
+                        onClick={() => onEditLimits(org)}
+                        className="p-1.5 text-baikal-text hover:text-white border border-baikal-border hover:border-baikal-cyan rounded-md transition-colors"
+                        title="Limites du plan"
+                    >
+                        <Gauge className="w-4 h-4" />
+                    </button>
+
                     {/* Bouton Toggle Status */}
                     <button
                         onClick={() => onToggleStatus(org)}
@@ -386,6 +397,238 @@ function OrganizationModal({ isOpen, onClose, organization, apps, onSave }) {
     );
 }
 
+/**
+ * Modal des limites du plan (surcharges par organisation)
+ * Chaque limite reprend celle du plan, ou est fixée / illimitée pour l'organisation.
+ */
+function LimitsModal({ isOpen, onClose, organization }) {
+    const [entitlements, setEntitlements] = useState(null);
+    const [draft, setDraft] = useState({});
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!isOpen || !organization) return;
+
+        setLoading(true);
+        setError(null);
+        entitlementsService.getEntitlements(organization.id).then(({ data, error: loadError }) => {
+            const override = data?.override || {};
+            const nextDraft = {};
+            PLAN_QUOTAS.forEach(({ key }) => {
+                nextDraft[key] = !(key in override)
+                    ? { mode: 'plan', value: '' }
+                    : override[key] === null
+                        ? { mode: 'unlimited', value: '' }
+                        : { mode: 'value', value: String(override[key]) };
+            });
+            nextDraft.allowed_layers = 'allowed_layers' in override ? override.allowed_layers : null;
+            nextDraft.legifrance = 'legifrance' in override ? String(override.legifrance) : 'plan';
+
+            setEntitlements(data);
+            setDraft(nextDraft);
+            setError(loadError?.message || null);
+            setLoading(false);
+        });
+    }, [isOpen, organization]);
+
+    const planLimits = entitlements?.planLimits?.[entitlements.plan] || {};
+
+    const updateQuota = (key, changes) => {
+        setDraft(prev => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+    };
+
+    const toggleLayer = (layer) => {
+        setDraft(prev => {
+            const current = prev.allowed_layers || [];
+            return {
+                ...prev,
+                allowed_layers: current.includes(layer)
+                    ? current.filter(l => l !== layer)
+                    : [...current, layer],
+            };
+        });
+    };
+
+    const handleSave = async () => {
+        const override = {};
+        PLAN_QUOTAS.forEach(({ key }) => {
+            const entry = draft[key];
+            if (entry.mode === 'unlimited') override[key] = null;
+            if (entry.mode === 'value' && entry.value !== '') override[key] = Number(entry.value);
+        });
+        if (draft.allowed_layers) override.allowed_layers = draft.allowed_layers;
+        if (draft.legifrance !== 'plan') override.legifrance = draft.legifrance === 'true';
+
+        setSaving(true);
+        setError(null);
+        const { error: saveError } = await entitlementsService.setLimitsOverride(organization.id, override);
+        setSaving(false);
+
+        if (saveError) {
+            setError(saveError.message || 'Erreur lors de l\'enregistrement');
+            return;
+        }
+        onClose();
+    };
+
+    if (!isOpen || !organization) return null;
+
+    const formatLimit = (value, unit) => (value === null || value === undefined ? 'illimité' : `${value}${unit ? ` ${unit}` : ''}`);
+
+    return createPortal(
+        <div className="fixed inset-0 flex items-center justify-center" style={{ zIndex: 9999 }}>
+            <div
+                className="absolute inset-0 bg-black/70 backdrop-blur-sm"
+                onClick={onClose}
+            />
+
+            <div className="relative w-full max-w-2xl mx-4 bg-baikal-surface border border-baikal-border rounded-lg shadow-xl max-h-[90vh] overflow-y-auto">
+                {/* Header */}
+                <div className="flex items-center justify-between px-6 py-4 border-b border-baikal-border">
+                    <div>
+                        <h2 className="text-lg font-mono font-semibold text-white">LIMITES_DU_PLAN</h2>
+                        <p className="text-xs text-baikal-text font-mono">
+                            {organization.name} · plan {entitlements?.planLabel || getPlanConfig(organization.plan).label}
+                        </p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="p-2 text-baikal-text hover:text-white hover:bg-baikal-bg rounded-md transition-colors"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {loading ? (
+                    <div className="flex items-center justify-center py-12">
+                        <Loader2 className="w-8 h-8 text-baikal-cyan animate-spin" />
+                    </div>
+                ) : (
+                    <div className="p-6 space-y-4">
+                        {error && (
+                            <div className="p-3 bg-red-900/20 border border-red-500/50 rounded-md flex items-center gap-2 text-red-300 text-sm">
+                                <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                                {error}
+                            </div>
+                        )}
+
+                        {/* Quotas */}
+                        {PLAN_QUOTAS.map(({ key, label, unit, monthly }) => (
+                            <div key={key} className="grid grid-cols-[1fr_8rem_7rem] items-center gap-3">
+                                <div>
+                                    <p className="text-sm text-white">{label}{monthly ? ' / mois' : ''}</p>
+                                    <p className="text-xs text-baikal-text font-mono">
+                                        Plan : {formatLimit(planLimits[key], unit)} · utilisé : {Number(entitlements?.usage?.[key] || 0)}
+                                    </p>
+                                </div>
+                                <select
+                                    value={draft[key]?.mode || 'plan'}
+                                    onChange={(e) => updateQuota(key, { mode: e.target.value })}
+                                    className="px-3 py-2 bg-baikal-bg border border-baikal-border rounded-md text-white text-sm focus:outline-none focus:border-baikal-cyan transition-colors"
+                                >
+                                    <option value="plan">Plan</option>
+                                    <option value="value">Personnalisé</option>
+                                    <option value="unlimited">Illimité</option>
+                                </select>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="any"
+                                    value={draft[key]?.value || ''}
+                                    onChange={(e) => updateQuota(key, { value: e.target.value })}
+                                    disabled={draft[key]?.mode !== 'value'}
+                                    placeholder={unit || '—'}
+                                    className="px-3 py-2 bg-baikal-bg border border-baikal-border rounded-md text-white text-sm font-mono focus:outline-none focus:border-baikal-cyan transition-colors disabled:opacity-40"
+                                />
+                            </div>
+                        ))}
+
+                        {/* Couches */}
+                        <div className="pt-4 border-t border-baikal-border">
+                            <label className="flex items-center gap-2 text-sm text-white">
+                                <input
+                                    type="checkbox"
+                                    checked={draft.allowed_layers !== null && draft.allowed_layers !== undefined}
+                                    onChange={(e) => setDraft(prev => ({
+                                        ...prev,
+                                        allowed_layers: e.target.checked ? [...(planLimits.allowed_layers || [])] : null,
+                                    }))}
+                                    className="rounded border-baikal-border bg-baikal-bg text-baikal-cyan focus:ring-baikal-cyan"
+                                />
+                                Couches autorisées personnalisées
+                                <span className="text-xs text-baikal-text font-mono">
+                                    (plan : {(planLimits.allowed_layers || []).join(', ')})
+                                </span>
+                            </label>
+                            {draft.allowed_layers && (
+                                <div className="flex gap-4 mt-2 ml-6">
+                                    {['org', 'project', 'user'].map(layer => (
+                                        <label key={layer} className="flex items-center gap-1.5 text-sm text-baikal-text font-mono">
+                                            <input
+                                                type="checkbox"
+                                                checked={draft.allowed_layers.includes(layer)}
+                                                onChange={() => toggleLayer(layer)}
+                                                className="rounded border-baikal-border bg-baikal-bg text-baikal-cyan focus:ring-baikal-cyan"
+                                            />
+                                            {layer.toUpperCase()}
+                                        </label>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Légifrance */}
+                        <div className="flex items-center justify-between gap-3">
+                            <div>
+                                <p className="text-sm text-white">Accès Légifrance</p>
+                                <p className="text-xs text-baikal-text font-mono">
+                                    Plan : {planLimits.legifrance ? 'inclus' : 'non inclus'}
+                                </p>
+                            </div>
+                            <select
+                                value={draft.legifrance || 'plan'}
+                                onChange={(e) => setDraft(prev => ({ ...prev, legifrance: e.target.value }))}
+                                className="px-3 py-2 bg-baikal-bg border border-baikal-border rounded-md text-white text-sm focus:outline-none focus:border-baikal-cyan transition-colors"
+                            >
+                                <option value="plan">Plan</option>
+                                <option value="true">Inclus</option>
+                                <option value="false">Non inclus</option>
+                            </select>
+                        </div>
+
+                        {/* Actions */}
+                        <div className="flex items-center justify-end gap-3 pt-4">
+                            <button
+                                type="button"
+                                onClick={onClose}
+                                disabled={saving}
+                                className="px-4 py-2 text-baikal-text hover:text-white transition-colors font-mono"
+                            >
+                                ANNULER
+                            </button>
+                            <button
+                                onClick={handleSave}
+                                disabled={saving}
+                                className="flex items-center gap-2 px-4 py-2 bg-baikal-cyan text-black font-medium rounded-md hover:bg-baikal-cyan/90 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-mono"
+                            >
+                                {saving ? (
+                                    <Loader2 className="w-4 h-4 animate-spin" />
+                                ) : (
+                                    <Check className="w-4 h-4" />
+                                )}
+                                ENREGISTRER
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>,
+        document.body
+    );
+}
+
 /**
  * Modal de confirmation de suppression
  */
@@ -536,6 +779,7 @@ export default function Organizations() {
     const [showCreateModal, setShowCreateModal] = useState(false);
     const [editingOrg, setEditingOrg] = useState(null);
     const [deletingOrg, setDeletingOrg] = useState(null);
+    const [limitsOrg, setLimitsOrg] = useState(null);
 
     // Vérifier l'accès super_admin
     useEffect(() => {
@@ -805,6 +1049,7 @@ export default function Organizations() {
                                             org={org}
                                             apps={apps}
                                             onEdit={handleEdit}
+                                            onEditLimits={setLimitsOrg}
                                             onToggleStatus={handleToggleStatus}
                                             onDelete={handleDelete}
                                         />
@@ -839,6 +1084,13 @@ export default function Organizations() {
                 onSave={handleSave}
             />
 
+            {/* Modal Limites */}
+            <LimitsModal
+                isOpen={!!limitsOrg}
+                onClose={() => setLimitsOrg(null)}
+                organization={limitsOrg}
+            />
+
             {/* Modal Supprimer */}
             <DeleteConfirmModal
                 isOpen={!!deletingOrg}
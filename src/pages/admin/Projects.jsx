@@ -30,6 +30,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { useEntitlements } from '../../hooks/useEntitlements';
 import { projectsService, organizationService, usersService } from '../../services';
 import {
     FolderOpen,
@@ -983,6 +984,12 @@ export default function Projects() {
     const [managingMembers, setManagingMembers] = useState(null);
     const [deletingProject, setDeletingProject] = useState(null);
 
+    // Limite de projets du plan (org_admin ; pour super_admin, vérifiée à la création)
+    const { checkQuota, refresh: refreshEntitlements } = useEntitlements(profile?.org_id, {
+        enabled: !isSuperAdmin && Boolean(profile?.org_id),
+    });
+    const projectQuota = checkQuota('max_projects');
+
     useEffect(() => {
         if (searchParams.get('action') === 'create') {
             setShowCreateModal(true);
@@ -1092,6 +1099,7 @@ export default function Projects() {
 
     const handleSave = () => {
         loadProjects();
+        refreshEntitlements();
     };
 
     const handleMembersUpdate = () => {
@@ -1100,6 +1108,7 @@ export default function Projects() {
 
     const handleDeleteConfirm = () => {
         loadProjects();
+        refreshEntitlements();
     };
 
     const defaultOrgId = !isSuperAdmin ? profile?.org_id : '';
@@ -1133,7 +1142,9 @@ export default function Projects() {
 
                         <button
                             onClick={() => setShowCreateModal(true)}
-                            className="flex items-center gap-2 px-4 py-2 bg-baikal-cyan text-black font-medium rounded-md hover:bg-baikal-cyan/90 transition-colors font-mono"
+                            disabled={!projectQuota.allowed}
+                            title={projectQuota.message || undefined}
+                            className="flex items-center gap-2 px-4 py-2 bg-baikal-cyan text-black font-medium rounded-md hover:bg-baikal-cyan/90 transition-colors font-mono disabled:opacity-50 disabled:cursor-not-allowed"
                         >
                             <Plus className="w-4 h-4" />
                             NOUVEAU_PROJET
@@ -1143,6 +1154,13 @@ export default function Projects() {
             </header>
 
             <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                {!projectQuota.allowed && (
+                    <div className="mb-6 p-4 bg-amber-900/20 border border-amber-500/50 rounded-md flex items-start gap-3 text-amber-300">
+                        <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                        <p className="text-sm font-sans">{projectQuota.message}</p>
+                    </div>
+                )}
+
                 <div className="flex flex-col sm:flex-row gap-4 mb-6">
                     <div className="relative flex-1">
                         <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-baikal-text" />
@@ -1223,7 +1241,9 @@ export default function Projects() {
                         {!search && statusFilter === 'all' && (
                             <button
                                 onClick={() => setShowCreateModal(true)}
-                                className="inline-flex items-center gap-2 px-4 py-2 bg-baikal-cyan text-black font-medium rounded-md hover:bg-baikal-cyan/90 transition-colors font-mono"
+                                disabled={!projectQuota.allowed}
+                                title={projectQuota.message || undefined}
+                                className="inline-flex items-center gap-2 px-4 py-2 bg-baikal-cyan text-black font-medium rounded-md hover:bg-baikal-cyan/90 transition-colors font-mono disabled:opacity-50 disabled:cursor-not-allowed"
                             >
                                 <Plus className="w-4 h-4" />
                                 CRÉER_PROJET
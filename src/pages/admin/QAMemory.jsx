@@ -0,0 +1,1112 @@
+/**
+ * QAMemory.jsx - Baikal Console
+ * ============================================================================
+ * Page d'administration de la mémoire collective (super_admin uniquement).
+ *
+ * Les Q/A sont créées par les votes 👍 de l'Assistant RAG (baikal-vote) et
+ * réutilisées par searchQAMemory (librarian-v4) dès que trust_score >= 3
+ * ou si la Q/A est une FAQ experte.
+ *
+ * Fonctionnalités :
+ * - Liste des Q/A par app / organisation (confiance, utilisations, dernier vote)
+ * - Édition de la question / réponse (+ régénération de l'embedding)
+ * - Fusion des quasi-doublons (search_qa_memory sur l'embedding de l'entrée)
+ * - Rétrogradation (plus réutilisée) et suppression
+ *
+ * Route : /admin/qa-memory
+ * Accès : super_admin uniquement
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { createPortal } from 'react-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+    qaMemoryService,
+    voteService,
+    getApps,
+    QA_MEMORY_SORTS,
+    QA_MEMORY_TRUST_THRESHOLD,
+    DUPLICATE_SIMILARITY_THRESHOLD,
+} from '../../services';
+import {
+    Lightbulb,
+    RefreshCw,
+    Search,
+    AlertCircle,
+    Loader2,
+    ChevronLeft,
+    X,
+    Trash2,
+    Building2,
+    Layers,
+    Pencil,
+    GitMerge,
+    ArrowDownCircle,
+    Cpu,
+    ShieldCheck,
+    CheckCircle2,
+    Ban,
+    Save,
+    ArrowUpDown,
+    FolderOpen,
+} from 'lucide-react';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const formatDate = (value) => {
+    if (!value) return '—';
+    return new Date(value).toLocaleString('fr-FR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+};
+
+// ============================================================================
+// COMPOSANTS INTERNES
+// ============================================================================
+
+/**
+ * Carte de statistique
+ */
+function StatCard({ label, value, icon: Icon, color, bgColor, borderColor, onClick, isActive }) {
+    return (
+        <button
+            onClick={onClick}
+            className={`
+                flex items-center gap-4 p-4 rounded-lg border transition-all
+                bg-baikal-surface hover:bg-baikal-bg
+                ${isActive ? 'border-baikal-cyan ring-1 ring-baikal-cyan' : borderColor}
+                hover:border-baikal-cyan
+            `}
+        >
+            <div className={`p-3 rounded-lg ${bgColor}`}>
+                <Icon className={`w-6 h-6 ${color}`} />
+            </div>
+            <div className="text-left">
+                <p className={`text-2xl font-mono font-bold ${color}`}>
+                    {value}
+                </p>
+                <p className="text-xs font-mono text-baikal-text uppercase">
+                    {label}
+                </p>
+            </div>
+        </button>
+    );
+}
+
+/**
+ * Badge de confiance (réutilisée ou non par le librarian)
+ */
+function TrustBadge({ entry }) {
+    if (entry.is_expert_faq) {
+        return (
+            <span className="inline-flex items-center gap-1.5 px-2.5 py-1 rounded text-xs font-mono bg-purple-500/20 text-purple-300">
+                <ShieldCheck className="w-3.5 h-3.5" />
+                EXPERT · {entry.trust_score}
+            </span>
+        );
+    }
+
+    const reusable = qaMemoryService.isReusable(entry);
+    return (
+        <span className={`
+            inline-flex items-center gap-1.5 px-2.5 py-1 rounded text-xs font-mono
+            ${reusable ? 'bg-green-500/20 text-green-400' : 'bg-baikal-bg text-baikal-text'}
+        `}>
+            {reusable ? <CheckCircle2 className="w-3.5 h-3.5" /> : <Ban className="w-3.5 h-3.5" />}
+            {entry.trust_score}
+        </span>
+    );
+}
+
+/**
+ * Ligne du tableau
+ */
+function EntryRow({ entry, orgName, isBusy, onEdit, onDuplicates, onDemote, onReembed, onDelete }) {
+    const canDemote = qaMemoryService.isReusable(entry);
+
+    return (
+        <tr className="border-b border-baikal-border hover:bg-baikal-surface/50 transition-colors">
+            {/* Question + réponse */}
+            <td className="px-4 py-4">
+                <div className="min-w-0 max-w-xl">
+                    <p className="font-medium text-white line-clamp-2" title={entry.question_text}>
+                        {entry.question_text}
+                    </p>
+                    <p className="text-xs text-baikal-text line-clamp-2 mt-1" title={entry.answer_text}>
+                        {entry.answer_text}
+                    </p>
+                </div>
+            </td>
+
+            {/* Org / projet */}
+            <td className="px-4 py-4">
+                <p className="text-sm text-white font-mono truncate max-w-[160px]" title={orgName}>
+                    {orgName || '—'}
+                </p>
+                {entry.project?.name && (
+                    <p className="text-xs text-baikal-cyan truncate max-w-[160px] flex items-center gap-1" title={entry.project.name}>
+                        <FolderOpen className="w-3 h-3" />
+                        {entry.project.name}
+                    </p>
+                )}
+            </td>
+
+            {/* Confiance */}
+            <td className="px-4 py-4">
+                <TrustBadge entry={entry} />
+            </td>
+
+            {/* Utilisations */}
+            <td className="px-4 py-4">
+                <span className="font-mono text-baikal-text">{entry.usage_count || 0}</span>
+            </td>
+
+            {/* Dernier vote */}
+            <td className="px-4 py-4">
+                <span className="text-sm text-baikal-text whitespace-nowrap">
+                    {formatDate(entry.last_voted_at)}
+                </span>
+            </td>
+
+            {/* Actions */}
+            <td className="px-4 py-4">
+                <div className="flex items-center justify-end gap-2">
+                    {isBusy ? (
+                        <Loader2 className="w-4 h-4 text-baikal-cyan animate-spin" />
+                    ) : (
+                        <>
+                            <button
+                                onClick={() => onEdit(entry)}
+                                className="p-1.5 text-baikal-text hover:text-white border border-baikal-border hover:border-baikal-cyan rounded-md transition-colors"
+                                title="Éditer"
+                            >
+                                <Pencil className="w-4 h-4" />
+                            </button>
+                            <button
+                                onClick={() => onDuplicates(entry)}
+                                className="p-1.5 text-baikal-text hover:text-white border border-baikal-border hover:border-baikal-cyan rounded-md transition-colors"
+                                title="Chercher et fusionner les doublons"
+                            >
+                                <GitMerge className="w-4 h-4" />
+                            </button>
+                            <button
+                                onClick={() => onReembed(entry)}
+                                className="p-1.5 text-baikal-text hover:text-white border border-baikal-border hover:border-baikal-cyan rounded-md transition-colors"
+                                title="Régénérer l'embedding"
+                            >
+                                <Cpu className="w-4 h-4" />
+                            </button>
+                            {canDemote && (
+                                <button
+                                    onClick={() => onDemote(entry)}
+                                    className="p-1.5 text-amber-400 hover:text-amber-300 border border-amber-500/30 hover:bg-amber-500/20 rounded-md transition-colors"
+                                    title="Rétrograder (ne plus réutiliser)"
+                                >
+                                    <ArrowDownCircle className="w-4 h-4" />
+                                </button>
+                            )}
+                            <button
+                                onClick={() => onDelete(entry)}
+                                className="p-1.5 text-red-400 hover:text-red-300 border border-red-500/30 hover:bg-red-500/20 rounded-md transition-colors"
+                                title="Supprimer"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </>
+                    )}
+                </div>
+            </td>
+        </tr>
+    );
+}
+
+/**
+ * Modal d'édition d'une Q/A
+ */
+function EditEntryModal({ isOpen, onClose, entry, onSave }) {
+    const [questionText, setQuestionText] = useState('');
+    const [answerText, setAnswerText] = useState('');
+    const [isExpertFaq, setIsExpertFaq] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (isOpen && entry) {
+            setQuestionText(entry.question_text || '');
+            setAnswerText(entry.answer_text || '');
+            setIsExpertFaq(!!entry.is_expert_faq);
+            setError(null);
+        }
+    }, [isOpen, entry]);
+
+    if (!isOpen || !entry) return null;
+
+    const questionChanged = questionText.trim() !== (entry.question_text || '').trim();
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!questionText.trim() || !answerText.trim()) {
+            setError('La question et la réponse sont requises');
+            return;
+        }
+
+        setSaving(true);
+        setError(null);
+        try {
+            await onSave({ questionText, answerText, isExpertFaq }, questionChanged);
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return createPortal(
+        <div className="fixed inset-0 flex items-center justify-center" style={{ zIndex: 9999 }}>
+            {/* Backdrop */}
+            <div
+                className="absolute inset-0 bg-black/70 backdrop-blur-sm"
+                onClick={onClose}
+            />
+
+            {/* Modal */}
+            <form
+                onSubmit={handleSubmit}
+                className="relative w-full max-w-2xl mx-4 bg-baikal-surface border border-baikal-border rounded-lg shadow-xl max-h-[85vh] overflow-hidden flex flex-col"
+            >
+                {/* Header */}
+                <div className="flex items-center justify-between px-6 py-4 border-b border-baikal-border flex-shrink-0">
+                    <h2 className="text-lg font-mono font-semibold text-white">
+                        ÉDITER_QA
+                    </h2>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-2 text-baikal-text hover:text-white hover:bg-baikal-bg rounded-md transition-colors"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {/* Content */}
+                <div className="p-6 space-y-4 overflow-y-auto">
+                    <div>
+                        <label className="block text-sm font-mono text-baikal-text mb-2">QUESTION</label>
+                        <textarea
+                            value={questionText}
+                            onChange={(e) => setQuestionText(e.target.value)}
+                            rows={3}
+                            className="w-full px-4 py-2.5 bg-baikal-bg border border-baikal-border rounded-md text-white focus:outline-none focus:border-baikal-cyan transition-colors text-sm"
+                        />
+                        {questionChanged && (
+                            <p className="mt-1 text-xs font-mono text-amber-400">
+                                La question a changé : l'embedding sera régénéré à l'enregistrement.
+                            </p>
+                        )}
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-mono text-baikal-text mb-2">RÉPONSE</label>
+                        <textarea
+                            value={answerText}
+                            onChange={(e) => setAnswerText(e.target.value)}
+                            rows={10}
+                            className="w-full px-4 py-2.5 bg-baikal-bg border border-baikal-border rounded-md text-white focus:outline-none focus:border-baikal-cyan transition-colors text-sm font-mono"
+                        />
+                    </div>
+
+                    <label className="flex items-center gap-2 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={isExpertFaq}
+                            onChange={(e) => setIsExpertFaq(e.target.checked)}
+                            className="w-4 h-4 rounded border-baikal-border bg-baikal-bg text-baikal-cyan focus:ring-baikal-cyan"
+                        />
+                        <span className="text-sm text-white">FAQ experte</span>
+                        <span className="text-xs text-baikal-text">(réutilisée quel que soit le score de confiance)</span>
+                    </label>
+
+                    {error && (
+                        <div className="p-3 bg-red-900/20 border border-red-500/50 rounded-md flex items-center gap-2 text-sm text-red-300">
+                            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                            <span className="font-mono">{error}</span>
+                        </div>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex items-center justify-end gap-3 px-6 py-4 border-t border-baikal-border flex-shrink-0">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        disabled={saving}
+                        className="px-4 py-2 text-baikal-text hover:text-white transition-colors font-mono"
+                    >
+                        ANNULER
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={saving}
+                        className="flex items-center gap-2 px-4 py-2 bg-baikal-cyan text-black font-medium rounded-md hover:bg-baikal-cyan/90 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-mono"
+                    >
+                        {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                        ENREGISTRER
+                    </button>
+                </div>
+            </form>
+        </div>,
+        document.body
+    );
+}
+
+/**
+ * Modal de recherche / fusion des quasi-doublons
+ */
+function DuplicatesModal({ isOpen, onClose, entry, onMerge }) {
+    const [duplicates, setDuplicates] = useState([]);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [merging, setMerging] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!isOpen || !entry) return;
+
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+        setDuplicates([]);
+        setSelectedIds([]);
+
+        qaMemoryService.findNearDuplicates(entry).then(({ data, error: fetchError }) => {
+            if (cancelled) return;
+            if (fetchError) {
+                setError(fetchError.message);
+            } else {
+                setDuplicates(data);
+                setSelectedIds(data.map(d => d.id));
+            }
+            setLoading(false);
+        });
+
+        return () => { cancelled = true; };
+    }, [isOpen, entry]);
+
+    if (!isOpen || !entry) return null;
+
+    const toggleSelected = (id) => {
+        setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    };
+
+    const handleMerge = async () => {
+        setMerging(true);
+        setError(null);
+        try {
+            await onMerge(selectedIds);
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setMerging(false);
+        }
+    };
+
+    return createPortal(
+        <div className="fixed inset-0 flex items-center justify-center" style={{ zIndex: 9999 }}>
+            {/* Backdrop */}
+            <div
+                className="absolute inset-0 bg-black/70 backdrop-blur-sm"
+                onClick={onClose}
+            />
+
+            {/* Modal */}
+            <div className="relative w-full max-w-2xl mx-4 bg-baikal-surface border border-baikal-border rounded-lg shadow-xl max-h-[85vh] overflow-hidden flex flex-col">
+                {/* Header */}
+                <div className="flex items-center justify-between px-6 py-4 border-b border-baikal-border flex-shrink-0">
+                    <h2 className="text-lg font-mono font-semibold text-white">
+                        FUSIONNER_DOUBLONS
+                    </h2>
+                    <button
+                        onClick={onClose}
+                        className="p-2 text-baikal-text hover:text-white hover:bg-baikal-bg rounded-md transition-colors"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {/* Content */}
+                <div className="p-6 space-y-4 overflow-y-auto">
+                    <div className="bg-baikal-bg rounded-lg p-4 space-y-2">
+                        <h3 className="text-sm font-mono text-baikal-cyan uppercase">Q/A conservée</h3>
+                        <p className="text-sm text-white">{entry.question_text}</p>
+                        <p className="text-xs text-baikal-text font-mono">
+                            Confiance {entry.trust_score} · {entry.usage_count || 0} utilisation{entry.usage_count > 1 ? 's' : ''}
+                        </p>
+                    </div>
+
+                    <p className="text-xs text-baikal-text font-mono">
+                        Questions similaires à plus de {Math.round(DUPLICATE_SIMILARITY_THRESHOLD * 100)}% (même organisation / projet).
+                        La Q/A conservée cumule les validateurs (comptés une seule fois), les utilisations et les sources des doublons sélectionnés, qui sont supprimés.
+                    </p>
+
+                    {loading && (
+                        <div className="flex items-center justify-center py-8">
+                            <Loader2 className="w-6 h-6 text-baikal-cyan animate-spin" />
+                        </div>
+                    )}
+
+                    {!loading && !error && duplicates.length === 0 && (
+                        <p className="text-sm text-baikal-text text-center py-8 font-mono">
+                            AUCUN_DOUBLON
+                        </p>
+                    )}
+
+                    {!loading && duplicates.length > 0 && (
+                        <div className="space-y-2">
+                            {duplicates.map(dup => (
+                                <label
+                                    key={dup.id}
+                                    className={`flex items-start gap-3 p-3 rounded-md border cursor-pointer transition-colors ${
+                                        selectedIds.includes(dup.id)
+                                            ? 'border-baikal-cyan bg-baikal-cyan/10'
+                                            : 'border-baikal-border hover:border-baikal-cyan'
+                                    }`}
+                                >
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedIds.includes(dup.id)}
+                                        onChange={() => toggleSelected(dup.id)}
+                                        className="mt-0.5 w-4 h-4 rounded border-baikal-border bg-baikal-bg text-baikal-cyan focus:ring-baikal-cyan"
+                                    />
+                                    <div className="min-w-0 flex-1">
+                                        <p className="text-sm text-white">{dup.question_text}</p>
+                                        <p className="text-xs text-baikal-text line-clamp-2 mt-1">{dup.answer_text}</p>
+                                        <p className="text-xs font-mono text-baikal-cyan mt-1">
+                                            {Math.round(dup.similarity * 100)}% · confiance {dup.trust_score} · {dup.usage_count || 0} utilisation{dup.usage_count > 1 ? 's' : ''}
+                                        </p>
+                                    </div>
+                                </label>
+                            ))}
+                        </div>
+                    )}
+
+                    {error && (
+                        <div className="p-3 bg-red-900/20 border border-red-500/50 rounded-md flex items-center gap-2 text-sm text-red-300">
+                            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                            <span className="font-mono">{error}</span>
+                        </div>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex items-center justify-end gap-3 px-6 py-4 border-t border-baikal-border flex-shrink-0">
+                    <button
+                        onClick={onClose}
+                        disabled={merging}
+                        className="px-4 py-2 text-baikal-text hover:text-white transition-colors font-mono"
+                    >
+                        ANNULER
+                    </button>
+                    <button
+                        onClick={handleMerge}
+                        disabled={merging || selectedIds.length === 0}
+                        className="flex items-center gap-2 px-4 py-2 bg-baikal-cyan text-black font-medium rounded-md hover:bg-baikal-cyan/90 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-mono"
+                    >
+                        {merging ? <Loader2 className="w-4 h-4 animate-spin" /> : <GitMerge className="w-4 h-4" />}
+                        FUSIONNER ({selectedIds.length})
+                    </button>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
+
+/**
+ * Modal de confirmation de suppression
+ */
+function DeleteConfirmModal({ isOpen, onClose, entry, onConfirm }) {
+    const [loading, setLoading] = useState(false);
+
+    const handleConfirm = async () => {
+        setLoading(true);
+        try {
+            await onConfirm();
+            onClose();
+        } catch (err) {
+            console.error('Delete error:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (!isOpen || !entry) return null;
+
+    return createPortal(
+        <div className="fixed inset-0 flex items-center justify-center" style={{ zIndex: 9999 }}>
+            <div
+                className="absolute inset-0 bg-black/70 backdrop-blur-sm"
+                onClick={onClose}
+            />
+
+            <div className="relative w-full max-w-md mx-4 bg-baikal-surface border border-red-500/50 rounded-lg shadow-xl">
+                {/* Header */}
+                <div className="flex items-center gap-3 px-6 py-4 border-b border-baikal-border bg-red-900/20">
+                    <div className="p-2 bg-red-500/20 rounded-md">
+                        <Trash2 className="w-5 h-5 text-red-400" />
+                    </div>
+                    <h2 className="text-lg font-mono font-semibold text-red-400">
+                        SUPPRIMER_QA
+                    </h2>
+                </div>
+
+                {/* Content */}
+                <div className="p-6 space-y-4">
+                    <div className="p-4 bg-red-900/20 border border-red-500/30 rounded-md">
+                        <p className="text-sm text-red-300">
+                            <strong>Attention !</strong> Cette Q/A et ses votes ({entry.trust_score}) seront définitivement supprimés.
+                        </p>
+                        <p className="mt-2 text-sm text-red-300 line-clamp-3">
+                            Question : <strong>{entry.question_text}</strong>
+                        </p>
+                    </div>
+
+                    <div className="flex items-center justify-end gap-3 pt-2">
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            disabled={loading}
+                            className="px-4 py-2 text-baikal-text hover:text-white transition-colors font-mono"
+                        >
+                            ANNULER
+                        </button>
+                        <button
+                            onClick={handleConfirm}
+                            disabled={loading}
+                            className="flex items-center gap-2 px-4 py-2 bg-red-500 text-white font-medium rounded-md hover:bg-red-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-mono"
+                        >
+                            {loading ? (
+                                <Loader2 className="w-4 h-4 animate-spin" />
+                            ) : (
+                                <Trash2 className="w-4 h-4" />
+                            )}
+                            SUPPRIMER
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
+
+// ============================================================================
+// PAGE PRINCIPALE
+// ============================================================================
+
+export default function QAMemory() {
+    const navigate = useNavigate();
+    const { user, isSuperAdmin } = useAuth();
+
+    // États
+    const [entries, setEntries] = useState([]);
+    const [apps, setApps] = useState([]);
+    const [orgs, setOrgs] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const [busyId, setBusyId] = useState(null);
+
+    // Filtres
+    const [search, setSearch] = useState('');
+    const [appFilter, setAppFilter] = useState('');
+    const [orgFilter, setOrgFilter] = useState('');
+    const [sortBy, setSortBy] = useState('last_voted_at');
+    const [reuseFilter, setReuseFilter] = useState('all');
+
+    // Modals
+    const [editingEntry, setEditingEntry] = useState(null);
+    const [mergingEntry, setMergingEntry] = useState(null);
+    const [deletingEntry, setDeletingEntry] = useState(null);
+
+    // Vérifier l'accès super_admin
+    useEffect(() => {
+        if (!isSuperAdmin) {
+            navigate('/admin', { replace: true });
+        }
+    }, [isSuperAdmin, navigate]);
+
+    // Charger apps et orgs au démarrage
+    useEffect(() => {
+        async function loadFilters() {
+            const [appsResult, orgsResult] = await Promise.all([
+                getApps(),
+                qaMemoryService.getOrganizations(),
+            ]);
+            setApps(appsResult.data || []);
+            setOrgs(orgsResult.data || []);
+        }
+        loadFilters();
+    }, []);
+
+    const orgsMap = useMemo(() => {
+        const map = {};
+        orgs.forEach(org => { map[org.id] = org; });
+        return map;
+    }, [orgs]);
+
+    // Orgs proposées selon l'app sélectionnée
+    const visibleOrgs = useMemo(
+        () => (appFilter ? orgs.filter(org => org.app_id === appFilter) : orgs),
+        [orgs, appFilter]
+    );
+
+    // Charger les Q/A
+    const loadData = useCallback(async (showRefreshing = false) => {
+        if (showRefreshing) {
+            setRefreshing(true);
+        } else {
+            setLoading(true);
+        }
+        setError(null);
+
+        let orgIds = null;
+        if (orgFilter) {
+            orgIds = [orgFilter];
+        } else if (appFilter) {
+            orgIds = orgs.filter(org => org.app_id === appFilter).map(org => org.id);
+        }
+
+        const { data, error: fetchError } = await qaMemoryService.getEntries({
+            orgIds,
+            search: search.trim() || null,
+            sortBy,
+        });
+
+        if (fetchError) {
+            setError(fetchError.message);
+        } else {
+            setEntries(data);
+        }
+
+        setLoading(false);
+        setRefreshing(false);
+    }, [orgFilter, appFilter, orgs, search, sortBy]);
+
+    useEffect(() => {
+        loadData();
+    }, [loadData]);
+
+    // Réinitialiser l'org si elle n'appartient pas à l'app choisie
+    useEffect(() => {
+        if (orgFilter && appFilter && orgsMap[orgFilter]?.app_id !== appFilter) {
+            setOrgFilter('');
+        }
+    }, [appFilter, orgFilter, orgsMap]);
+
+    // Stats
+    const stats = useMemo(() => ({
+        total: entries.length,
+        reusable: entries.filter(e => qaMemoryService.isReusable(e)).length,
+        expert: entries.filter(e => e.is_expert_faq).length,
+        pending: entries.filter(e => !qaMemoryService.isReusable(e)).length,
+    }), [entries]);
+
+    const displayedEntries = useMemo(() => {
+        switch (reuseFilter) {
+            case 'reusable':
+                return entries.filter(e => qaMemoryService.isReusable(e));
+            case 'expert':
+                return entries.filter(e => e.is_expert_faq);
+            case 'pending':
+                return entries.filter(e => !qaMemoryService.isReusable(e));
+            default:
+                return entries;
+        }
+    }, [entries, reuseFilter]);
+
+    // Handlers
+    const replaceEntry = (updated) => {
+        setEntries(prev => prev.map(e => (e.id === updated.id ? { ...e, ...updated } : e)));
+    };
+
+    const runReembed = async (entryId) => {
+        const { error: reembedError } = await voteService.reembed({ userId: user?.id, qaId: entryId });
+        if (reembedError) throw reembedError;
+    };
+
+    const handleSave = async (updates, questionChanged) => {
+        const { data, error: updateError } = await qaMemoryService.updateEntry(editingEntry.id, updates);
+        if (updateError) throw updateError;
+        replaceEntry(data);
+
+        if (questionChanged) {
+            try {
+                await runReembed(editingEntry.id);
+                setNotice('Q/A enregistrée, embedding régénéré');
+            } catch (err) {
+                setError(`Q/A enregistrée mais embedding non régénéré : ${err.message}`);
+            }
+        } else {
+            setNotice('Q/A enregistrée');
+        }
+    };
+
+    const handleReembed = async (entry) => {
+        setBusyId(entry.id);
+        setError(null);
+        setNotice(null);
+        try {
+            await runReembed(entry.id);
+            setNotice('Embedding régénéré');
+        } catch (err) {
+            setError(`Erreur lors de la régénération : ${err.message}`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDemote = async (entry) => {
+        if (!window.confirm('Rétrograder cette Q/A ? Elle ne sera plus réutilisée par l\'assistant.')) {
+            return;
+        }
+
+        setBusyId(entry.id);
+        setError(null);
+        setNotice(null);
+        const { data, error: demoteError } = await qaMemoryService.demoteEntry(entry);
+        if (demoteError) {
+            setError(demoteError.message);
+        } else {
+            replaceEntry(data);
+        }
+        setBusyId(null);
+    };
+
+    const handleMerge = async (duplicateIds) => {
+        const { error: mergeError } = await qaMemoryService.mergeEntries(mergingEntry.id, duplicateIds);
+        if (mergeError) throw mergeError;
+        setNotice(`${duplicateIds.length} doublon${duplicateIds.length > 1 ? 's' : ''} fusionné${duplicateIds.length > 1 ? 's' : ''}`);
+        loadData(true);
+    };
+
+    const handleDeleteConfirm = async () => {
+        if (!deletingEntry) return;
+
+        const { error: deleteError } = await qaMemoryService.deleteEntry(deletingEntry.id);
+        if (deleteError) {
+            setError(deleteError.message);
+            return;
+        }
+        setEntries(prev => prev.filter(e => e.id !== deletingEntry.id));
+        setDeletingEntry(null);
+    };
+
+    const handleStatClick = (filter) => {
+        setReuseFilter(prev => prev === filter ? 'all' : filter);
+    };
+
+    // Accès refusé si pas super_admin
+    if (!isSuperAdmin) {
+        return (
+            <div className="min-h-screen bg-baikal-bg flex items-center justify-center">
+                <div className="text-center">
+                    <AlertCircle className="w-12 h-12 text-red-400 mx-auto mb-4" />
+                    <p className="text-white font-mono">ACCÈS_REFUSÉ</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-baikal-bg">
+            {/* Header */}
+            <header className="bg-baikal-surface border-b border-baikal-border sticky top-0 z-30">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center justify-between h-16">
+                        {/* Retour + Titre */}
+                        <div className="flex items-center gap-4">
+                            <button
+                                onClick={() => navigate('/admin')}
+                                className="p-2 text-baikal-text hover:text-white hover:bg-baikal-bg rounded-md transition-colors"
+                            >
+                                <ChevronLeft className="w-5 h-5" />
+                            </button>
+                            <div className="flex items-center gap-3">
+                                <div className="p-2 bg-baikal-cyan/20 rounded-md">
+                                    <Lightbulb className="w-5 h-5 text-baikal-cyan" />
+                                </div>
+                                <div>
+                                    <h1 className="text-lg font-mono font-bold text-white">
+                                        MÉMOIRE_COLLECTIVE
+                                    </h1>
+                                    <p className="text-xs text-baikal-text font-mono">
+                                        Q/A validées réutilisées par l'assistant (seuil confiance ≥ {QA_MEMORY_TRUST_THRESHOLD})
+                                    </p>
+                                </div>
+                            </div>
+                        </div>
+
+                        {/* Actions */}
+                        <button
+                            onClick={() => loadData(true)}
+                            disabled={refreshing}
+                            className="flex items-center gap-2 px-4 py-2 bg-baikal-cyan text-black font-medium rounded-md hover:bg-baikal-cyan/90 disabled:opacity-50 transition-colors font-mono"
+                        >
+                            <RefreshCw className={`w-4 h-4 ${refreshing ? 'animate-spin' : ''}`} />
+                            REFRESH
+                        </button>
+                    </div>
+                </div>
+            </header>
+
+            {/* Contenu */}
+            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+                {/* Stats */}
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+                    <StatCard
+                        label="Total"
+                        value={stats.total}
+                        icon={Lightbulb}
+                        color="text-baikal-cyan"
+                        bgColor="bg-baikal-cyan/20"
+                        borderColor="border-baikal-border"
+                        onClick={() => setReuseFilter('all')}
+                        isActive={reuseFilter === 'all'}
+                    />
+                    <StatCard
+                        label="Réutilisées"
+                        value={stats.reusable}
+                        icon={CheckCircle2}
+                        color="text-green-400"
+                        bgColor="bg-green-500/20"
+                        borderColor="border-green-500/30"
+                        onClick={() => handleStatClick('reusable')}
+                        isActive={reuseFilter === 'reusable'}
+                    />
+                    <StatCard
+                        label="FAQ expertes"
+                        value={stats.expert}
+                        icon={ShieldCheck}
+                        color="text-purple-400"
+                        bgColor="bg-purple-500/20"
+                        borderColor="border-purple-500/30"
+                        onClick={() => handleStatClick('expert')}
+                        isActive={reuseFilter === 'expert'}
+                    />
+                    <StatCard
+                        label="Sous le seuil"
+                        value={stats.pending}
+                        icon={Ban}
+                        color="text-amber-400"
+                        bgColor="bg-amber-500/20"
+                        borderColor="border-amber-500/30"
+                        onClick={() => handleStatClick('pending')}
+                        isActive={reuseFilter === 'pending'}
+                    />
+                </div>
+
+                {/* Filtres */}
+                <div className="flex flex-col lg:flex-row gap-4 mb-6">
+                    {/* Recherche */}
+                    <div className="relative flex-1">
+                        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-baikal-text" />
+                        <input
+                            type="text"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            placeholder="Rechercher dans les questions et réponses..."
+                            className="w-full pl-10 pr-4 py-2.5 bg-baikal-surface border border-baikal-border rounded-md text-white placeholder-baikal-text/50 focus:outline-none focus:border-baikal-cyan transition-colors"
+                        />
+                    </div>
+
+                    {/* Filtre App */}
+                    <div className="flex items-center gap-2">
+                        <Layers className="w-5 h-5 text-baikal-text" />
+                        <select
+                            value={appFilter}
+                            onChange={(e) => setAppFilter(e.target.value)}
+                            className="px-4 py-2.5 bg-baikal-surface border border-baikal-border rounded-md text-white focus:outline-none focus:border-baikal-cyan transition-colors font-mono min-w-[140px]"
+                        >
+                            <option value="">TOUTES APPS</option>
+                            {apps.map(app => (
+                                <option key={app.id} value={app.id}>{app.name}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Filtre Org */}
+                    <div className="flex items-center gap-2">
+                        <Building2 className="w-5 h-5 text-baikal-text" />
+                        <select
+                            value={orgFilter}
+                            onChange={(e) => setOrgFilter(e.target.value)}
+                            className="px-4 py-2.5 bg-baikal-surface border border-baikal-border rounded-md text-white focus:outline-none focus:border-baikal-cyan transition-colors font-mono min-w-[160px]"
+                        >
+                            <option value="">TOUTES ORGS</option>
+                            {visibleOrgs.map(org => (
+                                <option key={org.id} value={org.id}>{org.name}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Tri */}
+                    <div className="flex items-center gap-2">
+                        <ArrowUpDown className="w-5 h-5 text-baikal-text" />
+                        <select
+                            value={sortBy}
+                            onChange={(e) => setSortBy(e.target.value)}
+                            className="px-4 py-2.5 bg-baikal-surface border border-baikal-border rounded-md text-white focus:outline-none focus:border-baikal-cyan transition-colors font-mono min-w-[140px]"
+                        >
+                            {Object.entries(QA_MEMORY_SORTS).map(([key, sort]) => (
+                                <option key={key} value={key}>{sort.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                {/* Notice */}
+                {notice && (
+                    <div className="mb-6 p-4 bg-green-900/20 border border-green-500/50 rounded-md flex items-center gap-3 text-green-300">
+                        <CheckCircle2 className="w-5 h-5 flex-shrink-0" />
+                        <p className="font-mono">{notice}</p>
+                        <button
+                            onClick={() => setNotice(null)}
+                            className="ml-auto p-1 hover:text-white transition-colors"
+                        >
+                            <X className="w-4 h-4" />
+                        </button>
+                    </div>
+                )}
+
+                {/* Erreur */}
+                {error && (
+                    <div className="mb-6 p-4 bg-red-900/20 border border-red-500/50 rounded-md flex items-center gap-3 text-red-300">
+                        <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                        <p className="font-mono">{error}</p>
+                        <button
+                            onClick={() => loadData()}
+                            className="ml-auto text-sm font-medium hover:underline font-mono"
+                        >
+                            RÉESSAYER
+                        </button>
+                    </div>
+                )}
+
+                {/* Loading */}
+                {loading && (
+                    <div className="flex items-center justify-center py-12">
+                        <Loader2 className="w-8 h-8 text-baikal-cyan animate-spin" />
+                    </div>
+                )}
+
+                {/* Liste vide */}
+                {!loading && displayedEntries.length === 0 && (
+                    <div className="bg-baikal-surface border border-baikal-border rounded-md p-12 text-center">
+                        <Lightbulb className="w-12 h-12 text-baikal-text mx-auto mb-4" />
+                        <h3 className="text-lg font-mono font-medium text-white mb-2">
+                            AUCUNE_QA
+                        </h3>
+                        <p className="text-baikal-text">
+                            {search || appFilter || orgFilter || reuseFilter !== 'all'
+                                ? 'Aucune Q/A ne correspond à vos filtres.'
+                                : 'Aucune réponse n\'a encore été validée par les utilisateurs.'
+                            }
+                        </p>
+                    </div>
+                )}
+
+                {/* Tableau */}
+                {!loading && displayedEntries.length > 0 && (
+                    <div className="bg-baikal-surface border border-baikal-border rounded-md overflow-hidden">
+                        <div className="overflow-x-auto">
+                            <table className="w-full">
+                                <thead>
+                                    <tr className="bg-baikal-bg/50 border-b border-baikal-border">
+                                        <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                            Question / Réponse
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                            Organisation
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                            Confiance
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                            Utilisations
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                            Dernier vote
+                                        </th>
+                                        <th className="px-4 py-3 text-right text-xs font-mono font-semibold text-baikal-text uppercase tracking-wider">
+                                            Actions
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {displayedEntries.map((entry) => (
+                                        <EntryRow
+                                            key={entry.id}
+                                            entry={entry}
+                                            orgName={orgsMap[entry.org_id]?.name}
+                                            isBusy={busyId === entry.id}
+                                            onEdit={setEditingEntry}
+                                            onDuplicates={setMergingEntry}
+                                            onDemote={handleDemote}
+                                            onReembed={handleReembed}
+                                            onDelete={setDeletingEntry}
+                                        />
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {/* Footer stats */}
+                        <div className="px-4 py-3 bg-baikal-bg/30 border-t border-baikal-border flex items-center justify-between text-sm text-baikal-text font-mono">
+                            <span>
+                                {displayedEntries.length} Q/A affichée{displayedEntries.length > 1 ? 's' : ''}
+                            </span>
+                            <span>
+                                Total: {stats.total}
+                            </span>
+                        </div>
+                    </div>
+                )}
+            </main>
+
+            {/* Modal édition */}
+            <EditEntryModal
+                isOpen={!!editingEntry}
+                onClose={() => setEditingEntry(null)}
+                entry={editingEntry}
+                onSave={handleSave}
+            />
+
+            {/* Modal doublons */}
+            <DuplicatesModal
+                isOpen={!!mergingEntry}
+                onClose={() => setMergingEntry(null)}
+                entry={mergingEntry}
+                onMerge={handleMerge}
+            />
+
+            {/* Modal suppression */}
+            <DeleteConfirmModal
+                isOpen={!!deletingEntry}
+                onClose={() => setDeletingEntry(null)}
+                entry={deletingEntry}
+                onConfirm={handleDeleteConfirm}
+            />
+        </div>
+    );
+}
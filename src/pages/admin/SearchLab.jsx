@@ -0,0 +1,559 @@
+/**
+ * SearchLab.jsx - Baikal Console
+ * ============================================================================
+ * Banc d'essai du retrieval (super_admin / org_admin).
+ *
+ * Quand une réponse est fausse, permet de savoir si le problème vient de la
+ * recherche ou de la génération : la requête passe par baikal-librarian-v4 en
+ * mode search_only (même chemin executeSearch → match_documents_v13 que
+ * l'assistant) et affiche les chunks classés.
+ *
+ * Fonctionnalités :
+ * - Paramètres éditables (intent, couches, match_count, seuil, niveaux L0/L1,
+ *   include_children, expansion de concepts, filtres source / fichiers)
+ * - Chunks classés : similarity, rank_score, match_source, matched_concepts
+ * - Comparaison côte à côte de deux jeux de paramètres (A / B)
+ *
+ * Route : /admin/search-lab
+ * Accès : super_admin (toutes les orgs), org_admin (sa propre org)
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+    searchLabService,
+    organizationService,
+    projectsService,
+    getApps,
+    SEARCH_LAB_INTENTS,
+    SEARCH_LAB_HIERARCHY_LEVELS,
+    DEFAULT_SEARCH_PARAMS,
+} from '../../services';
+import {
+    FlaskConical,
+    ChevronLeft,
+    ChevronDown,
+    ChevronUp,
+    Play,
+    Loader2,
+    AlertCircle,
+    Layers,
+    Building2,
+    FolderOpen,
+    Columns2,
+    Copy,
+    FileText,
+    Timer,
+} from 'lucide-react';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const INPUT_CLASS = 'w-full px-3 py-2 bg-baikal-bg border border-baikal-border rounded-md text-white text-sm focus:outline-none focus:border-baikal-cyan transition-colors font-mono';
+const LABEL_CLASS = 'block text-xs font-mono text-baikal-text mb-1 uppercase';
+
+const LAYER_OPTIONS = [
+    { key: 'app', label: 'App' },
+    { key: 'org', label: 'Org' },
+    { key: 'project', label: 'Projet' },
+    { key: 'user', label: 'User' },
+];
+
+const TRI_STATE_OPTIONS = [
+    { value: '', label: 'Par défaut' },
+    { value: 'true', label: 'Oui' },
+    { value: 'false', label: 'Non' },
+];
+
+const formatScore = (value) => (value == null ? '—' : Number(value).toFixed(3));
+
+// ============================================================================
+// COMPOSANTS INTERNES
+// ============================================================================
+
+/**
+ * Jeu de paramètres éditable
+ */
+function ParamsPanel({ title, params, onChange, onCopyFrom }) {
+    const setParam = (key, value) => onChange({ ...params, [key]: value });
+    const setLayer = (key, value) => onChange({ ...params, layers: { ...params.layers, [key]: value } });
+
+    return (
+        <div className="p-4 bg-baikal-surface border border-baikal-border rounded-md space-y-4">
+            <div className="flex items-center justify-between">
+                <h2 className="text-sm font-mono font-semibold text-baikal-cyan">{title}</h2>
+                {onCopyFrom && (
+                    <button
+                        onClick={onCopyFrom}
+                        className="flex items-center gap-1.5 text-xs font-mono text-baikal-text hover:text-white transition-colors"
+                    >
+                        <Copy className="w-3.5 h-3.5" />
+                        COPIER_A
+                    </button>
+                )}
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+                <div className="col-span-2">
+                    <label className={LABEL_CLASS}>Intent</label>
+                    <select value={params.intent} onChange={(e) => setParam('intent', e.target.value)} className={INPUT_CLASS}>
+                        {SEARCH_LAB_INTENTS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className={LABEL_CLASS}>match_count</label>
+                    <input
+                        type="number"
+                        min="1"
+                        value={params.matchCount}
+                        onChange={(e) => setParam('matchCount', e.target.value)}
+                        placeholder="config"
+                        className={INPUT_CLASS}
+                    />
+                </div>
+                <div>
+                    <label className={LABEL_CLASS}>similarity_threshold</label>
+                    <input
+                        type="number"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={params.similarityThreshold}
+                        onChange={(e) => setParam('similarityThreshold', e.target.value)}
+                        placeholder="config"
+                        className={INPUT_CLASS}
+                    />
+                </div>
+                <div>
+                    <label className={LABEL_CLASS}>Niveaux</label>
+                    <select value={params.hierarchyLevels} onChange={(e) => setParam('hierarchyLevels', e.target.value)} className={INPUT_CLASS}>
+                        {SEARCH_LAB_HIERARCHY_LEVELS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className={LABEL_CLASS}>include_children</label>
+                    <select value={params.includeChildren} onChange={(e) => setParam('includeChildren', e.target.value)} className={INPUT_CLASS}>
+                        {TRI_STATE_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="col-span-2">
+                    <label className={LABEL_CLASS}>Expansion de concepts</label>
+                    <select value={params.conceptExpansion} onChange={(e) => setParam('conceptExpansion', e.target.value)} className={INPUT_CLASS}>
+                        {TRI_STATE_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            <div>
+                <label className={LABEL_CLASS}>Couches</label>
+                <div className="flex flex-wrap gap-4">
+                    {LAYER_OPTIONS.map(layer => (
+                        <label key={layer.key} className="flex items-center gap-2 text-sm text-white font-mono cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={params.layers[layer.key]}
+                                onChange={(e) => setLayer(layer.key, e.target.checked)}
+                                className="accent-baikal-cyan"
+                            />
+                            {layer.label}
+                        </label>
+                    ))}
+                </div>
+            </div>
+
+            <div className="space-y-3">
+                <div>
+                    <label className={LABEL_CLASS}>filter_source_types</label>
+                    <input
+                        type="text"
+                        value={params.sourceTypes}
+                        onChange={(e) => setParam('sourceTypes', e.target.value)}
+                        placeholder="document, meeting_transcript"
+                        className={INPUT_CLASS}
+                    />
+                </div>
+                <div>
+                    <label className={LABEL_CLASS}>filter_file_ids</label>
+                    <textarea
+                        value={params.fileIds}
+                        onChange={(e) => setParam('fileIds', e.target.value)}
+                        placeholder="UUID de fichiers (un par ligne)"
+                        rows={2}
+                        className={`${INPUT_CLASS} resize-none`}
+                    />
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Chunk classé (dépliable pour lire le contenu complet)
+ */
+function ChunkCard({ chunk, rank, otherRank, showComparison }) {
+    const [expanded, setExpanded] = useState(false);
+    const filename = chunk.file_original_filename || chunk.metadata?.document_title || 'Document';
+
+    return (
+        <div className="p-3 bg-baikal-surface border border-baikal-border rounded-md space-y-2">
+            <div className="flex items-start justify-between gap-3">
+                <div className="flex items-start gap-2 min-w-0">
+                    <span className="text-sm font-mono font-bold text-baikal-cyan">#{rank}</span>
+                    <div className="min-w-0">
+                        <p className="flex items-center gap-1.5 text-sm text-white font-sans truncate">
+                            <FileText className="w-3.5 h-3.5 flex-shrink-0 text-baikal-text" />
+                            {filename}
+                        </p>
+                        {chunk.section_title && (
+                            <p className="text-xs text-baikal-text font-sans truncate">{chunk.section_title}</p>
+                        )}
+                    </div>
+                </div>
+                {showComparison && (
+                    <span className={`text-xs font-mono flex-shrink-0 ${otherRank ? 'text-baikal-text' : 'text-amber-400'}`}>
+                        {otherRank ? `AUTRE #${otherRank}` : 'UNIQUE'}
+                    </span>
+                )}
+            </div>
+
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs font-mono text-baikal-text">
+                <span>sim <span className="text-white">{formatScore(chunk.similarity)}</span></span>
+                <span>rank <span className="text-white">{formatScore(chunk.rank_score)}</span></span>
+                <span>source <span className="text-white">{chunk.match_source || '—'}</span></span>
+                <span>L{chunk.hierarchy_level}{chunk.retrieval_role === 'child' ? ' · enfant' : ''}</span>
+                <span className="uppercase">{chunk.layer}</span>
+            </div>
+
+            {chunk.matched_concepts?.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                    {chunk.matched_concepts.map(concept => (
+                        <span key={concept} className="px-2 py-0.5 text-xs font-mono bg-baikal-cyan/10 text-baikal-cyan rounded">
+                            {concept}
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            <p className={`text-xs text-baikal-text font-sans whitespace-pre-wrap ${expanded ? '' : 'line-clamp-3'}`}>
+                {chunk.content}
+            </p>
+            <button
+                onClick={() => setExpanded(!expanded)}
+                className="flex items-center gap-1 text-xs font-mono text-baikal-text hover:text-white transition-colors"
+            >
+                {expanded ? <ChevronUp className="w-3.5 h-3.5" /> : <ChevronDown className="w-3.5 h-3.5" />}
+                {expanded ? 'RÉDUIRE' : 'LIRE'}
+            </button>
+        </div>
+    );
+}
+
+/**
+ * Résultats d'un jeu de paramètres
+ */
+function ResultsColumn({ title, result, otherChunks }) {
+    if (!result) return null;
+
+    if (result.loading) {
+        return (
+            <div className="flex items-center justify-center py-16">
+                <Loader2 className="w-6 h-6 text-baikal-cyan animate-spin" />
+            </div>
+        );
+    }
+
+    if (result.error) {
+        return (
+            <div className="p-4 bg-red-900/20 border border-red-500/50 rounded-md flex items-center gap-3 text-red-300">
+                <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                <p className="font-mono text-sm">{result.error}</p>
+            </div>
+        );
+    }
+
+    const { chunks, effectiveParams, timings } = result.data;
+    const otherRanks = new Map((otherChunks || []).map((chunk, index) => [chunk.chunk_id, index + 1]));
+
+    return (
+        <div className="space-y-3">
+            <div className="p-3 bg-baikal-surface border border-baikal-border rounded-md space-y-1">
+                <div className="flex items-center justify-between">
+                    <h3 className="text-sm font-mono font-semibold text-white">
+                        {title} · {chunks.length} chunk{chunks.length > 1 ? 's' : ''}
+                    </h3>
+                    <span className="flex items-center gap-1 text-xs font-mono text-baikal-text">
+                        <Timer className="w-3.5 h-3.5" />
+                        {timings.embedding_ms + timings.search_ms} ms
+                    </span>
+                </div>
+                <p className="text-xs font-mono text-baikal-text">
+                    match_count={effectiveParams.match_count} · seuil={effectiveParams.similarity_threshold}
+                    {' · '}L[{effectiveParams.hierarchy_levels.join(',')}]
+                    {' · '}children={String(effectiveParams.include_children)}
+                    {' · '}concepts={String(effectiveParams.enable_concept_expansion)}
+                </p>
+            </div>
+
+            {chunks.length === 0 ? (
+                <p className="py-12 text-center text-sm font-mono text-baikal-text">AUCUN_CHUNK</p>
+            ) : (
+                chunks.map((chunk, index) => (
+                    <ChunkCard
+                        key={`${chunk.chunk_id}-${index}`}
+                        chunk={chunk}
+                        rank={index + 1}
+                        otherRank={otherRanks.get(chunk.chunk_id)}
+                        showComparison={Boolean(otherChunks)}
+                    />
+                ))
+            )}
+        </div>
+    );
+}
+
+// ============================================================================
+// PAGE PRINCIPALE
+// ============================================================================
+
+export default function SearchLab() {
+    const navigate = useNavigate();
+    const { profile, isSuperAdmin, isOrgAdmin } = useAuth();
+
+    // Cible
+    const [apps, setApps] = useState([]);
+    const [orgs, setOrgs] = useState([]);
+    const [projects, setProjects] = useState([]);
+    const [appId, setAppId] = useState(profile?.app_id || '');
+    const [orgId, setOrgId] = useState(isSuperAdmin ? '' : profile?.org_id || '');
+    const [projectId, setProjectId] = useState('');
+
+    // Requête et paramètres
+    const [query, setQuery] = useState('');
+    const [compare, setCompare] = useState(false);
+    const [paramsA, setParamsA] = useState(DEFAULT_SEARCH_PARAMS);
+    const [paramsB, setParamsB] = useState(DEFAULT_SEARCH_PARAMS);
+    const [results, setResults] = useState({ A: null, B: null });
+
+    const isRunning = Boolean(results.A?.loading || results.B?.loading);
+
+    // Vérifier l'accès admin
+    useEffect(() => {
+        if (!isSuperAdmin && !isOrgAdmin) {
+            navigate('/admin', { replace: true });
+        }
+    }, [isSuperAdmin, isOrgAdmin, navigate]);
+
+    // Apps et organisations (super_admin uniquement)
+    useEffect(() => {
+        if (!isSuperAdmin) return;
+
+        async function loadTargets() {
+            const [appsResult, orgsResult] = await Promise.all([
+                getApps(),
+                organizationService.getOrganizations({ limit: 500 }),
+            ]);
+            setApps(appsResult.data || []);
+            setOrgs(orgsResult.data || []);
+        }
+        loadTargets();
+    }, [isSuperAdmin]);
+
+    // Projets de l'organisation sélectionnée
+    useEffect(() => {
+        setProjectId('');
+        if (!orgId) {
+            setProjects([]);
+            return undefined;
+        }
+
+        let cancelled = false;
+        projectsService.getProjects({ orgId }).then(({ data }) => {
+            if (!cancelled) setProjects(data || []);
+        });
+        return () => { cancelled = true; };
+    }, [orgId]);
+
+    const runOne = async (key, params) => {
+        setResults(prev => ({ ...prev, [key]: { loading: true } }));
+        const { data, error } = await searchLabService.runSearch({
+            query: query.trim(),
+            orgId: orgId || null,
+            appId: appId || null,
+            projectId: projectId || null,
+            params,
+        });
+        setResults(prev => ({
+            ...prev,
+            [key]: error ? { error: error.message || 'Recherche impossible' } : { data },
+        }));
+    };
+
+    const handleRun = () => {
+        if (!query.trim()) return;
+        runOne('A', paramsA);
+        if (compare) {
+            runOne('B', paramsB);
+        } else {
+            setResults(prev => ({ ...prev, B: null }));
+        }
+    };
+
+    const chunksA = results.A?.data?.chunks || null;
+    const chunksB = results.B?.data?.chunks || null;
+    const showComparison = compare && chunksA && chunksB;
+
+    return (
+        <div className="min-h-screen bg-baikal-bg">
+            {/* Header */}
+            <header className="bg-baikal-surface border-b border-baikal-border sticky top-0 z-30">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center justify-between h-16">
+                        <div className="flex items-center gap-4">
+                            <button
+                                onClick={() => navigate('/admin')}
+                                className="p-2 text-baikal-text hover:text-white hover:bg-baikal-bg rounded-md transition-colors"
+                            >
+                                <ChevronLeft className="w-5 h-5" />
+                            </button>
+                            <div className="flex items-center gap-3">
+                                <div className="p-2 bg-baikal-cyan/20 rounded-md">
+                                    <FlaskConical className="w-5 h-5 text-baikal-cyan" />
+                                </div>
+                                <div>
+                                    <h1 className="text-lg font-mono font-bold text-white">
+                                        SEARCH_LAB
+                                    </h1>
+                                    <p className="text-xs text-baikal-text font-mono">
+                                        Retrieval match_documents_v13 (librarian-v4), sans génération
+                                    </p>
+                                </div>
+                            </div>
+                        </div>
+
+                        <button
+                            onClick={() => setCompare(!compare)}
+                            className={`flex items-center gap-2 px-4 py-2 border rounded-md transition-colors font-mono text-sm ${
+                                compare
+                                    ? 'border-baikal-cyan text-baikal-cyan bg-baikal-cyan/10'
+                                    : 'border-baikal-border text-baikal-text hover:text-white'
+                            }`}
+                        >
+                            <Columns2 className="w-4 h-4" />
+                            COMPARER_A_B
+                        </button>
+                    </div>
+                </div>
+            </header>
+
+            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+                {/* Cible + requête */}
+                <div className="p-4 bg-baikal-surface border border-baikal-border rounded-md space-y-4">
+                    <div className="flex flex-col lg:flex-row gap-4">
+                        {isSuperAdmin && (
+                            <>
+                                <div className="flex items-center gap-2">
+                                    <Layers className="w-5 h-5 text-baikal-text" />
+                                    <select
+                                        value={appId}
+                                        onChange={(e) => setAppId(e.target.value)}
+                                        className={`${INPUT_CLASS} min-w-[140px]`}
+                                    >
+                                        <option value="">APP DU PROFIL</option>
+                                        {apps.map(app => (
+                                            <option key={app.id} value={app.id}>{app.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <Building2 className="w-5 h-5 text-baikal-text" />
+                                    <select
+                                        value={orgId}
+                                        onChange={(e) => setOrgId(e.target.value)}
+                                        className={`${INPUT_CLASS} min-w-[160px]`}
+                                    >
+                                        <option value="">AUCUNE ORG</option>
+                                        {orgs.map(org => (
+                                            <option key={org.id} value={org.id}>{org.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </>
+                        )}
+                        <div className="flex items-center gap-2">
+                            <FolderOpen className="w-5 h-5 text-baikal-text" />
+                            <select
+                                value={projectId}
+                                onChange={(e) => setProjectId(e.target.value)}
+                                disabled={projects.length === 0}
+                                className={`${INPUT_CLASS} min-w-[160px] disabled:opacity-50`}
+                            >
+                                <option value="">AUCUN PROJET</option>
+                                {projects.map(project => (
+                                    <option key={project.id} value={project.id}>{project.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div className="flex flex-col md:flex-row gap-3">
+                        <textarea
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) handleRun();
+                            }}
+                            placeholder="Question posée à l'assistant..."
+                            rows={2}
+                            className={`${INPUT_CLASS} flex-1 resize-none font-sans`}
+                        />
+                        <button
+                            onClick={handleRun}
+                            disabled={!query.trim() || isRunning}
+                            className="flex items-center justify-center gap-2 px-6 py-2.5 bg-baikal-cyan text-black rounded-md hover:opacity-80 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed font-mono"
+                        >
+                            {isRunning ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+                            RECHERCHER
+                        </button>
+                    </div>
+                </div>
+
+                {/* Paramètres + résultats */}
+                <div className={`grid gap-6 ${compare ? 'lg:grid-cols-2' : 'lg:grid-cols-[20rem_1fr]'}`}>
+                    {compare ? (
+                        <>
+                            <div className="space-y-6">
+                                <ParamsPanel title="PARAMÈTRES_A" params={paramsA} onChange={setParamsA} />
+                                <ResultsColumn title="A" result={results.A} otherChunks={showComparison ? chunksB : null} />
+                            </div>
+                            <div className="space-y-6">
+                                <ParamsPanel
+                                    title="PARAMÈTRES_B"
+                                    params={paramsB}
+                                    onChange={setParamsB}
+                                    onCopyFrom={() => setParamsB(paramsA)}
+                                />
+                                <ResultsColumn title="B" result={results.B} otherChunks={showComparison ? chunksA : null} />
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <ParamsPanel title="PARAMÈTRES" params={paramsA} onChange={setParamsA} />
+                            <ResultsColumn title="RÉSULTATS" result={results.A} otherChunks={null} />
+                        </>
+                    )}
+                </div>
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,314 @@
+/**
+ * Billing Service - Baikal Console
+ * ============================================================================
+ * Facturation des organisations : solde (core.organizations.credits_balance)
+ * et grand livre des mouvements de crédits (core.credit_ledger).
+ *
+ * Les débits sont enregistrés par core.debit_credits, appelée par :
+ * - baikal-librarian-v4 : réponses de l'assistant
+ * - fin des jobs d'ingestion (trigger sources.debit_ingested_pages) : pages ingérées
+ * - meeting-transcribe / transcribe-dictation : minutes transcrites
+ * Un solde nul ou négatif bloque ces consommations.
+ *
+ * Les recharges manuelles sont réservées aux super_admin (core.top_up_credits).
+ *
+ * @example
+ * import { billingService } from '@/services';
+ *
+ * const { data, error } = await billingService.getLedgerSummary(orgId, { days: 30 });
+ * ============================================================================
+ */
+
+import { supabase } from '../lib/supabaseClient';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_LEDGER_LIMIT = 500;
+
+/**
+ * Solde en dessous duquel l'organisation est avertie
+ */
+export const LOW_CREDITS_THRESHOLD = 10;
+
+/**
+ * Types de mouvements du grand livre
+ */
+export const CREDIT_KINDS = Object.freeze({
+    chat_answer: { label: 'RÉPONSES', unit: 'réponse' },
+    ingestion_page: { label: 'INGESTION', unit: 'page' },
+    transcription_minute: { label: 'TRANSCRIPTION', unit: 'minute' },
+    top_up: { label: 'RECHARGE', unit: 'crédit' },
+    adjustment: { label: 'AJUSTEMENT', unit: 'crédit' },
+});
+
+/**
+ * Périodes d'historique proposées (en jours)
+ */
+export const BILLING_PERIODS = [7, 30, 90];
+
+/**
+ * État du solde : bloqué (<= 0), bas (<= LOW_CREDITS_THRESHOLD) ou normal
+ * @param {number|null} balance
+ * @returns {'blocked'|'low'|'ok'}
+ */
+export function getBalanceStatus(balance) {
+    const value = balance ?? 0;
+    if (value <= 0) return 'blocked';
+    if (value <= LOW_CREDITS_THRESHOLD) return 'low';
+    return 'ok';
+}
+
+/**
+ * Date locale au format AAAA-MM-JJ (jours de la synthèse journalière)
+ * @param {Date} date
+ * @returns {string}
+ */
+const toDayKey = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * Solde de fin de journée sur la période, à partir de la synthèse journalière
+ * (getLedgerSummary) et du solde actuel
+ * @param {Array} summary - Lignes jour / type (day, amount, closingBalance)
+ * @param {number} currentBalance - Solde actuel
+ * @param {number} days - Nombre de jours
+ * @returns {Array<{date: string, balance: number}>}
+ */
+export function buildBalanceHistory(summary, currentBalance, days) {
+    const closingByDay = {};
+    const amountByDay = {};
+    summary.forEach(row => {
+        closingByDay[row.day] = row.closingBalance;
+        amountByDay[row.day] = (amountByDay[row.day] || 0) + row.amount;
+    });
+
+    // Solde d'ouverture : avant les mouvements du premier jour de la période
+    const firstDay = Object.keys(closingByDay).sort()[0];
+    let balance = firstDay
+        ? closingByDay[firstDay] - amountByDay[firstDay]
+        : currentBalance ?? 0;
+
+    const history = [];
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    for (let offset = days - 1; offset >= 0; offset--) {
+        const day = new Date(today);
+        day.setDate(today.getDate() - offset);
+        const key = toDayKey(day);
+        if (closingByDay[key] !== undefined) balance = closingByDay[key];
+        history.push({ date: key, balance });
+    }
+
+    return history;
+}
+
+/**
+ * Consommation (crédits débités et quantités) par type sur la période
+ * @param {Array} summary - Lignes jour / type de getLedgerSummary
+ * @returns {Object<string, {credits: number, quantity: number}>}
+ */
+export function summarizeConsumption(summary) {
+    return summary.reduce((totals, row) => {
+        if (row.amount >= 0) return totals;
+        const current = totals[row.kind] || { credits: 0, quantity: 0 };
+        totals[row.kind] = {
+            credits: current.credits - row.amount,
+            quantity: current.quantity + row.quantity,
+        };
+        return totals;
+    }, {});
+}
+
+// ============================================================================
+// LECTURE
+// ============================================================================
+
+/**
+ * Organisations (sélecteur super_admin)
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getOrganizations() {
+    try {
+        const { data, error } = await supabase
+            .schema('core')
+            .from('organizations')
+            .select('id, name, plan, credits_balance')
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+
+        return { data: data || [], error: null };
+    } catch (error) {
+        console.error('[billingService] Error in getOrganizations:', error);
+        return { data: [], error };
+    }
+}
+
+/**
+ * Solde et plan d'une organisation
+ * @param {string} orgId - ID de l'organisation
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function getBalance(orgId) {
+    try {
+        const { data, error } = await supabase
+            .schema('core')
+            .from('organizations')
+            .select('id, name, plan, credits_balance')
+            .eq('id', orgId)
+            .single();
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[billingService] Error in getBalance:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Derniers mouvements de crédits d'une organisation sur une période
+ * (liste détaillée ; les totaux viennent de getLedgerSummary)
+ * @param {string} orgId - ID de l'organisation
+ * @param {Object} options
+ * @param {number} [options.days=30] - Profondeur de l'historique
+ * @param {number} [options.limit] - Nombre maximum de mouvements
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getLedger(orgId, { days = 30, limit = DEFAULT_LEDGER_LIMIT } = {}) {
+    try {
+        const since = new Date();
+        since.setHours(0, 0, 0, 0);
+        since.setDate(since.getDate() - (days - 1));
+
+        const { data, error } = await supabase
+            .schema('core')
+            .from('credit_ledger')
+            .select('id, kind, quantity, amount, balance_after, user_id, reference_type, reference_id, description, created_at')
+            .eq('org_id', orgId)
+            .gte('created_at', since.toISOString())
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+
+        return { data: data || [], error: null };
+    } catch (error) {
+        console.error('[billingService] Error in getLedger:', error);
+        return { data: [], error };
+    }
+}
+
+/**
+ * Synthèse journalière des mouvements (par jour et par type) sur une
+ * période, calculée par core.get_credit_ledger_summary sur tout le grand livre
+ * @param {string} orgId - ID de l'organisation
+ * @param {Object} options
+ * @param {number} [options.days=30] - Profondeur de l'historique
+ * @returns {Promise<{data: Array<{day: string, kind: string, entries: number, quantity: number, amount: number, closingBalance: number}>, error: Error|null}>}
+ */
+export async function getLedgerSummary(orgId, { days = 30 } = {}) {
+    try {
+        const { data, error } = await supabase
+            .schema('core')
+            .rpc('get_credit_ledger_summary', {
+                p_org_id: orgId,
+                p_days: days,
+                p_timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+            });
+
+        if (error) throw error;
+
+        return {
+            data: (data || []).map(row => ({
+                day: row.out_day,
+                kind: row.out_kind,
+                entries: Number(row.out_entries) || 0,
+                quantity: Number(row.out_quantity) || 0,
+                amount: Number(row.out_amount) || 0,
+                closingBalance: row.out_closing_balance,
+            })),
+            error: null,
+        };
+    } catch (error) {
+        console.error('[billingService] Error in getLedgerSummary:', error);
+        return { data: [], error };
+    }
+}
+
+/**
+ * Tarifs en vigueur (crédits par unité consommée)
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getRates() {
+    try {
+        const { data, error } = await supabase
+            .schema('core')
+            .from('credit_rates')
+            .select('kind, label, unit, unit_cost')
+            .order('kind', { ascending: true });
+
+        if (error) throw error;
+
+        return { data: data || [], error: null };
+    } catch (error) {
+        console.error('[billingService] Error in getRates:', error);
+        return { data: [], error };
+    }
+}
+
+// ============================================================================
+// RECHARGE
+// ============================================================================
+
+/**
+ * Recharge manuelle (super_admin). Un montant négatif est enregistré
+ * comme ajustement.
+ * @param {string} orgId - ID de l'organisation
+ * @param {number} amount - Crédits ajoutés (entier non nul)
+ * @param {string} [description] - Motif
+ * @returns {Promise<{data: number|null, error: Error|null}>} Nouveau solde
+ */
+export async function topUp(orgId, amount, description = '') {
+    try {
+        const { data, error } = await supabase
+            .schema('core')
+            .rpc('top_up_credits', {
+                p_org_id: orgId,
+                p_amount: amount,
+                p_description: description || null,
+            });
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[billingService] Error in topUp:', error);
+        return { data: null, error };
+    }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const billingService = {
+    getOrganizations,
+    getBalance,
+    getLedger,
+    getLedgerSummary,
+    getRates,
+    topUp,
+    getBalanceStatus,
+    buildBalanceHistory,
+    summarizeConsumption,
+};
+
+export default billingService;
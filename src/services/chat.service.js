@@ -0,0 +1,207 @@
+/**
+ * Chat Service - Baikal Console
+ * ============================================================================
+ * Service d'appel à l'orchestrateur RAG (Edge Function baikal-brain-v3).
+ *
+ * baikal-brain-v3 analyse la question puis proxy le flux SSE de
+ * baikal-librarian-v4. Événements émis :
+ * - step    : { step, message, conversation_id? }  → fil de progression
+ * - token   : { content }                          → morceau de réponse
+ * - message : { content, conversation_id }         → réponse complète (mode conversationnel)
+ * - sources : { sources, conversation_id, generation_mode, ... }
+ * - done    : {}
+ * - error   : { error } | { message }
+ *
+ * @example
+ * import { chatService } from '@/services';
+ *
+ * const controller = new AbortController();
+ * const { data, error } = await chatService.streamQuery(
+ *   { query: 'Quelle est la classe de résistance ?', userId, orgId, appId: 'arpet' },
+ *   { signal: controller.signal, onEvent: ({ event, data }) => console.log(event, data) }
+ * );
+ * ============================================================================
+ */
+
+import { supabase, assertWritable } from '../lib/supabaseClient';
+import { EDGE_FUNCTIONS, getEdgeFunctionUrl, SUPABASE_ANON_KEY } from '../config/api';
+import { assertEntitlement } from './entitlements.service';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Événements SSE émis par brain-v3 / librarian-v4
+ */
+export const CHAT_SSE_EVENTS = Object.freeze({
+    STEP: 'step',
+    TOKEN: 'token',
+    MESSAGE: 'message',
+    SOURCES: 'sources',
+    DONE: 'done',
+    ERROR: 'error',
+});
+
+// ============================================================================
+// PARSING SSE
+// ============================================================================
+
+/**
+ * Parse un bloc SSE ("event: x\ndata: {...}")
+ * @param {string} block - Bloc brut (sans le séparateur \n\n)
+ * @returns {{event: string, data: any}|null}
+ */
+export function parseSSEBlock(block) {
+    if (!block || !block.trim()) return null;
+
+    let event = 'message';
+    const dataLines = [];
+
+    for (const rawLine of block.split('\n')) {
+        const line = rawLine.replace(/\r$/, '');
+        if (!line || line.startsWith(':')) continue;
+
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+    }
+
+    if (dataLines.length === 0) return null;
+
+    const rawData = dataLines.join('\n');
+    try {
+        return { event, data: JSON.parse(rawData) };
+    } catch {
+        return { event, data: rawData };
+    }
+}
+
+// ============================================================================
+// STREAMING
+// ============================================================================
+
+/**
+ * Envoie une question à baikal-brain-v3 et consomme le flux SSE
+ * @param {Object} params - Paramètres de la requête
+ * @param {string} params.query - Question utilisateur
+ * @param {string} params.userId - ID utilisateur
+ * @param {string} [params.orgId] - ID organisation
+ * @param {string} [params.projectId] - ID projet
+ * @param {string} [params.appId] - ID app (ex: 'arpet')
+ * @param {string} [params.conversationId] - ID de conversation à poursuivre
+ * @param {string} [params.generationMode='auto'] - 'auto' | 'chunks' | 'gemini'
+ * @param {Object} options - Options de streaming
+ * @param {AbortSignal} [options.signal] - Signal d'annulation
+ * @param {Function} [options.onEvent] - Callback ({ event, data }) pour chaque événement
+ * @returns {Promise<{data: {conversationId: string|null, aborted: boolean}|null, error: Error|null}>}
+ */
+export async function streamQuery({
+    query,
+    userId,
+    orgId = null,
+    projectId = null,
+    appId = null,
+    conversationId = null,
+    generationMode = 'auto',
+}, { signal, onEvent } = {}) {
+    let lastConversationId = conversationId;
+
+    try {
+        // Impersonation en lecture seule : pas de question (conversation et débit de crédits)
+        assertWritable();
+
+        const { data: { session } } = await supabase.auth.getSession();
+        if (!session) throw new Error('Non connecté');
+
+        // Quota mensuel de questions du plan (revérifié par baikal-brain-v3)
+        const { error: planError } = await assertEntitlement(orgId, { quota: 'monthly_queries' });
+        if (planError) throw planError;
+
+        const response = await fetch(getEdgeFunctionUrl(EDGE_FUNCTIONS.BAIKAL_BRAIN), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${session.access_token}`,
+                'apikey': SUPABASE_ANON_KEY,
+            },
+            body: JSON.stringify({
+                query,
+                user_id: userId,
+                org_id: orgId || undefined,
+                project_id: projectId || undefined,
+                app_id: appId || undefined,
+                conversation_id: conversationId || undefined,
+                generation_mode: generationMode,
+                stream: true,
+            }),
+            signal,
+        });
+
+        if (!response.ok) {
+            let message = `Erreur ${response.status}`;
+            try {
+                const result = await response.json();
+                message = result.error || message;
+            } catch {
+                // Corps non JSON
+            }
+            throw new Error(message);
+        }
+
+        if (!response.body) throw new Error('Réponse vide du serveur');
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const dispatch = (block) => {
+            const parsed = parseSSEBlock(block);
+            if (!parsed) return;
+
+            if (parsed.data?.conversation_id) {
+                lastConversationId = parsed.data.conversation_id;
+            }
+            onEvent?.(parsed);
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            let separatorIndex = buffer.indexOf('\n\n');
+            while (separatorIndex !== -1) {
+                dispatch(buffer.slice(0, separatorIndex));
+                buffer = buffer.slice(separatorIndex + 2);
+                separatorIndex = buffer.indexOf('\n\n');
+            }
+        }
+
+        // Dernier bloc éventuel sans séparateur final
+        buffer += decoder.decode();
+        dispatch(buffer);
+
+        return { data: { conversationId: lastConversationId, aborted: false }, error: null };
+    } catch (error) {
+        if (error?.name === 'AbortError') {
+            return { data: { conversationId: lastConversationId, aborted: true }, error: null };
+        }
+        console.error('[chatService] Error in streamQuery:', error);
+        return { data: null, error };
+    }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const chatService = {
+    streamQuery,
+    parseSSEBlock,
+};
+
+export default chatService;
@@ -0,0 +1,245 @@
+/**
+ * Connectors Service - Baikal Console
+ * ============================================================================
+ * Connecteurs d'ingestion (sources.connectors) et historique de leurs
+ * exécutions (sources.connector_runs). L'exécution elle-même est réalisée
+ * par l'Edge Function run-connector (manuelle ou planifiée via pg_cron).
+ *
+ * Fonctionnalités :
+ * - Liste / création / modification / suppression des connecteurs
+ * - Exécution immédiate d'un connecteur
+ * - Historique des exécutions avec détail des erreurs
+ *
+ * @example
+ * import { connectorsService } from '@/services';
+ *
+ * const { data, error } = await connectorsService.runConnector(connectorId);
+ * ============================================================================
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { EDGE_FUNCTIONS } from '../config/api';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Champs d'un connecteur modifiables depuis l'interface
+ */
+const EDITABLE_CONNECTOR_FIELDS = [
+    'name',
+    'connector_type',
+    'config',
+    'credentials_ref',
+    'schedule',
+    'layer',
+    'app_id',
+    'org_id',
+    'project_ids',
+    'metadata',
+    'enabled',
+];
+
+const DEFAULT_RUNS_LIMIT = 20;
+
+/**
+ * Format de credentials_ref (suffixe du secret Vault)
+ */
+export const CREDENTIALS_REF_PATTERN = /^[a-z0-9_]{1,64}$/;
+
+/**
+ * Nom complet du secret Vault lu par run-connector : l'espace de noms de
+ * l'organisation est imposé côté serveur (sources.get_connector_secret)
+ * @param {string} layer - Couche du connecteur
+ * @param {string|null} orgId - Organisation du connecteur
+ * @param {string} credentialsRef - Suffixe saisi
+ * @returns {string}
+ */
+export function getSecretName(layer, orgId, credentialsRef) {
+    const namespace = layer === 'app' ? 'app' : orgId || '<org_id>';
+    return `connector_${namespace}_${credentialsRef || '…'}`;
+}
+
+/**
+ * Ne conserve que les champs éditables (chaînes vides → null)
+ * @param {Object} connector
+ * @returns {Object}
+ */
+function sanitizeConnector(connector) {
+    const clean = {};
+    EDITABLE_CONNECTOR_FIELDS.forEach(field => {
+        if (connector[field] === undefined) return;
+        const value = typeof connector[field] === 'string' ? connector[field].trim() : connector[field];
+        clean[field] = value === '' ? null : value;
+    });
+    return clean;
+}
+
+// ============================================================================
+// CONNECTEURS
+// ============================================================================
+
+/**
+ * Récupère les connecteurs (RLS : tous pour super_admin, ceux de l'org sinon)
+ * @param {Object} [params]
+ * @param {string} [params.orgId] - Filtrer sur une organisation
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getConnectors({ orgId = null } = {}) {
+    try {
+        let query = supabase
+            .schema('sources')
+            .from('connectors')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (orgId) query = query.eq('org_id', orgId);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        return { data: data || [], error: null };
+    } catch (error) {
+        console.error('[connectorsService] Error in getConnectors:', error);
+        return { data: [], error };
+    }
+}
+
+/**
+ * Crée un connecteur
+ * @param {Object} connector - Champs du connecteur
+ * @param {string} userId - Créateur (propriétaire des fichiers importés)
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function createConnector(connector, userId) {
+    try {
+        const { data, error } = await supabase
+            .schema('sources')
+            .from('connectors')
+            .insert({ ...sanitizeConnector(connector), created_by: userId })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[connectorsService] Error in createConnector:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Met à jour un connecteur
+ * @param {string} connectorId - ID du connecteur
+ * @param {Object} updates - Champs modifiés
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function updateConnector(connectorId, updates) {
+    try {
+        const { data, error } = await supabase
+            .schema('sources')
+            .from('connectors')
+            .update(sanitizeConnector(updates))
+            .eq('id', connectorId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[connectorsService] Error in updateConnector:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Supprime un connecteur et son historique (les fichiers importés sont conservés)
+ * @param {string} connectorId - ID du connecteur
+ * @returns {Promise<{success: boolean, error: Error|null}>}
+ */
+export async function deleteConnector(connectorId) {
+    try {
+        const { error } = await supabase
+            .schema('sources')
+            .from('connectors')
+            .delete()
+            .eq('id', connectorId);
+
+        if (error) throw error;
+
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('[connectorsService] Error in deleteConnector:', error);
+        return { success: false, error };
+    }
+}
+
+// ============================================================================
+// EXÉCUTIONS
+// ============================================================================
+
+/**
+ * Lance une exécution (traitée en tâche de fond par run-connector)
+ * @param {string} connectorId - ID du connecteur
+ * @returns {Promise<{data: {run_id: string}|null, error: Error|null}>}
+ */
+export async function runConnector(connectorId) {
+    try {
+        const { data, error } = await supabase.functions.invoke(EDGE_FUNCTIONS.RUN_CONNECTOR, {
+            body: { action: 'run', connector_id: connectorId },
+        });
+
+        if (error) throw error;
+        if (!data?.success) throw new Error(data?.error || 'Exécution impossible');
+
+        return { data: { run_id: data.run_id }, error: null };
+    } catch (error) {
+        console.error('[connectorsService] Error in runConnector:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Historique des exécutions d'un connecteur (plus récentes d'abord)
+ * @param {string} connectorId - ID du connecteur
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Nombre d'exécutions
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getConnectorRuns(connectorId, { limit = DEFAULT_RUNS_LIMIT } = {}) {
+    try {
+        const { data, error } = await supabase
+            .schema('sources')
+            .from('connector_runs')
+            .select('*')
+            .eq('connector_id', connectorId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+
+        return { data: data || [], error: null };
+    } catch (error) {
+        console.error('[connectorsService] Error in getConnectorRuns:', error);
+        return { data: [], error };
+    }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const connectorsService = {
+    getConnectors,
+    createConnector,
+    updateConnector,
+    deleteConnector,
+    runConnector,
+    getConnectorRuns,
+    getSecretName,
+};
+
+export default connectorsService;
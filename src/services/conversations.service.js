@@ -0,0 +1,255 @@
+/**
+ * Conversations Service - Baikal Console
+ * ============================================================================
+ * Historique des conversations de l'Assistant RAG (rag.conversations / rag.messages).
+ *
+ * Les conversations et messages sont écrits côté Edge Functions
+ * (get_agent_context + add_message dans baikal-librarian-v4). Ce service
+ * permet à l'utilisateur de les lister, rechercher, renommer, supprimer
+ * et de reprendre une conversation (conversation_id renvoyé à brain-v3).
+ *
+ * @example
+ * import { conversationsService } from '@/services';
+ *
+ * const { data, error } = await conversationsService.getConversations({
+ *   userId, appId: 'arpet', search: 'ferraillage',
+ * });
+ * ============================================================================
+ */
+
+import { supabase } from '../lib/supabaseClient';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_LIMIT = 50;
+const TITLE_MAX_LENGTH = 80;
+
+/**
+ * Tronque un texte pour servir de titre
+ * @param {string} text
+ * @returns {string}
+ */
+function toTitle(text) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= TITLE_MAX_LENGTH) return clean;
+    return `${clean.slice(0, TITLE_MAX_LENGTH - 1)}…`;
+}
+
+/**
+ * Parse le champ sources d'un message (jsonb ou chaîne JSON selon add_message)
+ * @param {any} sources
+ * @returns {Array}
+ */
+function parseSources(sources) {
+    if (!sources) return [];
+    if (Array.isArray(sources)) return sources;
+    if (typeof sources === 'string') {
+        try {
+            const parsed = JSON.parse(sources);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch {
+            return [];
+        }
+    }
+    return [];
+}
+
+// ============================================================================
+// LECTURE
+// ============================================================================
+
+/**
+ * Récupère les conversations d'un utilisateur
+ * @param {Object} params
+ * @param {string} params.userId - ID utilisateur
+ * @param {string} [params.appId] - Filtrer par app
+ * @param {string} [params.projectId] - Filtrer par projet
+ * @param {string} [params.search] - Recherche dans le titre et le texte des messages
+ *   (côté serveur, rag.search_conversations : la limite s'applique aux résultats)
+ * @param {number} [params.limit=50] - Nombre maximum de conversations
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getConversations({ userId, appId = null, projectId = null, search = null, limit = DEFAULT_LIMIT } = {}) {
+    try {
+        if (!userId) return { data: [], error: null };
+
+        const term = search?.trim();
+
+        // Recherche : titre ou texte d'un message, sur tout l'historique
+        let matches = null;
+        if (term) {
+            const { data: hits, error: searchError } = await supabase
+                .schema('rag')
+                .rpc('search_conversations', {
+                    p_user_id: userId,
+                    p_search: term,
+                    p_app_id: appId,
+                    p_project_id: projectId,
+                    p_limit: limit,
+                });
+
+            if (searchError) throw searchError;
+
+            matches = hits || [];
+            if (matches.length === 0) return { data: [], error: null };
+        }
+
+        let query = supabase
+            .schema('rag')
+            .from('conversations')
+            .select('*')
+            .eq('user_id', userId)
+            .order('updated_at', { ascending: false })
+            .limit(limit);
+
+        if (matches) {
+            query = query.in('id', matches.map(m => m.conversation_id));
+        } else {
+            if (appId) query = query.eq('app_id', appId);
+            if (projectId) query = query.eq('project_id', projectId);
+        }
+
+        const { data: conversations, error } = await query;
+        if (error) throw error;
+
+        const ids = (conversations || []).map(c => c.id);
+        if (ids.length === 0) return { data: [], error: null };
+
+        // Première question de chaque conversation (titre par défaut)
+        const { data: firstMessages } = await supabase
+            .schema('rag')
+            .from('messages')
+            .select('conversation_id, content, created_at')
+            .in('conversation_id', ids)
+            .eq('role', 'user')
+            .order('created_at', { ascending: true });
+
+        const firstQuestionMap = {};
+        firstMessages?.forEach(m => {
+            if (!firstQuestionMap[m.conversation_id]) {
+                firstQuestionMap[m.conversation_id] = m.content;
+            }
+        });
+
+        let result = conversations.map(c => ({
+            ...c,
+            displayTitle: toTitle(c.title || c.first_message || firstQuestionMap[c.id] || 'Conversation sans titre'),
+        }));
+
+        if (matches) {
+            const lowerTerm = term.toLowerCase();
+            const snippetMap = {};
+            matches.forEach(m => {
+                if (!m.match_content) return;
+                const index = m.match_content.toLowerCase().indexOf(lowerTerm);
+                const start = Math.max(0, index - 40);
+                snippetMap[m.conversation_id] = `${start > 0 ? '…' : ''}${m.match_content.slice(start, index + term.length + 60)}`;
+            });
+
+            result = result.map(c => ({ ...c, matchSnippet: snippetMap[c.id] || null }));
+        }
+
+        return { data: result, error: null };
+    } catch (error) {
+        console.error('[conversationsService] Error in getConversations:', error);
+        return { data: [], error };
+    }
+}
+
+/**
+ * Récupère les messages d'une conversation (ordre chronologique)
+ * @param {string} conversationId - ID de la conversation
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getConversationMessages(conversationId) {
+    try {
+        const { data, error } = await supabase
+            .schema('rag')
+            .from('messages')
+            .select('*')
+            .eq('conversation_id', conversationId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        return {
+            data: (data || []).map(m => ({ ...m, sources: parseSources(m.sources) })),
+            error: null,
+        };
+    } catch (error) {
+        console.error('[conversationsService] Error in getConversationMessages:', error);
+        return { data: [], error };
+    }
+}
+
+// ============================================================================
+// ÉCRITURE
+// ============================================================================
+
+/**
+ * Renomme une conversation
+ * @param {string} conversationId - ID de la conversation
+ * @param {string} title - Nouveau titre (vide = titre par défaut)
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function renameConversation(conversationId, title) {
+    try {
+        const { data, error } = await supabase
+            .schema('rag')
+            .from('conversations')
+            .update({ title: title?.trim() || null })
+            .eq('id', conversationId)
+            .select('*')
+            .single();
+
+        if (error) throw error;
+        return { data, error: null };
+    } catch (error) {
+        console.error('[conversationsService] Error in renameConversation:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Supprime une conversation et ses messages
+ * @param {string} conversationId - ID de la conversation
+ * @returns {Promise<{success: boolean, error: Error|null}>}
+ */
+export async function deleteConversation(conversationId) {
+    try {
+        const { error: messagesError } = await supabase
+            .schema('rag')
+            .from('messages')
+            .delete()
+            .eq('conversation_id', conversationId);
+
+        if (messagesError) throw messagesError;
+
+        const { error } = await supabase
+            .schema('rag')
+            .from('conversations')
+            .delete()
+            .eq('id', conversationId);
+
+        if (error) throw error;
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('[conversationsService] Error in deleteConversation:', error);
+        return { success: false, error };
+    }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const conversationsService = {
+    getConversations,
+    getConversationMessages,
+    renameConversation,
+    deleteConversation,
+};
+
+export default conversationsService;
@@ -28,6 +28,7 @@
  */
 
 import { supabase } from '../lib/supabaseClient';
+import { assertEntitlement } from './entitlements.service';
 
 // ============================================================================
 // CONFIGURATION
@@ -550,6 +551,9 @@ export const documentsService = {
    * 
    * En cas d'erreur à l'étape 4, le fichier reste uploadé et le job
    * peut être relancé via la page /admin/ingestion
+   * 
+   * Nouvelle version (previousVersionId) : le fichier est chaîné à la version
+   * précédente, marquée superseded (avec ses chunks) à la fin de l'ingestion
    * ============================================================================
    * @param {Object} params - Paramètres d'upload
    * @param {File} params.file - Fichier à uploader
@@ -562,6 +566,7 @@ export const documentsService = {
    * @param {string} [params.qualityLevel='premium'] - Niveau de qualité
    * @param {string} [params.status='approved'] - Statut initial
    * @param {string} [params.bucket='premium-sources'] - Bucket de stockage
+   * @param {string} [params.previousVersionId] - Fichier remplacé (nouvelle version de…)
    * @returns {Promise<{data: Object, path: string, error: Error|null}>}
    */
   async uploadDocument(params) {
@@ -576,6 +581,7 @@ export const documentsService = {
       qualityLevel = 'premium',
       status = 'approved',
       bucket = 'premium-sources',
+      previousVersionId = null,
     } = params;
 
     // Normaliser le layer (vertical → app)
@@ -594,11 +600,40 @@ export const documentsService = {
     const filenameClean = generateFilenameClean(documentTitle, file.name);
 
     try {
+      // =========================================================================
+      // ÉTAPE 0: Droits du plan (couche autorisée, stockage restant)
+      // =========================================================================
+      if (orgId && normalizedLayer !== 'app') {
+        const { error: planError } = await assertEntitlement(orgId, {
+          layer: normalizedLayer,
+          quota: 'storage_gb',
+          increment: file.size / 1e9,
+        });
+        if (planError) throw planError;
+      }
+
       // =========================================================================
       // ÉTAPE 1: Calculer le hash du fichier
       // =========================================================================
       const contentHash = await computeFileHash(file);
 
+      // Nouvelle version : numéro = version précédente + 1
+      let versionNumber = 1;
+      if (previousVersionId) {
+        const { data: previousFile, error: previousError } = await supabase
+          .schema('sources')
+          .from('files')
+          .select('version_number, superseded_at')
+          .eq('id', previousVersionId)
+          .single();
+
+        if (previousError) throw previousError;
+        if (previousFile.superseded_at) {
+          throw new Error('Ce document a déjà été remplacé par une version plus récente');
+        }
+        versionNumber = (previousFile.version_number || 1) + 1;
+      }
+
       // =========================================================================
       // ÉTAPE 2: Upload vers Storage avec paths structurés v2.2.0
       // =========================================================================
@@ -633,12 +668,15 @@ export const documentsService = {
           project_id: normalizedProjectIds[0] || null,
           created_by: userId,
           processing_status: 'pending',
+          previous_version_id: previousVersionId,
+          version_number: versionNumber,
           metadata: {
             ...metadata,
             target_project_ids: normalizedProjectIds.length > 0 ? normalizedProjectIds : undefined,
             document_title: documentTitle,
             category_slug: categorySlug,
             filename_clean: filenameClean,
+            quality_level: qualityLevel,
           },
         })
         .select()
@@ -663,31 +701,8 @@ export const documentsService = {
       // =========================================================================
       if (ingestionJob) {
         try {
-          const triggerPayload = {
-            // Champs directs attendus par Edge Function
-            queue_id: ingestionJob.id,
-            file_id: sourceFile.id,
-            filename: file.name,
-            storage_bucket: bucket,
-            storage_path: path,
-            mime_type: file.type,
-            layer: normalizedLayer,
-            org_id: orgId,
-            project_id: normalizedProjectIds[0] || null,
-            created_by: userId,
-            app_id: appId,
-            
-            // Metadata complète pour N8N
-            metadata: {
-              ...metadata,
-              document_title: documentTitle,
-              category_slug: categorySlug,
-              filename_clean: filenameClean,
-              quality_level: qualityLevel,
-              file_size: file.size,
-              target_project_ids: normalizedProjectIds.length > 0 ? normalizedProjectIds : undefined,
-            },
-          };
+          // Le payload N8N est construit par l'Edge Function depuis le fichier du job
+          const triggerPayload = { queue_id: ingestionJob.id };
 
           console.log('[documentsService] Calling trigger-ingestion with payload:', triggerPayload);
 
@@ -725,12 +740,18 @@ export const documentsService = {
    * ============================================================================
    */
   async syncLegifranceCodes(params) {
-    const { codeIds, appId, layer } = params;
+    const { codeIds, appId, layer, orgId = null } = params;
 
     // Normaliser le layer
     const normalizedLayer = normalizeLayer(layer) || 'app';
 
     try {
+      // Hors couche app, Légifrance doit être inclus dans le plan de l'organisation
+      if (orgId && normalizedLayer !== 'app') {
+        const { error: planError } = await assertEntitlement(orgId, { feature: 'legifrance' });
+        if (planError) throw planError;
+      }
+
       const results = [];
       const errors = [];
 
@@ -742,6 +763,7 @@ export const documentsService = {
               sync_type: 'full',
               target_apps: appId ? [appId] : null,
               layer: normalizedLayer,
+              org_id: orgId,
             },
           });
 
@@ -771,6 +793,93 @@ export const documentsService = {
     }
   },
 
+  // ==========================================================================
+  // PAGES WEB
+  // ==========================================================================
+
+  /**
+   * Télécharge des pages web et extrait leur contenu lisible (prévisualisation)
+   * Le markdown renvoyé est le contenu exact qui sera ingéré.
+   * @param {Array<string>} urls - URLs à analyser (max 10)
+   * @returns {Promise<{data: Array<{url, final_url, title, markdown, content_hash, word_count, error}>, error: Error|null}>}
+   */
+  async previewWebPages(urls) {
+    try {
+      const { data, error } = await supabase.functions.invoke('ingest-web-page', {
+        body: { action: 'preview', urls },
+      });
+
+      if (error) throw error;
+      if (!data?.success) throw new Error(data?.error || 'Erreur lors de l\'analyse des pages');
+
+      return { data: data.pages || [], error: null };
+    } catch (error) {
+      console.error('[documentsService] previewWebPages error:', error);
+      return { data: [], error };
+    }
+  },
+
+  /**
+   * Recherche une page web déjà importée (même URL, même organisation)
+   * @param {string} url - URL de la page
+   * @param {string|null} orgId - ID de l'organisation (null = couche app)
+   * @returns {Promise<{data: Object|null, error: Error|null}>}
+   */
+  async findWebSource(url, orgId) {
+    try {
+      let query = supabase
+        .schema('sources')
+        .from('files')
+        .select('id, original_filename, created_at, metadata')
+        .eq('metadata->>source_type', 'web')
+        .eq('metadata->>source_url', url)
+        .limit(1);
+
+      query = orgId ? query.eq('org_id', orgId) : query.is('org_id', null);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      return { data: data?.[0] || null, error: null };
+    } catch (error) {
+      console.error('[documentsService] findWebSource error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Ingère une page web prévisualisée (même flux que l'upload de fichier)
+   * Le contenu est stocké en markdown ; l'URL et la fréquence de re-crawl
+   * sont conservées dans sources.files.metadata (re-crawl : ingest-web-page).
+   * @param {Object} params - Paramètres (voir uploadDocument)
+   * @param {Object} params.page - Page renvoyée par previewWebPages
+   * @param {number|null} [params.recrawlIntervalDays] - Fréquence de re-crawl (null = jamais)
+   * @returns {Promise<{data: Object, path: string, error: Error|null}>}
+   */
+  async ingestWebPage(params) {
+    const { page, recrawlIntervalDays = null, metadata = {}, ...uploadParams } = params;
+
+    const hostname = new URL(page.final_url || page.url).hostname.replace(/^www\./, '');
+    const file = new File(
+      [page.markdown],
+      generateFilenameClean(metadata.title || page.title, `${hostname}.md`),
+      { type: 'text/markdown' }
+    );
+
+    return this.uploadDocument({
+      ...uploadParams,
+      file,
+      metadata: {
+        ...metadata,
+        source_type: 'web',
+        source_url: page.url,
+        final_url: page.final_url,
+        recrawl_interval_days: recrawlIntervalDays || undefined,
+        last_crawled_at: new Date().toISOString(),
+      },
+    });
+  },
+
   // ==========================================================================
   // FICHIERS SOURCES
   // ==========================================================================
@@ -851,6 +960,70 @@ export const documentsService = {
     }
   },
 
+  // ==========================================================================
+  // VERSIONS
+  // ==========================================================================
+
+  /**
+   * Recherche les documents pouvant recevoir une nouvelle version
+   * (fichiers non remplacés de la même organisation / couche)
+   * @param {Object} filters - Filtres
+   * @param {string} [filters.orgId] - ID de l'organisation
+   * @param {string} [filters.appId] - ID de l'application (layer app)
+   * @param {string} [filters.layer] - Couche cible
+   * @param {string} [filters.search] - Recherche sur le nom ou le titre
+   * @param {number} [filters.limit=10] - Nombre de résultats
+   * @returns {Promise<{data: Array, error: Error|null}>}
+   */
+  async searchVersionCandidates({ orgId, appId, layer, search = '', limit = 10 } = {}) {
+    try {
+      let query = supabase
+        .schema('sources')
+        .from('files')
+        .select('id, original_filename, version_number, created_at, metadata')
+        .is('superseded_at', null)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (orgId) query = query.eq('org_id', orgId);
+      if (layer) query = query.eq('layer', normalizeLayer(layer));
+      if (normalizeLayer(layer) === 'app' && appId) query = query.eq('app_id', appId);
+
+      const term = search.trim().replace(/[%,()]/g, ' ');
+      if (term) {
+        query = query.or(`original_filename.ilike.%${term}%,metadata->>document_title.ilike.%${term}%`);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('[documentsService] searchVersionCandidates error:', error);
+      return { data: [], error };
+    }
+  },
+
+  /**
+   * Historique des versions d'un fichier (de la plus récente à la v1)
+   * @param {string} fileId - ID d'un fichier de la chaîne de versions
+   * @returns {Promise<{data: Array, error: Error|null}>}
+   */
+  async getFileVersions(fileId) {
+    try {
+      const { data, error } = await supabase
+        .schema('sources')
+        .rpc('get_file_versions', { p_file_id: fileId });
+
+      if (error) throw error;
+
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('[documentsService] getFileVersions error:', error);
+      return { data: [], error };
+    }
+  },
+
   // ==========================================================================
   // VÉRIFICATION DE DOUBLONS
   // ==========================================================================
@@ -903,6 +1076,223 @@ export const documentsService = {
       return { isDuplicate: false, existingFile: null, contentHash: null, error };
     }
   },
+
+  // ==========================================================================
+  // CITATIONS (Assistant RAG)
+  // ==========================================================================
+
+  /**
+   * Récupère le texte d'un chunk cité par l'assistant
+   * Pour un chunk L0 (résumé de section), renvoie aussi ses enfants L1 (verbatim)
+   * @param {number|string} chunkId - ID du chunk (rag.documents.id)
+   * @returns {Promise<{data: {chunk: Object, children: Array}|null, error: Error|null}>}
+   */
+  async getCitationChunk(chunkId) {
+    try {
+      const { data: chunk, error } = await supabase
+        .from('documents')
+        .select('id, content, metadata, layer, source_file_id, hierarchy_level, parent_chunk_id')
+        .eq('id', chunkId)
+        .single();
+
+      if (error) throw error;
+
+      let children = [];
+      if (chunk?.hierarchy_level === 0) {
+        const { data: childrenData } = await supabase
+          .from('documents')
+          .select('id, content, metadata, hierarchy_level')
+          .eq('parent_chunk_id', chunk.id)
+          .order('id', { ascending: true });
+        children = childrenData || [];
+      }
+
+      return {
+        data: { chunk: { ...chunk, layer: normalizeLayer(chunk.layer) }, children },
+        error: null,
+      };
+    } catch (error) {
+      console.error('[documentsService] getCitationChunk error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Récupère l'emplacement Storage d'un fichier source
+   * @param {string} fileId - ID du fichier (sources.files.id)
+   * @returns {Promise<{data: Object|null, error: Error|null}>}
+   */
+  async getSourceFileLocation(fileId) {
+    try {
+      const { data, error } = await supabase
+        .schema('sources')
+        .from('files')
+        .select('id, original_filename, storage_bucket, storage_path, mime_type')
+        .eq('id', fileId)
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('[documentsService] getSourceFileLocation error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * URL signée (temporaire) du fichier source, pour la visionneuse de
+   * la page Validation
+   * @param {string} fileId - ID du fichier (sources.files.id)
+   * @param {number} expiresIn - Durée de validité en secondes (défaut: 10 minutes)
+   * @returns {Promise<{data: {url: string, filename: string, mimeType: string}|null, error: Error|null}>}
+   */
+  async getSourceFileSignedUrl(fileId, expiresIn = 600) {
+    try {
+      const { data: file, error: fileError } = await this.getSourceFileLocation(fileId);
+      if (fileError) throw fileError;
+      if (!file?.storage_path) throw new Error('Fichier source sans emplacement Storage');
+
+      const { data, error } = await supabase
+        .storage
+        .from(file.storage_bucket || 'premium-sources')
+        .createSignedUrl(file.storage_path, expiresIn);
+
+      if (error) throw error;
+
+      return {
+        data: {
+          url: data.signedUrl,
+          filename: file.original_filename,
+          mimeType: file.mime_type,
+        },
+        error: null,
+      };
+    } catch (error) {
+      console.error('[documentsService] getSourceFileSignedUrl error:', error);
+      return { data: null, error };
+    }
+  },
+
+  // ==========================================================================
+  // INSPECTEUR DE CHUNKS
+  // ==========================================================================
+
+  /**
+   * Découpage d'un fichier ingéré : sections L0 et leurs chunks L1
+   * (parent_chunk_id résolu par rag.resolve_chunk_hierarchy), concepts
+   * rattachés (rag.document_concepts) et tableaux (rag.document_tables)
+   * @param {string} fileId - ID du fichier (sources.files.id)
+   * @returns {Promise<{data: {sections: Array, orphans: Array, tables: Array, total: number, warnings: string[]}|null, error: Error|null}>}
+   */
+  async getFileChunks(fileId) {
+    try {
+      const { data: chunks, error } = await supabase
+        .schema('rag')
+        .from('documents')
+        .select('id, content, metadata, hierarchy_level, parent_chunk_id, excluded_at, superseded_at, created_at')
+        .eq('source_file_id', fileId)
+        .order('id', { ascending: true });
+
+      if (error) throw error;
+
+      const chunkIds = (chunks || []).map(c => c.id);
+      const [linksResult, tablesResult] = await Promise.all([
+        chunkIds.length > 0
+          ? supabase
+            .schema('rag')
+            .from('document_concepts')
+            .select('document_id, concept_id, source, relevance_score')
+            .in('document_id', chunkIds)
+          : Promise.resolve({ data: [], error: null }),
+        supabase
+          .schema('rag')
+          .from('document_tables')
+          .select('id, section_title, table_index, row_count, column_count, content_markdown')
+          .eq('source_file_id', fileId)
+          .order('table_index', { ascending: true }),
+      ]);
+
+      // Concepts dans config.concepts : pas d'embed PostgREST entre schémas
+      const conceptIds = [...new Set((linksResult.data || []).map(row => row.concept_id))];
+      const conceptsResult = conceptIds.length > 0
+        ? await supabase
+          .schema('config')
+          .from('concepts')
+          .select('id, slug, label')
+          .in('id', conceptIds)
+        : { data: [], error: null };
+
+      // Chargements partiels signalés dans l'inspecteur
+      const warnings = [];
+      if (linksResult.error || conceptsResult.error) {
+        console.error('[documentsService] getFileChunks concepts:', linksResult.error || conceptsResult.error);
+        warnings.push('Concepts indisponibles');
+      }
+      if (tablesResult.error) {
+        console.error('[documentsService] getFileChunks tables:', tablesResult.error);
+        warnings.push('Tableaux indisponibles');
+      }
+
+      const conceptsById = Object.fromEntries((conceptsResult.data || []).map(c => [c.id, c]));
+      const conceptsByChunk = {};
+      (linksResult.data || []).forEach(row => {
+        const concept = conceptsById[row.concept_id];
+        if (!concept) return;
+        if (!conceptsByChunk[row.document_id]) conceptsByChunk[row.document_id] = [];
+        conceptsByChunk[row.document_id].push({
+          ...concept,
+          source: row.source,
+          relevance_score: row.relevance_score,
+        });
+      });
+
+      const withConcepts = (chunk) => ({ ...chunk, concepts: conceptsByChunk[chunk.id] || [] });
+      const sections = (chunks || [])
+        .filter(c => c.hierarchy_level === 0)
+        .map(c => ({ ...withConcepts(c), children: [] }));
+      const sectionsById = Object.fromEntries(sections.map(s => [s.id, s]));
+      const orphans = [];
+
+      (chunks || [])
+        .filter(c => c.hierarchy_level !== 0)
+        .forEach(c => {
+          const parent = sectionsById[c.parent_chunk_id];
+          if (parent) parent.children.push(withConcepts(c));
+          else orphans.push(withConcepts(c));
+        });
+
+      return {
+        data: { sections, orphans, tables: tablesResult.data || [], total: chunkIds.length, warnings },
+        error: null,
+      };
+    } catch (error) {
+      console.error('[documentsService] getFileChunks error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Action sur un chunk via l'Edge Function edit-chunk
+   * @param {string|number} chunkId - ID du chunk (rag.documents.id)
+   * @param {'update'|'reembed'|'exclude'|'include'} action - Action
+   * @param {string} [content] - Nouveau contenu (action update)
+   * @returns {Promise<{data: Object|null, error: Error|null}>} Chunk mis à jour
+   */
+  async editChunk(chunkId, action, content) {
+    try {
+      const { data, error } = await supabase.functions.invoke('edit-chunk', {
+        body: { action, chunk_id: chunkId, content },
+      });
+
+      if (error) throw error;
+      if (!data?.success) throw new Error(data?.error || 'Erreur lors de la modification du chunk');
+
+      return { data: data.chunk, error: null };
+    } catch (error) {
+      console.error('[documentsService] editChunk error:', error);
+      return { data: null, error };
+    }
+  },
 };
 
 export default documentsService;
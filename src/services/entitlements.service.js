@@ -0,0 +1,290 @@
+/**
+ * Entitlements Service - Baikal Console
+ * ============================================================================
+ * Droits d'une organisation selon son plan (core.plan_limits),
+ * éventuellement surchargés par un super_admin (limits_override), et
+ * consommation courante (core.get_organization_entitlements).
+ *
+ * Les limites sont appliquées par la base (triggers sur projets, membres et
+ * fichiers) et par les Edge Functions (quotas mensuels, Légifrance). Les
+ * vérifications de ce service ne servent qu'à prévenir l'utilisateur avant
+ * l'action, avec une suggestion de plan supérieur (assertEntitlement,
+ * useEntitlements).
+ *
+ * @example
+ * import { entitlementsService } from '@/services';
+ *
+ * const { error } = await entitlementsService.assertEntitlement(orgId, { quota: 'max_projects' });
+ * if (error) return { data: null, error };
+ * ============================================================================
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { ORGANIZATION_PLANS, PLAN_QUOTAS } from './organization.service';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Code porté par les erreurs de dépassement (error.code)
+ */
+export const PLAN_LIMIT_ERROR = 'plan_limit';
+
+const DEFAULT_PLAN = 'free';
+
+const FEATURE_LABELS = {
+    legifrance: 'L\'accès Légifrance',
+};
+
+const LAYER_LABELS = {
+    org: 'Organisation',
+    project: 'Projet',
+    user: 'Personnel',
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function getPlan(plan) {
+    return ORGANIZATION_PLANS.find(p => p.value === plan)
+        || ORGANIZATION_PLANS.find(p => p.value === DEFAULT_PLAN);
+}
+
+/**
+ * Premier plan supérieur qui lève la limite demandée
+ * @param {Object} entitlements - Résultat de getEntitlements
+ * @param {Function} satisfies - (limits) => boolean
+ * @returns {Object|null}
+ */
+function findUpgradePlan(entitlements, satisfies) {
+    const index = ORGANIZATION_PLANS.findIndex(p => p.value === entitlements.plan);
+    return ORGANIZATION_PLANS.slice(index + 1).find(p => {
+        const limits = entitlements.planLimits?.[p.value];
+        return limits && satisfies(limits);
+    }) || null;
+}
+
+function buildUpgradeHint(upgrade) {
+    return upgrade
+        ? `Passez au plan ${upgrade.label} ou contactez votre administrateur.`
+        : 'Contactez votre administrateur pour augmenter la limite.';
+}
+
+function buildLimitError(message) {
+    const error = new Error(message);
+    error.code = PLAN_LIMIT_ERROR;
+    return error;
+}
+
+/**
+ * Vérifie un quota (max_users, max_projects, storage_gb, monthly_queries,
+ * transcription_minutes)
+ * @param {Object} entitlements - Résultat de getEntitlements
+ * @param {string} key - Clé du quota
+ * @param {number} [increment=1] - Consommation supplémentaire envisagée
+ * @returns {{allowed: boolean, used: number, limit: number|null, message: string|null}}
+ */
+export function checkQuota(entitlements, key, increment = 1) {
+    const limit = entitlements?.limits?.[key] ?? null;
+    const used = Number(entitlements?.usage?.[key] || 0);
+
+    if (limit === null || used + increment <= limit) {
+        return { allowed: true, used, limit, message: null };
+    }
+
+    const quota = PLAN_QUOTAS.find(q => q.key === key);
+    const unit = quota?.unit ? ` ${quota.unit}` : '';
+    const period = quota?.monthly ? ' ce mois-ci' : '';
+    const upgrade = findUpgradePlan(entitlements, l => l[key] === null || l[key] >= used + increment);
+
+    return {
+        allowed: false,
+        used,
+        limit,
+        message: `Limite du plan ${entitlements.planLabel} atteinte${period} (${quota?.label || key} : ${used}/${limit}${unit}). ${buildUpgradeHint(upgrade)}`,
+    };
+}
+
+/**
+ * Vérifie qu'une couche documentaire de l'organisation est incluse dans le plan
+ * (la couche app n'est pas concernée)
+ * @param {Object} entitlements
+ * @param {string} layer - 'org' | 'project' | 'user'
+ * @returns {{allowed: boolean, message: string|null}}
+ */
+export function checkLayer(entitlements, layer) {
+    if (!entitlements || layer === 'app' || layer === 'vertical') {
+        return { allowed: true, message: null };
+    }
+    if ((entitlements.limits.allowed_layers || []).includes(layer)) {
+        return { allowed: true, message: null };
+    }
+
+    const upgrade = findUpgradePlan(entitlements, l => (l.allowed_layers || []).includes(layer));
+    return {
+        allowed: false,
+        message: `La couche ${LAYER_LABELS[layer] || layer} n'est pas incluse dans le plan ${entitlements.planLabel}. ${buildUpgradeHint(upgrade)}`,
+    };
+}
+
+/**
+ * Vérifie une fonctionnalité (legifrance)
+ * @param {Object} entitlements
+ * @param {string} feature
+ * @returns {{allowed: boolean, message: string|null}}
+ */
+export function checkFeature(entitlements, feature) {
+    if (!entitlements || entitlements.limits[feature]) {
+        return { allowed: true, message: null };
+    }
+
+    const upgrade = findUpgradePlan(entitlements, l => Boolean(l[feature]));
+    return {
+        allowed: false,
+        message: `${FEATURE_LABELS[feature] || feature} n'est pas inclus dans le plan ${entitlements.planLabel}. ${buildUpgradeHint(upgrade)}`,
+    };
+}
+
+// ============================================================================
+// LECTURE
+// ============================================================================
+
+/**
+ * Limites par défaut de chaque plan
+ * @returns {Promise<{data: Object<string, Object>|null, error: Error|null}>} Limites indexées par plan
+ */
+export async function getPlanLimits() {
+    try {
+        const { data, error } = await supabase
+            .schema('core')
+            .from('plan_limits')
+            .select('plan, max_users, max_projects, storage_gb, monthly_queries, transcription_minutes, allowed_layers, legifrance');
+
+        if (error) throw error;
+
+        const planLimits = {};
+        (data || []).forEach(({ plan, ...limits }) => {
+            planLimits[plan] = limits;
+        });
+
+        return { data: planLimits, error: null };
+    } catch (error) {
+        console.error('[entitlementsService] Error in getPlanLimits:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Droits et consommation d'une organisation. `limits` sont les limites
+ * effectives calculées par la base (plan + surcharges), `planLimits` les
+ * limites de chaque plan (suggestions de plan supérieur).
+ * @param {string|null} [orgId] - ID de l'organisation (null = celle de l'utilisateur)
+ * @returns {Promise<{data: {orgId: string, plan: string, planLabel: string, limits: Object, override: Object, usage: Object, planLimits: Object}|null, error: Error|null}>}
+ */
+export async function getEntitlements(orgId = null) {
+    try {
+        const [{ data, error }, { data: planLimits }] = await Promise.all([
+            supabase
+                .schema('core')
+                .rpc('get_organization_entitlements', { p_org_id: orgId }),
+            getPlanLimits(),
+        ]);
+
+        if (error) throw error;
+        if (!data) return { data: null, error: null };
+
+        const plan = getPlan(data.plan);
+        return {
+            data: {
+                orgId: data.org_id,
+                plan: plan.value,
+                planLabel: plan.label,
+                limits: data.limits || {},
+                override: data.limits_override || {},
+                usage: data.usage || {},
+                planLimits: planLimits || {},
+            },
+            error: null,
+        };
+    } catch (error) {
+        console.error('[entitlementsService] Error in getEntitlements:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Prévient d'une action hors plan. Si les droits ne peuvent pas être lus,
+ * l'action est laissée à la base, qui applique les limites.
+ * @param {string|null} orgId - ID de l'organisation (null = celle de l'utilisateur)
+ * @param {Object} requirement
+ * @param {string} [requirement.quota] - Clé de quota
+ * @param {number} [requirement.increment=1] - Consommation envisagée
+ * @param {string} [requirement.layer] - Couche documentaire
+ * @param {string} [requirement.feature] - Fonctionnalité
+ * @returns {Promise<{data: Object|null, error: Error|null}>} error.code === PLAN_LIMIT_ERROR si refusé
+ */
+export async function assertEntitlement(orgId, { quota, increment = 1, layer, feature } = {}) {
+    const { data: entitlements, error } = await getEntitlements(orgId);
+    if (error || !entitlements) {
+        return { data: null, error: null };
+    }
+
+    const checks = [
+        quota ? checkQuota(entitlements, quota, increment) : null,
+        layer ? checkLayer(entitlements, layer) : null,
+        feature ? checkFeature(entitlements, feature) : null,
+    ];
+    const refused = checks.find(check => check && !check.allowed);
+
+    return {
+        data: entitlements,
+        error: refused ? buildLimitError(refused.message) : null,
+    };
+}
+
+// ============================================================================
+// SURCHARGES (super_admin)
+// ============================================================================
+
+/**
+ * Surcharge les limites d'une organisation. Les clés absentes reprennent
+ * la limite du plan ; null = illimité ; {} supprime les surcharges.
+ * @param {string} orgId - ID de l'organisation
+ * @param {Object} override - Limites surchargées
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function setLimitsOverride(orgId, override) {
+    try {
+        const { data, error } = await supabase
+            .schema('core')
+            .rpc('set_organization_limits', {
+                p_org_id: orgId,
+                p_limits: override || {},
+            });
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[entitlementsService] Error in setLimitsOverride:', error);
+        return { data: null, error };
+    }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const entitlementsService = {
+    getPlanLimits,
+    getEntitlements,
+    assertEntitlement,
+    setLimitsOverride,
+    checkQuota,
+    checkLayer,
+    checkFeature,
+};
+
+export default entitlementsService;
@@ -0,0 +1,386 @@
+/**
+ * Evaluation Service - Baikal Console
+ * ============================================================================
+ * Évaluation RAG hors ligne : golden sets (rag.eval_sets / rag.eval_questions)
+ * rejoués par l'Edge Function run-evaluation contre brain-v3 + librarian-v4,
+ * avec le prompt librarian choisi. Chaque exécution (rag.eval_runs) conserve
+ * ses métriques agrégées et ses résultats par question (rag.eval_results),
+ * ce qui permet de comparer deux exécutions.
+ *
+ * Fonctionnalités :
+ * - CRUD des golden sets et de leurs questions
+ * - Lancement d'une exécution
+ * - Historique des exécutions et détail des résultats
+ *
+ * @example
+ * import { evaluationService } from '@/services';
+ *
+ * const { data, error } = await evaluationService.startRun(setId, { promptId });
+ * ============================================================================
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { EDGE_FUNCTIONS } from '../config/api';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_RUNS_LIMIT = 30;
+
+/**
+ * Statuts d'une exécution en cours (suivi par rafraîchissement)
+ */
+export const EVAL_ACTIVE_STATUSES = ['pending', 'running'];
+
+/**
+ * Normalise une question saisie (sources attendues : liste sans doublons)
+ * @param {Object} question
+ * @returns {Object}
+ */
+function sanitizeQuestion(question) {
+    const sources = (question.expected_sources || [])
+        .map(source => source.trim())
+        .filter(Boolean);
+
+    return {
+        question: question.question.trim(),
+        expected_sources: [...new Set(sources)],
+        expected_answer: question.expected_answer?.trim() || null,
+    };
+}
+
+// ============================================================================
+// GOLDEN SETS
+// ============================================================================
+
+/**
+ * Récupère les golden sets d'une app, avec leur nombre de questions
+ * @param {string} appId - ID de l'app
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getSets(appId) {
+    try {
+        const { data, error } = await supabase
+            .schema('rag')
+            .from('eval_sets')
+            .select('*, eval_questions(count)')
+            .eq('app_id', appId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        const sets = (data || []).map(({ eval_questions: questions, ...set }) => ({
+            ...set,
+            question_count: questions?.[0]?.count || 0,
+        }));
+
+        return { data: sets, error: null };
+    } catch (error) {
+        console.error('[evaluationService] Error in getSets:', error);
+        return { data: [], error };
+    }
+}
+
+/**
+ * Crée un golden set
+ * @param {Object} set - { app_id, name, description }
+ * @param {string} userId - Créateur
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function createSet({ app_id, name, description }, userId) {
+    try {
+        const { data, error } = await supabase
+            .schema('rag')
+            .from('eval_sets')
+            .insert({
+                app_id,
+                name: name.trim(),
+                description: description?.trim() || null,
+                created_by: userId,
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { data: { ...data, question_count: 0 }, error: null };
+    } catch (error) {
+        console.error('[evaluationService] Error in createSet:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Met à jour le nom / la description d'un golden set
+ * @param {string} setId - ID du golden set
+ * @param {Object} updates - { name, description }
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function updateSet(setId, { name, description }) {
+    try {
+        const { data, error } = await supabase
+            .schema('rag')
+            .from('eval_sets')
+            .update({ name: name.trim(), description: description?.trim() || null })
+            .eq('id', setId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[evaluationService] Error in updateSet:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Supprime un golden set (questions, exécutions et résultats en cascade)
+ * @param {string} setId - ID du golden set
+ * @returns {Promise<{data: null, error: Error|null}>}
+ */
+export async function deleteSet(setId) {
+    try {
+        const { error } = await supabase
+            .schema('rag')
+            .from('eval_sets')
+            .delete()
+            .eq('id', setId);
+
+        if (error) throw error;
+
+        return { data: null, error: null };
+    } catch (error) {
+        console.error('[evaluationService] Error in deleteSet:', error);
+        return { data: null, error };
+    }
+}
+
+// ============================================================================
+// QUESTIONS
+// ============================================================================
+
+/**
+ * Récupère les questions d'un golden set (ordre de saisie)
+ * @param {string} setId - ID du golden set
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getQuestions(setId) {
+    try {
+        const { data, error } = await supabase
+            .schema('rag')
+            .from('eval_questions')
+            .select('*')
+            .eq('set_id', setId)
+            .order('position', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        return { data: data || [], error: null };
+    } catch (error) {
+        console.error('[evaluationService] Error in getQuestions:', error);
+        return { data: [], error };
+    }
+}
+
+/**
+ * Ajoute une question en fin de golden set
+ * @param {string} setId - ID du golden set
+ * @param {Object} question - { question, expected_sources, expected_answer }
+ * @param {number} position - Position (ordre d'affichage et d'exécution)
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function createQuestion(setId, question, position) {
+    try {
+        const { data, error } = await supabase
+            .schema('rag')
+            .from('eval_questions')
+            .insert({ ...sanitizeQuestion(question), set_id: setId, position })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[evaluationService] Error in createQuestion:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Met à jour une question
+ * @param {string} questionId - ID de la question
+ * @param {Object} question - { question, expected_sources, expected_answer }
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function updateQuestion(questionId, question) {
+    try {
+        const { data, error } = await supabase
+            .schema('rag')
+            .from('eval_questions')
+            .update(sanitizeQuestion(question))
+            .eq('id', questionId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[evaluationService] Error in updateQuestion:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Supprime une question (les résultats passés conservent leur copie)
+ * @param {string} questionId - ID de la question
+ * @returns {Promise<{data: null, error: Error|null}>}
+ */
+export async function deleteQuestion(questionId) {
+    try {
+        const { error } = await supabase
+            .schema('rag')
+            .from('eval_questions')
+            .delete()
+            .eq('id', questionId);
+
+        if (error) throw error;
+
+        return { data: null, error: null };
+    } catch (error) {
+        console.error('[evaluationService] Error in deleteQuestion:', error);
+        return { data: null, error };
+    }
+}
+
+// ============================================================================
+// EXÉCUTIONS
+// ============================================================================
+
+/**
+ * Lance l'évaluation d'un golden set (traitement asynchrone par run-evaluation)
+ * @param {string} setId - ID du golden set
+ * @param {Object} [options]
+ * @param {string|null} [options.promptId] - Prompt librarian évalué (null = prompt actif)
+ * @param {string|null} [options.orgId] - Organisation (résolution du prompt et des documents)
+ * @param {string|null} [options.projectId] - Projet (couche PROJECT)
+ * @returns {Promise<{data: {run_id: string}|null, error: Error|null}>}
+ */
+export async function startRun(setId, { promptId = null, orgId = null, projectId = null } = {}) {
+    try {
+        const { data, error } = await supabase.functions.invoke(EDGE_FUNCTIONS.RUN_EVALUATION, {
+            body: {
+                action: 'run',
+                set_id: setId,
+                prompt_id: promptId,
+                org_id: orgId,
+                project_id: projectId,
+            },
+        });
+
+        if (error) throw error;
+        if (!data?.success) throw new Error(data?.error || 'Évaluation impossible');
+
+        return { data: { run_id: data.run_id }, error: null };
+    } catch (error) {
+        console.error('[evaluationService] Error in startRun:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Historique des exécutions d'un golden set (plus récentes d'abord)
+ * @param {string} setId - ID du golden set
+ * @param {Object} [options]
+ * @param {number} [options.limit=30] - Nombre d'exécutions
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getRuns(setId, { limit = DEFAULT_RUNS_LIMIT } = {}) {
+    try {
+        const { data, error } = await supabase
+            .schema('rag')
+            .from('eval_runs')
+            .select('*')
+            .eq('set_id', setId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+
+        return { data: data || [], error: null };
+    } catch (error) {
+        console.error('[evaluationService] Error in getRuns:', error);
+        return { data: [], error };
+    }
+}
+
+/**
+ * Résultats par question d'une exécution
+ * @param {string} runId - ID de l'exécution
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getRunResults(runId) {
+    try {
+        const { data, error } = await supabase
+            .schema('rag')
+            .from('eval_results')
+            .select('*')
+            .eq('run_id', runId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        return { data: data || [], error: null };
+    } catch (error) {
+        console.error('[evaluationService] Error in getRunResults:', error);
+        return { data: [], error };
+    }
+}
+
+/**
+ * Supprime une exécution et ses résultats
+ * @param {string} runId - ID de l'exécution
+ * @returns {Promise<{data: null, error: Error|null}>}
+ */
+export async function deleteRun(runId) {
+    try {
+        const { error } = await supabase
+            .schema('rag')
+            .from('eval_runs')
+            .delete()
+            .eq('id', runId);
+
+        if (error) throw error;
+
+        return { data: null, error: null };
+    } catch (error) {
+        console.error('[evaluationService] Error in deleteRun:', error);
+        return { data: null, error };
+    }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const evaluationService = {
+    getSets,
+    createSet,
+    updateSet,
+    deleteSet,
+    getQuestions,
+    createQuestion,
+    updateQuestion,
+    deleteQuestion,
+    startRun,
+    getRuns,
+    getRunResults,
+    deleteRun,
+};
+
+export default evaluationService;
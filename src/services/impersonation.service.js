@@ -0,0 +1,175 @@
+/**
+ * Impersonation Service - Baikal Console
+ * ============================================================================
+ * Journal des impersonations (core.impersonation_sessions) : chaque emprunt
+ * d'identité par un super_admin est enregistré avec son motif, son mode
+ * (lecture seule ou non), son échéance, sa fin et les pages visitées.
+ *
+ * - start / end / logPage : appelés par useImpersonation
+ * - getSessions : journal d'audit (/admin/impersonation-audit), visible des
+ *   org_admin pour leur organisation
+ *
+ * @example
+ * import { impersonationService } from '@/services';
+ *
+ * const { data: session, error } = await impersonationService.startSession(userId, {
+ *     reason: 'Ticket #1234 - import bloqué',
+ *     readOnly: true,
+ *     timeoutMinutes: 30,
+ * });
+ * ============================================================================
+ */
+
+import { supabase } from '../lib/supabaseClient';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Durées d'impersonation proposées (minutes)
+ */
+export const IMPERSONATION_TIMEOUTS = [15, 30, 60, 120];
+
+export const DEFAULT_IMPERSONATION_TIMEOUT = 30;
+
+/**
+ * Motifs de fin de session
+ */
+export const IMPERSONATION_END_REASONS = Object.freeze({
+    manual: { label: 'ARRÊT', color: 'text-baikal-text' },
+    timeout: { label: 'EXPIRÉE', color: 'text-amber-400' },
+    signout: { label: 'DÉCONNEXION', color: 'text-baikal-text' },
+    replaced: { label: 'REMPLACÉE', color: 'text-baikal-text' },
+});
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+/**
+ * Ouvre une session d'impersonation (super_admin)
+ * @param {string} targetUserId - Utilisateur emprunté
+ * @param {Object} options
+ * @param {string} options.reason - Motif (obligatoire)
+ * @param {boolean} [options.readOnly=true] - Bloque les écritures pendant la session
+ * @param {number} [options.timeoutMinutes] - Durée avant arrêt automatique
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function startSession(targetUserId, {
+    reason,
+    readOnly = true,
+    timeoutMinutes = DEFAULT_IMPERSONATION_TIMEOUT,
+} = {}) {
+    try {
+        if (!reason?.trim()) {
+            throw new Error('Le motif de l\'impersonation est requis');
+        }
+
+        const { data, error } = await supabase
+            .schema('core')
+            .rpc('start_impersonation', {
+                p_target_user_id: targetUserId,
+                p_reason: reason.trim(),
+                p_read_only: readOnly,
+                p_timeout_minutes: timeoutMinutes,
+            });
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[impersonationService] Error in startSession:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Clôture une session
+ * @param {string} sessionId - ID de la session
+ * @param {'manual'|'timeout'|'signout'|'replaced'} [endReason='manual']
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function endSession(sessionId, endReason = 'manual') {
+    try {
+        const { data, error } = await supabase
+            .schema('core')
+            .rpc('end_impersonation', {
+                p_session_id: sessionId,
+                p_end_reason: endReason,
+            });
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[impersonationService] Error in endSession:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Enregistre une page visitée
+ * @param {string} sessionId - ID de la session
+ * @param {string} path - Chemin (pathname + search)
+ * @returns {Promise<{data: boolean|null, error: Error|null}>} data : session encore active (null si inconnu)
+ */
+export async function logPage(sessionId, path) {
+    try {
+        const { data, error } = await supabase
+            .schema('core')
+            .rpc('log_impersonation_page', {
+                p_session_id: sessionId,
+                p_path: path,
+            });
+
+        if (error) throw error;
+
+        return { data: data === true, error: null };
+    } catch (error) {
+        console.error('[impersonationService] Error in logPage:', error);
+        return { data: null, error };
+    }
+}
+
+// ============================================================================
+// AUDIT
+// ============================================================================
+
+/**
+ * Journal des sessions
+ * @param {Object} [options]
+ * @param {string|null} [options.orgId] - Organisation (super_admin ; ignoré pour un org_admin)
+ * @param {number} [options.limit=200]
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getSessions({ orgId = null, limit = 200 } = {}) {
+    try {
+        const { data, error } = await supabase
+            .schema('core')
+            .rpc('get_impersonation_sessions', {
+                p_org_id: orgId || null,
+                p_limit: limit,
+            });
+
+        if (error) throw error;
+
+        return { data: data || [], error: null };
+    } catch (error) {
+        console.error('[impersonationService] Error in getSessions:', error);
+        return { data: [], error };
+    }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const impersonationService = {
+    startSession,
+    endSession,
+    logPage,
+    getSessions,
+};
+
+export default impersonationService;
@@ -29,6 +29,10 @@
 // MIGRATION: Utilise maintenant rag.documents et sources.files
 export { documentsService } from './documents.service';
 
+// Service Connecteurs d'ingestion (sources.connectors / sources.connector_runs)
+// Exécution par l'Edge Function run-connector (manuelle ou pg_cron)
+export { connectorsService } from './connectors.service';
+
 // Service Référentiels (apps, catégories, domaines)
 // MIGRATION: verticals → apps
 export { 
@@ -62,7 +66,23 @@ export { profileService } from './profile.service';
 
 // Service Organisations (refactorisé pour utiliser les RPC)
 // MIGRATION: Utilise maintenant les RPC core.create_organization, etc.
-export { organizationService, ORGANIZATION_PLANS } from './organization.service';
+export { organizationService, ORGANIZATION_PLANS, PLAN_QUOTAS } from './organization.service';
+
+// Service Droits par plan (limites core.plan_limits + surcharges super_admin)
+// Utilise les RPC: core.get_organization_entitlements, core.set_organization_limits
+export {
+  entitlementsService,
+  PLAN_LIMIT_ERROR,
+} from './entitlements.service';
+
+// Service Facturation (solde et grand livre core.credit_ledger)
+// Débits enregistrés par les Edge Functions, recharges via core.top_up_credits
+export {
+  billingService,
+  CREDIT_KINDS,
+  BILLING_PERIODS,
+  LOW_CREDITS_THRESHOLD,
+} from './billing.service';
 
 // ============================================================================
 // SERVICES STOCKAGE & FICHIERS
@@ -87,18 +107,30 @@ export {
   deletePrompt,
   duplicatePrompt,
   togglePromptStatus,
+  getPromptRevisions,
+  restorePromptRevision,
 } from './prompts.service';
 
+// Service Expériences A/B de prompts (config.prompt_experiments)
+// Variante choisie par conversation dans baikal-brain-v3 / baikal-librarian-v4
+export {
+  promptExperimentsService,
+  EXPERIMENT_AGENT_TYPES,
+  EXPERIMENT_STATUSES,
+} from './promptExperiments.service';
+
 // ============================================================================
 // SERVICES ADMINISTRATION (Gestion Users/Orgs/Projets via RPC)
 // ============================================================================
 
 // Service Invitations (codes d'invitation par organisation)
-// Utilise les RPC: create_invitation, validate_invitation_code, get_invitations, revoke_invitation
+// Utilise les RPC: create_invitation, validate_invitation_code, get_invitations, revoke_invitation,
+// create_invitation_batch (invitations en masse, envoi par send-invitations)
 export { 
   invitationsService,
   INVITATION_APP_ROLES,
   INVITATION_BUSINESS_ROLES,
+  RECIPIENT_STATUSES,
 } from './invitations.service';
 
 // Service Utilisateurs Admin (gestion des users par super_admin/org_admin)
@@ -122,3 +154,52 @@ export {
 // Service Admin (statistiques et dashboard)
 // Utilise la vue: core.admin_users_stats
 export { adminService } from './admin.service';
+
+// Service Impersonation (journal core.impersonation_sessions, audit des accès support)
+// Utilise les RPC: start_impersonation, end_impersonation, log_impersonation_page, get_impersonation_sessions
+export {
+  impersonationService,
+  IMPERSONATION_TIMEOUTS,
+  IMPERSONATION_END_REASONS,
+  DEFAULT_IMPERSONATION_TIMEOUT,
+} from './impersonation.service';
+
+// ============================================================================
+// SERVICES ASSISTANT RAG
+// ============================================================================
+
+// Service Chat (streaming SSE vers baikal-brain-v3 → baikal-librarian-v4)
+export { chatService, CHAT_SSE_EVENTS } from './chat.service';
+
+// Service Conversations (historique rag.conversations / rag.messages)
+export { conversationsService } from './conversations.service';
+
+// Service Vote (feedback sur les réponses → mémoire collective rag.qa_memory)
+// Utilise l'Edge Function: baikal-vote
+export { voteService, VOTE_ACTIONS, QA_MEMORY_TRUST_THRESHOLD } from './vote.service';
+
+// Service Mémoire collective (administration rag.qa_memory)
+export {
+  qaMemoryService,
+  QA_MEMORY_SORTS,
+  DUPLICATE_SIMILARITY_THRESHOLD,
+} from './qaMemory.service';
+
+// Service Search lab (retrieval seul via baikal-librarian-v4 en mode search_only)
+export {
+  searchLabService,
+  SEARCH_LAB_INTENTS,
+  SEARCH_LAB_HIERARCHY_LEVELS,
+  DEFAULT_SEARCH_PARAMS,
+} from './searchLab.service';
+
+// Service Évaluation RAG (golden sets rag.eval_* rejoués par l'Edge Function run-evaluation)
+export { evaluationService, EVAL_ACTIVE_STATUSES } from './evaluation.service';
+
+// ============================================================================
+// SERVICES RÉUNIONS
+// ============================================================================
+
+// Service Réunions (arpet.meetings / arpet.meeting_items, suivi des actions)
+// Données produites par les Edge Functions: meeting-transcribe → extract-meeting-content
+export { meetingsService } from './meetings.service';
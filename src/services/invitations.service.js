@@ -9,6 +9,11 @@
  * - core.validate_invitation_code()
  * - core.get_invitations()
  * - core.revoke_invitation()
+ * - core.create_invitation_batch() (invitations en masse par email)
+ * - core.set_invitation_projects() / core.get_invitation_code_projects()
+ *   (projets rejoints à l'inscription avec le code)
+ * 
+ * Edge Function : send-invitations (envoi et suivi des emails)
  * 
  * @example
  * import { invitationsService } from '@/services';
@@ -17,15 +22,26 @@
  * const { data, error } = await invitationsService.createInvitation({
  *   label: 'Équipe chantier Nord',
  *   maxUses: 10,
- *   expiresInDays: 30
+ *   expiresInDays: 30,
+ *   projects: [{ projectId: 'uuid-projet', role: 'viewer' }]
  * });
  * 
  * // Valider un code (page signup)
  * const { data, error } = await invitationsService.validateInvitationCode('ABC123XY');
+ * 
+ * // Import CSV : validation, création des codes et envoi des emails
+ * const { data: rows } = invitationsService.parseRecipientsCsv(csvText, { projects });
+ * const { data, error } = await invitationsService.createBulkInvitations({
+ *   orgId,
+ *   recipients: rows.filter(r => r.errors.length === 0),
+ * });
  * ============================================================================
  */
 
 import { supabase } from '../lib/supabaseClient';
+import { assertEntitlement } from './entitlements.service';
+import { PROJECT_ROLES } from './projects.service';
+import { EDGE_FUNCTIONS } from '../config/api';
 
 // ============================================================================
 // CONFIGURATION
@@ -56,6 +72,87 @@ export const INVITATION_BUSINESS_ROLES = [
   { value: 'client', label: 'Client' },
 ];
 
+/**
+ * Statuts d'envoi des invitations par email (core.invitation_recipients)
+ * @type {Object<string, {label: string, className: string}>}
+ */
+export const RECIPIENT_STATUSES = {
+  pending: { label: 'En attente', className: 'bg-slate-500/20 text-slate-300' },
+  sent: { label: 'Envoyée', className: 'bg-blue-500/20 text-blue-400' },
+  opened: { label: 'Ouverte', className: 'bg-violet-500/20 text-violet-400' },
+  accepted: { label: 'Acceptée', className: 'bg-green-500/20 text-green-400' },
+  bounced: { label: 'Rejetée', className: 'bg-red-500/20 text-red-400' },
+  failed: { label: 'Échec', className: 'bg-amber-500/20 text-amber-400' },
+};
+
+/**
+ * Colonnes reconnues dans un CSV d'invitations (en-têtes insensibles à la casse)
+ */
+const CSV_COLUMNS = {
+  email: ['email', 'e-mail', 'mail', 'courriel'],
+  full_name: ['nom', 'name', 'full_name', 'nom complet'],
+  app_role: ['role', 'rôle', 'app_role'],
+  projects: ['projets', 'projects', 'projet', 'project'],
+};
+
+/**
+ * Libellés acceptés pour les rôles dans le CSV
+ */
+const CSV_ROLE_ALIASES = {
+  user: 'user',
+  membre: 'user',
+  utilisateur: 'user',
+  team_leader: 'team_leader',
+  'team leader': 'team_leader',
+  "chef d'équipe": 'team_leader',
+  org_admin: 'org_admin',
+  admin: 'org_admin',
+};
+
+/**
+ * Rôles projet acceptés dans le CSV (« Projet:rôle », member par défaut)
+ */
+const CSV_PROJECT_ROLES = Object.fromEntries(
+  PROJECT_ROLES.flatMap(role => [[role.value, role.value], [role.label.toLowerCase(), role.value]])
+);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Découpe une ligne CSV (guillemets doubles, séparateur donné)
+ * @param {string} line
+ * @param {string} separator
+ * @returns {string[]}
+ */
+function splitCsvLine(line, separator) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
 // ============================================================================
 // SERVICE PRINCIPAL
 // ============================================================================
@@ -74,6 +171,7 @@ export const invitationsService = {
    * @param {number} [params.expiresInDays] - Expiration en jours (null = jamais)
    * @param {string} [params.defaultAppRole='user'] - Rôle applicatif par défaut
    * @param {string} [params.defaultBusinessRole] - Rôle métier par défaut
+   * @param {Array<{projectId: string, role?: string}>} [params.projects] - Projets rejoints à l'inscription (rôle PROJECT_ROLES, member par défaut)
    * @returns {Promise<{data: Object|null, error: Error|null}>}
    * 
    * @example
@@ -82,7 +180,8 @@ export const invitationsService = {
    *   maxUses: 5,
    *   expiresInDays: 14,
    *   defaultAppRole: 'user',
-   *   defaultBusinessRole: 'provider'
+   *   defaultBusinessRole: 'provider',
+   *   projects: [{ projectId: 'uuid-projet', role: 'member' }]
    * });
    * 
    * if (data?.success) {
@@ -97,8 +196,15 @@ export const invitationsService = {
     expiresInDays = null,
     defaultAppRole = 'user',
     defaultBusinessRole = null,
+    projects = [],
   } = {}) {
     try {
+      // Au moins une place libre dans la limite d'utilisateurs du plan
+      const { error: planError } = await assertEntitlement(orgId, { quota: 'max_users' });
+      if (planError) {
+        return { data: null, error: planError };
+      }
+
       const { data, error } = await supabase.rpc('create_invitation', {
         p_org_id: orgId,
         p_label: label,
@@ -112,9 +218,29 @@ export const invitationsService = {
 
       // La RPC retourne un JSONB avec { success, code, org_name, expires_at, max_uses }
       if (data?.success) {
+        let invitationProjects = [];
+        if (projects.length > 0) {
+          const { data: saved, error: projectsError } = await supabase
+            .schema('core')
+            .rpc('set_invitation_projects', {
+              p_code: data.code,
+              p_org_id: orgId,
+              p_projects: projects.map(p => ({ project_id: p.projectId, role: p.role || 'member' })),
+            });
+
+          if (projectsError) {
+            return {
+              data: null,
+              error: new Error(`Invitation ${data.code} créée, mais projets non enregistrés : ${projectsError.message}`),
+            };
+          }
+          invitationProjects = saved || [];
+        }
+
         return { 
           data: {
             ...data,
+            projects: invitationProjects,
             invitationUrl: this.getInvitationUrl(data.code),
           }, 
           error: null 
@@ -145,6 +271,7 @@ export const invitationsService = {
    * if (data?.valid) {
    *   console.log('Organisation:', data.org_name);
    *   console.log('Rôle assigné:', data.default_app_role);
+   *   console.log('Projets:', data.projects); // [{ project_id, project_name, role }]
    * } else {
    *   console.log('Code invalide:', data?.error);
    * }
@@ -165,6 +292,13 @@ export const invitationsService = {
       if (error) throw error;
 
       // La RPC retourne { valid: boolean, org_name?, org_id?, default_app_role?, error? }
+      if (data?.valid) {
+        const { data: projects } = await supabase
+          .schema('core')
+          .rpc('get_invitation_code_projects', { p_code: code.trim().toUpperCase() });
+        return { data: { ...data, projects: projects || [] }, error: null };
+      }
+
       return { data, error: null };
     } catch (error) {
       console.error('[invitationsService.validateInvitationCode]', error);
@@ -207,7 +341,30 @@ export const invitationsService = {
       if (error) throw error;
 
       // La RPC retourne un tableau d'invitations
-      return { data: data || [], error: null };
+      const invitations = data || [];
+      const codes = invitations.map(inv => inv.code).filter(Boolean);
+      if (codes.length === 0) {
+        return { data: invitations, error: null };
+      }
+
+      // Projets pré-assignés par code (non bloquant)
+      const { data: projects, error: projectsError } = await supabase
+        .schema('core')
+        .from('invitation_projects')
+        .select('invitation_code, role, project:projects(id, name)')
+        .in('invitation_code', codes);
+
+      if (projectsError) {
+        console.warn('[invitationsService.getInvitations] projets:', projectsError);
+      }
+
+      return {
+        data: invitations.map(inv => ({
+          ...inv,
+          projects: (projects || []).filter(p => p.invitation_code === inv.code),
+        })),
+        error: null,
+      };
     } catch (error) {
       console.error('[invitationsService.getInvitations]', error);
       return { data: null, error };
@@ -257,6 +414,244 @@ export const invitationsService = {
     }
   },
 
+  // ==========================================================================
+  // INVITATIONS EN MASSE (CSV + EMAIL)
+  // ==========================================================================
+
+  /**
+   * Analyse et valide un CSV d'invitations.
+   * Colonnes : email (obligatoire), nom, rôle, projets (séparés par « | »,
+   * rôle projet optionnel : « Chantier Nord:viewer »).
+   * Séparateur « ; » ou « , » détecté sur l'en-tête.
+   * 
+   * @param {string} text - Contenu du fichier
+   * @param {Object} [options]
+   * @param {Array<{id: string, name: string}>} [options.projects] - Projets de l'organisation
+   * @param {string[]} [options.allowedRoles] - Rôles que l'utilisateur peut attribuer
+   * @returns {{data: Array<{line: number, email: string, full_name: string, app_role: string, projects: Array<{projectId: string, name: string, role: string}>, project_ids: string[], errors: string[]}>|null, error: Error|null}}
+   * 
+   * @example
+   * const { data: rows } = invitationsService.parseRecipientsCsv(text, { projects });
+   * const valid = rows.filter(r => r.errors.length === 0);
+   */
+  parseRecipientsCsv(text, { projects = [], allowedRoles = ['user', 'team_leader'] } = {}) {
+    const lines = (text || '')
+      .replace(/^\uFEFF/, '')
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: index + 1, content: line }))
+      .filter(({ content }) => content.trim());
+
+    if (lines.length < 2) {
+      return { data: null, error: new Error('Le fichier doit contenir un en-tête et au moins une ligne') };
+    }
+
+    const separator = lines[0].content.split(';').length >= lines[0].content.split(',').length ? ';' : ',';
+    const headers = splitCsvLine(lines[0].content, separator).map(h => h.toLowerCase());
+    const columnIndex = Object.fromEntries(
+      Object.entries(CSV_COLUMNS).map(([key, aliases]) => [key, headers.findIndex(h => aliases.includes(h))])
+    );
+
+    if (columnIndex.email === -1) {
+      return { data: null, error: new Error('Colonne « email » introuvable dans l\'en-tête') };
+    }
+
+    const projectsByKey = new Map();
+    projects.forEach((project) => {
+      projectsByKey.set(project.id, project);
+      projectsByKey.set(project.name.trim().toLowerCase(), project);
+    });
+
+    const seen = new Set();
+    const rows = lines.slice(1).map(({ line, content }) => {
+      const cells = splitCsvLine(content, separator);
+      const cell = (key) => (columnIndex[key] >= 0 ? cells[columnIndex[key]] || '' : '');
+      const errors = [];
+
+      const email = cell('email').toLowerCase();
+      if (!EMAIL_PATTERN.test(email)) {
+        errors.push('Email invalide');
+      } else if (seen.has(email)) {
+        errors.push('Email en double dans le fichier');
+      }
+      seen.add(email);
+
+      const roleInput = cell('app_role').toLowerCase();
+      const appRole = roleInput ? CSV_ROLE_ALIASES[roleInput] : 'user';
+      if (!appRole || !allowedRoles.includes(appRole)) {
+        errors.push(`Rôle non autorisé : ${roleInput}`);
+      }
+
+      const rowProjects = [];
+      cell('projects').split('|').map(p => p.trim()).filter(Boolean).forEach((item) => {
+        const [name, roleName = ''] = item.split(':').map(part => part.trim());
+        const project = projectsByKey.get(name.toLowerCase()) || projectsByKey.get(name);
+        const projectRole = roleName ? CSV_PROJECT_ROLES[roleName.toLowerCase()] : 'member';
+
+        if (!project) {
+          errors.push(`Projet introuvable : ${name}`);
+        } else if (!projectRole) {
+          errors.push(`Rôle projet inconnu : ${roleName}`);
+        } else {
+          rowProjects.push({ projectId: project.id, name: project.name, role: projectRole });
+        }
+      });
+
+      return {
+        line,
+        email,
+        full_name: cell('full_name'),
+        app_role: appRole || roleInput,
+        projects: rowProjects,
+        project_ids: rowProjects.map(p => p.projectId),
+        errors,
+      };
+    });
+
+    return { data: rows, error: null };
+  },
+
+  /**
+   * Crée une invitation à usage unique par destinataire et enregistre le lot
+   * (core.create_invitation_batch, une seule transaction), puis envoie les
+   * emails
+   * 
+   * @param {Object} params
+   * @param {string} [params.orgId] - ID de l'organisation (obligatoire pour super_admin)
+   * @param {Array<{email: string, full_name?: string, app_role?: string, projects?: Array<{projectId: string, role: string}>}>} params.recipients - Lignes validées
+   * @param {number} [params.expiresInDays=14] - Expiration des codes
+   * @param {string} [params.message] - Message personnalisé ajouté à l'email
+   * @param {boolean} [params.sendEmails=true] - Envoyer les emails immédiatement
+   * @returns {Promise<{data: {batchId: string, recipients: Array, failed: Array<{email: string, error: string}>, delivery: Object|null}|null, error: Error|null}>}
+   */
+  async createBulkInvitations({
+    orgId = null,
+    recipients = [],
+    expiresInDays = 14,
+    message = null,
+    sendEmails = true,
+  } = {}) {
+    try {
+      if (recipients.length === 0) {
+        return { data: null, error: new Error('Aucun destinataire valide') };
+      }
+
+      // Prévenir avant l'appel ; la RPC revérifie la limite pour tout le lot
+      const { error: planError } = await assertEntitlement(orgId, {
+        quota: 'max_users',
+        increment: recipients.length,
+      });
+      if (planError) {
+        return { data: null, error: planError };
+      }
+
+      const { data, error } = await supabase
+        .schema('core')
+        .rpc('create_invitation_batch', {
+          p_org_id: orgId,
+          p_recipients: recipients.map(recipient => ({
+            email: recipient.email,
+            full_name: recipient.full_name || null,
+            app_role: recipient.app_role || 'user',
+            projects: (recipient.projects || []).map(p => ({ project_id: p.projectId, role: p.role || 'member' })),
+          })),
+          p_expires_in_days: expiresInDays,
+          p_message: message,
+        });
+
+      if (error) throw error;
+
+      const batchId = data?.batch_id || null;
+      let delivery = null;
+      if (batchId && sendEmails) {
+        const { data: sendResult, error: sendError } = await this.sendInvitationEmails({ batchId });
+        delivery = sendError ? { error: sendError.message } : sendResult;
+      }
+
+      return {
+        data: {
+          batchId,
+          recipients: data?.recipients || [],
+          failed: data?.failed || [],
+          delivery,
+        },
+        error: null,
+      };
+    } catch (error) {
+      console.error('[invitationsService.createBulkInvitations]', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Envoie (ou renvoie) les emails d'invitation
+   * 
+   * @param {Object} params
+   * @param {string} [params.batchId] - Lot : envoie les destinataires en attente
+   * @param {string[]} [params.recipientIds] - Renvoi ciblé
+   * @returns {Promise<{data: {sent: number, bounced: number, failed: number, transport: string}|null, error: Error|null}>}
+   */
+  async sendInvitationEmails({ batchId = null, recipientIds = null } = {}) {
+    try {
+      const { data, error } = await supabase.functions.invoke(EDGE_FUNCTIONS.SEND_INVITATIONS, {
+        body: {
+          action: 'send',
+          batch_id: batchId,
+          recipient_ids: recipientIds,
+        },
+      });
+
+      if (error) throw error;
+      if (!data?.success) throw new Error(data?.error || 'Erreur lors de l\'envoi des emails');
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('[invitationsService.sendInvitationEmails]', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Récupère les destinataires des invitations par email et leur suivi
+   * 
+   * @param {Object} params
+   * @param {string} [params.orgId] - Filtrer par organisation
+   * @param {string} [params.batchId] - Filtrer par lot
+   * @param {string} [params.status] - Filtrer par statut (RECIPIENT_STATUSES)
+   * @param {number} [params.limit=500]
+   * @returns {Promise<{data: Array|null, error: Error|null}>}
+   */
+  async getRecipients({ orgId = null, batchId = null, status = null, limit = 500 } = {}) {
+    try {
+      let query = supabase
+        .schema('core')
+        .from('invitation_recipients')
+        .select('*, organization:organizations(id, name)')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (orgId) query = query.eq('org_id', orgId);
+      if (batchId) query = query.eq('batch_id', batchId);
+      if (status) query = query.eq('status', status);
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('[invitationsService.getRecipients]', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Modèle CSV téléchargeable
+   * @returns {string}
+   */
+  getCsvTemplate() {
+    return 'email;nom;role;projets\nmarie.dupont@exemple.fr;Marie Dupont;user;Chantier Nord|Chantier Sud:viewer\n';
+  },
+
   // ==========================================================================
   // HELPERS
   // ==========================================================================
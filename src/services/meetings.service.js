@@ -0,0 +1,280 @@
+/**
+ * Meetings Service - Baikal Console
+ * ============================================================================
+ * Comptes-rendus de réunion extraits par meeting-transcribe puis
+ * extract-meeting-content (arpet.meetings / arpet.meeting_items).
+ *
+ * Fonctionnalités :
+ * - Liste des réunions d'un projet (avec compteurs par type d'item)
+ * - Détail d'une réunion et de ses items
+ * - Édition / ajout / suppression d'items
+ * - Suivi transverse des actions ouvertes (toutes réunions confondues)
+ *
+ * @example
+ * import { meetingsService } from '@/services';
+ *
+ * const { data, error } = await meetingsService.getOpenActions({ projectId });
+ * ============================================================================
+ */
+
+import { supabase } from '../lib/supabaseClient';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Champs d'un item modifiables depuis l'interface
+ */
+const EDITABLE_ITEM_FIELDS = [
+    'item_type',
+    'subject',
+    'content',
+    'context',
+    'lot_reference',
+    'responsible',
+    'due_date',
+    'status',
+];
+
+/**
+ * Ne conserve que les champs éditables (chaînes vides → null)
+ * @param {Object} updates
+ * @returns {Object}
+ */
+function sanitizeItem(updates) {
+    const clean = {};
+    EDITABLE_ITEM_FIELDS.forEach(field => {
+        if (updates[field] === undefined) return;
+        const value = typeof updates[field] === 'string' ? updates[field].trim() : updates[field];
+        clean[field] = value === '' ? null : value;
+    });
+    return clean;
+}
+
+// ============================================================================
+// RÉUNIONS
+// ============================================================================
+
+/**
+ * Récupère les réunions d'un projet (plus récentes d'abord)
+ * @param {Object} params
+ * @param {string} params.projectId - ID du projet
+ * @param {string} [params.orgId] - ID organisation (si pas de projet)
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getMeetings({ projectId = null, orgId = null } = {}) {
+    try {
+        if (!projectId && !orgId) return { data: [], error: null };
+
+        let query = supabase
+            .schema('arpet')
+            .from('meetings')
+            .select(`
+                id, org_id, project_id, meeting_date, meeting_title, duration_minutes,
+                participants, source_type, summary, next_meeting_date, extraction_status,
+                created_at,
+                items:meeting_items(item_type, status, due_date)
+            `)
+            .order('meeting_date', { ascending: false })
+            .order('created_at', { ascending: false });
+
+        if (projectId) query = query.eq('project_id', projectId);
+        else query = query.eq('org_id', orgId);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        const today = new Date().toISOString().split('T')[0];
+
+        const meetings = (data || []).map(({ items = [], ...meeting }) => {
+            const counts = { decision: 0, action: 0, issue: 0, info: 0 };
+            items.forEach(i => { counts[i.item_type] = (counts[i.item_type] || 0) + 1; });
+
+            const openActions = items.filter(i => i.item_type === 'action' && i.status === 'open');
+
+            return {
+                ...meeting,
+                counts,
+                openActionsCount: openActions.length,
+                overdueActionsCount: openActions.filter(i => i.due_date && i.due_date < today).length,
+            };
+        });
+
+        return { data: meetings, error: null };
+    } catch (error) {
+        console.error('[meetingsService] Error in getMeetings:', error);
+        return { data: [], error };
+    }
+}
+
+/**
+ * Récupère une réunion et ses items (ordre d'extraction)
+ * @param {string} meetingId - ID de la réunion
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function getMeeting(meetingId) {
+    try {
+        const { data: meeting, error } = await supabase
+            .schema('arpet')
+            .from('meetings')
+            .select('*')
+            .eq('id', meetingId)
+            .single();
+
+        if (error) throw error;
+
+        const { data: items, error: itemsError } = await supabase
+            .schema('arpet')
+            .from('meeting_items')
+            .select('*')
+            .eq('meeting_id', meetingId)
+            .order('display_order', { ascending: true });
+
+        if (itemsError) throw itemsError;
+
+        return { data: { ...meeting, items: items || [] }, error: null };
+    } catch (error) {
+        console.error('[meetingsService] Error in getMeeting:', error);
+        return { data: null, error };
+    }
+}
+
+// ============================================================================
+// ITEMS
+// ============================================================================
+
+/**
+ * Met à jour un item de réunion
+ * @param {string} itemId - ID de l'item
+ * @param {Object} updates - Champs à modifier (voir EDITABLE_ITEM_FIELDS)
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function updateItem(itemId, updates) {
+    try {
+        const { data, error } = await supabase
+            .schema('arpet')
+            .from('meeting_items')
+            .update(sanitizeItem(updates))
+            .eq('id', itemId)
+            .select('*')
+            .single();
+
+        if (error) throw error;
+        return { data, error: null };
+    } catch (error) {
+        console.error('[meetingsService] Error in updateItem:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Ajoute un item à une réunion (en fin de liste)
+ * @param {string} meetingId - ID de la réunion
+ * @param {Object} item - Champs de l'item
+ * @param {number} displayOrder - Position d'affichage
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function createItem(meetingId, item, displayOrder) {
+    try {
+        const clean = sanitizeItem(item);
+        const itemType = clean.item_type || 'info';
+
+        const { data, error } = await supabase
+            .schema('arpet')
+            .from('meeting_items')
+            .insert({
+                ...clean,
+                meeting_id: meetingId,
+                item_type: itemType,
+                subject: clean.subject || 'Sans titre',
+                content: clean.content || clean.subject || 'Contenu non spécifié',
+                // Même règle que extract-meeting-content
+                status: clean.status || (itemType === 'action' ? 'open' : 'done'),
+                display_order: displayOrder,
+            })
+            .select('*')
+            .single();
+
+        if (error) throw error;
+        return { data, error: null };
+    } catch (error) {
+        console.error('[meetingsService] Error in createItem:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Supprime un item de réunion
+ * @param {string} itemId - ID de l'item
+ * @returns {Promise<{success: boolean, error: Error|null}>}
+ */
+export async function deleteItem(itemId) {
+    try {
+        const { error } = await supabase
+            .schema('arpet')
+            .from('meeting_items')
+            .delete()
+            .eq('id', itemId);
+
+        if (error) throw error;
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('[meetingsService] Error in deleteItem:', error);
+        return { success: false, error };
+    }
+}
+
+// ============================================================================
+// SUIVI DES ACTIONS
+// ============================================================================
+
+/**
+ * Récupère les actions ouvertes de toutes les réunions d'un projet
+ * @param {Object} params
+ * @param {string} params.projectId - ID du projet
+ * @param {string} [params.orgId] - ID organisation (si pas de projet)
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getOpenActions({ projectId = null, orgId = null } = {}) {
+    try {
+        if (!projectId && !orgId) return { data: [], error: null };
+
+        let query = supabase
+            .schema('arpet')
+            .from('meeting_items')
+            .select(`
+                *,
+                meeting:meetings!inner(id, meeting_title, meeting_date, project_id, org_id)
+            `)
+            .eq('item_type', 'action')
+            .eq('status', 'open')
+            .order('due_date', { ascending: true, nullsFirst: false });
+
+        if (projectId) query = query.eq('meeting.project_id', projectId);
+        else query = query.eq('meeting.org_id', orgId);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        return { data: data || [], error: null };
+    } catch (error) {
+        console.error('[meetingsService] Error in getOpenActions:', error);
+        return { data: [], error };
+    }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const meetingsService = {
+    getMeetings,
+    getMeeting,
+    updateItem,
+    createItem,
+    deleteItem,
+    getOpenActions,
+};
+
+export default meetingsService;
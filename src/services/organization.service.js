@@ -34,14 +34,18 @@
  * ============================================================================
  */
 
-import { supabase } from '../lib/supabaseClient';
+import { supabase, assertWritable } from '../lib/supabaseClient';
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 /**
- * Plans disponibles pour les organisations
+ * Plans disponibles pour les organisations, du moins au plus complet
+ *
+ * Les droits de chaque plan sont dans core.plan_limits (lus par
+ * entitlementsService et appliqués côté serveur).
+ *
  * @type {Array<{value: string, label: string, description: string}>}
  */
 export const ORGANIZATION_PLANS = [
@@ -79,6 +83,18 @@ export const ORGANIZATION_PLANS = [
   },
 ];
 
+/**
+ * Limites quantitatives d'un plan (barres utilisation / limite)
+ * @type {Array<{key: string, label: string, unit: string, monthly: boolean}>}
+ */
+export const PLAN_QUOTAS = [
+  { key: 'max_users', label: 'Utilisateurs', unit: '', monthly: false },
+  { key: 'max_projects', label: 'Projets actifs', unit: '', monthly: false },
+  { key: 'storage_gb', label: 'Stockage', unit: 'Go', monthly: false },
+  { key: 'monthly_queries', label: 'Questions', unit: '', monthly: true },
+  { key: 'transcription_minutes', label: 'Transcription', unit: 'min', monthly: true },
+];
+
 /**
  * Pagination par défaut
  */
@@ -477,6 +493,8 @@ export const organizationService = {
     console.warn('[organizationService] inviteMember() est deprecated. Utilisez invitationsService.createInvitation()');
     
     try {
+      assertWritable();
+
       const { data: { session } } = await supabase.auth.getSession();
       if (!session) throw new Error('Non authentifié');
 
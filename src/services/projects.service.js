@@ -24,6 +24,7 @@
  */
 
 import { supabase } from '../lib/supabaseClient';
+import { assertEntitlement } from './entitlements.service';
 
 // ============================================================================
 // CONFIGURATION
@@ -173,6 +174,12 @@ export async function createProject({
             }
         }
 
+        // Limite de projets actifs du plan
+        const { error: planError } = await assertEntitlement(orgId, { quota: 'max_projects' });
+        if (planError) {
+            return { data: null, error: planError };
+        }
+
         // Appel RPC pour créer le projet (CORRECTION: ajout .schema('core'))
         const { data, error } = await supabase
             .schema('core')
@@ -0,0 +1,308 @@
+/**
+ * Prompt Experiments Service - Baikal Console
+ * ============================================================================
+ * Expériences A/B de prompts (config.prompt_experiments) : deux prompts d'un
+ * même agent se partagent le trafic d'une app selon un pourcentage. La
+ * variante est choisie par conversation par baikal-brain-v3 /
+ * baikal-librarian-v4 et enregistrée sur chaque réponse
+ * (rag.messages.prompt_variants). Les votes des utilisateurs sont comptés
+ * par variante (config.prompt_experiment_votes).
+ *
+ * Fonctionnalités :
+ * - CRUD des expériences, démarrage / arrêt
+ * - Statistiques par variante (conversations, réponses, votes)
+ * - Enregistrement des votes depuis le chat
+ *
+ * @example
+ * import { promptExperimentsService } from '@/services';
+ *
+ * const { data, error } = await promptExperimentsService.getExperimentStats(experimentId);
+ * ============================================================================
+ */
+
+import { supabase } from '../lib/supabaseClient';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Agents pouvant faire l'objet d'une expérience
+ */
+export const EXPERIMENT_AGENT_TYPES = ['brain_v3', 'librarian_v3'];
+
+/**
+ * Statuts d'une expérience
+ */
+export const EXPERIMENT_STATUSES = {
+    DRAFT: 'draft',
+    RUNNING: 'running',
+    STOPPED: 'stopped',
+};
+
+/**
+ * Erreur lisible pour une seconde expérience en cours sur le même périmètre
+ * @param {Object} error - Erreur Supabase
+ * @returns {Object}
+ */
+function toExperimentError(error) {
+    if (error?.code === '23505') {
+        return { ...error, message: 'Une expérience est déjà en cours pour cet agent sur ce périmètre' };
+    }
+    return error;
+}
+
+// ============================================================================
+// EXPÉRIENCES
+// ============================================================================
+
+/**
+ * Récupère les expériences (les plus récentes d'abord)
+ * @param {Object} [filters] - { agentType, appId }
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getExperiments({ agentType, appId } = {}) {
+    try {
+        let query = supabase
+            .schema('config')
+            .from('prompt_experiments')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (agentType) query = query.eq('agent_type', agentType);
+        if (appId) query = query.eq('app_id', appId);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+
+        return { data: data || [], error: null };
+    } catch (error) {
+        console.error('[promptExperimentsService] Error in getExperiments:', error);
+        return { data: [], error };
+    }
+}
+
+/**
+ * Crée une expérience (brouillon)
+ * @param {Object} experiment - { name, agent_type, app_id, org_id, variant_a_prompt_id, variant_b_prompt_id, traffic_split }
+ * @param {string} userId - Créateur
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function createExperiment(experiment, userId) {
+    try {
+        const { data, error } = await supabase
+            .schema('config')
+            .from('prompt_experiments')
+            .insert({
+                name: experiment.name.trim(),
+                agent_type: experiment.agent_type,
+                app_id: experiment.app_id,
+                org_id: experiment.org_id || null,
+                variant_a_prompt_id: experiment.variant_a_prompt_id,
+                variant_b_prompt_id: experiment.variant_b_prompt_id,
+                traffic_split: Number(experiment.traffic_split),
+                status: EXPERIMENT_STATUSES.DRAFT,
+                created_by: userId,
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[promptExperimentsService] Error in createExperiment:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Met à jour une expérience (nom, répartition du trafic)
+ * @param {string} experimentId - ID de l'expérience
+ * @param {Object} updates - { name, traffic_split }
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function updateExperiment(experimentId, updates) {
+    try {
+        const payload = {};
+        if (updates.name !== undefined) payload.name = updates.name.trim();
+        if (updates.traffic_split !== undefined) payload.traffic_split = Number(updates.traffic_split);
+
+        const { data, error } = await supabase
+            .schema('config')
+            .from('prompt_experiments')
+            .update(payload)
+            .eq('id', experimentId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[promptExperimentsService] Error in updateExperiment:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Démarre une expérience : les nouvelles conversations reçoivent une variante
+ * @param {string} experimentId - ID de l'expérience
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function startExperiment(experimentId) {
+    try {
+        const { data, error } = await supabase
+            .schema('config')
+            .from('prompt_experiments')
+            .update({
+                status: EXPERIMENT_STATUSES.RUNNING,
+                started_at: new Date().toISOString(),
+                ended_at: null,
+            })
+            .eq('id', experimentId)
+            .select()
+            .single();
+
+        if (error) throw toExperimentError(error);
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[promptExperimentsService] Error in startExperiment:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Arrête une expérience : les agents reviennent au prompt actif
+ * @param {string} experimentId - ID de l'expérience
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function stopExperiment(experimentId) {
+    try {
+        const { data, error } = await supabase
+            .schema('config')
+            .from('prompt_experiments')
+            .update({
+                status: EXPERIMENT_STATUSES.STOPPED,
+                ended_at: new Date().toISOString(),
+            })
+            .eq('id', experimentId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[promptExperimentsService] Error in stopExperiment:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Supprime une expérience et ses votes
+ * @param {string} experimentId - ID de l'expérience
+ * @returns {Promise<{data: null, error: Error|null}>}
+ */
+export async function deleteExperiment(experimentId) {
+    try {
+        const { error } = await supabase
+            .schema('config')
+            .from('prompt_experiments')
+            .delete()
+            .eq('id', experimentId);
+
+        if (error) throw error;
+
+        return { data: null, error: null };
+    } catch (error) {
+        console.error('[promptExperimentsService] Error in deleteExperiment:', error);
+        return { data: null, error };
+    }
+}
+
+// ============================================================================
+// RÉSULTATS
+// ============================================================================
+
+/**
+ * Statistiques par variante : conversations, réponses, votes 👍 / 👎
+ * @param {string} experimentId - ID de l'expérience
+ * @returns {Promise<{data: Object, error: Error|null}>} { A: {...}, B: {...} }
+ */
+export async function getExperimentStats(experimentId) {
+    try {
+        const { data, error } = await supabase
+            .schema('config')
+            .rpc('get_prompt_experiment_stats', { p_experiment_id: experimentId });
+
+        if (error) throw error;
+
+        const stats = {};
+        (data || []).forEach((row) => {
+            const upVotes = Number(row.up_votes) || 0;
+            const downVotes = Number(row.down_votes) || 0;
+            stats[row.variant] = {
+                conversationCount: Number(row.conversation_count) || 0,
+                messageCount: Number(row.message_count) || 0,
+                upVotes,
+                downVotes,
+                approvalRate: upVotes + downVotes > 0 ? upVotes / (upVotes + downVotes) : null,
+            };
+        });
+
+        return { data: stats, error: null };
+    } catch (error) {
+        console.error('[promptExperimentsService] Error in getExperimentStats:', error);
+        return { data: {}, error };
+    }
+}
+
+/**
+ * Enregistre le vote de l'utilisateur courant pour les expériences ayant
+ * produit les réponses de sa conversation (variantes lues en base par
+ * config.record_prompt_experiment_vote). Un seul vote par utilisateur,
+ * conversation et expérience : un nouveau vote remplace le précédent.
+ * @param {Object} params
+ * @param {string} params.conversationId - Conversation de la réponse
+ * @param {'up'|'down'} params.value - Vote
+ * @returns {Promise<{data: number|null, error: Error|null}>} data : votes enregistrés
+ */
+export async function recordVote({ conversationId, value }) {
+    try {
+        if (!conversationId) return { data: 0, error: null };
+
+        const { data, error } = await supabase
+            .schema('config')
+            .rpc('record_prompt_experiment_vote', {
+                p_conversation_id: conversationId,
+                p_value: value,
+            });
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[promptExperimentsService] Error in recordVote:', error);
+        return { data: null, error };
+    }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const promptExperimentsService = {
+    getExperiments,
+    createExperiment,
+    updateExperiment,
+    startExperiment,
+    stopExperiment,
+    deleteExperiment,
+    getExperimentStats,
+    recordVote,
+};
+
+export default promptExperimentsService;
@@ -2,7 +2,10 @@
  * Prompts Service - Baikal Console
  * ============================================================================
  * MIGRATION PHASE 3 - vertical → app
- * VERSION: 2.1.0 - Ajout .schema('config') sur toutes les opérations
+ * VERSION: 2.2.0 - Historique des versions (config.agent_prompt_revisions)
+ * 
+ * MODIFICATIONS v2.2.0:
+ * - getPromptRevisions / restorePromptRevision (RPC restore_prompt_revision)
  * 
  * MODIFICATIONS v2.1.0:
  * - Ajout .schema('config') sur TOUS les appels à agent_prompts
@@ -245,6 +248,7 @@ export const createPrompt = async (promptData) => {
 
 /**
  * Met à jour un prompt existant
+ * L'état précédent reste disponible dans l'historique (voir getPromptRevisions)
  * @param {string} id - UUID du prompt
  * @param {Object} promptData - Données à mettre à jour
  * @returns {Promise<{data: Object, error: Error|null}>}
@@ -388,6 +392,76 @@ export const togglePromptStatus = async (id, isActive) => {
   return await updatePrompt(id, { is_active: isActive });
 };
 
+// ============================================
+// HISTORIQUE DES VERSIONS
+// ============================================
+
+/**
+ * Récupère les révisions d'un prompt (plus récentes d'abord)
+ * Une révision est enregistrée automatiquement (trigger) à chaque création
+ * ou modification du contenu du prompt.
+ * @param {string} promptId - UUID du prompt
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export const getPromptRevisions = async (promptId) => {
+  try {
+    const { data, error } = await supabase
+      .schema('config')
+      .from('agent_prompt_revisions')
+      .select('*')
+      .eq('prompt_id', promptId)
+      .order('revision_number', { ascending: false });
+
+    if (error) throw error;
+
+    // Récupérer les auteurs séparément (schémas différents)
+    const authorIds = [...new Set((data || []).filter(r => r.created_by).map(r => r.created_by))];
+    let authorsMap = {};
+
+    if (authorIds.length > 0) {
+      const { data: authorsData } = await supabase
+        .schema('core')
+        .from('profiles')
+        .select('id, full_name, email')
+        .in('id', authorIds);
+      if (authorsData) {
+        authorsMap = authorsData.reduce((acc, author) => { acc[author.id] = author; return acc; }, {});
+      }
+    }
+
+    const mappedData = (data || []).map(revision => ({
+      ...revision,
+      author: revision.created_by ? authorsMap[revision.created_by] || null : null,
+    }));
+
+    return { data: mappedData, error: null };
+  } catch (error) {
+    console.error('Error fetching prompt revisions:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Restaure une révision : son contenu redevient celui du prompt
+ * (une nouvelle révision est créée, l'historique est conservé)
+ * @param {string} revisionId - UUID de la révision
+ * @returns {Promise<{data: Object, error: Error|null}>} Prompt mis à jour
+ */
+export const restorePromptRevision = async (revisionId) => {
+  try {
+    const { data: promptId, error } = await supabase
+      .schema('config')
+      .rpc('restore_prompt_revision', { p_revision_id: revisionId });
+
+    if (error) throw error;
+
+    return await getPromptById(promptId);
+  } catch (error) {
+    console.error('Error restoring prompt revision:', error);
+    return { data: null, error };
+  }
+};
+
 // ============================================
 // APPS (anciennement VERTICALES)
 // ============================================
@@ -522,6 +596,8 @@ const promptsService = {
   deletePrompt,
   duplicatePrompt,
   togglePromptStatus,
+  getPromptRevisions,
+  restorePromptRevision,
   // Nouveau nom
   getApps,
   // Alias deprecated
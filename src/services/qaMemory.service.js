@@ -0,0 +1,319 @@
+/**
+ * QA Memory Service - Baikal Console
+ * ============================================================================
+ * Administration de la mémoire collective (rag.qa_memory).
+ *
+ * Les Q/A sont créées et votées via baikal-vote, puis réutilisées par
+ * searchQAMemory (librarian-v4) quand trust_score >= 3 ou is_expert_faq.
+ * Ce service permet aux super_admin de les éditer, fusionner, rétrograder
+ * ou supprimer. La régénération d'embedding passe par baikal-vote (reembed).
+ *
+ * @example
+ * import { qaMemoryService } from '@/services';
+ *
+ * const { data, error } = await qaMemoryService.getEntries({ orgIds: [orgId] });
+ * ============================================================================
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { QA_MEMORY_TRUST_THRESHOLD } from './vote.service';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const ENTRY_COLUMNS = `
+    id,
+    question_text,
+    answer_text,
+    org_id,
+    project_id,
+    source_file_ids,
+    trust_score,
+    validators_ids,
+    usage_count,
+    is_expert_faq,
+    expert_source,
+    created_by,
+    created_at,
+    updated_at,
+    last_voted_at
+`;
+
+/**
+ * Tris disponibles pour la liste
+ */
+export const QA_MEMORY_SORTS = Object.freeze({
+    last_voted_at: { label: 'DERNIER VOTE', column: 'last_voted_at' },
+    trust_score: { label: 'CONFIANCE', column: 'trust_score' },
+    usage_count: { label: 'UTILISATIONS', column: 'usage_count' },
+    created_at: { label: 'CRÉATION', column: 'created_at' },
+});
+
+/**
+ * Seuil de similarité pour détecter les quasi-doublons
+ */
+export const DUPLICATE_SIMILARITY_THRESHOLD = 0.9;
+
+/**
+ * Indique si une Q/A est réutilisée par le librarian
+ * @param {Object} entry - Entrée qa_memory
+ * @returns {boolean}
+ */
+export function isReusable(entry) {
+    return !!entry?.is_expert_faq || (entry?.trust_score ?? 0) >= QA_MEMORY_TRUST_THRESHOLD;
+}
+
+// ============================================================================
+// LECTURE
+// ============================================================================
+
+/**
+ * Récupère les organisations (avec leur app) pour les filtres
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getOrganizations() {
+    try {
+        const { data, error } = await supabase
+            .schema('core')
+            .from('organizations')
+            .select('id, name, app_id')
+            .order('name');
+
+        if (error) throw error;
+        return { data: data || [], error: null };
+    } catch (error) {
+        console.error('[qaMemoryService] Error in getOrganizations:', error);
+        return { data: [], error };
+    }
+}
+
+/**
+ * Récupère les Q/A mémorisées
+ * @param {Object} params
+ * @param {string[]|null} [params.orgIds] - Restreindre à ces organisations (null = toutes)
+ * @param {string} [params.search] - Recherche dans la question et la réponse
+ * @param {string} [params.sortBy='last_voted_at'] - Clé de QA_MEMORY_SORTS
+ * @param {number} [params.limit=200] - Nombre maximum de résultats
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function getEntries({ orgIds = null, search = null, sortBy = 'last_voted_at', limit = 200 } = {}) {
+    try {
+        if (Array.isArray(orgIds) && orgIds.length === 0) {
+            return { data: [], error: null };
+        }
+
+        const sort = QA_MEMORY_SORTS[sortBy] || QA_MEMORY_SORTS.last_voted_at;
+
+        let query = supabase
+            .schema('rag')
+            .from('qa_memory')
+            .select(ENTRY_COLUMNS)
+            .order(sort.column, { ascending: false, nullsFirst: false })
+            .limit(limit);
+
+        if (orgIds) query = query.in('org_id', orgIds);
+
+        if (search) {
+            const term = search.replace(/[%,()]/g, ' ').trim();
+            if (term) {
+                query = query.or(`question_text.ilike.%${term}%,answer_text.ilike.%${term}%`);
+            }
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        // Noms des projets
+        const projectIds = [...new Set((data || []).map(e => e.project_id).filter(Boolean))];
+        let projectsMap = {};
+        if (projectIds.length > 0) {
+            const { data: projectsData } = await supabase
+                .schema('core')
+                .from('projects')
+                .select('id, name')
+                .in('id', projectIds);
+
+            projectsData?.forEach(p => {
+                projectsMap[p.id] = p;
+            });
+        }
+
+        const entries = (data || []).map(entry => ({
+            ...entry,
+            project: entry.project_id ? projectsMap[entry.project_id] || null : null,
+        }));
+
+        return { data: entries, error: null };
+    } catch (error) {
+        console.error('[qaMemoryService] Error in getEntries:', error);
+        return { data: [], error };
+    }
+}
+
+/**
+ * Recherche les quasi-doublons d'une Q/A (même org / projet)
+ * Réutilise la RPC search_qa_memory avec l'embedding de l'entrée.
+ * @param {Object} entry - Entrée qa_memory de référence
+ * @param {number} [threshold] - Similarité minimale
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+export async function findNearDuplicates(entry, threshold = DUPLICATE_SIMILARITY_THRESHOLD) {
+    try {
+        const { data: source, error: sourceError } = await supabase
+            .schema('rag')
+            .from('qa_memory')
+            .select('id, embedding')
+            .eq('id', entry.id)
+            .single();
+
+        if (sourceError) throw sourceError;
+        if (!source?.embedding) {
+            throw new Error('Embedding absent : régénérez-le avant de chercher les doublons');
+        }
+
+        const { data, error } = await supabase.schema('rag').rpc('search_qa_memory', {
+            p_query_embedding: source.embedding,
+            p_org_id: entry.org_id,
+            p_project_id: entry.project_id || null,
+            p_similarity_threshold: threshold,
+            p_limit: 20,
+        });
+
+        if (error) throw error;
+
+        return { data: (data || []).filter(d => d.id !== entry.id), error: null };
+    } catch (error) {
+        console.error('[qaMemoryService] Error in findNearDuplicates:', error);
+        return { data: [], error };
+    }
+}
+
+// ============================================================================
+// ÉCRITURE
+// ============================================================================
+
+/**
+ * Met à jour une Q/A (question, réponse, statut FAQ expert) via la RPC
+ * rag.update_qa_memory (super_admin)
+ * Si la question change, l'embedding doit être régénéré (voteService.reembed).
+ * @param {string} id - ID de la Q/A
+ * @param {Object} updates
+ * @param {string} [updates.questionText]
+ * @param {string} [updates.answerText]
+ * @param {boolean} [updates.isExpertFaq]
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function updateEntry(id, { questionText, answerText, isExpertFaq } = {}) {
+    try {
+        const { data, error } = await supabase
+            .schema('rag')
+            .rpc('update_qa_memory', {
+                p_id: id,
+                p_question_text: questionText !== undefined ? questionText.trim() : null,
+                p_answer_text: answerText !== undefined ? answerText.trim() : null,
+                p_is_expert_faq: isExpertFaq !== undefined ? isExpertFaq : null,
+            })
+            .select(ENTRY_COLUMNS)
+            .single();
+
+        if (error) throw error;
+        return { data, error: null };
+    } catch (error) {
+        console.error('[qaMemoryService] Error in updateEntry:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Rétrograde une Q/A via la RPC rag.demote_qa_memory (super_admin) : elle
+ * n'est plus réutilisée par le librarian (trust_score ramené sous le seuil,
+ * statut FAQ expert retiré)
+ * @param {Object} entry - Entrée qa_memory
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function demoteEntry(entry) {
+    try {
+        const { data, error } = await supabase
+            .schema('rag')
+            .rpc('demote_qa_memory', { p_id: entry.id })
+            .select(ENTRY_COLUMNS)
+            .single();
+
+        if (error) throw error;
+        return { data, error: null };
+    } catch (error) {
+        console.error('[qaMemoryService] Error in demoteEntry:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Supprime une Q/A via la RPC rag.delete_qa_memory (super_admin)
+ * @param {string} id - ID de la Q/A
+ * @returns {Promise<{success: boolean, error: Error|null}>}
+ */
+export async function deleteEntry(id) {
+    try {
+        const { error } = await supabase
+            .schema('rag')
+            .rpc('delete_qa_memory', { p_id: id });
+
+        if (error) throw error;
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('[qaMemoryService] Error in deleteEntry:', error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Fusionne des quasi-doublons dans une Q/A cible (RPC rag.merge_qa_memory,
+ * une seule transaction)
+ * La cible conserve sa question et sa réponse ; elle cumule usage_count,
+ * validateurs et fichiers sources. trust_score est recalculé sur les
+ * validateurs distincts (un validateur des deux Q/A ne compte qu'une fois).
+ * Les doublons sont supprimés.
+ * @param {string} targetId - ID de la Q/A conservée
+ * @param {string[]} duplicateIds - IDs des Q/A absorbées
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function mergeEntries(targetId, duplicateIds) {
+    try {
+        const ids = duplicateIds.filter(id => id !== targetId);
+        if (ids.length === 0) throw new Error('Sélectionnez au moins un doublon à fusionner');
+
+        const { data, error } = await supabase
+            .schema('rag')
+            .rpc('merge_qa_memory', {
+                p_target_id: targetId,
+                p_duplicate_ids: ids,
+            })
+            .select(ENTRY_COLUMNS)
+            .single();
+
+        if (error) throw error;
+
+        return { data, error: null };
+    } catch (error) {
+        console.error('[qaMemoryService] Error in mergeEntries:', error);
+        return { data: null, error };
+    }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const qaMemoryService = {
+    getOrganizations,
+    getEntries,
+    findNearDuplicates,
+    updateEntry,
+    demoteEntry,
+    deleteEntry,
+    mergeEntries,
+    isReusable,
+};
+
+export default qaMemoryService;
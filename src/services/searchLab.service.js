@@ -0,0 +1,164 @@
+/**
+ * Search Lab Service - Baikal Console
+ * ============================================================================
+ * Banc d'essai du retrieval : appelle baikal-librarian-v4 en mode search_only,
+ * c'est-à-dire exactement le chemin executeSearch → match_documents_v13 de
+ * l'assistant, sans génération ni enregistrement de message.
+ *
+ * Les paramètres laissés vides reprennent la config du librarian
+ * (config.agent_prompts) puis la stratégie de l'intent.
+ *
+ * @example
+ * import { searchLabService, DEFAULT_SEARCH_PARAMS } from '@/services';
+ *
+ * const { data, error } = await searchLabService.runSearch({
+ *   query, orgId, appId, projectId, params: DEFAULT_SEARCH_PARAMS,
+ * });
+ * ============================================================================
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { EDGE_FUNCTIONS } from '../config/api';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Intents du librarian (stratégie hiérarchique + intent_config)
+ */
+export const SEARCH_LAB_INTENTS = [
+    { value: '', label: 'Aucun (config globale)' },
+    { value: 'factual', label: 'Factual (L1)' },
+    { value: 'citation', label: 'Citation (L1)' },
+    { value: 'synthesis', label: 'Synthesis (L0 + enfants)' },
+    { value: 'comparison', label: 'Comparison (L0 + enfants)' },
+];
+
+/**
+ * Niveaux hiérarchiques interrogés ('' = selon l'intent)
+ */
+export const SEARCH_LAB_HIERARCHY_LEVELS = [
+    { value: '', label: 'Selon l\'intent' },
+    { value: '1', label: 'L1 (texte verbatim)' },
+    { value: '0', label: 'L0 (résumés)' },
+    { value: '0,1', label: 'L0 + L1' },
+];
+
+/**
+ * Paramètres par défaut d'un jeu de recherche ('' = valeur du librarian)
+ */
+export const DEFAULT_SEARCH_PARAMS = Object.freeze({
+    intent: '',
+    matchCount: '',
+    similarityThreshold: '',
+    hierarchyLevels: '',
+    includeChildren: '',
+    conceptExpansion: '',
+    layers: Object.freeze({ app: true, org: true, project: true, user: false }),
+    sourceTypes: '',
+    fileIds: '',
+});
+
+/**
+ * '' → undefined, 'true'/'false' → booléen
+ * @param {string} value
+ * @returns {boolean|undefined}
+ */
+function parseTriState(value) {
+    if (value === '') return undefined;
+    return value === 'true';
+}
+
+/**
+ * Liste saisie (virgules, espaces ou retours à la ligne) → tableau
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+    return (value || '').split(/[\s,;]+/).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Construit le corps de requête search_only à partir d'un jeu de paramètres
+ * @param {Object} params - Jeu de paramètres (cf. DEFAULT_SEARCH_PARAMS)
+ * @returns {Object}
+ */
+function buildSearchBody(params) {
+    const sourceTypes = parseList(params.sourceTypes);
+    const fileIds = parseList(params.fileIds);
+
+    return {
+        intent: params.intent || undefined,
+        include_app_layer: params.layers.app,
+        include_org_layer: params.layers.org,
+        include_project_layer: params.layers.project,
+        include_user_layer: params.layers.user,
+        filter_source_types: sourceTypes.length > 0 ? sourceTypes : undefined,
+        search_overrides: {
+            match_count: params.matchCount === '' ? undefined : Number(params.matchCount),
+            similarity_threshold: params.similarityThreshold === '' ? undefined : Number(params.similarityThreshold),
+            hierarchy_levels: params.hierarchyLevels === ''
+                ? undefined
+                : params.hierarchyLevels.split(',').map(Number),
+            include_children: parseTriState(params.includeChildren),
+            enable_concept_expansion: parseTriState(params.conceptExpansion),
+            filter_file_ids: fileIds.length > 0 ? fileIds : undefined,
+        },
+    };
+}
+
+// ============================================================================
+// RECHERCHE
+// ============================================================================
+
+/**
+ * Lance une recherche (retrieval seul) avec un jeu de paramètres
+ * @param {Object} params
+ * @param {string} params.query - Question
+ * @param {string|null} [params.orgId] - Organisation (ignorée pour un org_admin : la sienne)
+ * @param {string|null} [params.appId] - Application (défaut : celle du profil)
+ * @param {string|null} [params.projectId] - Projet (couche project)
+ * @param {Object} params.params - Jeu de paramètres (cf. DEFAULT_SEARCH_PARAMS)
+ * @returns {Promise<{data: {chunks: Array, files: Array, effectiveParams: Object, timings: Object}|null, error: Error|null}>}
+ */
+export async function runSearch({ query, orgId = null, appId = null, projectId = null, params }) {
+    try {
+        const { data, error } = await supabase.functions.invoke(EDGE_FUNCTIONS.BAIKAL_LIBRARIAN, {
+            body: {
+                ...buildSearchBody(params),
+                query,
+                org_id: orgId || undefined,
+                app_id: appId || undefined,
+                project_id: projectId || undefined,
+                search_only: true,
+            },
+        });
+
+        if (error) throw error;
+        if (!data?.success) throw new Error(data?.error || 'Recherche impossible');
+
+        return {
+            data: {
+                chunks: data.chunks || [],
+                files: data.files || [],
+                effectiveParams: data.effective_params,
+                timings: data.timings,
+            },
+            error: null,
+        };
+    } catch (error) {
+        console.error('[searchLabService] Error in runSearch:', error);
+        return { data: null, error };
+    }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const searchLabService = {
+    runSearch,
+};
+
+export default searchLabService;
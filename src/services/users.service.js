@@ -40,6 +40,7 @@
  */
 
 import { supabase } from '../lib/supabaseClient';
+import { assertEntitlement } from './entitlements.service';
 
 // ============================================================================
 // CONFIGURATION
@@ -306,6 +307,12 @@ export const usersService = {
         };
       }
 
+      // Limite d'utilisateurs du plan de l'organisation cible
+      const { error: planError } = await assertEntitlement(orgId, { quota: 'max_users' });
+      if (planError) {
+        return { data: null, error: planError };
+      }
+
       const { data, error } = await supabase.rpc('assign_user_to_org', {
         p_target_user_id: userId,
         p_org_id: orgId,
@@ -0,0 +1,166 @@
+/**
+ * Vote Service - Baikal Console
+ * ============================================================================
+ * Service de vote sur les réponses de l'assistant (Edge Function baikal-vote).
+ *
+ * Boucle de feedback de la mémoire collective (rag.qa_memory) :
+ * - vote_up_new      : réponse générée validée → création d'une Q/A (trust_score = 1)
+ * - vote_up_existing : réponse issue de la mémoire validée → trust_score + 1
+ * - vote_down        : réponse issue de la mémoire signalée → trust_score - 1
+ * - reembed          : régénère l'embedding d'une Q/A éditée (super_admin)
+ *
+ * Une Q/A n'est réutilisée par le librarian qu'à partir de trust_score >= 3
+ * (ou si is_expert_faq).
+ *
+ * @example
+ * import { voteService } from '@/services';
+ *
+ * const { data, error } = await voteService.voteUpNew({
+ *   userId, orgId, projectId, question, answer, sourceFileIds,
+ * });
+ * ============================================================================
+ */
+
+import { supabase } from '../lib/supabaseClient';
+import { EDGE_FUNCTIONS } from '../config/api';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Actions supportées par baikal-vote
+ */
+export const VOTE_ACTIONS = Object.freeze({
+    UP_NEW: 'vote_up_new',
+    UP_EXISTING: 'vote_up_existing',
+    DOWN: 'vote_down',
+    REEMBED: 'reembed',
+});
+
+/**
+ * Seuil de trust_score à partir duquel une Q/A est réutilisée (cf. librarian-v4)
+ */
+export const QA_MEMORY_TRUST_THRESHOLD = 3;
+
+// ============================================================================
+// APPEL EDGE FUNCTION
+// ============================================================================
+
+/**
+ * Appelle baikal-vote
+ * @param {Object} payload - Corps de la requête ({ action, user_id, ... })
+ * @returns {Promise<{data: {qaId: string|null, trustScore: number, message: string}|null, error: Error|null}>}
+ */
+async function invokeVote(payload) {
+    try {
+        const { data, error } = await supabase.functions.invoke(EDGE_FUNCTIONS.BAIKAL_VOTE, {
+            body: payload,
+        });
+
+        if (error) throw error;
+
+        if (!data?.success) {
+            const voteError = new Error(data?.message || data?.error || 'Vote refusé');
+            voteError.code = data?.error || null;
+            throw voteError;
+        }
+
+        return {
+            data: {
+                qaId: data.qa_id,
+                trustScore: data.trust_score,
+                message: data.message,
+            },
+            error: null,
+        };
+    } catch (error) {
+        console.error('[voteService] Error in invokeVote:', error);
+        return { data: null, error };
+    }
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * Valide une réponse générée : crée une entrée qa_memory
+ * @param {Object} params
+ * @param {string} params.userId - ID de l'utilisateur
+ * @param {string} params.orgId - ID de l'organisation
+ * @param {string|null} [params.projectId] - ID du projet
+ * @param {string} params.question - Question posée
+ * @param {string} params.answer - Réponse validée
+ * @param {string[]} [params.sourceFileIds] - Fichiers sources cités
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export function voteUpNew({ userId, orgId, projectId = null, question, answer, sourceFileIds = [] }) {
+    return invokeVote({
+        action: VOTE_ACTIONS.UP_NEW,
+        user_id: userId,
+        org_id: orgId,
+        project_id: projectId,
+        question,
+        answer,
+        source_file_ids: sourceFileIds.length > 0 ? sourceFileIds : null,
+    });
+}
+
+/**
+ * Valide une réponse issue de la mémoire collective
+ * @param {Object} params
+ * @param {string} params.userId - ID de l'utilisateur
+ * @param {string} params.qaId - ID de la Q/A (rag.qa_memory.id)
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export function voteUpExisting({ userId, qaId }) {
+    return invokeVote({
+        action: VOTE_ACTIONS.UP_EXISTING,
+        user_id: userId,
+        qa_id: qaId,
+    });
+}
+
+/**
+ * Signale une réponse incorrecte issue de la mémoire collective
+ * @param {Object} params
+ * @param {string} params.userId - ID de l'utilisateur
+ * @param {string} params.qaId - ID de la Q/A (rag.qa_memory.id)
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export function voteDown({ userId, qaId }) {
+    return invokeVote({
+        action: VOTE_ACTIONS.DOWN,
+        user_id: userId,
+        qa_id: qaId,
+    });
+}
+
+/**
+ * Régénère l'embedding d'une Q/A après édition de la question (super_admin)
+ * @param {Object} params
+ * @param {string} params.userId - ID de l'utilisateur (doit être super_admin)
+ * @param {string} params.qaId - ID de la Q/A (rag.qa_memory.id)
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export function reembed({ userId, qaId }) {
+    return invokeVote({
+        action: VOTE_ACTIONS.REEMBED,
+        user_id: userId,
+        qa_id: qaId,
+    });
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const voteService = {
+    voteUpNew,
+    voteUpExisting,
+    voteDown,
+    reembed,
+};
+
+export default voteService;
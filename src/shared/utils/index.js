@@ -17,6 +17,9 @@ export {
   formatDateISO,
 } from './dateFormatter';
 
+// Text diff (historique des versions de prompts)
+export { diffLinesSideBySide, stableStringify } from './textDiff';
+
 // Re-export from legacy utils (pour migration progressive)
 // Ces imports seront mis à jour quand les fichiers seront déplacés
 export { cn, clsx } from '../../utils/cn';
@@ -0,0 +1,129 @@
+/**
+ * Text Diff - Baikal Console
+ * ============================================================================
+ * Comparaison ligne à ligne de deux textes (plus longue sous-séquence
+ * commune), présentée côte à côte.
+ *
+ * @example
+ * import { diffLinesSideBySide, stableStringify } from '@shared/utils';
+ *
+ * const rows = diffLinesSideBySide(oldPrompt, newPrompt);
+ * // [{ left: { text, type: 'removed' }, right: { text, type: 'added' } }, ...]
+ * ============================================================================
+ */
+
+/**
+ * Au-delà de ce nombre de cellules, la table LCS devient trop coûteuse :
+ * les textes sont alors comparés ligne par ligne, à position égale.
+ */
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Sérialise un objet JSON avec des clés triées (diff stable des paramètres)
+ * @param {any} value - Valeur à sérialiser
+ * @returns {string} JSON indenté
+ */
+export function stableStringify(value) {
+  const sortKeys = (item) => {
+    if (Array.isArray(item)) return item.map(sortKeys);
+    if (item && typeof item === 'object') {
+      return Object.keys(item).sort().reduce((acc, key) => {
+        acc[key] = sortKeys(item[key]);
+        return acc;
+      }, {});
+    }
+    return item;
+  };
+  return JSON.stringify(sortKeys(value ?? {}), null, 2);
+}
+
+/**
+ * Opérations de diff entre deux listes de lignes
+ * @returns {Array<{type: 'equal'|'removed'|'added', text: string}>}
+ */
+function diffOperations(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n * m > MAX_LCS_CELLS) {
+    const ops = [];
+    for (let i = 0; i < Math.max(n, m); i++) {
+      if (i < n && i < m && oldLines[i] === newLines[i]) {
+        ops.push({ type: 'equal', text: oldLines[i] });
+      } else {
+        if (i < n) ops.push({ type: 'removed', text: oldLines[i] });
+        if (i < m) ops.push({ type: 'added', text: newLines[i] });
+      }
+    }
+    return ops;
+  }
+
+  // lcs[i][j] = longueur de la LCS de oldLines[i..] et newLines[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ type: 'equal', text: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: 'removed', text: oldLines[i++] });
+    } else {
+      ops.push({ type: 'added', text: newLines[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'removed', text: oldLines[i++] });
+  while (j < m) ops.push({ type: 'added', text: newLines[j++] });
+  return ops;
+}
+
+/**
+ * Diff côte à côte : les suppressions et ajouts consécutifs sont alignés
+ * sur les mêmes lignes (modification), les lignes identiques de part et d'autre.
+ * @param {string|null} oldText - Texte de gauche
+ * @param {string|null} newText - Texte de droite
+ * @returns {Array<{left: {text: string, type: string}|null, right: {text: string, type: string}|null}>}
+ */
+export function diffLinesSideBySide(oldText, newText) {
+  const ops = diffOperations((oldText || '').split('\n'), (newText || '').split('\n'));
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      rows.push({ left: removed[k] || null, right: added[k] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  ops.forEach((op) => {
+    if (op.type === 'equal') {
+      flush();
+      rows.push({ left: op, right: op });
+    } else if (op.type === 'removed') {
+      removed.push(op);
+    } else {
+      added.push(op);
+    }
+  });
+  flush();
+
+  return rows;
+}
+
+export default {
+  diffLinesSideBySide,
+  stableStringify,
+};
@@ -0,0 +1,211 @@
+/**
+ * _shared/mail.ts - Baikal Edge Functions
+ * ============================================================================
+ * Envoi d'emails via un transport interchangeable, choisi par MAIL_TRANSPORT :
+ * - smtp   : serveur SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD,
+ *            SMTP_TLS). En développement, le serveur de test de
+ *            `supabase start` (Inbucket / Mailpit) sert de SMTP local :
+ *            SMTP_HOST=host.docker.internal SMTP_PORT=54325, emails lisibles
+ *            sur http://localhost:54324
+ * - resend : API HTTP Resend (RESEND_API_KEY)
+ * - log    : aucun envoi, le message est écrit dans les logs. Développement
+ *            uniquement, à demander explicitement (MAIL_TRANSPORT=log)
+ *
+ * Sans MAIL_TRANSPORT : smtp si SMTP_HOST est défini, sinon erreur (les
+ * destinataires ne doivent pas être marqués envoyés sans transport réel).
+ * Expéditeur : MAIL_FROM (défaut "Baikal <no-reply@baikal.local>").
+ *
+ * @version 1.1.0
+ * ============================================================================
+ */
+
+import { SMTPClient } from "https://deno.land/x/denomailer@1.6.0/mod.ts"
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface MailMessage {
+  to: string
+  subject: string
+  html: string
+  text: string
+  headers?: Record<string, string>
+}
+
+/**
+ * Résultat d'un envoi. bounced : adresse refusée par le serveur destinataire
+ * (erreur permanente), à distinguer d'une panne du transport.
+ */
+export interface MailResult {
+  ok: boolean
+  messageId: string | null
+  bounced?: boolean
+  error?: string
+}
+
+export interface MailTransport {
+  name: string
+  send(message: MailMessage): Promise<MailResult>
+  close?(): Promise<void>
+}
+
+const DEFAULT_FROM = "Baikal <no-reply@baikal.local>"
+
+function getFrom(): string {
+  return Deno.env.get("MAIL_FROM") || DEFAULT_FROM
+}
+
+function createMessageId(): string {
+  const domain = getFrom().match(/@([^>\s]+)/)?.[1] || "baikal.local"
+  return `<${crypto.randomUUID()}@${domain}>`
+}
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+
+/**
+ * SMTP (denomailer). Les réponses 5xx (boîte inexistante, domaine refusé)
+ * sont traitées comme des bounces.
+ */
+function createSmtpTransport(): MailTransport {
+  const hostname = Deno.env.get("SMTP_HOST")
+  if (!hostname) {
+    throw new Error("Missing required environment variable: SMTP_HOST")
+  }
+
+  const username = Deno.env.get("SMTP_USER")
+  const client = new SMTPClient({
+    connection: {
+      hostname,
+      port: Number(Deno.env.get("SMTP_PORT") || 587),
+      tls: Deno.env.get("SMTP_TLS") === "true",
+      auth: username
+        ? { username, password: Deno.env.get("SMTP_PASSWORD") || "" }
+        : undefined,
+    },
+  })
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const messageId = createMessageId()
+      try {
+        await client.send({
+          from: getFrom(),
+          to: message.to,
+          subject: message.subject,
+          content: message.text,
+          html: message.html,
+          headers: { "Message-ID": messageId, ...(message.headers || {}) },
+        })
+        return { ok: true, messageId }
+      } catch (error) {
+        const text = error instanceof Error ? error.message : String(error)
+        return { ok: false, messageId: null, bounced: /\b5\d\d\b/.test(text), error: text }
+      }
+    },
+    async close() {
+      await client.close()
+    },
+  }
+}
+
+/**
+ * Resend (https://resend.com/docs/api-reference/emails/send-email).
+ * Les bounces sont notifiés ensuite par webhook.
+ */
+function createResendTransport(): MailTransport {
+  const apiKey = Deno.env.get("RESEND_API_KEY")
+  if (!apiKey) {
+    throw new Error("Missing required environment variable: RESEND_API_KEY")
+  }
+
+  return {
+    name: "resend",
+    async send(message) {
+      const response = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          from: getFrom(),
+          to: [message.to],
+          subject: message.subject,
+          html: message.html,
+          text: message.text,
+          headers: message.headers,
+        }),
+      })
+
+      const result = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        return { ok: false, messageId: null, error: result?.message || `Resend HTTP ${response.status}` }
+      }
+      return { ok: true, messageId: result?.id || null }
+    },
+  }
+}
+
+function createLogTransport(): MailTransport {
+  return {
+    name: "log",
+    async send(message) {
+      const messageId = createMessageId()
+      console.log(`[mail:log] ${messageId} → ${message.to} : ${message.subject}\n${message.text}`)
+      return { ok: true, messageId }
+    },
+  }
+}
+
+/**
+ * Transport configuré par MAIL_TRANSPORT
+ * @throws {Error} Si aucun transport n'est configuré, ou s'il est inconnu ou mal configuré
+ */
+export function getMailTransport(): MailTransport {
+  const name = Deno.env.get("MAIL_TRANSPORT") || (Deno.env.get("SMTP_HOST") ? "smtp" : null)
+  if (!name) {
+    throw new Error("Aucun transport email configuré (MAIL_TRANSPORT ou SMTP_HOST)")
+  }
+
+  switch (name) {
+    case "smtp":
+      return createSmtpTransport()
+    case "resend":
+      return createResendTransport()
+    case "log":
+      return createLogTransport()
+    default:
+      throw new Error(`Transport email inconnu : ${name}`)
+  }
+}
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+}
+
+/**
+ * Remplace les variables {{nom}} d'un gabarit. Les valeurs sont échappées
+ * pour le HTML sauf avec {{{nom}}}.
+ */
+export function renderTemplate(
+  template: string,
+  variables: Record<string, string | number | null | undefined>,
+  options: { html?: boolean } = {}
+): string {
+  return template.replace(/\{\{(\{)?\s*(\w+)\s*\}?\}\}/g, (_match, raw, key) => {
+    const value = String(variables[key] ?? "")
+    return options.html && !raw ? escapeHtml(value) : value
+  })
+}
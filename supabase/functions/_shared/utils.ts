@@ -9,6 +9,11 @@
  * - Création de client Supabase
  * - Récupération et validation des variables d'environnement
  * - Génération d'embeddings OpenAI
+ * - Validation des URLs externes (anti-SSRF), fetchExternal (chaque
+ *   redirection et chaque IP résolue vérifiées) et hash SHA-256
+ * - Ingestion : (re)mise en queue d'un fichier et appel de trigger-ingestion
+ * - Crédits : vérification du solde et débit des consommations
+ * - Quotas mensuels du plan (questions, minutes de transcription)
  *
  * @version 1.0.0
  * ============================================================================
@@ -211,6 +216,348 @@ export async function generateEmbedding(
   return data.data[0].embedding
 }
 
+// ============================================================================
+// SOURCES EXTERNES
+// ============================================================================
+
+/**
+ * Valide une URL externe : http(s) uniquement, hôtes internes refusés (SSRF)
+ */
+export function validateExternalUrl(raw: string): URL {
+  let url: URL
+  try {
+    url = new URL(raw.trim())
+  } catch {
+    throw new Error("URL invalide")
+  }
+
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error("Seules les URLs http(s) sont acceptées")
+  }
+
+  const host = url.hostname.toLowerCase()
+  const isPrivate =
+    host === "localhost" ||
+    host.endsWith(".local") ||
+    host.endsWith(".internal") ||
+    /^127\./.test(host) ||
+    /^10\./.test(host) ||
+    /^192\.168\./.test(host) ||
+    /^172\.(1[6-9]|2\d|3[01])\./.test(host) ||
+    /^169\.254\./.test(host) ||
+    host === "0.0.0.0" ||
+    host.startsWith("[")
+
+  if (isPrivate) {
+    throw new Error("Hôte non autorisé")
+  }
+
+  return url
+}
+
+const MAX_EXTERNAL_REDIRECTS = 5
+
+/**
+ * Indique si une adresse IP (v4 ou v6) est privée, locale ou réservée
+ */
+export function isPrivateAddress(ip: string): boolean {
+  const address = ip.toLowerCase().replace(/^\[|\]$/g, "")
+
+  const v4 = address.match(/^(?:::ffff:)?(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/)
+  if (v4) {
+    const [a, b] = [Number(v4[1]), Number(v4[2])]
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 0) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19)) ||
+      a >= 224
+    )
+  }
+
+  return (
+    address === "::" ||
+    address === "::1" ||
+    address.startsWith("::ffff:") ||
+    address.startsWith("64:ff9b:") ||
+    /^f[cd]/.test(address) ||
+    /^fe[89ab]/.test(address) ||
+    address.startsWith("ff")
+  )
+}
+
+/**
+ * Résout un hôte (A et AAAA) et refuse toute adresse privée ou réservée
+ */
+async function assertPublicHost(hostname: string): Promise<void> {
+  const host = hostname.replace(/^\[|\]$/g, "")
+  const isIpLiteral = /^[\d.]+$/.test(host) || host.includes(":")
+
+  const addresses: string[] = isIpLiteral ? [host] : []
+  if (!isIpLiteral) {
+    for (const type of ["A", "AAAA"] as const) {
+      try {
+        addresses.push(...await Deno.resolveDns(host, type))
+      } catch {
+        // Aucun enregistrement de ce type
+      }
+    }
+  }
+
+  if (addresses.length === 0) {
+    throw new Error("Hôte introuvable")
+  }
+  if (addresses.some(isPrivateAddress)) {
+    throw new Error("Hôte non autorisé")
+  }
+}
+
+/**
+ * fetch vers une URL externe, protégé contre le SSRF : les redirections sont
+ * suivies manuellement et chaque saut est validé (URL puis IP résolues)
+ * avant d'être requêté. Seuls User-Agent et Accept suivent une redirection
+ * vers un autre domaine. response.url peut être vide : l'URL finale est
+ * renvoyée à part.
+ */
+export async function fetchExternal(
+  raw: string,
+  init: RequestInit = {}
+): Promise<{ response: Response; url: URL }> {
+  let url = validateExternalUrl(raw)
+
+  for (let hop = 0; hop <= MAX_EXTERNAL_REDIRECTS; hop++) {
+    await assertPublicHost(url.hostname)
+
+    const response = await fetch(url, { ...init, redirect: "manual" })
+    const location = response.headers.get("location")
+
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, url }
+    }
+
+    await response.body?.cancel()
+    const next = validateExternalUrl(new URL(location, url).toString())
+
+    // Vers un autre domaine : pas d'identifiants (Authorization, X-API-Key...)
+    if (next.origin !== url.origin) {
+      const kept = new Headers()
+      new Headers(init.headers).forEach((value, key) => {
+        if (key === "user-agent" || key === "accept") kept.set(key, value)
+      })
+      init = { ...init, headers: kept }
+    }
+    url = next
+  }
+
+  throw new Error("Trop de redirections")
+}
+
+/**
+ * Hash SHA-256 hexadécimal (même format que sources.files.content_hash)
+ */
+export async function sha256Hex(content: string | Uint8Array): Promise<string> {
+  const bytes = typeof content === "string" ? new TextEncoder().encode(content) : content
+  const buffer = await crypto.subtle.digest("SHA-256", bytes)
+  return Array.from(new Uint8Array(buffer)).map((b) => b.toString(16).padStart(2, "0")).join("")
+}
+
+// ============================================================================
+// INGESTION (sources.ingestion_queue)
+// ============================================================================
+
+/**
+ * Appelle trigger-ingestion pour un job de la queue. Le payload envoyé au
+ * pipeline est construit par trigger-ingestion depuis le fichier du job.
+ * Non bloquant : en cas d'échec le job reste en queue (cron, /admin/ingestion).
+ */
+export async function triggerIngestion(queueId: string): Promise<void> {
+  const { supabaseUrl, supabaseServiceKey } = getEnvConfig()
+
+  const response = await fetch(`${supabaseUrl}/functions/v1/trigger-ingestion`, {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${supabaseServiceKey}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ queue_id: queueId }),
+  }).catch((error) => {
+    console.warn(`[ingestion] trigger-ingestion injoignable (queue ${queueId}): ${getErrorMessage(error)}`)
+    return null
+  })
+
+  if (response && !response.ok) {
+    console.warn(`[ingestion] trigger-ingestion responded ${response.status} (queue ${queueId})`)
+  }
+}
+
+/**
+ * Réingère un fichier dont le contenu stocké a changé : les chunks de
+ * l'ancien contenu sont supprimés (ils resteraient sinon interrogeables à
+ * côté des nouveaux), le job repasse en queued puis est envoyé.
+ * @throws {Error} Si les chunks ne peuvent pas être supprimés ou si le job est introuvable
+ */
+export async function requeueIngestion(supabase: SupabaseClient, fileId: string): Promise<void> {
+  const { error: deleteError } = await supabase
+    .schema("rag")
+    .from("documents")
+    .delete()
+    .eq("source_file_id", fileId)
+
+  if (deleteError) {
+    throw new Error(`Suppression des anciens chunks: ${deleteError.message}`)
+  }
+
+  const { data: job, error: jobError } = await supabase
+    .schema("sources")
+    .from("ingestion_queue")
+    .update({
+      status: "queued",
+      attempts: 0,
+      error_message: null,
+      next_retry_at: new Date().toISOString(),
+    })
+    .eq("file_id", fileId)
+    .select("id")
+    .single()
+
+  if (jobError || !job) {
+    throw new Error(`Job d'ingestion introuvable: ${jobError?.message || fileId}`)
+  }
+
+  await triggerIngestion(job.id)
+}
+
+// ============================================================================
+// CRÉDITS (core.credit_ledger)
+// ============================================================================
+
+export type CreditKind = "chat_answer" | "ingestion_page" | "transcription_minute"
+
+export const CREDITS_EXHAUSTED_MESSAGE =
+  "Crédits épuisés pour votre organisation. Contactez votre administrateur pour recharger."
+
+/**
+ * Indique si l'organisation peut consommer (solde > 0).
+ * Sans organisation ou en cas d'erreur de lecture : pas de blocage.
+ */
+export async function hasCredits(supabase: SupabaseClient, orgId: string | null | undefined): Promise<boolean> {
+  if (!orgId) return true
+
+  const { data, error } = await supabase
+    .schema("core")
+    .from("organizations")
+    .select("credits_balance")
+    .eq("id", orgId)
+    .maybeSingle()
+
+  if (error || !data) {
+    if (error) console.warn(`[credits] Solde non lu (${orgId}): ${error.message}`)
+    return true
+  }
+  return (data.credits_balance ?? 0) > 0
+}
+
+/**
+ * Débite une consommation sur le grand livre (core.debit_credits).
+ * Ne lève jamais : un échec de facturation ne doit pas faire échouer le service.
+ */
+export async function debitCredits(
+  supabase: SupabaseClient,
+  orgId: string | null | undefined,
+  kind: CreditKind,
+  quantity: number,
+  options: { userId?: string | null; referenceType?: string; referenceId?: string | null; description?: string } = {}
+): Promise<void> {
+  if (!orgId || quantity <= 0) return
+
+  const { error } = await supabase
+    .schema("core")
+    .rpc("debit_credits", {
+      p_org_id: orgId,
+      p_kind: kind,
+      p_quantity: quantity,
+      p_user_id: options.userId || null,
+      p_reference_type: options.referenceType || null,
+      p_reference_id: options.referenceId || null,
+      p_description: options.description || null,
+    })
+
+  if (error) console.warn(`[credits] Débit ${kind} non enregistré (${orgId}): ${error.message}`)
+}
+
+// ============================================================================
+// QUOTAS MENSUELS DU PLAN
+// ============================================================================
+
+export type MonthlyQuota = "monthly_queries" | "transcription_minutes"
+
+const QUOTA_LABELS: Record<MonthlyQuota, string> = {
+  monthly_queries: "questions",
+  transcription_minutes: "minutes de transcription",
+}
+
+const QUOTA_UNAVAILABLE_MESSAGE = "Quota du plan momentanément invérifiable. Réessayez dans quelques instants."
+
+/**
+ * Vérifie un quota mensuel du plan : limite effective lue en base
+ * (core.get_organization_limits : core.plan_limits + limits_override),
+ * consommation lue dans core.credit_ledger.
+ * Retourne le message de refus, ou null si la consommation est autorisée.
+ * Sans organisation : pas de blocage. Limites ou consommation illisibles :
+ * refus (le quota ne peut pas être garanti).
+ */
+export async function checkMonthlyQuota(
+  supabase: SupabaseClient,
+  orgId: string | null | undefined,
+  quota: MonthlyQuota,
+  increment: number = 1
+): Promise<string | null> {
+  if (!orgId) return null
+
+  const { data: limits, error: limitsError } = await supabase
+    .schema("core")
+    .rpc("get_organization_limits", { p_org_id: orgId })
+
+  if (limitsError || !limits) {
+    console.warn(`[quotas] Limites non lues (${orgId}): ${limitsError?.message || "organisation introuvable"}`)
+    return QUOTA_UNAVAILABLE_MESSAGE
+  }
+
+  const limit = (limits as Record<string, number | null>)[quota]
+  if (limit === null || limit === undefined) return null
+
+  const monthStart = new Date()
+  monthStart.setUTCDate(1)
+  monthStart.setUTCHours(0, 0, 0, 0)
+
+  // Questions : nombre de réponses débitées ; transcription : minutes débitées
+  const isQueries = quota === "monthly_queries"
+  const { data: entries, count, error: ledgerError } = await supabase
+    .schema("core")
+    .from("credit_ledger")
+    .select("quantity", isQueries ? { count: "exact", head: true } : undefined)
+    .eq("org_id", orgId)
+    .eq("kind", isQueries ? "chat_answer" : "transcription_minute")
+    .gte("created_at", monthStart.toISOString())
+
+  if (ledgerError) {
+    console.warn(`[quotas] Consommation non lue (${orgId}): ${ledgerError.message}`)
+    return QUOTA_UNAVAILABLE_MESSAGE
+  }
+
+  const used = isQueries
+    ? count || 0
+    : (entries || []).reduce((sum, entry) => sum + Number(entry.quantity || 0), 0)
+
+  if (used + increment <= limit) return null
+  return `Quota mensuel du plan atteint (${Math.round(used)}/${limit} ${QUOTA_LABELS[quota]}). Passez à un plan supérieur ou contactez votre administrateur.`
+}
+
 // ============================================================================
 // LOGGING HELPERS
 // ============================================================================
@@ -1,14 +1,24 @@
 // ╔══════════════════════════════════════════════════════════════════════════════╗
-// ║  BAIKAL-BRAIN v3.1.0 - Orchestrateur Intelligent                             ║
+// ║  BAIKAL-BRAIN v3.6.0 - Orchestrateur Intelligent                             ║
 // ║  Edge Function Supabase                                                      ║
 // ╠══════════════════════════════════════════════════════════════════════════════╣
 // ║  v3.0.1: Fix endpoint librarian-v3                                           ║
 // ║  v3.0.2: Safe fallback - recherche par défaut sauf salutation évidente       ║
 // ║  v3.1.0: Migration vers baikal-librarian-v4 (hierarchy L0/L1)                ║
+// ║  v3.2.0: Transmission de prompt_id au librarian (évaluations golden set)     ║
+// ║  v3.3.0: Expériences A/B de prompts - variante brain_v3 par conversation,    ║
+// ║        transmise au librarian qui l'enregistre sur le message               ║
+// ║  v3.4.0: Crédits - question refusée (402) si le solde de l'organisation      ║
+// ║        est épuisé ; la réponse est débitée par le librarian                  ║
+// ║  v3.5.0: Quota mensuel de questions du plan - question refusée (429)         ║
+// ║  v3.6.0: Évaluations (evaluation: true, hors crédits, quotas et              ║
+// ║          expériences A/B) et prompt_id réservés aux appels authentifiés      ║
+// ║          avec la clé service                                                 ║
 // ╚══════════════════════════════════════════════════════════════════════════════╝
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2"
+import { hasCredits, checkMonthlyQuota, CREDITS_EXHAUSTED_MESSAGE } from "../_shared/utils.ts"
 
 // ============================================================================
 // CONFIGURATION
@@ -156,6 +166,17 @@ interface RequestBody {
   include_user_layer?: boolean
   filter_source_types?: string[]
   filter_concepts?: string[]
+  prompt_id?: string
+  // v3.6.0: appel de run-evaluation (pris en compte pour les appels service)
+  evaluation?: boolean
+}
+
+// v3.3.0: Variante d'expérience A/B (config.prompt_experiments)
+interface PromptVariant {
+  experiment_id: string
+  agent_type: string
+  variant: 'A' | 'B'
+  prompt_id: string
 }
 
 interface BrainConfig {
@@ -187,6 +208,7 @@ interface BrainConfig {
     send_immediate_ack: boolean
     send_analysis_step: boolean
   }
+  promptVariant: PromptVariant | null
 }
 
 interface AgentContext {
@@ -234,6 +256,13 @@ function errorResponse(message: string, status: number = 400) {
   )
 }
 
+/**
+ * v3.6.0: Appel authentifié avec la clé service (run-evaluation)
+ */
+function isServiceRequest(req: Request): boolean {
+  return req.headers.get("Authorization") === `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`
+}
+
 function sseEvent(event: string, data: unknown): string {
   return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
 }
@@ -307,25 +336,38 @@ function safeRequiresSearch(query: string, llmResult: boolean): boolean {
 async function getBrainConfig(
   supabase: ReturnType<typeof createClient>,
   appId: string = 'arpet',
-  orgId?: string
+  orgId?: string,
+  conversationId?: string
 ): Promise<BrainConfig> {
-  console.log(`[brain-v3] Chargement config brain_v3 (app=${appId}, org=${orgId || 'global'})...`)
-
-  const { data, error } = await supabase
-    .schema('config')
-    .from('agent_prompts')
-    .select('system_prompt, parameters')
-    .eq('agent_type', 'brain_v3')
-    .eq('app_id', appId)
-    .eq('is_active', true)
-    .or(orgId ? `org_id.eq.${orgId},org_id.is.null` : 'org_id.is.null')
-    .order('org_id', { ascending: false, nullsFirst: false })
-    .limit(1)
-    .single()
+  // v3.3.0: une expérience A/B en cours choisit le prompt de la conversation
+  const variant = conversationId
+    ? await resolvePromptVariant(supabase, appId, orgId, conversationId)
+    : null
+
+  console.log(`[brain-v3] Chargement config brain_v3 (app=${appId}, org=${orgId || 'global'}${variant ? `, variante ${variant.variant}` : ''})...`)
+
+  const query = variant
+    ? supabase
+      .schema('config')
+      .from('agent_prompts')
+      .select('system_prompt, parameters')
+      .eq('id', variant.prompt_id)
+    : supabase
+      .schema('config')
+      .from('agent_prompts')
+      .select('system_prompt, parameters')
+      .eq('agent_type', 'brain_v3')
+      .eq('app_id', appId)
+      .eq('is_active', true)
+      .or(orgId ? `org_id.eq.${orgId},org_id.is.null` : 'org_id.is.null')
+      .order('org_id', { ascending: false, nullsFirst: false })
+      .limit(1)
+
+  const { data, error } = await query.single()
 
   if (error || !data) {
     console.warn('[brain-v3] Config DB non trouvée, utilisation fallback')
-    return { ...FALLBACK_CONFIG, systemPrompt: FALLBACK_SYSTEM_PROMPT }
+    return { ...FALLBACK_CONFIG, systemPrompt: FALLBACK_SYSTEM_PROMPT, promptVariant: null }
   }
 
   const params = data.parameters || {}
@@ -359,7 +401,36 @@ async function getBrainConfig(
       send_immediate_ack: params.sse?.send_immediate_ack ?? FALLBACK_CONFIG.sse.send_immediate_ack,
       send_analysis_step: params.sse?.send_analysis_step ?? FALLBACK_CONFIG.sse.send_analysis_step,
     },
+    promptVariant: variant,
+  }
+}
+
+// ============================================================================
+// v3.3.0: EXPÉRIENCES A/B DE PROMPTS
+// ============================================================================
+
+async function resolvePromptVariant(
+  supabase: ReturnType<typeof createClient>,
+  appId: string,
+  orgId: string | undefined,
+  conversationId: string
+): Promise<PromptVariant | null> {
+  const { data, error } = await supabase.schema('config').rpc('resolve_prompt_experiment', {
+    p_agent_type: 'brain_v3',
+    p_app_id: appId,
+    p_org_id: orgId || null,
+    p_conversation_id: conversationId,
+  })
+
+  if (error) {
+    console.warn('[brain-v3] Erreur resolve_prompt_experiment:', error.message)
+    return null
   }
+
+  const row = Array.isArray(data) ? data[0] : data
+  if (!row?.experiment_id) return null
+
+  return { experiment_id: row.experiment_id, agent_type: 'brain_v3', variant: row.variant, prompt_id: row.prompt_id }
 }
 
 // ============================================================================
@@ -680,7 +751,8 @@ async function callLibrarianWithProxy(
   req: Request,
   body: RequestBody,
   context: AgentContext,
-  analysis: AnalysisResult
+  analysis: AnalysisResult,
+  brainConfig: BrainConfig
 ): Promise<Response> {
   console.log(`[brain-v3] Appel Librarian v4 (stream=${body.stream !== false})...`)
 
@@ -704,6 +776,12 @@ async function callLibrarianWithProxy(
     include_project_layer: body.include_project_layer,
     include_user_layer: body.include_user_layer,
     filter_source_types: body.filter_source_types,
+    // v3.2.0: Prompt librarian imposé (pris en compte pour les appels service)
+    prompt_id: body.prompt_id,
+    // v3.6.0: évaluation (non facturée), revérifiée par le librarian
+    evaluation: body.evaluation,
+    // v3.3.0: Variante brain_v3, enregistrée par le librarian avec la réponse
+    prompt_variants: brainConfig.promptVariant ? [brainConfig.promptVariant] : [],
     preloaded_context: {
       effective_org_id: context.effectiveOrgId,
       effective_app_id: context.effectiveAppId,
@@ -823,17 +901,44 @@ serve(async (req) => {
     if (!query?.trim()) return errorResponse("Query is required")
     if (!user_id) return errorResponse("user_id is required")
 
+    // v3.6.0: prompt imposé et mode évaluation ignorés hors appel service (run-evaluation)
+    const isService = isServiceRequest(req)
+    if (!isService) body.prompt_id = undefined
+    body.evaluation = isService && body.evaluation === true
+
     console.log(`[brain-v3] ═══════════════════════════════════════════════════`)
-    console.log(`[brain-v3] v3.1.0 - Query: "${query.substring(0, 60)}..."`)
+    console.log(`[brain-v3] v3.6.0 - Query: "${query.substring(0, 60)}..."`)
 
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY)
 
     // 1. CONFIG
-    const brainConfig = await getBrainConfig(supabase, app_id, org_id)
+    // v3.3.0: variante A/B par conversation (pas d'expérience pendant les évaluations)
+    const withExperiment = !body.evaluation && !body.prompt_id
+    let brainConfig = await getBrainConfig(supabase, app_id, org_id, withExperiment ? conversation_id : undefined)
 
     // 2. CONTEXT
     const context = await getAgentContext(supabase, user_id, org_id, project_id, app_id, conversation_id, brainConfig)
 
+    // v3.3.0: nouvelle conversation → variante connue une fois la conversation créée
+    if (withExperiment && context.conversationId !== conversation_id) {
+      brainConfig = await getBrainConfig(supabase, app_id, org_id, context.conversationId)
+    }
+
+    // v3.4.0: solde épuisé → refus avant toute consommation (hors évaluations)
+    if (!body.evaluation && !(await hasCredits(supabase, context.effectiveOrgId))) {
+      console.log(`[brain-v3] ⛔ Crédits épuisés (org ${context.effectiveOrgId})`)
+      return errorResponse(CREDITS_EXHAUSTED_MESSAGE, 402)
+    }
+
+    // v3.5.0: quota mensuel de questions du plan (hors évaluations)
+    if (!body.evaluation) {
+      const quotaError = await checkMonthlyQuota(supabase, context.effectiveOrgId, "monthly_queries")
+      if (quotaError) {
+        console.log(`[brain-v3] ⛔ Quota mensuel atteint (org ${context.effectiveOrgId})`)
+        return errorResponse(quotaError, 429)
+      }
+    }
+
     // 3. ANALYSE
     const analysis = await analyzeQuery(query, context, brainConfig)
     console.log(`[brain-v3] Analyse terminée en ${Date.now() - startTime}ms`)
@@ -848,11 +953,11 @@ serve(async (req) => {
     // 5. LIBRARIAN V4
     if (stream && (brainConfig.sse.send_immediate_ack || brainConfig.sse.send_analysis_step)) {
       return createImmediateAckStream(context, brainConfig, async () => {
-        return await callLibrarianWithProxy(req, body, context, analysis)
+        return await callLibrarianWithProxy(req, body, context, analysis, brainConfig)
       })
     }
 
-    return await callLibrarianWithProxy(req, body, context, analysis)
+    return await callLibrarianWithProxy(req, body, context, analysis, brainConfig)
 
   } catch (error) {
     console.error("[brain-v3] Erreur:", error)
@@ -1,5 +1,5 @@
 // ╔══════════════════════════════════════════════════════════════════════════════╗
-// ║  BAIKAL-LIBRARIAN v4.0.0 - Zero Hallucination & Hierarchy L0/L1             ║
+// ║  BAIKAL-LIBRARIAN v4.4.0 - Zero Hallucination & Hierarchy L0/L1             ║
 // ║  Edge Function Supabase                                                      ║
 // ╠══════════════════════════════════════════════════════════════════════════════╣
 // ║  v4.0.0: Migration vers match_documents_v13                                  ║
@@ -8,11 +8,22 @@
 // ║        - Stratégie par intent (factual→L1, synthesis→L0+children)           ║
 // ║        - Mode chunks par défaut (Gemini désactivé pour factual/citation)    ║
 // ║        - Prompt système Zero Hallucination avec sourçage obligatoire        ║
+// ║  v4.0.1: Source mémoire enrichie (trust_score, is_expert_faq)                ║
+// ║  v4.1.0: Mode search_only (Search lab admin) - retrieval seul, paramètres    ║
+// ║        surchargeables, réponse JSON sans génération ni historique           ║
+// ║  v4.2.0: prompt_id (appels service uniquement) - config d'un prompt précis  ║
+// ║        même inactif, pour les évaluations golden set (run-evaluation)       ║
+// ║  v4.3.0: Expériences A/B de prompts - variante choisie par conversation,    ║
+// ║        enregistrée sur le message (rag.messages.prompt_variants)            ║
+// ║  v4.4.0: Crédits - chaque réponse (générée ou mémoire) est débitée sur le   ║
+// ║        grand livre de l'organisation (hors évaluations : evaluation: true   ║
+// ║        sur un appel service, sans débit ni expérience A/B)                  ║
 // ╚══════════════════════════════════════════════════════════════════════════════╝
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2"
 import { crypto } from "https://deno.land/std@0.168.0/crypto/mod.ts"
+import { debitCredits } from "../_shared/utils.ts"
 
 // ============================================================================
 // CONFIGURATION
@@ -124,6 +135,15 @@ interface PreloadedContext {
   documents_cles: Array<{ slug: string; label: string }>
 }
 
+interface SearchOverrides {
+  match_count?: number
+  similarity_threshold?: number
+  hierarchy_levels?: number[]
+  include_children?: boolean
+  enable_concept_expansion?: boolean
+  filter_file_ids?: string[]
+}
+
 interface RequestBody {
   query: string
   user_id: string
@@ -143,6 +163,19 @@ interface RequestBody {
   include_project_layer?: boolean
   include_user_layer?: boolean
   filter_source_types?: string[]
+  search_only?: boolean
+  search_overrides?: SearchOverrides
+  prompt_id?: string
+  prompt_variants?: PromptVariant[]
+  evaluation?: boolean
+}
+
+// v4.3.0: Variante d'expérience A/B ayant produit une réponse
+interface PromptVariant {
+  experiment_id: string
+  agent_type: string
+  variant: 'A' | 'B'
+  prompt_id: string
 }
 
 interface LibrarianConfig {
@@ -178,6 +211,7 @@ interface LibrarianConfig {
   google_file_ttl_hours: number
   qa_memory_similarity_threshold: number
   qa_memory_max_results: number
+  prompt_variant: PromptVariant | null
 }
 
 interface LibrarianContext {
@@ -384,6 +418,13 @@ function errorResponse(message: string, status: number = 400) {
   )
 }
 
+/**
+ * v4.2.0: Appel authentifié avec la clé service (run-evaluation via brain-v3)
+ */
+function isServiceRequest(req: Request): boolean {
+  return req.headers.get("Authorization") === `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`
+}
+
 const sendSSE = (controller: ReadableStreamDefaultController, event: string, data: unknown) => {
   controller.enqueue(new TextEncoder().encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`))
 }
@@ -550,21 +591,38 @@ async function resolveFileNamesToUuids(
 async function getLibrarianConfig(
   supabase: ReturnType<typeof createClient>,
   appId: string = 'arpet',
-  orgId?: string
+  orgId?: string,
+  promptId?: string,
+  conversationId?: string
 ): Promise<LibrarianConfig> {
-  console.log(`[lib-v4] Chargement config librarian_v3 (app=${appId}, org=${orgId || 'global'})...`)
-
-  const { data, error } = await supabase
-    .schema('config')
-    .from('agent_prompts')
-    .select('system_prompt, gemini_system_prompt, parameters')
-    .eq('agent_type', 'librarian_v3')
-    .eq('app_id', appId)
-    .eq('is_active', true)
-    .or(orgId ? `org_id.eq.${orgId},org_id.is.null` : 'org_id.is.null')
-    .order('org_id', { ascending: false, nullsFirst: false })
-    .limit(1)
-    .single()
+  // v4.3.0: sans prompt imposé, une expérience A/B en cours choisit le prompt
+  const variant = !promptId && conversationId
+    ? await resolvePromptVariant(supabase, 'librarian_v3', appId, orgId, conversationId)
+    : null
+  const selectedPromptId = promptId || variant?.prompt_id
+
+  console.log(`[lib-v4] Chargement config librarian_v3 (app=${appId}, org=${orgId || 'global'}${selectedPromptId ? `, prompt=${selectedPromptId}` : ''}${variant ? `, variante ${variant.variant}` : ''})...`)
+
+  // v4.2.0: prompt imposé (évaluation) ou variante → ce prompt précis, actif ou non
+  const query = selectedPromptId
+    ? supabase
+      .schema('config')
+      .from('agent_prompts')
+      .select('system_prompt, gemini_system_prompt, parameters')
+      .eq('id', selectedPromptId)
+      .eq('agent_type', 'librarian_v3')
+    : supabase
+      .schema('config')
+      .from('agent_prompts')
+      .select('system_prompt, gemini_system_prompt, parameters')
+      .eq('agent_type', 'librarian_v3')
+      .eq('app_id', appId)
+      .eq('is_active', true)
+      .or(orgId ? `org_id.eq.${orgId},org_id.is.null` : 'org_id.is.null')
+      .order('org_id', { ascending: false, nullsFirst: false })
+      .limit(1)
+
+  const { data, error } = await query.single()
 
   if (error || !data) {
     console.warn('[lib-v4] Config DB non trouvée, utilisation fallback')
@@ -580,6 +638,7 @@ async function getLibrarianConfig(
       default_answer_format: 'paragraph',
       enable_format_detection: true,
       scoring_method: 'chunks_weighted',
+      prompt_variant: null,
     } as LibrarianConfig
   }
 
@@ -624,7 +683,48 @@ async function getLibrarianConfig(
     google_file_ttl_hours: FALLBACK_CONFIG.google_file_ttl_hours!,
     qa_memory_similarity_threshold: legacy.qa_memory_similarity_threshold || FALLBACK_CONFIG.qa_memory_similarity_threshold!,
     qa_memory_max_results: legacy.qa_memory_max_results || FALLBACK_CONFIG.qa_memory_max_results!,
+    prompt_variant: variant,
+  }
+}
+
+// ============================================================================
+// v4.3.0: EXPÉRIENCES A/B DE PROMPTS
+// ============================================================================
+
+async function resolvePromptVariant(
+  supabase: ReturnType<typeof createClient>,
+  agentType: string,
+  appId: string,
+  orgId: string | undefined,
+  conversationId: string
+): Promise<PromptVariant | null> {
+  const { data, error } = await supabase.schema('config').rpc('resolve_prompt_experiment', {
+    p_agent_type: agentType,
+    p_app_id: appId,
+    p_org_id: orgId || null,
+    p_conversation_id: conversationId,
+  })
+
+  if (error) {
+    console.warn('[lib-v4] Erreur resolve_prompt_experiment:', error.message)
+    return null
   }
+
+  const row = Array.isArray(data) ? data[0] : data
+  if (!row?.experiment_id) return null
+
+  return { experiment_id: row.experiment_id, agent_type: agentType, variant: row.variant, prompt_id: row.prompt_id }
+}
+
+/**
+ * Variantes transmises par brain-v3 (les siennes) + celle du librarian
+ */
+function collectPromptVariants(received: unknown, config: LibrarianConfig): PromptVariant[] {
+  const variants = (Array.isArray(received) ? received : []).filter((v): v is PromptVariant =>
+    !!v && typeof v.experiment_id === 'string' && (v.variant === 'A' || v.variant === 'B')
+      && v.agent_type === 'brain_v3' && typeof v.prompt_id === 'string'
+  )
+  return config.prompt_variant ? [...variants, config.prompt_variant] : variants
 }
 
 // ============================================================================
@@ -731,6 +831,27 @@ async function generateEmbedding(text: string): Promise<number[]> {
 // v4.0.0: SEARCH WITH match_documents_v13
 // ============================================================================
 
+function getIntentParams(config: LibrarianConfig, intent: string | undefined): IntentParams | null {
+  return intent ? (config.intent_config[intent] || FALLBACK_INTENT_CONFIG[intent]) : null
+}
+
+/**
+ * match_count / similarity_threshold effectifs (config → intent → filtre fichiers)
+ */
+function getEffectiveSearchParams(
+  config: LibrarianConfig,
+  intent: string | undefined,
+  fileFilterUuids: string[] | null
+): { matchCount: number; threshold: number } {
+  const intentParams = getIntentParams(config, intent)
+  return {
+    matchCount: fileFilterUuids && fileFilterUuids.length > 0
+      ? Math.max(fileFilterUuids.length * 5, config.match_count)
+      : intentParams?.match_count || config.match_count,
+    threshold: intentParams?.min_similarity || config.match_threshold,
+  }
+}
+
 async function executeSearch(
   supabase: ReturnType<typeof createClient>,
   queryEmbedding: number[],
@@ -748,11 +869,9 @@ async function executeSearch(
   intentStrategy: IntentStrategy  // v4: Nouveau paramètre
 ): Promise<SearchResult> {
 
-  const intentParams = intent ? (config.intent_config[intent] || FALLBACK_INTENT_CONFIG[intent]) : null
-  const effectiveMatchCount = fileFilterUuids && fileFilterUuids.length > 0
-    ? Math.max(fileFilterUuids.length * 5, config.match_count)
-    : intentParams?.match_count || config.match_count
-  const effectiveThreshold = intentParams?.min_similarity || config.match_threshold
+  const intentParams = getIntentParams(config, intent)
+  const { matchCount: effectiveMatchCount, threshold: effectiveThreshold } =
+    getEffectiveSearchParams(config, intent, fileFilterUuids)
 
   // v4: Log de la stratégie hiérarchique
   console.log(`[lib-v4] Search v13: match_count=${effectiveMatchCount}, threshold=${effectiveThreshold}`)
@@ -1501,6 +1620,194 @@ async function addMessage(
   }
 }
 
+/**
+ * v4.3.0: Marque la dernière réponse de la conversation avec les variantes
+ * d'expérience qui l'ont produite (add_message ne renvoie pas l'id du message)
+ */
+async function recordPromptVariants(
+  supabase: ReturnType<typeof createClient>,
+  conversationId: string,
+  variants: PromptVariant[]
+): Promise<void> {
+  if (variants.length === 0) return
+
+  const { data: message } = await supabase
+    .schema('rag')
+    .from('messages')
+    .select('id')
+    .eq('conversation_id', conversationId)
+    .eq('role', 'assistant')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+
+  if (!message) return
+
+  const { error } = await supabase
+    .schema('rag')
+    .from('messages')
+    .update({ prompt_variants: variants })
+    .eq('id', message.id)
+
+  if (error) console.warn('[lib-v4] Erreur prompt_variants:', error.message)
+}
+
+/**
+ * v4.4.0: Débite une réponse sur le grand livre de l'organisation.
+ * Les évaluations (appels service de run-evaluation) ne sont pas facturées.
+ */
+async function debitAnswer(
+  supabase: ReturnType<typeof createClient>,
+  libContext: LibrarianContext,
+  userId: string,
+  isEvaluation: boolean
+): Promise<void> {
+  if (isEvaluation) return
+  await debitCredits(supabase, libContext.effectiveOrgId, 'chat_answer', 1, {
+    userId,
+    referenceType: 'conversation',
+    referenceId: libContext.conversationId,
+  })
+}
+
+// ============================================================================
+// v4.1.0: SEARCH LAB (retrieval seul, super_admin / org_admin)
+// ============================================================================
+
+/**
+ * Applique les surcharges du Search lab à la config (niveau global et intent)
+ */
+function applySearchOverrides(
+  config: LibrarianConfig,
+  intent: string | undefined,
+  overrides: SearchOverrides
+): LibrarianConfig {
+  const result = {
+    ...config,
+    match_count: overrides.match_count ?? config.match_count,
+    match_threshold: overrides.similarity_threshold ?? config.match_threshold,
+    enable_concept_expansion: overrides.enable_concept_expansion ?? config.enable_concept_expansion,
+  }
+
+  const intentParams = getIntentParams(config, intent)
+  if (intent && intentParams) {
+    result.intent_config = {
+      ...config.intent_config,
+      [intent]: {
+        ...intentParams,
+        match_count: overrides.match_count ?? intentParams.match_count,
+        min_similarity: overrides.similarity_threshold ?? intentParams.min_similarity,
+      },
+    }
+  }
+
+  return result
+}
+
+/**
+ * Exécute uniquement la recherche (embedding + executeSearch) et renvoie les
+ * chunks classés avec les paramètres effectifs. Aucune génération, aucun
+ * message enregistré, mémoire collective ignorée.
+ */
+async function handleSearchOnly(req: Request, body: RequestBody): Promise<Response> {
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY)
+
+  const token = req.headers.get("Authorization")?.replace("Bearer ", "")
+  const { data: { user } } = token ? await supabase.auth.getUser(token) : { data: { user: null } }
+  if (!user) return errorResponse("Non authentifié", 401)
+
+  const { data: profile } = await supabase
+    .schema('core')
+    .from('profiles')
+    .select('app_role, org_id, app_id')
+    .eq('id', user.id)
+    .single()
+
+  if (!profile || !['super_admin', 'org_admin'].includes(profile.app_role)) {
+    return errorResponse("Accès refusé", 403)
+  }
+
+  // org_admin : limité à sa propre organisation
+  const orgId = profile.app_role === 'super_admin' ? (body.org_id || null) : profile.org_id
+
+  // org_admin : le projet doit appartenir à son organisation
+  if (body.project_id && profile.app_role !== 'super_admin') {
+    const { data: project } = await supabase
+      .schema('core')
+      .from('projects')
+      .select('id')
+      .eq('id', body.project_id)
+      .eq('org_id', orgId)
+      .maybeSingle()
+
+    if (!project) return errorResponse("Projet hors de votre organisation", 403)
+  }
+
+  const appId = body.app_id || profile.app_id || 'arpet'
+  const overrides = body.search_overrides || {}
+  const layerFlags = {
+    app: body.include_app_layer ?? true,
+    org: body.include_org_layer ?? true,
+    project: body.include_project_layer ?? true,
+    user: body.include_user_layer ?? false,
+  }
+  const fileFilterUuids = overrides.filter_file_ids && overrides.filter_file_ids.length > 0
+    ? overrides.filter_file_ids
+    : null
+
+  const config = applySearchOverrides(
+    await getLibrarianConfig(supabase, appId, orgId || undefined),
+    body.intent,
+    overrides
+  )
+  const baseStrategy = getIntentStrategy(body.intent)
+  const intentStrategy: IntentStrategy = {
+    ...baseStrategy,
+    hierarchy_levels: overrides.hierarchy_levels?.length ? overrides.hierarchy_levels : baseStrategy.hierarchy_levels,
+    include_children: overrides.include_children ?? baseStrategy.include_children,
+  }
+  const { matchCount, threshold } = getEffectiveSearchParams(config, body.intent, fileFilterUuids)
+
+  console.log(`[lib-v4] 🔬 Search lab: user=${user.id}, org=${orgId}, app=${appId}, intent=${body.intent}`)
+
+  const embeddingStart = Date.now()
+  const queryEmbedding = await generateEmbedding(body.rewritten_query || body.query)
+  const embeddingMs = Date.now() - embeddingStart
+
+  const searchStart = Date.now()
+  const searchResult = await executeSearch(
+    supabase, queryEmbedding, body.query, user.id, orgId,
+    body.project_id, appId, config, layerFlags,
+    body.filter_source_types, fileFilterUuids, body.intent,
+    body.search_config?.boost_documents || [], intentStrategy
+  )
+  const searchMs = Date.now() - searchStart
+
+  return new Response(
+    JSON.stringify({
+      success: true,
+      chunks: searchResult.chunks,
+      files: searchResult.files,
+      effective_params: {
+        org_id: orgId,
+        app_id: appId,
+        project_id: body.project_id || null,
+        intent: body.intent || null,
+        match_count: matchCount,
+        similarity_threshold: threshold,
+        hierarchy_levels: intentStrategy.hierarchy_levels,
+        include_children: intentStrategy.include_children,
+        enable_concept_expansion: config.enable_concept_expansion,
+        layers: layerFlags,
+        filter_source_types: body.filter_source_types || null,
+        filter_file_ids: fileFilterUuids,
+      },
+      timings: { embedding_ms: embeddingMs, search_ms: searchMs },
+    }),
+    { headers: { ...corsHeaders, "Content-Type": "application/json" } }
+  )
+}
+
 // ============================================================================
 // MAIN HANDLER
 // ============================================================================
@@ -1538,12 +1845,20 @@ serve(async (req) => {
       include_user_layer = false,
       filter_source_types,
     } = body
+    // v4.2.0: prompt imposé réservé aux appels service (évaluations)
+    const promptId = body.prompt_id && isServiceRequest(req) ? body.prompt_id : undefined
+    // v4.4.0: évaluation (pas de débit ni d'expérience) réservée aux appels service
+    const isEvaluation = body.evaluation === true && isServiceRequest(req)
 
     if (!query?.trim()) return errorResponse("Query is required")
+
+    // v4.1.0: Search lab (l'utilisateur est identifié par son JWT)
+    if (body.search_only) return await handleSearchOnly(req, body)
+
     if (!user_id) return errorResponse("user_id is required")
 
     console.log(`[lib-v4] ═══════════════════════════════════════════════════`)
-    console.log(`[lib-v4] v4.0.0 - Query: "${query.substring(0, 50)}..."`)
+    console.log(`[lib-v4] v4.4.0 - Query: "${query.substring(0, 50)}..."`)
     console.log(`[lib-v4] intent=${intent}, answer_format=${answer_format}`)
     if (rewritten_query && rewritten_query !== query) {
       console.log(`[lib-v4] 📝 Query enrichie: "${rewritten_query.substring(0, 60)}..."`)
@@ -1563,8 +1878,10 @@ serve(async (req) => {
           // ================================================================
           // 1. CONFIG + CONTEXTE
           // ================================================================
-          const config = await getLibrarianConfig(supabase, app_id, org_id)
+          // v4.3.0: contexte d'abord - la variante A/B dépend de la conversation
           const libContext = await getAgentContext(supabase, user_id, org_id, project_id, app_id, preloaded_context)
+          const config = await getLibrarianConfig(supabase, app_id, org_id, promptId, isEvaluation ? undefined : libContext.conversationId)
+          const promptVariants = collectPromptVariants(body.prompt_variants, config)
           
           const effectiveGenParams = getEffectiveGenerationParams(config, intent)
           console.log(`[lib-v4] Effective generation: model=${effectiveGenParams.model}, temp=${effectiveGenParams.temperature}, tokens=${effectiveGenParams.maxTokens}`)
@@ -1588,12 +1905,14 @@ serve(async (req) => {
             
             const processingTime = Date.now() - startTime
             await addMessage(supabase, libContext.conversationId, 'assistant', response, [], 'conversational', processingTime)
+            await recordPromptVariants(supabase, libContext.conversationId, promptVariants)
             
             sendSSE(controller, 'sources', {
               sources: [],
               conversation_id: libContext.conversationId,
               generation_mode: 'conversational',
               processing_time_ms: processingTime,
+              prompt_variants: promptVariants,
             })
             
             sendSSE(controller, 'done', {})
@@ -1632,6 +1951,7 @@ serve(async (req) => {
               await incrementQAUsage(supabase, memoryResult.id)
               const processingTime = Date.now() - startTime
               await addMessage(supabase, libContext.conversationId, 'assistant', memoryResult.answer_text, [], 'memory', processingTime)
+              await debitAnswer(supabase, libContext, user_id, isEvaluation)
 
               sendSSE(controller, 'sources', {
                 sources: [{ id: memoryResult.id, type: 'qa_memory', document_name: '💡 Mémoire', score: memoryResult.similarity, layer: 'memory', source_file_id: null, content_preview: null }],
@@ -1639,6 +1959,10 @@ serve(async (req) => {
                 generation_mode: 'memory',
                 processing_time_ms: processingTime,
                 from_memory: true,
+                // v4.0.1: Infos de confiance pour l'UI de vote
+                qa_id: memoryResult.id,
+                trust_score: memoryResult.trust_score,
+                is_expert_faq: memoryResult.is_expert_faq,
               })
 
               sendSSE(controller, 'done', {})
@@ -1822,6 +2146,8 @@ serve(async (req) => {
           // ================================================================
           const processingTime = Date.now() - startTime
           await addMessage(supabase, libContext.conversationId, 'assistant', fullResponse, finalSources, effectiveMode, processingTime)
+          await recordPromptVariants(supabase, libContext.conversationId, promptVariants)
+          await debitAnswer(supabase, libContext, user_id, isEvaluation)
 
           mark('9_total')
           console.log(`[lib-v4] ⏱️ TOTAL: ${JSON.stringify(timings)}`)
@@ -1850,6 +2176,8 @@ serve(async (req) => {
             l0_count: searchResult.chunks.filter(c => c.hierarchy_level === 0).length,
             l1_count: searchResult.chunks.filter(c => c.hierarchy_level === 1).length,
             child_count: searchResult.chunks.filter(c => c.retrieval_role === 'child').length,
+            // v4.3.0: Variantes A/B ayant produit la réponse (votes par variante)
+            prompt_variants: promptVariants,
             timings,
           })
 
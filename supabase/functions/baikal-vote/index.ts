@@ -1,11 +1,15 @@
 // ╔══════════════════════════════════════════════════════════════════════════════╗
-// ║  BAIKAL-VOTE v1.0.0 - Gestion des votes Q/A                                  ║
+// ║  BAIKAL-VOTE v1.2.0 - Gestion des votes Q/A                                  ║
 // ║  Edge Function Supabase                                                      ║
 // ╠══════════════════════════════════════════════════════════════════════════════╣
 // ║  Actions disponibles:                                                        ║
 // ║  - vote_up_new: Crée qa_memory + embedding + premier vote                    ║
 // ║  - vote_up_existing: Incrémente trust_score sur qa_memory existante          ║
 // ║  - vote_down: Décrémente trust_score                                         ║
+// ║  - reembed: Régénère l'embedding après édition (super_admin)                 ║
+// ╠══════════════════════════════════════════════════════════════════════════════╣
+// ║  v1.1.0: last_voted_at mis à jour à chaque vote + action reembed             ║
+// ║  v1.2.0: votant identifié par le JWT (user_id du corps ignoré)               ║
 // ╠══════════════════════════════════════════════════════════════════════════════╣
 // ║  Utilisé par: Arpet (frontend), autres apps futures                          ║
 // ╚══════════════════════════════════════════════════════════════════════════════╝
@@ -29,8 +33,9 @@ const EMBEDDING_MODEL = "text-embedding-3-small"
 // ============================================================================
 
 interface VoteRequest {
-  action: 'vote_up_new' | 'vote_up_existing' | 'vote_down'
-  user_id: string
+  action: 'vote_up_new' | 'vote_up_existing' | 'vote_down' | 'reembed'
+  /** @deprecated Ignoré : le votant est l'utilisateur du JWT */
+  user_id?: string
   
   // Pour vote_up_new
   question?: string
@@ -39,7 +44,7 @@ interface VoteRequest {
   org_id?: string
   project_id?: string | null
   
-  // Pour vote_up_existing / vote_down
+  // Pour vote_up_existing / vote_down / reembed
   qa_id?: string
 }
 
@@ -132,6 +137,7 @@ async function voteUpNew(
         usage_count: 0,
         is_expert_faq: false,
         created_by: userId,
+        last_voted_at: new Date().toISOString(),
       })
       .select('id, trust_score')
       .single()
@@ -225,6 +231,7 @@ async function voteUpExisting(
         trust_score: newTrustScore,
         validators_ids: newValidators,
         updated_at: new Date().toISOString(),
+        last_voted_at: new Date().toISOString(),
       })
       .eq('id', qaId)
 
@@ -301,6 +308,7 @@ async function voteDown(
       .update({
         trust_score: newTrustScore,
         updated_at: new Date().toISOString(),
+        last_voted_at: new Date().toISOString(),
       })
       .eq('id', qaId)
 
@@ -337,6 +345,101 @@ async function voteDown(
   }
 }
 
+// ============================================================================
+// REEMBED - Régénérer l'embedding (après édition admin)
+// ============================================================================
+
+async function reembedQA(
+  supabase: ReturnType<typeof createClient>,
+  userId: string,
+  qaId: string
+): Promise<VoteResponse> {
+  try {
+    console.log(`[baikal-vote] reembed: qa_id=${qaId}`)
+
+    // 1. Réservé aux super_admin
+    const { data: profile } = await supabase
+      .schema('core')
+      .from('profiles')
+      .select('app_role')
+      .eq('id', userId)
+      .single()
+
+    if (profile?.app_role !== 'super_admin') {
+      return {
+        success: false,
+        action: 'reembed',
+        qa_id: qaId,
+        trust_score: 0,
+        message: 'Action réservée aux super administrateurs',
+        error: 'FORBIDDEN',
+      }
+    }
+
+    // 2. Récupérer la question actuelle
+    const { data: qa, error: fetchError } = await supabase
+      .schema('rag')
+      .from('qa_memory')
+      .select('id, question_text, trust_score')
+      .eq('id', qaId)
+      .single()
+
+    if (fetchError || !qa) {
+      return {
+        success: false,
+        action: 'reembed',
+        qa_id: qaId,
+        trust_score: 0,
+        message: 'Q/A non trouvée',
+        error: fetchError?.message || 'Not found',
+      }
+    }
+
+    // 3. Régénérer et enregistrer l'embedding
+    const embedding = await generateEmbedding(qa.question_text)
+
+    const { error: updateError } = await supabase
+      .schema('rag')
+      .from('qa_memory')
+      .update({
+        embedding: embedding,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', qaId)
+
+    if (updateError) {
+      return {
+        success: false,
+        action: 'reembed',
+        qa_id: qaId,
+        trust_score: qa.trust_score,
+        message: 'Erreur lors de la mise à jour',
+        error: updateError.message,
+      }
+    }
+
+    console.log(`[baikal-vote] Embedding régénéré (${embedding.length} dimensions)`)
+
+    return {
+      success: true,
+      action: 'reembed',
+      qa_id: qaId,
+      trust_score: qa.trust_score,
+      message: 'Embedding régénéré',
+    }
+  } catch (err) {
+    console.error('[baikal-vote] Exception reembed:', err)
+    return {
+      success: false,
+      action: 'reembed',
+      qa_id: qaId,
+      trust_score: 0,
+      message: 'Erreur inattendue',
+      error: err instanceof Error ? err.message : String(err),
+    }
+  }
+}
+
 // ============================================================================
 // MAIN HANDLER
 // ============================================================================
@@ -349,20 +452,28 @@ serve(async (req) => {
 
   try {
     const body: VoteRequest = await req.json()
-    const { action, user_id } = body
+    const { action } = body
 
     // Validation de base
     if (!action) {
-      return errorResponse("action is required (vote_up_new | vote_up_existing | vote_down)")
-    }
-    if (!user_id) {
-      return errorResponse("user_id is required")
+      return errorResponse("action is required (vote_up_new | vote_up_existing | vote_down | reembed)")
     }
 
-    console.log(`[baikal-vote] v1.0.0 - Action: ${action}, User: ${user_id}`)
-
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY)
 
+    // Votant : utilisateur du JWT, jamais le user_id du corps
+    const token = req.headers.get("Authorization")?.replace("Bearer ", "")
+    const { data: { user } } = token
+      ? await supabase.auth.getUser(token)
+      : { data: { user: null } }
+
+    if (!user) {
+      return errorResponse("Unauthorized", 401)
+    }
+    const user_id = user.id
+
+    console.log(`[baikal-vote] v1.2.0 - Action: ${action}, User: ${user_id}`)
+
     // Router les actions
     switch (action) {
       case 'vote_up_new': {
@@ -409,6 +520,17 @@ serve(async (req) => {
         return successResponse(result)
       }
 
+      case 'reembed': {
+        const { qa_id } = body
+
+        if (!qa_id) {
+          return errorResponse("qa_id is required for reembed")
+        }
+
+        const result = await reembedQA(supabase, user_id, qa_id)
+        return successResponse(result)
+      }
+
       default:
         return errorResponse(`Unknown action: ${action}`)
     }
@@ -0,0 +1,198 @@
+// ╔══════════════════════════════════════════════════════════════════════════════╗
+// ║  EDIT-CHUNK v1.0.0 - Inspecteur de chunks                                    ║
+// ║  Edge Function Supabase                                                      ║
+// ╠══════════════════════════════════════════════════════════════════════════════╣
+// ║  Actions disponibles (super_admin, org_admin de l'organisation du chunk):    ║
+// ║  - update  : remplace le contenu d'un chunk et recalcule son embedding       ║
+// ║              (contenu d'origine conservé dans metadata.original_content)     ║
+// ║  - reembed : recalcule l'embedding du contenu actuel                         ║
+// ║  - exclude : exclut le chunk de la recherche (rag.documents.excluded_at)     ║
+// ║  - include : réintègre un chunk exclu                                        ║
+// ╚══════════════════════════════════════════════════════════════════════════════╝
+
+import {
+  errorResponse,
+  successResponse,
+  handleCorsPreFlight,
+  createSupabaseClient,
+  createLogger,
+  getErrorMessage,
+  generateEmbedding,
+} from "../_shared/utils.ts"
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const MIN_CONTENT_LENGTH = 30
+const MAX_CONTENT_LENGTH = 8000
+
+const log = createLogger("edit-chunk")
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+type SupabaseClient = ReturnType<typeof createSupabaseClient>
+
+interface EditChunkRequest {
+  action: "update" | "reembed" | "exclude" | "include"
+  chunk_id: number | string
+  content?: string
+}
+
+interface Caller {
+  role: string
+  user_id: string
+  org_id: string | null
+}
+
+interface Chunk {
+  id: number | string
+  content: string
+  org_id: string | null
+  metadata: Record<string, any> | null
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Identifie l'appelant (profil : app_role, org_id)
+ */
+async function getCaller(supabase: SupabaseClient, req: Request): Promise<Caller | null> {
+  const token = req.headers.get("Authorization")?.replace("Bearer ", "")
+  if (!token) return null
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .schema("core")
+    .from("profiles")
+    .select("app_role, org_id")
+    .eq("id", user.id)
+    .single()
+
+  return { role: profile?.app_role || "user", user_id: user.id, org_id: profile?.org_id || null }
+}
+
+function canEditChunk(caller: Caller, chunk: Chunk): boolean {
+  if (caller.role === "super_admin") return true
+  return caller.role === "org_admin" && !!chunk.org_id && chunk.org_id === caller.org_id
+}
+
+/**
+ * Nouveau contenu + embedding ; le contenu d'origine est conservé au premier
+ * changement
+ */
+async function updateContent(supabase: SupabaseClient, chunk: Chunk, content: string, caller: Caller) {
+  const embedding = await generateEmbedding(content)
+  const metadata = chunk.metadata || {}
+  const contentChanged = content !== chunk.content
+
+  const { data, error } = await supabase
+    .schema("rag")
+    .from("documents")
+    .update({
+      content,
+      embedding,
+      metadata: {
+        ...metadata,
+        original_content: contentChanged ? (metadata.original_content ?? chunk.content) : metadata.original_content,
+        edited_at: contentChanged ? new Date().toISOString() : metadata.edited_at,
+        edited_by: contentChanged ? caller.user_id : metadata.edited_by,
+        reembedded_at: new Date().toISOString(),
+      },
+    })
+    .eq("id", chunk.id)
+    .select("id, content, metadata, excluded_at")
+    .single()
+
+  if (error) throw new Error(`Mise à jour du chunk: ${error.message}`)
+  return data
+}
+
+async function setExcluded(supabase: SupabaseClient, chunk: Chunk, excluded: boolean, caller: Caller) {
+  const { data, error } = await supabase
+    .schema("rag")
+    .from("documents")
+    .update({
+      excluded_at: excluded ? new Date().toISOString() : null,
+      excluded_by: excluded ? caller.user_id : null,
+    })
+    .eq("id", chunk.id)
+    .select("id, content, metadata, excluded_at")
+    .single()
+
+  if (error) throw new Error(`Exclusion du chunk: ${error.message}`)
+  return data
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreFlight()
+  }
+
+  if (req.method !== "POST") {
+    return errorResponse("Method not allowed", 405)
+  }
+
+  try {
+    const supabase = createSupabaseClient()
+    const caller = await getCaller(supabase, req)
+    if (!caller) {
+      return errorResponse("Non authentifié", 401)
+    }
+
+    const body: EditChunkRequest = await req.json()
+    if (!body.chunk_id) {
+      return errorResponse("chunk_id requis", 400)
+    }
+
+    const { data: chunk, error: chunkError } = await supabase
+      .schema("rag")
+      .from("documents")
+      .select("id, content, org_id, metadata")
+      .eq("id", body.chunk_id)
+      .single()
+
+    if (chunkError || !chunk) {
+      return errorResponse("Chunk introuvable", 404)
+    }
+    if (!canEditChunk(caller, chunk)) {
+      return errorResponse("Accès refusé", 403)
+    }
+
+    switch (body.action) {
+      case "update": {
+        const content = body.content?.trim() || ""
+        if (content.length < MIN_CONTENT_LENGTH || content.length > MAX_CONTENT_LENGTH) {
+          return errorResponse(`Le contenu doit faire entre ${MIN_CONTENT_LENGTH} et ${MAX_CONTENT_LENGTH} caractères`, 400)
+        }
+        log.info(`update chunk ${chunk.id} by ${caller.user_id}`)
+        return successResponse({ chunk: await updateContent(supabase, chunk, content, caller) })
+      }
+
+      case "reembed":
+        log.info(`reembed chunk ${chunk.id}`)
+        return successResponse({ chunk: await updateContent(supabase, chunk, chunk.content, caller) })
+
+      case "exclude":
+      case "include":
+        log.info(`${body.action} chunk ${chunk.id} by ${caller.user_id}`)
+        return successResponse({ chunk: await setExcluded(supabase, chunk, body.action === "exclude", caller) })
+
+      default:
+        return errorResponse(`Action inconnue: ${body.action}`, 400)
+    }
+  } catch (error) {
+    log.error(getErrorMessage(error))
+    return errorResponse(getErrorMessage(error), 500)
+  }
+})
@@ -1,6 +1,9 @@
 // ╔══════════════════════════════════════════════════════════════════════════════╗
 // ║  INGEST-DOCUMENTS - Edge Function Supabase                                   ║
-// ║  Version: 7.0.0 - Support hiérarchie chunks (parent/enfant)                  ║
+// ║  Version: 7.1.0 - Étape "embedding" pour le suivi de l'ingestion             ║
+// ╠══════════════════════════════════════════════════════════════════════════════╣
+// ║  Changements v7.1.0:                                                         ║
+// ║  - sources.report_ingestion_stage(file, 'embedding') avant les embeddings    ║
 // ╠══════════════════════════════════════════════════════════════════════════════╣
 // ║  Changements v7.0.0:                                                         ║
 // ║  - Ajout colonne hierarchy_level (0=section, 1=contenu)                      ║
@@ -386,6 +389,15 @@ serve(async (req) => {
     let insertedDocs: any[] = []
     
     if (docsForRagDocuments.length > 0) {
+      // v7.1.0 : Monitoring d'ingestion - les chunks sont prêts, calcul des embeddings
+      const embeddingFileIds = new Set<string>(docsForRagDocuments.map(d => d.source_file_id).filter(Boolean))
+      for (const fileId of embeddingFileIds) {
+        const { error: stageError } = await supabase
+          .schema('sources')
+          .rpc('report_ingestion_stage', { p_file_id: fileId, p_stage: 'embedding' })
+        if (stageError) console.warn(`[ingest-documents] Étape embedding non signalée (${fileId}): ${stageError.message}`)
+      }
+
       const texts = docsForRagDocuments.map(d => d.content)
       const embeddingResponse = await fetch('https://api.openai.com/v1/embeddings', {
         method: 'POST',
@@ -0,0 +1,470 @@
+// ╔══════════════════════════════════════════════════════════════════════════════╗
+// ║  INGEST-LOCAL v1.1.0 - Pipeline d'ingestion interne (alternative à N8N)      ║
+// ║  Edge Function Supabase                                                      ║
+// ╠══════════════════════════════════════════════════════════════════════════════╣
+// ║  Appelée par trigger-ingestion quand INGESTION_PIPELINE=local (dev local,    ║
+// ║  N8N indisponible). Reçoit le même payload que le webhook N8N (FLUX 1) :     ║
+// ║  1. Téléchargement du fichier (storage)                                      ║
+// ║  2. Extraction du texte : PDF, DOCX, XLSX, TXT / MD / CSV                    ║
+// ║  3. Découpage hiérarchique : L0 (section) → L1 (contenu)                     ║
+// ║  4. Envoi par lots à ingest-documents v7 (embeddings + insertion)            ║
+// ║  Réponse au format du webhook N8N : { success, total_chunks, inserted }      ║
+// ║  v1.1.0: total_pages dans la réponse (facturation par trigger-ingestion)     ║
+// ╚══════════════════════════════════════════════════════════════════════════════╝
+
+import { extractText, getDocumentProxy } from "npm:unpdf@0.12.1"
+import { unzipSync, strFromU8 } from "npm:fflate@0.8.2"
+import * as XLSX from "https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs"
+import {
+  errorResponse,
+  jsonResponse,
+  handleCorsPreFlight,
+  createSupabaseClient,
+  createLogger,
+  getErrorMessage,
+} from "../_shared/utils.ts"
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!
+
+// Taille cible d'un chunk L1 et recouvrement entre chunks consécutifs
+const CHUNK_SIZE = 1200
+const CHUNK_OVERLAP = 200
+// Extrait de section repris dans le chunk L0
+const SECTION_EXCERPT_SIZE = 600
+// Chunks envoyés par appel à ingest-documents (un appel OpenAI par lot)
+const INGEST_BATCH_SIZE = 50
+const MIN_CHUNK_LENGTH = 30
+// Estimation du nombre de pages hors PDF (caractères par page)
+const CHARS_PER_PAGE = 3000
+
+const log = createLogger("ingest-local")
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+type SupabaseClient = ReturnType<typeof createSupabaseClient>
+
+/** Payload du webhook N8N (cf. N8NPayload dans trigger-ingestion) */
+interface IngestPayload {
+  user_id: string
+  org_id: string | null
+  source_file_id: string
+  filename: string
+  path: string
+  storage_bucket: string
+  layer: string
+  target_apps: string[] | null
+  target_projects: string[] | null
+  document_title: string | null
+  category_slug: string | null
+  filename_clean: string | null
+  metadata: Record<string, any>
+}
+
+interface Section {
+  title: string | null
+  text: string
+}
+
+/** Texte extrait ; pages connues pour les PDF uniquement */
+interface ExtractedText {
+  text: string
+  pages: number | null
+}
+
+/** Document au format attendu par ingest-documents v7 */
+interface IngestDocument {
+  content: string
+  source_file_id: string
+  org_id: string | null
+  created_by: string
+  target_apps: string[]
+  target_projects: string[]
+  layer: string
+  quality_level: string
+  category_slug: string | null
+  document_title: string | null
+  section_title: string | null
+  hierarchy_level: 0 | 1
+  _chunk_local_id: string
+  _parent_local_id: string | null
+  metadata: Record<string, any>
+}
+
+// ============================================================================
+// EXTRACTION
+// ============================================================================
+
+function getExtension(filename: string): string {
+  const match = filename.toLowerCase().match(/\.([a-z0-9]+)$/)
+  return match ? match[1] : ""
+}
+
+function decodeXmlEntities(text: string): string {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, "&")
+}
+
+/**
+ * PDF : texte page par page, titres détectés par heuristique
+ */
+async function extractPdf(bytes: Uint8Array): Promise<ExtractedText> {
+  const pdf = await getDocumentProxy(bytes)
+  const { totalPages, text } = await extractText(pdf, { mergePages: false })
+  return { text: markNumberedHeadings((text as string[]).join("\n\n")), pages: totalPages }
+}
+
+/**
+ * DOCX : paragraphes de word/document.xml, styles Titre / Heading → markdown
+ */
+function extractDocx(bytes: Uint8Array): string {
+  const files = unzipSync(bytes, { filter: (file) => file.name === "word/document.xml" })
+  const xml = files["word/document.xml"]
+  if (!xml) throw new Error("DOCX invalide : word/document.xml introuvable")
+
+  const paragraphs: string[] = []
+  for (const match of strFromU8(xml).matchAll(/<w:p[ >][\s\S]*?<\/w:p>/g)) {
+    const paragraph = match[0]
+    const text = decodeXmlEntities(
+      [...paragraph.matchAll(/<w:t(?: [^>]*)?>([^<]*)<\/w:t>|<w:tab\/>/g)]
+        .map((m) => (m[1] !== undefined ? m[1] : "\t"))
+        .join("")
+    ).trim()
+    if (!text) continue
+
+    const style = paragraph.match(/<w:pStyle w:val="([^"]+)"/)?.[1] || ""
+    const level = style.match(/^(?:Heading|Titre)(\d)$/i)?.[1]
+    paragraphs.push(level ? `${"#".repeat(Math.min(Number(level), 6))} ${text}` : text)
+  }
+
+  return paragraphs.join("\n\n")
+}
+
+/**
+ * XLSX : une section par feuille, lignes au format CSV
+ */
+function extractXlsx(bytes: Uint8Array): string {
+  const workbook = XLSX.read(bytes, { type: "array" })
+  return workbook.SheetNames
+    .map((name) => {
+      const csv = XLSX.utils.sheet_to_csv(workbook.Sheets[name], { blankrows: false })
+      return csv.trim() ? `# ${name}\n\n${csv.trim()}` : ""
+    })
+    .filter(Boolean)
+    .join("\n\n")
+}
+
+/**
+ * Titres numérotés ("1. Objet", "2.3 Conditions") convertis en markdown
+ */
+function markNumberedHeadings(text: string): string {
+  return text
+    .split("\n")
+    .map((line) => {
+      const match = line.trim().match(/^(\d+(?:\.\d+)*)\.?\s+([A-ZÀ-Ý][^.!?]{2,80})$/)
+      if (!match) return line
+      const depth = match[1].split(".").length
+      return `${"#".repeat(Math.min(depth, 6))} ${match[1]} ${match[2]}`
+    })
+    .join("\n")
+}
+
+/**
+ * Extrait le texte d'un fichier (markdown : titres préfixés par #)
+ */
+async function extractFileText(bytes: Uint8Array, filename: string, mimeType: string): Promise<ExtractedText> {
+  const extension = getExtension(filename)
+
+  if (extension === "pdf" || mimeType === "application/pdf") {
+    return extractPdf(bytes)
+  }
+  if (extension === "docx" || mimeType.includes("wordprocessingml")) {
+    return { text: extractDocx(bytes), pages: null }
+  }
+  if (extension === "xlsx" || mimeType.includes("spreadsheetml")) {
+    return { text: extractXlsx(bytes), pages: null }
+  }
+  if (["txt", "md", "markdown", "csv"].includes(extension) || mimeType.startsWith("text/")) {
+    const text = new TextDecoder().decode(bytes)
+    return { text: extension === "txt" ? markNumberedHeadings(text) : text, pages: null }
+  }
+
+  throw new Error(`Format non supporté par le pipeline local : ${extension || mimeType}`)
+}
+
+// ============================================================================
+// DÉCOUPAGE
+// ============================================================================
+
+function normalizeText(text: string): string {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+}
+
+/**
+ * Sections délimitées par les titres markdown (le texte avant le premier
+ * titre forme une section sans titre)
+ */
+function splitSections(markdown: string): Section[] {
+  const sections: Section[] = []
+  let current: Section = { title: null, text: "" }
+
+  for (const line of markdown.split("\n")) {
+    const heading = line.match(/^#{1,6}\s+(.+)$/)
+    if (heading) {
+      if (current.text.trim() || current.title) sections.push(current)
+      current = { title: heading[1].trim(), text: "" }
+    } else {
+      current.text += `${line}\n`
+    }
+  }
+  if (current.text.trim() || current.title) sections.push(current)
+
+  return sections
+    .map((section) => ({ ...section, text: normalizeText(section.text) }))
+    .filter((section) => section.text.length > 0)
+}
+
+/**
+ * Découpe un texte en chunks d'environ CHUNK_SIZE caractères, aux limites de
+ * paragraphes puis de phrases, avec CHUNK_OVERLAP caractères de recouvrement
+ */
+function splitText(text: string): string[] {
+  const pieces = text
+    .split(/\n{2,}/)
+    .flatMap((paragraph) => (
+      paragraph.length <= CHUNK_SIZE
+        ? [paragraph]
+        : paragraph.match(new RegExp(`[^.!?]{1,${CHUNK_SIZE}}[.!?]*`, "g")) || [paragraph]
+    ))
+    .map((piece) => piece.trim())
+    .filter(Boolean)
+
+  const chunks: string[] = []
+  let current = ""
+
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > CHUNK_SIZE) {
+      chunks.push(current)
+      const overlap = current.slice(-CHUNK_OVERLAP)
+      const boundary = overlap.search(/\s/)
+      current = boundary >= 0 ? overlap.slice(boundary + 1) : ""
+    }
+    current = current ? `${current}\n\n${piece}` : piece
+  }
+  if (current) chunks.push(current)
+
+  return chunks
+}
+
+/**
+ * Chunks hiérarchiques : un L0 par section (titre + extrait), ses L1 ensuite
+ * (les parents précèdent toujours leurs enfants, cf. resolve_chunk_hierarchy)
+ */
+function buildDocuments(sections: Section[], payload: IngestPayload): IngestDocument[] {
+  const documentTitle = payload.document_title || payload.filename
+  const base = {
+    source_file_id: payload.source_file_id,
+    org_id: payload.org_id,
+    created_by: payload.user_id,
+    target_apps: payload.target_apps || [],
+    target_projects: payload.target_projects || [],
+    layer: payload.layer,
+    quality_level: payload.metadata?.quality_level || "standard",
+    category_slug: payload.category_slug,
+    document_title: payload.document_title,
+  }
+  const baseMetadata = {
+    ...payload.metadata,
+    filename: payload.filename,
+    filename_clean: payload.filename_clean,
+    document_title: payload.document_title,
+    ingestion_pipeline: "local",
+  }
+
+  const documents: IngestDocument[] = []
+
+  sections.forEach((section, sectionIndex) => {
+    const sectionTitle = section.title || documentTitle
+    const sectionId = `s${sectionIndex}`
+    const excerpt = section.text.length > SECTION_EXCERPT_SIZE
+      ? `${section.text.slice(0, SECTION_EXCERPT_SIZE).replace(/\s+\S*$/, "")}…`
+      : section.text
+
+    documents.push({
+      ...base,
+      content: `${sectionTitle}\n\n${excerpt}`,
+      section_title: sectionTitle,
+      hierarchy_level: 0,
+      _chunk_local_id: sectionId,
+      _parent_local_id: null,
+      metadata: {
+        ...baseMetadata,
+        section_title: sectionTitle,
+        section_index: sectionIndex,
+        enrichment: { hierarchy: { level: 0, parent_local_id: null } },
+      },
+    })
+
+    splitText(section.text).forEach((chunk, chunkIndex) => {
+      if (chunk.length < MIN_CHUNK_LENGTH) return
+
+      documents.push({
+        ...base,
+        content: chunk,
+        section_title: sectionTitle,
+        hierarchy_level: 1,
+        _chunk_local_id: `${sectionId}_c${chunkIndex}`,
+        _parent_local_id: sectionId,
+        metadata: {
+          ...baseMetadata,
+          section_title: sectionTitle,
+          section_index: sectionIndex,
+          chunk_index: chunkIndex,
+          enrichment: { hierarchy: { level: 1, parent_local_id: sectionId } },
+        },
+      })
+    })
+  })
+
+  const total = documents.length
+  documents.forEach((doc, index) => {
+    doc.metadata.chunk_position = index
+    doc.metadata.total_chunks = total
+  })
+
+  return documents
+}
+
+// ============================================================================
+// INGESTION
+// ============================================================================
+
+/**
+ * Envoie les chunks à ingest-documents par lots
+ */
+async function sendToIngestDocuments(documents: IngestDocument[]): Promise<number> {
+  let inserted = 0
+
+  for (let i = 0; i < documents.length; i += INGEST_BATCH_SIZE) {
+    const batch = documents.slice(i, i + INGEST_BATCH_SIZE)
+    const response = await fetch(`${SUPABASE_URL}/functions/v1/ingest-documents`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+      },
+      body: JSON.stringify(batch),
+    })
+
+    const result = await response.json().catch(() => ({}))
+    if (!response.ok || result.success === false) {
+      throw new Error(`ingest-documents (lot ${i / INGEST_BATCH_SIZE + 1}) : ${result.error || response.status}`)
+    }
+
+    inserted += result.inserted?.rag_documents || 0
+  }
+
+  return inserted
+}
+
+async function ingestFile(supabase: SupabaseClient, payload: IngestPayload) {
+  const { error: stageError } = await supabase
+    .schema("sources")
+    .rpc("report_ingestion_stage", { p_file_id: payload.source_file_id, p_stage: "chunking" })
+  if (stageError) log.warn(`Étape chunking non signalée: ${stageError.message}`)
+
+  const { data: blob, error: downloadError } = await supabase.storage
+    .from(payload.storage_bucket)
+    .download(payload.path)
+
+  if (downloadError || !blob) {
+    throw new Error(`Téléchargement storage: ${downloadError?.message || "fichier introuvable"}`)
+  }
+
+  const bytes = new Uint8Array(await blob.arrayBuffer())
+  const { text, pages } = await extractFileText(bytes, payload.filename, payload.metadata?.mime_type || "")
+  const normalized = normalizeText(text)
+  const sections = splitSections(normalized)
+
+  if (sections.length === 0) {
+    throw new Error("Aucun texte extrait du fichier")
+  }
+
+  const documents = buildDocuments(sections, payload)
+  log.info(`${payload.filename}: ${sections.length} section(s), ${documents.length} chunk(s)`)
+
+  // Ré-ingestion (retry) : les chunks d'une tentative précédente sont remplacés
+  const { error: deleteError } = await supabase
+    .schema("rag")
+    .from("documents")
+    .delete()
+    .eq("source_file_id", payload.source_file_id)
+  if (deleteError) log.warn(`Anciens chunks non supprimés: ${deleteError.message}`)
+
+  const inserted = await sendToIngestDocuments(documents)
+
+  return {
+    success: true,
+    pipeline: "local",
+    total_chunks: inserted,
+    total_pages: pages ?? Math.max(1, Math.ceil(normalized.length / CHARS_PER_PAGE)),
+    sections: sections.length,
+    inserted: { rag_documents: inserted },
+  }
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreFlight()
+  }
+
+  if (req.method !== "POST") {
+    return errorResponse("Method not allowed", 405)
+  }
+
+  // Appel interne uniquement (trigger-ingestion, service role)
+  const token = req.headers.get("Authorization")?.replace("Bearer ", "")
+  if (token !== SUPABASE_SERVICE_ROLE_KEY) {
+    return errorResponse("Non autorisé", 401)
+  }
+
+  let payload: IngestPayload
+  try {
+    payload = await req.json()
+  } catch {
+    return errorResponse("Invalid JSON payload", 400)
+  }
+
+  if (!payload.source_file_id || !payload.path || !payload.storage_bucket) {
+    return errorResponse("Missing source_file_id, path or storage_bucket", 400)
+  }
+
+  try {
+    const supabase = createSupabaseClient()
+    return jsonResponse(await ingestFile(supabase, payload))
+  } catch (error) {
+    const message = getErrorMessage(error)
+    log.error(`${payload.filename}: ${message}`)
+    // Contrat du webhook N8N : échec explicite → complete_ingestion_job(false)
+    return jsonResponse({ success: false, pipeline: "local", error: message })
+  }
+})
@@ -0,0 +1,478 @@
+// ╔══════════════════════════════════════════════════════════════════════════════╗
+// ║  INGEST-WEB-PAGE v1.1.0 - Source d'ingestion "Page Web"                      ║
+// ║  Edge Function Supabase                                                      ║
+// ╠══════════════════════════════════════════════════════════════════════════════╣
+// ║  Actions disponibles:                                                        ║
+// ║  - preview: Télécharge une ou plusieurs URLs et extrait le contenu lisible   ║
+// ║             (markdown + hash SHA-256) pour prévisualisation                  ║
+// ║  - recrawl: Re-télécharge les pages web arrivées à échéance, détecte les     ║
+// ║             changements (hash) et relance l'ingestion si besoin              ║
+// ╠══════════════════════════════════════════════════════════════════════════════╣
+// ║  Le markdown renvoyé par preview est uploadé tel quel par le frontend        ║
+// ║  (documentsService.ingestWebPage) : sources.files.content_hash correspond    ║
+// ║  donc au hash calculé ici, ce qui permet la détection de changement.         ║
+// ║  recrawl est appelé par pg_cron (service role) ou par un super_admin.        ║
+// ║  preview est réservé aux org_admin et super_admin (page d'ingestion).        ║
+// ║  Page modifiée : anciens chunks supprimés avant la réingestion.              ║
+// ╚══════════════════════════════════════════════════════════════════════════════╝
+
+import { DOMParser, Element } from "https://deno.land/x/deno_dom@v0.1.45/deno-dom-wasm.ts"
+import {
+  errorResponse,
+  jsonResponse,
+  handleCorsPreFlight,
+  createSupabaseClient,
+  createLogger,
+  getErrorMessage,
+  validateExternalUrl,
+  fetchExternal,
+  sha256Hex,
+  requeueIngestion,
+} from "../_shared/utils.ts"
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!
+
+const MAX_URLS_PER_REQUEST = 10
+const FETCH_TIMEOUT_MS = 15000
+const MAX_HTML_BYTES = 5 * 1024 * 1024
+const MIN_TEXT_LENGTH = 200
+const USER_AGENT = "BaikalBot/1.0 (+ingestion RAG)"
+
+// Éléments sans contenu éditorial
+const STRIPPED_SELECTORS = [
+  "script", "style", "noscript", "template", "iframe", "svg", "canvas",
+  "nav", "header", "footer", "aside", "form", "button",
+  "[role=navigation]", "[role=banner]", "[role=contentinfo]", "[aria-hidden=true]",
+]
+
+// Conteneurs principaux, par ordre de préférence
+const MAIN_SELECTORS = ["article", "main", "[role=main]", "#content", ".content"]
+
+const BLOCK_TAGS = new Set([
+  "P", "DIV", "SECTION", "ARTICLE", "MAIN", "BLOCKQUOTE", "PRE", "TABLE", "TR",
+  "UL", "OL", "DL", "DT", "DD", "FIGURE", "FIGCAPTION",
+])
+
+const log = createLogger("ingest-web-page")
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+interface WebPageRequest {
+  action: "preview" | "recrawl"
+  // preview
+  urls?: string[]
+  // recrawl (optionnel : forcer certains fichiers, sinon toutes les pages échues)
+  file_ids?: string[]
+}
+
+interface ExtractedPage {
+  url: string
+  final_url: string | null
+  title: string | null
+  markdown: string | null
+  content_hash: string | null
+  word_count: number
+  error: string | null
+}
+
+interface RecrawlResult {
+  file_id: string
+  url: string
+  status: "unchanged" | "changed" | "failed"
+  error?: string
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function normalizeWhitespace(text: string): string {
+  return text.replace(/\s+/g, " ").trim()
+}
+
+/**
+ * Convertit un nœud DOM en markdown simple (titres, listes, paragraphes)
+ */
+function toMarkdown(node: Element): string {
+  const lines: string[] = []
+  let inline = ""
+
+  const flush = () => {
+    const text = normalizeWhitespace(inline)
+    if (text) lines.push(text)
+    inline = ""
+  }
+
+  const walk = (current: Element) => {
+    for (const child of Array.from(current.childNodes)) {
+      if (child.nodeType === 3) {
+        inline += child.textContent
+        continue
+      }
+      if (child.nodeType !== 1) continue
+
+      const el = child as Element
+      const tag = el.tagName
+
+      if (/^H[1-6]$/.test(tag)) {
+        flush()
+        const text = normalizeWhitespace(el.textContent)
+        if (text) lines.push(`${"#".repeat(Number(tag[1]))} ${text}`)
+      } else if (tag === "LI") {
+        flush()
+        const text = normalizeWhitespace(el.textContent)
+        if (text) lines.push(`- ${text}`)
+      } else if (tag === "BR") {
+        flush()
+      } else if (tag === "TD" || tag === "TH") {
+        inline += ` ${el.textContent} |`
+      } else if (BLOCK_TAGS.has(tag)) {
+        flush()
+        walk(el)
+        flush()
+      } else {
+        walk(el)
+      }
+    }
+  }
+
+  walk(node)
+  flush()
+
+  // Supprime les doublons consécutifs (menus répétés, etc.)
+  return lines.filter((line, i) => line !== lines[i - 1]).join("\n\n")
+}
+
+/**
+ * Lit le corps d'une réponse sans dépasser maxBytes (Content-Length annoncé
+ * puis octets reçus : la lecture est interrompue dès la limite atteinte)
+ */
+async function readLimitedText(response: Response, maxBytes: number): Promise<string> {
+  if (Number(response.headers.get("content-length") || 0) > maxBytes) {
+    await response.body?.cancel()
+    throw new Error("Page trop volumineuse")
+  }
+  if (!response.body) return ""
+
+  const reader = response.body.getReader()
+  const chunks: Uint8Array[] = []
+  let received = 0
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+    received += value.byteLength
+    if (received > maxBytes) {
+      await reader.cancel()
+      throw new Error("Page trop volumineuse")
+    }
+    chunks.push(value)
+  }
+
+  const bytes = new Uint8Array(received)
+  let offset = 0
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset)
+    offset += chunk.byteLength
+  }
+  return new TextDecoder().decode(bytes)
+}
+
+/**
+ * Télécharge une page et extrait son contenu lisible
+ */
+async function extractPage(rawUrl: string): Promise<ExtractedPage> {
+  const result: ExtractedPage = {
+    url: rawUrl,
+    final_url: null,
+    title: null,
+    markdown: null,
+    content_hash: null,
+    word_count: 0,
+    error: null,
+  }
+
+  try {
+    result.url = validateExternalUrl(rawUrl).toString()
+
+    // Redirections validées une à une (URL et IP résolues)
+    const { response, url: finalUrl } = await fetchExternal(result.url, {
+      headers: { "User-Agent": USER_AGENT, "Accept": "text/html,application/xhtml+xml" },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    })
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+
+    const contentType = response.headers.get("content-type") || ""
+    if (!contentType.includes("html")) {
+      throw new Error(`Type de contenu non supporté (${contentType || "inconnu"})`)
+    }
+
+    result.final_url = finalUrl.toString()
+
+    const html = await readLimitedText(response, MAX_HTML_BYTES)
+
+    const document = new DOMParser().parseFromString(html, "text/html")
+    if (!document) {
+      throw new Error("HTML illisible")
+    }
+
+    const title = normalizeWhitespace(
+      document.querySelector("meta[property='og:title']")?.getAttribute("content") ||
+      document.querySelector("title")?.textContent ||
+      document.querySelector("h1")?.textContent ||
+      ""
+    ) || result.final_url
+
+    for (const selector of STRIPPED_SELECTORS) {
+      document.querySelectorAll(selector).forEach((node) => (node as Element).remove())
+    }
+
+    const container = MAIN_SELECTORS
+      .map((selector) => document.querySelector(selector))
+      .find((el) => el && normalizeWhitespace(el.textContent).length >= MIN_TEXT_LENGTH)
+      || document.body
+
+    if (!container) {
+      throw new Error("Aucun contenu trouvé")
+    }
+
+    const body = toMarkdown(container as Element)
+    if (body.length < MIN_TEXT_LENGTH) {
+      throw new Error("Contenu lisible insuffisant (page dynamique ou vide ?)")
+    }
+
+    // Format stable : ce markdown est le contenu exact du fichier ingéré
+    const markdown = `# ${title}\n\nSource : ${result.final_url}\n\n${body}\n`
+
+    result.title = title
+    result.markdown = markdown
+    result.content_hash = await sha256Hex(markdown)
+    result.word_count = body.split(/\s+/).filter(Boolean).length
+  } catch (error) {
+    result.error = error instanceof DOMException && error.name === "TimeoutError"
+      ? "Délai dépassé"
+      : getErrorMessage(error)
+  }
+
+  return result
+}
+
+// ============================================================================
+// AUTHENTIFICATION
+// ============================================================================
+
+/**
+ * Retourne le rôle de l'appelant : 'service' (pg_cron), app_role du profil, ou null
+ */
+async function getCallerRole(
+  supabase: ReturnType<typeof createSupabaseClient>,
+  req: Request
+): Promise<string | null> {
+  const token = req.headers.get("Authorization")?.replace("Bearer ", "")
+  if (!token) return null
+  if (token === SUPABASE_SERVICE_ROLE_KEY) return "service"
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .schema("core")
+    .from("profiles")
+    .select("app_role")
+    .eq("id", user.id)
+    .single()
+
+  return profile?.app_role || "user"
+}
+
+// ============================================================================
+// RECRAWL
+// ============================================================================
+
+async function recrawlFile(
+  supabase: ReturnType<typeof createSupabaseClient>,
+  file: Record<string, any>
+): Promise<RecrawlResult> {
+  const metadata = file.metadata || {}
+  const url = metadata.source_url as string
+  const now = new Date().toISOString()
+
+  const page = await extractPage(url)
+
+  if (page.error || !page.markdown) {
+    await supabase
+      .schema("sources")
+      .from("files")
+      .update({ metadata: { ...metadata, last_crawled_at: now, last_crawl_error: page.error } })
+      .eq("id", file.id)
+
+    return { file_id: file.id, url, status: "failed", error: page.error || "Contenu vide" }
+  }
+
+  if (page.content_hash === file.content_hash) {
+    await supabase
+      .schema("sources")
+      .from("files")
+      .update({ metadata: { ...metadata, last_crawled_at: now, last_crawl_error: null } })
+      .eq("id", file.id)
+
+    return { file_id: file.id, url, status: "unchanged" }
+  }
+
+  // Contenu modifié : remplacer le fichier stocké puis réingérer (les chunks
+  // de l'ancien contenu sont supprimés par requeueIngestion)
+  const content = new TextEncoder().encode(page.markdown)
+  const { error: uploadError } = await supabase.storage
+    .from(file.storage_bucket)
+    .upload(file.storage_path, content, { contentType: "text/markdown", upsert: true })
+
+  if (uploadError) {
+    throw new Error(`Upload storage: ${uploadError.message}`)
+  }
+
+  const { error: updateError } = await supabase
+    .schema("sources")
+    .from("files")
+    .update({
+      content_hash: page.content_hash,
+      file_size: content.byteLength,
+      processing_status: "pending",
+      processing_error: null,
+      metadata: {
+        ...metadata,
+        final_url: page.final_url,
+        last_crawled_at: now,
+        last_changed_at: now,
+        last_crawl_error: null,
+      },
+    })
+    .eq("id", file.id)
+
+  if (updateError) {
+    throw new Error(`Mise à jour fichier: ${updateError.message}`)
+  }
+
+  await requeueIngestion(supabase, file.id)
+
+  return { file_id: file.id, url, status: "changed" }
+}
+
+/**
+ * Sélectionne les pages web dont la date de re-crawl est échue
+ */
+async function recrawlDue(
+  supabase: ReturnType<typeof createSupabaseClient>,
+  fileIds: string[] | undefined
+): Promise<RecrawlResult[]> {
+  let query = supabase
+    .schema("sources")
+    .from("files")
+    .select("*")
+    .eq("metadata->>source_type", "web")
+
+  if (fileIds?.length) {
+    query = query.in("id", fileIds)
+  } else {
+    query = query.not("metadata->>recrawl_interval_days", "is", null)
+  }
+
+  const { data: files, error } = await query
+  if (error) throw error
+
+  const now = Date.now()
+  const due = (files || []).filter((file) => {
+    if (fileIds?.length) return true
+    const interval = Number(file.metadata?.recrawl_interval_days)
+    if (!interval) return false
+    const last = Date.parse(file.metadata?.last_crawled_at || file.created_at)
+    return now - last >= interval * 24 * 60 * 60 * 1000
+  })
+
+  log.info(`${due.length} page(s) à re-crawler sur ${files?.length || 0}`)
+
+  const results: RecrawlResult[] = []
+  for (const file of due) {
+    try {
+      results.push(await recrawlFile(supabase, file))
+    } catch (err) {
+      log.error(`Recrawl failed for ${file.id}:`, err)
+      results.push({ file_id: file.id, url: file.metadata?.source_url, status: "failed", error: getErrorMessage(err) })
+    }
+  }
+
+  return results
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreFlight()
+  }
+
+  if (req.method !== "POST") {
+    return errorResponse("Method not allowed", 405)
+  }
+
+  try {
+    const supabase = createSupabaseClient()
+    const role = await getCallerRole(supabase, req)
+    if (!role) {
+      return errorResponse("Non authentifié", 401)
+    }
+
+    const body: WebPageRequest = await req.json()
+
+    switch (body.action) {
+      case "preview": {
+        if (role !== "org_admin" && role !== "super_admin") {
+          return errorResponse("Accès refusé", 403)
+        }
+
+        const urls = [...new Set((body.urls || []).map((u) => u.trim()).filter(Boolean))]
+        if (urls.length === 0) {
+          return errorResponse("Aucune URL fournie")
+        }
+        if (urls.length > MAX_URLS_PER_REQUEST) {
+          return errorResponse(`Maximum ${MAX_URLS_PER_REQUEST} URLs par requête`)
+        }
+
+        log.info(`preview: ${urls.length} URL(s)`)
+        const pages = await Promise.all(urls.map(extractPage))
+        return jsonResponse({ success: true, pages })
+      }
+
+      case "recrawl": {
+        if (role !== "service" && role !== "super_admin") {
+          return errorResponse("Accès refusé", 403)
+        }
+
+        const results = await recrawlDue(supabase, body.file_ids)
+        return jsonResponse({
+          success: true,
+          results,
+          changed: results.filter((r) => r.status === "changed").length,
+          unchanged: results.filter((r) => r.status === "unchanged").length,
+          failed: results.filter((r) => r.status === "failed").length,
+        })
+      }
+
+      default:
+        return errorResponse(`Action inconnue: ${body.action}`)
+    }
+  } catch (error) {
+    log.error("Error:", error)
+    return errorResponse(getErrorMessage(error), 500)
+  }
+})
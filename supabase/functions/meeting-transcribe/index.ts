@@ -1,5 +1,6 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { createClient } from "jsr:@supabase/supabase-js@2";
+import { hasCredits, debitCredits, checkMonthlyQuota, CREDITS_EXHAUSTED_MESSAGE } from "../_shared/utils.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -12,11 +13,12 @@ interface RequestBody {
   audio_url?: string;
   file_name?: string;
   project_id: string;
-  org_id: string;
+  // Service role calls only: user calls are billed to the JWT user's org
+  org_id?: string;
   meeting_date?: string;
   meeting_title?: string;
   duration_minutes?: number;
-  created_by: string;
+  created_by?: string;
   // Enrichissement depuis le frontend
   participants_hint?: string;
   agenda?: string;
@@ -92,17 +94,17 @@ async function fetchAudioFromUrl(url: string): Promise<{ blob: Blob; format: str
   return { blob, format };
 }
 
-// Transcribe audio using OpenAI Whisper
+// Transcribe audio using OpenAI Whisper (verbose_json: duration for billing)
 async function transcribeWithWhisper(
   audioBlob: Blob,
   format: string,
   openaiApiKey: string
-): Promise<string> {
+): Promise<{ transcript: string; durationSeconds: number }> {
   const formData = new FormData();
   formData.append("file", audioBlob, `audio.${format}`);
   formData.append("model", "whisper-1");
   formData.append("language", "fr");
-  formData.append("response_format", "text");
+  formData.append("response_format", "verbose_json");
 
   const response = await fetch("https://api.openai.com/v1/audio/transcriptions", {
     method: "POST",
@@ -117,8 +119,11 @@ async function transcribeWithWhisper(
     throw new Error(`Whisper API error: ${response.status} - ${error}`);
   }
 
-  const transcript = await response.text();
-  return transcript.trim();
+  const result = await response.json();
+  return {
+    transcript: (result.text || "").trim(),
+    durationSeconds: result.duration || 0,
+  };
 }
 
 // Upload transcript to bucket
@@ -207,6 +212,33 @@ async function callExtractMeetingContent(
   }
 }
 
+// Resolve the billed organization and author from the caller:
+// user JWT → its own profile; service role key → body values (internal calls)
+async function resolveCaller(
+  supabase: ReturnType<typeof createClient>,
+  req: Request,
+  serviceKey: string,
+  body: RequestBody
+): Promise<{ org_id: string | null; created_by: string | null } | null> {
+  const token = req.headers.get("Authorization")?.replace("Bearer ", "");
+  if (!token) return null;
+  if (token === serviceKey) {
+    return { org_id: body.org_id || null, created_by: body.created_by || null };
+  }
+
+  const { data: { user } } = await supabase.auth.getUser(token);
+  if (!user) return null;
+
+  const { data: profile } = await supabase
+    .schema("core")
+    .from("profiles")
+    .select("org_id")
+    .eq("id", user.id)
+    .maybeSingle();
+
+  return { org_id: profile?.org_id || null, created_by: user.id };
+}
+
 Deno.serve(async (req) => {
   // Handle CORS preflight
   if (req.method === "OPTIONS") {
@@ -243,15 +275,23 @@ Deno.serve(async (req) => {
       audio_url,
       file_name,
       project_id,
-      org_id,
       meeting_date,
       meeting_title,
       duration_minutes,
-      created_by,
       participants_hint,
       agenda,
     } = body;
 
+    // org_id / created_by from the caller, never trusted from a user's body
+    const caller = await resolveCaller(supabase, req, supabaseServiceKey, body);
+    if (!caller) {
+      return new Response(
+        JSON.stringify({ error: "Unauthorized" }),
+        { status: 401, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+    const { org_id, created_by } = caller;
+
     // Validate required fields
     if (!project_id || !org_id || !created_by) {
       return new Response(
@@ -263,6 +303,22 @@ Deno.serve(async (req) => {
       );
     }
 
+    // The project must belong to the billed organization
+    const { data: project } = await supabase
+      .schema("core")
+      .from("projects")
+      .select("id")
+      .eq("id", project_id)
+      .eq("org_id", org_id)
+      .maybeSingle();
+
+    if (!project) {
+      return new Response(
+        JSON.stringify({ error: "Project not found in your organization" }),
+        { status: 403, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
     if (!audio_base64 && !audio_url) {
       return new Response(
         JSON.stringify({
@@ -273,6 +329,23 @@ Deno.serve(async (req) => {
       );
     }
 
+    // Out of credits: reject before calling Whisper
+    if (!(await hasCredits(supabase, org_id))) {
+      return new Response(
+        JSON.stringify({ success: false, error: CREDITS_EXHAUSTED_MESSAGE }),
+        { status: 402, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    // Monthly transcription minutes of the plan (declared duration, else 1 minute)
+    const quotaError = await checkMonthlyQuota(supabase, org_id, "transcription_minutes", duration_minutes || 1);
+    if (quotaError) {
+      return new Response(
+        JSON.stringify({ success: false, error: quotaError }),
+        { status: 429, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
     console.log(`[meeting-transcribe] Starting transcription for project ${project_id}`);
     if (participants_hint) {
       console.log(`[meeting-transcribe] Participants hint: ${participants_hint}`);
@@ -307,11 +380,20 @@ Deno.serve(async (req) => {
     // Step 2: Transcribe with Whisper
     console.log("[meeting-transcribe] Calling Whisper API...");
     const whisperStartTime = Date.now();
-    const transcript = await transcribeWithWhisper(audioBlob, audioFormat, openaiApiKey);
+    const { transcript, durationSeconds } = await transcribeWithWhisper(audioBlob, audioFormat, openaiApiKey);
     const whisperDuration = Date.now() - whisperStartTime;
     console.log(`[meeting-transcribe] Whisper completed in ${whisperDuration}ms`);
     console.log(`[meeting-transcribe] Transcript length: ${transcript.length} chars`);
 
+    // Billing: transcribed minutes (Whisper duration, else declared duration)
+    const billedMinutes = durationSeconds > 0 ? Math.ceil(durationSeconds / 60) : (duration_minutes || 1);
+    await debitCredits(supabase, org_id, "transcription_minute", billedMinutes, {
+      userId: created_by,
+      referenceType: "project",
+      referenceId: project_id,
+      description: meeting_title || file_name || "Réunion",
+    });
+
     if (!transcript || transcript.length < 10) {
       return new Response(
         JSON.stringify({
@@ -0,0 +1,918 @@
+// ╔══════════════════════════════════════════════════════════════════════════════╗
+// ║  RUN-CONNECTOR v1.1.0 - Source d'ingestion "Connecteur API"                  ║
+// ║  Edge Function Supabase                                                      ║
+// ╠══════════════════════════════════════════════════════════════════════════════╣
+// ║  Actions disponibles:                                                        ║
+// ║  - run:     Exécute un connecteur (bouton "Exécuter" de la console)          ║
+// ║  - run_due: Exécute les connecteurs planifiés arrivés à échéance (pg_cron)   ║
+// ╠══════════════════════════════════════════════════════════════════════════════╣
+// ║  Adaptateurs (ADAPTERS) :                                                    ║
+// ║  - rest_json: endpoint REST/JSON paginé (page, offset, curseur, lien next)   ║
+// ║  - webdav:    synchronisation d'un dossier WebDAV / SharePoint (PROPFIND)    ║
+// ╠══════════════════════════════════════════════════════════════════════════════╣
+// ║  Chaque exécution est tracée dans sources.connector_runs. Les éléments sont  ║
+// ║  rapprochés par metadata.external_id : inchangés (version ou hash), mis à    ║
+// ║  jour (storage remplacé + job relancé) ou créés (même flux que l'upload).    ║
+// ║  Le traitement se poursuit en tâche de fond (EdgeRuntime.waitUntil).         ║
+// ║  Élément mis à jour : anciens chunks supprimés avant la réingestion.         ║
+// ╚══════════════════════════════════════════════════════════════════════════════╝
+
+import {
+  errorResponse,
+  jsonResponse,
+  handleCorsPreFlight,
+  createSupabaseClient,
+  createLogger,
+  getErrorMessage,
+  validateExternalUrl,
+  fetchExternal,
+  sha256Hex,
+  triggerIngestion,
+  requeueIngestion,
+} from "../_shared/utils.ts"
+
+declare const EdgeRuntime: { waitUntil(promise: Promise<unknown>): void }
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!
+
+const STORAGE_BUCKET = "premium-sources"
+const FETCH_TIMEOUT_MS = 30000
+const MAX_FILE_BYTES = 20 * 1024 * 1024
+const MAX_ITEMS_PER_RUN = 200
+const MAX_ERROR_DETAILS = 100
+const DEFAULT_MAX_PAGES = 50
+const STALE_RUN_MS = 60 * 60 * 1000
+const USER_AGENT = "BaikalBot/1.0 (+ingestion RAG)"
+
+// Intervalle minimal entre deux exécutions planifiées
+const SCHEDULE_INTERVALS_MS: Record<string, number> = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+}
+
+// Extensions ingérables (cf. ACCEPTED_EXTENSIONS côté console)
+const MIME_BY_EXTENSION: Record<string, string> = {
+  pdf: "application/pdf",
+  txt: "text/plain",
+  md: "text/markdown",
+  csv: "text/csv",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xls: "application/vnd.ms-excel",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+}
+
+const log = createLogger("run-connector")
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+type SupabaseClient = ReturnType<typeof createSupabaseClient>
+
+interface ConnectorRequest {
+  action: "run" | "run_due"
+  connector_id?: string
+}
+
+interface Connector {
+  id: string
+  name: string
+  connector_type: string
+  config: Record<string, any>
+  credentials_ref: string | null
+  schedule: string
+  layer: "app" | "org" | "project"
+  app_id: string
+  org_id: string | null
+  project_ids: string[]
+  metadata: Record<string, any>
+  enabled: boolean
+  last_run_at: string | null
+  created_by: string | null
+}
+
+/** Élément exposé par un adaptateur (contenu chargé à la demande) */
+interface ConnectorItem {
+  external_id: string
+  title: string
+  filename: string
+  mime_type: string
+  // etag / date de modification : évite le téléchargement si inchangé
+  version: string | null
+  source_url: string | null
+  load: () => Promise<Uint8Array>
+}
+
+interface ConnectorAdapter {
+  /** Retourne un message d'erreur si la configuration est incomplète */
+  validate: (config: Record<string, any>) => string | null
+  listItems: (config: Record<string, any>, secret: string | null) => AsyncGenerator<ConnectorItem>
+}
+
+interface RunStats {
+  items_found: number
+  items_created: number
+  items_updated: number
+  items_unchanged: number
+  items_failed: number
+  error_details: { external_id: string; title: string; error: string }[]
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Lit une valeur par chemin pointé ("data.items", "meta.next")
+ */
+function getPath(source: unknown, path: string | undefined): any {
+  if (!path) return source
+  return path.split(".").reduce<any>((acc, key) => (acc == null ? undefined : acc[key]), source)
+}
+
+function slugify(text: string): string {
+  return text
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "")
+    .substring(0, 100)
+}
+
+function getExtension(filename: string): string {
+  const match = filename.toLowerCase().match(/\.([a-z0-9]+)$/)
+  return match ? match[1] : ""
+}
+
+/**
+ * Headers d'authentification selon config.auth_type et le secret Vault
+ */
+function buildAuthHeaders(config: Record<string, any>, secret: string | null): Record<string, string> {
+  const authType = config.auth_type || "none"
+  if (authType === "none") return {}
+  if (!secret) {
+    throw new Error("Secret d'authentification introuvable (credentials_ref)")
+  }
+
+  switch (authType) {
+    case "bearer":
+      return { Authorization: `Bearer ${secret}` }
+    case "basic":
+      // Secret au format "utilisateur:mot_de_passe"
+      return { Authorization: `Basic ${btoa(secret)}` }
+    case "header":
+      if (!config.auth_header) throw new Error("auth_header requis pour auth_type 'header'")
+      return { [config.auth_header]: secret }
+    default:
+      throw new Error(`auth_type inconnu: ${authType}`)
+  }
+}
+
+/**
+ * Requête vers la source (redirections et IP validées à chaque saut, voir
+ * fetchExternal ; les headers d'authentification ne suivent pas une
+ * redirection vers un autre domaine)
+ */
+async function fetchSource(url: URL, init: RequestInit = {}): Promise<Response> {
+  const { response } = await fetchExternal(url.toString(), {
+    ...init,
+    headers: { "User-Agent": USER_AGENT, ...(init.headers || {}) },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  })
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} sur ${url.pathname}`)
+  }
+
+  return response
+}
+
+async function downloadBytes(url: URL, headers: Record<string, string>): Promise<Uint8Array> {
+  const response = await fetchSource(url, { headers })
+  const declaredSize = Number(response.headers.get("content-length"))
+  if (declaredSize > MAX_FILE_BYTES) {
+    throw new Error("Fichier trop volumineux")
+  }
+
+  const bytes = new Uint8Array(await response.arrayBuffer())
+  if (bytes.byteLength > MAX_FILE_BYTES) {
+    throw new Error("Fichier trop volumineux")
+  }
+  return bytes
+}
+
+// ============================================================================
+// ADAPTATEUR REST / JSON
+// ============================================================================
+
+/**
+ * Configuration (sources.connectors.config) :
+ * - url, items_path, id_field, title_field, updated_field
+ * - content_field (texte ingéré en markdown) OU document_url_field (fichier)
+ * - pagination_type: none | page | offset | cursor | next_url
+ *   page_param, page_size_param, page_size, cursor_param, cursor_path,
+ *   next_url_path, max_pages
+ * - auth_type: none | bearer | basic | header, auth_header
+ */
+const restJsonAdapter: ConnectorAdapter = {
+  validate(config) {
+    if (!config.url) return "URL de l'endpoint manquante"
+    if (!config.id_field) return "Champ identifiant (id_field) manquant"
+    if (!config.content_field && !config.document_url_field) {
+      return "content_field ou document_url_field requis"
+    }
+    const paginationType = config.pagination_type || "none"
+    if (paginationType === "cursor" && !config.cursor_path) return "cursor_path requis"
+    if (paginationType === "next_url" && !config.next_url_path) return "next_url_path requis"
+    return null
+  },
+
+  async *listItems(config, secret) {
+    const headers = { ...buildAuthHeaders(config, secret), Accept: "application/json" }
+    const paginationType = config.pagination_type || "none"
+    const pageSize = Number(config.page_size) || null
+    const maxPages = Number(config.max_pages) || DEFAULT_MAX_PAGES
+
+    let url = validateExternalUrl(config.url)
+    let offset = 0
+
+    for (let pageIndex = 0; pageIndex < maxPages; pageIndex++) {
+      if (paginationType === "page") {
+        url.searchParams.set(config.page_param || "page", String(pageIndex + 1))
+      } else if (paginationType === "offset") {
+        url.searchParams.set(config.page_param || "offset", String(offset))
+      }
+      if (pageSize && config.page_size_param && paginationType !== "next_url") {
+        url.searchParams.set(config.page_size_param, String(pageSize))
+      }
+
+      const response = await fetchSource(url, { headers })
+      const json = await response.json()
+      const records = getPath(json, config.items_path)
+
+      if (!Array.isArray(records)) {
+        throw new Error(`items_path "${config.items_path || "(racine)"}" ne désigne pas un tableau`)
+      }
+
+      for (const record of records) {
+        const externalId = getPath(record, config.id_field)
+        if (externalId == null || externalId === "") continue
+
+        const title = String(getPath(record, config.title_field || "title") || externalId)
+        const updated = config.updated_field ? getPath(record, config.updated_field) : null
+        const documentUrl = config.document_url_field ? getPath(record, config.document_url_field) : null
+
+        if (documentUrl) {
+          const fileUrl = new URL(String(documentUrl), url)
+          const rawName = decodeURIComponent(fileUrl.pathname.split("/").pop() || "")
+          const extension = getExtension(rawName)
+          yield {
+            external_id: String(externalId),
+            title,
+            filename: extension ? rawName : `${slugify(title) || externalId}.pdf`,
+            mime_type: MIME_BY_EXTENSION[extension] || "application/pdf",
+            version: updated ? String(updated) : null,
+            source_url: fileUrl.toString(),
+            load: () => downloadBytes(fileUrl, headers),
+          }
+        } else {
+          const content = getPath(record, config.content_field)
+          if (content == null || content === "") continue
+          const body = typeof content === "string" ? content : JSON.stringify(content, null, 2)
+          const markdown = `# ${title}\n\nSource : ${config.url}\n\n${body}\n`
+          yield {
+            external_id: String(externalId),
+            title,
+            filename: `${slugify(title) || externalId}.md`,
+            mime_type: "text/markdown",
+            version: updated ? String(updated) : null,
+            source_url: null,
+            load: () => Promise.resolve(new TextEncoder().encode(markdown)),
+          }
+        }
+      }
+
+      if (records.length === 0 || paginationType === "none") return
+
+      if (paginationType === "page" || paginationType === "offset") {
+        if (pageSize && records.length < pageSize) return
+        offset += records.length
+      } else if (paginationType === "cursor") {
+        const cursor = getPath(json, config.cursor_path)
+        if (!cursor) return
+        url.searchParams.set(config.cursor_param || "cursor", String(cursor))
+      } else if (paginationType === "next_url") {
+        const next = getPath(json, config.next_url_path)
+        if (!next) return
+        url = validateExternalUrl(new URL(String(next), url).toString())
+      }
+    }
+
+    log.warn(`max_pages (${maxPages}) atteint pour ${config.url}`)
+  },
+}
+
+// ============================================================================
+// ADAPTATEUR WEBDAV / SHAREPOINT
+// ============================================================================
+
+interface DavEntry {
+  url: URL
+  is_collection: boolean
+  etag: string | null
+  last_modified: string | null
+  content_type: string | null
+  size: number
+}
+
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:resourcetype/><d:getetag/><d:getlastmodified/><d:getcontenttype/><d:getcontentlength/>
+  </d:prop>
+</d:propfind>`
+
+function decodeXml(text: string): string {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+}
+
+/**
+ * Parse une réponse multistatus (préfixe d'espace de noms quelconque : d:, D:, aucun)
+ */
+function parseMultistatus(xml: string, baseUrl: URL): DavEntry[] {
+  const blocks = xml.match(/<(?:[\w-]+:)?response\b[\s\S]*?<\/(?:[\w-]+:)?response>/gi) || []
+
+  return blocks.map((block) => {
+    const prop = (name: string): string | null => {
+      const match = block.match(new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, "i"))
+      return match ? decodeXml(match[1].trim()) : null
+    }
+
+    return {
+      url: new URL(prop("href") || "", baseUrl),
+      is_collection: /<(?:[\w-]+:)?collection\b/i.test(block),
+      etag: prop("getetag"),
+      last_modified: prop("getlastmodified"),
+      content_type: prop("getcontenttype"),
+      size: Number(prop("getcontentlength")) || 0,
+    }
+  })
+}
+
+/**
+ * Configuration : url (dossier), recursive, extensions ("pdf,docx"), auth_type
+ */
+const webdavAdapter: ConnectorAdapter = {
+  validate(config) {
+    if (!config.url) return "URL du dossier manquante"
+    return null
+  },
+
+  async *listItems(config, secret) {
+    const headers = buildAuthHeaders(config, secret)
+    const root = validateExternalUrl(config.url.endsWith("/") ? config.url : `${config.url}/`)
+    const extensions = String(config.extensions || Object.keys(MIME_BY_EXTENSION).join(","))
+      .split(",")
+      .map((ext) => ext.trim().replace(/^\./, "").toLowerCase())
+      .filter(Boolean)
+
+    const folders: URL[] = [root]
+    const visited = new Set<string>()
+
+    while (folders.length > 0) {
+      const folder = folders.shift()!
+      if (visited.has(folder.pathname)) continue
+      visited.add(folder.pathname)
+
+      const response = await fetchSource(folder, {
+        method: "PROPFIND",
+        headers: { ...headers, Depth: "1", "Content-Type": "application/xml; charset=utf-8" },
+        body: PROPFIND_BODY,
+      })
+      const entries = parseMultistatus(await response.text(), folder)
+
+      for (const entry of entries) {
+        // Ignorer le dossier lui-même et tout ce qui sort du serveur configuré
+        if (entry.url.origin !== root.origin || !entry.url.pathname.startsWith(root.pathname)) continue
+        if (entry.url.pathname.replace(/\/$/, "") === folder.pathname.replace(/\/$/, "")) continue
+
+        if (entry.is_collection) {
+          if (config.recursive) folders.push(entry.url)
+          continue
+        }
+
+        const filename = decodeURIComponent(entry.url.pathname.split("/").pop() || "")
+        const extension = getExtension(filename)
+        if (!extensions.includes(extension) || !MIME_BY_EXTENSION[extension]) continue
+        if (entry.size > MAX_FILE_BYTES) {
+          log.warn(`Fichier ignoré (taille): ${entry.url.pathname}`)
+          continue
+        }
+
+        yield {
+          external_id: entry.url.pathname,
+          title: filename.replace(/\.[^/.]+$/, ""),
+          filename,
+          mime_type: MIME_BY_EXTENSION[extension],
+          version: entry.etag || entry.last_modified,
+          source_url: entry.url.toString(),
+          load: () => downloadBytes(entry.url, headers),
+        }
+      }
+    }
+  },
+}
+
+// ============================================================================
+// REGISTRE DES ADAPTATEURS
+// ============================================================================
+
+const ADAPTERS: Record<string, ConnectorAdapter> = {
+  rest_json: restJsonAdapter,
+  webdav: webdavAdapter,
+}
+
+// ============================================================================
+// INGESTION
+// ============================================================================
+
+/**
+ * Path storage structuré (cf. _buildStoragePath dans documents.service.js)
+ */
+function buildStoragePath(connector: Connector, filename: string): string {
+  const cleanFilename = filename.replace(/[^a-zA-Z0-9.-]/g, "_")
+  const timestamp = Date.now()
+
+  switch (connector.layer) {
+    case "app":
+      return `app/${connector.app_id}/${timestamp}_${cleanFilename}`
+    case "project":
+      return `project/${connector.org_id}/${connector.project_ids[0]}/${timestamp}_${cleanFilename}`
+    default:
+      return `org/${connector.org_id}/${timestamp}_${cleanFilename}`
+  }
+}
+
+async function createFile(
+  supabase: SupabaseClient,
+  connector: Connector,
+  item: ConnectorItem,
+  content: Uint8Array,
+  contentHash: string,
+  now: string
+): Promise<void> {
+  const storagePath = buildStoragePath(connector, item.filename)
+  const { error: uploadError } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .upload(storagePath, content, { contentType: item.mime_type, upsert: false })
+
+  if (uploadError) {
+    throw new Error(`Upload storage: ${uploadError.message}`)
+  }
+
+  const extension = getExtension(item.filename)
+  const category = connector.metadata?.category || null
+  const projectIds = connector.layer === "project" ? connector.project_ids : []
+
+  const { data: file, error: fileError } = await supabase
+    .schema("sources")
+    .from("files")
+    .insert({
+      original_filename: item.filename,
+      mime_type: item.mime_type,
+      file_size: content.byteLength,
+      content_hash: contentHash,
+      storage_path: storagePath,
+      storage_bucket: STORAGE_BUCKET,
+      layer: connector.layer,
+      app_id: connector.app_id,
+      org_id: connector.org_id,
+      project_id: projectIds[0] || null,
+      created_by: connector.created_by,
+      processing_status: "pending",
+      metadata: {
+        title: item.title,
+        category,
+        document_title: item.title,
+        category_slug: category,
+        filename_clean: `${slugify(item.title)}${extension ? `.${extension}` : ""}`,
+        target_project_ids: projectIds.length > 0 ? projectIds : undefined,
+        quality_level: "premium",
+        source_type: "connector",
+        connector_id: connector.id,
+        connector_type: connector.connector_type,
+        external_id: item.external_id,
+        external_version: item.version,
+        source_url: item.source_url,
+        last_synced_at: now,
+      },
+    })
+    .select()
+    .single()
+
+  if (fileError) {
+    throw new Error(`Création fichier: ${fileError.message}`)
+  }
+
+  const { data: job, error: jobError } = await supabase
+    .schema("sources")
+    .from("ingestion_queue")
+    .insert({ file_id: file.id, status: "queued", attempts: 0, max_attempts: 3 })
+    .select("id")
+    .single()
+
+  if (jobError) {
+    // Le fichier est créé : le job pourra être relancé via /admin/ingestion
+    log.error(`Création job échouée pour ${file.id}:`, jobError)
+    return
+  }
+
+  await triggerIngestion(job.id)
+}
+
+async function updateFile(
+  supabase: SupabaseClient,
+  file: Record<string, any>,
+  item: ConnectorItem,
+  content: Uint8Array,
+  contentHash: string,
+  now: string
+): Promise<void> {
+  const { error: uploadError } = await supabase.storage
+    .from(file.storage_bucket)
+    .upload(file.storage_path, content, { contentType: item.mime_type, upsert: true })
+
+  if (uploadError) {
+    throw new Error(`Upload storage: ${uploadError.message}`)
+  }
+
+  const updated = {
+    content_hash: contentHash,
+    file_size: content.byteLength,
+    processing_status: "pending",
+    processing_error: null,
+    metadata: {
+      ...file.metadata,
+      external_version: item.version,
+      source_url: item.source_url,
+      last_synced_at: now,
+      last_changed_at: now,
+    },
+  }
+
+  const { error: updateError } = await supabase
+    .schema("sources")
+    .from("files")
+    .update(updated)
+    .eq("id", file.id)
+
+  if (updateError) {
+    throw new Error(`Mise à jour fichier: ${updateError.message}`)
+  }
+
+  // Anciens chunks supprimés, job relancé
+  await requeueIngestion(supabase, file.id)
+}
+
+/**
+ * Traite un élément : inchangé, mis à jour ou créé
+ */
+async function syncItem(
+  supabase: SupabaseClient,
+  connector: Connector,
+  item: ConnectorItem,
+  existing: Record<string, any> | undefined,
+  stats: RunStats
+): Promise<void> {
+  const now = new Date().toISOString()
+
+  // Version identique : pas de téléchargement
+  if (existing && item.version && existing.metadata?.external_version === item.version) {
+    stats.items_unchanged++
+    return
+  }
+
+  const content = await item.load()
+  if (content.byteLength === 0) {
+    throw new Error("Contenu vide")
+  }
+  const contentHash = await sha256Hex(content)
+
+  if (!existing) {
+    await createFile(supabase, connector, item, content, contentHash, now)
+    stats.items_created++
+    return
+  }
+
+  if (existing.content_hash === contentHash) {
+    await supabase
+      .schema("sources")
+      .from("files")
+      .update({ metadata: { ...existing.metadata, external_version: item.version, last_synced_at: now } })
+      .eq("id", existing.id)
+    stats.items_unchanged++
+    return
+  }
+
+  await updateFile(supabase, existing, item, content, contentHash, now)
+  stats.items_updated++
+}
+
+// ============================================================================
+// EXÉCUTION
+// ============================================================================
+
+/**
+ * Secret Vault du connecteur : connector_<org_id>_<credentials_ref> (ou
+ * connector_app_<credentials_ref>), nom construit par la RPC
+ */
+async function getSecret(supabase: SupabaseClient, connector: Connector): Promise<string | null> {
+  if (!connector.credentials_ref) return null
+
+  const { data, error } = await supabase
+    .schema("sources")
+    .rpc("get_connector_secret", { p_connector_id: connector.id })
+
+  if (error) throw new Error(`Lecture du secret: ${error.message}`)
+  return data || null
+}
+
+/**
+ * Crée l'exécution (status running) ; refuse si une exécution récente est en cours
+ */
+async function startRun(
+  supabase: SupabaseClient,
+  connector: Connector,
+  trigger: "manual" | "schedule",
+  userId: string | null
+): Promise<string> {
+  const { data: running } = await supabase
+    .schema("sources")
+    .from("connector_runs")
+    .select("id")
+    .eq("connector_id", connector.id)
+    .eq("status", "running")
+    .gte("started_at", new Date(Date.now() - STALE_RUN_MS).toISOString())
+    .limit(1)
+
+  if (running?.length) {
+    throw new Error("Une exécution est déjà en cours pour ce connecteur")
+  }
+
+  const { data: run, error } = await supabase
+    .schema("sources")
+    .from("connector_runs")
+    .insert({
+      connector_id: connector.id,
+      trigger,
+      status: "running",
+      started_at: new Date().toISOString(),
+      triggered_by: userId,
+    })
+    .select("id")
+    .single()
+
+  if (error) throw new Error(`Création de l'exécution: ${error.message}`)
+  return run.id
+}
+
+async function executeRun(supabase: SupabaseClient, connector: Connector, runId: string): Promise<void> {
+  const startedAt = Date.now()
+  const stats: RunStats = {
+    items_found: 0,
+    items_created: 0,
+    items_updated: 0,
+    items_unchanged: 0,
+    items_failed: 0,
+    error_details: [],
+  }
+  let errorMessage: string | null = null
+
+  try {
+    const adapter = ADAPTERS[connector.connector_type]
+    if (!adapter) throw new Error(`Type de connecteur inconnu: ${connector.connector_type}`)
+
+    const configError = adapter.validate(connector.config || {})
+    if (configError) throw new Error(`Configuration invalide: ${configError}`)
+
+    const secret = await getSecret(supabase, connector)
+
+    // Fichiers déjà importés par ce connecteur, indexés par external_id
+    const { data: files, error: filesError } = await supabase
+      .schema("sources")
+      .from("files")
+      .select("id, content_hash, storage_bucket, storage_path, original_filename, mime_type, layer, app_id, org_id, project_id, created_by, file_size, metadata")
+      .eq("metadata->>source_type", "connector")
+      .eq("metadata->>connector_id", connector.id)
+
+    if (filesError) throw filesError
+    const existingById = new Map((files || []).map((f) => [f.metadata?.external_id, f]))
+
+    for await (const item of adapter.listItems(connector.config || {}, secret)) {
+      if (stats.items_found >= MAX_ITEMS_PER_RUN) {
+        errorMessage = `Limite de ${MAX_ITEMS_PER_RUN} éléments atteinte : la suite sera traitée à la prochaine exécution`
+        break
+      }
+      stats.items_found++
+
+      try {
+        await syncItem(supabase, connector, item, existingById.get(item.external_id), stats)
+      } catch (err) {
+        stats.items_failed++
+        if (stats.error_details.length < MAX_ERROR_DETAILS) {
+          stats.error_details.push({ external_id: item.external_id, title: item.title, error: getErrorMessage(err) })
+        }
+      }
+    }
+  } catch (err) {
+    log.error(`Connecteur ${connector.id} en échec:`, err)
+    errorMessage = err instanceof DOMException && err.name === "TimeoutError"
+      ? "Délai dépassé"
+      : getErrorMessage(err)
+  }
+
+  // Échec global uniquement si la source n'a pas pu être parcourue
+  const failed = errorMessage !== null && stats.items_found === 0
+  const status = failed ? "failed" : "completed"
+  const completedAt = new Date()
+
+  await supabase
+    .schema("sources")
+    .from("connector_runs")
+    .update({
+      ...stats,
+      status,
+      error_message: errorMessage,
+      completed_at: completedAt.toISOString(),
+      duration_seconds: Math.round((completedAt.getTime() - startedAt) / 1000),
+    })
+    .eq("id", runId)
+
+  await supabase
+    .schema("sources")
+    .from("connectors")
+    .update({ last_run_at: completedAt.toISOString(), last_run_status: status })
+    .eq("id", connector.id)
+
+  log.info(`Connecteur ${connector.name}: ${status}`, stats)
+}
+
+/**
+ * Connecteurs planifiés dont l'intervalle est écoulé
+ */
+async function getDueConnectors(supabase: SupabaseClient): Promise<Connector[]> {
+  const { data, error } = await supabase
+    .schema("sources")
+    .from("connectors")
+    .select("*")
+    .eq("enabled", true)
+    .neq("schedule", "manual")
+
+  if (error) throw error
+
+  const now = Date.now()
+  return (data || []).filter((connector: Connector) => {
+    const interval = SCHEDULE_INTERVALS_MS[connector.schedule]
+    if (!interval) return false
+    if (!connector.last_run_at) return true
+    // Marge de 5 min : le cron horaire ne doit pas sauter un créneau
+    return now - Date.parse(connector.last_run_at) >= interval - 5 * 60 * 1000
+  })
+}
+
+// ============================================================================
+// AUTHENTIFICATION
+// ============================================================================
+
+interface Caller {
+  role: string
+  user_id: string | null
+  org_id: string | null
+}
+
+/**
+ * Identifie l'appelant : 'service' (pg_cron) ou profil (app_role, org_id)
+ */
+async function getCaller(supabase: SupabaseClient, req: Request): Promise<Caller | null> {
+  const token = req.headers.get("Authorization")?.replace("Bearer ", "")
+  if (!token) return null
+  if (token === SUPABASE_SERVICE_ROLE_KEY) return { role: "service", user_id: null, org_id: null }
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .schema("core")
+    .from("profiles")
+    .select("app_role, org_id")
+    .eq("id", user.id)
+    .single()
+
+  return { role: profile?.app_role || "user", user_id: user.id, org_id: profile?.org_id || null }
+}
+
+function canRunConnector(caller: Caller, connector: Connector): boolean {
+  if (caller.role === "service" || caller.role === "super_admin") return true
+  return caller.role === "org_admin" && connector.layer !== "app" && connector.org_id === caller.org_id
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreFlight()
+  }
+
+  if (req.method !== "POST") {
+    return errorResponse("Method not allowed", 405)
+  }
+
+  try {
+    const supabase = createSupabaseClient()
+    const caller = await getCaller(supabase, req)
+    if (!caller) {
+      return errorResponse("Non authentifié", 401)
+    }
+
+    const body: ConnectorRequest = await req.json()
+
+    switch (body.action) {
+      case "run": {
+        if (!body.connector_id) {
+          return errorResponse("connector_id requis")
+        }
+
+        const { data: connector, error } = await supabase
+          .schema("sources")
+          .from("connectors")
+          .select("*")
+          .eq("id", body.connector_id)
+          .single()
+
+        if (error || !connector) {
+          return errorResponse("Connecteur introuvable", 404)
+        }
+        if (!canRunConnector(caller, connector)) {
+          return errorResponse("Accès refusé", 403)
+        }
+
+        let runId: string
+        try {
+          runId = await startRun(supabase, connector, "manual", caller.user_id)
+        } catch (err) {
+          return errorResponse(getErrorMessage(err), 409)
+        }
+
+        EdgeRuntime.waitUntil(executeRun(supabase, connector, runId))
+        return jsonResponse({ success: true, run_id: runId })
+      }
+
+      case "run_due": {
+        if (caller.role !== "service" && caller.role !== "super_admin") {
+          return errorResponse("Accès refusé", 403)
+        }
+
+        const due = await getDueConnectors(supabase)
+        log.info(`${due.length} connecteur(s) à exécuter`)
+
+        const started: { connector_id: string; run_id: string }[] = []
+        for (const connector of due) {
+          try {
+            started.push({ connector_id: connector.id, run_id: await startRun(supabase, connector, "schedule", null) })
+          } catch (err) {
+            log.warn(`Connecteur ${connector.id} ignoré: ${getErrorMessage(err)}`)
+          }
+        }
+
+        // Exécutions séquentielles en tâche de fond
+        EdgeRuntime.waitUntil((async () => {
+          for (const { connector_id, run_id } of started) {
+            await executeRun(supabase, due.find((c) => c.id === connector_id)!, run_id)
+          }
+        })())
+
+        return jsonResponse({ success: true, runs: started })
+      }
+
+      default:
+        return errorResponse(`Action inconnue: ${body.action}`)
+    }
+  } catch (error) {
+    log.error("Error:", error)
+    return errorResponse(getErrorMessage(error), 500)
+  }
+})
@@ -0,0 +1,639 @@
+// ╔══════════════════════════════════════════════════════════════════════════════╗
+// ║  RUN-EVALUATION v1.1.0 - Évaluation RAG hors ligne (golden sets)             ║
+// ║  Edge Function Supabase                                                      ║
+// ╠══════════════════════════════════════════════════════════════════════════════╣
+// ║  Actions disponibles:                                                        ║
+// ║  - run:      Lance l'évaluation d'un golden set (super_admin, service)       ║
+// ║  - continue: Traite le lot suivant d'une exécution (auto-appel service)      ║
+// ╠══════════════════════════════════════════════════════════════════════════════╣
+// ║  Chaque question est posée à baikal-brain-v3 (→ librarian-v4) avec le        ║
+// ║  prompt librarian choisi (prompt_id), dans une conversation dédiée           ║
+// ║  supprimée ensuite. Métriques par question (rag.eval_results) :              ║
+// ║  - retrieval_hit:     une source attendue figure parmi les sources           ║
+// ║  - citation_accuracy: part des citations [Document, ...] attendues           ║
+// ║  - answer_similarity: cosinus des embeddings réponse / réponse attendue      ║
+// ║  Les questions sont traitées par lots de BATCH_SIZE (limite de durée des     ║
+// ║  Edge Functions), chaque lot relançant le suivant.                           ║
+// ╠══════════════════════════════════════════════════════════════════════════════╣
+// ║  v1.1.0: Exécutions lancées par le service (pg_cron, CI) au nom de           ║
+// ║          l'utilisateur système EVAL_SYSTEM_USER_ID                           ║
+// ╚══════════════════════════════════════════════════════════════════════════════╝
+
+import {
+  errorResponse,
+  jsonResponse,
+  handleCorsPreFlight,
+  createSupabaseClient,
+  createLogger,
+  getErrorMessage,
+  generateEmbedding,
+} from "../_shared/utils.ts"
+
+declare const EdgeRuntime: { waitUntil(promise: Promise<unknown>): void }
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!
+// v1.1.0: Utilisateur (auth.users + core.profiles) au nom duquel brain-v3 est
+// interrogé quand l'exécution n'a pas d'auteur : lancée par le service ou
+// auteur supprimé depuis (triggered_by ON DELETE SET NULL)
+const EVAL_SYSTEM_USER_ID = Deno.env.get("EVAL_SYSTEM_USER_ID") || null
+
+const BRAIN_URL = `${SUPABASE_URL}/functions/v1/baikal-brain-v3`
+const SELF_URL = `${SUPABASE_URL}/functions/v1/run-evaluation`
+
+const BATCH_SIZE = 5
+const QUESTION_TIMEOUT_MS = 120000
+const MAX_QUESTIONS_PER_SET = 200
+
+const log = createLogger("run-evaluation")
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+type SupabaseClient = ReturnType<typeof createSupabaseClient>
+
+interface EvaluationRequest {
+  action: "run" | "continue"
+  set_id?: string
+  run_id?: string
+  prompt_id?: string | null
+  org_id?: string | null
+  project_id?: string | null
+}
+
+interface EvalSet {
+  id: string
+  app_id: string
+  name: string
+}
+
+interface EvalQuestion {
+  id: string
+  question: string
+  expected_sources: string[]
+  expected_answer: string | null
+}
+
+interface EvalRun {
+  id: string
+  set_id: string
+  prompt_id: string | null
+  org_id: string | null
+  project_id: string | null
+  status: string
+  triggered_by: string | null
+  started_at: string | null
+}
+
+interface SourceItem {
+  type?: string
+  source_file_id?: string | null
+  document_name?: string
+  score?: number
+}
+
+interface AssistantAnswer {
+  answer: string
+  sources: SourceItem[]
+  generationMode: string | null
+}
+
+// ============================================================================
+// APPEL BRAIN-V3 (SSE)
+// ============================================================================
+
+/**
+ * Pose une question à brain-v3 et reconstitue la réponse depuis le flux SSE
+ * (événements token, sources, error)
+ */
+async function askAssistant(
+  run: EvalRun,
+  set: EvalSet,
+  question: string,
+  conversationId: string
+): Promise<AssistantAnswer> {
+  const response = await fetch(BRAIN_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+    },
+    body: JSON.stringify({
+      query: question,
+      user_id: run.triggered_by,
+      org_id: run.org_id || undefined,
+      project_id: run.project_id || undefined,
+      app_id: set.app_id,
+      conversation_id: conversationId,
+      stream: true,
+      prompt_id: run.prompt_id || undefined,
+      // Ni débit, ni quota, ni expérience A/B (appel service uniquement)
+      evaluation: true,
+    }),
+    signal: AbortSignal.timeout(QUESTION_TIMEOUT_MS),
+  })
+
+  if (!response.ok || !response.body) {
+    throw new Error(`brain-v3 HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`)
+  }
+
+  const result: AssistantAnswer = { answer: "", sources: [], generationMode: null }
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ""
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer += value
+
+    // Un événement SSE se termine par une ligne vide
+    let separator = buffer.indexOf("\n\n")
+    while (separator !== -1) {
+      const rawEvent = buffer.slice(0, separator)
+      buffer = buffer.slice(separator + 2)
+      separator = buffer.indexOf("\n\n")
+
+      const eventName = rawEvent.match(/^event: (.*)$/m)?.[1]?.trim()
+      const dataLine = rawEvent.match(/^data: (.*)$/m)?.[1]
+      if (!eventName || !dataLine) continue
+
+      let data: Record<string, unknown>
+      try {
+        data = JSON.parse(dataLine)
+      } catch {
+        continue
+      }
+
+      if (eventName === "token") {
+        result.answer += (data.content as string) || ""
+      } else if (eventName === "sources") {
+        result.sources = (data.sources as SourceItem[]) || []
+        result.generationMode = (data.generation_mode as string) || null
+      } else if (eventName === "error") {
+        throw new Error((data.error as string) || (data.message as string) || "Erreur assistant")
+      }
+    }
+  }
+
+  result.answer = result.answer.trim()
+  return result
+}
+
+// ============================================================================
+// MÉTRIQUES
+// ============================================================================
+
+/**
+ * Normalise un nom de document (casse, accents, extension)
+ */
+function normalizeName(value: string): string {
+  return value
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[̀-ͯ]/g, "")
+    .replace(/\.[a-z0-9]{2,4}$/, "")
+    .replace(/[_-]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
+function matchesExpected(name: string, expectedSources: string[]): boolean {
+  const normalized = normalizeName(name)
+  if (!normalized) return false
+  return expectedSources.some(expected => {
+    const target = normalizeName(expected)
+    return target.length > 0 && (normalized.includes(target) || target.includes(normalized))
+  })
+}
+
+/**
+ * Documents cités dans la réponse : format [NomDocument, Page X, Section Y]
+ */
+function extractCitedDocuments(answer: string): string[] {
+  const cited: string[] = []
+  for (const match of answer.matchAll(/\[([^\[\]]+)\]/g)) {
+    const documentName = match[1].split(",")[0].trim()
+    if (documentName && !/^\d+$/.test(documentName)) cited.push(documentName)
+  }
+  return cited
+}
+
+function cosineSimilarity(a: number[], b: number[]): number {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0
+}
+
+async function computeMetrics(question: EvalQuestion, answer: AssistantAnswer) {
+  const expected = question.expected_sources || []
+  const sourceNames = answer.sources
+    .filter(source => source.type !== "qa_memory")
+    .map(source => source.document_name || "")
+
+  const retrievalHit = expected.length > 0
+    ? sourceNames.some(name => matchesExpected(name, expected))
+    : null
+
+  const cited = extractCitedDocuments(answer.answer)
+  const citationAccuracy = expected.length > 0 && cited.length > 0
+    ? cited.filter(name => matchesExpected(name, expected)).length / cited.length
+    : null
+
+  let answerSimilarity: number | null = null
+  if (question.expected_answer?.trim() && answer.answer) {
+    const [expectedEmbedding, answerEmbedding] = await Promise.all([
+      generateEmbedding(question.expected_answer),
+      generateEmbedding(answer.answer),
+    ])
+    answerSimilarity = cosineSimilarity(expectedEmbedding, answerEmbedding)
+  }
+
+  return { retrievalHit, citationAccuracy, answerSimilarity }
+}
+
+// ============================================================================
+// ÉVALUATION D'UNE QUESTION
+// ============================================================================
+
+/**
+ * Conversation dédiée : l'historique de l'utilisateur n'influence pas
+ * l'évaluation et n'est pas pollué (supprimée après la question)
+ */
+async function createConversation(supabase: SupabaseClient, run: EvalRun, set: EvalSet): Promise<string> {
+  const { data, error } = await supabase
+    .schema("rag")
+    .from("conversations")
+    .insert({
+      user_id: run.triggered_by,
+      app_id: set.app_id,
+      project_id: run.project_id,
+      title: `[Évaluation] ${set.name}`,
+    })
+    .select("id")
+    .single()
+
+  if (error) throw new Error(`Conversation: ${error.message}`)
+  return data.id
+}
+
+async function deleteConversation(supabase: SupabaseClient, conversationId: string): Promise<void> {
+  await supabase.schema("rag").from("messages").delete().eq("conversation_id", conversationId)
+  await supabase.schema("rag").from("conversations").delete().eq("id", conversationId)
+}
+
+async function evaluateQuestion(
+  supabase: SupabaseClient,
+  run: EvalRun,
+  set: EvalSet,
+  question: EvalQuestion
+): Promise<void> {
+  const startedAt = Date.now()
+  const result: Record<string, unknown> = {
+    run_id: run.id,
+    question_id: question.id,
+    question: question.question,
+    expected_sources: question.expected_sources || [],
+    expected_answer: question.expected_answer,
+  }
+
+  let conversationId: string | null = null
+  try {
+    conversationId = await createConversation(supabase, run, set)
+    const answer = await askAssistant(run, set, question.question, conversationId)
+    result.latency_ms = Date.now() - startedAt
+
+    const metrics = await computeMetrics(question, answer)
+    Object.assign(result, {
+      answer: answer.answer,
+      sources: answer.sources,
+      generation_mode: answer.generationMode,
+      retrieval_hit: metrics.retrievalHit,
+      citation_accuracy: metrics.citationAccuracy,
+      answer_similarity: metrics.answerSimilarity,
+    })
+  } catch (err) {
+    log.warn(`Question ${question.id} en échec: ${getErrorMessage(err)}`)
+    result.latency_ms = Date.now() - startedAt
+    result.error_message = getErrorMessage(err)
+  } finally {
+    if (conversationId) await deleteConversation(supabase, conversationId)
+  }
+
+  const { error } = await supabase
+    .schema("rag")
+    .from("eval_results")
+    .upsert(result, { onConflict: "run_id,question_id" })
+
+  if (error) throw new Error(`Résultat: ${error.message}`)
+}
+
+// ============================================================================
+// EXÉCUTION PAR LOTS
+// ============================================================================
+
+function average(values: number[]): number | null {
+  if (values.length === 0) return null
+  return values.reduce((sum, value) => sum + value, 0) / values.length
+}
+
+/**
+ * Agrège les résultats et clôt l'exécution
+ */
+async function finalizeRun(supabase: SupabaseClient, run: EvalRun): Promise<void> {
+  const { data: results } = await supabase
+    .schema("rag")
+    .from("eval_results")
+    .select("retrieval_hit, citation_accuracy, answer_similarity, latency_ms, error_message")
+    .eq("run_id", run.id)
+
+  const rows = results || []
+  const hits = rows.filter(r => r.retrieval_hit !== null).map(r => (r.retrieval_hit ? 1 : 0))
+  const citations = rows.filter(r => r.citation_accuracy !== null).map(r => Number(r.citation_accuracy))
+  const similarities = rows.filter(r => r.answer_similarity !== null).map(r => Number(r.answer_similarity))
+  const latencies = rows.filter(r => !r.error_message && r.latency_ms !== null).map(r => r.latency_ms as number)
+  const avgLatency = average(latencies)
+
+  await supabase
+    .schema("rag")
+    .from("eval_runs")
+    .update({
+      status: "completed",
+      completed_at: new Date().toISOString(),
+      completed_count: rows.length,
+      retrieval_hit_rate: average(hits),
+      citation_accuracy: average(citations),
+      answer_similarity: average(similarities),
+      avg_latency_ms: avgLatency === null ? null : Math.round(avgLatency),
+    })
+    .eq("id", run.id)
+
+  log.info(`Exécution ${run.id} terminée (${rows.length} questions)`)
+}
+
+async function failRun(supabase: SupabaseClient, runId: string, message: string): Promise<void> {
+  await supabase
+    .schema("rag")
+    .from("eval_runs")
+    .update({ status: "failed", completed_at: new Date().toISOString(), error_message: message })
+    .eq("id", runId)
+}
+
+/**
+ * Relance run-evaluation pour le lot suivant (nouvelle invocation = nouveau budget de durée)
+ */
+async function scheduleNextBatch(runId: string): Promise<void> {
+  const response = await fetch(SELF_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+    },
+    body: JSON.stringify({ action: "continue", run_id: runId }),
+  })
+
+  if (!response.ok) {
+    throw new Error(`Lot suivant non planifié (HTTP ${response.status})`)
+  }
+}
+
+async function processBatch(supabase: SupabaseClient, runId: string): Promise<void> {
+  try {
+    const { data: run } = await supabase
+      .schema("rag")
+      .from("eval_runs")
+      .select("*")
+      .eq("id", runId)
+      .single()
+
+    if (!run || run.status === "completed" || run.status === "failed") return
+
+    // v1.1.0: brain-v3 exige un user_id
+    const userId = run.triggered_by || EVAL_SYSTEM_USER_ID
+    if (!userId) throw new Error("Exécution sans auteur : EVAL_SYSTEM_USER_ID non configuré")
+
+    const { data: set } = await supabase
+      .schema("rag")
+      .from("eval_sets")
+      .select("id, app_id, name")
+      .eq("id", run.set_id)
+      .single()
+
+    if (!set) throw new Error("Golden set introuvable")
+
+    if (run.status === "pending") {
+      await supabase
+        .schema("rag")
+        .from("eval_runs")
+        .update({ status: "running", started_at: new Date().toISOString() })
+        .eq("id", runId)
+    }
+
+    const [{ data: questions }, { data: done }] = await Promise.all([
+      supabase
+        .schema("rag")
+        .from("eval_questions")
+        .select("id, question, expected_sources, expected_answer")
+        .eq("set_id", set.id)
+        .order("position", { ascending: true })
+        .order("created_at", { ascending: true })
+        .limit(MAX_QUESTIONS_PER_SET),
+      supabase
+        .schema("rag")
+        .from("eval_results")
+        .select("question_id")
+        .eq("run_id", runId),
+    ])
+
+    const doneIds = new Set((done || []).map(r => r.question_id))
+    const pending = (questions || []).filter(q => !doneIds.has(q.id))
+    const batch = pending.slice(0, BATCH_SIZE)
+
+    for (const question of batch) {
+      await evaluateQuestion(supabase, { ...run, triggered_by: userId }, set, question)
+    }
+
+    await supabase
+      .schema("rag")
+      .from("eval_runs")
+      .update({ completed_count: doneIds.size + batch.length })
+      .eq("id", runId)
+
+    if (pending.length > batch.length) {
+      await scheduleNextBatch(runId)
+    } else {
+      await finalizeRun(supabase, run)
+    }
+  } catch (err) {
+    log.error(`Exécution ${runId} en échec:`, err)
+    await failRun(supabase, runId, getErrorMessage(err))
+  }
+}
+
+// ============================================================================
+// AUTHENTIFICATION
+// ============================================================================
+
+interface Caller {
+  role: string
+  user_id: string | null
+}
+
+/**
+ * Identifie l'appelant : 'service' (lot suivant) ou profil (app_role)
+ */
+async function getCaller(supabase: SupabaseClient, req: Request): Promise<Caller | null> {
+  const token = req.headers.get("Authorization")?.replace("Bearer ", "")
+  if (!token) return null
+  if (token === SUPABASE_SERVICE_ROLE_KEY) return { role: "service", user_id: null }
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .schema("core")
+    .from("profiles")
+    .select("app_role")
+    .eq("id", user.id)
+    .single()
+
+  return { role: profile?.app_role || "user", user_id: user.id }
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreFlight()
+  }
+
+  if (req.method !== "POST") {
+    return errorResponse("Method not allowed", 405)
+  }
+
+  try {
+    const supabase = createSupabaseClient()
+    const caller = await getCaller(supabase, req)
+    if (!caller) {
+      return errorResponse("Non authentifié", 401)
+    }
+
+    const body: EvaluationRequest = await req.json()
+
+    switch (body.action) {
+      case "run": {
+        if (caller.role !== "super_admin" && caller.role !== "service") {
+          return errorResponse("Accès refusé", 403)
+        }
+        if (!caller.user_id && !EVAL_SYSTEM_USER_ID) {
+          return errorResponse("EVAL_SYSTEM_USER_ID non configuré", 500)
+        }
+        if (!body.set_id) {
+          return errorResponse("set_id requis")
+        }
+
+        const { data: set } = await supabase
+          .schema("rag")
+          .from("eval_sets")
+          .select("id, app_id, name")
+          .eq("id", body.set_id)
+          .single()
+
+        if (!set) {
+          return errorResponse("Golden set introuvable", 404)
+        }
+
+        const { count: questionCount } = await supabase
+          .schema("rag")
+          .from("eval_questions")
+          .select("id", { count: "exact", head: true })
+          .eq("set_id", set.id)
+
+        if (!questionCount) {
+          return errorResponse("Le golden set ne contient aucune question")
+        }
+
+        const { data: activeRun } = await supabase
+          .schema("rag")
+          .from("eval_runs")
+          .select("id")
+          .eq("set_id", set.id)
+          .in("status", ["pending", "running"])
+          .limit(1)
+          .maybeSingle()
+
+        if (activeRun) {
+          return errorResponse("Une évaluation de ce golden set est déjà en cours", 409)
+        }
+
+        let promptName: string | null = null
+        if (body.prompt_id) {
+          const { data: prompt } = await supabase
+            .schema("config")
+            .from("agent_prompts")
+            .select("name, agent_type")
+            .eq("id", body.prompt_id)
+            .single()
+
+          if (!prompt || prompt.agent_type !== "librarian_v3") {
+            return errorResponse("Prompt librarian introuvable", 404)
+          }
+          promptName = prompt.name
+        }
+
+        const { data: run, error } = await supabase
+          .schema("rag")
+          .from("eval_runs")
+          .insert({
+            set_id: set.id,
+            prompt_id: body.prompt_id || null,
+            prompt_name: promptName,
+            org_id: body.org_id || null,
+            project_id: body.project_id || null,
+            question_count: Math.min(questionCount, MAX_QUESTIONS_PER_SET),
+            triggered_by: caller.user_id || EVAL_SYSTEM_USER_ID,
+          })
+          .select("id")
+          .single()
+
+        if (error || !run) {
+          return errorResponse(error?.message || "Création de l'exécution impossible", 500)
+        }
+
+        log.info(`Évaluation ${run.id} lancée (set=${set.id}, prompt=${body.prompt_id || "actif"})`)
+        EdgeRuntime.waitUntil(processBatch(supabase, run.id))
+        return jsonResponse({ success: true, run_id: run.id })
+      }
+
+      case "continue": {
+        if (caller.role !== "service") {
+          return errorResponse("Accès refusé", 403)
+        }
+        if (!body.run_id) {
+          return errorResponse("run_id requis")
+        }
+
+        EdgeRuntime.waitUntil(processBatch(supabase, body.run_id))
+        return jsonResponse({ success: true, run_id: body.run_id })
+      }
+
+      default:
+        return errorResponse(`Action inconnue: ${body.action}`)
+    }
+  } catch (err) {
+    log.error("Erreur:", err)
+    return errorResponse(getErrorMessage(err), 500)
+  }
+})
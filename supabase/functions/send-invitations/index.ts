@@ -0,0 +1,394 @@
+// ╔══════════════════════════════════════════════════════════════════════════════╗
+// ║  SEND-INVITATIONS v1.0.0 - Envoi et suivi des invitations par email          ║
+// ║  Edge Function Supabase                                                      ║
+// ╠══════════════════════════════════════════════════════════════════════════════╣
+// ║  POST { action: "send", batch_id?, recipient_ids? } (org_admin, super_admin):║
+// ║    envoie l'email d'invitation (transport de _shared/mail.ts) et met à jour  ║
+// ║    core.invitation_recipients (sent / bounced / failed)                      ║
+// ║  GET ?track=open&rid=   : pixel de suivi → opened                            ║
+// ║  GET ?track=click&rid=  : lien suivi → opened, redirection vers /login       ║
+// ║  POST ?webhook=bounce&secret=MAIL_WEBHOOK_SECRET : bounce du fournisseur     ║
+// ║    ({ email, message_id } ou événement Resend "email.bounced")               ║
+// ║                                                                              ║
+// ║  Déployer avec --no-verify-jwt (suivi et webhook sans session) ; l'appelant  ║
+// ║  des envois est authentifié ici. APP_URL : URL de la console.                ║
+// ╚══════════════════════════════════════════════════════════════════════════════╝
+
+import {
+  errorResponse,
+  successResponse,
+  handleCorsPreFlight,
+  createSupabaseClient,
+  createLogger,
+  getErrorMessage,
+} from "../_shared/utils.ts"
+import { getMailTransport, renderTemplate } from "../_shared/mail.ts"
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const MAX_RECIPIENTS_PER_CALL = 200
+
+const ROLE_LABELS: Record<string, string> = {
+  org_admin: "administrateur",
+  team_leader: "chef d'équipe",
+  user: "membre",
+}
+
+// Pixel GIF transparent 1x1
+const TRACKING_PIXEL = Uint8Array.from(
+  atob("R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7"),
+  (c) => c.charCodeAt(0)
+)
+
+const SUBJECT_TEMPLATE = "{{inviter_name}} vous invite à rejoindre {{org_name}} sur Baikal"
+
+const TEXT_TEMPLATE = `Bonjour{{greeting_name}},
+
+{{inviter_name}} vous invite à rejoindre l'organisation {{org_name}} sur Baikal en tant que {{role_label}}.
+{{message}}
+Créez votre compte avec ce lien :
+{{invite_url}}
+
+Code d'invitation : {{code}}
+{{expiry}}`
+
+const HTML_TEMPLATE = `<div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto;color:#1f2937">
+  <p>Bonjour{{greeting_name}},</p>
+  <p><strong>{{inviter_name}}</strong> vous invite à rejoindre l'organisation
+  <strong>{{org_name}}</strong> sur Baikal en tant que {{role_label}}.</p>
+  {{{message_html}}}
+  <p style="margin:32px 0">
+    <a href="{{tracked_url}}" style="background:#06b6d4;color:#000;padding:12px 20px;border-radius:6px;text-decoration:none;font-weight:bold">
+      Créer mon compte
+    </a>
+  </p>
+  <p style="font-size:13px;color:#6b7280">Code d'invitation : <code>{{code}}</code><br>{{expiry}}</p>
+  <img src="{{pixel_url}}" width="1" height="1" alt="" style="display:none">
+</div>`
+
+const log = createLogger("send-invitations")
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+type SupabaseClient = ReturnType<typeof createSupabaseClient>
+
+interface SendRequest {
+  action: "send"
+  batch_id?: string
+  recipient_ids?: string[]
+}
+
+interface Caller {
+  role: string
+  user_id: string
+  org_id: string | null
+  full_name: string | null
+}
+
+interface Recipient {
+  id: string
+  org_id: string
+  invitation_code: string
+  email: string
+  full_name: string | null
+  app_role: string
+  message: string | null
+  expires_at: string | null
+  status: string
+  send_count: number
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Identifie l'appelant (profil : app_role, org_id, nom)
+ */
+async function getCaller(supabase: SupabaseClient, req: Request): Promise<Caller | null> {
+  const token = req.headers.get("Authorization")?.replace("Bearer ", "")
+  if (!token) return null
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .schema("core")
+    .from("profiles")
+    .select("app_role, org_id, full_name, email")
+    .eq("id", user.id)
+    .single()
+
+  return {
+    role: profile?.app_role || "user",
+    user_id: user.id,
+    org_id: profile?.org_id || null,
+    full_name: profile?.full_name || profile?.email || null,
+  }
+}
+
+function canInvite(caller: Caller, orgId: string): boolean {
+  if (caller.role === "super_admin") return true
+  return caller.role === "org_admin" && caller.org_id === orgId
+}
+
+function getFunctionUrl(): string {
+  return `${Deno.env.get("SUPABASE_URL")}/functions/v1/send-invitations`
+}
+
+function getInviteUrl(code: string): string {
+  const appUrl = (Deno.env.get("APP_URL") || "http://localhost:5173").replace(/\/$/, "")
+  return `${appUrl}/login?invite=${encodeURIComponent(code)}`
+}
+
+function formatExpiry(expiresAt: string | null): string {
+  if (!expiresAt) return ""
+  const date = new Date(expiresAt).toLocaleDateString("fr-FR", { day: "numeric", month: "long", year: "numeric" })
+  return `Cette invitation expire le ${date}.`
+}
+
+/**
+ * Construit l'email d'un destinataire à partir des gabarits
+ */
+function buildMessage(recipient: Recipient, orgName: string, inviterName: string) {
+  const trackingBase = `${getFunctionUrl()}?rid=${recipient.id}`
+  const variables = {
+    greeting_name: recipient.full_name ? ` ${recipient.full_name}` : "",
+    inviter_name: inviterName,
+    org_name: orgName,
+    role_label: ROLE_LABELS[recipient.app_role] || recipient.app_role,
+    message: recipient.message ? `\n${recipient.message}\n` : "",
+    invite_url: getInviteUrl(recipient.invitation_code),
+    tracked_url: `${trackingBase}&track=click`,
+    pixel_url: `${trackingBase}&track=open`,
+    code: recipient.invitation_code,
+    expiry: formatExpiry(recipient.expires_at),
+  }
+
+  const messageHtml = recipient.message
+    ? `<blockquote style="border-left:3px solid #06b6d4;margin:16px 0;padding-left:12px">${renderTemplate("{{message}}", { message: recipient.message }, { html: true })}</blockquote>`
+    : ""
+
+  return {
+    to: recipient.email,
+    subject: renderTemplate(SUBJECT_TEMPLATE, variables),
+    text: renderTemplate(TEXT_TEMPLATE, variables),
+    html: renderTemplate(HTML_TEMPLATE, { ...variables, message_html: messageHtml }, { html: true }),
+  }
+}
+
+async function updateRecipient(supabase: SupabaseClient, id: string, changes: Record<string, unknown>) {
+  const { error } = await supabase
+    .schema("core")
+    .from("invitation_recipients")
+    .update(changes)
+    .eq("id", id)
+
+  if (error) log.warn(`update recipient ${id}: ${error.message}`)
+}
+
+// ============================================================================
+// ENVOI
+// ============================================================================
+
+/**
+ * Envoie les invitations d'un lot (destinataires en attente) ou d'une liste
+ * explicite (renvoi, sauf invitations déjà acceptées)
+ */
+async function sendInvitations(supabase: SupabaseClient, caller: Caller, body: SendRequest) {
+  let query = supabase
+    .schema("core")
+    .from("invitation_recipients")
+    .select("id, org_id, invitation_code, email, full_name, app_role, message, expires_at, status, send_count")
+    .neq("status", "accepted")
+    .limit(MAX_RECIPIENTS_PER_CALL)
+
+  if (body.recipient_ids?.length) {
+    query = query.in("id", body.recipient_ids)
+  } else if (body.batch_id) {
+    query = query.eq("batch_id", body.batch_id).eq("status", "pending")
+  } else {
+    throw new Error("batch_id ou recipient_ids requis")
+  }
+
+  const { data: recipients, error } = await query
+  if (error) throw new Error(`Lecture des destinataires: ${error.message}`)
+
+  const allowed = (recipients as Recipient[]).filter((r) => canInvite(caller, r.org_id))
+  if (allowed.length < (recipients || []).length) {
+    return { denied: true }
+  }
+
+  const orgIds = [...new Set(allowed.map((r) => r.org_id))]
+  const { data: orgs } = await supabase
+    .schema("core")
+    .from("organizations")
+    .select("id, name")
+    .in("id", orgIds)
+  const orgNames = new Map((orgs || []).map((o: { id: string; name: string }) => [o.id, o.name]))
+
+  const transport = getMailTransport()
+  const summary = { sent: 0, bounced: 0, failed: 0, transport: transport.name }
+
+  try {
+    for (const recipient of allowed) {
+      const message = buildMessage(recipient, orgNames.get(recipient.org_id) || "votre organisation", caller.full_name || "Un administrateur")
+      const result = await transport.send(message)
+      const now = new Date().toISOString()
+
+      if (result.ok) {
+        summary.sent++
+        await updateRecipient(supabase, recipient.id, {
+          status: "sent",
+          message_id: result.messageId,
+          error: null,
+          sent_at: now,
+          send_count: recipient.send_count + 1,
+        })
+      } else {
+        summary[result.bounced ? "bounced" : "failed"]++
+        log.warn(`${recipient.email}: ${result.error}`)
+        await updateRecipient(supabase, recipient.id, {
+          status: result.bounced ? "bounced" : "failed",
+          error: result.error || null,
+          bounced_at: result.bounced ? now : null,
+          send_count: recipient.send_count + 1,
+        })
+      }
+    }
+  } finally {
+    await transport.close?.()
+  }
+
+  log.info(`${summary.sent} envoyé(s), ${summary.bounced} bounce(s), ${summary.failed} échec(s) via ${summary.transport}`)
+  return summary
+}
+
+// ============================================================================
+// SUIVI
+// ============================================================================
+
+/**
+ * Ouverture (pixel ou clic) : seuls les envois en cours passent à « opened »
+ */
+async function markOpened(supabase: SupabaseClient, recipientId: string) {
+  const { data } = await supabase
+    .schema("core")
+    .from("invitation_recipients")
+    .update({ status: "opened", opened_at: new Date().toISOString() })
+    .eq("id", recipientId)
+    .eq("status", "sent")
+    .select("invitation_code")
+    .maybeSingle()
+
+  if (data) return data.invitation_code as string
+
+  const { data: recipient } = await supabase
+    .schema("core")
+    .from("invitation_recipients")
+    .select("invitation_code")
+    .eq("id", recipientId)
+    .maybeSingle()
+
+  return (recipient?.invitation_code as string) || null
+}
+
+async function handleTracking(supabase: SupabaseClient, url: URL): Promise<Response> {
+  const recipientId = url.searchParams.get("rid") || ""
+  const isUuid = /^[0-9a-f-]{36}$/i.test(recipientId)
+  const code = isUuid ? await markOpened(supabase, recipientId) : null
+
+  if (url.searchParams.get("track") === "click") {
+    const appUrl = (Deno.env.get("APP_URL") || "http://localhost:5173").replace(/\/$/, "")
+    return Response.redirect(code ? getInviteUrl(code) : `${appUrl}/login`, 302)
+  }
+
+  return new Response(TRACKING_PIXEL, {
+    headers: { "Content-Type": "image/gif", "Cache-Control": "no-store" },
+  })
+}
+
+/**
+ * Bounce notifié par le fournisseur : { email, message_id, reason } ou
+ * événement Resend { type: "email.bounced", data: { email_id, to } }
+ */
+async function handleBounceWebhook(supabase: SupabaseClient, req: Request) {
+  const payload = await req.json()
+  const event = payload?.type === "email.bounced" ? payload.data : payload
+  const messageId = event?.message_id || event?.email_id || null
+  const email = event?.email || (Array.isArray(event?.to) ? event.to[0] : event?.to) || null
+  const reason = event?.reason || event?.bounce?.message || "Adresse refusée par le serveur destinataire"
+
+  if (!messageId && !email) {
+    throw new Error("message_id ou email requis")
+  }
+
+  let query = supabase
+    .schema("core")
+    .from("invitation_recipients")
+    .update({ status: "bounced", bounced_at: new Date().toISOString(), error: reason })
+    .in("status", ["sent", "opened"])
+
+  query = messageId ? query.eq("message_id", messageId) : query.eq("email", String(email).toLowerCase())
+
+  const { data, error } = await query.select("id")
+  if (error) throw new Error(`Bounce: ${error.message}`)
+
+  log.info(`bounce ${messageId || email}: ${data?.length || 0} destinataire(s)`)
+  return { updated: data?.length || 0 }
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+Deno.serve(async (req: Request) => {
+  if (req.method === "OPTIONS") {
+    return handleCorsPreFlight()
+  }
+
+  try {
+    const supabase = createSupabaseClient()
+    const url = new URL(req.url)
+
+    if (req.method === "GET" && url.searchParams.has("track")) {
+      return await handleTracking(supabase, url)
+    }
+
+    if (req.method !== "POST") {
+      return errorResponse("Method not allowed", 405)
+    }
+
+    if (url.searchParams.get("webhook") === "bounce") {
+      const secret = Deno.env.get("MAIL_WEBHOOK_SECRET")
+      if (!secret || url.searchParams.get("secret") !== secret) {
+        return errorResponse("Accès refusé", 403)
+      }
+      return successResponse(await handleBounceWebhook(supabase, req))
+    }
+
+    const caller = await getCaller(supabase, req)
+    if (!caller) {
+      return errorResponse("Non authentifié", 401)
+    }
+
+    const body: SendRequest = await req.json()
+    if (body.action !== "send") {
+      return errorResponse(`Action inconnue: ${body.action}`, 400)
+    }
+
+    const result = await sendInvitations(supabase, caller, body)
+    if ("denied" in result) {
+      return errorResponse("Accès refusé", 403)
+    }
+
+    return successResponse(result)
+  } catch (error) {
+    log.error(getErrorMessage(error))
+    return errorResponse(getErrorMessage(error), 500)
+  }
+})
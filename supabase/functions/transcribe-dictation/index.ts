@@ -2,15 +2,18 @@
 // ║  TRANSCRIBE-DICTATION - Transcription audio rapide via Whisper              ║
 // ║  Edge Function Supabase                                                      ║
 // ╠══════════════════════════════════════════════════════════════════════════════╣
-// ║  Version: 1.0.0                                                              ║
+// ║  Version: 1.2.0                                                              ║
 // ║  - Transcription simple sans analyse GPT                                     ║
 // ║  - Optimisé pour les dictées rapides (< 2 min)                              ║
 // ║  - Pas de sauvegarde en BDD (géré côté frontend)                            ║
+// ║  - v1.1.0: Crédits - refus si solde épuisé, minutes débitées                ║
+// ║  - v1.2.0: Quota mensuel de minutes de transcription du plan (429)          ║
 // ╚══════════════════════════════════════════════════════════════════════════════╝
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
 import OpenAI from "https://esm.sh/openai@4.28.0";
+import { hasCredits, debitCredits, checkMonthlyQuota, CREDITS_EXHAUSTED_MESSAGE } from "../_shared/utils.ts";
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -26,7 +29,7 @@ serve(async (req) => {
   const startTime = Date.now();
 
   try {
-    console.log("🎤 START TRANSCRIBE-DICTATION [v1.0.0]");
+    console.log("🎤 START TRANSCRIBE-DICTATION [v1.2.0]");
 
     // 1. Initialisation & Vérification des Clés
     const supabaseUrl = Deno.env.get('SUPABASE_URL') ?? '';
@@ -56,6 +59,31 @@ serve(async (req) => {
 
     console.log(`👤 User: ${user.id}`);
 
+    // Crédits de l'organisation de l'utilisateur
+    const { data: profile } = await supabaseAdmin
+      .schema('core')
+      .from('profiles')
+      .select('org_id')
+      .eq('id', user.id)
+      .maybeSingle();
+    const orgId = profile?.org_id || null;
+
+    if (!(await hasCredits(supabaseAdmin, orgId))) {
+      return new Response(
+        JSON.stringify({ success: false, error: CREDITS_EXHAUSTED_MESSAGE }),
+        { status: 402, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    // Quota mensuel de minutes de transcription du plan (au moins une minute)
+    const quotaError = await checkMonthlyQuota(supabaseAdmin, orgId, 'transcription_minutes');
+    if (quotaError) {
+      return new Response(
+        JSON.stringify({ success: false, error: quotaError }),
+        { status: 429, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
     // 3. Récupération du fichier Audio
     const formData = await req.formData();
     const audioFile = formData.get('audio');
@@ -89,6 +117,12 @@ serve(async (req) => {
 
     console.log(`✅ Transcription OK (${durationSeconds.toFixed(1)}s, ${transcript.length} chars)`);
 
+    await debitCredits(supabaseAdmin, orgId, 'transcription_minute', Math.max(1, Math.ceil(durationSeconds / 60)), {
+      userId: user.id,
+      referenceType: 'dictation',
+      description: 'Dictée',
+    });
+
     // 5. Calcul du temps de traitement
     const processingTime = Date.now() - startTime;
     console.log(`⏱️ Temps total: ${processingTime}ms`);
@@ -1,12 +1,29 @@
 // ============================================================================
 // BAIKAL - Edge Function : trigger-ingestion
-// Version: 1.5.0
-// Date: 2026-01-04
+// Version: 1.10.0
+// Date: 2026-10-19
 // Description: Reçoit les appels de pg_net et envoie les fichiers à N8N
-// NOUVEAU: Appelle la RPC complete_ingestion_job si N8N retourne success
+// v1.5: Appelle la RPC complete_ingestion_job si N8N retourne success
+// v1.6:
+//   - Action process_queue (cron) : traite les jobs en attente et les retries
+//     échus par priorité (RPC sources.claim_ingestion_jobs)
+//   - Appel direct : le job est réservé avant l'envoi (pas de double envoi)
+//   - Backoff exponentiel des échecs géré en base (trigger)
+// v1.7: INGESTION_PIPELINE=local → pipeline interne ingest-local
+//   (même payload et même format de réponse que le webhook N8N)
+// v1.8: Crédits - envoi refusé si le solde de l'organisation est
+//   épuisé (échec → retry automatique), pages ingérées débitées au succès
+// v1.9: Débit des pages déplacé en base (trigger
+//   sources.debit_ingested_pages au passage du job en completed) : les jobs
+//   terminés de façon asynchrone par N8N sont aussi facturés
+// NOUVEAU v1.10:
+//   - Appel direct : seul queue_id est lu, le payload est construit depuis le
+//     fichier du job réservé (plus de champs fournis par l'appelant)
+//   - process_queue réservé aux appels avec la clé service (cron)
 // ============================================================================
 
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.39.0'
+import { hasCredits, CREDITS_EXHAUSTED_MESSAGE } from '../_shared/utils.ts'
 
 // ============================================================================
 // CONFIGURATION
@@ -21,6 +38,16 @@ const N8N_INGEST_URL = Deno.env.get('N8N_INGEST_URL') || 'https://n8n.srv1102213
 // Secret optionnel pour l'authentification
 const N8N_WEBHOOK_SECRET = Deno.env.get('N8N_WEBHOOK_SECRET') || null
 
+// Pipeline d'ingestion : 'n8n' (défaut) ou 'local' (Edge Function ingest-local,
+// sans dépendance à N8N : développement local, N8N indisponible)
+const INGESTION_PIPELINE = Deno.env.get('INGESTION_PIPELINE') === 'local' ? 'local' : 'n8n'
+const INGEST_URL = INGESTION_PIPELINE === 'local'
+  ? `${SUPABASE_URL}/functions/v1/ingest-local`
+  : N8N_INGEST_URL
+
+// Nombre de jobs traités par appel process_queue
+const QUEUE_BATCH_SIZE = 10
+
 // Headers CORS
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -32,6 +59,21 @@ const corsHeaders = {
 // INTERFACES
 // ============================================================================
 
+interface JobResult {
+  success: boolean
+  file_id: string
+  message?: string
+  chunks_count?: number
+  error?: string
+}
+
+interface QueueJob {
+  id: string
+  file_id: string
+  priority: number
+  created_at: string
+}
+
 interface TriggerPayload {
   queue_id: string
   file_id: string
@@ -132,20 +174,8 @@ async function updateQueueStatus(
     updateData.n8n_response = n8nResponse
   }
   
-  if (status === 'failed') {
-    const { data: queue } = await supabase
-      .schema('sources')
-      .from('ingestion_queue')
-      .select('attempts, max_attempts')
-      .eq('id', queueId)
-      .single()
-    
-    if (queue && queue.attempts < queue.max_attempts) {
-      const delayMinutes = Math.pow(5, queue.attempts)
-      const nextRetry = new Date(Date.now() + delayMinutes * 60 * 1000)
-      updateData.next_retry_at = nextRetry.toISOString()
-    }
-  }
+  // next_retry_at (backoff exponentiel) est calculé par le trigger
+  // sources.schedule_ingestion_retry lors du passage en failed
   
   await supabase
     .schema('sources')
@@ -179,52 +209,97 @@ async function updateFileStatus(
     .eq('id', fileId)
 }
 
-// ============================================================================
-// MAIN HANDLER
-// ============================================================================
+/**
+ * v1.10: Appel authentifié avec la clé service (cron pg_net)
+ */
+function isServiceRequest(req: Request): boolean {
+  return req.headers.get('Authorization') === `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`
+}
 
-Deno.serve(async (req: Request) => {
-  // Handle CORS preflight
-  if (req.method === 'OPTIONS') {
-    return new Response('ok', { headers: corsHeaders })
+/**
+ * Construit le payload d'un job à partir du fichier source
+ * (jobs réservés par process_queue ou par un appel direct)
+ */
+function buildTriggerPayload(queueId: string, file: Record<string, any>): TriggerPayload {
+  const metadata = (file.metadata || {}) as Record<string, unknown>
+  
+  return {
+    queue_id: queueId,
+    file_id: file.id,
+    filename: file.original_filename,
+    storage_bucket: file.storage_bucket,
+    storage_path: file.storage_path,
+    mime_type: file.mime_type,
+    layer: file.layer,
+    org_id: file.org_id,
+    project_id: file.project_id,
+    created_by: file.created_by,
+    app_id: file.app_id,
+    metadata: {
+      ...metadata,
+      file_size: file.file_size,
+      target_project_ids: metadata.target_project_ids || (file.project_id ? [file.project_id] : []),
+    },
   }
+}
+
+/**
+ * Traite la queue : jobs en attente et retries échus, par priorité
+ */
+async function processQueue(
+  supabase: ReturnType<typeof createClient>,
+  limit: number
+): Promise<JobResult[]> {
+  const { data: claimed, error: claimError } = await supabase
+    .schema('sources')
+    .rpc('claim_ingestion_jobs', { p_limit: limit })
   
-  // Vérifier la méthode
-  if (req.method !== 'POST') {
-    return new Response(
-      JSON.stringify({ error: 'Method not allowed' }),
-      { status: 405, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    )
+  if (claimError) {
+    throw new Error(`claim_ingestion_jobs: ${claimError.message}`)
   }
   
-  console.log(`[trigger-ingestion] Starting - N8N URL: ${N8N_INGEST_URL}`)
+  const jobs = ((claimed || []) as QueueJob[])
+    .sort((a, b) => b.priority - a.priority || a.created_at.localeCompare(b.created_at))
   
-  // Créer le client Supabase avec service role
-  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
-    auth: { persistSession: false }
-  })
+  if (jobs.length === 0) return []
   
-  let payload: TriggerPayload
+  const { data: files, error: filesError } = await supabase
+    .schema('sources')
+    .from('files')
+    .select('*')
+    .in('id', jobs.map(job => job.file_id))
   
-  try {
-    payload = await req.json()
-    console.log(`[trigger-ingestion] Received: ${payload.filename} (queue: ${payload.queue_id})`)
-  } catch (error) {
-    console.error('[trigger-ingestion] Invalid JSON:', error)
-    return new Response(
-      JSON.stringify({ error: 'Invalid JSON payload' }),
-      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    )
+  if (filesError) {
+    throw new Error(`files: ${filesError.message}`)
   }
   
-  // Valider le payload
-  if (!payload.file_id || !payload.queue_id) {
-    return new Response(
-      JSON.stringify({ error: 'Missing file_id or queue_id' }),
-      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    )
+  const filesMap = new Map((files || []).map(file => [file.id, file]))
+  const results: JobResult[] = []
+  
+  // Séquentiel : N8N traite les fichiers un par un
+  for (const job of jobs) {
+    const file = filesMap.get(job.file_id)
+    
+    if (!file) {
+      await updateQueueStatus(supabase, job.id, 'failed', 'Source file not found')
+      results.push({ success: false, error: 'Source file not found', file_id: job.file_id })
+      continue
+    }
+    
+    console.log(`[trigger-ingestion] Processing ${file.original_filename} (priority ${job.priority})`)
+    results.push(await sendToN8N(supabase, buildTriggerPayload(job.id, file)))
   }
   
+  return results
+}
+
+/**
+ * Envoie un job réservé à N8N et met à jour la queue selon la réponse
+ */
+async function sendToN8N(
+  supabase: ReturnType<typeof createClient>,
+  payload: TriggerPayload
+): Promise<JobResult> {
   try {
     // Extraire les champs V2 depuis metadata si présents
     const documentTitle = (payload.metadata?.document_title as string) || 
@@ -284,18 +359,25 @@ Deno.serve(async (req: Request) => {
     
     console.log(`[trigger-ingestion] Payload for N8N:`, JSON.stringify(n8nPayload, null, 2))
     
+    // v1.8: solde épuisé → échec (retry automatique après recharge)
+    if (!(await hasCredits(supabase, payload.org_id))) {
+      throw new Error(CREDITS_EXHAUSTED_MESSAGE)
+    }
+    
     // Construire les headers pour N8N
     const n8nHeaders: Record<string, string> = {
       'Content-Type': 'application/json',
     }
     
-    if (N8N_WEBHOOK_SECRET) {
+    if (INGESTION_PIPELINE === 'local') {
+      n8nHeaders['Authorization'] = `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`
+    } else if (N8N_WEBHOOK_SECRET) {
       n8nHeaders['X-Baikal-Secret'] = N8N_WEBHOOK_SECRET
       console.log('[trigger-ingestion] Using webhook secret')
     }
     
-    // Appeler le webhook N8N
-    const n8nResponse = await fetch(N8N_INGEST_URL, {
+    // Appeler le webhook N8N (ou le pipeline local)
+    const n8nResponse = await fetch(INGEST_URL, {
       method: 'POST',
       headers: n8nHeaders,
       body: JSON.stringify(n8nPayload)
@@ -306,7 +388,7 @@ Deno.serve(async (req: Request) => {
     const n8nData = await n8nResponse.json().catch(() => ({}))
     
     if (!n8nResponse.ok) {
-      throw new Error(`N8N responded with ${n8nResponse.status}: ${JSON.stringify(n8nData)}`)
+      throw new Error(`${INGESTION_PIPELINE === 'local' ? 'ingest-local' : 'N8N'} responded with ${n8nResponse.status}: ${JSON.stringify(n8nData)}`)
     }
     
     console.log(`[trigger-ingestion] N8N accepted file: ${payload.file_id}`)
@@ -319,6 +401,13 @@ Deno.serve(async (req: Request) => {
       
       console.log(`[trigger-ingestion] N8N success - calling complete_ingestion_job (${chunksCount} chunks)`)
       
+      // v1.9: réponse conservée avant la complétion (total_pages lu pour la facturation)
+      await supabase
+        .schema('sources')
+        .from('ingestion_queue')
+        .update({ n8n_response: n8nData })
+        .eq('id', payload.queue_id)
+      
       // Appeler la RPC pour marquer comme completed (atomique)
       const { error: rpcError } = await supabase.rpc('complete_ingestion_job', {
         p_file_id: payload.file_id,
@@ -335,7 +424,7 @@ Deno.serve(async (req: Request) => {
       } else {
         console.log(`[trigger-ingestion] ✅ Marked as completed: ${chunksCount} chunks`)
       }
-      
+
     } else if (n8nData.success === false) {
       // N8N a retourné une erreur explicite
       const errorMsg = n8nData.error || n8nData.message || 'N8N processing failed'
@@ -362,15 +451,12 @@ Deno.serve(async (req: Request) => {
       await updateFileStatus(supabase, payload.file_id, 'processing')
     }
     
-    return new Response(
-      JSON.stringify({
-        success: true,
-        message: n8nData.success === true ? 'Completed' : 'Sent to N8N',
-        file_id: payload.file_id,
-        chunks_count: n8nData.inserted?.rag_documents || n8nData.total_chunks || 0
-      }),
-      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    )
+    return {
+      success: true,
+      message: n8nData.success === true ? 'Completed' : 'Sent to N8N',
+      file_id: payload.file_id,
+      chunks_count: n8nData.inserted?.rag_documents || n8nData.total_chunks || 0
+    }
     
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error'
@@ -382,13 +468,140 @@ Deno.serve(async (req: Request) => {
     // Mettre à jour le fichier (erreur)
     await updateFileStatus(supabase, payload.file_id, 'error', errorMessage)
     
+    return {
+      success: false,
+      error: errorMessage,
+      file_id: payload.file_id
+    }
+  }
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+Deno.serve(async (req: Request) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+  
+  // Vérifier la méthode
+  if (req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { status: 405, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+  
+  console.log(`[trigger-ingestion] Starting - pipeline: ${INGESTION_PIPELINE} (${INGEST_URL})`)
+  
+  // Créer le client Supabase avec service role
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false }
+  })
+  
+  let payload: { queue_id?: string; action?: string; limit?: number }
+  
+  try {
+    payload = await req.json()
+  } catch (error) {
+    console.error('[trigger-ingestion] Invalid JSON:', error)
+    return new Response(
+      JSON.stringify({ error: 'Invalid JSON payload' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+  
+  // =========================================================================
+  // v1.6: Traitement de la queue (cron)
+  // =========================================================================
+  if (payload.action === 'process_queue') {
+    if (!isServiceRequest(req)) {
+      return new Response(
+        JSON.stringify({ error: 'process_queue réservé à la clé service' }),
+        { status: 403, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+    
+    try {
+      const results = await processQueue(supabase, payload.limit || QUEUE_BATCH_SIZE)
+      console.log(`[trigger-ingestion] Queue processed: ${results.length} job(s)`)
+      
+      return new Response(
+        JSON.stringify({
+          success: true,
+          processed: results.length,
+          failed: results.filter(result => !result.success).length,
+          results
+        }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+      console.error(`[trigger-ingestion] Queue error: ${errorMessage}`)
+      return new Response(
+        JSON.stringify({ success: false, error: errorMessage }),
+        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+  }
+  
+  console.log(`[trigger-ingestion] Received: queue ${payload.queue_id}`)
+  
+  // Valider le payload
+  if (!payload.queue_id) {
     return new Response(
-      JSON.stringify({
-        success: false,
-        error: errorMessage,
-        file_id: payload.file_id
-      }),
+      JSON.stringify({ error: 'Missing queue_id' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+  
+  // Réserver le job : ignoré s'il est déjà envoyé, terminé ou annulé
+  const { data: claimed, error: claimError } = await supabase
+    .schema('sources')
+    .rpc('claim_ingestion_jobs', { p_limit: 1, p_queue_id: payload.queue_id })
+  
+  if (claimError) {
+    console.error(`[trigger-ingestion] Claim error: ${claimError.message}`)
+    return new Response(
+      JSON.stringify({ success: false, error: claimError.message, queue_id: payload.queue_id }),
       { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
+  
+  if (!claimed?.length) {
+    console.log(`[trigger-ingestion] Job ${payload.queue_id} not pending - skipped`)
+    return new Response(
+      JSON.stringify({ success: true, skipped: true, message: 'Job not pending', queue_id: payload.queue_id }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+  
+  // v1.10: payload construit depuis le fichier du job réservé
+  const job = claimed[0] as QueueJob
+  const { data: file, error: fileError } = await supabase
+    .schema('sources')
+    .from('files')
+    .select('*')
+    .eq('id', job.file_id)
+    .maybeSingle()
+  
+  if (fileError || !file) {
+    const errorMessage = fileError ? `files: ${fileError.message}` : 'Source file not found'
+    await updateQueueStatus(supabase, job.id, 'failed', errorMessage)
+    return new Response(
+      JSON.stringify({ success: false, error: errorMessage, file_id: job.file_id }),
+      { status: fileError ? 500 : 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+  
+  console.log(`[trigger-ingestion] Processing ${file.original_filename} (queue: ${job.id})`)
+  
+  const result = await sendToN8N(supabase, buildTriggerPayload(job.id, file))
+  
+  return new Response(
+    JSON.stringify(result),
+    { status: result.success ? 200 : 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
 })
@@ -1,7 +1,7 @@
 // ============================================================================
 // Edge Function : trigger-legifrance-sync
 // Proxy sécurisé pour déclencher le workflow n8n Légifrance
-// Version: 2.0.0 - Migration schémas
+// Version: 2.1.0 - Légifrance hors couche app réservé aux plans qui l'incluent
 // ============================================================================
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
@@ -34,7 +34,7 @@ serve(async (req) => {
   }
 
   try {
-    console.log('[trigger-legifrance-sync] v2.0.0 - Migration Schemas')
+    console.log('[trigger-legifrance-sync] v2.1.0 - Limites de plan')
 
     // 1. Vérifier l'authentification
     const authHeader = req.headers.get('Authorization')
@@ -103,6 +103,29 @@ serve(async (req) => {
       )
     }
 
+    // Hors couche app : Légifrance doit être inclus dans le plan de l'organisation
+    const layer = payload.layer || 'app'
+    if (layer !== 'app' && layer !== 'vertical') {
+      if (!payload.org_id) {
+        return new Response(
+          JSON.stringify({ error: 'org_id is required outside the app layer' }),
+          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        )
+      }
+
+      const { data: limits, error: limitsError } = await supabase
+        .schema('core')
+        .rpc('get_organization_limits', { p_org_id: payload.org_id })
+
+      if (limitsError || !limits?.legifrance) {
+        console.error('[trigger-legifrance-sync] Legifrance not in plan:', payload.org_id, limitsError)
+        return new Response(
+          JSON.stringify({ error: 'L\'accès Légifrance n\'est pas inclus dans le plan de l\'organisation', code: 'plan_limit' }),
+          { status: 403, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        )
+      }
+    }
+
     // Ajouter l'ID de l'utilisateur si non fourni
     if (!payload.triggered_by) {
       payload.triggered_by = user.id
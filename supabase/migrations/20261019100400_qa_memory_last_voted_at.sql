@@ -0,0 +1,17 @@
+-- ============================================================================
+-- MÉMOIRE COLLECTIVE : Migration - rag.qa_memory.last_voted_at
+-- Date du dernier vote (baikal-vote v1.1.0), affichée dans /admin/qa-memory.
+-- updated_at ne suffit pas : il est aussi modifié par les éditions admin.
+-- ============================================================================
+
+ALTER TABLE rag.qa_memory
+    ADD COLUMN IF NOT EXISTS last_voted_at TIMESTAMPTZ;
+
+-- Initialisation : on considère la dernière mise à jour connue comme dernier vote
+UPDATE rag.qa_memory
+    SET last_voted_at = COALESCE(updated_at, created_at)
+    WHERE last_voted_at IS NULL;
+
+-- Index pour le tri par date de vote (page d'administration)
+CREATE INDEX IF NOT EXISTS idx_qa_memory_last_voted_at
+    ON rag.qa_memory(last_voted_at DESC);
@@ -0,0 +1,97 @@
+-- ============================================================================
+-- MÉMOIRE COLLECTIVE : Migration - Fusion de doublons (rag.merge_qa_memory)
+-- Fusion atomique (super_admin, /admin/qa-memory) : la Q/A cible absorbe les
+-- doublons, qui sont supprimés dans la même transaction.
+--
+-- trust_score est recalculé et non additionné : un validateur ayant voté
+-- pour plusieurs des Q/A fusionnées ne compte qu'une fois. Les votes
+-- négatifs et rétrogradations (validateurs - trust_score de chaque Q/A)
+-- restent déduits.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION rag.merge_qa_memory(
+    p_target_id UUID,
+    p_duplicate_ids UUID[]
+)
+RETURNS rag.qa_memory
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_ids UUID[];
+    v_found INTEGER;
+    v_penalty INTEGER;
+    v_result rag.qa_memory;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM core.profiles p
+        WHERE p.id = auth.uid()
+        AND p.app_role = 'super_admin'
+    ) THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    v_ids := ARRAY(
+        SELECT DISTINCT d FROM unnest(p_duplicate_ids) d
+        WHERE d IS NOT NULL AND d <> p_target_id
+    );
+
+    IF cardinality(v_ids) = 0 THEN
+        RAISE EXCEPTION 'Sélectionnez au moins un doublon à fusionner';
+    END IF;
+
+    SELECT count(*) INTO v_found
+    FROM (
+        SELECT q.id FROM rag.qa_memory q
+        WHERE q.id = p_target_id OR q.id = ANY(v_ids)
+        FOR UPDATE
+    ) locked;
+
+    IF v_found <> cardinality(v_ids) + 1 THEN
+        RAISE EXCEPTION 'Q/A cible ou doublon introuvable';
+    END IF;
+
+    -- Votes négatifs et rétrogradations de chaque Q/A
+    SELECT COALESCE(sum(GREATEST(COALESCE(cardinality(q.validators_ids), 0) - COALESCE(q.trust_score, 0), 0)), 0)
+    INTO v_penalty
+    FROM rag.qa_memory q
+    WHERE q.id = p_target_id OR q.id = ANY(v_ids);
+
+    UPDATE rag.qa_memory t
+    SET validators_ids = merged.validators_ids,
+        trust_score = COALESCE(cardinality(merged.validators_ids), 0) - v_penalty,
+        usage_count = merged.usage_count,
+        source_file_ids = merged.source_file_ids,
+        is_expert_faq = merged.is_expert_faq,
+        last_voted_at = merged.last_voted_at,
+        updated_at = NOW()
+    FROM (
+        SELECT
+            ARRAY(
+                SELECT DISTINCT v
+                FROM rag.qa_memory q, unnest(q.validators_ids) v
+                WHERE (q.id = p_target_id OR q.id = ANY(v_ids)) AND v IS NOT NULL
+            ) AS validators_ids,
+            ARRAY(
+                SELECT DISTINCT f
+                FROM rag.qa_memory q, unnest(q.source_file_ids) f
+                WHERE (q.id = p_target_id OR q.id = ANY(v_ids)) AND f IS NOT NULL
+            ) AS source_file_ids,
+            (SELECT COALESCE(sum(q.usage_count), 0) FROM rag.qa_memory q
+                WHERE q.id = p_target_id OR q.id = ANY(v_ids)) AS usage_count,
+            (SELECT COALESCE(bool_or(q.is_expert_faq), FALSE) FROM rag.qa_memory q
+                WHERE q.id = p_target_id OR q.id = ANY(v_ids)) AS is_expert_faq,
+            (SELECT max(q.last_voted_at) FROM rag.qa_memory q
+                WHERE q.id = p_target_id OR q.id = ANY(v_ids)) AS last_voted_at
+    ) merged
+    WHERE t.id = p_target_id
+    RETURNING t.* INTO v_result;
+
+    DELETE FROM rag.qa_memory q WHERE q.id = ANY(v_ids);
+
+    RETURN v_result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION rag.merge_qa_memory(UUID, UUID[]) TO authenticated;
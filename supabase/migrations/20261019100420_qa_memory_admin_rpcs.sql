@@ -0,0 +1,126 @@
+-- ============================================================================
+-- MÉMOIRE COLLECTIVE : Migration - Édition, rétrogradation et suppression
+-- (rag.update_qa_memory, rag.demote_qa_memory, rag.delete_qa_memory)
+-- Opérations super_admin de /admin/qa-memory. Comme rag.merge_qa_memory,
+-- elles passent par des RPC qui vérifient le rôle : aucune écriture directe
+-- sur rag.qa_memory n'est nécessaire côté frontend.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Édition (question, réponse, statut FAQ expert) : un paramètre NULL laisse
+-- la valeur inchangée. Si la question change, l'embedding doit être régénéré
+-- (baikal-vote, action reembed).
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION rag.update_qa_memory(
+    p_id UUID,
+    p_question_text TEXT DEFAULT NULL,
+    p_answer_text TEXT DEFAULT NULL,
+    p_is_expert_faq BOOLEAN DEFAULT NULL
+)
+RETURNS rag.qa_memory
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_result rag.qa_memory;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM core.profiles p
+        WHERE p.id = auth.uid()
+        AND p.app_role = 'super_admin'
+    ) THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    IF p_question_text IS NOT NULL AND trim(p_question_text) = '' THEN
+        RAISE EXCEPTION 'La question est requise';
+    END IF;
+
+    IF p_answer_text IS NOT NULL AND trim(p_answer_text) = '' THEN
+        RAISE EXCEPTION 'La réponse est requise';
+    END IF;
+
+    UPDATE rag.qa_memory q
+    SET question_text = COALESCE(trim(p_question_text), q.question_text),
+        answer_text = COALESCE(trim(p_answer_text), q.answer_text),
+        is_expert_faq = COALESCE(p_is_expert_faq, q.is_expert_faq),
+        updated_at = NOW()
+    WHERE q.id = p_id
+    RETURNING q.* INTO v_result;
+
+    IF v_result.id IS NULL THEN
+        RAISE EXCEPTION 'Q/A introuvable';
+    END IF;
+
+    RETURN v_result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION rag.update_qa_memory(UUID, TEXT, TEXT, BOOLEAN) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Rétrogradation : la Q/A n'est plus réutilisée par le librarian
+-- (trust_score ramené sous le seuil de 3, statut FAQ expert retiré)
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION rag.demote_qa_memory(p_id UUID)
+RETURNS rag.qa_memory
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_result rag.qa_memory;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM core.profiles p
+        WHERE p.id = auth.uid()
+        AND p.app_role = 'super_admin'
+    ) THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    UPDATE rag.qa_memory q
+    SET trust_score = LEAST(COALESCE(q.trust_score, 0), 2),
+        is_expert_faq = FALSE,
+        updated_at = NOW()
+    WHERE q.id = p_id
+    RETURNING q.* INTO v_result;
+
+    IF v_result.id IS NULL THEN
+        RAISE EXCEPTION 'Q/A introuvable';
+    END IF;
+
+    RETURN v_result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION rag.demote_qa_memory(UUID) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Suppression
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION rag.delete_qa_memory(p_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM core.profiles p
+        WHERE p.id = auth.uid()
+        AND p.app_role = 'super_admin'
+    ) THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    DELETE FROM rag.qa_memory q WHERE q.id = p_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Q/A introuvable';
+    END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION rag.delete_qa_memory(UUID) TO authenticated;
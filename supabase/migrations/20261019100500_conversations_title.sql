@@ -0,0 +1,12 @@
+-- ============================================================================
+-- ASSISTANT RAG : Migration - rag.conversations.title
+-- Titre éditable des conversations (historique du chat, renommage utilisateur).
+-- À défaut de titre, le frontend affiche la première question.
+-- ============================================================================
+
+ALTER TABLE rag.conversations
+    ADD COLUMN IF NOT EXISTS title TEXT;
+
+-- Index pour l'historique par utilisateur
+CREATE INDEX IF NOT EXISTS idx_conversations_user_updated
+    ON rag.conversations(user_id, updated_at DESC);
@@ -0,0 +1,49 @@
+-- ============================================================================
+-- ASSISTANT RAG : Migration - Recherche dans l'historique des conversations
+-- rag.search_conversations : conversations d'un utilisateur dont le titre ou
+-- le texte d'un message contient le terme, les plus récentes d'abord. La
+-- limite s'applique après la recherche : les anciennes conversations
+-- restent trouvables.
+--
+-- SECURITY INVOKER : mêmes droits (RLS) que la lecture directe de
+-- rag.conversations / rag.messages par le frontend.
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_created
+    ON rag.messages(conversation_id, created_at);
+
+CREATE OR REPLACE FUNCTION rag.search_conversations(
+    p_user_id UUID,
+    p_search TEXT,
+    p_app_id TEXT DEFAULT NULL,
+    p_project_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (conversation_id UUID, match_content TEXT)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+    WITH term AS (
+        SELECT '%' || replace(replace(replace(trim(p_search), '\', '\\'), '%', '\%'), '_', '\_') || '%' AS pattern
+    )
+    SELECT c.id, hit.content
+    FROM term, rag.conversations c
+    LEFT JOIN LATERAL (
+        SELECT m.content
+        FROM rag.messages m
+        WHERE m.conversation_id = c.id
+        AND m.content ILIKE (SELECT pattern FROM term)
+        ORDER BY m.created_at
+        LIMIT 1
+    ) hit ON TRUE
+    WHERE c.user_id = p_user_id
+    AND (p_app_id IS NULL OR c.app_id::TEXT = p_app_id)
+    AND (p_project_id IS NULL OR c.project_id = p_project_id)
+    AND (c.title ILIKE term.pattern OR hit.content IS NOT NULL)
+    ORDER BY c.updated_at DESC
+    LIMIT LEAST(GREATEST(COALESCE(p_limit, 50), 1), 200);
+$$;
+
+GRANT EXECUTE ON FUNCTION rag.search_conversations(UUID, TEXT, TEXT, UUID, INTEGER) TO authenticated;
@@ -0,0 +1,34 @@
+-- ============================================================================
+-- INGESTION : Migration - Re-crawl périodique des pages web
+-- Les pages importées via la source "Page Web" sont des sources.files avec
+-- metadata.source_type = 'web', metadata.source_url et, si le re-crawl est
+-- activé, metadata.recrawl_interval_days.
+-- Chaque nuit, l'Edge Function ingest-web-page (action recrawl) compare le
+-- hash du contenu et relance l'ingestion des pages modifiées.
+--
+-- Prérequis : extensions pg_cron et pg_net, secrets Vault 'project_url'
+-- et 'service_role_key'.
+-- ============================================================================
+
+-- Index pour retrouver les pages web (doublons, re-crawl)
+CREATE INDEX IF NOT EXISTS idx_files_web_source_url
+    ON sources.files ((metadata->>'source_url'))
+    WHERE metadata->>'source_type' = 'web';
+
+-- Job quotidien (03:00 UTC)
+SELECT cron.schedule(
+    'web-sources-recrawl',
+    '0 3 * * *',
+    $$
+    SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+            || '/functions/v1/ingest-web-page',
+        headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{"action": "recrawl"}'::jsonb,
+        timeout_milliseconds := 300000
+    );
+    $$
+);
@@ -0,0 +1,194 @@
+-- ============================================================================
+-- INGESTION : Migration - Connecteurs API
+-- Un connecteur décrit une source externe synchronisée périodiquement
+-- (API REST/JSON paginée, dossier WebDAV/SharePoint...) et sa cible RAG
+-- (layer, app, org, projets). Chaque exécution est tracée dans
+-- sources.connector_runs, sur le modèle de legifrance.sync_jobs.
+--
+-- Les identifiants ne sont jamais stockés ici : credentials_ref est le
+-- suffixe d'un secret Vault, lu uniquement par l'Edge Function run-connector.
+-- Le nom complet est imposé par sources.get_connector_secret :
+--   connector_<org_id>_<credentials_ref>  (couches org / project)
+--   connector_app_<credentials_ref>       (couche app, super_admin)
+-- Un org_admin ne peut donc désigner que des secrets de son organisation,
+-- jamais un secret de la plateforme (service_role_key...).
+--
+-- Prérequis : extensions pg_cron et pg_net, secrets Vault 'project_url'
+-- et 'service_role_key'.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Table des connecteurs
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS sources.connectors (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    connector_type TEXT NOT NULL CHECK (connector_type IN ('rest_json', 'webdav')),
+    config JSONB NOT NULL DEFAULT '{}'::jsonb,
+    credentials_ref TEXT CHECK (credentials_ref ~ '^[a-z0-9_]{1,64}$'),
+    schedule TEXT NOT NULL DEFAULT 'manual' CHECK (schedule IN ('manual', 'hourly', 'daily', 'weekly')),
+    layer TEXT NOT NULL CHECK (layer IN ('app', 'org', 'project')),
+    app_id TEXT NOT NULL,
+    org_id UUID REFERENCES core.organizations(id) ON DELETE CASCADE,
+    project_ids UUID[] NOT NULL DEFAULT '{}',
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    last_run_at TIMESTAMPTZ,
+    last_run_status TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT connectors_org_required CHECK (layer = 'app' OR org_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_connectors_org_id ON sources.connectors(org_id);
+CREATE INDEX IF NOT EXISTS idx_connectors_scheduled
+    ON sources.connectors(schedule)
+    WHERE enabled AND schedule <> 'manual';
+
+-- ----------------------------------------------------------------------------
+-- Historique des exécutions (même cycle de vie que legifrance.sync_jobs)
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS sources.connector_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    connector_id UUID NOT NULL REFERENCES sources.connectors(id) ON DELETE CASCADE,
+    trigger TEXT NOT NULL DEFAULT 'manual' CHECK (trigger IN ('manual', 'schedule')),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    duration_seconds INTEGER,
+    items_found INTEGER NOT NULL DEFAULT 0,
+    items_created INTEGER NOT NULL DEFAULT 0,
+    items_updated INTEGER NOT NULL DEFAULT 0,
+    items_unchanged INTEGER NOT NULL DEFAULT 0,
+    items_failed INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    -- [{ external_id, title, error }] : erreurs par élément
+    error_details JSONB NOT NULL DEFAULT '[]'::jsonb,
+    triggered_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_connector_runs_connector
+    ON sources.connector_runs(connector_id, created_at DESC);
+
+-- Fichiers importés par un connecteur (rapprochement external_id → file)
+CREATE INDEX IF NOT EXISTS idx_files_connector_item
+    ON sources.files ((metadata->>'connector_id'), (metadata->>'external_id'))
+    WHERE metadata->>'source_type' = 'connector';
+
+-- ----------------------------------------------------------------------------
+-- updated_at automatique
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION sources.update_connectors_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_connectors_updated_at ON sources.connectors;
+CREATE TRIGGER trigger_update_connectors_updated_at
+    BEFORE UPDATE ON sources.connectors
+    FOR EACH ROW
+    EXECUTE FUNCTION sources.update_connectors_updated_at();
+
+-- ----------------------------------------------------------------------------
+-- RLS : super_admin (tout) et org_admin (connecteurs de son organisation)
+-- Les exécutions sont écrites par run-connector (service role).
+-- ----------------------------------------------------------------------------
+ALTER TABLE sources.connectors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sources.connector_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins manage connectors" ON sources.connectors;
+CREATE POLICY "Admins manage connectors"
+    ON sources.connectors
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1 FROM core.profiles p
+            WHERE p.id = auth.uid()
+            AND (
+                p.app_role = 'super_admin'
+                OR (p.app_role = 'org_admin' AND p.org_id = connectors.org_id AND connectors.layer <> 'app')
+            )
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM core.profiles p
+            WHERE p.id = auth.uid()
+            AND (
+                p.app_role = 'super_admin'
+                OR (p.app_role = 'org_admin' AND p.org_id = connectors.org_id AND connectors.layer <> 'app')
+            )
+        )
+        -- Projets cibles : uniquement ceux de l'organisation du connecteur
+        AND NOT EXISTS (
+            SELECT 1 FROM unnest(connectors.project_ids) AS target(project_id)
+            WHERE NOT EXISTS (
+                SELECT 1 FROM core.projects pr
+                WHERE pr.id = target.project_id
+                AND pr.org_id = connectors.org_id
+            )
+        )
+    );
+
+DROP POLICY IF EXISTS "Admins view connector runs" ON sources.connector_runs;
+CREATE POLICY "Admins view connector runs"
+    ON sources.connector_runs
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM sources.connectors c
+            WHERE c.id = connector_runs.connector_id
+        )
+    );
+
+-- ----------------------------------------------------------------------------
+-- Lecture du secret Vault d'un connecteur (service role uniquement)
+-- Le nom est construit ici à partir du connecteur (espace de noms par
+-- organisation) : aucun nom choisi par l'appelant n'atteint vault.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION sources.get_connector_secret(p_connector_id UUID)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+    SELECT s.decrypted_secret
+    FROM sources.connectors c
+    JOIN vault.decrypted_secrets s
+        ON s.name = 'connector_'
+            || CASE WHEN c.layer = 'app' THEN 'app' ELSE c.org_id::TEXT END
+            || '_' || c.credentials_ref
+    WHERE c.id = p_connector_id
+    AND c.credentials_ref ~ '^[a-z0-9_]{1,64}$'
+    AND (c.layer = 'app' OR c.org_id IS NOT NULL)
+    LIMIT 1;
+$$;
+
+REVOKE ALL ON FUNCTION sources.get_connector_secret(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION sources.get_connector_secret(UUID) TO service_role;
+
+-- ----------------------------------------------------------------------------
+-- Job horaire : run-connector (action run_due) exécute les connecteurs échus
+-- ----------------------------------------------------------------------------
+SELECT cron.schedule(
+    'ingestion-connectors',
+    '15 * * * *',
+    $$
+    SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+            || '/functions/v1/run-connector',
+        headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{"action": "run_due"}'::jsonb,
+        timeout_milliseconds := 300000
+    );
+    $$
+);
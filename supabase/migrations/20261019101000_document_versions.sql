@@ -0,0 +1,213 @@
+-- ============================================================================
+-- RAG : Migration - Versions de documents (remplacement / supersede)
+-- Un fichier uploadé comme "nouvelle version de…" pointe vers la version
+-- précédente (sources.files.previous_version_id). Quand son ingestion est
+-- terminée, la version précédente et ses chunks sont marqués superseded :
+-- ils restent consultables (historique) mais match_documents_v13 les exclut
+-- par défaut (p_include_superseded = false).
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Colonnes de version
+-- ----------------------------------------------------------------------------
+ALTER TABLE sources.files
+    ADD COLUMN IF NOT EXISTS previous_version_id UUID REFERENCES sources.files(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS version_number INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS superseded_by UUID REFERENCES sources.files(id) ON DELETE SET NULL;
+
+ALTER TABLE rag.documents
+    ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMPTZ;
+
+-- Une version ne peut être remplacée que par une seule nouvelle version
+CREATE UNIQUE INDEX IF NOT EXISTS idx_files_previous_version
+    ON sources.files(previous_version_id)
+    WHERE previous_version_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_documents_superseded
+    ON rag.documents(source_file_id)
+    WHERE superseded_at IS NOT NULL;
+
+-- ----------------------------------------------------------------------------
+-- Supersede automatique à la fin de l'ingestion de la nouvelle version
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION sources.supersede_previous_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_previous_id UUID;
+BEGIN
+    SELECT previous_version_id INTO v_previous_id
+    FROM sources.files
+    WHERE id = NEW.file_id;
+
+    IF v_previous_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    UPDATE sources.files
+    SET superseded_at = NOW(), superseded_by = NEW.file_id
+    WHERE id = v_previous_id
+    AND superseded_at IS NULL;
+
+    UPDATE rag.documents
+    SET superseded_at = NOW()
+    WHERE source_file_id = v_previous_id
+    AND superseded_at IS NULL;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_supersede_previous_version ON sources.ingestion_queue;
+CREATE TRIGGER trigger_supersede_previous_version
+    AFTER UPDATE OF status ON sources.ingestion_queue
+    FOR EACH ROW
+    WHEN (NEW.status = 'completed' AND OLD.status IS DISTINCT FROM 'completed')
+    EXECUTE FUNCTION sources.supersede_previous_version();
+
+-- ----------------------------------------------------------------------------
+-- Historique des versions d'un fichier (toute la chaîne, de la v1 à la dernière)
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION sources.get_file_versions(p_file_id UUID)
+RETURNS TABLE (
+    id UUID,
+    original_filename TEXT,
+    version_number INTEGER,
+    previous_version_id UUID,
+    processing_status TEXT,
+    chunk_count INTEGER,
+    created_by UUID,
+    created_at TIMESTAMPTZ,
+    superseded_at TIMESTAMPTZ,
+    metadata JSONB
+)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH RECURSIVE ancestors AS (
+        SELECT f.id, f.previous_version_id, 0 AS depth
+        FROM sources.files f
+        WHERE f.id = p_file_id
+        UNION ALL
+        SELECT f.id, f.previous_version_id, a.depth + 1
+        FROM sources.files f
+        JOIN ancestors a ON f.id = a.previous_version_id
+        WHERE a.depth < 100
+    ),
+    root AS (
+        SELECT id FROM ancestors ORDER BY depth DESC LIMIT 1
+    ),
+    chain AS (
+        SELECT f.id, 0 AS depth
+        FROM sources.files f
+        WHERE f.id = (SELECT id FROM root)
+        UNION ALL
+        SELECT f.id, c.depth + 1
+        FROM sources.files f
+        JOIN chain c ON f.previous_version_id = c.id
+        WHERE c.depth < 100
+    )
+    SELECT f.id, f.original_filename, f.version_number, f.previous_version_id,
+           f.processing_status, f.chunk_count, f.created_by, f.created_at,
+           f.superseded_at, f.metadata
+    FROM chain c
+    JOIN sources.files f ON f.id = c.id
+    ORDER BY f.version_number DESC, f.created_at DESC;
+$$;
+
+GRANT EXECUTE ON FUNCTION sources.get_file_versions(UUID) TO authenticated, service_role;
+
+-- ----------------------------------------------------------------------------
+-- match_documents_v13 : exclusion des chunks superseded par défaut
+-- La fonction existante est renommée en match_documents_v13_base puis
+-- enveloppée avec la même signature + p_include_superseded (défaut false),
+-- afin que les appelants actuels (librarian-v4) n'aient rien à changer.
+--
+-- La base applique match_count elle-même : hors p_include_superseded, le
+-- wrapper lui demande 2 × match_count chunks puis filtre et coupe à
+-- match_count, pour ne pas renvoyer moins de résultats que demandé (facteur
+-- fixe : aucun comptage de la table à chaque recherche).
+-- SECURITY INVOKER : aucun droit de plus que l'appelant.
+-- ----------------------------------------------------------------------------
+DO $migration$
+DECLARE
+    v_oid OID;
+    v_args TEXT;
+    v_result TEXT;
+    v_call TEXT;
+    v_columns TEXT;
+BEGIN
+    -- Idempotence : wrapper déjà en place
+    IF EXISTS (
+        SELECT 1 FROM pg_proc p
+        JOIN pg_namespace n ON n.oid = p.pronamespace
+        WHERE n.nspname = 'rag' AND p.proname = 'match_documents_v13_base'
+    ) THEN
+        RETURN;
+    END IF;
+
+    SELECT p.oid INTO v_oid
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE n.nspname = 'rag' AND p.proname = 'match_documents_v13';
+
+    IF v_oid IS NULL THEN
+        RAISE EXCEPTION 'rag.match_documents_v13 introuvable';
+    END IF;
+
+    v_args := pg_get_function_arguments(v_oid);
+    v_result := pg_get_function_result(v_oid);
+
+    -- Appel par nom des paramètres d'entrée (les colonnes TABLE sont exclues),
+    -- match_count sur-dimensionné
+    SELECT string_agg(
+        CASE WHEN p.proargnames[i] = 'match_count' THEN
+            'match_count => CASE WHEN p_include_superseded THEN match_count ELSE match_count * 2 END'
+        ELSE format('%1$I => %1$I', p.proargnames[i])
+        END, ', ' ORDER BY i)
+    INTO v_call
+    FROM pg_proc p, generate_subscripts(p.proargnames, 1) AS i
+    WHERE p.oid = v_oid
+    AND (p.proargmodes IS NULL OR p.proargmodes[i] IN ('i', 'b', 'v'));
+
+    -- Colonnes TABLE, sans la colonne ordinality du wrapper
+    SELECT string_agg(format('m.%I', p.proargnames[i]), ', ' ORDER BY i)
+    INTO v_columns
+    FROM pg_proc p, generate_subscripts(p.proargnames, 1) AS i
+    WHERE p.oid = v_oid
+    AND p.proargmodes[i] = 't';
+
+    IF v_call NOT LIKE '%match_count => CASE%' OR v_columns IS NULL THEN
+        RAISE EXCEPTION 'rag.match_documents_v13 : signature inattendue (match_count / RETURNS TABLE)';
+    END IF;
+
+    EXECUTE format('ALTER FUNCTION %s RENAME TO match_documents_v13_base', v_oid::regprocedure);
+
+    EXECUTE format($wrapper$
+        CREATE FUNCTION rag.match_documents_v13(%s, p_include_superseded BOOLEAN DEFAULT false)
+        RETURNS %s
+        LANGUAGE sql
+        STABLE
+        SECURITY INVOKER
+        SET search_path = ''
+        AS $body$
+            SELECT %s
+            FROM rag.match_documents_v13_base(%s) WITH ORDINALITY AS m
+            WHERE p_include_superseded
+            OR NOT EXISTS (
+                SELECT 1 FROM rag.documents d
+                WHERE d.id = m.out_chunk_id
+                AND d.superseded_at IS NOT NULL
+            )
+            ORDER BY m.ordinality
+            LIMIT match_count
+        $body$
+    $wrapper$, v_args, v_result, v_columns, v_call);
+
+    EXECUTE 'GRANT EXECUTE ON FUNCTION rag.match_documents_v13 TO authenticated, service_role';
+END;
+$migration$;
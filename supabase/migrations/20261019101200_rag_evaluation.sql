@@ -0,0 +1,156 @@
+-- ============================================================================
+-- RAG : Migration - Évaluation hors ligne (golden sets)
+-- Un golden set regroupe, par app, des triplets question / sources attendues /
+-- réponse attendue. Une exécution (eval_runs) rejoue toutes les questions via
+-- brain-v3 + librarian-v4 avec un prompt librarian choisi, puis enregistre
+-- pour chaque question la réponse, les sources et les métriques :
+-- - retrieval_hit      : au moins une source attendue parmi les sources citées
+-- - citation_accuracy  : part des citations [Document, ...] de la réponse qui
+--                        désignent une source attendue
+-- - answer_similarity  : similarité cosinus (embeddings) avec la réponse attendue
+--
+-- Les exécutions et résultats sont écrits par l'Edge Function run-evaluation
+-- (service role), par lots successifs.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Golden sets et questions
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS rag.eval_sets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    app_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_eval_sets_app ON rag.eval_sets(app_id);
+
+CREATE TABLE IF NOT EXISTS rag.eval_questions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    set_id UUID NOT NULL REFERENCES rag.eval_sets(id) ON DELETE CASCADE,
+    question TEXT NOT NULL,
+    -- Noms de documents attendus (nom de fichier ou titre, correspondance partielle)
+    expected_sources TEXT[] NOT NULL DEFAULT '{}',
+    expected_answer TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_eval_questions_set ON rag.eval_questions(set_id, position);
+
+-- ----------------------------------------------------------------------------
+-- Exécutions et résultats
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS rag.eval_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    set_id UUID NOT NULL REFERENCES rag.eval_sets(id) ON DELETE CASCADE,
+    -- Prompt librarian évalué (NULL = prompt actif) + libellé figé
+    prompt_id UUID REFERENCES config.agent_prompts(id) ON DELETE SET NULL,
+    prompt_name TEXT,
+    org_id UUID REFERENCES core.organizations(id) ON DELETE SET NULL,
+    project_id UUID,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    question_count INTEGER NOT NULL DEFAULT 0,
+    completed_count INTEGER NOT NULL DEFAULT 0,
+    retrieval_hit_rate NUMERIC,
+    citation_accuracy NUMERIC,
+    answer_similarity NUMERIC,
+    avg_latency_ms INTEGER,
+    error_message TEXT,
+    triggered_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_eval_runs_set ON rag.eval_runs(set_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS rag.eval_results (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    run_id UUID NOT NULL REFERENCES rag.eval_runs(id) ON DELETE CASCADE,
+    question_id UUID REFERENCES rag.eval_questions(id) ON DELETE SET NULL,
+    -- Copie de la question au moment de l'exécution (historique stable)
+    question TEXT NOT NULL,
+    expected_sources TEXT[] NOT NULL DEFAULT '{}',
+    expected_answer TEXT,
+    answer TEXT,
+    sources JSONB NOT NULL DEFAULT '[]'::jsonb,
+    generation_mode TEXT,
+    retrieval_hit BOOLEAN,
+    citation_accuracy NUMERIC,
+    answer_similarity NUMERIC,
+    latency_ms INTEGER,
+    error_message TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT eval_results_run_question_unique UNIQUE (run_id, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_eval_results_run ON rag.eval_results(run_id);
+
+-- ----------------------------------------------------------------------------
+-- updated_at automatique
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION rag.update_eval_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_eval_sets_updated_at ON rag.eval_sets;
+CREATE TRIGGER trigger_update_eval_sets_updated_at
+    BEFORE UPDATE ON rag.eval_sets
+    FOR EACH ROW
+    EXECUTE FUNCTION rag.update_eval_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_update_eval_questions_updated_at ON rag.eval_questions;
+CREATE TRIGGER trigger_update_eval_questions_updated_at
+    BEFORE UPDATE ON rag.eval_questions
+    FOR EACH ROW
+    EXECUTE FUNCTION rag.update_eval_updated_at();
+
+-- ----------------------------------------------------------------------------
+-- RLS : super_admin uniquement (comme la configuration des prompts)
+-- Les exécutions et résultats sont écrits par run-evaluation (service role).
+-- ----------------------------------------------------------------------------
+ALTER TABLE rag.eval_sets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rag.eval_questions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rag.eval_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rag.eval_results ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Super admins manage eval sets" ON rag.eval_sets;
+CREATE POLICY "Super admins manage eval sets"
+    ON rag.eval_sets
+    FOR ALL
+    USING (EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin'))
+    WITH CHECK (EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin'));
+
+DROP POLICY IF EXISTS "Super admins manage eval questions" ON rag.eval_questions;
+CREATE POLICY "Super admins manage eval questions"
+    ON rag.eval_questions
+    FOR ALL
+    USING (EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin'))
+    WITH CHECK (EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin'));
+
+DROP POLICY IF EXISTS "Super admins view eval runs" ON rag.eval_runs;
+CREATE POLICY "Super admins view eval runs"
+    ON rag.eval_runs
+    FOR SELECT
+    USING (EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin'));
+
+DROP POLICY IF EXISTS "Super admins delete eval runs" ON rag.eval_runs;
+CREATE POLICY "Super admins delete eval runs"
+    ON rag.eval_runs
+    FOR DELETE
+    USING (EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin'));
+
+DROP POLICY IF EXISTS "Super admins view eval results" ON rag.eval_results;
+CREATE POLICY "Super admins view eval results"
+    ON rag.eval_results
+    FOR SELECT
+    USING (EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin'));
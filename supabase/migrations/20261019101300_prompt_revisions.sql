@@ -0,0 +1,147 @@
+-- ============================================================================
+-- CONFIG : Migration - Historique des versions des prompts
+-- Chaque enregistrement de config.agent_prompts (création ou modification du
+-- contenu) est conservé dans config.agent_prompt_revisions avec son auteur.
+-- Une révision peut être restaurée : son contenu redevient celui du prompt
+-- (ce qui crée une nouvelle révision, marquée restored_from_revision).
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Table des révisions
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS config.agent_prompt_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    prompt_id UUID NOT NULL REFERENCES config.agent_prompts(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    system_prompt TEXT,
+    gemini_system_prompt TEXT,
+    parameters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- Révision d'origine lorsqu'il s'agit d'une restauration
+    restored_from_revision INTEGER,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT agent_prompt_revisions_number_unique UNIQUE (prompt_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_prompt_revisions_prompt
+    ON config.agent_prompt_revisions(prompt_id, revision_number DESC);
+
+-- ----------------------------------------------------------------------------
+-- Enregistrement automatique à chaque sauvegarde du contenu
+-- (un simple changement de statut is_active ne crée pas de révision)
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION config.record_prompt_revision()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_next INTEGER;
+BEGIN
+    IF TG_OP = 'UPDATE'
+        AND NEW.name IS NOT DISTINCT FROM OLD.name
+        AND NEW.description IS NOT DISTINCT FROM OLD.description
+        AND NEW.system_prompt IS NOT DISTINCT FROM OLD.system_prompt
+        AND NEW.gemini_system_prompt IS NOT DISTINCT FROM OLD.gemini_system_prompt
+        AND NEW.parameters IS NOT DISTINCT FROM OLD.parameters
+    THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT COALESCE(MAX(revision_number), 0) + 1 INTO v_next
+    FROM config.agent_prompt_revisions
+    WHERE prompt_id = NEW.id;
+
+    INSERT INTO config.agent_prompt_revisions (
+        prompt_id, revision_number, name, description, system_prompt,
+        gemini_system_prompt, parameters, restored_from_revision, created_by
+    ) VALUES (
+        NEW.id, v_next, NEW.name, NEW.description, NEW.system_prompt,
+        NEW.gemini_system_prompt, COALESCE(NEW.parameters, '{}'::jsonb),
+        NULLIF(current_setting('config.restored_from_revision', true), '')::INTEGER,
+        auth.uid()
+    );
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_record_prompt_revision ON config.agent_prompts;
+CREATE TRIGGER trigger_record_prompt_revision
+    AFTER INSERT OR UPDATE ON config.agent_prompts
+    FOR EACH ROW
+    EXECUTE FUNCTION config.record_prompt_revision();
+
+-- ----------------------------------------------------------------------------
+-- Révision initiale des prompts existants
+-- ----------------------------------------------------------------------------
+INSERT INTO config.agent_prompt_revisions (
+    prompt_id, revision_number, name, description, system_prompt,
+    gemini_system_prompt, parameters, created_at
+)
+SELECT p.id, 1, p.name, p.description, p.system_prompt,
+       p.gemini_system_prompt, COALESCE(p.parameters, '{}'::jsonb),
+       COALESCE(p.updated_at, p.created_at, NOW())
+FROM config.agent_prompts p
+WHERE NOT EXISTS (
+    SELECT 1 FROM config.agent_prompt_revisions r WHERE r.prompt_id = p.id
+);
+
+-- ----------------------------------------------------------------------------
+-- Restauration d'une révision
+-- SECURITY INVOKER : la mise à jour du prompt reste soumise à la RLS de
+-- config.agent_prompts (super_admin).
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION config.restore_prompt_revision(p_revision_id UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+SET search_path = ''
+AS $$
+DECLARE
+    v_revision config.agent_prompt_revisions%ROWTYPE;
+BEGIN
+    SELECT * INTO v_revision
+    FROM config.agent_prompt_revisions
+    WHERE id = p_revision_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Révision introuvable';
+    END IF;
+
+    -- Lu par record_prompt_revision() pour marquer la nouvelle révision
+    PERFORM set_config('config.restored_from_revision', v_revision.revision_number::TEXT, true);
+
+    UPDATE config.agent_prompts
+    SET name = v_revision.name,
+        description = v_revision.description,
+        system_prompt = v_revision.system_prompt,
+        gemini_system_prompt = v_revision.gemini_system_prompt,
+        parameters = v_revision.parameters,
+        updated_at = NOW()
+    WHERE id = v_revision.prompt_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Prompt introuvable ou accès refusé';
+    END IF;
+
+    PERFORM set_config('config.restored_from_revision', '', true);
+
+    RETURN v_revision.prompt_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION config.restore_prompt_revision(UUID) TO authenticated, service_role;
+
+-- ----------------------------------------------------------------------------
+-- RLS : lecture super_admin (écriture uniquement via le trigger)
+-- ----------------------------------------------------------------------------
+ALTER TABLE config.agent_prompt_revisions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Super admins view prompt revisions" ON config.agent_prompt_revisions;
+CREATE POLICY "Super admins view prompt revisions"
+    ON config.agent_prompt_revisions
+    FOR SELECT
+    USING (EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin'));
@@ -0,0 +1,198 @@
+-- ============================================================================
+-- CONFIG : Migration - Expériences A/B de prompts
+-- Une expérience oppose deux prompts d'un même agent (brain_v3, librarian_v3)
+-- pour une app (et éventuellement une organisation). Une part du trafic
+-- (traffic_split, en %) reçoit la variante B, le reste la variante A.
+-- L'affectation est déterministe par conversation : toutes les réponses d'une
+-- conversation utilisent la même variante.
+--
+-- - rag.messages.prompt_variants : variantes ayant produit chaque réponse
+--   [{ experiment_id, agent_type, variant, prompt_id }]
+-- - config.prompt_experiment_votes : votes 👍/👎 des utilisateurs par variante
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Expériences
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS config.prompt_experiments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    agent_type TEXT NOT NULL,
+    app_id TEXT NOT NULL,
+    -- NULL = toutes les organisations de l'app
+    org_id UUID REFERENCES core.organizations(id) ON DELETE CASCADE,
+    variant_a_prompt_id UUID NOT NULL REFERENCES config.agent_prompts(id) ON DELETE CASCADE,
+    variant_b_prompt_id UUID NOT NULL REFERENCES config.agent_prompts(id) ON DELETE CASCADE,
+    -- Part du trafic (en %) affectée à la variante B
+    traffic_split INTEGER NOT NULL DEFAULT 50 CHECK (traffic_split BETWEEN 0 AND 100),
+    status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'stopped')),
+    started_at TIMESTAMPTZ,
+    ended_at TIMESTAMPTZ,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT prompt_experiments_distinct_variants CHECK (variant_a_prompt_id <> variant_b_prompt_id)
+);
+
+-- Une seule expérience en cours par agent / app / organisation
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_experiments_running
+    ON config.prompt_experiments(agent_type, app_id, COALESCE(org_id, '00000000-0000-0000-0000-000000000000'::uuid))
+    WHERE status = 'running';
+
+CREATE OR REPLACE FUNCTION config.update_prompt_experiments_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_update_prompt_experiments_updated_at ON config.prompt_experiments;
+CREATE TRIGGER trigger_update_prompt_experiments_updated_at
+    BEFORE UPDATE ON config.prompt_experiments
+    FOR EACH ROW
+    EXECUTE FUNCTION config.update_prompt_experiments_updated_at();
+
+-- ----------------------------------------------------------------------------
+-- Variantes ayant produit chaque réponse (écrit par baikal-librarian-v4)
+-- ----------------------------------------------------------------------------
+ALTER TABLE rag.messages
+    ADD COLUMN IF NOT EXISTS prompt_variants JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_messages_prompt_variants
+    ON rag.messages USING GIN (prompt_variants)
+    WHERE prompt_variants IS NOT NULL;
+
+-- ----------------------------------------------------------------------------
+-- Votes par variante
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS config.prompt_experiment_votes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    experiment_id UUID NOT NULL REFERENCES config.prompt_experiments(id) ON DELETE CASCADE,
+    variant TEXT NOT NULL CHECK (variant IN ('A', 'B')),
+    conversation_id UUID,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    value TEXT NOT NULL CHECK (value IN ('up', 'down')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_experiment_votes_experiment
+    ON config.prompt_experiment_votes(experiment_id, variant);
+
+-- ----------------------------------------------------------------------------
+-- Résolution de la variante d'une conversation
+-- Appelée par baikal-brain-v3 / baikal-librarian-v4 (service role).
+-- L'expérience propre à l'organisation prime sur celle de l'app.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION config.resolve_prompt_experiment(
+    p_agent_type TEXT,
+    p_app_id TEXT,
+    p_org_id UUID,
+    p_conversation_id UUID
+)
+RETURNS TABLE (experiment_id UUID, variant TEXT, prompt_id UUID)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_experiment config.prompt_experiments%ROWTYPE;
+BEGIN
+    SELECT * INTO v_experiment
+    FROM config.prompt_experiments e
+    WHERE e.agent_type = p_agent_type
+      AND e.app_id = p_app_id
+      AND e.status = 'running'
+      AND (e.org_id = p_org_id OR e.org_id IS NULL)
+    ORDER BY e.org_id NULLS LAST
+    LIMIT 1;
+
+    IF NOT FOUND OR p_conversation_id IS NULL THEN
+        RETURN;
+    END IF;
+
+    -- Bucket stable 0..99 par (conversation, expérience)
+    IF mod(abs(hashtext(p_conversation_id::TEXT || ':' || v_experiment.id::TEXT)), 100) < v_experiment.traffic_split THEN
+        RETURN QUERY SELECT v_experiment.id, 'B'::TEXT, v_experiment.variant_b_prompt_id;
+    ELSE
+        RETURN QUERY SELECT v_experiment.id, 'A'::TEXT, v_experiment.variant_a_prompt_id;
+    END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION config.resolve_prompt_experiment(TEXT, TEXT, UUID, UUID) TO service_role;
+
+-- ----------------------------------------------------------------------------
+-- Statistiques par variante (admin prompts)
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION config.get_prompt_experiment_stats(p_experiment_id UUID)
+RETURNS TABLE (
+    variant TEXT,
+    conversation_count BIGINT,
+    message_count BIGINT,
+    up_votes BIGINT,
+    down_votes BIGINT
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin') THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    RETURN QUERY
+    WITH variants(variant) AS (VALUES ('A'), ('B')),
+    answered AS (
+        SELECT v->>'variant' AS variant, m.conversation_id
+        FROM rag.messages m
+        CROSS JOIN LATERAL jsonb_array_elements(m.prompt_variants) v
+        WHERE m.prompt_variants @> jsonb_build_array(jsonb_build_object('experiment_id', p_experiment_id))
+          AND v->>'experiment_id' = p_experiment_id::TEXT
+    )
+    SELECT
+        vr.variant,
+        (SELECT COUNT(DISTINCT a.conversation_id) FROM answered a WHERE a.variant = vr.variant),
+        (SELECT COUNT(*) FROM answered a WHERE a.variant = vr.variant),
+        (SELECT COUNT(*) FROM config.prompt_experiment_votes pv
+            WHERE pv.experiment_id = p_experiment_id AND pv.variant = vr.variant AND pv.value = 'up'),
+        (SELECT COUNT(*) FROM config.prompt_experiment_votes pv
+            WHERE pv.experiment_id = p_experiment_id AND pv.variant = vr.variant AND pv.value = 'down')
+    FROM variants vr
+    ORDER BY vr.variant;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION config.get_prompt_experiment_stats(UUID) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- RLS
+-- - Expériences : super_admin (comme la configuration des prompts)
+-- - Votes : chaque utilisateur enregistre ses propres votes, lecture super_admin
+-- ----------------------------------------------------------------------------
+ALTER TABLE config.prompt_experiments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE config.prompt_experiment_votes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Super admins manage prompt experiments" ON config.prompt_experiments;
+CREATE POLICY "Super admins manage prompt experiments"
+    ON config.prompt_experiments
+    FOR ALL
+    USING (EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin'))
+    WITH CHECK (EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin'));
+
+DROP POLICY IF EXISTS "Users record their experiment votes" ON config.prompt_experiment_votes;
+CREATE POLICY "Users record their experiment votes"
+    ON config.prompt_experiment_votes
+    FOR INSERT
+    WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Super admins view experiment votes" ON config.prompt_experiment_votes;
+CREATE POLICY "Super admins view experiment votes"
+    ON config.prompt_experiment_votes
+    FOR SELECT
+    USING (EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin'));
@@ -0,0 +1,43 @@
+-- ============================================================================
+-- CONFIG : Migration - Un vote par utilisateur, conversation et expérience
+-- La variante est fixe pour une conversation : un nouveau vote de
+-- l'utilisateur dans la même conversation remplace le précédent (upsert
+-- depuis promptExperimentsService.recordVote) au lieu de s'additionner.
+-- ============================================================================
+
+-- Doublons existants : seul le vote le plus récent est conservé
+DELETE FROM config.prompt_experiment_votes v
+USING config.prompt_experiment_votes newer
+WHERE newer.experiment_id = v.experiment_id
+AND newer.conversation_id = v.conversation_id
+AND newer.user_id = v.user_id
+AND (newer.created_at, newer.id) > (v.created_at, v.id);
+
+DELETE FROM config.prompt_experiment_votes
+WHERE conversation_id IS NULL;
+
+ALTER TABLE config.prompt_experiment_votes
+    ALTER COLUMN conversation_id SET NOT NULL;
+
+ALTER TABLE config.prompt_experiment_votes
+    DROP CONSTRAINT IF EXISTS prompt_experiment_votes_unique_voter;
+
+ALTER TABLE config.prompt_experiment_votes
+    ADD CONSTRAINT prompt_experiment_votes_unique_voter
+    UNIQUE (experiment_id, conversation_id, user_id);
+
+-- ----------------------------------------------------------------------------
+-- RLS : l'upsert (ON CONFLICT DO UPDATE) lit et modifie le vote existant
+-- ----------------------------------------------------------------------------
+DROP POLICY IF EXISTS "Users view their experiment votes" ON config.prompt_experiment_votes;
+CREATE POLICY "Users view their experiment votes"
+    ON config.prompt_experiment_votes
+    FOR SELECT
+    USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users update their experiment votes" ON config.prompt_experiment_votes;
+CREATE POLICY "Users update their experiment votes"
+    ON config.prompt_experiment_votes
+    FOR UPDATE
+    USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
@@ -0,0 +1,77 @@
+-- ============================================================================
+-- CONFIG : Migration - Votes d'expérience enregistrés par RPC
+-- Les votes étaient insérés directement par le frontend avec l'expérience et
+-- la variante reçues dans le flux SSE : rien ne liait le vote à une réponse
+-- réellement produite pour le votant, et les statistiques pouvaient être
+-- faussées. config.record_prompt_experiment_vote lit les variantes sur les
+-- réponses de la conversation de l'appelant (rag.messages.prompt_variants) ;
+-- les écritures directes ne sont plus autorisées.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Vote de l'utilisateur courant sur une conversation : un vote par expérience
+-- ayant produit une réponse de la conversation (un nouveau vote remplace le
+-- précédent). Retourne le nombre de votes enregistrés.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION config.record_prompt_experiment_vote(
+    p_conversation_id UUID,
+    p_value TEXT
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    IF p_value IS NULL OR p_value NOT IN ('up', 'down') THEN
+        RAISE EXCEPTION 'Vote invalide';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM rag.conversations c
+        WHERE c.id = p_conversation_id
+        AND c.user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'Conversation introuvable';
+    END IF;
+
+    INSERT INTO config.prompt_experiment_votes (experiment_id, variant, conversation_id, user_id, value)
+    SELECT DISTINCT ON ((v->>'experiment_id')::UUID)
+        (v->>'experiment_id')::UUID,
+        v->>'variant',
+        p_conversation_id,
+        auth.uid(),
+        p_value
+    FROM rag.messages m
+    CROSS JOIN LATERAL jsonb_array_elements(m.prompt_variants) v
+    WHERE m.conversation_id = p_conversation_id
+    AND m.prompt_variants IS NOT NULL
+    AND jsonb_typeof(m.prompt_variants) = 'array'
+    AND v->>'variant' IN ('A', 'B')
+    AND EXISTS (
+        SELECT 1 FROM config.prompt_experiments e
+        WHERE e.id = (v->>'experiment_id')::UUID
+    )
+    ORDER BY (v->>'experiment_id')::UUID, m.created_at DESC
+    ON CONFLICT ON CONSTRAINT prompt_experiment_votes_unique_voter
+    DO UPDATE SET value = EXCLUDED.value, variant = EXCLUDED.variant, created_at = NOW();
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION config.record_prompt_experiment_vote(UUID, TEXT) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- RLS : plus d'écriture directe (lecture super_admin inchangée)
+-- ----------------------------------------------------------------------------
+DROP POLICY IF EXISTS "Users record their experiment votes" ON config.prompt_experiment_votes;
+DROP POLICY IF EXISTS "Users view their experiment votes" ON config.prompt_experiment_votes;
+DROP POLICY IF EXISTS "Users update their experiment votes" ON config.prompt_experiment_votes;
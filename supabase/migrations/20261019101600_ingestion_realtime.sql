@@ -0,0 +1,91 @@
+-- ============================================================================
+-- SOURCES : Migration - Suivi temps réel de l'ingestion
+-- - sources.ingestion_queue.stage : étape fine d'un job
+--     queued → sent → chunking → embedding → completed (ou failed)
+--   queued / sent / completed / failed suivent le statut du job (trigger),
+--   chunking / embedding sont signalés pendant le traitement :
+--     - chunking  : par le workflow N8N (RPC sources.report_ingestion_stage)
+--     - embedding : par l'Edge Function ingest-documents
+-- - Publication Supabase Realtime de sources.ingestion_queue et sources.files
+--   (page /admin/ingestion)
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Étape du job
+-- ----------------------------------------------------------------------------
+ALTER TABLE sources.ingestion_queue
+    ADD COLUMN IF NOT EXISTS stage TEXT
+        CHECK (stage IN ('queued', 'sent', 'chunking', 'embedding', 'completed', 'failed')),
+    ADD COLUMN IF NOT EXISTS stage_updated_at TIMESTAMPTZ;
+
+UPDATE sources.ingestion_queue
+SET stage = status, stage_updated_at = COALESCE(completed_at, last_attempt_at, created_at)
+WHERE stage IS NULL
+  AND status IN ('queued', 'sent', 'completed', 'failed');
+
+CREATE OR REPLACE FUNCTION sources.sync_ingestion_stage()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+        NEW.stage := NEW.status;
+        NEW.stage_updated_at := NOW();
+    ELSIF NEW.stage IS DISTINCT FROM OLD.stage THEN
+        NEW.stage_updated_at := NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_sync_ingestion_stage ON sources.ingestion_queue;
+CREATE TRIGGER trigger_sync_ingestion_stage
+    BEFORE INSERT OR UPDATE ON sources.ingestion_queue
+    FOR EACH ROW
+    EXECUTE FUNCTION sources.sync_ingestion_stage();
+
+-- ----------------------------------------------------------------------------
+-- Signalement d'une étape de traitement (service role : N8N, ingest-documents)
+-- Sans effet sur un job terminé, en échec ou revenu en attente.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION sources.report_ingestion_stage(p_file_id UUID, p_stage TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+BEGIN
+    IF p_stage NOT IN ('chunking', 'embedding') THEN
+        RAISE EXCEPTION 'Étape invalide : %', p_stage;
+    END IF;
+
+    UPDATE sources.ingestion_queue
+    SET stage = p_stage
+    WHERE file_id = p_file_id
+      AND status = 'sent';
+END;
+$$;
+
+REVOKE ALL ON FUNCTION sources.report_ingestion_stage(UUID, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION sources.report_ingestion_stage(UUID, TEXT) TO service_role;
+
+-- ----------------------------------------------------------------------------
+-- Realtime (les abonnés restent soumis à la RLS des tables)
+-- ----------------------------------------------------------------------------
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'sources' AND tablename = 'ingestion_queue'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE sources.ingestion_queue;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'sources' AND tablename = 'files'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE sources.files;
+    END IF;
+END;
+$$;
@@ -0,0 +1,133 @@
+-- ============================================================================
+-- SOURCES : Migration - Priorité, retries automatiques et dead-letter
+-- - sources.ingestion_queue.priority (0 à 10, 10 = plus urgent) : ordre de
+--   prise en charge des jobs par trigger-ingestion (action process_queue)
+-- - Statut 'cancelled' : job annulé depuis /admin/ingestion (fichier conservé)
+-- - Backoff exponentiel : à chaque échec, next_retry_at = maintenant +
+--   5^attempts minutes tant que attempts < max_attempts (trigger)
+-- - dead_lettered : échec définitif (tentatives épuisées), vue dead-letter
+-- - sources.claim_ingestion_jobs : réservation atomique des jobs à envoyer
+-- - Job cron (toutes les 5 minutes) : trigger-ingestion traite la queue
+--
+-- Prérequis : 20261019101600_ingestion_realtime.sql (colonne stage et sa
+-- contrainte, redéfinie ici), extensions pg_cron et pg_net, secrets Vault
+-- 'project_url' et 'service_role_key'.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Priorité et statut 'cancelled'
+-- ----------------------------------------------------------------------------
+ALTER TABLE sources.ingestion_queue
+    ADD COLUMN IF NOT EXISTS priority SMALLINT NOT NULL DEFAULT 0
+        CHECK (priority BETWEEN 0 AND 10);
+
+ALTER TABLE sources.ingestion_queue
+    DROP CONSTRAINT IF EXISTS ingestion_queue_status_check;
+ALTER TABLE sources.ingestion_queue
+    ADD CONSTRAINT ingestion_queue_status_check
+        CHECK (status IN ('queued', 'sent', 'completed', 'failed', 'cancelled'));
+
+ALTER TABLE sources.ingestion_queue
+    DROP CONSTRAINT IF EXISTS ingestion_queue_stage_check;
+ALTER TABLE sources.ingestion_queue
+    ADD CONSTRAINT ingestion_queue_stage_check
+        CHECK (stage IN ('queued', 'sent', 'chunking', 'embedding', 'completed', 'failed', 'cancelled'));
+
+-- Échec définitif : plus aucun retry automatique
+ALTER TABLE sources.ingestion_queue
+    ADD COLUMN IF NOT EXISTS dead_lettered BOOLEAN
+        GENERATED ALWAYS AS (status = 'failed' AND attempts >= max_attempts) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_queue_pending
+    ON sources.ingestion_queue(priority DESC, created_at)
+    WHERE status IN ('queued', 'failed');
+
+-- ----------------------------------------------------------------------------
+-- Backoff exponentiel à chaque échec
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION sources.schedule_ingestion_retry()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.attempts < NEW.max_attempts THEN
+        NEW.next_retry_at := NOW() + make_interval(mins => power(5, GREATEST(NEW.attempts, 1))::INTEGER);
+    ELSE
+        NEW.next_retry_at := NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_schedule_ingestion_retry ON sources.ingestion_queue;
+CREATE TRIGGER trigger_schedule_ingestion_retry
+    BEFORE UPDATE OF status ON sources.ingestion_queue
+    FOR EACH ROW
+    WHEN (NEW.status = 'failed' AND OLD.status IS DISTINCT FROM 'failed')
+    EXECUTE FUNCTION sources.schedule_ingestion_retry();
+
+-- ----------------------------------------------------------------------------
+-- Réservation des jobs à envoyer (service role : trigger-ingestion)
+-- Jobs en attente et échecs dont le retry est échu, par priorité puis
+-- ancienneté. Chaque job réservé passe en 'sent' et compte une tentative.
+-- p_queue_id : réservation d'un job précis (appel direct / retry manuel).
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION sources.claim_ingestion_jobs(
+    p_limit INTEGER DEFAULT 10,
+    p_queue_id UUID DEFAULT NULL
+)
+RETURNS SETOF sources.ingestion_queue
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE sources.ingestion_queue q
+    SET status = 'sent',
+        attempts = q.attempts + 1,
+        last_attempt_at = NOW(),
+        next_retry_at = NULL,
+        error_message = NULL
+    WHERE q.id IN (
+        SELECT c.id
+        FROM sources.ingestion_queue c
+        WHERE (p_queue_id IS NULL OR c.id = p_queue_id)
+          AND (
+              c.status = 'queued'
+              OR (
+                  c.status = 'failed'
+                  AND c.attempts < c.max_attempts
+                  AND (c.next_retry_at IS NULL OR c.next_retry_at <= NOW())
+              )
+          )
+        ORDER BY c.priority DESC, c.created_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING q.*;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION sources.claim_ingestion_jobs(INTEGER, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION sources.claim_ingestion_jobs(INTEGER, UUID) TO service_role;
+
+-- ----------------------------------------------------------------------------
+-- Job toutes les 5 minutes : trigger-ingestion (action process_queue)
+-- ----------------------------------------------------------------------------
+SELECT cron.schedule(
+    'ingestion-queue-worker',
+    '*/5 * * * *',
+    $$
+    SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+            || '/functions/v1/trigger-ingestion',
+        headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{"action": "process_queue"}'::jsonb,
+        timeout_milliseconds := 300000
+    );
+    $$
+);
@@ -0,0 +1,87 @@
+-- ============================================================================
+-- RAG : Migration - Inspecteur de chunks
+-- Un admin peut exclure un chunk de la recherche (rag.documents.excluded_at)
+-- ou corriger son contenu (ré-embedding par l'Edge Function edit-chunk).
+-- match_documents_v13 ignore toujours les chunks exclus.
+-- ============================================================================
+
+ALTER TABLE rag.documents
+    ADD COLUMN IF NOT EXISTS excluded_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS excluded_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_documents_excluded
+    ON rag.documents(source_file_id)
+    WHERE excluded_at IS NOT NULL;
+
+-- ----------------------------------------------------------------------------
+-- match_documents_v13 : exclusion des chunks exclus (en plus des superseded)
+-- Le wrapper créé par 20261019101000_document_versions.sql est régénéré avec la
+-- même signature et toujours en SECURITY INVOKER. Les chunks exclus étant
+-- filtrés même avec p_include_superseded, la base reçoit toujours
+-- 2 × match_count.
+-- ----------------------------------------------------------------------------
+DO $migration$
+DECLARE
+    v_base_oid OID;
+    v_wrapper_oid OID;
+    v_call TEXT;
+    v_columns TEXT;
+BEGIN
+    SELECT p.oid INTO v_base_oid
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE n.nspname = 'rag' AND p.proname = 'match_documents_v13_base';
+
+    SELECT p.oid INTO v_wrapper_oid
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE n.nspname = 'rag' AND p.proname = 'match_documents_v13';
+
+    IF v_base_oid IS NULL OR v_wrapper_oid IS NULL THEN
+        RAISE EXCEPTION 'Wrapper rag.match_documents_v13 introuvable (appliquer 20261019101000_document_versions.sql)';
+    END IF;
+
+    SELECT string_agg(
+        CASE WHEN p.proargnames[i] = 'match_count' THEN
+            'match_count => match_count * 2'
+        ELSE format('%1$I => %1$I', p.proargnames[i])
+        END, ', ' ORDER BY i)
+    INTO v_call
+    FROM pg_proc p, generate_subscripts(p.proargnames, 1) AS i
+    WHERE p.oid = v_base_oid
+    AND (p.proargmodes IS NULL OR p.proargmodes[i] IN ('i', 'b', 'v'));
+
+    SELECT string_agg(format('m.%I', p.proargnames[i]), ', ' ORDER BY i)
+    INTO v_columns
+    FROM pg_proc p, generate_subscripts(p.proargnames, 1) AS i
+    WHERE p.oid = v_base_oid
+    AND p.proargmodes[i] = 't';
+
+    EXECUTE format($wrapper$
+        CREATE OR REPLACE FUNCTION rag.match_documents_v13(%s)
+        RETURNS %s
+        LANGUAGE sql
+        STABLE
+        SECURITY INVOKER
+        SET search_path = ''
+        AS $body$
+            SELECT %s
+            FROM rag.match_documents_v13_base(%s) WITH ORDINALITY AS m
+            WHERE NOT EXISTS (
+                SELECT 1 FROM rag.documents d
+                WHERE d.id = m.out_chunk_id
+                AND (
+                    d.excluded_at IS NOT NULL
+                    OR (d.superseded_at IS NOT NULL AND NOT p_include_superseded)
+                )
+            )
+            ORDER BY m.ordinality
+            LIMIT match_count
+        $body$
+    $wrapper$,
+        pg_get_function_arguments(v_wrapper_oid),
+        pg_get_function_result(v_wrapper_oid),
+        v_columns,
+        v_call);
+END;
+$migration$;
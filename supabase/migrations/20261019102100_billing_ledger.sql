@@ -0,0 +1,201 @@
+-- ============================================================================
+-- CORE : Migration - Facturation et grand livre des crédits
+-- - core.credit_rates : coût unitaire (en crédits) de chaque consommation
+-- - core.credit_ledger : mouvements de crédits par organisation (débits des
+--   Edge Functions, recharges super_admin), solde après mouvement
+-- - core.debit_credits : débit atomique (service role : baikal-librarian-v4,
+--   trigger sources.debit_ingested_pages, meeting-transcribe, transcribe-dictation)
+-- - core.top_up_credits : recharge manuelle (super_admin, /admin/billing)
+--
+-- core.organizations.credits_balance reste la source du solde ; il n'est
+-- modifié que par ces deux fonctions. Un solde nul ou négatif bloque les
+-- nouvelles consommations (vérifié par les Edge Functions).
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Tarifs
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS core.credit_rates (
+    kind TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    unit TEXT NOT NULL,
+    unit_cost NUMERIC(10, 2) NOT NULL CHECK (unit_cost >= 0),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO core.credit_rates (kind, label, unit, unit_cost) VALUES
+    ('chat_answer', 'Réponse de l''assistant', 'réponse', 1),
+    ('ingestion_page', 'Page ingérée', 'page', 0.5),
+    ('transcription_minute', 'Minute transcrite', 'minute', 2)
+ON CONFLICT (kind) DO NOTHING;
+
+-- ----------------------------------------------------------------------------
+-- Grand livre
+-- amount : signé (débit < 0, recharge > 0), arrondi au crédit supérieur
+-- reference_type / reference_id : objet à l'origine du mouvement
+-- (conversation, fichier, réunion...)
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS core.credit_ledger (
+    id BIGSERIAL PRIMARY KEY,
+    org_id UUID NOT NULL REFERENCES core.organizations(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL
+        CHECK (kind IN ('chat_answer', 'ingestion_page', 'transcription_minute', 'top_up', 'adjustment')),
+    quantity NUMERIC(12, 2) NOT NULL DEFAULT 1,
+    amount INTEGER NOT NULL,
+    balance_after INTEGER NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    reference_type TEXT,
+    reference_id TEXT,
+    description TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_org_created
+    ON core.credit_ledger(org_id, created_at DESC);
+
+-- ----------------------------------------------------------------------------
+-- Débit d'une consommation (service role)
+-- Sans organisation (utilisateur non rattaché) : aucun mouvement.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.debit_credits(
+    p_org_id UUID,
+    p_kind TEXT,
+    p_quantity NUMERIC DEFAULT 1,
+    p_user_id UUID DEFAULT NULL,
+    p_reference_type TEXT DEFAULT NULL,
+    p_reference_id TEXT DEFAULT NULL,
+    p_description TEXT DEFAULT NULL
+)
+RETURNS TABLE (out_amount INTEGER, out_balance_after INTEGER)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_unit_cost NUMERIC;
+    v_amount INTEGER;
+    v_balance INTEGER;
+BEGIN
+    IF p_org_id IS NULL OR COALESCE(p_quantity, 0) <= 0 THEN
+        RETURN;
+    END IF;
+
+    SELECT r.unit_cost INTO v_unit_cost
+    FROM core.credit_rates r
+    WHERE r.kind = p_kind;
+
+    IF v_unit_cost IS NULL THEN
+        RAISE EXCEPTION 'Tarif inconnu: %', p_kind;
+    END IF;
+
+    v_amount := CEIL(p_quantity * v_unit_cost)::INTEGER;
+    IF v_amount = 0 THEN
+        RETURN;
+    END IF;
+
+    UPDATE core.organizations o
+    SET credits_balance = COALESCE(o.credits_balance, 0) - v_amount
+    WHERE o.id = p_org_id
+    RETURNING o.credits_balance INTO v_balance;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO core.credit_ledger (
+        org_id, kind, quantity, amount, balance_after,
+        user_id, reference_type, reference_id, description
+    ) VALUES (
+        p_org_id, p_kind, p_quantity, -v_amount, v_balance,
+        p_user_id, p_reference_type, p_reference_id, p_description
+    );
+
+    RETURN QUERY SELECT -v_amount, v_balance;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION core.debit_credits(UUID, TEXT, NUMERIC, UUID, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION core.debit_credits(UUID, TEXT, NUMERIC, UUID, TEXT, TEXT, TEXT) TO service_role;
+
+-- ----------------------------------------------------------------------------
+-- Recharge manuelle (super_admin)
+-- Montant positif : recharge ; négatif : ajustement (correction)
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.top_up_credits(
+    p_org_id UUID,
+    p_amount INTEGER,
+    p_description TEXT DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_balance INTEGER;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin') THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    IF COALESCE(p_amount, 0) = 0 THEN
+        RAISE EXCEPTION 'Montant invalide';
+    END IF;
+
+    UPDATE core.organizations o
+    SET credits_balance = COALESCE(o.credits_balance, 0) + p_amount
+    WHERE o.id = p_org_id
+    RETURNING o.credits_balance INTO v_balance;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Organisation introuvable';
+    END IF;
+
+    INSERT INTO core.credit_ledger (
+        org_id, kind, quantity, amount, balance_after, user_id, description
+    ) VALUES (
+        p_org_id,
+        CASE WHEN p_amount > 0 THEN 'top_up' ELSE 'adjustment' END,
+        ABS(p_amount),
+        p_amount,
+        v_balance,
+        auth.uid(),
+        NULLIF(TRIM(p_description), '')
+    );
+
+    RETURN v_balance;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION core.top_up_credits(UUID, INTEGER, TEXT) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- RLS
+-- - Tarifs : lecture pour tous les utilisateurs connectés
+-- - Grand livre : super_admin (tout), org_admin (son organisation) ;
+--   écriture uniquement par les fonctions ci-dessus
+-- ----------------------------------------------------------------------------
+ALTER TABLE core.credit_rates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE core.credit_ledger ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users view credit rates" ON core.credit_rates;
+CREATE POLICY "Authenticated users view credit rates"
+    ON core.credit_rates
+    FOR SELECT
+    TO authenticated
+    USING (true);
+
+DROP POLICY IF EXISTS "Admins view credit ledger" ON core.credit_ledger;
+CREATE POLICY "Admins view credit ledger"
+    ON core.credit_ledger
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM core.profiles p
+            WHERE p.id = auth.uid()
+            AND (
+                p.app_role = 'super_admin'
+                OR (p.app_role = 'org_admin' AND p.org_id = credit_ledger.org_id)
+            )
+        )
+    );
@@ -0,0 +1,55 @@
+-- ============================================================================
+-- CORE : Migration - Synthèse journalière du grand livre des crédits
+-- core.get_credit_ledger_summary : mouvements d'une organisation agrégés par
+-- jour et par type, avec le solde de fin de journée. Alimente le graphique
+-- du solde et la consommation de /admin/billing sans dépendre du nombre de
+-- mouvements chargés (liste des mouvements limitée côté frontend).
+--
+-- SECURITY INVOKER : mêmes droits (RLS) que la lecture de core.credit_ledger.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION core.get_credit_ledger_summary(
+    p_org_id UUID,
+    p_days INTEGER DEFAULT 30,
+    p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (
+    out_day DATE,
+    out_kind TEXT,
+    out_entries BIGINT,
+    out_quantity NUMERIC,
+    out_amount BIGINT,
+    out_closing_balance INTEGER
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+    WITH bounds AS (
+        SELECT (
+            date_trunc('day', NOW() AT TIME ZONE COALESCE(p_timezone, 'UTC'))
+            - make_interval(days => LEAST(GREATEST(COALESCE(p_days, 30), 1), 366) - 1)
+        ) AT TIME ZONE COALESCE(p_timezone, 'UTC') AS since
+    ),
+    entries AS (
+        SELECT
+            (l.created_at AT TIME ZONE COALESCE(p_timezone, 'UTC'))::DATE AS day,
+            l.id, l.kind, l.quantity, l.amount, l.balance_after, l.created_at
+        FROM core.credit_ledger l, bounds b
+        WHERE l.org_id = p_org_id
+        AND l.created_at >= b.since
+    ),
+    closing AS (
+        SELECT DISTINCT ON (e.day) e.day, e.balance_after
+        FROM entries e
+        ORDER BY e.day, e.created_at DESC, e.id DESC
+    )
+    SELECT e.day, e.kind, count(*), sum(e.quantity), sum(e.amount), c.balance_after
+    FROM entries e
+    JOIN closing c ON c.day = e.day
+    GROUP BY e.day, e.kind, c.balance_after
+    ORDER BY e.day, e.kind;
+$$;
+
+GRANT EXECUTE ON FUNCTION core.get_credit_ledger_summary(UUID, INTEGER, TEXT) TO authenticated;
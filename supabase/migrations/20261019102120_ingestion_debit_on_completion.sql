@@ -0,0 +1,58 @@
+-- ============================================================================
+-- CORE : Migration - Débit des pages ingérées à la fin du job
+-- Le débit était fait par trigger-ingestion uniquement quand le pipeline
+-- répondait success de façon synchrone : les jobs terminés plus tard par
+-- N8N (complete_ingestion_job appelée en fin de workflow) n'étaient pas
+-- facturés. Il est désormais déclenché par le passage du job en completed,
+-- quel que soit le chemin.
+--
+-- Pages : total_pages de la réponse du pipeline (n8n_response, renseignée
+-- par trigger-ingestion), sinon estimation à 2 chunks par page.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION sources.debit_ingested_pages()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_file RECORD;
+    v_pages NUMERIC;
+    v_chunks INTEGER;
+BEGIN
+    SELECT f.org_id, f.created_by, f.original_filename INTO v_file
+    FROM sources.files f
+    WHERE f.id = NEW.file_id;
+
+    IF NOT FOUND OR v_file.org_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.n8n_response->>'total_pages' ~ '^[0-9]+$' THEN
+        v_pages := (NEW.n8n_response->>'total_pages')::NUMERIC;
+    END IF;
+
+    IF COALESCE(v_pages, 0) <= 0 THEN
+        SELECT count(*) INTO v_chunks
+        FROM rag.documents d
+        WHERE d.source_file_id = NEW.file_id;
+
+        v_pages := GREATEST(CEIL(v_chunks / 2.0), 1);
+    END IF;
+
+    PERFORM core.debit_credits(
+        v_file.org_id, 'ingestion_page', v_pages, v_file.created_by,
+        'file', NEW.file_id::TEXT, v_file.original_filename
+    );
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_debit_ingested_pages ON sources.ingestion_queue;
+CREATE TRIGGER trigger_debit_ingested_pages
+    AFTER UPDATE OF status ON sources.ingestion_queue
+    FOR EACH ROW
+    WHEN (NEW.status = 'completed' AND OLD.status IS DISTINCT FROM 'completed')
+    EXECUTE FUNCTION sources.debit_ingested_pages();
@@ -0,0 +1,136 @@
+-- ============================================================================
+-- CORE : Migration - Droits par plan d'abonnement
+-- - core.organizations.limits_override : limites surchargées par super_admin
+--   (clés de ORGANIZATION_PLANS[].limits, src/services/organization.service.js)
+-- - core.get_organization_entitlements : plan, surcharges et consommation
+--   courante d'une organisation (utilisateurs, projets, stockage, questions et
+--   minutes de transcription du mois)
+-- - core.set_organization_limits : surcharge des limites (super_admin)
+--
+-- Les limites par défaut de chaque plan sont définies côté application ;
+-- les quotas mensuels sont aussi vérifiés par les Edge Functions
+-- (_shared/utils.ts). La consommation mensuelle est lue dans
+-- core.credit_ledger.
+-- ============================================================================
+
+ALTER TABLE core.organizations
+    ADD COLUMN IF NOT EXISTS limits_override JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- ----------------------------------------------------------------------------
+-- Droits et consommation
+-- p_org_id NULL : organisation de l'utilisateur courant.
+-- super_admin : toutes les organisations ; autres : la sienne uniquement.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.get_organization_entitlements(
+    p_org_id UUID DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_role TEXT;
+    v_caller_org UUID;
+    v_org_id UUID;
+    v_org RECORD;
+    v_month_start TIMESTAMPTZ := date_trunc('month', NOW());
+BEGIN
+    SELECT p.app_role, p.org_id INTO v_role, v_caller_org
+    FROM core.profiles p
+    WHERE p.id = auth.uid();
+
+    v_org_id := COALESCE(p_org_id, v_caller_org);
+
+    IF v_org_id IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    IF v_role IS DISTINCT FROM 'super_admin' AND v_org_id IS DISTINCT FROM v_caller_org THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    SELECT o.id, o.plan, o.limits_override INTO v_org
+    FROM core.organizations o
+    WHERE o.id = v_org_id;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'org_id', v_org.id,
+        'plan', COALESCE(v_org.plan, 'free'),
+        'limits_override', COALESCE(v_org.limits_override, '{}'::jsonb),
+        'usage', jsonb_build_object(
+            'max_users', (
+                SELECT COUNT(*) FROM core.profiles p WHERE p.org_id = v_org_id
+            ),
+            'max_projects', (
+                SELECT COUNT(*) FROM core.projects pr
+                WHERE pr.org_id = v_org_id AND pr.status IS DISTINCT FROM 'archived'
+            ),
+            'storage_gb', (
+                SELECT ROUND(COALESCE(SUM(f.file_size), 0) / 1e9, 3)
+                FROM sources.files f
+                WHERE f.org_id = v_org_id
+            ),
+            'monthly_queries', (
+                SELECT COUNT(*) FROM core.credit_ledger l
+                WHERE l.org_id = v_org_id
+                AND l.kind = 'chat_answer'
+                AND l.created_at >= v_month_start
+            ),
+            'transcription_minutes', (
+                SELECT COALESCE(SUM(l.quantity), 0) FROM core.credit_ledger l
+                WHERE l.org_id = v_org_id
+                AND l.kind = 'transcription_minute'
+                AND l.created_at >= v_month_start
+            )
+        )
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION core.get_organization_entitlements(UUID) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Surcharge des limites (super_admin)
+-- Les clés absentes reprennent la limite du plan ; une valeur null signifie
+-- « illimité ». p_limits = '{}' supprime toutes les surcharges.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.set_organization_limits(
+    p_org_id UUID,
+    p_limits JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_limits JSONB;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM core.profiles p WHERE p.id = auth.uid() AND p.app_role = 'super_admin') THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    IF p_limits IS NOT NULL AND jsonb_typeof(p_limits) <> 'object' THEN
+        RAISE EXCEPTION 'Limites invalides';
+    END IF;
+
+    UPDATE core.organizations o
+    SET limits_override = COALESCE(p_limits, '{}'::jsonb)
+    WHERE o.id = p_org_id
+    RETURNING o.limits_override INTO v_limits;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Organisation introuvable';
+    END IF;
+
+    RETURN v_limits;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION core.set_organization_limits(UUID, JSONB) TO authenticated;
@@ -0,0 +1,299 @@
+-- ============================================================================
+-- CORE : Migration - Limites des plans en base et contrôle serveur
+-- - core.plan_limits : limites par défaut de chaque plan, seule source lue
+--   par le frontend (entitlementsService) et les Edge Functions
+--   (_shared/utils.ts checkMonthlyQuota)
+-- - core.get_organization_limits / core.get_organization_usage : limites
+--   effectives (plan + limits_override) et consommation d'une organisation
+-- - core.assert_plan_limit : refus (HINT 'plan_limit') d'un dépassement
+-- - Triggers : projets actifs, utilisateurs rattachés, couche et stockage des
+--   fichiers sources, quel que soit l'appelant (RPC, frontend, service)
+--
+-- Légifrance hors couche app est vérifié par trigger-legifrance-sync, les
+-- quotas mensuels par les Edge Functions consommatrices.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- Limites par plan (null = illimité)
+-- ----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS core.plan_limits (
+    plan TEXT PRIMARY KEY,
+    max_users INTEGER,
+    max_projects INTEGER,
+    storage_gb NUMERIC(10, 2),
+    monthly_queries INTEGER,
+    transcription_minutes INTEGER,
+    allowed_layers TEXT[] NOT NULL DEFAULT ARRAY['org'],
+    legifrance BOOLEAN NOT NULL DEFAULT false,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO core.plan_limits (plan, max_users, max_projects, storage_gb, monthly_queries, transcription_minutes, allowed_layers, legifrance) VALUES
+    ('free', 3, 1, 1, 100, 0, ARRAY['org'], false),
+    ('starter', 10, 5, 10, 1000, 120, ARRAY['org', 'project'], false),
+    ('pro', 50, 25, 100, 10000, 600, ARRAY['org', 'project', 'user'], true),
+    ('enterprise', NULL, NULL, NULL, NULL, NULL, ARRAY['org', 'project', 'user'], true)
+ON CONFLICT (plan) DO NOTHING;
+
+ALTER TABLE core.plan_limits ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users view plan limits" ON core.plan_limits;
+CREATE POLICY "Authenticated users view plan limits"
+    ON core.plan_limits
+    FOR SELECT
+    TO authenticated
+    USING (true);
+
+-- ----------------------------------------------------------------------------
+-- Limites effectives : limites du plan (free par défaut), surchargées clé par
+-- clé par core.organizations.limits_override
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.get_organization_limits(p_org_id UUID)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+    SELECT (to_jsonb(pl) - 'plan' - 'updated_at') || COALESCE(o.limits_override, '{}'::jsonb)
+    FROM core.organizations o
+    JOIN core.plan_limits pl ON pl.plan = COALESCE(
+        (SELECT p.plan FROM core.plan_limits p WHERE p.plan = o.plan),
+        'free'
+    )
+    WHERE o.id = p_org_id;
+$$;
+
+REVOKE ALL ON FUNCTION core.get_organization_limits(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION core.get_organization_limits(UUID) TO service_role;
+
+-- ----------------------------------------------------------------------------
+-- Consommation courante (mêmes clés que les limites)
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.get_organization_usage(p_org_id UUID)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+    SELECT jsonb_build_object(
+        'max_users', (
+            SELECT COUNT(*) FROM core.profiles p WHERE p.org_id = p_org_id
+        ),
+        'max_projects', (
+            SELECT COUNT(*) FROM core.projects pr
+            WHERE pr.org_id = p_org_id AND pr.status IS DISTINCT FROM 'archived'
+        ),
+        'storage_gb', (
+            SELECT ROUND(COALESCE(SUM(f.file_size), 0) / 1e9, 3)
+            FROM sources.files f
+            WHERE f.org_id = p_org_id
+        ),
+        'monthly_queries', (
+            SELECT COUNT(*) FROM core.credit_ledger l
+            WHERE l.org_id = p_org_id
+            AND l.kind = 'chat_answer'
+            AND l.created_at >= date_trunc('month', NOW())
+        ),
+        'transcription_minutes', (
+            SELECT COALESCE(SUM(l.quantity), 0) FROM core.credit_ledger l
+            WHERE l.org_id = p_org_id
+            AND l.kind = 'transcription_minute'
+            AND l.created_at >= date_trunc('month', NOW())
+        )
+    );
+$$;
+
+REVOKE ALL ON FUNCTION core.get_organization_usage(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION core.get_organization_usage(UUID) TO service_role;
+
+-- ----------------------------------------------------------------------------
+-- Refus d'un dépassement de quota (HINT 'plan_limit', cf. PLAN_LIMIT_ERROR)
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.assert_plan_limit(
+    p_org_id UUID,
+    p_key TEXT,
+    p_increment NUMERIC DEFAULT 1
+)
+RETURNS VOID
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_limits JSONB;
+    v_limit NUMERIC;
+    v_used NUMERIC;
+BEGIN
+    IF p_org_id IS NULL THEN
+        RETURN;
+    END IF;
+
+    v_limits := core.get_organization_limits(p_org_id);
+    IF jsonb_typeof(v_limits->p_key) IS DISTINCT FROM 'number' THEN
+        RETURN;
+    END IF;
+
+    v_limit := (v_limits->>p_key)::NUMERIC;
+    v_used := COALESCE((core.get_organization_usage(p_org_id)->>p_key)::NUMERIC, 0);
+
+    IF v_used + COALESCE(p_increment, 0) > v_limit THEN
+        RAISE EXCEPTION 'Limite du plan atteinte (% : %/%). Passez à un plan supérieur ou contactez votre administrateur.',
+            CASE p_key
+                WHEN 'max_users' THEN 'utilisateurs'
+                WHEN 'max_projects' THEN 'projets actifs'
+                WHEN 'storage_gb' THEN 'stockage en Go'
+                WHEN 'monthly_queries' THEN 'questions du mois'
+                WHEN 'transcription_minutes' THEN 'minutes de transcription du mois'
+                ELSE p_key
+            END,
+            ROUND(v_used, 2), v_limit
+            USING HINT = 'plan_limit';
+    END IF;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION core.assert_plan_limit(UUID, TEXT, NUMERIC) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION core.assert_plan_limit(UUID, TEXT, NUMERIC) TO service_role;
+
+-- ----------------------------------------------------------------------------
+-- Droits et consommation (réécrit : limites effectives calculées en base)
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.get_organization_entitlements(
+    p_org_id UUID DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_role TEXT;
+    v_caller_org UUID;
+    v_org_id UUID;
+    v_org RECORD;
+BEGIN
+    SELECT p.app_role, p.org_id INTO v_role, v_caller_org
+    FROM core.profiles p
+    WHERE p.id = auth.uid();
+
+    v_org_id := COALESCE(p_org_id, v_caller_org);
+
+    IF v_org_id IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    IF v_role IS DISTINCT FROM 'super_admin' AND v_org_id IS DISTINCT FROM v_caller_org THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    SELECT o.id, o.plan, o.limits_override INTO v_org
+    FROM core.organizations o
+    WHERE o.id = v_org_id;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'org_id', v_org.id,
+        'plan', COALESCE(v_org.plan, 'free'),
+        'limits', core.get_organization_limits(v_org_id),
+        'limits_override', COALESCE(v_org.limits_override, '{}'::jsonb),
+        'usage', core.get_organization_usage(v_org_id)
+    );
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- Projets actifs (création ou désarchivage)
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.enforce_project_limit()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+BEGIN
+    PERFORM core.assert_plan_limit(NEW.org_id, 'max_projects', 1);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_enforce_project_limit ON core.projects;
+CREATE TRIGGER trigger_enforce_project_limit
+    BEFORE INSERT ON core.projects
+    FOR EACH ROW
+    WHEN (NEW.status IS DISTINCT FROM 'archived')
+    EXECUTE FUNCTION core.enforce_project_limit();
+
+DROP TRIGGER IF EXISTS trigger_enforce_project_limit_restore ON core.projects;
+CREATE TRIGGER trigger_enforce_project_limit_restore
+    BEFORE UPDATE OF status ON core.projects
+    FOR EACH ROW
+    WHEN (OLD.status = 'archived' AND NEW.status IS DISTINCT FROM 'archived')
+    EXECUTE FUNCTION core.enforce_project_limit();
+
+-- ----------------------------------------------------------------------------
+-- Utilisateurs rattachés (inscription avec organisation ou assignation)
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.enforce_user_limit()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+BEGIN
+    PERFORM core.assert_plan_limit(NEW.org_id, 'max_users', 1);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_enforce_user_limit ON core.profiles;
+CREATE TRIGGER trigger_enforce_user_limit
+    BEFORE INSERT ON core.profiles
+    FOR EACH ROW
+    WHEN (NEW.org_id IS NOT NULL)
+    EXECUTE FUNCTION core.enforce_user_limit();
+
+DROP TRIGGER IF EXISTS trigger_enforce_user_limit_assign ON core.profiles;
+CREATE TRIGGER trigger_enforce_user_limit_assign
+    BEFORE UPDATE OF org_id ON core.profiles
+    FOR EACH ROW
+    WHEN (NEW.org_id IS NOT NULL AND NEW.org_id IS DISTINCT FROM OLD.org_id)
+    EXECUTE FUNCTION core.enforce_user_limit();
+
+-- ----------------------------------------------------------------------------
+-- Fichiers sources d'une organisation : couche incluse et stockage restant
+-- (la couche app n'est pas concernée)
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION sources.enforce_file_entitlements()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_layers JSONB;
+BEGIN
+    v_layers := core.get_organization_limits(NEW.org_id)->'allowed_layers';
+
+    IF jsonb_typeof(v_layers) = 'array' AND NOT v_layers ? NEW.layer THEN
+        RAISE EXCEPTION 'La couche % n''est pas incluse dans le plan de l''organisation. Passez à un plan supérieur ou contactez votre administrateur.', NEW.layer
+            USING HINT = 'plan_limit';
+    END IF;
+
+    PERFORM core.assert_plan_limit(NEW.org_id, 'storage_gb', COALESCE(NEW.file_size, 0) / 1e9);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_enforce_file_entitlements ON sources.files;
+CREATE TRIGGER trigger_enforce_file_entitlements
+    BEFORE INSERT ON sources.files
+    FOR EACH ROW
+    WHEN (NEW.org_id IS NOT NULL AND NEW.layer IN ('org', 'project', 'user'))
+    EXECUTE FUNCTION sources.enforce_file_entitlements();
@@ -0,0 +1,185 @@
+-- ============================================================================
+-- CORE : Migration - Invitations en masse par email
+-- - core.invitation_recipients : un destinataire par invitation (code à usage
+--   unique), avec rôle, projets à rejoindre et suivi de l'envoi
+--   (pending → sent → opened → accepted, ou bounced / failed)
+-- - core.create_invitation_recipients : enregistrement d'un lot importé
+--   (org_admin de l'organisation, super_admin)
+-- - Trigger sur core.profiles : passage à « accepted » et ajout aux projets
+--   quand l'invité rejoint l'organisation
+--
+-- Les emails sont envoyés par l'Edge Function send-invitations, qui met à
+-- jour le statut (service role) : envoi, ouverture (pixel / lien suivi),
+-- rejet SMTP ou webhook de bounce du fournisseur.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS core.invitation_recipients (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    batch_id UUID NOT NULL,
+    org_id UUID NOT NULL REFERENCES core.organizations(id) ON DELETE CASCADE,
+    invitation_id UUID,
+    invitation_code TEXT NOT NULL,
+    email TEXT NOT NULL,
+    full_name TEXT,
+    app_role TEXT NOT NULL DEFAULT 'user',
+    project_ids UUID[] NOT NULL DEFAULT '{}',
+    message TEXT,
+    expires_at TIMESTAMPTZ,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sent', 'opened', 'accepted', 'bounced', 'failed')),
+    message_id TEXT,
+    error TEXT,
+    send_count INTEGER NOT NULL DEFAULT 0,
+    sent_at TIMESTAMPTZ,
+    opened_at TIMESTAMPTZ,
+    accepted_at TIMESTAMPTZ,
+    bounced_at TIMESTAMPTZ,
+    accepted_user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_recipients_org_created
+    ON core.invitation_recipients(org_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_recipients_batch
+    ON core.invitation_recipients(batch_id);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_recipients_email
+    ON core.invitation_recipients(lower(email));
+
+-- ----------------------------------------------------------------------------
+-- Enregistrement d'un lot
+-- p_recipients : [{ email, full_name, app_role, project_ids, invitation_id,
+-- invitation_code, expires_at, message }]. Les codes sont créés au préalable
+-- par create_invitation (un code à usage unique par destinataire).
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.create_invitation_recipients(
+    p_org_id UUID,
+    p_batch_id UUID,
+    p_recipients JSONB
+)
+RETURNS SETOF core.invitation_recipients
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM core.profiles p
+        WHERE p.id = auth.uid()
+        AND (
+            p.app_role = 'super_admin'
+            OR (p.app_role = 'org_admin' AND p.org_id = p_org_id)
+        )
+    ) THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    IF p_recipients IS NULL OR jsonb_typeof(p_recipients) <> 'array' THEN
+        RAISE EXCEPTION 'Destinataires invalides';
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO core.invitation_recipients (
+        batch_id, org_id, invitation_id, invitation_code,
+        email, full_name, app_role, project_ids, message, expires_at, created_by
+    )
+    SELECT
+        p_batch_id,
+        p_org_id,
+        NULLIF(r->>'invitation_id', '')::UUID,
+        r->>'invitation_code',
+        lower(trim(r->>'email')),
+        NULLIF(trim(r->>'full_name'), ''),
+        COALESCE(NULLIF(r->>'app_role', ''), 'user'),
+        COALESCE(
+            ARRAY(SELECT jsonb_array_elements_text(r->'project_ids')::UUID),
+            '{}'
+        ),
+        NULLIF(trim(r->>'message'), ''),
+        NULLIF(r->>'expires_at', '')::TIMESTAMPTZ,
+        auth.uid()
+    FROM jsonb_array_elements(p_recipients) r
+    WHERE COALESCE(r->>'email', '') <> ''
+    AND COALESCE(r->>'invitation_code', '') <> ''
+    RETURNING *;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION core.create_invitation_recipients(UUID, UUID, JSONB) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Acceptation
+-- Quand un profil rejoint une organisation, les invitations en cours pour
+-- son email passent à « accepted » et il est ajouté aux projets prévus
+-- (rôle member).
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.accept_invitation_recipients()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_project_ids UUID[];
+BEGIN
+    IF NEW.org_id IS NULL OR NEW.email IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND OLD.org_id IS NOT DISTINCT FROM NEW.org_id THEN
+        RETURN NEW;
+    END IF;
+
+    WITH accepted AS (
+        UPDATE core.invitation_recipients r
+        SET status = 'accepted',
+            accepted_at = NOW(),
+            accepted_user_id = NEW.id
+        WHERE r.org_id = NEW.org_id
+        AND lower(r.email) = lower(NEW.email)
+        AND r.status IN ('pending', 'sent', 'opened')
+        RETURNING r.project_ids
+    )
+    SELECT COALESCE(array_agg(DISTINCT pid), '{}') INTO v_project_ids
+    FROM accepted, unnest(accepted.project_ids) pid;
+
+    INSERT INTO core.project_members (project_id, user_id, role, status)
+    SELECT pr.id, NEW.id, 'member', 'active'
+    FROM core.projects pr
+    WHERE pr.id = ANY(v_project_ids)
+    AND pr.org_id = NEW.org_id
+    ON CONFLICT DO NOTHING;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_accept_invitation_recipients ON core.profiles;
+CREATE TRIGGER trg_accept_invitation_recipients
+    AFTER INSERT OR UPDATE OF org_id ON core.profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION core.accept_invitation_recipients();
+
+-- ----------------------------------------------------------------------------
+-- RLS
+-- Lecture : super_admin (tout), org_admin (son organisation) ;
+-- écriture par create_invitation_recipients et send-invitations (service role)
+-- ----------------------------------------------------------------------------
+ALTER TABLE core.invitation_recipients ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins view invitation recipients" ON core.invitation_recipients;
+CREATE POLICY "Admins view invitation recipients"
+    ON core.invitation_recipients
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM core.profiles p
+            WHERE p.id = auth.uid()
+            AND (
+                p.app_role = 'super_admin'
+                OR (p.app_role = 'org_admin' AND p.org_id = invitation_recipients.org_id)
+            )
+        )
+    );
@@ -0,0 +1,228 @@
+-- ============================================================================
+-- CORE : Migration - Projets pré-assignés par code d'invitation
+-- - core.invitation_projects : projets (et rôle PROJECT_ROLES) rejoints par
+--   l'utilisateur qui s'inscrit avec un code d'invitation
+-- - core.set_invitation_projects : définit les projets d'un code
+--   (org_admin de l'organisation, super_admin)
+-- - core.get_invitation_code_projects : projets d'un code, lisibles sur la
+--   page d'inscription (anonyme)
+-- - Trigger sur core.profiles : à l'arrivée dans l'organisation, ajout aux
+--   projets du code présent dans les métadonnées d'inscription
+--   (auth.users.raw_user_meta_data.invitation_code)
+--
+-- Les invitations en masse (core.invitation_recipients) passent désormais
+-- par ce mécanisme : leur trigger, redéfini ici (après
+-- 20261019102300_invitation_recipients.sql), ne fait plus que le suivi « accepted ».
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS core.invitation_projects (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    invitation_code TEXT NOT NULL,
+    org_id UUID NOT NULL REFERENCES core.organizations(id) ON DELETE CASCADE,
+    project_id UUID NOT NULL REFERENCES core.projects(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'member'
+        CHECK (role IN ('leader', 'member', 'viewer')),
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (invitation_code, project_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_projects_org
+    ON core.invitation_projects(org_id);
+
+-- ----------------------------------------------------------------------------
+-- Projets d'un code
+-- p_projects : [{ project_id, role }] ; remplace les projets existants.
+-- p_org_id NULL : organisation de l'utilisateur courant. Le code et les
+-- projets doivent appartenir à cette organisation.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.set_invitation_projects(
+    p_code TEXT,
+    p_org_id UUID,
+    p_projects JSONB
+)
+RETURNS SETOF core.invitation_projects
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_role TEXT;
+    v_caller_org UUID;
+    v_org_id UUID;
+    v_code TEXT := upper(trim(p_code));
+BEGIN
+    SELECT p.app_role, p.org_id INTO v_role, v_caller_org
+    FROM core.profiles p
+    WHERE p.id = auth.uid();
+
+    v_org_id := COALESCE(p_org_id, v_caller_org);
+
+    IF v_role IS DISTINCT FROM 'super_admin'
+        AND NOT (v_role = 'org_admin' AND v_org_id = v_caller_org) THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    IF v_code IS NULL OR v_code = '' OR v_org_id IS NULL THEN
+        RAISE EXCEPTION 'Code et organisation requis';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM core.invitations i
+        WHERE i.code = v_code
+        AND i.org_id = v_org_id
+    ) THEN
+        RAISE EXCEPTION 'Code d''invitation introuvable dans l''organisation';
+    END IF;
+
+    IF p_projects IS NULL OR jsonb_typeof(p_projects) <> 'array' THEN
+        RAISE EXCEPTION 'Projets invalides';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_projects) r
+        WHERE NOT EXISTS (
+            SELECT 1 FROM core.projects pr
+            WHERE pr.id = (r->>'project_id')::UUID
+            AND pr.org_id = v_org_id
+        )
+    ) THEN
+        RAISE EXCEPTION 'Projet introuvable dans l''organisation';
+    END IF;
+
+    DELETE FROM core.invitation_projects ip
+    WHERE ip.invitation_code = v_code
+    AND ip.org_id = v_org_id;
+
+    RETURN QUERY
+    INSERT INTO core.invitation_projects (invitation_code, org_id, project_id, role, created_by)
+    SELECT DISTINCT ON ((r->>'project_id')::UUID)
+        v_code,
+        v_org_id,
+        (r->>'project_id')::UUID,
+        COALESCE(NULLIF(r->>'role', ''), 'member'),
+        auth.uid()
+    FROM jsonb_array_elements(p_projects) r
+    RETURNING *;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION core.set_invitation_projects(TEXT, UUID, JSONB) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Projets d'un code (page d'inscription)
+-- Ne révèle que le nom des projets et le rôle, à qui connaît le code.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.get_invitation_code_projects(p_code TEXT)
+RETURNS TABLE (project_id UUID, project_name TEXT, role TEXT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+    SELECT pr.id, pr.name, ip.role
+    FROM core.invitation_projects ip
+    JOIN core.projects pr ON pr.id = ip.project_id
+    WHERE ip.invitation_code = upper(trim(p_code))
+    ORDER BY pr.name;
+$$;
+
+GRANT EXECUTE ON FUNCTION core.get_invitation_code_projects(TEXT) TO anon, authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Utilisation du code
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.apply_invitation_projects()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_code TEXT;
+BEGIN
+    IF NEW.org_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND OLD.org_id IS NOT DISTINCT FROM NEW.org_id THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT upper(trim(u.raw_user_meta_data->>'invitation_code')) INTO v_code
+    FROM auth.users u
+    WHERE u.id = NEW.id;
+
+    IF v_code IS NULL OR v_code = '' THEN
+        RETURN NEW;
+    END IF;
+
+    INSERT INTO core.project_members (project_id, user_id, role, status)
+    SELECT ip.project_id, NEW.id, ip.role, 'active'
+    FROM core.invitation_projects ip
+    WHERE ip.invitation_code = v_code
+    AND ip.org_id = NEW.org_id
+    ON CONFLICT DO NOTHING;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_apply_invitation_projects ON core.profiles;
+CREATE TRIGGER trg_apply_invitation_projects
+    AFTER INSERT OR UPDATE OF org_id ON core.profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION core.apply_invitation_projects();
+
+-- ----------------------------------------------------------------------------
+-- Invitations en masse : suivi « accepted » uniquement (les projets sont
+-- portés par le code, voir ci-dessus)
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.accept_invitation_recipients()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+BEGIN
+    IF NEW.org_id IS NULL OR NEW.email IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND OLD.org_id IS NOT DISTINCT FROM NEW.org_id THEN
+        RETURN NEW;
+    END IF;
+
+    UPDATE core.invitation_recipients r
+    SET status = 'accepted',
+        accepted_at = NOW(),
+        accepted_user_id = NEW.id
+    WHERE r.org_id = NEW.org_id
+    AND lower(r.email) = lower(NEW.email)
+    AND r.status IN ('pending', 'sent', 'opened');
+
+    RETURN NEW;
+END;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- RLS
+-- Lecture : super_admin (tout), org_admin (son organisation) ;
+-- écriture par set_invitation_projects
+-- ----------------------------------------------------------------------------
+ALTER TABLE core.invitation_projects ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins view invitation projects" ON core.invitation_projects;
+CREATE POLICY "Admins view invitation projects"
+    ON core.invitation_projects
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM core.profiles p
+            WHERE p.id = auth.uid()
+            AND (
+                p.app_role = 'super_admin'
+                OR (p.app_role = 'org_admin' AND p.org_id = invitation_projects.org_id)
+            )
+        )
+    );
@@ -0,0 +1,138 @@
+-- ============================================================================
+-- CORE : Migration - Création d'un lot d'invitations en une seule RPC
+-- core.create_invitation_batch remplace l'enchaînement côté navigateur
+-- (create_invitation puis set_invitation_projects pour chaque destinataire,
+-- puis core.create_invitation_recipients) : codes, projets et destinataires
+-- sont créés dans la même transaction, après vérification de la limite
+-- d'utilisateurs du plan pour tout le lot.
+--
+-- Un destinataire refusé (code non créé, projet hors organisation) est
+-- annulé seul et renvoyé dans `failed` ; les autres sont enregistrés.
+-- Placée après 20261019102400_invitation_recipients_projects.sql
+-- (core.set_invitation_projects).
+-- ============================================================================
+
+DROP FUNCTION IF EXISTS core.create_invitation_recipients(UUID, UUID, JSONB);
+
+-- ----------------------------------------------------------------------------
+-- p_recipients : [{ email, full_name, app_role, projects: [{ project_id, role }] }]
+-- p_org_id NULL : organisation de l'utilisateur courant.
+-- Retourne { batch_id, recipients: [core.invitation_recipients], failed: [{ email, error }] }
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.create_invitation_batch(
+    p_org_id UUID,
+    p_recipients JSONB,
+    p_expires_in_days INTEGER DEFAULT 14,
+    p_message TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_role TEXT;
+    v_caller_org UUID;
+    v_org_id UUID;
+    v_batch_id UUID := gen_random_uuid();
+    v_recipient JSONB;
+    v_email TEXT;
+    v_invitation JSONB;
+    v_row core.invitation_recipients;
+    v_created JSONB := '[]'::JSONB;
+    v_failed JSONB := '[]'::JSONB;
+BEGIN
+    SELECT p.app_role, p.org_id INTO v_role, v_caller_org
+    FROM core.profiles p
+    WHERE p.id = auth.uid();
+
+    v_org_id := COALESCE(p_org_id, v_caller_org);
+
+    IF v_role IS DISTINCT FROM 'super_admin'
+        AND NOT (v_role = 'org_admin' AND v_org_id = v_caller_org) THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    IF v_org_id IS NULL THEN
+        RAISE EXCEPTION 'Organisation cible requise';
+    END IF;
+
+    IF p_recipients IS NULL OR jsonb_typeof(p_recipients) <> 'array'
+        OR jsonb_array_length(p_recipients) = 0 THEN
+        RAISE EXCEPTION 'Aucun destinataire valide';
+    END IF;
+
+    -- Une place par destinataire dans la limite d'utilisateurs du plan
+    PERFORM core.assert_plan_limit(v_org_id, 'max_users', jsonb_array_length(p_recipients));
+
+    FOR v_recipient IN SELECT r FROM jsonb_array_elements(p_recipients) r
+    LOOP
+        v_email := lower(trim(v_recipient->>'email'));
+
+        IF COALESCE(v_email, '') = '' THEN
+            v_failed := v_failed || jsonb_build_object('email', v_recipient->>'email', 'error', 'Email manquant');
+            CONTINUE;
+        END IF;
+
+        BEGIN
+            v_invitation := core.create_invitation(
+                p_org_id => v_org_id,
+                p_label => v_email,
+                p_max_uses => 1,
+                p_expires_in_days => p_expires_in_days,
+                p_default_app_role => COALESCE(NULLIF(v_recipient->>'app_role', ''), 'user'),
+                p_default_business_role => NULL
+            );
+
+            IF NOT COALESCE((v_invitation->>'success')::BOOLEAN, false) THEN
+                RAISE EXCEPTION '%', COALESCE(v_invitation->>'error', 'Erreur lors de la création de l''invitation');
+            END IF;
+
+            IF jsonb_typeof(v_recipient->'projects') = 'array'
+                AND jsonb_array_length(v_recipient->'projects') > 0 THEN
+                PERFORM core.set_invitation_projects(v_invitation->>'code', v_org_id, v_recipient->'projects');
+            END IF;
+
+            INSERT INTO core.invitation_recipients (
+                batch_id, org_id, invitation_id, invitation_code,
+                email, full_name, app_role, project_ids, message, expires_at, created_by
+            )
+            VALUES (
+                v_batch_id,
+                v_org_id,
+                NULLIF(COALESCE(v_invitation->>'invitation_id', v_invitation->>'id'), '')::UUID,
+                v_invitation->>'code',
+                v_email,
+                NULLIF(trim(v_recipient->>'full_name'), ''),
+                COALESCE(NULLIF(v_recipient->>'app_role', ''), 'user'),
+                COALESCE(
+                    ARRAY(
+                        SELECT (p->>'project_id')::UUID
+                        FROM jsonb_array_elements(
+                            CASE WHEN jsonb_typeof(v_recipient->'projects') = 'array'
+                                THEN v_recipient->'projects' ELSE '[]'::JSONB END
+                        ) p
+                    ),
+                    '{}'
+                ),
+                NULLIF(trim(p_message), ''),
+                NULLIF(v_invitation->>'expires_at', '')::TIMESTAMPTZ,
+                auth.uid()
+            )
+            RETURNING * INTO v_row;
+
+            v_created := v_created || to_jsonb(v_row);
+        EXCEPTION WHEN OTHERS THEN
+            v_failed := v_failed || jsonb_build_object('email', v_email, 'error', SQLERRM);
+        END;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'batch_id', CASE WHEN jsonb_array_length(v_created) > 0 THEN v_batch_id END,
+        'recipients', v_created,
+        'failed', v_failed
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION core.create_invitation_batch(UUID, JSONB, INTEGER, TEXT) TO authenticated;
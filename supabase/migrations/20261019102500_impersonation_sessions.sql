@@ -0,0 +1,286 @@
+-- ============================================================================
+-- CORE : Migration - Journal des impersonations
+-- - core.impersonation_sessions : une session par emprunt d'identité
+--   (super_admin → utilisateur), avec motif, mode lecture seule, échéance,
+--   fin (manual / timeout / signout / replaced) et pages visitées
+-- - core.start_impersonation / core.end_impersonation : ouverture et
+--   clôture (super_admin)
+-- - core.log_impersonation_page : page visitée ; clôture la session une fois
+--   l'échéance dépassée
+-- - core.get_impersonation_sessions : journal d'audit (super_admin : tout,
+--   org_admin : accès du support à son organisation)
+--
+-- L'impersonation reste côté client (profil effectif de AuthContext) : ce
+-- journal en garde la trace. Une session jamais clôturée (onglet fermé) est
+-- considérée terminée à son échéance.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS core.impersonation_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    admin_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    target_user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    target_org_id UUID REFERENCES core.organizations(id) ON DELETE SET NULL,
+    reason TEXT NOT NULL CHECK (length(trim(reason)) > 0),
+    read_only BOOLEAN NOT NULL DEFAULT TRUE,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    ended_at TIMESTAMPTZ,
+    end_reason TEXT
+        CHECK (end_reason IN ('manual', 'timeout', 'signout', 'replaced')),
+    pages JSONB NOT NULL DEFAULT '[]'::JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_org_started
+    ON core.impersonation_sessions(target_org_id, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_admin_open
+    ON core.impersonation_sessions(admin_id)
+    WHERE ended_at IS NULL;
+
+-- ----------------------------------------------------------------------------
+-- Ouverture
+-- Les sessions encore ouvertes de l'appelant sont clôturées (« replaced »).
+-- p_timeout_minutes : entre 5 et 240.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.start_impersonation(
+    p_target_user_id UUID,
+    p_reason TEXT,
+    p_read_only BOOLEAN DEFAULT TRUE,
+    p_timeout_minutes INTEGER DEFAULT 30
+)
+RETURNS core.impersonation_sessions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_target_org UUID;
+    v_session core.impersonation_sessions;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM core.profiles p
+        WHERE p.id = auth.uid()
+        AND p.app_role = 'super_admin'
+    ) THEN
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    IF p_reason IS NULL OR trim(p_reason) = '' THEN
+        RAISE EXCEPTION 'Motif requis';
+    END IF;
+
+    IF p_timeout_minutes IS NULL OR p_timeout_minutes NOT BETWEEN 5 AND 240 THEN
+        RAISE EXCEPTION 'Durée invalide (5 à 240 minutes)';
+    END IF;
+
+    SELECT p.org_id INTO v_target_org
+    FROM core.profiles p
+    WHERE p.id = p_target_user_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Utilisateur introuvable';
+    END IF;
+
+    UPDATE core.impersonation_sessions s
+    SET ended_at = LEAST(NOW(), s.expires_at),
+        end_reason = CASE WHEN s.expires_at <= NOW() THEN 'timeout' ELSE 'replaced' END
+    WHERE s.admin_id = auth.uid()
+    AND s.ended_at IS NULL;
+
+    INSERT INTO core.impersonation_sessions (
+        admin_id, target_user_id, target_org_id, reason, read_only, expires_at
+    )
+    VALUES (
+        auth.uid(),
+        p_target_user_id,
+        v_target_org,
+        trim(p_reason),
+        COALESCE(p_read_only, TRUE),
+        NOW() + make_interval(mins => p_timeout_minutes)
+    )
+    RETURNING * INTO v_session;
+
+    RETURN v_session;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION core.start_impersonation(UUID, TEXT, BOOLEAN, INTEGER) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Clôture
+-- Au-delà de l'échéance, la fin est datée à l'échéance (« timeout »).
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.end_impersonation(
+    p_session_id UUID,
+    p_end_reason TEXT DEFAULT 'manual'
+)
+RETURNS core.impersonation_sessions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_session core.impersonation_sessions;
+BEGIN
+    UPDATE core.impersonation_sessions s
+    SET ended_at = LEAST(NOW(), s.expires_at),
+        end_reason = CASE
+            WHEN s.expires_at <= NOW() THEN 'timeout'
+            ELSE COALESCE(p_end_reason, 'manual')
+        END
+    WHERE s.id = p_session_id
+    AND s.admin_id = auth.uid()
+    AND s.ended_at IS NULL
+    RETURNING * INTO v_session;
+
+    RETURN v_session;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION core.end_impersonation(UUID, TEXT) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Page visitée
+-- Conserve les 500 dernières pages. Retourne FALSE si la session n'est plus
+-- active (clôturée ou échue), auquel cas le client arrête l'impersonation.
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.log_impersonation_page(
+    p_session_id UUID,
+    p_path TEXT
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_session core.impersonation_sessions;
+BEGIN
+    SELECT * INTO v_session
+    FROM core.impersonation_sessions s
+    WHERE s.id = p_session_id
+    AND s.admin_id = auth.uid()
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_session.ended_at IS NOT NULL THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_session.expires_at <= NOW() THEN
+        UPDATE core.impersonation_sessions s
+        SET ended_at = s.expires_at,
+            end_reason = 'timeout'
+        WHERE s.id = p_session_id;
+        RETURN FALSE;
+    END IF;
+
+    UPDATE core.impersonation_sessions s
+    SET pages = (
+        SELECT COALESCE(jsonb_agg(page ORDER BY ord), '[]'::JSONB)
+        FROM (
+            SELECT page, ord
+            FROM jsonb_array_elements(
+                s.pages || jsonb_build_array(jsonb_build_object('path', left(p_path, 500), 'at', NOW()))
+            ) WITH ORDINALITY AS t(page, ord)
+            ORDER BY ord DESC
+            LIMIT 500
+        ) last_pages
+    )
+    WHERE s.id = p_session_id;
+
+    RETURN TRUE;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION core.log_impersonation_page(UUID, TEXT) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Journal d'audit
+-- p_org_id NULL : toutes les organisations (super_admin) ou celle de
+-- l'appelant (org_admin, qui ne voit jamais que la sienne).
+-- ----------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION core.get_impersonation_sessions(
+    p_org_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 200
+)
+RETURNS TABLE (
+    id UUID,
+    admin_id UUID,
+    admin_name TEXT,
+    admin_email TEXT,
+    target_user_id UUID,
+    target_name TEXT,
+    target_email TEXT,
+    target_org_id UUID,
+    target_org_name TEXT,
+    reason TEXT,
+    read_only BOOLEAN,
+    started_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    ended_at TIMESTAMPTZ,
+    end_reason TEXT,
+    is_active BOOLEAN,
+    duration_seconds INTEGER,
+    page_count INTEGER,
+    pages JSONB
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_role TEXT;
+    v_caller_org UUID;
+    v_org_id UUID;
+BEGIN
+    SELECT p.app_role, p.org_id INTO v_role, v_caller_org
+    FROM core.profiles p
+    WHERE p.id = auth.uid();
+
+    IF v_role = 'super_admin' THEN
+        v_org_id := p_org_id;
+    ELSIF v_role = 'org_admin' AND v_caller_org IS NOT NULL THEN
+        v_org_id := v_caller_org;
+    ELSE
+        RAISE EXCEPTION 'Accès refusé';
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        s.id,
+        s.admin_id,
+        a.full_name,
+        a.email,
+        s.target_user_id,
+        t.full_name,
+        t.email,
+        s.target_org_id,
+        o.name,
+        s.reason,
+        s.read_only,
+        s.started_at,
+        s.expires_at,
+        COALESCE(s.ended_at, CASE WHEN s.expires_at <= NOW() THEN s.expires_at END),
+        COALESCE(s.end_reason, CASE WHEN s.expires_at <= NOW() THEN 'timeout' END),
+        s.ended_at IS NULL AND s.expires_at > NOW(),
+        EXTRACT(EPOCH FROM (COALESCE(s.ended_at, LEAST(NOW(), s.expires_at)) - s.started_at))::INTEGER,
+        jsonb_array_length(s.pages),
+        s.pages
+    FROM core.impersonation_sessions s
+    LEFT JOIN core.profiles a ON a.id = s.admin_id
+    LEFT JOIN core.profiles t ON t.id = s.target_user_id
+    LEFT JOIN core.organizations o ON o.id = s.target_org_id
+    WHERE v_org_id IS NULL OR s.target_org_id = v_org_id
+    ORDER BY s.started_at DESC
+    LIMIT LEAST(GREATEST(COALESCE(p_limit, 200), 1), 1000);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION core.get_impersonation_sessions(UUID, INTEGER) TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- RLS
+-- Aucun accès direct : lecture et écriture par les fonctions ci-dessus
+-- ----------------------------------------------------------------------------
+ALTER TABLE core.impersonation_sessions ENABLE ROW LEVEL SECURITY;